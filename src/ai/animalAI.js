@@ -26,6 +26,9 @@ import {
   MAX_ANIMALS,
 } from '../sim/animals.js';
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from '../sim/rng.js';
+import { inflictInjury } from '../sim/medical.js';
+import { DAMAGE_TYPE } from '../sim/equipment.js';
 
 // === ANIMAL STATES ===
 export const ANIMAL_STATE = {
@@ -262,10 +265,15 @@ function actHunting(animal, state) {
   // ATTACK PHASE: in range
   const hitChance = animal.species.size === 'large' ? 0.7 : animal.species.size === 'medium' ? 0.5 : 0.3;
 
-  if (Math.random() < hitChance) {
+  if (random() < hitChance) {
     // Hit!
-    const damage = animal.damage * (0.8 + Math.random() * 0.4);
+    const damage = animal.damage * (0.8 + random() * 0.4);
     prey.hp -= damage;
+    // Bites leave a wound on a dwarf (medical.js)
+    if (prey.type === 'dwarf') {
+      if (prey.hp > 0) inflictInjury(prey, damage, DAMAGE_TYPE.POINT, null, state);
+      else prey.deathCause = 'mauled';
+    }
 
     emit(EVENTS.ANIMAL_ATTACKED, {
       animal,
@@ -351,7 +359,7 @@ function actMating(animal, state) {
 
   // Small probability to produce offspring each tick (1% per tick ≈ 1% per
   // second); population cap keeps reproduction from snowballing the tick loop
-  if ((state.animals?.length || 0) < MAX_ANIMALS && Math.random() < 0.01) {
+  if ((state.animals?.length || 0) < MAX_ANIMALS && random() < 0.01) {
     const offspring = createAnimalOffspring(animal, mate, state);
     state.animals?.push(offspring);
 
@@ -387,7 +395,7 @@ function actWandering(animal, state) {
 
   // Slow random walk, shying away from steps that climb the unease
   // gradient (audit WALK R7)
-  if (Math.random() < 0.3) {
+  if (random() < 0.3) {
     const here = getUnease(animal.x, animal.y);
     const dirs = [
       { x: 1, y: 0 },
@@ -401,7 +409,7 @@ function actWandering(animal, state) {
     });
     if (dirs.length === 0) return;
 
-    const dir = dirs[Math.floor(Math.random() * dirs.length)];
+    const dir = dirs[Math.floor(random() * dirs.length)];
     animal.x += dir.x;
     animal.y += dir.y;
   }
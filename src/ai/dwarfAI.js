@@ -7,10 +7,12 @@ import {
   isHungry,
   isCritical,
   distance,
+  onSameLevel,
   needsSocial,
   getMostPressingNeed,
   satisfyFulfillment,
   getDisplayName,
+  nextId,
 } from '../sim/entities.js';
 
 import { addLog } from '../state/store.js';
@@ -33,6 +35,7 @@ import {
 import {
   TASK_TYPE,
   ASPIRATION,
+  awardSkillXP,
   calculateTaskSuitability,
   getTaskDescription,
 } from '../sim/tasks.js';
@@ -47,6 +50,7 @@ import {
 
 import {
   findNearestDigTask,
+  getDesignationAt,
   workOnDig,
   getDigDesignations,
   suggestRoom,
@@ -75,6 +79,47 @@ import {
   inAttackRange,
 } from '../sim/combat.js';
 
+import { applyLaborPreferences, isLaborEnabled } from '../sim/labor.js';
+
+import {
+  SQUAD_ROUTINE,
+  getSoldierDuty,
+  findDutyThreat,
+  isAtPost,
+  arriveAtPost,
+  isShaken,
+} from '../sim/military.js';
+
+import { findGearUpgrade, equipItem, describeGear } from '../sim/equipment.js';
+
+import {
+  needsCare,
+  findBerth,
+  findPatient,
+  treatPatient,
+  getMedicineSkill,
+} from '../sim/medical.js';
+
+import { getRemains, findRemains, buryRemains } from '../sim/mortality.js';
+
+import {
+  findNearestFellTask,
+  getFellingAt,
+  workOnFelling,
+  getWoodcuttingSkill,
+} from '../sim/forestry.js';
+
+import { creditProductionOrder } from '../sim/productionOrders.js';
+
+import {
+  findHaulJob,
+  findDeliveryTarget,
+  getStockpileAt,
+  getItemCategory,
+  pickUp,
+  dropCarried,
+} from '../sim/stockpiles.js';
+
 import { emit, EVENTS } from '../events/eventBus.js';
 
 // Weather cognition integration
@@ -84,6 +129,8 @@ import {
   updateWeatherFulfillment,
   getWeatherHealthEffects,
 } from '../sim/weatherCognition.js';
+import { random } from '../sim/rng.js';
+import { getTile } from '../map/map.js';
 
 // === AI STATES ===
 export const AI_STATE = {
@@ -103,10 +150,24 @@ export const AI_STATE = {
   WORKING_DIG: 'digging',
   WORKING_BUILD: 'building',
   WORKING_CRAFT: 'crafting',
+  WORKING_FELL: 'felling',
   HAULING: 'hauling',
   // Combat states
   FIGHTING: 'fighting',
   FLEEING_COMBAT: 'fleeing_combat',
+  CAPTIVE: 'captive',  // Carried off by a raider (raids.js moves them)
+  // Squad duty (military.js)
+  MARCHING: 'marching',
+  ARMING: 'arming',      // Fetching a weapon or armor off the ground
+  TRAINING: 'training',
+  GUARDING: 'guarding',
+  PATROLLING: 'patrolling',
+  // Medicine (medical.js)
+  TREATING: 'treating',          // A doctor dressing a patient's wounds
+  SEEKING_CARE: 'seeking_care',  // Walking to a hospital bed
+  RECOVERING: 'recovering',      // Lying in one
+  // Mortality (mortality.js)
+  BURYING: 'burying',            // Laying a fallen dwarf to rest
 };
 
 // Configuration
@@ -124,6 +185,11 @@ export function decide(dwarf, state) {
   if (!dwarf._lastDecision) dwarf._lastDecision = 0;
   dwarf._lastDecision++;
 
+  // A captive goes where the captor drags them until freed
+  if (dwarf.captiveOf != null) {
+    return { state: AI_STATE.CAPTIVE, target: null };
+  }
+
   // Phase 2: Apply weather effects to mood and behavior
   if (state.weather) {
     const weather = state.weather.getWeatherAt(dwarf.x, dwarf.y);
@@ -151,7 +217,7 @@ export function decide(dwarf, state) {
 
       const healthEffects = getWeatherHealthEffects(dwarf, dominantType, dwarf._weatherExposure) || {};
       dwarf._weatherStress = (dwarf._weatherStress || 0) + (healthEffects.stress || 0) * 0.01;
-      if ((healthEffects.sickness || 0) * 0.005 > Math.random()) {
+      if ((healthEffects.sickness || 0) * 0.005 > random()) {
         dwarf._sickTicks = (dwarf._sickTicks || 0) + 1;
       }
     } else {
@@ -161,6 +227,15 @@ export function decide(dwarf, state) {
     }
   }
 
+  // Soldiers on duty answer to their squad before anything else (a claim
+  // on a piece of gear lasts only while still walking to it)
+  dwarf.gearTarget = null;
+  const duty = getSoldierDuty(dwarf, state);
+  if (duty) {
+    const decision = decideSoldier(dwarf, duty, state);
+    if (decision) return decision;
+  }
+
   // HIGHEST PRIORITY: Combat threats
   const threat = findNearestThreat(dwarf, state);
   if (threat) {
@@ -197,12 +272,18 @@ function continueTask(dwarf, state) {
     case TASK_TYPE.DIG:
       return workDig(dwarf, state);
 
+    case TASK_TYPE.FELL:
+      return workFell(dwarf, state);
+
     case TASK_TYPE.BUILD:
       return workBuild(dwarf, state);
 
     case TASK_TYPE.CRAFT:
       return workCraft(dwarf, state);
 
+    case TASK_TYPE.HAUL:
+      return workHaul(dwarf, state);
+
     case TASK_TYPE.SOCIALIZE:
       return workSocialize(dwarf, state);
 
@@ -231,6 +312,15 @@ function continueTask(dwarf, state) {
     case TASK_TYPE.SCOUT:
       return workIntention(dwarf, state);
 
+    case TASK_TYPE.TREAT:
+      return workTreat(dwarf, state);
+
+    case TASK_TYPE.RECOVER:
+      return workRecover(dwarf, state);
+
+    case TASK_TYPE.BURY:
+      return workBury(dwarf, state);
+
     case 'fighting':
       return workFighting(dwarf, state);
 
@@ -320,11 +410,22 @@ function findNewTask(dwarf, state) {
     const suitability = dwarf.skills?.mining || 0.3;
     candidates.push({
       type: TASK_TYPE.DIG,
-      priority: 40 + suitability * 20,
+      // The player's own orders outrank digs the dwarves planned themselves
+      priority: 40 + suitability * 20 + (digTask.source === 'player' ? 15 : 0),
       target: digTask,
     });
   }
 
+  // Trees the player marked for felling
+  const tree = findNearestFellTask(dwarf, state);
+  if (tree) {
+    candidates.push({
+      type: TASK_TYPE.FELL,
+      priority: 55 + getWoodcuttingSkill(dwarf) * 20,
+      target: tree,
+    });
+  }
+
   // Check for active building projects
   const buildProject = findNearestBuildProject(dwarf);
   if (buildProject) {
@@ -334,13 +435,14 @@ function findNewTask(dwarf, state) {
     );
     candidates.push({
       type: TASK_TYPE.BUILD,
-      priority: 45 + buildSkill * 20,
+      // Blueprints the player placed outrank the dwarves' own projects
+      priority: 45 + buildSkill * 20 + (buildProject.playerPlaced ? 15 : 0),
       target: buildProject,
     });
   }
 
   // Consider starting a new building project
-  if (!buildProject && Math.random() < 0.05) {
+  if (!buildProject && isLaborEnabled(dwarf, TASK_TYPE.BUILD) && random() < 0.05) {
     const newProject = considerBuilding(dwarf, state);
     if (newProject) {
       candidates.push({
@@ -357,10 +459,66 @@ function findNewTask(dwarf, state) {
     candidates.push({
       type: TASK_TYPE.CRAFT,
       priority: 40 + (dwarf.skills?.crafting || 0.3) * 20,
-      target: craftJob,
+      target: { job: craftJob, workshop: craftJob.workshop },
+    });
+  }
+
+  // Medicine: the badly hurt take to a hospital bed when one is free;
+  // the rest see to whoever is wounded
+  if (needsCare(dwarf)) {
+    const berth = findBerth(dwarf, state);
+    if (berth) {
+      candidates.push({
+        type: TASK_TYPE.RECOVER,
+        priority: 70,
+        target: berth,
+      });
+    }
+  } else {
+    const patient = findPatient(dwarf, state);
+    if (patient) {
+      candidates.push({
+        type: TASK_TYPE.TREAT,
+        priority: 64 + getMedicineSkill(dwarf) * 10,
+        target: { x: patient.x, y: patient.y, patientId: patient.id },
+      });
+    }
+  }
+
+  // The dead are laid to rest before the routine work resumes; their
+  // friends see to it first
+  const body = findRemains(dwarf, state);
+  if (body) {
+    const friend = (dwarf.relationships?.[body.dwarfId]?.affinity ?? 0) > 0;
+    candidates.push({
+      type: TASK_TYPE.BURY,
+      priority: 48 + (friend ? 10 : 0),
+      target: { x: body.x, y: body.y, remainsId: body.id },
     });
   }
 
+  // Hauling: finish a delivery before anything routine; otherwise loose
+  // goods are low-priority work, just above idling
+  if (dwarf.carrying) {
+    const dest = findDeliveryTarget(dwarf, state);
+    if (dest) {
+      candidates.push({
+        type: TASK_TYPE.HAUL,
+        priority: 62,
+        target: { x: dest.x, y: dest.y, dest },
+      });
+    }
+  } else {
+    const haulJob = findHaulJob(dwarf, state);
+    if (haulJob) {
+      candidates.push({
+        type: TASK_TYPE.HAUL,
+        priority: 42,
+        target: haulJob,
+      });
+    }
+  }
+
   // Weather-driven behavior (audit WALK R5 / WX 8): bad weather damps
   // outdoor work and socializing and pulls dwarves toward shelter
   if (state.weather) {
@@ -431,9 +589,17 @@ function findNewTask(dwarf, state) {
     target: null,
   });
 
+  // The player's labor settings: disabled labors are out, priorities shift
+  const allowed = applyLaborPreferences(dwarf, candidates);
+
   // Sort by priority and pick best
-  candidates.sort((a, b) => b.priority - a.priority);
-  const chosen = candidates[0];
+  allowed.sort((a, b) => b.priority - a.priority);
+  const chosen = allowed[0];
+
+  // Whatever was being carried is set down when the dwarf turns to other work
+  if (dwarf.carrying && chosen.type !== TASK_TYPE.HAUL) {
+    dropCarried(dwarf, state);
+  }
 
   dwarf.currentTask = chosen;
 
@@ -455,7 +621,7 @@ function findAspirationWork(dwarf, state) {
         tasks.push({
           type: TASK_TYPE.CRAFT,
           priority: 55, // Higher priority for aspiration match
-          target: craftJob,
+          target: { job: craftJob, workshop: craftJob.workshop },
         });
       }
       break;
@@ -472,8 +638,8 @@ function findAspirationWork(dwarf, state) {
       }
 
       // Maybe suggest a new room if no dig tasks
-      if (digDesignations.length === 0 && Math.random() < 0.1) {
-        const room = suggestRoom(state, 4 + Math.floor(Math.random() * 3));
+      if (digDesignations.length === 0 && isLaborEnabled(dwarf, TASK_TYPE.DIG) && random() < 0.1) {
+        const room = suggestRoom(state, 4 + Math.floor(random() * 3));
         if (room) {
           designateRoom(room.x, room.y, room.x + room.w - 1, room.y + room.h - 1, state);
         }
@@ -524,12 +690,21 @@ function startTask(dwarf, task, state) {
         target: task.target ? { x: task.target.x, y: task.target.y } : null,
       };
 
+    case TASK_TYPE.FELL:
+      return workFell(dwarf, state);
+
     case TASK_TYPE.BUILD:
       return {
         state: AI_STATE.WORKING_BUILD,
         target: task.target ? { x: task.target.x, y: task.target.y } : null,
       };
 
+    case TASK_TYPE.HAUL:
+      return {
+        state: AI_STATE.HAULING,
+        target: { x: task.target.x, y: task.target.y },
+      };
+
     case TASK_TYPE.CRAFT:
       return {
         state: AI_STATE.WORKING_CRAFT,
@@ -550,7 +725,7 @@ function startTask(dwarf, task, state) {
       const food = task.target || findNearestFood(dwarf, state);
       return {
         state: AI_STATE.SEEKING_FOOD,
-        target: food ? { x: food.x, y: food.y } : null,
+        target: food ? at(food) : null,
       };
 
     case TASK_TYPE.SEEK_SHELTER:
@@ -571,6 +746,15 @@ function startTask(dwarf, task, state) {
     case TASK_TYPE.SCOUT:
       return workIntention(dwarf, state);
 
+    case TASK_TYPE.TREAT:
+      return workTreat(dwarf, state);
+
+    case TASK_TYPE.RECOVER:
+      return workRecover(dwarf, state);
+
+    case TASK_TYPE.BURY:
+      return workBury(dwarf, state);
+
     default:
       return decideIdle(dwarf, state);
   }
@@ -580,16 +764,16 @@ function startTask(dwarf, task, state) {
 
 function workDig(dwarf, state) {
   const task = dwarf.currentTask;
-  if (!task?.target) {
+  // The designation may have been cancelled or dug by someone else
+  const z = task?.target?.z ?? 0;
+  if (!task?.target || !getDesignationAt(task.target.x, task.target.y, z)) {
     dwarf.currentTask = null;
     return findNewTask(dwarf, state);
   }
 
-  const dist = distance(dwarf, task.target);
-
-  if (dist <= CONFIG.WORK_RANGE) {
+  if (withinReach(dwarf, task.target)) {
     // Do the work
-    const complete = workOnDig(task.target.x, task.target.y, dwarf, state);
+    const complete = workOnDig(task.target.x, task.target.y, dwarf, state, z);
 
     if (complete) {
       dwarf.tilesDigged++;
@@ -600,11 +784,31 @@ function workDig(dwarf, state) {
     return { state: AI_STATE.WORKING_DIG, target: task.target };
   }
 
-  // Move toward dig site
-  executeSmartMovement(dwarf, state, { targetPos: task.target });
+  // Move toward dig site, down the stairs if it's below
+  executeSmartMovement(dwarf, state, { targetPos: at(task.target) });
   return { state: AI_STATE.WORKING_DIG, target: task.target };
 }
 
+function workFell(dwarf, state) {
+  const target = dwarf.currentTask?.target;
+  // The order may have been cancelled, or the tree felled by someone else
+  if (!target || !getFellingAt(target.x, target.y)) {
+    dwarf.currentTask = null;
+    return findNewTask(dwarf, state);
+  }
+
+  if (!withinReach(dwarf, target)) {
+    executeSmartMovement(dwarf, state, { targetPos: at(target) });
+    return { state: AI_STATE.WORKING_FELL, target: { x: target.x, y: target.y } };
+  }
+
+  if (workOnFelling(target.x, target.y, dwarf, state)) {
+    satisfyFulfillment(dwarf, 'exploration', 0.1);
+    dwarf.currentTask = null;
+  }
+  return { state: AI_STATE.WORKING_FELL, target: { x: target.x, y: target.y } };
+}
+
 function workBuild(dwarf, state) {
   const task = dwarf.currentTask;
   if (!task?.target) {
@@ -616,9 +820,8 @@ function workBuild(dwarf, state) {
 
   // Find where to work on the project
   const workLoc = findWorkLocation(project, dwarf);
-  const dist = Math.abs(dwarf.x - workLoc.x) + Math.abs(dwarf.y - workLoc.y);
 
-  if (dist <= CONFIG.WORK_RANGE) {
+  if (withinReach(dwarf, workLoc)) {
     // Do the work
     const complete = workOnBuildProject(project, dwarf, state);
 
@@ -631,30 +834,33 @@ function workBuild(dwarf, state) {
     return { state: AI_STATE.WORKING_BUILD, target: workLoc };
   }
 
-  // Move toward work location
-  executeSmartMovement(dwarf, state, { targetPos: workLoc });
+  // Move toward work location (projects stand on the surface)
+  executeSmartMovement(dwarf, state, { targetPos: at(workLoc) });
   return { state: AI_STATE.WORKING_BUILD, target: workLoc };
 }
 
 function workCraft(dwarf, state) {
   const task = dwarf.currentTask;
-  if (!task?.target?.job) {
+  // Finished by someone else, or withdrawn (a production order was removed)
+  if (!task?.target?.job || task.target.job.status !== 'pending') {
     dwarf.currentTask = null;
     return findNewTask(dwarf, state);
   }
 
   const job = task.target.job;
   const workshop = job.workshop;
-  const dist = Math.abs(dwarf.x - workshop.x) + Math.abs(dwarf.y - workshop.y);
 
-  if (dist <= CONFIG.WORK_RANGE + 1) {
+  if (withinReach(dwarf, workshop, CONFIG.WORK_RANGE + 1)) {
     const item = workOnCrafting(job, dwarf, state);
 
     if (item) {
+      creditProductionOrder(job, state);
       dwarf.itemsCrafted++;
       if (item.quality?.name === 'masterwork') {
         dwarf.masterworkCount++;
       }
+      // initializePerception replaces the spawn-time memory with a slimmer one
+      if (!dwarf.memory.craftedItems) dwarf.memory.craftedItems = [];
       dwarf.memory.craftedItems.push(item);
       satisfyFulfillment(dwarf, 'creativity', 0.8);
       dwarf.currentTask = null;
@@ -663,10 +869,56 @@ function workCraft(dwarf, state) {
     return { state: AI_STATE.WORKING_CRAFT, target: { x: workshop.x, y: workshop.y } };
   }
 
-  executeSmartMovement(dwarf, state, { targetPos: { x: workshop.x, y: workshop.y } });
+  executeSmartMovement(dwarf, state, { targetPos: at(workshop) });
   return { state: AI_STATE.WORKING_CRAFT, target: { x: workshop.x, y: workshop.y } };
 }
 
+/**
+ * Carry one good to a stockpile: walk to it, lift it, walk to the storage
+ * tile and set it down. The tile is re-chosen if its stockpile stopped
+ * taking the good on the way.
+ */
+function workHaul(dwarf, state) {
+  const target = dwarf.currentTask?.target;
+  if (!target) {
+    dwarf.currentTask = null;
+    return findNewTask(dwarf, state);
+  }
+
+  if (!dwarf.carrying) {
+    if (!withinReach(dwarf, target)) {
+      executeSmartMovement(dwarf, state, { targetPos: at(target) });
+      return { state: AI_STATE.HAULING, target: { x: target.x, y: target.y } };
+    }
+    // Someone else got there first
+    if (!pickUp(dwarf, target, state)) {
+      dwarf.currentTask = null;
+      return findNewTask(dwarf, state);
+    }
+  }
+
+  const stockpile = target.dest && getStockpileAt(target.dest.x, target.dest.y);
+  if (!stockpile?.categories.includes(getItemCategory(dwarf.carrying.item))) {
+    target.dest = findDeliveryTarget(dwarf, state);
+    if (!target.dest) {
+      dropCarried(dwarf, state);
+      dwarf.currentTask = null;
+      return { state: AI_STATE.HAULING, target: null };
+    }
+  }
+
+  const dest = target.dest;
+  if (withinReach(dwarf, dest)) {
+    dropCarried(dwarf, state, dest);
+    awardSkillXP(dwarf, 'hauling', 2);
+    dwarf.currentTask = null;
+    return { state: AI_STATE.HAULING, target: { x: dest.x, y: dest.y } };
+  }
+
+  executeSmartMovement(dwarf, state, { targetPos: at(dest) });
+  return { state: AI_STATE.HAULING, target: { x: dest.x, y: dest.y } };
+}
+
 function workSocialize(dwarf, state) {
   const task = dwarf.currentTask;
   const target = task?.target;
@@ -695,12 +947,12 @@ function workSocialize(dwarf, state) {
       return { state: AI_STATE.SOCIALIZING, target: { x: other.x, y: other.y } };
     }
 
-    executeSmartMovement(dwarf, state, { targetPos: { x: other.x, y: other.y }, seekSocial: true });
+    executeSmartMovement(dwarf, state, { targetPos: at(other), seekSocial: true });
     return { state: AI_STATE.SOCIALIZING, target: { x: other.x, y: other.y } };
   }
 
   // Move toward social target
-  executeSmartMovement(dwarf, state, { targetPos: { x: other.x, y: other.y }, seekSocial: true });
+  executeSmartMovement(dwarf, state, { targetPos: at(other), seekSocial: true });
   return { state: AI_STATE.SEEKING_SOCIAL, target: { x: other.x, y: other.y } };
 }
 
@@ -748,17 +1000,17 @@ function workEat(dwarf, state) {
       dwarf.currentTask = null;
       return { state: AI_STATE.WANDERING, target: null };
     }
-    executeSmartMovement(dwarf, state, { targetPos: { x: food.x, y: food.y }, followScent: true });
-    return { state: AI_STATE.SEEKING_FOOD, target: { x: food.x, y: food.y } };
+    executeSmartMovement(dwarf, state, { targetPos: at(food), followScent: true });
+    return { state: AI_STATE.SEEKING_FOOD, target: at(food) };
   }
 
-  if (dist <= 1) {
+  if (onSameLevel(dwarf, food) && dist <= 1) {
     // Eat!
-    return { state: AI_STATE.EATING, target: { x: food.x, y: food.y } };
+    return { state: AI_STATE.EATING, target: at(food) };
   }
 
-  executeSmartMovement(dwarf, state, { targetPos: { x: food.x, y: food.y }, followScent: true });
-  return { state: AI_STATE.SEEKING_FOOD, target: { x: food.x, y: food.y } };
+  executeSmartMovement(dwarf, state, { targetPos: at(food), followScent: true });
+  return { state: AI_STATE.SEEKING_FOOD, target: at(food) };
 }
 
 function workSeekShelter(dwarf, state) {
@@ -820,7 +1072,7 @@ function workHunt(dwarf, state) {
     if (!state.resources) state.resources = [];
     for (const item of result.loot || []) {
       if (item.type === 'meat') continue;
-      state.resources.push({ ...item, amount: item.amount || 1, x: prey.x, y: prey.y });
+      state.resources.push({ ...item, id: nextId(), amount: item.amount || 1, x: prey.x, y: prey.y });
     }
 
     dwarf.currentTask = null;
@@ -979,6 +1231,77 @@ function workRest(dwarf, state) {
   return { state: AI_STATE.SLEEPING, target };
 }
 
+/**
+ * Walk to the patient and dress their wounds, one at a time, until none
+ * is left undressed
+ */
+function workTreat(dwarf, state) {
+  const target = dwarf.currentTask?.target;
+  const patient = target && state.dwarves.find(d => d.id === target.patientId);
+  if (!patient || patient.hp <= 0 || !(patient.injuries || []).some(i => !i.treated)) {
+    dwarf.currentTask = null;
+    return findNewTask(dwarf, state);
+  }
+
+  // Patients on their way to a bed keep moving; follow them
+  target.x = patient.x;
+  target.y = patient.y;
+
+  if (!withinReach(dwarf, patient)) {
+    executeSmartMovement(dwarf, state, { targetPos: at(patient) });
+    return { state: AI_STATE.TREATING, target: { x: patient.x, y: patient.y } };
+  }
+
+  treatPatient(dwarf, patient, state);
+  if (!patient.injuries.some(i => !i.treated)) {
+    satisfyFulfillment(dwarf, 'social', 0.2);
+    dwarf.currentTask = null;
+  }
+  return { state: AI_STATE.TREATING, target: { x: patient.x, y: patient.y } };
+}
+
+/**
+ * Go to a hospital bed and lie there until well enough to leave
+ */
+function workRecover(dwarf, state) {
+  const berth = dwarf.currentTask?.target;
+  if (!berth || !needsCare(dwarf)) {
+    dwarf.currentTask = null;
+    return findNewTask(dwarf, state);
+  }
+
+  if (dwarf.x === berth.x && dwarf.y === berth.y) {
+    dwarf.energy = Math.min(100, (dwarf.energy ?? 100) + 0.1);
+    return { state: AI_STATE.RECOVERING, target: { x: berth.x, y: berth.y } };
+  }
+
+  executeSmartMovement(dwarf, state, { targetPos: { x: berth.x, y: berth.y } });
+  return { state: AI_STATE.SEEKING_CARE, target: { x: berth.x, y: berth.y } };
+}
+
+/**
+ * Walk to the remains and dig them a grave where they lie
+ */
+function workBury(dwarf, state) {
+  const target = dwarf.currentTask?.target;
+  const body = target && getRemains().find(r => r.id === target.remainsId);
+  if (!body) {
+    dwarf.currentTask = null;
+    return findNewTask(dwarf, state);
+  }
+
+  if (!withinReach(dwarf, body)) {
+    executeSmartMovement(dwarf, state, { targetPos: at(body) });
+    return { state: AI_STATE.BURYING, target: { x: body.x, y: body.y } };
+  }
+
+  if (buryRemains(dwarf, body, state)) {
+    satisfyFulfillment(dwarf, 'tranquility', 0.2);
+    dwarf.currentTask = null;
+  }
+  return { state: AI_STATE.BURYING, target: { x: body.x, y: body.y } };
+}
+
 /**
  * Pursue an LLM-thought destination (audit WALK R4). Arrival emits
  * INTENTION_FULFILLED so the thought system can close the loop with a
@@ -1053,8 +1376,8 @@ function pickExploreTarget(dwarf, state) {
   let bestScore = -Infinity;
 
   for (let i = 0; i < 12; i++) {
-    const angle = Math.random() * Math.PI * 2;
-    const range = 8 + Math.floor(Math.random() * 14);
+    const angle = random() * Math.PI * 2;
+    const range = 8 + Math.floor(random() * 14);
     const x = Math.max(1, Math.min(state.map.width - 2, Math.floor(dwarf.x + Math.cos(angle) * range)));
     const y = Math.max(1, Math.min(state.map.height - 2, Math.floor(dwarf.y + Math.sin(angle) * range)));
     if (!isPassable(state, x, y)) continue;
@@ -1112,7 +1435,7 @@ function decideIdle(dwarf, state) {
   satisfyFulfillment(dwarf, 'tranquility', 0.05);
 
   // Occasional gentle movement
-  if (Math.random() < 0.3) {
+  if (random() < 0.3) {
     executeSmartMovement(dwarf, state, { exploreBias: false });
     return { state: AI_STATE.WANDERING, target: null };
   }
@@ -1131,8 +1454,8 @@ function decideCritical(dwarf, state) {
     return { state: AI_STATE.WANDERING, target: null };
   }
 
-  executeSmartMovement(dwarf, state, { targetPos: { x: food.x, y: food.y } });
-  return { state: AI_STATE.SEEKING_FOOD, target: { x: food.x, y: food.y } };
+  executeSmartMovement(dwarf, state, { targetPos: at(food) });
+  return { state: AI_STATE.SEEKING_FOOD, target: at(food) };
 }
 
 // === HELPER FUNCTIONS ===
@@ -1263,10 +1586,18 @@ function findNearestShelter(dwarf, state) {
   return best;
 }
 
+// A task target as a movement goal; anything without a z is on the surface
+function at(pos) {
+  return { x: pos.x, y: pos.y, z: pos.z ?? 0 };
+}
+
+// Close enough to work on, and on the same level
+function withinReach(dwarf, target, range = CONFIG.WORK_RANGE) {
+  return onSameLevel(dwarf, target) && distance(dwarf, target) <= range;
+}
+
 function getTileAt(x, y, state) {
-  if (x < 0 || x >= state.map.width || y < 0 || y >= state.map.height) return null;
-  const tile = state.map.tiles[y * state.map.width + x];
-  return tile?.type || null;
+  return getTile(state.map, x, y)?.type || null;
 }
 
 // === COMBAT FUNCTIONS ===
@@ -1278,8 +1609,8 @@ function decideCombatResponse(dwarf, threat, state) {
   const bravery = dwarf.personality?.bravery || 0.5;
   const hpRatio = dwarf.hp / dwarf.maxHp;
 
-  // Check if we should flee
-  if (shouldFlee(dwarf) || (hpRatio < 0.4 && bravery < 0.4)) {
+  // Check if we should flee (a shaken soldier runs whatever their nature)
+  if (shouldFlee(dwarf) || isShaken(dwarf) || (hpRatio < 0.4 && bravery < 0.4)) {
     return fleeFromThreat(dwarf, state);
   }
 
@@ -1299,6 +1630,48 @@ function decideCombatResponse(dwarf, threat, state) {
   return fleeFromThreat(dwarf, state);
 }
 
+/**
+ * Carry out squad duty: fight the duty's threat, else go to the post and
+ * hold it (drilling, guarding, or walking the patrol). Returns null to
+ * leave the dwarf to their own devices — starving, badly hurt or shaken,
+ * or hungry during a training day.
+ */
+function decideSoldier(dwarf, duty, state) {
+  if (isCritical(dwarf) || shouldFlee(dwarf) || isShaken(dwarf)) return null;
+  if (duty.kind === SQUAD_ROUTINE.TRAIN && isHungry(dwarf)) return null;
+  // The wounded are off duty while a hospital bed waits for them
+  if (needsCare(dwarf) && findBerth(dwarf, state)) return null;
+
+  const threat = findDutyThreat(dwarf, duty, state);
+  if (threat) return engageThreat(dwarf, threat, state);
+
+  dwarf.currentTask = null;
+
+  // Between fights, soldiers arm themselves with the best gear lying about
+  const gear = findGearUpgrade(dwarf, state);
+  if (gear && distance(dwarf, gear) > 0) {
+    dwarf.gearTarget = gear.id;
+    executeSmartMovement(dwarf, state, { targetPos: at(gear) });
+    return { state: AI_STATE.ARMING, target: { x: gear.x, y: gear.y } };
+  }
+  if (gear) {
+    equipItem(dwarf, gear, state);
+    addLog(state, `${getDisplayName(dwarf)} takes up the ${describeGear(gear)}.`);
+  }
+
+  const patrolling = duty.kind === SQUAD_ROUTINE.PATROL;
+  if (!isAtPost(dwarf, duty)) {
+    executeSmartMovement(dwarf, state, { targetPos: duty.post });
+    return { state: patrolling ? AI_STATE.PATROLLING : AI_STATE.MARCHING, target: duty.post };
+  }
+
+  arriveAtPost(dwarf, duty, state);
+  let atPost = AI_STATE.GUARDING;
+  if (patrolling) atPost = AI_STATE.PATROLLING;
+  else if (duty.kind === SQUAD_ROUTINE.TRAIN) atPost = AI_STATE.TRAINING;
+  return { state: atPost, target: { x: dwarf.x, y: dwarf.y } };
+}
+
 /**
  * Engage a threat: workFighting attacks in range or moves one step closer
  * via the movement.js system (single mover, see world.js act())
@@ -1357,8 +1730,8 @@ function continueFleeing(dwarf, state) {
 export function workFighting(dwarf, state) {
   const target = dwarf.target?.entity;
 
-  if (!target || target.hp <= 0 || target.state === 'dead') {
-    // Target gone, return to normal
+  if (!target || target.hp <= 0 || target.state === 'dead' || target.state === 'prisoner') {
+    // Target gone (or yielded), return to normal
     dwarf.currentTask = null;
     dwarf.target = null;
     return findNewTask(dwarf, state);
@@ -1381,8 +1754,8 @@ export function workFighting(dwarf, state) {
     };
   }
 
-  // Move toward target
-  executeSmartMovement(dwarf, state, { targetPos: { x: target.x, y: target.y } });
+  // Move toward target, following it between levels
+  executeSmartMovement(dwarf, state, { targetPos: at(target) });
 
   return {
     state: AI_STATE.FIGHTING,
@@ -14,6 +14,7 @@
 import { VISITOR_ROLE, RACE } from '../sim/races.js';
 import { findFortressCenter } from '../sim/edges.js';
 import { getStructures } from '../sim/construction.js';
+import { random } from '../sim/rng.js';
 
 const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
 
@@ -71,7 +72,7 @@ function nearestLandmarks(state, pos, count) {
 }
 
 /**
- * Build the stop list for one visitor. Deterministic given Math.random.
+ * Build the stop list for one visitor. Deterministic given the simulation RNG.
  * Stop shape: { x, y, name, linger, satisfaction, narrate, skittish }
  *   linger       - ticks to spend at the stop once within reach
  *   satisfaction - satisfaction gained per linger tick
@@ -86,17 +87,18 @@ export function buildItinerary(visitor, state) {
   if (!state?.map) return [];
 
   switch (visitor.role) {
-    // Raiders, guards and diplomats are all business
+    // Raiders, guards, diplomats and refugees are all business
     case VISITOR_ROLE.RAIDER:
     case VISITOR_ROLE.CARAVAN_GUARD:
     case VISITOR_ROLE.DIPLOMAT:
+    case VISITOR_ROLE.REFUGEE:
       return [];
 
     case VISITOR_ROLE.SCOUT: {
       // Orbit the settlement: 3 observation points around the fortress
       // center, approached in a circuit from wherever the scout entered
       const center = findFortressCenter(state);
-      const radius = 9 + Math.random() * 4;
+      const radius = 9 + random() * 4;
       const startAngle = Math.atan2(visitor.y - center.y, visitor.x - center.x);
       const stops = [];
       for (let k = 0; k < 3; k++) {
@@ -109,7 +111,7 @@ export function buildItinerary(visitor, state) {
         stops.push({
           ...point,
           name: 'a vantage point',
-          linger: 20 + (Math.random() * 15 | 0),
+          linger: 20 + (random() * 15 | 0),
           satisfaction: 0.8,
           narrate: k === 0, // "was seen watching" once per scout
           skittish: true,
@@ -128,7 +130,7 @@ export function buildItinerary(visitor, state) {
             x: landmark.x,
             y: landmark.y,
             name: landmark.name,
-            linger: 35 + (Math.random() * 15 | 0),
+            linger: 35 + (random() * 15 | 0),
             satisfaction: 0.4,
             narrate: true,
           });
@@ -137,7 +139,7 @@ export function buildItinerary(visitor, state) {
       }
 
       // Merchants sometimes detour past one landmark on the way to market
-      if (visitor.role === VISITOR_ROLE.MERCHANT && Math.random() < 0.5) {
+      if (visitor.role === VISITOR_ROLE.MERCHANT && random() < 0.5) {
         const [landmark] = nearestLandmarks(state, visitor, 1);
         if (landmark) {
           stops.push({
@@ -10,6 +10,8 @@ import { distance, addMemory, satisfyFulfillment } from '../sim/entities.js';
 import { on, emit, EVENTS } from '../events/eventBus.js';
 import { getWorldLore, buildChronicle, buildLocalContext, getTileDescription } from '../llm/worldContext.js';
 import { parseIntent } from './intentions.js';
+import { submitInput, registerInputHandler, isReplaying, INPUT_KIND } from '../sim/inputLog.js';
+import { getTile } from '../map/map.js';
 
 /**
  * System context for ambient calls: L0 world lore + L1 chronicle.
@@ -87,6 +89,10 @@ export function initThoughtSystem(worldState, callbacks = {}) {
     console.log(`[Thoughts] LLM ${available ? 'connected' : 'offline, using fallbacks'}`);
   });
 
+  // A replay feeds recorded thoughts and speech through the input log;
+  // generating new ones would only be thrown away
+  if (isReplaying()) return;
+
   // Subscribe to events
   subscribeToEvents();
 
@@ -252,8 +258,7 @@ async function handleFoodFound({ dwarf, food, worldState }) {
   const thought = await generateEventThought(dwarf, 'food_found', context);
 
   if (thought) {
-    recordThought(dwarf, thought, 'food_found');
-    addMemory(dwarf, 'event', 'Found food', state.worldState?.tick || 0);
+    recordThought(dwarf, thought, 'food_found', 'Found food');
   }
 }
 
@@ -356,8 +361,7 @@ async function handleIntentionFulfilled({ dwarf, intention }) {
   const thought = await generateEventThought(dwarf, 'arrival', context);
 
   if (thought) {
-    recordThought(dwarf, thought, 'arrival');
-    addMemory(dwarf, 'event', `Reached ${context.arrivedAt}`, state.worldState?.tick || 0);
+    recordThought(dwarf, thought, 'arrival', `Reached ${context.arrivedAt}`);
   }
 }
 
@@ -410,14 +414,7 @@ async function startConversation(initiator, target, initiatorThought) {
 
   state.activeConversations.set(convId, conversation);
 
-  // Update relationships
-  updateRelationship(initiator, target, 'spoke', speech);
-
-  // Notify callbacks
-  state.onSpeechCallback(initiator, target, speech);
-
-  // Add to conversation log
-  addToConversationLog(initiator, target, initiator.name, speech);
+  recordSpeech(initiator, target, speech, 'spoke');
 
   // Schedule response
   const responseDelay = 2000 + Math.random() * 2000;
@@ -467,14 +464,7 @@ async function continueConversation(convId, responder, previousSpeaker) {
   });
   conversation.turns++;
 
-  // Update relationships
-  updateRelationship(responder, previousSpeaker, 'responded', response);
-
-  // Notify callbacks
-  state.onSpeechCallback(responder, previousSpeaker, response);
-
-  // Add to conversation log
-  addToConversationLog(responder, previousSpeaker, responder.name, response);
+  recordSpeech(responder, previousSpeaker, response, 'responded');
 
   // Maybe continue (50% chance for another exchange)
   if (Math.random() < 0.5 && conversation.turns < CONFIG.MAX_CONVERSATION_TURNS) {
@@ -499,7 +489,11 @@ function endConversation(convId) {
       const dwarf = dwarves.find(d => d.id === participantId);
       if (dwarf) {
         const otherName = conversation.messages.find(m => m.speakerId !== participantId)?.speakerName || 'someone';
-        addMemory(dwarf, 'conversation', `Talked with ${otherName}`, state.worldState?.tick || 0);
+        submitInput(state.worldState, INPUT_KIND.MEMORY, {
+          dwarfId: dwarf.id,
+          memoryType: 'conversation',
+          text: `Talked with ${otherName}`,
+        });
       }
     }
   }
@@ -551,28 +545,43 @@ function startBackgroundLoop() {
 // HELPER FUNCTIONS
 // ============================================================
 
-function recordThought(dwarf, thought, type) {
+/**
+ * A generated thought enters the world through the input log (replays
+ * re-apply it at the same tick). eventMemory is an extra 'event' memory
+ * laid down with it ('Found food', 'Reached ...').
+ */
+function recordThought(dwarf, thought, type, eventMemory = null) {
+  state.thoughtCooldowns.set(dwarf.id, Date.now());
+  submitInput(state.worldState, INPUT_KIND.THOUGHT, { dwarfId: dwarf.id, thought, type, eventMemory });
+}
+
+function applyThought(world, { dwarfId, thought, type, eventMemory }) {
+  const dwarf = world?.dwarves?.find(d => d.id === dwarfId);
+  if (!dwarf) return;
+  const tick = world.tick || 0;
+
   state.activeThoughts.set(dwarf.id, {
     thought,
     type,
     timestamp: Date.now(),
   });
 
-  state.thoughtCooldowns.set(dwarf.id, Date.now());
-
   // Update dwarf's current thought
   dwarf.currentThought = thought;
-  dwarf.lastThoughtTick = state.worldState?.tick || 0;
+  dwarf.lastThoughtTick = tick;
 
   // Add to memory
-  addMemory(dwarf, 'thought', thought, state.worldState?.tick || 0);
+  addMemory(dwarf, 'thought', thought, tick);
+  if (eventMemory) {
+    addMemory(dwarf, 'event', eventMemory, tick);
+  }
 
   // Thoughts become destinations (audit WALK R4): if this thought names a
   // place the dwarf knows, it becomes an actionable intention (newest wins).
   // Arrival thoughts don't spawn new journeys — no infinite loops.
   if (type !== 'arrival') {
     try {
-      const intent = parseIntent(thought, dwarf, state.worldState);
+      const intent = parseIntent(thought, dwarf, world);
       if (intent) {
         dwarf.intention = intent;
       }
@@ -582,10 +591,46 @@ function recordThought(dwarf, thought, type) {
   }
 
   // Notify callbacks
-  state.onThoughtCallback(dwarf, thought);
-  state.onSidebarUpdate(getAllThoughts());
+  state.onThoughtCallback?.(dwarf, thought);
+  state.onSidebarUpdate?.(getAllThoughts());
+}
+
+/**
+ * One spoken line of a conversation (input log, like thoughts)
+ */
+function recordSpeech(speaker, listener, text, action) {
+  submitInput(state.worldState, INPUT_KIND.SPEECH, {
+    speakerId: speaker.id,
+    listenerId: listener.id,
+    text,
+    action,
+  });
+}
+
+function applySpeech(world, { speakerId, listenerId, text, action }) {
+  const speaker = world?.dwarves?.find(d => d.id === speakerId);
+  const listener = world?.dwarves?.find(d => d.id === listenerId);
+  if (!speaker || !listener) return;
+
+  // Update relationships
+  updateRelationship(speaker, listener, action, world.tick || 0);
+
+  // Notify callbacks
+  state.onSpeechCallback?.(speaker, listener, text);
+
+  // Add to conversation log
+  addToConversationLog(speaker, listener, speaker.name, text, world.tick || 0);
 }
 
+function applyMemory(world, { dwarfId, memoryType, text }) {
+  const dwarf = world?.dwarves?.find(d => d.id === dwarfId);
+  if (dwarf) addMemory(dwarf, memoryType, text, world.tick || 0);
+}
+
+registerInputHandler(INPUT_KIND.THOUGHT, applyThought);
+registerInputHandler(INPUT_KIND.SPEECH, applySpeech);
+registerInputHandler(INPUT_KIND.MEMORY, applyMemory);
+
 function isOnThoughtCooldown(dwarfId) {
   const lastThought = state.thoughtCooldowns.get(dwarfId);
   if (!lastThought) return false;
@@ -617,11 +662,10 @@ function findNearbyDwarves(dwarf, range) {
 
 function getTileType(x, y, worldState = state.worldState) {
   if (!worldState?.map) return null;
-  const tile = worldState.map.tiles[y * worldState.map.width + x];
-  return tile?.type || null;
+  return getTile(worldState.map, x, y)?.type || null;
 }
 
-function updateRelationship(dwarf1, dwarf2, action, text = '') {
+function updateRelationship(dwarf1, dwarf2, action, tick) {
   if (!dwarf1.relationships) dwarf1.relationships = {};
   if (!dwarf2.relationships) dwarf2.relationships = {};
 
@@ -647,19 +691,19 @@ function updateRelationship(dwarf1, dwarf2, action, text = '') {
   // Update both relationships
   dwarf1.relationships[dwarf2.id].affinity += affinityChange;
   dwarf1.relationships[dwarf2.id].interactions++;
-  dwarf1.relationships[dwarf2.id].lastInteraction = state.worldState?.tick || 0;
+  dwarf1.relationships[dwarf2.id].lastInteraction = tick;
 
   dwarf2.relationships[dwarf1.id].affinity += affinityChange;
   dwarf2.relationships[dwarf1.id].interactions++;
-  dwarf2.relationships[dwarf1.id].lastInteraction = state.worldState?.tick || 0;
+  dwarf2.relationships[dwarf1.id].lastInteraction = tick;
 
   // Mood boost from social interaction
   dwarf1.mood = Math.min(100, (dwarf1.mood || 50) + 2);
   dwarf2.mood = Math.min(100, (dwarf2.mood || 50) + 2);
 }
 
-function addToConversationLog(speaker, listener, speakerName, text) {
-  const entry = { speaker: speakerName, text, tick: state.worldState?.tick || 0 };
+function addToConversationLog(speaker, listener, speakerName, text, tick) {
+  const entry = { speaker: speakerName, text, tick };
 
   if (speaker.relationships?.[listener.id]) {
     const log = speaker.relationships[listener.id].conversationLog || [];
@@ -701,6 +745,32 @@ export function getAllThoughts() {
   return thoughts.sort((a, b) => a.age - b.age);
 }
 
+/**
+ * Live thoughts for a save. Cooldowns and in-flight conversations are
+ * wall-clock/LLM-queue state and restart cold; what a dwarf is thinking
+ * (and everything on dwarf.memory) carries over.
+ */
+export function exportThoughtState() {
+  return {
+    activeThoughts: Array.from(state.activeThoughts, ([dwarfId, data]) => [
+      dwarfId,
+      { thought: data.thought, type: data.type },
+    ]),
+  };
+}
+
+/**
+ * Restore live thoughts from a save (call between stopThoughtSystem and
+ * initThoughtSystem)
+ */
+export function importThoughtState(data) {
+  state.activeThoughts.clear();
+  const now = Date.now();
+  for (const [dwarfId, entry] of data?.activeThoughts || []) {
+    state.activeThoughts.set(dwarfId, { ...entry, timestamp: now });
+  }
+}
+
 export function getActiveConversations() {
   return Array.from(state.activeConversations.values());
 }
@@ -1,32 +1,40 @@
 /**
  * Visitor AI - Behavior System for External Visitors
- * Handles decision-making for humans (merchants), goblins (raiders), and elves (missionaries)
+ * Handles decision-making for humans (merchants), goblins (raiders), and elves (missionaries),
+ * and for the prisoners, petitioners and refugees hoping to join the fortress (settlers.js)
  */
 
-import { distance } from '../sim/entities.js';
-import { VISITOR_STATE, shouldFlee, isSatisfied, addSatisfaction } from '../sim/visitors.js';
+import { distance, onSameLevel } from '../sim/entities.js';
+import { VISITOR_STATE, shouldFlee, isSatisfied, isHostile, addSatisfaction, getGroupMembers } from '../sim/visitors.js';
 import { VISITOR_ROLE, RACE } from '../sim/races.js';
 import { findFortressCenter, findExitPosition, isNearEdge } from '../sim/edges.js';
 import { findNearestDwarf, inAttackRange, attemptAttack } from '../sim/combat.js';
 import { isPassable, canAffordMove, findPath, getScentGradient, SCENT_CHANNEL } from '../sim/movement.js';
 import { ensureItinerary, currentStop, advanceStop, findMarketSpot } from './itineraries.js';
 import { queueEventForNarration } from '../llm/eventNarrator.js';
+import { openShop } from '../sim/trade.js';
+import { openNegotiation, keepNegotiating } from '../sim/diplomacy.js';
+import { decideRaidObjective, recordEscape, RAID_OBJECTIVE } from '../sim/raids.js';
+import { PETITION_KIND, openPetition, keepPetitioning, askToStay } from '../sim/settlers.js';
+import { HISTORICAL_EVENT, recordVisitorOutcome } from '../sim/history.js';
 import { addLog } from '../state/store.js';
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from '../sim/rng.js';
 
 // Configuration
 const CONFIG = {
   ARRIVING_DISTANCE: 3,        // Distance from fortress to switch from arriving to active
   INTERACTION_RANGE: 2,        // Range for social interactions
-  ATTACK_RANGE: 1,             // Must be adjacent to attack
   FLEE_EDGE_DISTANCE: 2,       // How close to edge to despawn
-  SATISFACTION_PER_TRADE: 25,  // Satisfaction gained per trade
+  SATISFACTION_PER_BROWSE: 0.1, // Satisfaction per tick a dwarf browses the wares
+  SATISFACTION_WHILE_TRADING: 0.1, // Passive gain per tick at the market (~1000 ticks open)
   SATISFACTION_PER_PREACH: 15, // Satisfaction gained per preach
   SATISFACTION_PER_LOOT: 20,   // Satisfaction gained per successful attack
   SCOUT_OBSERVE_TICKS: 100,    // How long scouts observe before leaving
   STOP_REACH: 2,               // Close enough to an itinerary stop to linger
   STOP_TIMEOUT_TICKS: 300,     // Give up on an unreachable stop
   PATH_MAX_NODES: 600,         // A* search budget per leg (audit WALK R9)
+  PATH_RETRY_TICKS: 30,        // Wait after a failed search before trying the same goal again
   RAIDER_SIGHT: 14,            // Beyond this raiders track presence scent, not minds (WALK R7)
 };
 
@@ -39,13 +47,25 @@ export function decideVisitor(visitor, state) {
     return { state: VISITOR_STATE.DEAD, target: null };
   }
 
-  // Check for fleeing condition
-  if (shouldFlee(visitor)) {
+  // Prisoners go where they're kept, however hurt (settlers.js)
+  if (visitor.state === VISITOR_STATE.PRISONER) {
+    return { state: VISITOR_STATE.PRISONER, target: findFortressCenter(state) };
+  }
+
+  // Check for fleeing condition (a raid whose warchief fell runs too)
+  if (shouldFlee(visitor) || visitor.routed) {
     return decideFlee(visitor, state);
   }
 
-  // Check if satisfied and ready to leave
+  // Asked to stay: wait for the dwarves' answer (settlers.js resolvePetition)
+  if (visitor.state === VISITOR_STATE.PETITIONING) {
+    if (keepPetitioning(visitor, state)) return { state: VISITOR_STATE.PETITIONING, target: null };
+    return decideLeave(visitor, state);
+  }
+
+  // Check if satisfied and ready to leave; a content guest may ask to stay
   if (isSatisfied(visitor)) {
+    if (askToStay(visitor, state)) return { state: VISITOR_STATE.PETITIONING, target: null };
     return decideLeave(visitor, state);
   }
 
@@ -73,6 +93,8 @@ export function decideVisitor(visitor, state) {
       return decideMissionary(visitor, state);
     case VISITOR_ROLE.DIPLOMAT:
       return decideDiplomat(visitor, state);
+    case VISITOR_ROLE.REFUGEE:
+      return decideRefugee(visitor, state);
     default:
       return decideDefault(visitor, state);
   }
@@ -93,6 +115,14 @@ export function actVisitor(visitor, state) {
       return actRaiding(visitor, state);
     case VISITOR_STATE.PREACHING:
       return actPreaching(visitor, state);
+    case VISITOR_STATE.NEGOTIATING:
+      return actNegotiating(visitor, state);
+    case VISITOR_STATE.CAMPING:
+      return actCamping(visitor, state);
+    case VISITOR_STATE.PETITIONING:
+      return actNegotiating(visitor, state);
+    case VISITOR_STATE.PRISONER:
+      return actPrisoner(visitor, state);
     case VISITOR_STATE.FIGHTING:
       return actFighting(visitor, state);
     case VISITOR_STATE.FLEEING:
@@ -172,17 +202,18 @@ function decideMerchant(visitor, state) {
       const distToMarket = distance(visitor, market);
       if (distToMarket <= CONFIG.ARRIVING_DISTANCE) {
         // Reached the market, set up shop
+        openShop(visitor, state);
         return { state: VISITOR_STATE.TRADING, target: market };
       }
       return { state: VISITOR_STATE.ARRIVING, target: market };
     }
 
     case VISITOR_STATE.TRADING: {
-      // Look for dwarves to trade with
+      // Deals are struck from the trade panel (trade.js); dwarves passing
+      // by only browse
       const nearbyDwarf = findNearestDwarf(visitor, state);
       if (nearbyDwarf && distance(visitor, nearbyDwarf) <= CONFIG.INTERACTION_RANGE) {
-        // Trade interaction
-        addSatisfaction(visitor, CONFIG.SATISFACTION_PER_TRADE * 0.2);
+        addSatisfaction(visitor, CONFIG.SATISFACTION_PER_BROWSE);
         visitor.interactionCount++;
       }
       return { state: VISITOR_STATE.TRADING, target: market };
@@ -219,6 +250,10 @@ function decideGuard(visitor, state) {
 // ========== RAIDER DECISIONS ==========
 
 function decideRaider(visitor, state) {
+  // Raid waves camp and work their objectives first (raids.js)
+  const objective = decideRaidObjective(visitor, state);
+  if (objective) return objective;
+
   // Find a target
   const target = findNearestDwarf(visitor, state);
   const dist = target ? distance(visitor, target) : Infinity;
@@ -241,13 +276,13 @@ function decideRaider(visitor, state) {
     return { state: VISITOR_STATE.RAIDING, target: null };
   }
 
-  if (dist <= CONFIG.ATTACK_RANGE) {
+  if (inAttackRange(visitor, target)) {
     // Attack!
     return { state: VISITOR_STATE.FIGHTING, target };
   }
 
-  // Move toward target
-  return { state: VISITOR_STATE.RAIDING, target: { x: target.x, y: target.y } };
+  // Move toward target, down the stairs if it is below
+  return { state: VISITOR_STATE.RAIDING, target: { x: target.x, y: target.y, z: target.z ?? 0 } };
 }
 
 // ========== SCOUT DECISIONS ==========
@@ -324,18 +359,52 @@ function decideDiplomat(visitor, state) {
     case VISITOR_STATE.ARRIVING:
       const distToCenter = distance(visitor, fortressCenter);
       if (distToCenter <= CONFIG.ARRIVING_DISTANCE) {
-        // Deliver message
-        emit(EVENTS.DIPLOMACY_MESSAGE, { visitor, race: visitor.race });
+        // Deliver message, and terms when the race has some to put
+        const negotiation = openNegotiation(visitor, state);
+        emit(EVENTS.DIPLOMACY_MESSAGE, { visitor, race: visitor.race, terms: negotiation?.terms ?? null });
+        recordVisitorOutcome(state, HISTORICAL_EVENT.ENVOY_RECEIVED, visitor);
+        if (negotiation) return { state: VISITOR_STATE.NEGOTIATING, target: null };
         addSatisfaction(visitor, visitor.satisfactionThreshold);
         return decideLeave(visitor, state);
       }
       return { state: VISITOR_STATE.ARRIVING, target: fortressCenter };
 
+    case VISITOR_STATE.NEGOTIATING:
+      // Wait for the dwarves' answer (diplomacy.js resolveReply)
+      if (keepNegotiating(visitor, state)) return { state: VISITOR_STATE.NEGOTIATING, target: null };
+      return decideLeave(visitor, state);
+
     default:
       return { state: VISITOR_STATE.ARRIVING, target: fortressCenter };
   }
 }
 
+// ========== REFUGEE DECISIONS ==========
+
+function decideRefugee(visitor, state) {
+  const fortressCenter = findFortressCenter(state);
+
+  if (distance(visitor, fortressCenter) > CONFIG.ARRIVING_DISTANCE) {
+    return { state: VISITOR_STATE.ARRIVING, target: fortressCenter };
+  }
+
+  // The band's leader (or whoever of the band is left) asks for shelter;
+  // the rest wait beside them
+  const band = getGroupMembers(visitor, state.visitors);
+  const leader = band.find(v => v.groupLeader) || band[0];
+  if (leader !== visitor) {
+    if (keepPetitioning(visitor, state)) return { state: VISITOR_STATE.PETITIONING, target: null };
+    return { state: VISITOR_STATE.ARRIVING, target: fortressCenter };
+  }
+  if (openPetition(visitor, state, PETITION_KIND.REFUGEE)) {
+    return { state: VISITOR_STATE.PETITIONING, target: null };
+  }
+
+  // No room for them: the band moves on
+  for (const member of band) addSatisfaction(member, member.satisfactionThreshold);
+  return decideLeave(visitor, state);
+}
+
 // ========== FLEE & LEAVE DECISIONS ==========
 
 function decideFlee(visitor, state) {
@@ -381,9 +450,9 @@ function actTouring(visitor, state) {
 
   if (distance(visitor, visitor.target) <= CONFIG.STOP_REACH) {
     // Lingering: an occasional shuffle so they look alive, not frozen
-    if (Math.random() < 0.06) {
-      const dx = Math.floor(Math.random() * 3) - 1;
-      const dy = Math.floor(Math.random() * 3) - 1;
+    if (random() < 0.06) {
+      const dx = Math.floor(random() * 3) - 1;
+      const dy = Math.floor(random() * 3) - 1;
       tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
     }
     return;
@@ -394,23 +463,30 @@ function actTouring(visitor, state) {
 
 function actTrading(visitor, state) {
   // Stay near trading spot, occasionally move
-  if (Math.random() < 0.1) {
-    const dx = Math.floor(Math.random() * 3) - 1;
-    const dy = Math.floor(Math.random() * 3) - 1;
+  if (random() < 0.1) {
+    const dx = Math.floor(random() * 3) - 1;
+    const dy = Math.floor(random() * 3) - 1;
     tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
   }
 
-  // Passive satisfaction gain while trading
-  addSatisfaction(visitor, 0.5);
+  // Passive satisfaction gain while trading; deals add more (trade.js)
+  addSatisfaction(visitor, CONFIG.SATISFACTION_WHILE_TRADING);
 }
 
 function actRaiding(visitor, state) {
+  // Raiders on an objective walk real paths; no target means they're at
+  // work (a torch to the walls, a grip on a dwarf)
+  if (visitor.objective && visitor.objective !== RAID_OBJECTIVE.ATTACK) {
+    if (visitor.target) moveAlongPath(visitor, state);
+    return;
+  }
+
   if (visitor.target) {
-    moveTowardTarget(visitor, state);
+    chaseTarget(visitor, state);
   } else {
     // Wander looking for targets
-    const dx = Math.floor(Math.random() * 3) - 1;
-    const dy = Math.floor(Math.random() * 3) - 1;
+    const dx = Math.floor(random() * 3) - 1;
+    const dy = Math.floor(random() * 3) - 1;
     tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
   }
 }
@@ -421,6 +497,35 @@ function actPreaching(visitor, state) {
   }
 }
 
+function actNegotiating(visitor, state) {
+  // Hold court near the fortress, pacing now and then
+  if (random() < 0.05) {
+    const dx = Math.floor(random() * 3) - 1;
+    const dy = Math.floor(random() * 3) - 1;
+    tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
+  }
+}
+
+function actPrisoner(visitor, state) {
+  // Led to the middle of the fortress, then held there
+  if (visitor.target && distance(visitor, visitor.target) > 2) {
+    moveAlongPath(visitor, state);
+  }
+}
+
+function actCamping(visitor, state) {
+  if (visitor.target && distance(visitor, visitor.target) > 2) {
+    moveAlongPath(visitor, state);
+    return;
+  }
+  // Milling about the fires
+  if (random() < 0.1) {
+    const dx = Math.floor(random() * 3) - 1;
+    const dy = Math.floor(random() * 3) - 1;
+    tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
+  }
+}
+
 function actFighting(visitor, state) {
   const target = visitor.target;
 
@@ -432,9 +537,7 @@ function actFighting(visitor, state) {
     return;
   }
 
-  const dist = distance(visitor, target);
-
-  if (dist <= CONFIG.ATTACK_RANGE) {
+  if (inAttackRange(visitor, target)) {
     // Attack
     const result = attemptAttack(visitor, target, state);
     if (result.killed) {
@@ -444,7 +547,7 @@ function actFighting(visitor, state) {
     }
   } else {
     // Move toward target
-    moveTowardTarget(visitor, state);
+    chaseTarget(visitor, state);
   }
 }
 
@@ -459,6 +562,9 @@ function actFleeing(visitor, state) {
   if (isNearEdge(visitor.x, visitor.y, state.map, CONFIG.FLEE_EDGE_DISTANCE)) {
     visitor.state = VISITOR_STATE.DEAD; // Remove from map
     emit(EVENTS.VISITOR_LEFT, { visitor, reason: 'fled' });
+    recordEscape(visitor, state);
+    const outcome = isHostile(visitor) ? HISTORICAL_EVENT.RAID_REPELLED : HISTORICAL_EVENT.GUEST_DRIVEN_OFF;
+    recordVisitorOutcome(state, outcome, visitor);
   }
 }
 
@@ -473,14 +579,30 @@ function actLeaving(visitor, state) {
   if (isNearEdge(visitor.x, visitor.y, state.map, CONFIG.FLEE_EDGE_DISTANCE)) {
     visitor.state = VISITOR_STATE.DEAD; // Remove from map
     emit(EVENTS.VISITOR_LEFT, { visitor, reason: 'satisfied' });
+    recordDeparture(visitor, state);
+    recordEscape(visitor, state);
+  }
+}
+
+/**
+ * What a visit that ended well leaves in the history: a caravan that traded,
+ * a missionary who found listeners
+ */
+function recordDeparture(visitor, state) {
+  if (visitor.role === VISITOR_ROLE.MERCHANT && visitor.tradeValue > 0 && visitor.patience > 0) {
+    // Bigger deals, warmer relations
+    const relationChange = 2 + Math.min(8, Math.floor(visitor.tradeValue / 25));
+    recordVisitorOutcome(state, HISTORICAL_EVENT.CARAVAN_TRADE, visitor, { relationChange });
+  } else if (visitor.role === VISITOR_ROLE.MISSIONARY && visitor.interactionCount > 0) {
+    recordVisitorOutcome(state, HISTORICAL_EVENT.SERMON_HEARD, visitor);
   }
 }
 
 function actDefault(visitor, state) {
   // Wander
-  if (Math.random() < 0.3) {
-    const dx = Math.floor(Math.random() * 3) - 1;
-    const dy = Math.floor(Math.random() * 3) - 1;
+  if (random() < 0.3) {
+    const dx = Math.floor(random() * 3) - 1;
+    const dy = Math.floor(random() * 3) - 1;
     tryMove(visitor, visitor.x + dx, visitor.y + dy, state);
   }
 }
@@ -493,37 +615,45 @@ function actDefault(visitor, state) {
  * Computes a path to visitor.target once, walks it step by step, and only
  * recomputes when the goal changes or the route breaks. Transient blocks
  * (another visitor in the cell, terrain moveCost throttling) keep the path
- * and simply wait; a missing/failed path falls back to the greedy stepper.
+ * and simply wait; a missing/failed path falls back to the greedy stepper,
+ * and the same goal is not searched again for PATH_RETRY_TICKS.
+ * A path may take the stairs, so steps carry the level they are on.
  */
 function moveAlongPath(visitor, state) {
   const target = visitor.target;
   if (!target) return;
 
   const goal = visitor._pathGoal;
-  const goalChanged = !goal || goal.x !== target.x || goal.y !== target.y;
+  const z = visitor.z ?? 0;
+  const goalChanged = !goal || goal.x !== target.x || goal.y !== target.y || goal.z !== (target.z ?? 0);
   const pathDone = !Array.isArray(visitor._path) || (visitor._pathIdx ?? 0) >= visitor._path.length;
 
-  if (goalChanged || pathDone) {
-    visitor._path = findPath(visitor.x, visitor.y, target.x, target.y, state, CONFIG.PATH_MAX_NODES);
-    visitor._pathGoal = { x: target.x, y: target.y };
+  const retryWait = !goalChanged && visitor._pathFailedTick != null
+    && state.tick - visitor._pathFailedTick < CONFIG.PATH_RETRY_TICKS;
+
+  if ((goalChanged || pathDone) && !retryWait) {
+    visitor._path = findPath(visitor.x, visitor.y, target.x, target.y, state, CONFIG.PATH_MAX_NODES,
+      { startZ: z, endZ: target.z ?? 0 });
+    visitor._pathGoal = { x: target.x, y: target.y, z: target.z ?? 0 };
     visitor._pathIdx = 1; // index 0 is the tile we're standing on
+    visitor._pathFailedTick = visitor._path ? null : state.tick;
   }
 
   const path = visitor._path;
   if (path && visitor._pathIdx < path.length) {
     let step = path[visitor._pathIdx];
     // Already on this step (e.g., after a recompute): advance
-    if (step && step.x === visitor.x && step.y === visitor.y) {
+    if (step && step.x === visitor.x && step.y === visitor.y && step.z === z) {
       visitor._pathIdx++;
       step = path[visitor._pathIdx];
     }
 
     if (step) {
-      if (tryMove(visitor, step.x, step.y, state)) {
+      if (tryMove(visitor, step.x, step.y, state, step.z)) {
         visitor._pathIdx++;
         return;
       }
-      if (isPassable(state, step.x, step.y)) {
+      if (isPassable(state, step.x, step.y, step.z)) {
         // Transient block (visitor collision / move budget): wait it out
         return;
       }
@@ -536,6 +666,15 @@ function moveAlongPath(visitor, state) {
   moveTowardTarget(visitor, state);
 }
 
+/**
+ * Close in on a target: straight at it on the same level, by the stairs
+ * when it is up or down a level
+ */
+function chaseTarget(visitor, state) {
+  if (onSameLevel(visitor, visitor.target)) moveTowardTarget(visitor, state);
+  else moveAlongPath(visitor, state);
+}
+
 function moveTowardTarget(visitor, state) {
   if (!visitor.target) return;
 
@@ -556,26 +695,27 @@ function moveTowardTarget(visitor, state) {
   if (tryMove(visitor, visitor.x - dx, visitor.y + dy, state)) return;
 }
 
-function tryMove(visitor, newX, newY, state) {
+function tryMove(visitor, newX, newY, state, newZ = visitor.z ?? 0) {
   // Single walkability source (movement.js, backed by tile defs)
-  if (!isPassable(state, newX, newY)) {
+  if (!isPassable(state, newX, newY, newZ)) {
     return false;
   }
 
   // Check for collisions with other visitors
   const collision = state.visitors?.some(v =>
-    v !== visitor && v.state !== VISITOR_STATE.DEAD && v.x === newX && v.y === newY
+    v !== visitor && v.state !== VISITOR_STATE.DEAD && v.x === newX && v.y === newY && (v.z ?? 0) === newZ
   );
   if (collision) return false;
 
   // Honor terrain moveCost (marsh/snow slow visitors too)
-  if (!canAffordMove(visitor, state, newX, newY)) {
+  if (!canAffordMove(visitor, state, newX, newY, newZ)) {
     return false;
   }
 
   // Move
   visitor.x = newX;
   visitor.y = newY;
+  if (newZ !== (visitor.z ?? 0)) visitor.z = newZ;
   return true;
 }
 
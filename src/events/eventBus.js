@@ -24,7 +24,12 @@ export const EVENTS = Object.freeze({
 
   // World events (informational, may trigger thoughts)
   DWARF_DEATH: 'dwarf:death',
+  DWARF_BURIED: 'dwarf:buried',             // Remains laid in a grave ({ grave, buriedBy })
   DWARF_SPAWN: 'dwarf:spawn',
+  MIGRANTS_ARRIVED: 'dwarf:migrants_arrived', // A migrant wave walked in ({ dwarves, edge })
+  COUPLE_FORMED: 'dwarf:couple_formed',     // Two dwarves paired up ({ dwarves })
+  DWARF_BORN: 'dwarf:born',                 // A child was born ({ child, parents })
+  DWARF_CAME_OF_AGE: 'dwarf:came_of_age',   // A child grew up ({ dwarf })
   TICK: 'world:tick',                       // Emitted every simulation tick
 
   // Weather events (emitted by WeatherSimulator, consumed by cognition)
@@ -61,21 +66,37 @@ export const EVENTS = Object.freeze({
   VISITOR_LEAVING: 'visitor:leaving',       // Visitor starts leaving
   VISITOR_LEFT: 'visitor:left',             // Visitor exits map
   VISITOR_DEATH: 'visitor:death',           // Visitor dies
+  VISITOR_CAPTURED: 'visitor:captured',     // A raider yielded and was taken prisoner ({ visitor, captor })
+  VISITOR_PETITION: 'visitor:petition',     // A visitor asks to join the fortress ({ visitor, kind })
+  VISITOR_JOINED: 'visitor:joined',         // A visitor became a member of the colony ({ dwarf, visitor, kind })
 
   // Construction events
   CONSTRUCTION_COMPLETE: 'construction:complete', // A structure finishes building
+  TREE_FELLED: 'construction:tree_felled',   // A tree came down ({ x, y, tree, logs, dwarf })
+  ORE_MINED: 'construction:ore_mined',       // Ore or a gem was dug out ({ x, y, resource, dwarf })
 
   // Combat events
   COMBAT_HIT: 'combat:hit',                 // Attack lands successfully
   COMBAT_MISS: 'combat:miss',               // Attack misses
   COMBAT_FLEE: 'combat:flee',               // Entity starts fleeing
 
+  // Raid events
+  RAID_ARRIVED: 'raid:arrived',             // A goblin raid wave arrives ({ raid, group })
+  RAID_ASSAULT: 'raid:assault',             // A siege camp breaks and attacks ({ raid })
+  RAID_ENDED: 'raid:ended',                 // No raider is left on the map ({ raid })
+  DWARF_KIDNAPPED: 'raid:kidnapped',        // A captive was carried off the map ({ dwarf, captor })
+  STRUCTURE_BURNED: 'raid:burned',          // Raiders burned a structure down ({ structure, raider })
+
   // Trade events
-  TRADE_STARTED: 'trade:started',           // Trade begins with merchant
-  TRADE_COMPLETED: 'trade:completed',       // Trade finishes
+  TRADE_STARTED: 'trade:started',           // Merchant opens shop ({ merchant, goods })
+  TRADE_COMPLETED: 'trade:completed',       // Deal struck ({ merchant, broker, bought, sold, cost, offered })
 
   // Diplomacy events
-  DIPLOMACY_MESSAGE: 'diplomacy:message',   // Diplomat delivers message
+  RELATIONS_CHANGED: 'relations:changed',   // Standing with a race moved ({ race, relation, change, event })
+  DIPLOMACY_MESSAGE: 'diplomacy:message',   // Diplomat delivers message ({ visitor, race, terms })
+  AGREEMENT_SIGNED: 'agreement:signed',     // Dwarves accept a diplomat's terms ({ agreement, diplomat })
+  AGREEMENT_BROKEN: 'agreement:broken',     // A term was breached ({ agreement, term })
+  AGREEMENT_HONOURED: 'agreement:honoured', // An agreement ran its course ({ agreement })
   PREACHING_STARTED: 'preaching:started',   // Missionary begins preaching
 });
 
@@ -0,0 +1,346 @@
+/**
+ * Headless entry point
+ * Builds a world and runs the simulation at full speed under plain Node —
+ * no DOM, renderers, music or loading screens. Every LLM call falls back to
+ * the local generators (llm/fallbacks.js, biome presets), so a seed fully
+ * determines the run. Ends with a JSON summary of what happened.
+ *
+ *   node src/headless.js --mode biome --seed 42 --dwarves 7 --ticks 36000
+ *   node src/headless.js --seed 42 --embark 20,9   (a world map region; bare --embark picks one)
+ *   npm run sim -- --scenario "Mountain Stronghold" --seed 42 --out summary.json
+ *
+ * Tests import runSimulation() to play whole seasons instead of hand-built
+ * states.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+
+import { createWorldState, addLog } from './state/store.js';
+import { resetIds, getDisplayName } from './sim/entities.js';
+import { addBiomeToMap } from './map/map.js';
+import { tick } from './sim/world.js';
+import { MAP_MODES, resolveWorldSettings, generateMapForMode, resetWorldState, startWeather, logWorldHistory, spawnColony, runUpkeep } from './sim/worldGen.js';
+import { seedRandom } from './sim/rng.js';
+import { stopInputLog } from './sim/inputLog.js';
+import { getStructures, getIncompleteStructures } from './sim/construction.js';
+import { TICKS_PER_DAY } from './sim/clock.js';
+import { setBiomeLLMAvailable } from './llm/biomeGenerator.js';
+import { setLLMAvailable } from './llm/nameGenerator.js';
+import { generateNameBioLocal, narrateEventLocal } from './llm/fallbacks.js';
+import { on, EVENTS } from './events/eventBus.js';
+import { getPresetByTitle } from './scenarios/presets.js';
+import { RACE } from './sim/races.js';
+import { getDwarfRelation } from './sim/history.js';
+import { generateWorldMap, resolveEmbarkSite, suggestEmbarkSite } from './map/worldMap.js';
+
+// World size, colony and terrain come from the scenario (or the sandbox
+// defaults); explicit options override them
+export const HEADLESS_DEFAULTS = Object.freeze({
+  seed: 1,
+  scenario: null,
+  ticks: TICKS_PER_DAY,
+});
+
+// Narrated event log kept in the summary (most recent)
+const MAX_SUMMARY_EVENTS = 100;
+
+/**
+ * Build a world the way main.js regenerateWorld does, with local names
+ * and biome instead of LLM ones
+ * @param {object} [options] - { seed, scenario, mode, dwarves, food, width,
+ *   height, depth, embark }; scenario is a scenario object or a preset
+ *   title, embark a world map region { x, y } or true for the suggested one
+ * @returns {Promise<object>} World state at tick 0
+ */
+export async function createHeadlessWorld(options = {}) {
+  const { seed, mode, width, height, ...settings } = resolveHeadlessSettings(options);
+  if (!MAP_MODES.includes(mode)) {
+    throw new Error(`Unknown map mode "${mode}" (expected ${MAP_MODES.join(', ')})`);
+  }
+
+  // Fallbacks only: no LLM server is consulted
+  setBiomeLLMAvailable(false);
+  setLLMAvailable(false);
+  stopInputLog();
+
+  resetIds();
+  seedRandom(seed);
+
+  const state = createWorldState(width, height);
+  state.map = generateMapForMode(mode, width, height, seed, settings);
+  await addBiomeToMap(state.map, { embark: settings.embark });
+  addLog(state, `Biome: ${state.map.biome?.name || 'Unknown Region'}`);
+
+  resetWorldState(state, seed, settings);
+  startWeather(state, seed);
+  logWorldHistory(state);
+
+  if (!spawnColony(state, settings)) {
+    throw new Error(`No walkable ground on the ${mode} map for seed ${seed}`);
+  }
+  for (const dwarf of state.dwarves) {
+    const { name, bio } = generateNameBioLocal(dwarf);
+    dwarf.generatedName = name;
+    dwarf.generatedBio = bio;
+    addLog(state, `${getDisplayName(dwarf)} arrives.`);
+  }
+
+  return state;
+}
+
+/**
+ * Run a world for a number of ticks at full speed, with the same upkeep as
+ * the browser game loop
+ * @param {object} state - World state (createHeadlessWorld)
+ * @param {object} [options] - { ticks, onTick(state) }
+ * @returns {object} JSON-safe summary
+ */
+export function runHeadless(state, { ticks = HEADLESS_DEFAULTS.ticks, onTick = null } = {}) {
+  const startTick = state.tick;
+  const initialPopulation = state.dwarves.length;
+  let peakPopulation = initialPopulation;
+  let repopulations = 0;
+  const deaths = [];
+  const events = [];
+  const counts = {};
+
+  const record = (type, raw) => {
+    counts[type] = (counts[type] || 0) + 1;
+    if (raw) events.push({ tick: state.tick, day: state.clock?.day ?? 1, type, raw });
+  };
+
+  const unsubscribers = [
+    on(EVENTS.DWARF_DEATH, ({ dwarf, killer, cause }) => {
+      const name = getDisplayName(dwarf);
+      deaths.push({ tick: state.tick, id: dwarf.id, name, cause: cause || 'unknown', killer: killer?.name || null });
+      record('death', `${name} died.`);
+    }),
+    on(EVENTS.VISITOR_ARRIVED, ({ race, count }) => record('visitor_arrived', `A group of ${count} ${race}s arrived.`)),
+    on(EVENTS.VISITOR_DEATH, ({ visitor }) => record('visitor_death', `${visitor.name || `A ${visitor.race}`} died.`)),
+    on(EVENTS.VISITOR_LEFT, () => record('visitor_left')),
+    on(EVENTS.CONSTRUCTION_COMPLETE, ({ structure, builtBy }) =>
+      record('construction', `${builtBy || 'The dwarves'} built a ${structure.name || structure.type}.`)),
+    on(EVENTS.TREE_FELLED, () => record('felled')),
+    on(EVENTS.ORE_MINED, () => record('ore')),
+    on(EVENTS.HUNTING_SUCCESS, () => record('hunt')),
+    on(EVENTS.FISHING_SUCCESS, () => record('fish')),
+    on(EVENTS.RELATIONS_CHANGED, ({ event }) => record('relations', event.description)),
+    on(EVENTS.TRADE_COMPLETED, ({ merchant, bought, sold }) =>
+      record('trade', `Traded ${sold.length} goods to ${merchant.name} for ${bought.length} lots.`)),
+    on(EVENTS.AGREEMENT_SIGNED, ({ agreement }) => record('treaty', `Signed a treaty with the ${agreement.race} envoy.`)),
+    on(EVENTS.AGREEMENT_BROKEN, ({ agreement }) => record('treaty', `Broke the ${agreement.race} treaty.`)),
+    on(EVENTS.RAID_ARRIVED, ({ raid }) =>
+      record('raid', `A goblin raid of ${raid.size} arrived${raid.camp ? ' and made camp' : ''}.`)),
+    on(EVENTS.DWARF_BURIED, ({ grave }) => record('burial', `${grave.name} was buried.`)),
+    on(EVENTS.MIGRANTS_ARRIVED, ({ dwarves, edge }) => record('migrants', `${dwarves.length} migrants arrived from the ${edge}.`)),
+    on(EVENTS.COUPLE_FORMED, ({ dwarves }) => record('couple', `${dwarves.map(getDisplayName).join(' and ')} became a couple.`)),
+    on(EVENTS.DWARF_BORN, ({ child }) => record('birth', `${getDisplayName(child)} was born.`)),
+    on(EVENTS.VISITOR_CAPTURED, ({ visitor }) => record('captured', `${visitor.name} was taken prisoner.`)),
+    on(EVENTS.VISITOR_JOINED, ({ dwarf, kind }) => record('joined', `${getDisplayName(dwarf)} joined the fortress (${kind}).`)),
+    on(EVENTS.DWARF_KIDNAPPED, ({ dwarf }) => record('kidnapped', `${getDisplayName(dwarf)} was carried off.`)),
+    on(EVENTS.STRUCTURE_BURNED, ({ structure }) => record('burned', `Raiders burned the ${structure.name || structure.type}.`)),
+    on(EVENTS.SKILL_LEVELED, () => record('skill_leveled')),
+    on(EVENTS.COMBAT_HIT, () => record('combat_hit')),
+    on(EVENTS.ANIMAL_BORN, () => record('animal_born')),
+    on(EVENTS.ANIMAL_DEATH, () => record('animal_death')),
+  ];
+
+  try {
+    for (let i = 0; i < ticks; i++) {
+      tick(state);
+      if (runUpkeep(state).repopulated) {
+        repopulations++;
+        record('repopulated', 'All dwarves perished; a new group arrived to continue the legacy.');
+      }
+      peakPopulation = Math.max(peakPopulation, state.dwarves.length);
+      onTick?.(state);
+    }
+  } finally {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  return summarize(state, {
+    ticksRun: state.tick - startTick,
+    population: { initial: initialPopulation, final: state.dwarves.length, peak: peakPopulation, repopulations },
+    deaths,
+    counts,
+    events,
+  });
+}
+
+/**
+ * Build a world and run it: the whole headless pipeline in one call
+ * @param {object} [options] - createHeadlessWorld options plus { ticks, onTick }
+ * @returns {Promise<{ state: object, summary: object }>}
+ */
+export async function runSimulation(options = {}) {
+  const settings = resolveHeadlessSettings(options);
+  const state = await createHeadlessWorld(options);
+  const summary = runHeadless(state, settings);
+  return {
+    state,
+    summary: {
+      seed: settings.seed,
+      mode: settings.mode,
+      scenario: settings.scenarioTitle,
+      difficulty: settings.difficulty,
+      ...summary,
+    },
+  };
+}
+
+/**
+ * Scenario settings (resolveWorldSettings) with explicit options on top
+ * @param {object} options
+ * @returns {object}
+ */
+function resolveHeadlessSettings(options) {
+  const merged = { ...HEADLESS_DEFAULTS, ...options };
+  let scenario = merged.scenario;
+  if (typeof scenario === 'string') {
+    scenario = getPresetByTitle(scenario);
+    if (!scenario) throw new Error(`No preset scenario matches "${merged.scenario}"`);
+  }
+
+  const settings = resolveWorldSettings(scenario);
+  const explicit = Object.fromEntries(
+    ['dwarves', 'food', 'width', 'height', 'depth'].filter(key => merged[key] !== undefined).map(key => [key, merged[key]])
+  );
+  return {
+    ...merged,
+    ...settings,
+    ...explicit,
+    mode: merged.mode ?? settings.terrain ?? 'biome',
+    scenarioTitle: scenario?.title ?? null,
+    embark: merged.embark ? resolveEmbark(merged.seed, merged.embark) : null,
+  };
+}
+
+/**
+ * The world map region a headless colony settles
+ * @param {number|string} seed - World seed
+ * @param {{ x: number, y: number }|true} choice - true for the suggested region
+ * @returns {object} resolveEmbarkSite output
+ */
+function resolveEmbark(seed, choice) {
+  const worldMap = generateWorldMap(seed);
+  const { x, y } = choice === true ? suggestEmbarkSite(worldMap) : choice;
+  const site = resolveEmbarkSite(worldMap, x, y);
+  if (!site) throw new Error(`Cannot embark at ${x},${y}: off the world map or a settlement stands there`);
+  return site;
+}
+
+function summarize(state, { ticksRun, population, deaths, counts, events }) {
+  const completed = {};
+  for (const structure of getStructures()) {
+    if (structure.complete) completed[structure.type] = (completed[structure.type] || 0) + 1;
+  }
+
+  const visitorsByRace = {};
+  for (const visitor of state.visitors) {
+    if (visitor.state === 'dead') continue;
+    visitorsByRace[visitor.race] = (visitorsByRace[visitor.race] || 0) + 1;
+  }
+
+  return {
+    ticks: ticksRun,
+    finalTick: state.tick,
+    clock: { day: state.clock.day, season: state.clock.season, phase: state.clock.phase },
+    biome: state.map.biome?.name || null,
+    embark: state.embark
+      ? { x: state.embark.x, y: state.embark.y, biome: state.embark.biome, neighbors: state.embark.neighbors.length }
+      : null,
+    population,
+    deaths: { total: deaths.length, list: deaths },
+    structures: {
+      completed,
+      completedTotal: Object.values(completed).reduce((sum, n) => sum + n, 0),
+      inProgress: getIncompleteStructures().length,
+    },
+    food: {
+      sources: state.foodSources.length,
+      servings: state.foodSources.reduce((sum, food) => sum + (food.amount || 0), 0),
+      averageHunger: state.dwarves.length > 0
+        ? Math.round(state.dwarves.reduce((sum, d) => sum + d.hunger, 0) / state.dwarves.length)
+        : null,
+    },
+    animals: state.animals.filter(a => a.state !== 'dead').length,
+    visitors: {
+      present: visitorsByRace,
+      arrivals: counts.visitor_arrived || 0,
+      relations: Object.fromEntries(Object.values(RACE).map(race => [race, getDwarfRelation(state.history, race)])),
+    },
+    events: {
+      counts,
+      log: events.slice(-MAX_SUMMARY_EVENTS).map(event => ({ ...event, narrated: narrateEventLocal(event) })),
+    },
+  };
+}
+
+// === CLI ===
+
+/**
+ * Parse --key value pairs (and --key=value)
+ * @param {string[]} argv
+ * @returns {object}
+ */
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const [key, inline] = arg.slice(2).split('=');
+    if (inline !== undefined) {
+      args[key] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+
+  const options = {};
+  if (args.mode) options.mode = args.mode;
+  if (args.scenario) options.scenario = args.scenario;
+  if (args.seed !== undefined) options.seed = /^\d+$/.test(args.seed) ? Number(args.seed) : args.seed;
+  for (const key of ['dwarves', 'food', 'ticks', 'width', 'height', 'depth']) {
+    if (args[key] !== undefined) options[key] = parseInt(args[key], 10);
+  }
+  if (args.days !== undefined) options.ticks = parseInt(args.days, 10) * TICKS_PER_DAY;
+  if (args.embark === true) {
+    options.embark = true;
+  } else if (args.embark !== undefined) {
+    const [x, y] = args.embark.split(',').map(n => parseInt(n, 10));
+    options.embark = { x, y };
+  }
+  if (args.out) options.out = args.out;
+  options.verbose = !!args.verbose;
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Keep stdout clean for the JSON summary; simulation chatter goes to
+  // stderr with --verbose, nowhere without
+  const log = console.log;
+  console.log = options.verbose ? console.error : () => {};
+  if (!options.verbose) console.warn = () => {};
+
+  const { summary } = await runSimulation(options);
+  const json = JSON.stringify(summary, null, 2);
+  if (options.out) {
+    writeFileSync(options.out, json + '\n');
+    console.error(`[Headless] Summary written to ${options.out}`);
+  } else {
+    log(json);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('[Headless] Failed:', error);
+    process.exit(1);
+  });
+}
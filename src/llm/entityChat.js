@@ -293,6 +293,14 @@ function generateVisitorFallback(msg, visitor) {
   const role = visitor.role || 'visitor';
   const disposition = visitor.disposition || 0;
 
+  // A diplomat answering the player's reply to their terms, or someone
+  // asking to stay, says what was decided (diplomacy.js resolveReply,
+  // settlers.js resolvePetition)
+  const outcome = visitor.negotiation?.lastOutcome ?? visitor.petition?.lastOutcome;
+  if (outcome && outcome.heard.toLowerCase() === msg) {
+    return outcome.reply;
+  }
+
   // Greeting
   if (msg.includes('hello') || msg.includes('hi ') || msg.includes('hey') || msg === 'hi') {
     if (race === 'human') {
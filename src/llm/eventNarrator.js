@@ -15,7 +15,9 @@ import {
 } from './prompts/narrative.js';
 import { narrateEventLocal } from './fallbacks.js';
 import { getCalendar } from '../sim/clock.js';
+import { describeDeath } from '../sim/mortality.js';
 import { on, EVENTS } from '../events/eventBus.js';
+import { submitInput, registerInputHandler, isReplaying, INPUT_KIND } from '../sim/inputLog.js';
 
 // Configuration
 const MAX_EVENTS_PER_BATCH = 10;
@@ -123,6 +125,12 @@ export async function processEndOfDay(worldState) {
   // New day: reset the once-per-day dedupe window for combat/weather taps
   seenThisDay.clear();
 
+  // Replays get the recorded narration from the input log
+  if (isReplaying()) {
+    pendingEvents = [];
+    return;
+  }
+
   if (pendingEvents.length === 0) {
     return;
   }
@@ -137,14 +145,27 @@ export async function processEndOfDay(worldState) {
 
   // Narrate events
   const narrated = await narrateDayEvents(pendingEvents, worldState);
+  submitInput(worldState, INPUT_KIND.NARRATION, { day: currentDay, events: narrated });
+
+  // Clear pending and update marker
+  pendingEvents = [];
+  lastNarrationDay = currentDay;
+}
 
+/**
+ * Merge a day's narration into the world (input-log handler, so replays
+ * reproduce the narrated log without calling the LLM)
+ * @param {object} worldState
+ * @param {object} payload - { day, events }
+ */
+function applyNarration(worldState, { day: currentDay, events: narrated }) {
   // Store in world state (create narratedLog if needed)
   if (!worldState.narratedLog) {
     worldState.narratedLog = [];
   }
 
   // Merge narrated events
-  for (const event of narrated) {
+  for (const event of narrated || []) {
     // Find matching event in main log and augment it
     const existing = worldState.log?.find(
       e => e.tick === event.tick && e.message === event.raw
@@ -166,12 +187,10 @@ export async function processEndOfDay(worldState) {
   if (worldState.narratedLog.length > 100) {
     worldState.narratedLog = worldState.narratedLog.slice(-100);
   }
-
-  // Clear pending and update marker
-  pendingEvents = [];
-  lastNarrationDay = currentDay;
 }
 
+registerInputHandler(INPUT_KIND.NARRATION, applyNarration);
+
 /**
  * Select key events from a list (prioritize interesting events)
  * @param {Array} events
@@ -286,10 +305,18 @@ export function initNarratorEventTaps(state) {
   on(EVENTS.DWARF_DEATH, ({ dwarf, killer, cause }) => {
     const message = killer
       ? `${entityName(dwarf)} was slain by ${entityName(killer)}.`
-      : `${entityName(dwarf)} died${cause ? ` (${cause})` : ''}.`;
+      : `${entityName(dwarf)} ${describeDeath(cause)}.`;
     queueEventForNarration({ tick: tick(), message, type: 'death' });
   });
 
+  on(EVENTS.DWARF_BURIED, ({ grave, buriedBy }) => {
+    queueEventForNarration({
+      tick: tick(),
+      message: `${grave.name} was laid to rest by ${entityName(buriedBy)}.`,
+      type: 'death',
+    });
+  });
+
   on(EVENTS.VISITOR_DEATH, ({ visitor, killer }) => {
     const message = killer
       ? `${entityName(visitor)} the ${visitor?.race || 'visitor'} was slain by ${entityName(killer)}.`
@@ -308,6 +335,38 @@ export function initNarratorEventTaps(state) {
     });
   });
 
+  // Newcomers (population.js)
+  on(EVENTS.MIGRANTS_ARRIVED, ({ dwarves, edge }) => {
+    const names = dwarves.map(entityName).join(', ');
+    const group = dwarves.length > 1 ? `${dwarves.length} migrants` : 'A lone migrant';
+    queueEventForNarration({ tick: tick(), message: `${group} arrived from the ${edge}: ${names}.`, type: 'arrival' });
+  });
+
+  on(EVENTS.DWARF_BORN, ({ child, parents }) => {
+    queueEventForNarration({
+      tick: tick(),
+      message: `${entityName(child)} was born to ${parents.map(entityName).join(' and ')}.`,
+      type: 'arrival',
+    });
+  });
+
+  // Visitors who end up staying (settlers.js)
+  on(EVENTS.VISITOR_CAPTURED, ({ visitor, captor }) => {
+    queueEventForNarration({
+      tick: tick(),
+      message: `${entityName(visitor)} yielded to ${entityName(captor)} and was taken prisoner.`,
+      type: 'fight',
+    });
+  });
+
+  on(EVENTS.VISITOR_JOINED, ({ visitor }) => {
+    queueEventForNarration({
+      tick: tick(),
+      message: `${entityName(visitor)} the ${visitor.race} joined the fortress for good.`,
+      type: 'arrival',
+    });
+  });
+
   // Fights (COMBAT_HIT fires per attack — record each pairing once per day)
   on(EVENTS.COMBAT_HIT, ({ attacker, defender }) => {
     const key = `fight:${attacker?.id}:${defender?.id}`;
@@ -163,7 +163,7 @@ function pick(array, random) {
  */
 export function generateNameBioLocal(entity) {
   // Seed based on entity ID for reproducibility
-  const seed = entity.id || Date.now();
+  const seed = entity.id ?? Date.now();
   const random = seededRandom(seed);
 
   // Generate name
@@ -284,6 +284,11 @@ function buildWorldContext(worldSnapshot) {
     parts.push(`${dwarfCount} dwarves in settlement`);
   }
 
+  // A newcomer's parents or arrival (population.js describeLineage)
+  if (worldSnapshot.lineage) {
+    parts.push(worldSnapshot.lineage);
+  }
+
   // Recent events (if available)
   if (worldSnapshot.recentEvent) {
     parts.push(worldSnapshot.recentEvent);
@@ -0,0 +1,68 @@
+/**
+ * Newcomer Names
+ * Migrants and children born in the fortress arrive mid-game with local
+ * names (createDwarf). Once they're in, this asks the LLM for a name and
+ * bio that fit the world and their lineage (population.js), and sends the
+ * result back through the input log so replays rename them at the same
+ * tick without calling the LLM.
+ *
+ * Called asynchronously outside the tick loop, like the narrator.
+ */
+
+import { requestNameBio, isLLMAvailable } from './nameGenerator.js';
+import { getWorldLore } from './worldContext.js';
+import { describeLineage } from '../sim/population.js';
+import { submitInput, isReplaying, INPUT_KIND } from '../sim/inputLog.js';
+import { on, EVENTS } from '../events/eventBus.js';
+
+let listening = false;
+
+/**
+ * Name migrants and newborns as they arrive (idempotent)
+ * @param {object} state - World state the events belong to
+ */
+export function initNewcomerNaming(state) {
+  if (listening) return;
+  listening = true;
+
+  on(EVENTS.MIGRANTS_ARRIVED, ({ dwarves, worldState }) => {
+    for (const dwarf of dwarves) nameNewcomer(worldState || state, dwarf);
+  });
+  on(EVENTS.DWARF_BORN, ({ child, worldState }) => {
+    nameNewcomer(worldState || state, child);
+  });
+}
+
+/**
+ * Ask for a newcomer's name and bio. Without the LLM the local name they
+ * arrived with stands.
+ * @param {object} state - World state
+ * @param {object} dwarf - The newcomer
+ * @returns {Promise<{ name, bio }|null>} The submitted result, or null
+ */
+export async function nameNewcomer(state, dwarf) {
+  if (isReplaying() || !isLLMAvailable()) return null;
+
+  // requestNameBio writes onto the entity it's given; the live dwarf only
+  // changes through the input log, so it gets a stand-in
+  const standIn = {
+    id: dwarf.id,
+    type: dwarf.type,
+    personality: dwarf.personality,
+    aspiration: dwarf.aspiration,
+  };
+  const worldSnapshot = {
+    lore: getWorldLore(),
+    dwarves: state.dwarves,
+    lineage: describeLineage(dwarf),
+  };
+
+  try {
+    const { name, bio } = await requestNameBio(standIn, worldSnapshot);
+    submitInput(state, INPUT_KIND.NEWCOMER, { dwarfId: dwarf.id, name, bio });
+    return { name, bio };
+  } catch (error) {
+    console.warn(`[Names] Naming newcomer ${dwarf.id} failed:`, error.message);
+    return null;
+  }
+}
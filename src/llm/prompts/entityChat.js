@@ -5,6 +5,8 @@
  */
 
 import { getDwarfRelation, getRecentEventsForRace } from '../../sim/history.js';
+import { describeTerms } from '../../sim/diplomacy.js';
+import { describeInjuries } from '../../sim/medical.js';
 
 /**
  * Build system prompt for entity roleplay
@@ -45,8 +47,12 @@ function buildDwarfSystemPrompt(dwarf, context = {}) {
   const fulfillment = describeFulfillment(dwarf.fulfillment);
   const memories = formatMemories(dwarf.memory);
   const relationships = formatRelationships(dwarf.relationships, context.dwarves);
+  const injuries = describeInjuries(dwarf);
+  const injuryLine = injuries ? `\nYour wounds: ${injuries}` : '';
+  // Visitors taken into the colony keep their race (settlers.js)
+  const kind = dwarf.race ? `${dwarf.race} living among the dwarves` : 'dwarf';
 
-  return `You are ${name}, a dwarf in a fantasy fortress simulation. Stay completely in character.
+  return `You are ${name}, a ${kind} in a fantasy fortress simulation. Stay completely in character.
 
 ## YOUR IDENTITY
 ${bio}
@@ -54,7 +60,7 @@ ${bio}
 ## YOUR PERSONALITY
 Dominant traits: ${traits}
 Current mood: ${mood}
-Current activity: ${state}
+Current activity: ${state}${injuryLine}
 
 ## YOUR NEEDS
 ${fulfillment}
@@ -97,6 +103,8 @@ function buildVisitorSystemPrompt(visitor, context = {}) {
   // the dwarves and the named events behind it — a goblin merchant remembers
   // the Betrayal at Frostgate
   const sharedHistory = formatSharedHistory(context.history, race);
+  const negotiation = formatNegotiation(visitor);
+  const petition = formatPetition(visitor);
 
   return `You are ${name}, a ${race} ${role} visiting a dwarf fortress. Stay completely in character.
 
@@ -108,7 +116,7 @@ Race: ${race} (${raceTraits[race] || 'mysterious'})
 Role: ${role}
 Current attitude toward dwarves: ${disposition}
 Current activity: ${state}
-${sharedHistory}
+${sharedHistory}${negotiation}${petition}
 ## ROLEPLAY RULES
 1. Speak in first person as ${name}
 2. Embody your race's typical mannerisms and values
@@ -147,6 +155,59 @@ function formatSharedHistory(history, race) {
   return `\n## SHARED HISTORY\n${lines.join('\n')}\n`;
 }
 
+/**
+ * A diplomat's terms and where the talks stand. The outcome was settled by
+ * diplomacy.js before the prompt was built; the model only puts it in the
+ * diplomat's words.
+ */
+function formatNegotiation(visitor) {
+  const negotiation = visitor.negotiation;
+  if (!negotiation) return '';
+
+  const lines = [`You asked that the dwarves ${describeTerms(negotiation.terms, visitor.race)}.`];
+  if (negotiation.treesFelled > 0) {
+    lines.push(`Your people are grieved by the ${negotiation.treesFelled} trees the dwarves have felled of late.`);
+  }
+  const outcome = negotiation.lastOutcome;
+  if (outcome) {
+    lines.push(`Your answer to what they just said: "${outcome.reply}"`);
+    lines.push('Say this in your own words. Do not change what was decided or invent new terms.');
+  } else if (negotiation.status === 'open') {
+    lines.push('You are waiting for their answer.');
+  } else {
+    lines.push(`The talks are over (${negotiation.status}).`);
+  }
+
+  return `\n## NEGOTIATION\n${lines.join('\n')}\n`;
+}
+
+/**
+ * What a prisoner, guest or refugee is asking of the dwarves and where it
+ * stands. settlers.js settled any answer before the prompt was built.
+ */
+function formatPetition(visitor) {
+  const petition = visitor.petition;
+  if (!petition) return '';
+
+  const asks = {
+    prisoner: 'You are the dwarves\' prisoner, taken in battle. They will either set you free or take you in.',
+    guest: 'You have asked to stay and live in the fortress.',
+    refugee: `You are fleeing your home${visitor.refugeeFrom ? ` (${visitor.refugeeFrom})` : ''} and have asked the dwarves for shelter.`,
+  };
+  const lines = [asks[petition.kind]];
+  const outcome = petition.lastOutcome;
+  if (outcome) {
+    lines.push(`Your answer to what they just said: "${outcome.reply}"`);
+    lines.push('Say this in your own words. Do not change what was decided.');
+  } else if (petition.status === 'open') {
+    lines.push('You are waiting for their answer.');
+  } else {
+    lines.push(`That is settled now (${petition.status}).`);
+  }
+
+  return `\n## YOUR REQUEST\n${lines.join('\n')}\n`;
+}
+
 /**
  * Build generic system prompt for other entity types
  */
@@ -220,6 +281,11 @@ function describeState(state) {
     exploring: 'exploring the surroundings',
     working: 'hard at work',
     crafting: 'crafting something',
+    treating: 'tending a wounded friend',
+    seeking_care: 'limping to a hospital bed',
+    recovering: 'lying in a hospital bed, healing',
+    burying: 'digging a grave for the dead',
+    felling: 'chopping down a tree',
   };
   return stateDescriptions[state] || state || 'going about your business';
 }
@@ -295,15 +361,17 @@ function formatRelationships(relationships, dwarves) {
     return 'You\'re still getting to know everyone.';
   }
 
-  // Resolve relationship IDs to display names (mirrors getDisplayName in src/sim/entities.js)
-  const resolveName = (id) => {
+  // Resolve relationship IDs to display names (mirrors getDisplayName in
+  // src/sim/entities.js); the dead keep the name they were mourned under
+  const resolveName = (id, rel) => {
     const other = dwarves?.find(d => String(d.id) === String(id));
-    return other ? (other.generatedName || other.name || `Dwarf #${id}`) : `Dwarf #${id}`;
+    return other ? (other.generatedName || other.name || `Dwarf #${id}`) : (rel.name || `Dwarf #${id}`);
   };
 
   const descriptions = entries.map(([id, rel]) => {
-    const name = resolveName(id);
+    const name = resolveName(id, rel);
     const aff = rel.affinity || 0;
+    if (rel.deceased) return `${name}: ${aff > 20 ? 'a friend you lost' : 'dead'}`;
     if (aff > 50) return `${name}: good friend`;
     if (aff > 20) return `${name}: friendly acquaintance`;
     if (aff > -20) return `${name}: neutral`;
@@ -340,4 +408,14 @@ export const ENTITY_CHAT_STARTERS = {
     "How's business?",
     "Where are you from?",
   ],
+  negotiation: [
+    "We accept your terms.",
+    "Those terms are too steep. Ask for less.",
+    "We refuse.",
+  ],
+  petition: [
+    "Yes, you may stay with us.",
+    "No. You must leave.",
+    "Why do you want to stay?",
+  ],
 };
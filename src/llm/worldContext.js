@@ -26,6 +26,7 @@
  */
 
 import { getHistorySummary } from '../sim/history.js';
+import { describeEmbarkSite } from '../map/worldMap.js';
 import { estimateTokens } from '../utils/gameContextCompressor.js';
 import { getCalendar, getSeasonStage } from '../sim/clock.js';
 import { queueGeneration } from '../ai/llmClient.js';
@@ -34,6 +35,9 @@ import { summarizeBehavior, compassDirection } from '../sim/behaviorTrace.js';
 import { getStructures } from '../sim/construction.js';
 import { getScent, SCENT_CHANNEL } from '../sim/movement.js';
 import { describeGround } from '../sim/groundCover.js';
+import { describeInjuries } from '../sim/medical.js';
+import { isFreezing, getRemains, getGraves } from '../sim/mortality.js';
+import { getTile } from '../map/map.js';
 
 // Per-layer token budgets (audit §3.4)
 const L0_TOKEN_BUDGET = 350;
@@ -79,13 +83,14 @@ function trimToTokenBudget(text, maxTokens) {
 /**
  * Build the L0 world-lore string (byte-stable, cached).
  * Sources: scenario title/description/victory conditions, biome
- * name/description/climate/resources (state.map.biome), and
- * getHistorySummary(state.history) which includes race relations.
+ * name/description/climate/resources (state.map.biome), the embark region
+ * and its neighbors (state.embark), and getHistorySummary(state.history)
+ * which includes race relations.
  *
  * Cached after the first build; call invalidateWorldLore() on world regen.
  * Degrades gracefully: missing pieces are skipped, nothing throws.
  *
- * @param {object} state - World state (map.biome, history)
+ * @param {object} state - World state (map.biome, embark, history)
  * @param {object} [scenario] - Current scenario (title, description, victory_conditions)
  * @returns {string} The canonical L0 lore string ('' if nothing is known yet)
  */
@@ -126,6 +131,10 @@ export function buildWorldLore(state, scenario) {
       if (lines.length > 0) parts.push(lines.join('\n'));
     }
 
+    // Where on the world map the colony settled, and its neighbors
+    const embark = describeEmbarkSite(state?.embark, state?.history);
+    if (embark) parts.push(embark);
+
     // World history + race relations (first-ever getHistorySummary call site)
     if (state?.history) {
       const summary = getHistorySummary(state.history);
@@ -353,6 +362,8 @@ const TILE_DESCRIPTIONS = {
   'forest_floor': 'the forest floor',
   'tree_conifer': 'among pine trees',
   'tree_deciduous': 'under leafy trees',
+  'stump': 'among the stumps of felled trees',
+  'sapling': 'among young saplings',
   'cave_floor': 'a dim cavern',
   'cave_wall': 'near cave walls',
   'river_bank': 'by the river',
@@ -375,7 +386,7 @@ const TILE_DESCRIPTIONS = {
  * @returns {string}
  */
 export function getTileDescription(x, y, state) {
-  const tile = state?.map?.tiles?.[y * state.map.width + x];
+  const tile = state?.map && getTile(state.map, x, y);
   if (!tile?.type) return 'an unknown area';
   return TILE_DESCRIPTIONS[tile.type] || 'an open area';
 }
@@ -424,6 +435,20 @@ export function buildLocalContext(entity, state) {
     const groundLine = describeGround(entity.x, entity.y, state);
     if (groundLine) lines.push(groundLine);
 
+    // Wounds (medical.js): a dwarf with a broken leg knows it
+    const injuries = describeInjuries(entity);
+    if (injuries) lines.push(`You are hurt: ${injuries}.`);
+
+    // The slow killers of mortal worlds (mortality.js), and the dead nearby
+    if ((entity.starving || 0) > 0) lines.push('You are starving.');
+    if (isFreezing(entity)) lines.push('You are chilled to the bone.');
+    for (const body of getRemains()) {
+      if (manhattan(entity, body) <= NEARBY_RADIUS) lines.push(`${body.name}'s body lies unburied nearby.`);
+    }
+    for (const grave of getGraves()) {
+      if (manhattan(entity, grave) <= NEARBY_RADIUS) lines.push(`${grave.name} is buried nearby.`);
+    }
+
     // Typed nearby scan (P7): dwarves, visitors (a dwarf should NOTICE a
     // goblin), food, completed structures
     const seen = [];
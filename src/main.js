@@ -3,77 +3,95 @@
  * Emergent dwarf simulation with LLM-driven thoughts and social interactions
  */
 
-import { createWorldState, createChronicle, addLog } from './state/store.js';
-import { createDwarf, createFoodSource, resetIds, getDominantTraits, getDisplayName } from './sim/entities.js';
-import { generateBiomeMap, generateMixedMap, generateCaveMap, findWalkablePosition, addBiomeToMap, initBiomeGenerator } from './map/map.js';
+import { createWorldState, addLog } from './state/store.js';
+import { createSaveSnapshot, restoreSaveSnapshot } from './state/saveGame.js';
+import { writeSaveSlot, readSaveSlot, listSaveSlots, autosaveSlotFor, MANUAL_SLOT } from './state/saveSlots.js';
+import { resetIds, getDisplayName } from './sim/entities.js';
+import { addBiomeToMap, initBiomeGenerator, getDepth } from './map/map.js';
 import { tick } from './sim/world.js';
+import { MAP_MODES, DEFAULT_WORLD, UPKEEP_INTERVAL, resolveWorldSettings, generateMapForMode, resetWorldState, startWeather, logWorldHistory, spawnColony, runUpkeep } from './sim/worldGen.js';
+import { seedRandom } from './sim/rng.js';
+import { startRecording, startReplay, stopInputLog, getRecording, isReplaying, recordOutput, INPUT_KIND } from './sim/inputLog.js';
 import { createRenderer, buildRenderEntities } from './ui/renderer.js';
 import { createCursor } from './ui/cursor.js';
+import { createDesignationTool } from './ui/designationTool.js';
+import { createBuildMenu } from './ui/buildMenu.js';
+import { createLaborPanel } from './ui/laborPanel.js';
+import { createStockpilePanel } from './ui/stockpilePanel.js';
+import { createManagerPanel } from './ui/managerPanel.js';
+import { createTradePanel } from './ui/tradePanel.js';
+import { createMilitaryPanel } from './ui/militaryPanel.js';
 import { createStatPanel } from './ui/statPanel.js';
 import { initThoughtSystem, stopThoughtSystem, getThoughtStatus } from './ai/thoughts.js';
-import { initSpeechBubbles, showSpeech, updateBubblePositions, injectBubbleStyles, initSidebarThoughts, updateSidebarThoughts } from './ui/speechBubble.js';
+import { initSpeechBubbles, setSpeechBubbleGrid, showSpeech, updateBubblePositions, injectBubbleStyles, initSidebarThoughts, updateSidebarThoughts } from './ui/speechBubble.js';
 import { checkConnection } from './ai/llmClient.js';
 import { initializeLLM, waitForBatchNameGeneration } from './llm/nameGenerator.js';
 import { buildWorldLore, getWorldLore, invalidateWorldLore, updateChronicle } from './llm/worldContext.js';
 import { processEndOfDay, initNarratorEventTaps, queueEventForNarration, clearPending } from './llm/eventNarrator.js';
-import { getCalendar } from './sim/clock.js';
+import { initNewcomerNaming } from './llm/newcomerNames.js';
 import { on, EVENTS } from './events/eventBus.js';
 import { initConversationToast } from './ui/conversationToast.js';
 import { initGameAssistant, createAssistantToggle } from './ui/gameAssistantPanel.js';
 import { initControlsWidget, setSoundButtonIcon } from './ui/controlsWidget.js';
 import { initMusic, isMusicMuted, toggleMusicMuted } from './ui/music.js';
 import { initBiomeTitle, updateBiomeTitle, initEventLog, updateEventLog } from './ui/biomeWidgets.js';
+import { showScenarioScreen, isScenarioScreenVisible } from './ui/scenarioScreen.js';
+import { showEmbarkScreen, isEmbarkScreenVisible } from './ui/embarkScreen.js';
+import { generateWorldMap, resolveEmbarkSite } from './map/worldMap.js';
 import { initLoadingProgress, setLoadingProgress, addLoadingStatus, setLoadingText, completeLoading, resetLoadingProgress } from './ui/loadingProgress.js';
 
-// External forces imports
-import { generateWorldHistory, getHistorySummary } from './sim/history.js';
-import { resetSpawner } from './sim/visitorSpawner.js';
-import { spawnAnimalsForBiome } from './sim/animals.js';
-import { extractLandmarks } from './sim/landmarks.js';
-
 // Scenario and palette imports
-import { generateScenario, generateDuotonePalette, paletteToBiomeColorMod, applyPaletteToDocument, initSessionPalette } from './llm/scenarioGenerator.js';
+import { generateDuotonePalette, paletteToBiomeColorMod, applyPaletteToDocument, initSessionPalette } from './llm/scenarioGenerator.js';
 import { generateNameBioLocal } from './llm/fallbacks.js';
 
-// Weather system imports
-import { WeatherSimulator } from './sim/weather.js';
-import { triggerCloudFormations, updateSeasonalWeather } from './sim/weatherScenarios.js';
-
-// Map configuration
-const MAP_WIDTH = 142;
-const MAP_HEIGHT = 40;
-const INITIAL_DWARVES = 7;
-const INITIAL_FOOD_SOURCES = 42;
+// Map size, population and food come from the scenario (resolveWorldSettings)
 const SPEED_LEVELS = [250, 150, 80, 40];  // ms per tick (slower for watching interactions)
 
 // Session palette (generated uniquely on each page load)
 let sessionPalette = null;
 
-// Track first load for scenario generation
-let isFirstLoad = true;
+// Scenario the current world was built from (chosen on the scenario screen)
 let currentScenario = null;
 
-// Map generation modes
-const MAP_MODES = ['biome', 'mixed', 'cave'];
+// World map region the colony embarks on ({ x, y }, chosen on the embark
+// screen); null builds the world without one
+let currentEmbark = null;
+
+// Map generation mode (index into MAP_MODES), set from the scenario's terrain
 let currentMapMode = Math.floor(Math.random() * MAP_MODES.length);
 
+// ?seed=... pins the first world's seed (bug reports, balance comparisons);
+// otherwise the scenario's seed is the world seed
+let pendingSeed = new URLSearchParams(window.location.search).get('seed');
+
 
 let tickInterval = SPEED_LEVELS[0];
 let speedIndex = 0;
 let running = true;
+let viewZ = 0;  // Map level on screen (0 = surface)
 
 // Last day already narrated/folded into the L1 chronicle (day 1 = world start)
 let lastChronicleDay = 1;
+// Autosaves rotate through AUTOSAVE_SLOTS once per in-game day
+let autosaveCount = 0;
 let loopId = null;
 let renderer = null;
 let cursor = null;
 let statPanel = null;
+let designationTool = null;
+let buildMenu = null;
+let laborPanel = null;
+let stockpilePanel = null;
+let managerPanel = null;
+let tradePanel = null;
+let militaryPanel = null;
+let mapView = null;   // { container, width, height } the renderer was built for
 let gameAssistant = null;
 let controlsWidget = null;
 let llmConnected = false;
 
 // Create world state
-const state = createWorldState(MAP_WIDTH, MAP_HEIGHT);
+const state = createWorldState(DEFAULT_WORLD.width, DEFAULT_WORLD.height);
 
 /**
  * Generate a new world based on current map mode
@@ -81,63 +99,37 @@ const state = createWorldState(MAP_WIDTH, MAP_HEIGHT);
 /**
  * Generate a new world based on current map mode
  * Ensures dwarves receive LLM names before logging arrivals
+ * @param {object} [options] - { seed } replays a known world
  */
-async function regenerateWorld() {
+async function regenerateWorld({ seed } = {}) {
   resetIds();
+  viewZ = 0;
 
-  const mapSeed = Date.now();
-  const mode = MAP_MODES[currentMapMode];
+  const mapSeed = seed ?? pendingSeed ?? currentScenario?.seed ?? Date.now();
+  pendingSeed = null;
 
   // Progress tracking
   setLoadingProgress(10);
 
-  // Generate themed scenario on first load
-  if (isFirstLoad) {
-    try {
-      console.log('[Init] Generating themed scenario...');
-      addLoadingStatus('scenario');
-      currentScenario = await generateScenario();
-      console.log('[Init] Scenario:', currentScenario.title);
-      setLoadingProgress(15);
-    } catch (error) {
-      console.warn('[Init] Scenario generation failed:', error.message);
-      currentScenario = null;
-    }
-    isFirstLoad = false;
-  }
+  const mode = MAP_MODES[currentMapMode];
+
+  // One seeded stream drives generation and every tick after it; LLM
+  // output is written to the input log so the session can be replayed
+  seedRandom(mapSeed);
+  if (!isReplaying()) startRecording(mapSeed, { mapMode: mode, embark: currentEmbark });
+
+  // The scenario is part of the recording (a replay reuses the recorded one)
+  currentScenario = await recordOutput(INPUT_KIND.SCENARIO, async () => currentScenario);
+  // Size, population, food stock, biome emphasis and difficulty, and the
+  // embark region's climate and neighbors
+  const settings = {
+    ...resolveWorldSettings(currentScenario),
+    embark: currentEmbark ? resolveEmbarkSite(generateWorldMap(mapSeed), currentEmbark.x, currentEmbark.y) : null,
+  };
 
   // Generate map based on mode
   addLoadingStatus('mapGen');
-  switch (mode) {
-    case 'biome':
-      state.map = generateBiomeMap(MAP_WIDTH, MAP_HEIGHT, {
-        mapSeed,
-        elevationScale: 0.02,
-        moistureScale: 0.025,
-        numRivers: 4,
-      });
-      break;
-
-    case 'mixed':
-      state.map = generateMixedMap(MAP_WIDTH, MAP_HEIGHT, {
-        mapSeed,
-        caveDensity: 0.48,
-        surfaceChance: 0.35,
-        numRivers: 2,
-      });
-      break;
-
-    case 'cave':
-    default:
-      state.map = generateCaveMap(MAP_WIDTH, MAP_HEIGHT, {
-        wallProbability: 0.44,
-        smoothingPasses: 5,
-        mushroomDensity: 0.02,
-        waterPools: 4,
-        connectCaves: true,
-      });
-      break;
-  }
+  state.map = generateMapForMode(mode, settings.width, settings.height, mapSeed, settings);
   setLoadingProgress(25);
 
   // Generate unique duotone palette for this session/world
@@ -151,7 +143,7 @@ async function regenerateWorld() {
   try {
     // Scenario threads into biome naming (audit P9): generation steps stop
     // being independent dice rolls and compose one coherent world
-    await addBiomeToMap(state.map, { timeout: 8000, scenario: currentScenario });
+    await addBiomeToMap(state.map, { timeout: 8000, scenario: currentScenario, embark: settings.embark });
     const biomeName = state.map.biome?.name || 'Unknown Region';
     // Blend LLM color mod with session palette
     const llmColorMod = state.map.biome?.colorMod || { hue: 0, saturation: 0, brightness: 0 };
@@ -183,32 +175,15 @@ async function regenerateWorld() {
     }
   }
 
-  // Clear entities
-  state.dwarves = [];
-  state.foodSources = [];
-  state.visitors = [];  // External forces
-  state.animals = [];   // Wildlife (respawned per-biome below)
-  state.log = state.log.slice(-3);
-  state.tick = 0;
-
-  // Reset the calendar and L1 chronicle for the new world
-  state.clock = getCalendar(0);
-  state.chronicle = createChronicle();
-  state.narratedLog = [];
+  // Clear entities, clock, chronicle and subsystems; name landmarks and
+  // generate world history
+  addLoadingStatus('history');
+  resetWorldState(state, mapSeed, settings);
   clearPending();
   lastChronicleDay = 1;
-
-  // Name the notable places (audit WALK R8): crystal hollows, mushroom
-  // groves, river bends — shared nouns for idle destinations and prompts
-  state.landmarks = extractLandmarks(state.map, mapSeed);
   if (state.landmarks.length > 0) {
     console.log('[World] Landmarks:', state.landmarks.map(l => l.name).join(', '));
   }
-
-  // Generate world history
-  addLoadingStatus('history');
-  const historySeed = mapSeed;
-  state.history = generateWorldHistory(historySeed);
   setLoadingProgress(40);
 
   // Build the shared L0 world lore (scenario + biome + history + race
@@ -217,123 +192,67 @@ async function regenerateWorld() {
   invalidateWorldLore();
   buildWorldLore(state, currentScenario);
 
-  // Reset visitor spawner
-  resetSpawner();
-
   // Initialize weather simulator (Phase 1: Core Loop)
   addLoadingStatus('weather');
-  state.weather = new WeatherSimulator(MAP_WIDTH, MAP_HEIGHT, mapSeed);
-
-  // Spawn initial weather for visual effect (demo purposes)
-  // Only clouds on surface - no rain, snow, or underground weather
-  triggerCloudFormations(state, 0.8, 600);
-
+  startWeather(state, mapSeed);
   console.log('[Weather] Initial weather sources spawned:', state.weather.sources.length);
   setLoadingProgress(45);
 
-  // Log notable history
-  if (state.history.events.length > 0) {
-    const recentEvent = state.history.events[state.history.events.length - 1];
-    addLog(state, `History: ${recentEvent.description}`);
-  }
-
-  // Log current race relations summary
-  const dwarfHumanRelation = state.history.raceRelations['dwarf_human'] || 0;
-  const dwarfGoblinRelation = state.history.raceRelations['dwarf_goblin'] || 0;
-  const dwarfElfRelation = state.history.raceRelations['dwarf_elf'] || 0;
+  logWorldHistory(state);
 
-  if (dwarfGoblinRelation < -30) {
-    addLog(state, 'Tensions run high with goblin clans...');
-  } else if (dwarfHumanRelation > 30) {
-    addLog(state, 'Human merchants should arrive soon.');
-  }
-
-  const centerPos = findWalkablePosition(state.map);
-  if (!centerPos) return;
-
-  // Spawn dwarves (no placeholder names)
+  // Spawn dwarves (no placeholder names — the LLM names them below), food
+  // and wildlife
   addLoadingStatus('entities');
-  for (let i = 0; i < INITIAL_DWARVES; i++) {
-    let pos = null;
-    for (let attempt = 0; attempt < 50; attempt++) {
-      const testX = centerPos.x + Math.floor(Math.random() * 20) - 10;
-      const testY = centerPos.y + Math.floor(Math.random() * 20) - 10;
-      if (testX >= 0 && testX < MAP_WIDTH && testY >= 0 && testY < MAP_HEIGHT) {
-        const tile = state.map.tiles[testY * MAP_WIDTH + testX];
-        if (tile && isWalkableTile(tile.type)) {
-          pos = { x: testX, y: testY };
-          break;
-        }
-      }
-    }
-    if (!pos) pos = findWalkablePosition(state.map);
-    if (pos) {
-      const dwarf = createDwarf(pos.x, pos.y);
-      // Leave name blank until LLM resolves
-      state.dwarves.push(dwarf);
-    }
-  }
-  setLoadingProgress(50);
-
-  // Spawn food sources
-  for (let i = 0; i < INITIAL_FOOD_SOURCES; i++) {
-    const pos = findWalkablePosition(state.map);
-    if (pos) {
-      state.foodSources.push(createFoodSource(pos.x, pos.y, 8 + Math.floor(Math.random() * 6)));
-    }
-  }
-
-  // Populate wildlife for this biome (audit WALK R2 — the living world)
-  const wildlife = spawnAnimalsForBiome(state);
-  if (wildlife.length > 0) {
-    addLog(state, 'Wildlife stirs in the wilderness...');
-    console.log(`[World] Spawned ${wildlife.length} animals for biome`);
+  const colony = spawnColony(state, settings);
+  if (!colony) return;
+  if (colony.wildlife.length > 0) {
+    console.log(`[World] Spawned ${colony.wildlife.length} animals for biome`);
   }
   setLoadingProgress(55);
 
   // === LLM NAME GENERATION WITH REALTIME UI UPDATE ===
-  try {
-    console.log('[Init] Batch generating dwarf names...');
-    // World snapshot (lore + population + a recent event) so generated names
-    // echo the biome, scenario, and history (fixes the always-null snapshot)
-    const worldSnapshot = {
-      lore: getWorldLore(),
-      dwarves: state.dwarves,
-      recentEvent: state.history?.events?.length
-        ? state.history.events[state.history.events.length - 1].description
-        : null,
-    };
-    await waitForBatchNameGeneration(state.dwarves, worldSnapshot);
-
-    // Assign names and trigger UI updates for all components
-    state.dwarves.forEach(dwarf => {
-      if (!dwarf.generatedName) {
-        dwarf.generatedName = generateNameBioLocal(dwarf).name;
-      }
-
-      // Log arrival AFTER name is known
-      addLog(state, `${getDisplayName(dwarf)} arrives.`, { wasLLM: !!dwarf.generatedName });
-
-      // Update components immediately
-      if (renderer) renderFrame(renderer, document.getElementById('log-entries'));
-      if (statPanel) statPanel.update(state);
-    });
+  // Names are LLM output: recorded into the input log, recalled on replay
+  const names = await recordOutput(INPUT_KIND.NAMES, async () => {
+    let wasLLM = true;
+    try {
+      console.log('[Init] Batch generating dwarf names...');
+      // World snapshot (lore + population + a recent event) so generated names
+      // echo the biome, scenario, and history (fixes the always-null snapshot)
+      const worldSnapshot = {
+        lore: getWorldLore(),
+        dwarves: state.dwarves,
+        recentEvent: state.history?.events?.length
+          ? state.history.events[state.history.events.length - 1].description
+          : null,
+      };
+      await waitForBatchNameGeneration(state.dwarves, worldSnapshot);
+      console.log('[Init] ✓ All dwarf names ready');
+    } catch (error) {
+      console.warn('[Init] Name generation timeout, proceeding with available names:', error.message);
+      wasLLM = false;
+    }
 
-    console.log('[Init] ✓ All dwarf names ready');
-  } catch (error) {
-    console.warn('[Init] Name generation timeout, proceeding with available names:', error.message);
+    return state.dwarves.map(dwarf => ({
+      id: dwarf.id,
+      name: dwarf.generatedName || generateNameBioLocal(dwarf).name,
+      bio: dwarf.generatedBio || null,
+      wasLLM,
+    }));
+  });
 
-    // Fallback names for dwarves
-    state.dwarves.forEach(dwarf => {
-      if (!dwarf.generatedName) {
-        dwarf.generatedName = generateNameBioLocal(dwarf).name;
-      }
+  // Assign names and trigger UI updates for all components
+  for (const entry of names) {
+    const dwarf = state.dwarves.find(d => d.id === entry.id);
+    if (!dwarf) continue;
+    dwarf.generatedName = entry.name;
+    if (entry.bio) dwarf.generatedBio = entry.bio;
 
-      addLog(state, `${getDisplayName(dwarf)} arrives.`, { wasLLM: false });
+    // Log arrival AFTER name is known
+    addLog(state, `${getDisplayName(dwarf)} arrives.`, { wasLLM: entry.wasLLM });
 
-      if (renderer) renderFrame(renderer, document.getElementById('log-entries'));
-      if (statPanel) statPanel.update(state);
-    });
+    // Update components immediately
+    if (renderer) renderFrame();
+    if (statPanel) statPanel.update(state);
   }
 
   // Start thought system after names are ready so it doesn't contend for the LLM queue
@@ -345,21 +264,10 @@ async function regenerateWorld() {
   });
 
   // Tap notable events (deaths, arrivals, fights, construction, weather)
-  // into the day-end narrator → L1 chronicle pipeline (idempotent)
+  // into the day-end narrator → L1 chronicle pipeline, and name migrants
+  // and newborns as they arrive (both idempotent)
   initNarratorEventTaps(state);
-}
-
-/**
- * Check if a tile type is walkable
- */
-function isWalkableTile(type) {
-  const walkable = [
-    'grass', 'tall_grass', 'dirt', 'forest_floor', 'cave_floor',
-    'river_bank', 'sand', 'mountain_slope', 'marsh', 'moss',
-    'shrub', 'flower', 'mushroom', 'berry_bush', 'food_plant',
-    'rocky_ground', 'snow', 'mud', 'crystal'
-  ];
-  return walkable.includes(type);
+  initNewcomerNaming(state);
 }
 
 /**
@@ -382,8 +290,54 @@ function handleDwarfSpeech(speaker, listener, text) {
   addLog(state, `${speaker.name} to ${listener.name}: "${text}"`);
 }
 
-// Initial world generation — store promise so init() can await it
-let worldReady = regenerateWorld();
+// World generation in flight — init() and New World store the promise
+let worldReady = null;
+
+/**
+ * Show the scenario screen and wait for the player's choice
+ * @param {object} [options] - { cancellable } offers a Cancel button
+ * @returns {Promise<object|null>} Chosen scenario, or null when cancelled
+ */
+function chooseScenario({ cancellable = false } = {}) {
+  return new Promise(resolve => {
+    showScenarioScreen({
+      initialScenario: currentScenario,
+      onAccept: resolve,
+      onCancel: cancellable ? () => resolve(null) : undefined,
+    });
+  });
+}
+
+/**
+ * Show the world map of a scenario's world and wait for the player to pick
+ * where the colony embarks
+ * @param {object} scenario
+ * @returns {Promise<{ x: number, y: number }>} World map region
+ */
+function chooseEmbark(scenario) {
+  const worldMap = generateWorldMap(pendingSeed ?? scenario.seed);
+  return new Promise(resolve => {
+    showEmbarkScreen({ worldMap, onEmbark: resolve });
+  });
+}
+
+/**
+ * Build a new world from a chosen scenario: its terrain picks the map mode
+ * and its seed the world seed
+ * @param {object} scenario
+ * @param {{ x: number, y: number }|null} embark - World map region to settle
+ * @returns {Promise<void>} worldReady
+ */
+function startScenario(scenario, embark) {
+  currentScenario = scenario;
+  currentEmbark = embark;
+  console.log('[Init] Scenario:', scenario.title);
+  const terrainIndex = MAP_MODES.indexOf(scenario.parameters?.terrain);
+  if (terrainIndex !== -1) currentMapMode = terrainIndex;
+
+  worldReady = regenerateWorld();
+  return worldReady;
+}
 
 // Wait for DOM
 document.addEventListener('DOMContentLoaded', init);
@@ -408,14 +362,96 @@ function hideLoadingScreen() {
   }
 }
 
+/**
+ * Build (or rebuild) the renderer, stat panel and cursor for a map size.
+ * Scenarios choose the map size, so a new world or a loaded save may need
+ * a different grid than the one on screen.
+ * @param {HTMLElement} container - #map-display
+ * @param {number} width
+ * @param {number} height
+ */
+function mountMapView(container, width, height) {
+  if (cursor) cursor.destroy();
+  if (statPanel) statPanel.destroy();
+  if (renderer) renderer.destroy();
+
+  // Create renderer
+  renderer = createRenderer(container, width, height);
+  // Non-dwarf camera pans chain a return pan to the live dwarf positions.
+  renderer.setDwarvesProvider(() => state.dwarves);
+
+  // Create stat panel (for detailed entity inspection) - needs grid element for positioning
+  statPanel = createStatPanel(container, renderer.el, width, height);
+  statPanel.onBeforeShow = () => { if (gameAssistant && gameAssistant.isVisible()) gameAssistant.hide(); };
+
+  // Create cursor system (grid-snapping highlight + tooltip)
+  cursor = createCursor(
+    renderer.el,
+    width,
+    height,
+    // onHover callback
+    (x, y, inspection) => {
+      // Could add hover preview logic here
+    },
+    // onClick callback
+    (x, y, inspection) => {
+      if (inspection.hasDwarf || inspection.hasFood || inspection.tile) {
+        // Toggle stat panel
+        if (statPanel.isVisible()) {
+          const current = statPanel.getEntity();
+          const clicked = inspection.entities[0]?.entity;
+          // If clicking same entity, close panel; otherwise show new
+          if (current && clicked && current.id === clicked.id) {
+            statPanel.hide();
+          } else {
+            statPanel.show(inspection);
+          }
+        } else {
+          statPanel.show(inspection);
+        }
+      } else {
+        statPanel.hide();
+      }
+    }
+  );
+
+  // The designation tool and build menu keep their mode across a new grid
+  if (designationTool) designationTool.attach(cursor);
+  if (buildMenu) buildMenu.attach(cursor);
+  if (militaryPanel) militaryPanel.attach(cursor);
+
+  // Speech bubbles position against the grid (no-op before they're initialized)
+  if (mapView) setSpeechBubbleGrid(renderer.el);
+  mapView = { container, width, height };
+}
+
+/**
+ * Open or close one of the panels above the controls. They share the
+ * space, so opening one closes the others.
+ * @param {object} panel - buildMenu, laborPanel, stockpilePanel, managerPanel, tradePanel or militaryPanel
+ */
+function toggleBottomPanel(panel) {
+  if (!panel.toggle()) return;
+  for (const other of [buildMenu, laborPanel, stockpilePanel, managerPanel, tradePanel, militaryPanel]) {
+    if (other && other !== panel) other.hide();
+  }
+}
+
 async function init() {
-  // Show loading screen immediately
+  // The player picks the first world's scenario, and where on its world
+  // map to embark, before anything is built
+  hideLoadingScreen();
+  const scenario = await chooseScenario();
+  startScenario(scenario, await chooseEmbark(scenario));
+
+  // Show loading screen while the world generates
   showLoadingScreen();
 
   // Initialize loading progress system
   initLoadingProgress();
   setLoadingProgress(0);
   addLoadingStatus('init');
+  addLoadingStatus('scenario', `Scenario: ${currentScenario.title}`);
 
   const mapContainer = document.getElementById('map-display');
 
@@ -429,10 +465,8 @@ async function init() {
   injectBubbleStyles();
   setLoadingProgress(5);
 
-  // Create renderer
-  renderer = createRenderer(mapContainer, MAP_WIDTH, MAP_HEIGHT);
-  // Non-dwarf camera pans chain a return pan to the live dwarf positions.
-  renderer.setDwarvesProvider(() => state.dwarves);
+  // Create the map view (renderer, stat panel, cursor) for the current map
+  mountMapView(mapContainer, state.map.width, state.map.height);
 
   // Camera policy: automatic pans fire ONLY on first page load and when
   // someone is attacked — combat pans are rate-limited to one per minute.
@@ -452,40 +486,6 @@ async function init() {
     if (target?.type === 'dwarf') panToFight(target);
   });
 
-  // Create stat panel (for detailed entity inspection) - needs grid element for positioning
-  statPanel = createStatPanel(mapContainer, renderer.el, MAP_WIDTH, MAP_HEIGHT);
-
-  // Create cursor system (grid-snapping highlight + tooltip)
-  cursor = createCursor(
-    renderer.el,
-    MAP_WIDTH,
-    MAP_HEIGHT,
-    // onHover callback
-    (x, y, inspection) => {
-      // Could add hover preview logic here
-    },
-    // onClick callback
-    (x, y, inspection) => {
-      if (inspection.hasDwarf || inspection.hasFood || inspection.tile) {
-        // Toggle stat panel
-        if (statPanel.isVisible()) {
-          const current = statPanel.getEntity();
-          const clicked = inspection.entities[0]?.entity;
-          // If clicking same entity, close panel; otherwise show new
-          if (current && clicked && current.id === clicked.id) {
-            statPanel.hide();
-          } else {
-            statPanel.show(inspection);
-          }
-        } else {
-          statPanel.show(inspection);
-        }
-      } else {
-        statPanel.hide();
-      }
-    }
-  );
-
   // Initialize speech bubbles (use game container to avoid overflow clipping)
   const gameContainer = document.getElementById('game-container');
   initSpeechBubbles(gameContainer, renderer.el);
@@ -511,7 +511,7 @@ async function init() {
       running = !running;
       btn.textContent = running ? 'Pause' : 'Resume';
       if (running) {
-        startLoop(renderer);
+        startLoop();
       } else if (loopId) {
         clearTimeout(loopId);
         loopId = null;
@@ -520,7 +520,7 @@ async function init() {
     onStep: () => {
       if (!running) {
         tick(state);
-        renderFrame(renderer);
+        renderFrame();
       }
     },
     onSpeed: (btn) => {
@@ -528,21 +528,25 @@ async function init() {
       tickInterval = SPEED_LEVELS[speedIndex];
       btn.textContent = `Speed: ${speedIndex + 1}x`;
     },
-    onRegen: (regenBtn, pauseBtn) => {
-      // Cycle map mode
-      currentMapMode = (currentMapMode + 1) % MAP_MODES.length;
+    onRegen: async () => {
+      if (isScenarioScreenVisible() || isEmbarkScreenVisible()) return;
 
-      // Stop current loop
+      // Hold the world still while the player chooses
       if (loopId) {
         clearTimeout(loopId);
         loopId = null;
       }
 
-      // Regenerate world
-      worldReady = regenerateWorld();
+      const scenario = await chooseScenario({ cancellable: true });
+      if (!scenario) {
+        if (running) startLoop();
+        return;
+      }
+      const embark = await chooseEmbark(scenario);
 
-      // Update button text to show mode
-      regenBtn.textContent = `New: ${MAP_MODES[currentMapMode]}`;
+      // Regenerate world (a fresh world also ends any replay)
+      stopInputLog();
+      startScenario(scenario, embark);
 
       // Reset UI state
       running = true;
@@ -550,26 +554,115 @@ async function init() {
       if (pauseButton) pauseButton.textContent = 'Pause';
 
       // Render and restart
-      renderFrame(renderer);
-      startLoop(renderer);
+      renderFrame();
+      startLoop();
     },
+    onDesignate: () => {
+      buildMenu.stopPlacing();
+      militaryPanel.stopPicking();
+      const mode = designationTool.cycle();
+      // Digs go on the level in view; felling and stockpiles on the surface
+      if (viewZ !== 0 && mode.id !== 'off' && !mode.anyLevel) setViewLevel(0);
+    },
+    onBuild: () => toggleBottomPanel(buildMenu),
+    onLabor: () => toggleBottomPanel(laborPanel),
+    onStockpiles: () => toggleBottomPanel(stockpilePanel),
+    onManager: () => toggleBottomPanel(managerPanel),
+    onTrade: () => toggleBottomPanel(tradePanel),
+    onMilitary: () => toggleBottomPanel(militaryPanel),
     onZoomToDwarves: () => {
       // Center view on dwarves (useful on mobile with scrolling)
       if (renderer && renderer.scrollToDwarves) {
         renderer.scrollToDwarves(state.dwarves);
       }
     },
+    onLevel: (delta) => setViewLevel(viewZ + delta),
+    onZoom: (step) => renderer.zoom(step),
     onToggleSound: (btn) => {
       const nowMuted = toggleMusicMuted();
       setSoundButtonIcon(btn, nowMuted);
     },
+    onSave: () => {
+      saveColony(MANUAL_SLOT);
+    },
+    onLoad: async () => {
+      try {
+        const slots = await listSaveSlots();
+        controlsWidget.showSlotMenu(slots, slot => loadColony(slot));
+      } catch (error) {
+        console.warn('[Save] Could not list saves:', error.message);
+        addLog(state, 'The archives cannot be opened.');
+      }
+    },
   });
 
-  // Set initial regen button text
-  const regenBtn = controlsWidget.getButton('btn-regen');
-  if (regenBtn) {
-    regenBtn.textContent = `New: ${MAP_MODES[(currentMapMode + 1) % MAP_MODES.length]}`;
-  }
+  // < and > step through the z-levels (like ▲ ▼); + and - zoom
+  window.addEventListener('keydown', (e) => {
+    if (e.target.closest?.('input, textarea')) return;
+    if (e.key === '<') setViewLevel(viewZ - 1);
+    else if (e.key === '>') setViewLevel(viewZ + 1);
+    else if (e.key === '+' || e.key === '=') renderer.zoom(1);
+    else if (e.key === '-') renderer.zoom(-1);
+  });
+
+  // Player dig/room orders: drag on the map while a designation mode is on
+  designationTool = createDesignationTool({
+    getState: () => state,
+    onOrder: () => renderFrame(),
+    onModeChange: (mode) => {
+      const designateBtn = controlsWidget.getButton('btn-designate');
+      if (!designateBtn) return;
+      designateBtn.textContent = mode.id === 'off' ? mode.label : `Designate: ${mode.label}`;
+      designateBtn.title = mode.hint;
+    },
+  });
+  designationTool.attach(cursor);
+
+  // Player blueprints: pick one, preview its footprint, click to place.
+  // Placing and designating share the cursor, so starting one ends the other.
+  buildMenu = createBuildMenu(document.body, {
+    getState: () => state,
+    onPlace: () => renderFrame(),
+    onPlacingChange: (type) => {
+      if (type && viewZ !== 0) setViewLevel(0);
+      if (type && designationTool.getMode().id !== 'off') designationTool.stop();
+    },
+  });
+  buildMenu.attach(cursor);
+
+  // Who does what: per-dwarf labor priorities, kept in sync each frame
+  laborPanel = createLaborPanel(document.body, {
+    getState: () => state,
+  });
+
+  // What each stockpile accepts (zones are dragged out with Designate)
+  stockpilePanel = createStockpilePanel(document.body, {
+    getState: () => state,
+    onChange: () => renderFrame(),
+  });
+
+  // Standing production orders for the workshops
+  managerPanel = createManagerPanel(document.body, {
+    getState: () => state,
+  });
+
+  // Deals with merchants at the market
+  tradePanel = createTradePanel(document.body, {
+    getState: () => state,
+    onChange: () => renderFrame(),
+  });
+
+  // Squads, their routines and orders. Picking a post on the map shares
+  // the cursor with designating, so starting one ends the other.
+  militaryPanel = createMilitaryPanel(document.body, {
+    getState: () => state,
+    onChange: () => renderFrame(),
+    onPickingChange: (action) => {
+      if (action && viewZ !== 0) setViewLevel(0);
+      if (action && designationTool.getMode().id !== 'off') designationTool.stop();
+    },
+  });
+  militaryPanel.attach(cursor);
 
   // Background music: starts on load (or first interaction if the browser
   // blocks autoplay); the sound button reflects the persisted mute state.
@@ -585,7 +678,6 @@ async function init() {
 
   // Mutual exclusion: only one popover open at a time
   gameAssistant.onBeforeShow = () => { if (statPanel && statPanel.isVisible()) statPanel.hide(); };
-  statPanel.onBeforeShow = () => { if (gameAssistant && gameAssistant.isVisible()) gameAssistant.hide(); };
   setLoadingProgress(60);
 
   // Initialize LLM systems
@@ -627,10 +719,10 @@ async function init() {
   hideLoadingScreen();
 
   // Initial render
-  renderFrame(renderer);
+  renderFrame();
 
   // Start game loop
-  startLoop(renderer);
+  startLoop();
 
   addLog(state, 'The dwarves begin to explore their surroundings...');
 
@@ -643,12 +735,162 @@ async function init() {
   }, 600);
 }
 
-function renderFrame(renderer) {
+/**
+ * Snapshot the running colony into a save slot
+ * @param {string} slot
+ * @param {object} [options] - { quiet } skips the log line (autosaves)
+ */
+async function saveColony(slot, { quiet = false } = {}) {
+  try {
+    const snapshot = createSaveSnapshot(state, {
+      scenario: currentScenario,
+      mapMode: MAP_MODES[currentMapMode],
+      embark: currentEmbark,
+    });
+    await writeSaveSlot(slot, snapshot);
+    if (!quiet) addLog(state, `The chronicle is saved (day ${snapshot.meta.day}).`);
+  } catch (error) {
+    console.warn(`[Save] Saving to ${slot} failed:`, error.message);
+    if (!quiet) addLog(state, 'The scribes failed to record the colony.');
+  }
+}
+
+/**
+ * Replace the running colony with a saved one
+ * @param {string} slot
+ */
+async function loadColony(slot) {
+  let snapshot;
+  try {
+    snapshot = await readSaveSlot(slot);
+  } catch (error) {
+    console.warn(`[Save] Reading ${slot} failed:`, error.message);
+  }
+  if (!snapshot) {
+    addLog(state, 'That save could not be read.');
+    return;
+  }
+
+  if (loopId) {
+    clearTimeout(loopId);
+    loopId = null;
+  }
+
+  stopThoughtSystem();
+  clearPending();
+  // A restored colony no longer follows from the recording's seed
+  stopInputLog();
+  let meta;
+  try {
+    meta = restoreSaveSnapshot(state, snapshot);
+  } catch (error) {
+    console.warn('[Save] Restore failed:', error.message);
+    addLog(state, 'That save could not be restored.');
+    meta = null;
+  }
+
+  if (meta) {
+    currentScenario = meta.scenario || null;
+    // The next recording or new world embarks where this colony did
+    currentEmbark = meta.embark ?? null;
+    viewZ = 0;
+    const modeIndex = MAP_MODES.indexOf(meta.mapMode);
+    if (modeIndex !== -1) currentMapMode = modeIndex;
+    lastChronicleDay = state.clock.day;
+
+    invalidateWorldLore();
+    buildWorldLore(state, currentScenario);
+    updateBiomeTitle(state.map.biome?.name || 'Mysterious Wilderness', state.map.biome?.colorMod);
+    addLog(state, `Save restored: day ${state.clock.day}, ${state.dwarves.length} dwarves.`);
+  }
+
+  initThoughtSystem(state, {
+    onThought: handleDwarfThought,
+    onSpeech: handleDwarfSpeech,
+    onSidebarUpdate: updateSidebarThoughts,
+  });
+  initNarratorEventTaps(state);
+  initNewcomerNaming(state);
+  if (statPanel) statPanel.hide();
+
+  running = true;
+  const pauseButton = controlsWidget?.getButton('btn-pause');
+  if (pauseButton) pauseButton.textContent = 'Pause';
+  renderFrame();
+  startLoop();
+}
+
+/**
+ * Download the current session's recording (world seed + input log)
+ */
+function downloadReplay() {
+  const recording = getRecording();
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `dorf-replay-${recording.seed}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Rebuild a recorded session and play it back tick-for-tick
+ * @param {object|string} recording - downloadReplay() file contents
+ */
+async function playReplay(recording) {
+  const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+
+  if (loopId) {
+    clearTimeout(loopId);
+    loopId = null;
+  }
+  stopThoughtSystem();
+
+  const { seed, meta } = startReplay(data);
+  const modeIndex = MAP_MODES.indexOf(meta.mapMode);
+  if (modeIndex !== -1) currentMapMode = modeIndex;
+  currentEmbark = meta.embark ?? null;
+
+  worldReady = regenerateWorld({ seed });
+  await worldReady;
+  console.log(`[Replay] Playing back world ${seed} (${data.inputs?.length || 0} inputs)`);
+
+  running = true;
+  const pauseButton = controlsWidget?.getButton('btn-pause');
+  if (pauseButton) pauseButton.textContent = 'Pause';
+  renderFrame();
+  startLoop();
+}
+
+/**
+ * Show another z-level. Digs can be designated on any level; the other
+ * orders are given on the surface, so going below ends placing, picking
+ * posts and the surface-only designation modes.
+ * @param {number} z - 0 is the surface; clamped to the map's levels
+ */
+function setViewLevel(z) {
+  viewZ = Math.max(0, Math.min(z, getDepth(state.map) - 1));
+  if (viewZ !== 0) {
+    if (!designationTool?.getMode().anyLevel) designationTool?.stop();
+    buildMenu?.stopPlacing();
+    militaryPanel?.stopPicking();
+  }
+  renderFrame();
+}
+
+function renderFrame() {
+  // A new world or a loaded save may be a different size than the grid
+  if (mapView && (state.map.width !== mapView.width || state.map.height !== mapView.height)) {
+    mountMapView(mapView.container, state.map.width, state.map.height);
+  }
+
   const entities = buildRenderEntities(state);
   
-  // Pass weather simulator and state to map for rendering (Phase 3)
+  // Pass weather simulator and state to map for rendering (Phase 3), and
+  // the level on screen
   state.map.weather = state.weather;
   state.map.state = state;
+  state.map.viewZ = Math.min(viewZ, getDepth(state.map) - 1);
 
   renderer.render(state.map, entities);
   updateBubblePositions();
@@ -657,70 +899,55 @@ function renderFrame(renderer) {
   if (controlsWidget) controlsWidget.updateStatus(state);
   if (cursor) cursor.update(state);
   if (statPanel && statPanel.isVisible()) statPanel.update(state);
+  if (laborPanel && laborPanel.isVisible()) laborPanel.update(state);
+  if (stockpilePanel && stockpilePanel.isVisible()) stockpilePanel.update();
+  if (managerPanel && managerPanel.isVisible()) managerPanel.update();
+  if (tradePanel && tradePanel.isVisible()) tradePanel.update();
+  if (militaryPanel && militaryPanel.isVisible()) militaryPanel.update();
 
   // Update event log with game log
   updateEventLog(state);
 }
 
-function gameLoop(renderer) {
+function gameLoop() {
   if (!running) return;
 
   tick(state);
 
-  // Periodic maintenance (every 100 ticks)
-  if (state.tick % 100 === 0) {
-    // Update weather patterns
-    if (state.weather) {
-      updateSeasonalWeather(state);
-    }
-
-    // Day boundary (state.clock is the source of truth): narrate the day's
-    // notable events, then fold them into the L1 chronicle. Async and
-    // fire-and-forget — LLM work never blocks the tick loop.
-    if (state.clock && state.clock.day > lastChronicleDay) {
-      lastChronicleDay = state.clock.day;
-      processEndOfDay(state)
-        .then(() => updateChronicle(state))
-        .catch(error => console.warn('[Chronicle] Day-end processing failed:', error.message));
-    }
+  // Seasonal weather; a fresh group of settlers if the colony died out
+  const { repopulated } = runUpkeep(state);
+  if (repopulated) {
+    queueEventForNarration({ tick: state.tick, message: 'All dwarves perished; a new group arrived to continue the legacy.', type: 'death' });
   }
 
-  // Softer game over - dwarves can recover if food is found
-  if (state.dwarves.length === 0) {
-    addLog(state, 'All dwarves have perished... A new group arrives!');
-    queueEventForNarration({ tick: state.tick, message: 'All dwarves perished; a new group arrived to continue the legacy.', type: 'death' });
-    // Auto-regenerate with same map
-    resetIds();
-    for (let i = 0; i < 3; i++) {
-      const pos = findWalkablePosition(state.map);
-      if (pos) {
-        const dwarf = createDwarf(pos.x, pos.y);
-        state.dwarves.push(dwarf);
-        addLog(state, `${getDisplayName(dwarf)} arrives to continue the legacy.`);
-      }
-    }
-    // Add some food
-    for (let i = 0; i < 5; i++) {
-      const pos = findWalkablePosition(state.map);
-      if (pos) {
-        state.foodSources.push(createFoodSource(pos.x, pos.y, 8));
-      }
-    }
+  // Day boundary (state.clock is the source of truth): narrate the day's
+  // notable events, then fold them into the L1 chronicle. Async and
+  // fire-and-forget — LLM work never blocks the tick loop.
+  if (state.tick % UPKEEP_INTERVAL === 0 && state.clock && state.clock.day > lastChronicleDay) {
+    lastChronicleDay = state.clock.day;
+    processEndOfDay(state)
+      .then(() => updateChronicle(state))
+      .catch(error => console.warn('[Chronicle] Day-end processing failed:', error.message));
+
+    // Autosave at dawn of each new day (fire-and-forget, like the chronicle)
+    saveColony(autosaveSlotFor(autosaveCount++), { quiet: true });
   }
 
-  renderFrame(renderer);
+  renderFrame();
 
   if (running) {
-    loopId = setTimeout(() => gameLoop(renderer), tickInterval);
+    loopId = setTimeout(() => gameLoop(), tickInterval);
   }
 }
 
-function startLoop(renderer) {
+function startLoop() {
   if (loopId) clearTimeout(loopId);
-  loopId = setTimeout(() => gameLoop(renderer), tickInterval);
+  loopId = setTimeout(() => gameLoop(), tickInterval);
 }
 
 
 // Export for debugging
 window.gameState = state;
 window.getThoughtStatus = getThoughtStatus;
+window.downloadReplay = downloadReplay;
+window.playReplay = playReplay;
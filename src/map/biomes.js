@@ -6,6 +6,7 @@
 
 import { seed, simplex2, fbm, ridged, noise2D } from './noise.js';
 import { TileType, Biome, createTile } from './tiles.js';
+import { random } from '../sim/rng.js';
 
 /**
  * Generate elevation map using ridged noise for mountains
@@ -150,8 +151,8 @@ export function generateRivers(elevation, width, height, numRivers = 3) {
     let attempts = 0;
 
     do {
-      startX = Math.floor(Math.random() * width);
-      startY = Math.floor(Math.random() * height);
+      startX = Math.floor(random() * width);
+      startY = Math.floor(random() * height);
       startElev = elevation[startY * width + startX];
       attempts++;
     } while (startElev < 0.6 && attempts < 100);
@@ -206,7 +207,7 @@ export function generateRivers(elevation, width, height, numRivers = 3) {
         if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
           const nidx = ny * width + nx;
           // Add randomness to prevent straight lines
-          const nElev = elevation[nidx] + (Math.random() - 0.5) * 0.05;
+          const nElev = elevation[nidx] + (random() - 0.5) * 0.05;
           if (nElev < lowestElev) {
             lowestElev = nElev;
             lowestX = nx;
@@ -261,7 +262,7 @@ export function generateCaves(width, height, options = {}) {
   // Initialize with random fill
   let grid = new Uint8Array(width * height);
   for (let i = 0; i < grid.length; i++) {
-    grid[i] = Math.random() < density ? 1 : 0;
+    grid[i] = random() < density ? 1 : 0;
   }
 
   // Cellular automata smoothing
@@ -340,8 +341,8 @@ export function scatterFood(tiles, width, height, density = 0.02) {
       if (tile.type === TileType.MUSHROOM) localDensity *= 2;
       if (tile.type === TileType.FOREST_FLOOR) localDensity *= 1.5;
 
-      if (Math.random() < localDensity) {
-        foodPositions.push({ x, y, amount: 3 + Math.floor(Math.random() * 8) });
+      if (random() < localDensity) {
+        foodPositions.push({ x, y, amount: 3 + Math.floor(random() * 8) });
       }
     }
   }
@@ -374,7 +375,7 @@ export function calculateMapClimate(elevation, moisture, width, height) {
   // Temperature is inversely related to elevation (higher = colder)
   // Also add some variation based on moisture (wet = slightly cooler)
   // Base temp ranges from 0 (cold) to 1 (hot)
-  const baseTemp = 0.5 + (Math.random() - 0.5) * 0.3; // Random base climate
+  const baseTemp = 0.5 + (random() - 0.5) * 0.3; // Random base climate
   const elevationEffect = -avgElevation * 0.4; // Higher = colder
   const moistureEffect = -avgMoisture * 0.1; // Wetter = slightly cooler
 
@@ -1,32 +1,96 @@
 /**
  * Map data structure and operations.
- * Uses a flat array for O(1) coordinate access.
+ *
+ * A map is a stack of z-levels: z = 0 is the surface and z counts down
+ * from it, each level the same size. Stairs and ramps join a tile to the
+ * one directly beneath it (getLevelMoves). Everything that takes a z
+ * defaults to the surface.
+ *
+ * Tiles are stored in chunks: each level is cut into CHUNK_SIZE squares,
+ * `chunks[z][chunk]` holding that square's tiles row by row. Read and write
+ * them through getTile/setTile (getLevel hands out a flat copy for scans).
+ * Each chunk also carries a revision: replacing a tile (setTile, or
+ * touchTile after editing one in place) bumps it, so the renderer only
+ * re-resolves the chunks that changed.
  */
 
 import { TileType, createTile, getTileDef } from './tiles.js';
-import { seed, fbm, ridged, warped, noise2D } from './noise.js';
+import { seed, withNoiseSeed, fbm, ridged, warped, noise2D } from './noise.js';
 import { getBiome, getTileForBiome, generateRivers, calculateMapClimate } from './biomes.js';
 import { generateBiome, initBiomeGenerator } from '../llm/biomeGenerator.js';
+import { random, createRandom } from '../sim/rng.js';
+import { recordOutput, INPUT_KIND } from '../sim/inputLog.js';
+
+export const CHUNK_SIZE = 16;
 
 /**
  * Creates a new map.
  * @param {number} width - Map width in tiles
  * @param {number} height - Map height in tiles
+ * @param {number} [depth=1] - Levels, counting the surface
+ * @param {function} [makeTile] - (x, y, z) => tile; floor by default
  * @returns {object} Map object
  */
-export function createMap(width, height) {
-  const tiles = new Array(width * height);
+export function createMap(width, height, depth = 1, makeTile = () => createTile(TileType.FLOOR)) {
+  const map = { width, height, chunks: [] };
+  for (let z = 0; z < depth; z++) {
+    const level = emptyLevel(map);
+    map.chunks.push(level);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        level[chunkIndex(map, x, y)][cellIndex(x, y)] = makeTile(x, y, z);
+      }
+    }
+  }
+  return map;
+}
+
+/**
+ * Number of z-levels, counting the surface
+ * @param {object} map
+ * @returns {number}
+ */
+export function getDepth(map) {
+  return map?.chunks?.length || 0;
+}
 
-  // Initialize all as floor
-  for (let i = 0; i < tiles.length; i++) {
-    tiles[i] = createTile(TileType.FLOOR);
+/**
+ * A flat copy of one level's tiles, row by row (x + y * width). For
+ * scanning; writes go through setTile.
+ * @param {object} map
+ * @param {number} [z=0]
+ * @returns {Array|null} null below the deepest level
+ */
+export function getLevel(map, z = 0) {
+  if (z < 0 || z >= getDepth(map)) return null;
+  const tiles = new Array(map.width * map.height);
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      tiles[toIndex(map, x, y)] = map.chunks[z][chunkIndex(map, x, y)][cellIndex(x, y)];
+    }
   }
+  return tiles;
+}
 
-  return {
-    width,
-    height,
-    tiles,
-  };
+/**
+ * Store a flat array of tiles (x + y * width) as level z: a new level at
+ * the bottom of the stack, or a replacement for one already there
+ * @param {object} map
+ * @param {Array} tiles
+ * @param {number} [z=0]
+ */
+export function setLevel(map, tiles, z = 0) {
+  if (!map.chunks) map.chunks = [];
+  if (z < 0 || z > map.chunks.length) return;
+  const level = emptyLevel(map);
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      level[chunkIndex(map, x, y)][cellIndex(x, y)] = tiles[toIndex(map, x, y)];
+    }
+  }
+  map.chunks[z] = level;
+  // Every chunk of a replaced level has changed
+  if (map.chunkRevisions?.[z]) map.chunkRevisions[z] = map.chunkRevisions[z].map(r => r + 1);
 }
 
 /**
@@ -58,10 +122,12 @@ export function toCoord(map, idx) {
  * @param {object} map
  * @param {number} x
  * @param {number} y
+ * @param {number} [z=0]
  * @returns {boolean}
  */
-export function inBounds(map, x, y) {
-  return x >= 0 && x < map.width && y >= 0 && y < map.height;
+export function inBounds(map, x, y, z = 0) {
+  return x >= 0 && x < map.width && y >= 0 && y < map.height &&
+    z >= 0 && z < getDepth(map);
 }
 
 /**
@@ -69,11 +135,12 @@ export function inBounds(map, x, y) {
  * @param {object} map
  * @param {number} x
  * @param {number} y
+ * @param {number} [z=0]
  * @returns {object|null}
  */
-export function getTile(map, x, y) {
-  if (!inBounds(map, x, y)) return null;
-  return map.tiles[toIndex(map, x, y)];
+export function getTile(map, x, y, z = 0) {
+  if (!inBounds(map, x, y, z)) return null;
+  return map.chunks[z][chunkIndex(map, x, y)][cellIndex(x, y)];
 }
 
 /**
@@ -82,10 +149,98 @@ export function getTile(map, x, y) {
  * @param {number} x
  * @param {number} y
  * @param {object} tile
+ * @param {number} [z=0]
+ */
+export function setTile(map, x, y, tile, z = 0) {
+  if (!inBounds(map, x, y, z)) return;
+  map.chunks[z][chunkIndex(map, x, y)][cellIndex(x, y)] = tile;
+  touchTile(map, x, y, z);
+}
+
+// === CHUNKS ===
+
+/**
+ * Chunks across and down a level
+ * @param {object} map
+ * @returns {{ across: number, down: number }}
+ */
+export function getChunkGrid(map) {
+  return {
+    across: Math.ceil(map.width / CHUNK_SIZE),
+    down: Math.ceil(map.height / CHUNK_SIZE),
+  };
+}
+
+// A level's chunks, every cell empty (cells past the map's edge stay that way)
+function emptyLevel(map) {
+  const { across, down } = getChunkGrid(map);
+  return Array.from({ length: across * down }, () => new Array(CHUNK_SIZE * CHUNK_SIZE).fill(null));
+}
+
+// Which chunk of a level holds (x, y)
+function chunkIndex(map, x, y) {
+  return Math.floor(y / CHUNK_SIZE) * Math.ceil(map.width / CHUNK_SIZE) + Math.floor(x / CHUNK_SIZE);
+}
+
+/**
+ * Where (x, y) sits inside its chunk's tile array
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
  */
-export function setTile(map, x, y, tile) {
-  if (!inBounds(map, x, y)) return;
-  map.tiles[toIndex(map, x, y)] = tile;
+export function cellIndex(x, y) {
+  return (y % CHUNK_SIZE) * CHUNK_SIZE + (x % CHUNK_SIZE);
+}
+
+/**
+ * The stored tiles of the chunk holding (x, y), indexed by cellIndex.
+ * Read-only: writes go through setTile so the chunk's revision moves.
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [z=0]
+ * @returns {Array|null}
+ */
+export function getChunkTiles(map, x, y, z = 0) {
+  if (!inBounds(map, x, y, z)) return null;
+  return map.chunks[z][chunkIndex(map, x, y)];
+}
+
+// One revision counter per chunk per level, made on first use (a loaded
+// map starts over from zero; the renderer drops its cache for a new map)
+function getChunkRevisions(map, z) {
+  if (!map.chunkRevisions) map.chunkRevisions = [];
+  if (!map.chunkRevisions[z]) {
+    const { across, down } = getChunkGrid(map);
+    map.chunkRevisions[z] = new Uint32Array(across * down);
+  }
+  return map.chunkRevisions[z];
+}
+
+/**
+ * Revision of the chunk holding (x, y); it goes up whenever a tile in it
+ * is replaced
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [z=0]
+ * @returns {number}
+ */
+export function getChunkRevision(map, x, y, z = 0) {
+  if (!inBounds(map, x, y, z)) return 0;
+  return getChunkRevisions(map, z)[chunkIndex(map, x, y)];
+}
+
+/**
+ * Mark the tile at (x, y) changed, for code that edits a tile in place
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [z=0]
+ */
+export function touchTile(map, x, y, z = 0) {
+  if (!inBounds(map, x, y, z)) return;
+  getChunkRevisions(map, z)[chunkIndex(map, x, y)]++;
 }
 
 /**
@@ -93,23 +248,54 @@ export function setTile(map, x, y, tile) {
  * @param {object} map
  * @param {number} x
  * @param {number} y
+ * @param {number} [z=0]
  * @returns {boolean}
  */
-export function isWalkable(map, x, y) {
-  const tile = getTile(map, x, y);
+export function isWalkable(map, x, y, z = 0) {
+  const tile = getTile(map, x, y, z);
   if (!tile) return false;
   return getTileDef(tile).walkable;
 }
 
+// A tile that leads down, and the tile it must sit above
+const LEADS_DOWN = {
+  [TileType.STAIR_DOWN]: TileType.STAIR_UP,
+  [TileType.RAMP_DOWN]: TileType.RAMP_UP,
+};
+
 /**
- * Iterates over all tiles, calling fn(tile, x, y, idx).
+ * Levels reachable from (x, y, z) by stairs or a ramp. A way down only
+ * counts while its other end is still there.
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @param {number} [z=0]
+ * @returns {Array<number>} z of each level one step away
+ */
+export function getLevelMoves(map, x, y, z = 0) {
+  const type = getTile(map, x, y, z)?.type;
+  const moves = [];
+  if (LEADS_DOWN[type] && getTile(map, x, y, z + 1)?.type === LEADS_DOWN[type]) {
+    moves.push(z + 1);
+  }
+  const above = getTile(map, x, y, z - 1)?.type;
+  if (above && LEADS_DOWN[above] === type) {
+    moves.push(z - 1);
+  }
+  return moves;
+}
+
+/**
+ * Iterates over all tiles of a level, calling fn(tile, x, y, idx).
  * @param {object} map
  * @param {function} fn
+ * @param {number} [z=0]
  */
-export function forEachTile(map, fn) {
-  for (let idx = 0; idx < map.tiles.length; idx++) {
-    const { x, y } = toCoord(map, idx);
-    fn(map.tiles[idx], x, y, idx);
+export function forEachTile(map, fn, z = 0) {
+  for (let y = 0; y < map.height; y++) {
+    for (let x = 0; x < map.width; x++) {
+      fn(getTile(map, x, y, z), x, y, toIndex(map, x, y));
+    }
   }
 }
 
@@ -129,7 +315,7 @@ export function generateSimpleMap(width = 40, height = 20, foodDensity = 0.05) {
       setTile(map, x, y, createTile(TileType.WALL));
     }
     // Scatter food plants inside
-    else if (Math.random() < foodDensity) {
+    else if (random() < foodDensity) {
       setTile(map, x, y, createTile(TileType.FOOD_PLANT));
     }
   });
@@ -160,28 +346,10 @@ export function generateCaveMap(width = 80, height = 40, options = {}) {
     connectCaves = true,       // Attempt to connect isolated regions
   } = options;
 
-  // Step 1: Create noise map (true = wall, false = floor)
-  let cells = initNoise(width, height, wallProbability);
-
-  // Step 2: Apply cellular automata smoothing
-  for (let i = 0; i < smoothingPasses; i++) {
-    cells = smoothCA(cells, width, height, birthLimit, surviveLimit);
-  }
-
-  // Step 3: Ensure border is solid wall
-  for (let x = 0; x < width; x++) {
-    cells[0 * width + x] = true;
-    cells[(height - 1) * width + x] = true;
-  }
-  for (let y = 0; y < height; y++) {
-    cells[y * width + 0] = true;
-    cells[y * width + (width - 1)] = true;
-  }
-
-  // Step 4: Connect isolated caves (optional)
-  if (connectCaves) {
-    cells = connectRegions(cells, width, height);
-  }
+  // Steps 1-4: Noise, smoothing, solid border, connected caves
+  const cells = generateCaves(width, height, {
+    wallProbability, smoothingPasses, birthLimit, surviveLimit, connectCaves,
+  });
 
   // Step 5: Convert to tile map
   const map = createMap(width, height);
@@ -194,9 +362,9 @@ export function generateCaveMap(width = 80, height = 40, options = {}) {
         setTile(map, x, y, createTile(TileType.CAVE_WALL));
       } else {
         // Floor with occasional variation
-        if (Math.random() < 0.15) {
+        if (random() < 0.15) {
           setTile(map, x, y, createTile(TileType.DIRT));
-        } else if (Math.random() < mushroomDensity) {
+        } else if (random() < mushroomDensity) {
           setTile(map, x, y, createTile(TileType.MUSHROOM));
         } else {
           setTile(map, x, y, createTile(TileType.CAVE_FLOOR));
@@ -211,13 +379,51 @@ export function generateCaveMap(width = 80, height = 40, options = {}) {
   return map;
 }
 
+/**
+ * Cellular automata caves as a wall grid (true = wall, false = floor).
+ * @param {number} width
+ * @param {number} height
+ * @param {object} options - { wallProbability, smoothingPasses, birthLimit,
+ *   surviveLimit, connectCaves }
+ * @param {function} [rand] - Random stream (the simulation's by default)
+ * @returns {Array<boolean>}
+ */
+function generateCaves(width, height, options, rand = random) {
+  const { wallProbability, smoothingPasses, birthLimit, surviveLimit, connectCaves } = options;
+
+  // Step 1: Create noise map (true = wall, false = floor)
+  let cells = initNoise(width, height, wallProbability, rand);
+
+  // Step 2: Apply cellular automata smoothing
+  for (let i = 0; i < smoothingPasses; i++) {
+    cells = smoothCA(cells, width, height, birthLimit, surviveLimit);
+  }
+
+  // Step 3: Ensure border is solid wall
+  for (let x = 0; x < width; x++) {
+    cells[0 * width + x] = true;
+    cells[(height - 1) * width + x] = true;
+  }
+  for (let y = 0; y < height; y++) {
+    cells[y * width + 0] = true;
+    cells[y * width + (width - 1)] = true;
+  }
+
+  // Step 4: Connect isolated caves (optional)
+  if (connectCaves) {
+    cells = connectRegions(cells, width, height);
+  }
+
+  return cells;
+}
+
 /**
  * Initialize noise grid with random walls.
  */
-function initNoise(width, height, probability) {
+function initNoise(width, height, probability, rand = random) {
   const cells = new Array(width * height);
   for (let i = 0; i < cells.length; i++) {
-    cells[i] = Math.random() < probability;
+    cells[i] = rand() < probability;
   }
   return cells;
 }
@@ -303,11 +509,17 @@ function connectRegions(cells, width, height) {
     for (let i = 1; i < regions.length; i++) {
       const otherRegion = regions[i];
 
-      // Find closest pair of points between regions
+      // Find closest pair of points between regions. A main-region point
+      // farther from the other region's bounding box than the best pair so
+      // far can't beat it, which keeps large maps quick.
       let minDist = Infinity;
       let bestPair = null;
+      const box = boundingBox(otherRegion);
 
       for (const p1 of mainRegion) {
+        const boxDist = Math.max(0, box.minX - p1.x, p1.x - box.maxX) +
+          Math.max(0, box.minY - p1.y, p1.y - box.maxY);
+        if (boxDist >= minDist) continue;
         for (const p2 of otherRegion) {
           const dist = Math.abs(p1.x - p2.x) + Math.abs(p1.y - p2.y);
           if (dist < minDist) {
@@ -321,7 +533,7 @@ function connectRegions(cells, width, height) {
       if (bestPair) {
         carveTunnel(cells, width, bestPair[0], bestPair[1]);
         // Add connected region to main
-        mainRegion.push(...otherRegion);
+        for (const p of otherRegion) mainRegion.push(p);
       }
     }
   }
@@ -329,6 +541,17 @@ function connectRegions(cells, width, height) {
   return cells;
 }
 
+function boundingBox(points) {
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (const { x, y } of points) {
+    box.minX = Math.min(box.minX, x);
+    box.minY = Math.min(box.minY, y);
+    box.maxX = Math.max(box.maxX, x);
+    box.maxY = Math.max(box.maxY, y);
+  }
+  return box;
+}
+
 /**
  * Flood fill to find connected floor region.
  */
@@ -385,8 +608,8 @@ function placeWaterPools(map, cells, width, height, count) {
   let placed = 0;
 
   for (let i = 0; i < attempts && placed < count; i++) {
-    const x = 3 + Math.floor(Math.random() * (width - 6));
-    const y = 3 + Math.floor(Math.random() * (height - 6));
+    const x = 3 + Math.floor(random() * (width - 6));
+    const y = 3 + Math.floor(random() * (height - 6));
 
     // Check if area is mostly floor
     let floorCount = 0;
@@ -399,7 +622,7 @@ function placeWaterPools(map, cells, width, height, count) {
 
     if (floorCount >= 20) {
       // Place pool
-      const poolSize = 2 + Math.floor(Math.random() * 2);
+      const poolSize = 2 + Math.floor(random() * 2);
       for (let dy = -poolSize; dy <= poolSize; dy++) {
         for (let dx = -poolSize; dx <= poolSize; dx++) {
           const px = x + dx;
@@ -432,8 +655,8 @@ export function findWalkablePosition(map) {
   const attempts = 100;
 
   for (let i = 0; i < attempts; i++) {
-    const x = Math.floor(Math.random() * map.width);
-    const y = Math.floor(Math.random() * map.height);
+    const x = Math.floor(random() * map.width);
+    const y = Math.floor(random() * map.height);
 
     if (isWalkable(map, x, y)) {
       return { x, y };
@@ -443,6 +666,10 @@ export function findWalkablePosition(map) {
   return null;
 }
 
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
 // ============================================================
 // MULTI-BIOME TERRAIN GENERATION
 // Uses noise for elevation/moisture, generates organic landscapes
@@ -462,6 +689,10 @@ export function generateBiomeMap(width = 80, height = 40, options = {}) {
     moistureScale = 0.03,
     detailScale = 0.15,
     numRivers = 3,
+    elevationBias = 0,   // Scenario biome emphasis: shifts the whole map
+    moistureBias = 0,    // toward mountains/lowlands, forest/desert
+    originX = 0,         // Where the map lies in the noise: an embark
+    originY = 0,         // region's own stretch of land (worldMap.js)
   } = options;
 
   // Seed the noise generator
@@ -477,17 +708,19 @@ export function generateBiomeMap(width = 80, height = 40, options = {}) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const idx = y * width + x;
+      const nx = x + originX;
+      const ny = y + originY;
 
       // Elevation: ridged noise for mountains + base terrain
-      const baseElev = (fbm(x * elevationScale, y * elevationScale, 4, 2, 0.5) + 1) / 2;
-      const ridgeElev = ridged(x * elevationScale * 0.8, y * elevationScale * 0.8, 4);
-      elevation[idx] = baseElev * 0.55 + ridgeElev * 0.45;
+      const baseElev = (fbm(nx * elevationScale, ny * elevationScale, 4, 2, 0.5) + 1) / 2;
+      const ridgeElev = ridged(nx * elevationScale * 0.8, ny * elevationScale * 0.8, 4);
+      elevation[idx] = clamp01(baseElev * 0.55 + ridgeElev * 0.45 + elevationBias);
 
       // Moisture: warped noise for organic patterns
-      moisture[idx] = warped(x + 1000, y + 1000, moistureScale, 3);
+      moisture[idx] = clamp01(warped(nx + 1000, ny + 1000, moistureScale, 3) + moistureBias);
 
       // Detail: high-frequency noise for local variation
-      detail[idx] = noise2D(x, y, detailScale);
+      detail[idx] = noise2D(nx, ny, detailScale);
     }
   }
 
@@ -546,6 +779,8 @@ export function generateMixedMap(width = 80, height = 40, options = {}) {
     smoothPasses = 5,
     surfaceChance = 0.3,
     numRivers = 2,
+    originX = 0,         // Where the map lies in the noise (generateBiomeMap)
+    originY = 0,
   } = options;
 
   seed(mapSeed);
@@ -566,9 +801,11 @@ export function generateMixedMap(width = 80, height = 40, options = {}) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const idx = y * width + x;
-      surfaceNoise[idx] = (fbm(x * 0.04, y * 0.04, 3) + 1) / 2;
-      elevNoise[idx] = (ridged(x * 0.02, y * 0.02, 4) + fbm(x * 0.03, y * 0.03, 4)) / 2;
-      moistNoise[idx] = warped(x + 500, y + 500, 0.035, 2);
+      const nx = x + originX;
+      const ny = y + originY;
+      surfaceNoise[idx] = (fbm(nx * 0.04, ny * 0.04, 3) + 1) / 2;
+      elevNoise[idx] = (ridged(nx * 0.02, ny * 0.02, 4) + fbm(nx * 0.03, ny * 0.03, 4)) / 2;
+      moistNoise[idx] = warped(nx + 500, ny + 500, 0.035, 2);
     }
   }
 
@@ -581,7 +818,7 @@ export function generateMixedMap(width = 80, height = 40, options = {}) {
       const idx = y * width + x;
       const isCaveWall = caveCells[idx];
       const isSurface = surfaceNoise[idx] > (1 - surfaceChance);
-      const det = noise2D(x, y, 0.12);
+      const det = noise2D(x + originX, y + originY, 0.12);
 
       if (isSurface) {
         // Surface tile - use biome logic
@@ -595,25 +832,9 @@ export function generateMixedMap(width = 80, height = 40, options = {}) {
           setTile(map, x, y, createTile(tileType));
         }
       } else if (isCaveWall) {
-        // Underground wall
-        if (det > 0.85) {
-          setTile(map, x, y, createTile(TileType.ORE_COPPER));
-        } else if (det > 0.82) {
-          setTile(map, x, y, createTile(TileType.ORE_IRON));
-        } else {
-          setTile(map, x, y, createTile(TileType.CAVE_WALL));
-        }
+        setTile(map, x, y, createTile(caveWallTile(x, y, det)));
       } else {
-        // Cave floor
-        if (det > 0.9) {
-          setTile(map, x, y, createTile(TileType.CRYSTAL));
-        } else if (det > 0.7) {
-          setTile(map, x, y, createTile(TileType.MUSHROOM));
-        } else if (det > 0.5) {
-          setTile(map, x, y, createTile(TileType.MOSS));
-        } else {
-          setTile(map, x, y, createTile(TileType.CAVE_FLOOR));
-        }
+        setTile(map, x, y, createTile(caveFloorTile(det)));
       }
     }
   }
@@ -625,6 +846,116 @@ export function generateMixedMap(width = 80, height = 40, options = {}) {
   return map;
 }
 
+/**
+ * Underground wall; veins where the detail noise peaks, their mineral
+ * picked by a second, coarser noise
+ */
+function caveWallTile(x, y, det) {
+  const vein = det > 0.7 ? noise2D(x + 1000, y + 1000, 0.2) : 0;
+  if (vein > 0.65) return TileType.GEMSTONE;
+  if (vein > 0.5) return TileType.ORE_IRON;
+  if (det > 0.7) return TileType.ORE_COPPER;
+  return TileType.CAVE_WALL;
+}
+
+/**
+ * Cave floor, with crystal, mushrooms and moss where the detail noise peaks
+ */
+function caveFloorTile(det) {
+  if (det > 0.9) return TileType.CRYSTAL;
+  if (det > 0.7) return TileType.MUSHROOM;
+  if (det > 0.5) return TileType.MOSS;
+  return TileType.CAVE_FLOOR;
+}
+
+// ============================================================
+// CAVERN LEVELS
+// Cellular automata caverns stacked under the surface, joined by ramps
+// from the surface and stairs between caverns
+// ============================================================
+
+/**
+ * Dig cavern levels under a generated surface. They draw from their own
+ * stream seeded by mapSeed, so the surface world, and the simulation
+ * stream after it, come out the same with or without them.
+ * @param {object} map - A one-level map (any generation mode)
+ * @param {object} options
+ * @returns {object} The map, now `levels + 1` deep
+ */
+export function addCaverns(map, options = {}) {
+  const {
+    levels = 2,                // Cavern levels under the surface
+    mapSeed = 0,
+    wallProbability = 0.47,
+    smoothingPasses = 5,
+    ramps = 3,                 // Ways down from the surface
+    stairs = 2,                // Stairways between each pair of caverns
+  } = options;
+
+  const { width, height } = map;
+  map.chunks.length = 1;
+
+  for (let z = 1; z <= levels; z++) {
+    const rand = createRandom(`${mapSeed}:cavern:${z}`);
+    const cells = generateCaves(width, height, {
+      wallProbability, smoothingPasses, birthLimit: 5, surviveLimit: 4, connectCaves: true,
+    }, rand);
+
+    // Noise of its own per level, so veins and groves differ from the
+    // level above and the surface's noise is left as generation found it
+    const tiles = withNoiseSeed((Math.abs(Number(mapSeed)) || 0) + z * 7919, () => {
+      const level = new Array(width * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const idx = y * width + x;
+          const det = noise2D(x, y, 0.12);
+          level[idx] = createTile(cells[idx] ? caveWallTile(x, y, det) : caveFloorTile(det));
+        }
+      }
+      return level;
+    });
+    setLevel(map, tiles, z);
+  }
+
+  for (let z = 0; z < levels; z++) {
+    const rand = createRandom(`${mapSeed}:ways:${z}`);
+    const [down, up] = z === 0
+      ? [TileType.RAMP_DOWN, TileType.RAMP_UP]
+      : [TileType.STAIR_DOWN, TileType.STAIR_UP];
+    placeWaysDown(map, z, z === 0 ? ramps : stairs, down, up, rand);
+  }
+
+  return map;
+}
+
+// Water and existing ways are left alone when placing stairs and ramps
+const NO_WAY_DOWN = new Set([
+  TileType.WATER_SHALLOW, TileType.WATER_DEEP, TileType.RIVER, TileType.MARSH,
+  TileType.STAIR_DOWN, TileType.STAIR_UP, TileType.RAMP_DOWN, TileType.RAMP_UP,
+]);
+
+function canHoldWay(map, x, y, z) {
+  const tile = getTile(map, x, y, z);
+  return !!tile && getTileDef(tile).walkable && !NO_WAY_DOWN.has(tile.type);
+}
+
+/**
+ * Join level z to the one beneath at up to `count` spots where both are
+ * open ground
+ */
+function placeWaysDown(map, z, count, down, up, rand) {
+  let placed = 0;
+  for (let attempt = 0; attempt < count * 100 && placed < count; attempt++) {
+    const x = 2 + Math.floor(rand() * (map.width - 4));
+    const y = 2 + Math.floor(rand() * (map.height - 4));
+    if (!canHoldWay(map, x, y, z) || !canHoldWay(map, x, y, z + 1)) continue;
+
+    setTile(map, x, y, createTile(down), z);
+    setTile(map, x, y, createTile(up), z + 1);
+    placed++;
+  }
+}
+
 // ============================================================
 // BIOME NAME GENERATION (LLM-powered)
 // ============================================================
@@ -679,14 +1010,15 @@ function inferBiomeResources(climate) {
  * Add biome metadata to a map based on its terrain characteristics.
  * Generates an LLM-based biome name and color modifiers.
  * @param {object} map - Map with elevation and moisture arrays
- * @param {object} options - { timeout }
+ * @param {object} options - { timeout, scenario, embark } (embark: the
+ *   region settled, worldMap.js resolveEmbarkSite)
  * @returns {Promise<object>} The map with biome property added
  */
 export async function addBiomeToMap(map, options = {}) {
   // For maps without elevation/moisture (pure caves), use underground presets
   if (!map.elevation || !map.moisture) {
     console.log('[Map] No terrain data, using underground biome preset');
-    const preset = CAVE_BIOME_PRESETS[Math.floor(Math.random() * CAVE_BIOME_PRESETS.length)];
+    const preset = CAVE_BIOME_PRESETS[Math.floor(random() * CAVE_BIOME_PRESETS.length)];
     map.biome = {
       name: preset.name,
       description: `A deep ${preset.name.toLowerCase()} system.`,
@@ -705,10 +1037,13 @@ export async function addBiomeToMap(map, options = {}) {
 
   // Calculate climate from terrain
   const climate = calculateMapClimate(map.elevation, map.moisture, map.width, map.height);
+  // The local map has no temperature layer; an embark region brings its own
+  // (worldMap.js)
+  if (options.embark) climate.avgTemperature = options.embark.climate.avgTemperature;
   console.log('[Map] Calculated climate:', climate);
 
-  // Generate biome name
-  const biome = await generateBiome(climate, options);
+  // Generate biome name (LLM output: recorded, and recalled on replay)
+  const biome = await recordOutput(INPUT_KIND.BIOME, () => generateBiome(climate, options));
   map.biome = biome;
 
   // Store climate data for context
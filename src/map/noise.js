@@ -3,6 +3,8 @@
  * Based on Stefan Gustavson's implementation
  */
 
+import { random } from '../sim/rng.js';
+
 // Permutation table
 const perm = new Uint8Array(512);
 const gradP = new Array(512);
@@ -47,7 +49,27 @@ export function seed(seed) {
 }
 
 // Initialize with random seed
-seed(Math.random() * 65536);
+seed(random() * 65536);
+
+/**
+ * Run fn on noise seeded by `value`, then put the permutation back as it
+ * was, so generation that needs noise of its own (cavern levels) leaves
+ * the surface's noise alone
+ * @param {number} value - Seed value
+ * @param {function} fn
+ * @returns {*} fn's result
+ */
+export function withNoiseSeed(value, fn) {
+  const savedPerm = perm.slice();
+  const savedGrad = gradP.slice();
+  seed(value);
+  try {
+    return fn();
+  } finally {
+    perm.set(savedPerm);
+    for (let i = 0; i < 512; i++) gradP[i] = savedGrad[i];
+  }
+}
 
 // Skewing factors for 2D simplex
 const F2 = 0.5 * (Math.sqrt(3) - 1);
@@ -221,9 +243,11 @@ export function createNoiseMap(width, height, scale = 0.05, noiseFn = noise2D) {
  * @param {number} width
  * @param {number} height
  * @param {number} mapSeed - Optional seed for reproducibility
+ * @param {number} step - Tiles per cell: a coarse map of a wide area samples
+ *   every step-th tile (the world map's regions)
  * @returns {{elevation: Float32Array, moisture: Float32Array, temperature: Float32Array}}
  */
-export function createBiomeMaps(width, height, mapSeed = null) {
+export function createBiomeMaps(width, height, mapSeed = null, step = 1) {
   if (mapSeed !== null) seed(mapSeed);
 
   // Different scales and offsets for variety
@@ -234,18 +258,20 @@ export function createBiomeMaps(width, height, mapSeed = null) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const idx = y * width + x;
+      const nx = x * step;
+      const ny = y * step;
 
       // Elevation: ridged for mountains, fbm for base
-      const baseElevation = noise2D(x, y, 0.02);
-      const ridgeNoise = ridged(x * 0.015, y * 0.015, 5);
+      const baseElevation = noise2D(nx, ny, 0.02);
+      const ridgeNoise = ridged(nx * 0.015, ny * 0.015, 5);
       elevation[idx] = baseElevation * 0.6 + ridgeNoise * 0.4;
 
       // Moisture: warped for organic rivers/lakes
-      moisture[idx] = warped(x + 1000, y + 1000, 0.025, 3);
+      moisture[idx] = warped(nx + 1000, ny + 1000, 0.025, 3);
 
       // Temperature: latitude-like gradient + noise
       const latitudeFactor = 1 - Math.abs(y / height - 0.5) * 1.2;
-      const tempNoise = noise2D(x + 2000, y + 2000, 0.04);
+      const tempNoise = noise2D(nx + 2000, ny + 2000, 0.04);
       temperature[idx] = latitudeFactor * 0.7 + tempNoise * 0.3;
     }
   }
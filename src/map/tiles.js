@@ -24,6 +24,8 @@ export const TileType = Object.freeze({
   DENSE_FOREST: 'dense_forest',
   FOREST_FLOOR: 'forest_floor',
   SHRUB: 'shrub',
+  STUMP: 'stump',               // A felled tree (forestry.js)
+  SAPLING: 'sapling',           // ... growing back
 
   // === GRASSLAND / PLAINS ===
   GRASS: 'grass',
@@ -45,11 +47,17 @@ export const TileType = Object.freeze({
   FLOWER: 'flower',
   MOSS: 'moss',
 
-  // === MINERALS (for future) ===
+  // === MINERALS (dug out for ore and gems, construction.js) ===
   ORE_COPPER: 'ore_copper',
   ORE_IRON: 'ore_iron',
   GEMSTONE: 'gemstone',
 
+  // === LEVELS (ways between z-levels, map.js) ===
+  STAIR_DOWN: 'stair_down',     // Above a STAIR_UP
+  STAIR_UP: 'stair_up',
+  RAMP_DOWN: 'ramp_down',       // Above a RAMP_UP
+  RAMP_UP: 'ramp_up',
+
   // === SAND / DESERT ===
   SAND: 'sand',
   DUNE: 'dune',
@@ -202,6 +210,22 @@ export const TILE_DEFS = Object.freeze({
     harvestable: false,
     moveCost: 1.2,
   },
+  [TileType.STUMP]: {
+    char: '∩',
+    fg: '#6b5136',
+    bg: '#0a1a0f',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1.2,
+  },
+  [TileType.SAPLING]: {
+    char: '↑',
+    fg: '#4f9a55',
+    bg: '#0a1a0f',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1.2,
+  },
 
   // === GRASSLAND / PLAINS ===
   [TileType.GRASS]: {
@@ -368,6 +392,40 @@ export const TILE_DEFS = Object.freeze({
     moveCost: Infinity,
   },
 
+  // === LEVELS ===
+  [TileType.STAIR_DOWN]: {
+    char: '>',
+    fg: '#ccbb99',
+    bg: '#1a1410',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1,
+  },
+  [TileType.STAIR_UP]: {
+    char: '<',
+    fg: '#ccbb99',
+    bg: '#1a1410',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1,
+  },
+  [TileType.RAMP_DOWN]: {
+    char: '▼',
+    fg: '#998866',
+    bg: '#1a1410',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1,
+  },
+  [TileType.RAMP_UP]: {
+    char: '▲',
+    fg: '#998866',
+    bg: '#1a1410',
+    walkable: true,
+    harvestable: false,
+    moveCost: 1,
+  },
+
   // === SAND / DESERT ===
   [TileType.SAND]: {
     char: '.',
@@ -0,0 +1,335 @@
+/**
+ * World Map
+ * A coarse map of the world around the colony, one cell per region: biome
+ * bands, rivers and the settlements of the peoples in the world's history.
+ * The player picks a region to embark on (ui/embarkScreen.js). Its climate
+ * shapes the local map generated there (worldGen.js), and the settlements
+ * within reach decide who comes visiting (visitorSpawner.js).
+ *
+ * Drawn from the same noise as the local maps (createBiomeMaps, sampled
+ * every REGION_SCALE tiles) and the same past (generateWorldHistory). Both
+ * run on streams of their own seeded by the world seed, so a seed always
+ * draws the same world map, whenever it is drawn, and drawing it leaves
+ * the simulation stream alone.
+ */
+
+import { createBiomeMaps } from './noise.js';
+import { getBiome, generateRivers } from './biomes.js';
+import { Biome } from './tiles.js';
+import { generateWorldHistory, getDwarfRelation, getStance, getRaceName } from '../sim/history.js';
+import { RACE } from '../sim/races.js';
+import { random, withStream } from '../sim/rng.js';
+
+export const WORLD_MAP_CONFIG = Object.freeze({
+  WIDTH: 48,                // Regions across
+  HEIGHT: 24,               // Regions down
+  REGION_SCALE: 4,          // Noise tiles between two regions' samples
+  RIVERS: 8,
+  TUNDRA_TEMPERATURE: 0.3,  // Colder regions freeze over, whatever their biome
+  SITES_PER_RACE: 2,        // Settlements per people, before their history adds more
+  EVENTS_PER_SITE: 3,       // One more settlement per this many events a people took part in
+  MAX_SITES_PER_RACE: 5,
+  SITE_SPACING: 5,          // Regions between two settlements
+  NEIGHBOR_RADIUS: 10,      // Regions; settlements farther off are not neighbors
+  EMBARK_BIAS: 0.6,         // How far a region's elevation and moisture pull its local map
+  RIVER_REGION_RIVERS: 6,   // Rivers on a local map whose region a river runs through
+  DRY_REGION_RIVERS: 2,     // ...and on one whose region has none
+  NO_NEIGHBOR_WEIGHT: 0.5,  // Visitor weight for a race with no settlement in reach
+  MAX_NEIGHBOR_WEIGHT: 2.5,
+});
+
+// Biome bands of the world map: the local biomes, and frozen land
+export const REGION_BIOME = Object.freeze({
+  MOUNTAIN: Biome.MOUNTAIN,
+  FOREST: Biome.FOREST,
+  PLAINS: Biome.PLAINS,
+  MARSH: Biome.MARSH,
+  DESERT: Biome.DESERT,
+  TUNDRA: 'tundra',
+});
+
+// Where each people settles, and what they call it. The dwarves' own
+// halls are on the map too: the colony's kin, not its visitors.
+const SETTLEMENTS = {
+  dwarf: {
+    biomes: [REGION_BIOME.MOUNTAIN],
+    river: 0,
+    names: [['Iron', 'Granite', 'Copper', 'Anvil', 'Deep', 'Stone'], ['hold', 'halls', 'delve', 'forge']],
+  },
+  [RACE.HUMAN]: {
+    biomes: [REGION_BIOME.PLAINS],
+    river: 0.5,
+    names: [['Ash', 'Mill', 'Oak', 'Brook', 'King', 'Salt'], ['ford', 'ton', 'bury', 'wick']],
+  },
+  [RACE.ELF]: {
+    biomes: [REGION_BIOME.FOREST],
+    river: 0.2,
+    names: [['Silver', 'Moon', 'Leaf', 'Star', 'Mist', 'Dawn'], ['glade', 'wood', 'bough', 'vale']],
+  },
+  [RACE.GOBLIN]: {
+    biomes: [REGION_BIOME.DESERT, REGION_BIOME.MARSH, REGION_BIOME.TUNDRA],
+    river: 0,
+    names: [['Gore', 'Rot', 'Skull', 'Grim', 'Blight', 'Ash'], ['pit', 'maw', 'fang', 'hollow']],
+  },
+};
+
+const COMPASS = ['east', 'south-east', 'south', 'south-west', 'west', 'north-west', 'north', 'north-east'];
+
+/**
+ * The world's history, as the world map and the colony embarked on it
+ * share it. generateWorldHistory rolls random() when it re-picks a pair of
+ * peoples, so it runs on its own stream here.
+ * @param {number|string} seed - World seed
+ * @returns {object} generateWorldHistory output
+ */
+export function generateWorldMapHistory(seed) {
+  return withStream(`${seed}:history`, () => generateWorldHistory(seed));
+}
+
+/**
+ * Draw the world map for a world seed
+ * @param {number|string} seed - World seed
+ * @returns {object} { seed, width, height, regions, settlements, history }
+ *   regions is row-major: { biome, elevation, moisture, temperature, river }
+ */
+export function generateWorldMap(seed) {
+  const { WIDTH: width, HEIGHT: height, REGION_SCALE, RIVERS, TUNDRA_TEMPERATURE } = WORLD_MAP_CONFIG;
+  const history = generateWorldMapHistory(seed);
+
+  return withStream(`${seed}:regions`, () => {
+    const { elevation, moisture, temperature } = createBiomeMaps(width, height, seed, REGION_SCALE);
+    // Sampled this coarsely the noise keeps to a narrow middle band; spread
+    // it over the whole range so the world has its peaks and its deserts
+    stretch(elevation);
+    stretch(moisture);
+    const { riverTiles } = generateRivers(elevation, width, height, RIVERS);
+
+    const regions = [];
+    for (let i = 0; i < width * height; i++) {
+      // Higher is colder, as on a local map (calculateMapClimate)
+      const warmth = clamp01(temperature[i] - elevation[i] * 0.4);
+      regions.push({
+        biome: warmth < TUNDRA_TEMPERATURE ? REGION_BIOME.TUNDRA : getBiome(elevation[i], moisture[i]),
+        elevation: elevation[i],
+        moisture: moisture[i],
+        temperature: warmth,
+        river: riverTiles.has(i),
+      });
+    }
+
+    const settlements = placeSettlements(regions, width, history);
+    return { seed, width, height, regions, settlements, history };
+  });
+}
+
+/**
+ * Settle each people where they like to live, the more of them the more
+ * history they have had, and no two settlements crowding each other
+ */
+function placeSettlements(regions, width, history) {
+  const { SITES_PER_RACE, EVENTS_PER_SITE, MAX_SITES_PER_RACE, SITE_SPACING } = WORLD_MAP_CONFIG;
+  const settlements = [];
+
+  for (const [race, taste] of Object.entries(SETTLEMENTS)) {
+    const events = history.events.filter(event => event.participants.includes(race)).length;
+    const count = Math.min(MAX_SITES_PER_RACE, SITES_PER_RACE + Math.floor(events / EVENTS_PER_SITE));
+
+    const ranked = regions
+      .map((region, i) => ({
+        i,
+        score: (taste.biomes.includes(region.biome) ? 1 : 0) + (region.river ? taste.river : 0) + random() * 0.3,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    let placed = 0;
+    for (const { i } of ranked) {
+      if (placed === count) break;
+      const x = i % width;
+      const y = Math.floor(i / width);
+      if (settlements.some(site => Math.hypot(site.x - x, site.y - y) < SITE_SPACING)) continue;
+      settlements.push({ race, name: nameSettlement(taste.names, settlements), x, y });
+      placed++;
+    }
+  }
+
+  return settlements;
+}
+
+/**
+ * A settlement name no other settlement has yet (after a few tries)
+ */
+function nameSettlement([firsts, lasts], settlements) {
+  let name;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    name = firsts[Math.floor(random() * firsts.length)] + lasts[Math.floor(random() * lasts.length)];
+    if (!settlements.some(site => site.name === name)) break;
+  }
+  return name;
+}
+
+/**
+ * The region at a world map position
+ * @returns {object|null}
+ */
+export function getRegion(worldMap, x, y) {
+  if (x < 0 || y < 0 || x >= worldMap.width || y >= worldMap.height) return null;
+  return worldMap.regions[y * worldMap.width + x];
+}
+
+/**
+ * The settlement holding a region, if any
+ * @returns {object|null}
+ */
+export function getSettlementAt(worldMap, x, y) {
+  return worldMap.settlements.find(site => site.x === x && site.y === y) || null;
+}
+
+/**
+ * Everything the world map says about a region the colony might embark
+ * on: its climate, whether a river runs through it, and the settlements
+ * within reach, nearest first. This is what the world keeps (state.embark).
+ * @param {object} worldMap - generateWorldMap output
+ * @param {number} x
+ * @param {number} y
+ * @returns {object|null} { x, y, biome, river, climate, neighbors }, or null
+ *   off the map or where a settlement already stands
+ */
+export function resolveEmbarkSite(worldMap, x, y) {
+  const region = getRegion(worldMap, x, y);
+  if (!region || getSettlementAt(worldMap, x, y)) return null;
+
+  const neighbors = worldMap.settlements
+    .map(site => ({ ...site, distance: Math.round(Math.hypot(site.x - x, site.y - y)) }))
+    .filter(site => site.distance <= WORLD_MAP_CONFIG.NEIGHBOR_RADIUS)
+    .sort((a, b) => a.distance - b.distance)
+    .map(site => ({ ...site, direction: getDirection(site.x - x, site.y - y) }));
+
+  return {
+    x,
+    y,
+    biome: region.biome,
+    river: region.river,
+    climate: {
+      avgElevation: region.elevation,
+      avgMoisture: region.moisture,
+      avgTemperature: region.temperature,
+    },
+    neighbors,
+  };
+}
+
+/**
+ * A good first guess at where to embark: high ground that is not frozen,
+ * by a river if possible, with someone to trade with
+ * @param {object} worldMap
+ * @returns {{ x: number, y: number }}
+ */
+export function suggestEmbarkSite(worldMap) {
+  let best = null;
+  let bestScore = -Infinity;
+  worldMap.regions.forEach((region, i) => {
+    const x = i % worldMap.width;
+    const y = Math.floor(i / worldMap.width);
+    const site = resolveEmbarkSite(worldMap, x, y);
+    if (!site) return;
+    const score = region.elevation
+      + (region.river ? 0.2 : 0)
+      + (site.neighbors.length > 0 ? 0.3 : 0)
+      - (region.biome === REGION_BIOME.TUNDRA ? 0.5 : 0);
+    if (score > bestScore) {
+      best = { x, y };
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * How an embark region shapes its local map: where it lies in the noise,
+ * how far its elevation and moisture pull the terrain, and how many rivers
+ * cross it. Without one, the map is generated as it always was.
+ * @param {object|null} embark - resolveEmbarkSite output
+ * @param {number} width - Local map width
+ * @param {number} height - Local map height
+ * @returns {{ originX, originY, elevationBias, moistureBias, rivers }}
+ *   (rivers is null without an embark region: the map mode's own count)
+ */
+export function getEmbarkTerrain(embark, width, height) {
+  if (!embark) return { originX: 0, originY: 0, elevationBias: 0, moistureBias: 0, rivers: null };
+
+  const { EMBARK_BIAS, RIVER_REGION_RIVERS, DRY_REGION_RIVERS } = WORLD_MAP_CONFIG;
+  return {
+    originX: embark.x * width,
+    originY: embark.y * height,
+    elevationBias: (embark.climate.avgElevation - 0.5) * EMBARK_BIAS,
+    moistureBias: (embark.climate.avgMoisture - 0.5) * EMBARK_BIAS,
+    rivers: embark.river ? RIVER_REGION_RIVERS : DRY_REGION_RIVERS,
+  };
+}
+
+/**
+ * Visitor weight for a race from its settlements near the colony: each one
+ * in reach adds more the nearer it is; a race with none in reach comes
+ * seldom. 1 without an embark region.
+ * @param {object|null} embark - state.embark
+ * @param {string} race
+ * @returns {number}
+ */
+export function getNeighborSpawnModifier(embark, race) {
+  if (!embark?.neighbors) return 1;
+
+  const { NEIGHBOR_RADIUS, NO_NEIGHBOR_WEIGHT, MAX_NEIGHBOR_WEIGHT } = WORLD_MAP_CONFIG;
+  const reach = embark.neighbors
+    .filter(site => site.race === race)
+    .reduce((sum, site) => sum + 1 - site.distance / NEIGHBOR_RADIUS, 0);
+  return Math.min(MAX_NEIGHBOR_WEIGHT, NO_NEIGHBOR_WEIGHT + reach);
+}
+
+/**
+ * One line on where the colony embarked and who lives near it:
+ * "The colony embarked on forest land by a river. Neighbors: the elves of
+ * Moonglade (friendly), 3 regions north; ..."
+ * @param {object|null} embark - state.embark
+ * @param {object} [history] - For the dwarves' stance toward each people
+ * @returns {string} '' without an embark region
+ */
+export function describeEmbarkSite(embark, history = null) {
+  if (!embark) return '';
+
+  const land = embark.biome === REGION_BIOME.TUNDRA ? 'frozen tundra' : `${embark.biome} land`;
+  const parts = [`The colony embarked on ${land}${embark.river ? ' by a river' : ''}.`];
+  if (embark.neighbors.length === 0) {
+    parts.push('No one lives within reach.');
+  } else {
+    const nearest = embark.neighbors.slice(0, 4).map(site => {
+      const stance = site.race === 'dwarf' ? 'kin' : getStance(getDwarfRelation(history, site.race)).name;
+      const regions = `${site.distance} region${site.distance === 1 ? '' : 's'}`;
+      return `the ${getRaceName(site.race)} of ${site.name} (${stance}), ${regions} ${site.direction}`;
+    });
+    parts.push(`Neighbors: ${nearest.join('; ')}.`);
+  }
+  return parts.join(' ');
+}
+
+function getDirection(dx, dy) {
+  const octant = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+  return COMPASS[(octant + 8) % 8];
+}
+
+/**
+ * Rescale a layer in place to fill [0, 1]
+ */
+function stretch(layer) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of layer) {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+  const span = max - min || 1;
+  for (let i = 0; i < layer.length; i++) layer[i] = (layer[i] - min) / span;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
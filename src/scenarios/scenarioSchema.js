@@ -40,8 +40,8 @@ export const VALID_BIOME_EMPHASIS = Object.freeze([
  * Safe bounds to prevent game-breaking configs
  */
 export const PARAMETER_RANGES = Object.freeze({
-  mapWidth: { min: 40, max: 100, default: 64 },
-  mapHeight: { min: 16, max: 40, default: 24 },
+  mapWidth: { min: 40, max: 512, default: 64 },
+  mapHeight: { min: 16, max: 512, default: 24 },
   dwarfCount: { min: 3, max: 20, default: 7 },
   initialFood: { min: 500, max: 5000, default: 1500 },
   foodSources: { min: 5, max: 30, default: 15 },
@@ -289,7 +289,8 @@ function clampToRange(value, range) {
 }
 
 /**
- * Get difficulty modifiers for game state
+ * Get difficulty modifiers for game state. Harsh and brutal worlds are
+ * mortal: starvation, cold and old age can kill (mortality.js).
  * @param {string} difficulty - Difficulty level
  * @returns {object} Modifier values
  */
@@ -299,21 +300,25 @@ export function getDifficultyModifiers(difficulty) {
       hungerMultiplier: 0.5,
       foodSpawnMultiplier: 1.5,
       initialFoodMultiplier: 1.5,
+      mortality: false,
     },
     normal: {
       hungerMultiplier: 1.0,
       foodSpawnMultiplier: 1.0,
       initialFoodMultiplier: 1.0,
+      mortality: false,
     },
     harsh: {
       hungerMultiplier: 1.5,
       foodSpawnMultiplier: 0.7,
       initialFoodMultiplier: 0.7,
+      mortality: true,
     },
     brutal: {
       hungerMultiplier: 2.0,
       foodSpawnMultiplier: 0.5,
       initialFoodMultiplier: 0.5,
+      mortality: true,
     },
   };
 
@@ -6,6 +6,8 @@
 import { nextId } from './entities.js';
 import { initializeDrives } from './drives.js';
 import { initializePerception } from './perception.js';
+import { random } from './rng.js';
+import { getTile, getDepth } from '../map/map.js';
 
 // === ANIMAL SPECIES DEFINITIONS ===
 export const ANIMAL_SPECIES = {
@@ -116,7 +118,7 @@ export function createAnimal(x, y, subtype, state = {}) {
     damage: Math.ceil(species.baseHp / 5),
 
     // Lifecycle
-    sex: Math.random() < 0.5 ? 'male' : 'female',
+    sex: random() < 0.5 ? 'male' : 'female',
     age: 0.0, // 0 = newborn, 1 = adult/old age
     ageInTicks: 0,
     canReproduce: false,
@@ -168,8 +170,8 @@ export function createAnimalOffspring(parent1, parent2, state) {
   }
 
   // Random spawn offset from parent
-  const baseX = parent1.x + (Math.random() < 0.5 ? 1 : -1);
-  const baseY = parent1.y + (Math.random() < 0.5 ? 1 : -1);
+  const baseX = parent1.x + (random() < 0.5 ? 1 : -1);
+  const baseY = parent1.y + (random() < 0.5 ? 1 : -1);
 
   const baby = createAnimal(baseX, baseY, parent1.subtype, state);
 
@@ -245,11 +247,11 @@ export function getAnimalLoot(animal) {
   const meatAmount = (() => {
     switch (animal.size) {
       case 'small':
-        return 1 + Math.floor(Math.random() * 2);
+        return 1 + Math.floor(random() * 2);
       case 'medium':
-        return 3 + Math.floor(Math.random() * 3);
+        return 3 + Math.floor(random() * 3);
       case 'large':
-        return 5 + Math.floor(Math.random() * 5);
+        return 5 + Math.floor(random() * 5);
       default:
         return 2;
     }
@@ -262,16 +264,16 @@ export function getAnimalLoot(animal) {
   });
 
   // Hide (60% chance)
-  if (Math.random() < 0.6) {
+  if (random() < 0.6) {
     loot.push({
       type: 'hide',
-      quality: 0.5 + Math.random() * 0.5,
+      quality: 0.5 + random() * 0.5,
     });
   }
 
   // Bone (40% chance, more if large)
   const boneChance = animal.size === 'large' ? 0.8 : 0.4;
-  if (Math.random() < boneChance) {
+  if (random() < boneChance) {
     loot.push({
       type: 'bone',
       amount: Math.ceil(animal.size === 'small' ? 1 : animal.size === 'medium' ? 2 : 3),
@@ -279,7 +281,7 @@ export function getAnimalLoot(animal) {
   }
 
   // Ivory, fangs, etc. (rare)
-  if (Math.random() < 0.1) {
+  if (random() < 0.1) {
     loot.push({
       type: 'exotic',
       material: animal.subtype + '_part',
@@ -352,8 +354,7 @@ const WALKABLE_SPAWN_TILES = new Set([
 ]);
 
 function tileTypeAt(map, x, y) {
-  if (x < 0 || x >= map.width || y < 0 || y >= map.height) return null;
-  return map.tiles[y * map.width + x]?.type || null;
+  return getTile(map, x, y)?.type || null;
 }
 
 /**
@@ -362,8 +363,8 @@ function tileTypeAt(map, x, y) {
  */
 function findSpawnPosition(map, nearTileType = null) {
   for (let attempt = 0; attempt < 80; attempt++) {
-    const x = Math.floor(Math.random() * map.width);
-    const y = Math.floor(Math.random() * map.height);
+    const x = Math.floor(random() * map.width);
+    const y = Math.floor(random() * map.height);
     const type = tileTypeAt(map, x, y);
     if (!type || !WALKABLE_SPAWN_TILES.has(type)) continue;
 
@@ -384,7 +385,7 @@ function findSpawnPosition(map, nearTileType = null) {
 
 function pickWeighted(table) {
   const total = table.reduce((sum, e) => sum + e.weight, 0);
-  let roll = Math.random() * total;
+  let roll = random() * total;
   for (const entry of table) {
     roll -= entry.weight;
     if (roll <= 0) return entry;
@@ -404,7 +405,7 @@ function pickWeighted(table) {
  */
 export function spawnAnimalsForBiome(state, options = {}) {
   const map = state.map;
-  if (!map?.tiles?.length) return [];
+  if (!getDepth(map)) return [];
 
   const climate = map.biome?.climate || {};
   const temp = typeof climate.avgTemperature === 'number' ? climate.avgTemperature : 0.5;
@@ -425,19 +426,19 @@ export function spawnAnimalsForBiome(state, options = {}) {
   let guard = 0;
   while (spawned.length < target && guard++ < 60) {
     const entry = pickWeighted(table);
-    const herdSize = entry.herd[0] + Math.floor(Math.random() * (entry.herd[1] - entry.herd[0] + 1));
+    const herdSize = entry.herd[0] + Math.floor(random() * (entry.herd[1] - entry.herd[0] + 1));
     const anchor = findSpawnPosition(map, entry.nearTile || null);
     if (!anchor) continue;
 
     for (let i = 0; i < herdSize && spawned.length < target; i++) {
-      const x = Math.max(0, Math.min(map.width - 1, anchor.x + Math.floor(Math.random() * 5) - 2));
-      const y = Math.max(0, Math.min(map.height - 1, anchor.y + Math.floor(Math.random() * 5) - 2));
+      const x = Math.max(0, Math.min(map.width - 1, anchor.x + Math.floor(random() * 5) - 2));
+      const y = Math.max(0, Math.min(map.height - 1, anchor.y + Math.floor(random() * 5) - 2));
       const animal = createAnimal(x, y, entry.subtype, state);
       // Herd members share a territory anchor so they drift back together
       animal.territoryMarker = { x: anchor.x, y: anchor.y };
       animal.memory.territoryMarker = animal.territoryMarker;
       // Stagger ages so the population doesn't mature/die in lockstep
-      animal.ageInTicks = Math.floor(Math.random() * animal.species.lifespan * 0.5);
+      animal.ageInTicks = Math.floor(random() * animal.species.lifespan * 0.5);
       animal.age = animal.ageInTicks / animal.species.lifespan;
       animal.canReproduce = animal.age > 0.3;
       spawned.push(animal);
@@ -1,11 +1,23 @@
 /**
  * Combat System
- * Simple HP/damage combat for dwarves and visitors
+ * Simple HP/damage combat for dwarves and visitors. Weapons and armor
+ * (equipment.js) set how hard a blow lands and how much of it gets through;
+ * a dwarf who survives a blow carries a wound from it (medical.js), and a
+ * raider beaten low may yield instead of dying (settlers.js).
  */
 
-import { distance } from './entities.js';
+import { distance, onSameLevel } from './entities.js';
 import { emit, EVENTS } from '../events/eventBus.js';
 import { emitScent, SCENT_CHANNEL } from './movement.js';
+import { random } from './rng.js';
+import { dropCarried } from './stockpiles.js';
+import { isHostile } from './visitors.js';
+import { HISTORICAL_EVENT, recordVisitorOutcome } from './history.js';
+import { reportHostility } from './diplomacy.js';
+import { getWeaponDamage, getDamageType, strikeArmor, dropEquipment } from './equipment.js';
+import { inflictInjury } from './medical.js';
+import { recordDeath } from './mortality.js';
+import { shouldYield, captureVisitor } from './settlers.js';
 
 export const COMBAT_CONFIG = Object.freeze({
   ATTACK_RANGE: 1,           // Must be adjacent
@@ -13,26 +25,40 @@ export const COMBAT_CONFIG = Object.freeze({
   FLEE_HP_THRESHOLD: 0.3,    // Flee when HP below 30%
   BASE_DWARF_DAMAGE: 3,      // Base damage for dwarves
   DAMAGE_VARIANCE: 0.4,      // +/- 40% damage variance
+  MELEE_BONUS: 0.5,          // Damage multiplier gained per melee level
+  DODGE_CHANCE: 0.4,         // Chance to dodge per dodge level
 });
 
 /**
- * Check if two entities are in attack range
+ * Check if two entities are in attack range; nobody strikes through the
+ * floor at a level above or below
  */
 export function inAttackRange(attacker, defender) {
-  return distance(attacker, defender) <= COMBAT_CONFIG.ATTACK_RANGE;
+  return onSameLevel(attacker, defender) && distance(attacker, defender) <= COMBAT_CONFIG.ATTACK_RANGE;
 }
 
 /**
- * Calculate damage for an attack
+ * Level (0-1) of a trained skill; visitors have none
  */
-function calculateDamage(attacker) {
-  const baseDamage = attacker.damage || COMBAT_CONFIG.BASE_DWARF_DAMAGE;
-  const skillMod = attacker.combatSkill || 0.5;
+function getSkillLevel(entity, skillName) {
+  return entity.skills?.find?.(s => s.name === skillName)?.level ?? 0;
+}
+
+/**
+ * Calculate damage for an attack: the weapon (or bare damage) scaled by
+ * the attacker's might (a warchief's), skill and luck, less whatever the
+ * defender's armor absorbs
+ * @param {number} absorbed - Share the armor struck soaks (strikeArmor)
+ */
+function calculateDamage(attacker, absorbed) {
+  const weaponDamage = getWeaponDamage(attacker) ?? (attacker.damage || COMBAT_CONFIG.BASE_DWARF_DAMAGE);
+  const baseDamage = weaponDamage * (attacker.damageMultiplier ?? 1);
+  const skillMod = (attacker.combatSkill || 0.5) + getSkillLevel(attacker, 'melee') * COMBAT_CONFIG.MELEE_BONUS;
 
   // Variance between (1 - variance) and (1 + variance)
-  const variance = 1 - COMBAT_CONFIG.DAMAGE_VARIANCE + Math.random() * COMBAT_CONFIG.DAMAGE_VARIANCE * 2;
+  const variance = 1 - COMBAT_CONFIG.DAMAGE_VARIANCE + random() * COMBAT_CONFIG.DAMAGE_VARIANCE * 2;
 
-  return Math.max(1, Math.floor(baseDamage * skillMod * variance));
+  return Math.max(1, Math.floor(baseDamage * skillMod * variance * (1 - absorbed)));
 }
 
 /**
@@ -50,13 +76,24 @@ export function attemptAttack(attacker, defender, state) {
     return { success: false, reason: 'cooldown' };
   }
 
-  // Calculate and apply damage
-  const damage = calculateDamage(attacker);
-  defender.hp -= damage;
-
   // Set cooldown
   attacker.attackCooldown = COMBAT_CONFIG.ATTACK_COOLDOWN;
 
+  // Striking at a visitor breaks any non-aggression pact with their race
+  if (attacker.type === 'dwarf' && defender.type === 'visitor') reportHostility(state, defender);
+
+  // A trained defender may slip the blow
+  const dodge = getSkillLevel(defender, 'dodge');
+  if (dodge > 0 && random() < dodge * COMBAT_CONFIG.DODGE_CHANCE) {
+    return { success: false, reason: 'dodged' };
+  }
+
+  // Calculate and apply damage
+  const damageType = getDamageType(attacker);
+  const struck = strikeArmor(defender, damageType);
+  const damage = calculateDamage(attacker, struck.protection);
+  defender.hp -= damage;
+
   // Emit combat event
   emit(EVENTS.COMBAT_HIT, {
     attacker,
@@ -69,12 +106,20 @@ export function attemptAttack(attacker, defender, state) {
   // and prompts can read "signs of recent violence" from the gradient
   emitScent(defender.x, defender.y, 1.5, 7, SCENT_CHANNEL.DANGER);
 
+  // A beaten raider may throw down its arms rather than die
+  if (shouldYield(attacker, defender)) {
+    captureVisitor(defender, attacker, state);
+    return { success: true, damage, killed: false, captured: true };
+  }
+
   // Check for death
   if (defender.hp <= 0) {
     handleDeath(defender, attacker, state);
     return { success: true, damage, killed: true };
   }
 
+  if (defender.type === 'dwarf') inflictInjury(defender, damage, damageType, struck.slot, state);
+
   return { success: true, damage, killed: false };
 }
 
@@ -86,17 +131,23 @@ function handleDeath(victim, killer, state) {
 
   if (victim.type === 'dwarf') {
     victim.state = 'dead';
+    victim.deathCause = 'combat';
     emit(EVENTS.DWARF_DEATH, {
       dwarf: victim,
       killer,
       cause: 'combat',
     });
+    if (killer?.type === 'visitor') recordVisitorOutcome(state, HISTORICAL_EVENT.DWARF_SLAIN, killer);
   } else if (victim.type === 'visitor') {
     victim.state = 'dead';
     emit(EVENTS.VISITOR_DEATH, {
       visitor: victim,
       killer,
     });
+    if (killer?.type === 'dwarf') {
+      const outcome = isHostile(victim) ? HISTORICAL_EVENT.RAIDER_SLAIN : HISTORICAL_EVENT.GUEST_SLAIN;
+      recordVisitorOutcome(state, outcome, victim);
+    }
   }
 }
 
@@ -131,9 +182,9 @@ export function findNearestThreat(dwarf, state) {
   let nearestDist = Infinity;
 
   for (const visitor of state.visitors) {
-    // Skip dead or non-hostile visitors
+    // Skip dead or non-hostile visitors (prisoners included)
     if (visitor.state === 'dead') continue;
-    if (visitor.disposition >= -20 && visitor.combatBehavior !== 'aggressive') continue;
+    if (!isHostile(visitor)) continue;
 
     const dist = distance(dwarf, visitor);
 
@@ -157,7 +208,7 @@ export function findNearestDwarf(visitor, state) {
   let nearestDist = Infinity;
 
   for (const dwarf of state.dwarves) {
-    if (dwarf.hp <= 0 || dwarf.state === 'dead') continue;
+    if (dwarf.hp <= 0 || dwarf.state === 'dead' || dwarf.captiveOf != null) continue;
 
     const dist = distance(visitor, dwarf);
     if (dist < nearestDist) {
@@ -176,9 +227,7 @@ export function findSafePosition(entity, state, threats = []) {
   // If no specific threats provided, find all threats
   if (threats.length === 0) {
     if (entity.type === 'dwarf' && state.visitors) {
-      threats = state.visitors.filter(v =>
-        v.state !== 'dead' && (v.disposition < -20 || v.combatBehavior === 'aggressive')
-      );
+      threats = state.visitors.filter(v => v.state !== 'dead' && isHostile(v));
     } else if (entity.type === 'visitor' && state.dwarves) {
       threats = state.dwarves.filter(d => d.hp > 0 && d.state !== 'dead');
     }
@@ -228,7 +277,8 @@ export function processCombat(state) {
     // Aggressive visitors attack adjacent dwarves
     if (visitor.combatBehavior === 'aggressive' || visitor.state === 'fighting') {
       for (const dwarf of state.dwarves) {
-        if (dwarf.hp <= 0) continue;
+        // A captive is the raid's prize, not its target
+        if (dwarf.hp <= 0 || dwarf.captiveOf != null) continue;
 
         if (inAttackRange(visitor, dwarf)) {
           attemptAttack(visitor, dwarf, state);
@@ -243,7 +293,7 @@ export function processCombat(state) {
 
     if (dwarf.target && dwarf.target.type === 'visitor') {
       const target = dwarf.target;
-      if (target.state !== 'dead' && inAttackRange(dwarf, target)) {
+      if (target.state !== 'dead' && target.state !== 'prisoner' && inAttackRange(dwarf, target)) {
         attemptAttack(dwarf, target, state);
       }
     }
@@ -254,6 +304,20 @@ export function processCombat(state) {
  * Clean up dead entities from state
  */
 export function cleanupDeadEntities(state) {
+  // The fallen drop whatever they were hauling — or had stolen — and
+  // the gear they wore; dwarves leave remains for their friends to bury
+  for (const dwarf of state.dwarves) {
+    if (dwarf.hp > 0) continue;
+    if (dwarf.carrying) dropCarried(dwarf, state);
+    dropEquipment(dwarf, state);
+    recordDeath(dwarf, state);
+  }
+  for (const visitor of state.visitors || []) {
+    if (visitor.hp > 0) continue;
+    if (visitor.carrying) dropCarried(visitor, state);
+    dropEquipment(visitor, state);
+  }
+
   // Remove dead dwarves
   state.dwarves = state.dwarves.filter(d => d.hp > 0);
 
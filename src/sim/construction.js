@@ -1,12 +1,17 @@
 /**
  * Construction and Building System
- * Dwarves dig rooms, build shelters, workshops, and community spaces
+ * Dwarves dig rooms, build shelters, workshops, and community spaces.
+ * Digging through an ore vein or a gem seam yields ore or rough gems in
+ * place of stone, for the smelter and the jeweler (crafting.js).
  */
 
 import { SKILL } from './tasks.js';
 import { addLog } from '../state/store.js';
-import { getDisplayName } from './entities.js';
+import { distance, getDisplayName, nextId } from './entities.js';
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from './rng.js';
+import { getTile, setTile, touchTile } from '../map/map.js';
+import { submitInput, registerInputHandler, INPUT_KIND } from './inputLog.js';
 
 // === STRUCTURE TYPES ===
 export const STRUCTURE_TYPE = {
@@ -23,6 +28,9 @@ export const STRUCTURE_TYPE = {
   WORKSHOP_CARPENTER: 'workshop_carpenter',
   WORKSHOP_CRAFTSDWARF: 'workshop_craftsdwarf',
   WORKSHOP_KITCHEN: 'workshop_kitchen',
+  WORKSHOP_SMELTER: 'workshop_smelter',
+  WORKSHOP_FORGE: 'workshop_forge',
+  WORKSHOP_JEWELER: 'workshop_jeweler',
 
   // Storage
   STOCKPILE: 'stockpile',
@@ -33,6 +41,9 @@ export const STRUCTURE_TYPE = {
   FISHING_SPOT: 'fishing_spot',
   HUNTING_LODGE: 'hunting_lodge',
   BREWERY: 'brewery',
+
+  // Care
+  HOSPITAL: 'hospital',
 };
 
 // === TILE TYPES FOR CONSTRUCTION ===
@@ -239,6 +250,78 @@ export const BLUEPRINTS = {
     glyphColor: '#aaaa66',
   },
 
+  [STRUCTURE_TYPE.WORKSHOP_SMELTER]: {
+    name: 'Smelter',
+    description: 'Burning charcoal and smelting ore into bars',
+    size: { w: 5, h: 5 },
+    skill: SKILL.MASONRY,
+    workAmount: 60,
+    priority: 60,
+    layout: [
+      '#####',
+      '#===+',
+      '#===.',
+      '#===.',
+      '#####',
+    ],
+    tiles: {
+      '#': CONSTRUCT_TILE.WALL,
+      '.': CONSTRUCT_TILE.FLOOR,
+      '+': CONSTRUCT_TILE.DOOR,
+      '=': CONSTRUCT_TILE.WORKSHOP_FLOOR,
+    },
+    glyph: 'S',
+    glyphColor: '#cc6633',
+  },
+
+  [STRUCTURE_TYPE.WORKSHOP_FORGE]: {
+    name: 'Forge',
+    description: 'Forging metal bars into arms, armor and goods',
+    size: { w: 5, h: 5 },
+    skill: SKILL.MASONRY,
+    workAmount: 65,
+    priority: 60,
+    layout: [
+      '#####',
+      '#===+',
+      '#===.',
+      '#===.',
+      '#####',
+    ],
+    tiles: {
+      '#': CONSTRUCT_TILE.WALL,
+      '.': CONSTRUCT_TILE.FLOOR,
+      '+': CONSTRUCT_TILE.DOOR,
+      '=': CONSTRUCT_TILE.WORKSHOP_FLOOR,
+    },
+    glyph: 'F',
+    glyphColor: '#dd8844',
+  },
+
+  [STRUCTURE_TYPE.WORKSHOP_JEWELER]: {
+    name: 'Jeweler',
+    description: 'Cutting rough gems and setting them',
+    size: { w: 5, h: 5 },
+    skill: SKILL.CRAFTING,
+    workAmount: 45,
+    priority: 55,
+    layout: [
+      '#####',
+      '#===+',
+      '#===.',
+      '#===.',
+      '#####',
+    ],
+    tiles: {
+      '#': CONSTRUCT_TILE.WALL,
+      '.': CONSTRUCT_TILE.FLOOR,
+      '+': CONSTRUCT_TILE.DOOR,
+      '=': CONSTRUCT_TILE.WORKSHOP_FLOOR,
+    },
+    glyph: 'J',
+    glyphColor: '#ff66aa',
+  },
+
   [STRUCTURE_TYPE.STOCKPILE]: {
     name: 'Stockpile',
     description: 'Resource storage',
@@ -359,12 +442,40 @@ export const BLUEPRINTS = {
     glyph: 'B',
     glyphColor: '#aa6644',
   },
+
+  [STRUCTURE_TYPE.HOSPITAL]: {
+    name: 'Hospital',
+    description: 'Beds where the wounded heal faster',
+    size: { w: 7, h: 6 },
+    skill: SKILL.MASONRY,
+    workAmount: 70,
+    priority: 65,
+    layout: [
+      '#######',
+      '#b.b.b#',
+      '#.....+',
+      '#.....#',
+      '#b.b.b#',
+      '#######',
+    ],
+    tiles: {
+      '#': CONSTRUCT_TILE.WALL,
+      '.': CONSTRUCT_TILE.SMOOTH_FLOOR,
+      '+': CONSTRUCT_TILE.DOOR,
+      'b': CONSTRUCT_TILE.BED,
+    },
+    glyph: 'H',
+    glyphColor: '#cc4444',
+  },
 };
 
+// Initiator for projects the player places from the build menu
+export const PLAYER_INITIATOR = Object.freeze({ id: 'player', name: 'The overseer', isPlayer: true });
+
 // === STATE ===
 let structures = [];
 let buildProjects = [];  // Active construction projects
-let designations = new Map();  // "x,y" -> designation
+let designations = new Map();  // designationKey -> designation
 let worldState = null;
 
 /**
@@ -376,6 +487,31 @@ export function initConstruction() {
   designations.clear();
 }
 
+/**
+ * Snapshot construction state for a save (structures, active projects,
+ * designations). The save codec handles the Maps/Sets inside projects.
+ */
+export function exportConstructionState() {
+  return {
+    structures,
+    buildProjects,
+    designations,
+  };
+}
+
+/**
+ * Restore construction state from a save. Projects get their blueprint
+ * re-linked by type (blueprints are module constants, not save data).
+ */
+export function importConstructionState(data) {
+  structures = data?.structures || [];
+  buildProjects = (data?.buildProjects || []).filter(p => BLUEPRINTS[p.type]);
+  for (const project of buildProjects) {
+    project.blueprint = BLUEPRINTS[project.type];
+  }
+  designations = data?.designations instanceof Map ? data.designations : new Map();
+}
+
 /**
  * Set world state reference
  */
@@ -385,13 +521,27 @@ export function setConstructionWorldState(state) {
 
 // === DIGGING SYSTEM ===
 
-const DIGGABLE_TYPES = ['cave_wall', 'mountain', 'mountain_peak', 'rock', 'stone'];
+const DIGGABLE_TYPES = ['cave_wall', 'mountain', 'mountain_peak', 'rock', 'stone', 'ore_copper', 'ore_iron', 'gemstone'];
+
+// What digging out a tile leaves behind (anything else yields stone):
+// resource type, [min, max] and what the log calls it
+export const DIG_YIELDS = {
+  ore_copper: { type: 'copper_ore', amount: [1, 2], name: 'copper ore' },
+  ore_iron: { type: 'iron_ore', amount: [1, 2], name: 'iron ore' },
+  gemstone: { type: 'rough_gem', amount: [1, 1], name: 'a rough gem' },
+};
+
+// Surface designations keep the old "x,y" key, so earlier saves still match
+function designationKey(x, y, z = 0) {
+  return z ? `${x},${y},${z}` : `${x},${y}`;
+}
 
 /**
  * Check if a tile can be dug
+ * @param {number} [z=0] - Level (0 = surface)
  */
-export function canDig(x, y, state) {
-  const tile = getTileAt(x, y, state);
+export function canDig(x, y, state, z = 0) {
+  const tile = getTileAt(x, y, state, z);
   if (!tile) return false;
 
   const type = typeof tile === 'object' ? tile.type : tile;
@@ -400,19 +550,23 @@ export function canDig(x, y, state) {
 
 /**
  * Designate a single tile for digging
+ * @param {object} [order] - Extra fields for the designation ({ source, roomId, z })
  */
-export function designateDig(x, y, state) {
-  if (!canDig(x, y, state)) return null;
+export function designateDig(x, y, state, order = {}) {
+  const z = order.z ?? 0;
+  if (!canDig(x, y, state, z)) return null;
 
-  const key = `${x},${y}`;
+  const key = designationKey(x, y, z);
   if (designations.has(key)) return null;
 
   const designation = {
     type: 'dig',
     x,
     y,
+    z,
     progress: 0,
     workRequired: 25,
+    ...order,
   };
 
   designations.set(key, designation);
@@ -421,8 +575,9 @@ export function designateDig(x, y, state) {
 
 /**
  * Designate a rectangular area for digging
+ * @param {object} [order] - Extra fields for each designation ({ source, roomId, z })
  */
-export function designateRoom(x1, y1, x2, y2, state) {
+export function designateRoom(x1, y1, x2, y2, state, order = {}) {
   const minX = Math.min(x1, x2);
   const maxX = Math.max(x1, x2);
   const minY = Math.min(y1, y2);
@@ -431,7 +586,7 @@ export function designateRoom(x1, y1, x2, y2, state) {
   const digs = [];
   for (let y = minY; y <= maxY; y++) {
     for (let x = minX; x <= maxX; x++) {
-      const dig = designateDig(x, y, state);
+      const dig = designateDig(x, y, state, order);
       if (dig) digs.push(dig);
     }
   }
@@ -441,25 +596,29 @@ export function designateRoom(x1, y1, x2, y2, state) {
 
 /**
  * Work on digging a tile
+ * @param {number} [z=0] - Level (0 = surface)
  */
-export function workOnDig(x, y, dwarf, state) {
-  const key = `${x},${y}`;
+export function workOnDig(x, y, dwarf, state, z = 0) {
+  const key = designationKey(x, y, z);
   const designation = designations.get(key);
 
   if (!designation || designation.type !== 'dig') return false;
 
   const miningSkill = dwarf.skills?.[SKILL.MINING] || 0.3;
-  const workDone = 1 + miningSkill * 2;
+  const workDone = (1 + miningSkill * 2) * (dwarf.workRate ?? 1);
 
   designation.progress += workDone;
 
   if (designation.progress >= designation.workRequired) {
     // Complete the dig - modify the map
-    completeDig(x, y, state);
+    completeDig(x, y, state, dwarf, z);
     designations.delete(key);
+    if (designation.roomId && !hasRoomDesignations(designation.roomId)) {
+      addLog(state, `${getDisplayName(dwarf)} finishes hollowing out a new room.`);
+    }
 
     // Skill improvement
-    if (dwarf.skills && Math.random() < 0.12) {
+    if (dwarf.skills && random() < 0.12) {
       dwarf.skills[SKILL.MINING] = Math.min(1, (dwarf.skills[SKILL.MINING] || 0.2) + 0.015);
     }
 
@@ -470,29 +629,42 @@ export function workOnDig(x, y, dwarf, state) {
 }
 
 /**
- * Complete digging - modify map tile
+ * Complete digging - modify map tile. Ore and gems come out as DIG_YIELDS,
+ * everything else as stone.
+ * @param {object} [dwarf] - Who dug it
+ * @param {number} [z=0] - Level (0 = surface)
  */
-function completeDig(x, y, state) {
-  const index = y * state.map.width + x;
+function completeDig(x, y, state, dwarf = null, z = 0) {
+  const dugType = getTile(state.map, x, y, z)?.type;
 
   // Replace with floor (using char/fg/bg to match standard tile format)
-  state.map.tiles[index] = {
+  setTile(state.map, x, y, {
     type: 'floor',
     char: '.',
     fg: '#555555',
     bg: '#1a1a1a',
     walkable: true,
     dug: true,
-  };
-
-  // Drop stone resource
-  if (!state.resources) state.resources = [];
-  state.resources.push({
-    type: 'stone',
+  }, z);
+
+  // Drop stone resource, or what the vein held
+  const vein = DIG_YIELDS[dugType];
+  const [min, max] = vein?.amount ?? [1, 2];
+  const resource = {
+    id: nextId(),
+    type: vein?.type ?? 'stone',
     x,
     y,
-    amount: 1 + Math.floor(Math.random() * 2),
-  });
+    z,
+    amount: min + Math.floor(random() * (max - min + 1)),
+  };
+  if (!state.resources) state.resources = [];
+  state.resources.push(resource);
+
+  if (vein) {
+    if (dwarf) addLog(state, `${getDisplayName(dwarf)} strikes ${vein.name}.`);
+    emit(EVENTS.ORE_MINED, { x, y, resource, dwarf, worldState: state });
+  }
 }
 
 /**
@@ -502,6 +674,90 @@ export function getDigDesignations() {
   return Array.from(designations.values()).filter(d => d.type === 'dig');
 }
 
+/**
+ * Get the designation on a tile
+ * @param {number} [z=0] - Level (0 = surface)
+ * @returns {object|null}
+ */
+export function getDesignationAt(x, y, z = 0) {
+  return designations.get(designationKey(x, y, z)) || null;
+}
+
+/**
+ * Cancel every designation inside a rectangle (inclusive corners) on one level
+ * @param {number} [z=0] - Level (0 = surface)
+ * @returns {number} Designations removed
+ */
+export function cancelDesignations(x1, y1, x2, y2, z = 0) {
+  const minX = Math.min(x1, x2);
+  const maxX = Math.max(x1, x2);
+  const minY = Math.min(y1, y2);
+  const maxY = Math.max(y1, y2);
+
+  let removed = 0;
+  for (const [key, designation] of designations) {
+    if ((designation.z ?? 0) !== z) continue;
+    if (designation.x >= minX && designation.x <= maxX && designation.y >= minY && designation.y <= maxY) {
+      designations.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+function hasRoomDesignations(roomId) {
+  for (const designation of designations.values()) {
+    if (designation.roomId === roomId) return true;
+  }
+  return false;
+}
+
+// === PLAYER DESIGNATIONS ===
+
+/**
+ * Issue a player designation order. Orders arrive between ticks, so they
+ * go through the input log and replay on the same tick.
+ * @param {object} state - World state
+ * @param {object} order - { action: 'dig'|'room'|'cancel', x1, y1, x2, y2, z }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function issueDesignation(state, order) {
+  return submitInput(state, INPUT_KIND.DESIGNATION, order);
+}
+
+/**
+ * Apply a player designation order
+ *   dig    - every diggable tile in the rectangle
+ *   room   - the rectangle's interior; its edge stays standing as walls.
+ *            The digs share a roomId, logged when the last one is dug.
+ *   cancel - drop every designation in the rectangle
+ * All on level z (absent = the surface).
+ * @param {object} state - World state
+ * @param {object} order - { action, x1, y1, x2, y2, z }
+ * @returns {number} Designations created (or removed, for cancel)
+ */
+export function applyDesignationOrder(state, { action, x1, y1, x2, y2, z = 0 }) {
+  switch (action) {
+    case 'dig':
+      return designateRoom(x1, y1, x2, y2, state, { source: 'player', z }).length;
+
+    case 'room': {
+      const minX = Math.min(x1, x2) + 1;
+      const maxX = Math.max(x1, x2) - 1;
+      const minY = Math.min(y1, y2) + 1;
+      const maxY = Math.max(y1, y2) - 1;
+      if (minX > maxX || minY > maxY) return 0;
+      return designateRoom(minX, minY, maxX, maxY, state, { source: 'player', roomId: nextId(), z }).length;
+    }
+
+    case 'cancel':
+      return cancelDesignations(x1, y1, x2, y2, z);
+
+    default:
+      return 0;
+  }
+}
+
 /**
  * Find nearest dig task
  */
@@ -512,7 +768,7 @@ export function findNearestDigTask(dwarf) {
   for (const [key, designation] of designations) {
     if (designation.type !== 'dig') continue;
 
-    const dist = Math.abs(dwarf.x - designation.x) + Math.abs(dwarf.y - designation.y);
+    const dist = distance(dwarf, designation);
     if (dist < nearestDist) {
       nearestDist = dist;
       nearest = designation;
@@ -524,14 +780,42 @@ export function findNearestDigTask(dwarf) {
 
 // === BUILDING SYSTEM ===
 
+/**
+ * A blueprint's layout turned clockwise by quarter turns
+ * @param {object} blueprint - BLUEPRINTS entry
+ * @param {number} [rotation=0] - Quarter turns (any integer; taken mod 4)
+ * @returns {{ w: number, h: number, layout: string[] }}
+ */
+export function getRotatedLayout(blueprint, rotation = 0) {
+  const turns = ((rotation % 4) + 4) % 4;
+  let layout = blueprint.layout;
+
+  for (let t = 0; t < turns; t++) {
+    const h = layout.length;
+    const w = layout[0].length;
+    const turned = [];
+    for (let y = 0; y < w; y++) {
+      let row = '';
+      for (let x = 0; x < h; x++) {
+        row += layout[h - 1 - x][y];
+      }
+      turned.push(row);
+    }
+    layout = turned;
+  }
+
+  return { w: layout[0].length, h: layout.length, layout };
+}
+
 /**
  * Check if a structure can be placed at location
+ * @param {number} [rotation=0] - Quarter turns clockwise
  */
-export function canPlaceStructure(structureType, x, y, state) {
+export function canPlaceStructure(structureType, x, y, state, rotation = 0) {
   const blueprint = BLUEPRINTS[structureType];
   if (!blueprint) return false;
 
-  const { w, h } = blueprint.size;
+  const { w, h } = getRotatedLayout(blueprint, rotation);
 
   for (let dy = 0; dy < h; dy++) {
     for (let dx = 0; dx < w; dx++) {
@@ -556,8 +840,8 @@ export function canPlaceStructure(structureType, x, y, state) {
         return false;
       }
 
-      // Check for overlapping structures
-      if (getStructureAt(tx, ty)) {
+      // Check for overlapping structures (built or planned)
+      if (getStructureAt(tx, ty) || getProjectAt(tx, ty)) {
         return false;
       }
     }
@@ -568,21 +852,26 @@ export function canPlaceStructure(structureType, x, y, state) {
 
 /**
  * Start a building project
+ * @param {object} [initiator] - Dwarf, or PLAYER_INITIATOR for a placed blueprint
+ * @param {number} [rotation=0] - Quarter turns clockwise
  */
-export function startBuildProject(structureType, x, y, state, initiator = null) {
+export function startBuildProject(structureType, x, y, state, initiator = null, rotation = 0) {
   const blueprint = BLUEPRINTS[structureType];
   if (!blueprint) return null;
 
-  if (!canPlaceStructure(structureType, x, y, state)) return null;
+  if (!canPlaceStructure(structureType, x, y, state, rotation)) return null;
 
+  const { w, h } = getRotatedLayout(blueprint, rotation);
   const project = {
-    id: Date.now() + Math.random(),
+    id: nextId(),
     type: structureType,
     blueprint,
     x,
     y,
-    width: blueprint.size.w,
-    height: blueprint.size.h,
+    width: w,
+    height: h,
+    rotation,
+    playerPlaced: !!initiator?.isPlayer,
     progress: 0,
     workRequired: blueprint.workAmount,
     phase: 'digging', // 'digging' | 'building' | 'furnishing' | 'complete'
@@ -594,8 +883,8 @@ export function startBuildProject(structureType, x, y, state, initiator = null)
   };
 
   // Create dig designations for walls/digging needed
-  for (let dy = 0; dy < blueprint.size.h; dy++) {
-    for (let dx = 0; dx < blueprint.size.w; dx++) {
+  for (let dy = 0; dy < h; dy++) {
+    for (let dx = 0; dx < w; dx++) {
       const tx = x + dx;
       const ty = y + dy;
       const tile = getTileAt(tx, ty, state);
@@ -632,10 +921,10 @@ export function workOnBuildProject(project, dwarf, state) {
         const dist = Math.abs(dwarf.x - dig.x) + Math.abs(dwarf.y - dig.y);
         if (dist <= 1) {
           const skill = dwarf.skills?.[SKILL.MINING] || 0.3;
-          dig.progress += 1 + skill * 2;
+          dig.progress += (1 + skill * 2) * (dwarf.workRate ?? 1);
 
           if (dig.progress >= dig.required) {
-            completeDig(dig.x, dig.y, state);
+            completeDig(dig.x, dig.y, state, dwarf);
           }
 
           return false; // Still working
@@ -664,7 +953,7 @@ export function workOnBuildProject(project, dwarf, state) {
       ? (dwarf.skills?.[project.blueprint.skill] || 0.3)
       : 0.5;
 
-    project.progress += 1 + skill * 2;
+    project.progress += (1 + skill * 2) * (dwarf.workRate ?? 1);
 
     if (project.progress >= project.workRequired) {
       project.phase = 'furnishing';
@@ -679,6 +968,9 @@ export function workOnBuildProject(project, dwarf, state) {
   if (project.phase === 'furnishing') {
     project.phase = 'complete';
 
+    // A placed blueprint was the overseer's idea but a dwarf's handiwork
+    const builtBy = project.playerPlaced ? getDisplayName(dwarf) : project.initiatorName;
+
     // Create structure record
     const structure = {
       id: project.id,
@@ -689,7 +981,7 @@ export function workOnBuildProject(project, dwarf, state) {
       width: project.width,
       height: project.height,
       complete: true,
-      builtBy: project.initiatorName,
+      builtBy,
       skill: project.blueprint.skill,
     };
 
@@ -702,7 +994,7 @@ export function workOnBuildProject(project, dwarf, state) {
     addLog(state, `${project.blueprint.name} has been completed!`);
 
     // Notable event: completed structures feed the day-end chronicle
-    emit(EVENTS.CONSTRUCTION_COMPLETE, { structure, builtBy: project.initiatorName, worldState: state });
+    emit(EVENTS.CONSTRUCTION_COMPLETE, { structure, builtBy, worldState: state });
 
     // Skill improvement
     if (project.blueprint.skill && dwarf.skills) {
@@ -722,35 +1014,34 @@ export function workOnBuildProject(project, dwarf, state) {
  */
 function applyBlueprint(project, state) {
   const blueprint = project.blueprint;
+  const { w, h, layout } = getRotatedLayout(blueprint, project.rotation || 0);
 
-  for (let dy = 0; dy < blueprint.size.h; dy++) {
-    const row = blueprint.layout[dy];
-    for (let dx = 0; dx < blueprint.size.w; dx++) {
+  for (let dy = 0; dy < h; dy++) {
+    const row = layout[dy];
+    for (let dx = 0; dx < w; dx++) {
       const char = row[dx];
       const tileTemplate = blueprint.tiles[char];
 
       if (tileTemplate) {
         const tx = project.x + dx;
         const ty = project.y + dy;
-        const index = ty * state.map.width + tx;
-
-        state.map.tiles[index] = { ...tileTemplate };
 
-        // Mark as part of structure
-        state.map.tiles[index].structureId = project.id;
+        // Marked as part of the structure
+        setTile(state.map, tx, ty, { ...tileTemplate, structureId: project.id });
       }
     }
   }
 
   // Add workshop marker at center if applicable
   if (blueprint.glyph) {
-    const cx = project.x + Math.floor(blueprint.size.w / 2);
-    const cy = project.y + Math.floor(blueprint.size.h / 2);
-    const centerIndex = cy * state.map.width + cx;
-
-    if (state.map.tiles[centerIndex]) {
-      state.map.tiles[centerIndex].char = blueprint.glyph;
-      state.map.tiles[centerIndex].fg = blueprint.glyphColor || '#ffffff';
+    const cx = project.x + Math.floor(w / 2);
+    const cy = project.y + Math.floor(h / 2);
+    const center = getTile(state.map, cx, cy);
+
+    if (center) {
+      center.char = blueprint.glyph;
+      center.fg = blueprint.glyphColor || '#ffffff';
+      touchTile(state.map, cx, cy);
     }
   }
 }
@@ -811,6 +1102,20 @@ export function suggestStructure(state) {
     needs.push({ type: STRUCTURE_TYPE.WORKSHOP_CRAFTSDWARF, priority: 55 });
   }
 
+  // Forge for smiths
+  if (skillCounts[SKILL.METALWORKING] && !existingTypes.has(STRUCTURE_TYPE.WORKSHOP_FORGE) && !inProgressTypes.has(STRUCTURE_TYPE.WORKSHOP_FORGE)) {
+    needs.push({ type: STRUCTURE_TYPE.WORKSHOP_FORGE, priority: 55 });
+  }
+
+  // Smelter and jeweler once the miners bring up ore or gems
+  const dugUp = new Set((state.resources || []).map(r => r.type));
+  if ((dugUp.has('copper_ore') || dugUp.has('iron_ore')) && !existingTypes.has(STRUCTURE_TYPE.WORKSHOP_SMELTER) && !inProgressTypes.has(STRUCTURE_TYPE.WORKSHOP_SMELTER)) {
+    needs.push({ type: STRUCTURE_TYPE.WORKSHOP_SMELTER, priority: 58 });
+  }
+  if (dugUp.has('rough_gem') && !existingTypes.has(STRUCTURE_TYPE.WORKSHOP_JEWELER) && !inProgressTypes.has(STRUCTURE_TYPE.WORKSHOP_JEWELER)) {
+    needs.push({ type: STRUCTURE_TYPE.WORKSHOP_JEWELER, priority: 52 });
+  }
+
   // Kitchen
   if (skillCounts[SKILL.COOKING] && !existingTypes.has(STRUCTURE_TYPE.WORKSHOP_KITCHEN) && !inProgressTypes.has(STRUCTURE_TYPE.WORKSHOP_KITCHEN)) {
     needs.push({ type: STRUCTURE_TYPE.WORKSHOP_KITCHEN, priority: 65 });
@@ -827,6 +1132,12 @@ export function suggestStructure(state) {
     needs.push({ type: STRUCTURE_TYPE.BEDROOM, priority: 50 + (dwarfCount - bedroomCount) * 5 });
   }
 
+  // Hospital once anyone is carrying a wound
+  const wounded = (state.dwarves || []).filter(d => d.injuries?.length > 0).length;
+  if (wounded > 0 && !existingTypes.has(STRUCTURE_TYPE.HOSPITAL) && !inProgressTypes.has(STRUCTURE_TYPE.HOSPITAL)) {
+    needs.push({ type: STRUCTURE_TYPE.HOSPITAL, priority: 60 + wounded * 5 });
+  }
+
   // Sort by priority
   needs.sort((a, b) => b.priority - a.priority);
 
@@ -882,6 +1193,8 @@ function suggestWorkshopForSkill(dwarf) {
     [SKILL.CARPENTRY]: STRUCTURE_TYPE.WORKSHOP_CARPENTER,
     [SKILL.CRAFTING]: STRUCTURE_TYPE.WORKSHOP_CRAFTSDWARF,
     [SKILL.COOKING]: STRUCTURE_TYPE.WORKSHOP_KITCHEN,
+    [SKILL.METALWORKING]: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    [SKILL.GEM_CUTTING]: STRUCTURE_TYPE.WORKSHOP_JEWELER,
   };
 
   // Find dwarf's best skill above threshold
@@ -917,6 +1230,9 @@ export function considerBuilding(dwarf, state) {
   // Don't start too many projects
   if (buildProjects.length >= 2) return null;
 
+  // The overseer's blueprints come first: no new plans until they're built
+  if (buildProjects.some(p => p.playerPlaced)) return null;
+
   // Check if dwarf is suited for building
   const hasBuildingSkill = (dwarf.skills?.[SKILL.MASONRY] || 0) > 0.3 ||
                            (dwarf.skills?.[SKILL.MINING] || 0) > 0.3;
@@ -924,12 +1240,12 @@ export function considerBuilding(dwarf, state) {
   // Architects are more likely to build
   const isArchitect = dwarf.aspiration === 'architect';
 
-  if (!hasBuildingSkill && !isArchitect && Math.random() > 0.1) return null;
+  if (!hasBuildingSkill && !isArchitect && random() > 0.1) return null;
 
   // First, check if dwarf should build a workshop matching their skill
   // Skilled dwarves prioritize building their own workshop
   const personalWorkshop = suggestWorkshopForSkill(dwarf);
-  if (personalWorkshop && Math.random() < 0.6) {
+  if (personalWorkshop && random() < 0.6) {
     const location = findBuildLocation(personalWorkshop, state);
     if (location) {
       addLog(state, `${getDisplayName(dwarf)} decides to build a ${BLUEPRINTS[personalWorkshop].name}.`);
@@ -949,6 +1265,29 @@ export function considerBuilding(dwarf, state) {
   return startBuildProject(suggestion.type, location.x, location.y, state, dwarf);
 }
 
+// === PLAYER BLUEPRINTS ===
+
+/**
+ * Place a blueprint from the build menu. Orders arrive between ticks, so
+ * they go through the input log like designations.
+ * @param {object} state - World state
+ * @param {object} order - { type, x, y, rotation }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function placeBlueprint(state, order) {
+  return submitInput(state, INPUT_KIND.BUILD, order);
+}
+
+/**
+ * Apply a blueprint order: a build project with the player as initiator
+ * @param {object} state - World state
+ * @param {object} order - { type, x, y, rotation }
+ * @returns {object|null} The project, or null when it doesn't fit
+ */
+export function applyBuildOrder(state, { type, x, y, rotation = 0 }) {
+  return startBuildProject(type, x, y, state, PLAYER_INITIATOR, rotation);
+}
+
 // === STRUCTURE QUERIES ===
 
 /**
@@ -964,6 +1303,47 @@ export function getStructureAt(x, y) {
   return null;
 }
 
+/**
+ * Tear a structure down to scorched floor (raiders burning it). Its tiles
+ * become walkable ground and it leaves the structure list; whatever ran
+ * out of it (crafting jobs, stockpile zones) is the caller's to clear.
+ * @returns {object|null} The destroyed structure
+ */
+export function destroyStructure(structureId, state) {
+  const idx = structures.findIndex(s => s.id === structureId);
+  if (idx === -1) return null;
+  const [structure] = structures.splice(idx, 1);
+
+  for (let y = structure.y; y < structure.y + structure.height; y++) {
+    for (let x = structure.x; x < structure.x + structure.width; x++) {
+      if (getTile(state.map, x, y)?.structureId !== structure.id) continue;
+      setTile(state.map, x, y, {
+        type: 'scorched_floor',
+        char: ',',
+        fg: '#5a4030',
+        bg: '#1a1410',
+        walkable: true,
+        scorched: true,
+      });
+    }
+  }
+  return structure;
+}
+
+/**
+ * Get the unfinished build project covering a position
+ */
+export function getProjectAt(x, y) {
+  for (const project of buildProjects) {
+    if (project.phase === 'complete') continue;
+    if (x >= project.x && x < project.x + project.width &&
+        y >= project.y && y < project.y + project.height) {
+      return project;
+    }
+  }
+  return null;
+}
+
 /**
  * Get all structures
  */
@@ -1003,8 +1383,12 @@ export function findNearestBuildProject(dwarf) {
   let nearest = null;
   let nearestDist = Infinity;
 
+  // Player-placed projects are worked before the dwarves' own
+  const playerPlaced = buildProjects.some(p => p.playerPlaced && p.phase !== 'complete');
+
   for (const project of buildProjects) {
     if (project.phase === 'complete') continue;
+    if (playerPlaced && !project.playerPlaced) continue;
 
     const dist = Math.abs(dwarf.x - project.x) + Math.abs(dwarf.y - project.y);
     if (dist < nearestDist) {
@@ -1079,10 +1463,10 @@ export function suggestRoom(state, size = 5) {
 
 // === HELPER ===
 
-function getTileAt(x, y, state) {
+function getTileAt(x, y, state, z = 0) {
   if (!state?.map) return null;
-  if (x < 0 || x >= state.map.width || y < 0 || y >= state.map.height) {
-    return null;
-  }
-  return state.map.tiles[y * state.map.width + x];
+  return getTile(state.map, x, y, z);
 }
+
+registerInputHandler(INPUT_KIND.DESIGNATION, applyDesignationOrder);
+registerInputHandler(INPUT_KIND.BUILD, applyBuildOrder);
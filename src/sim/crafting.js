@@ -1,19 +1,39 @@
 /**
  * Crafting System
- * Dwarves create items at workshops, building their skills and reputation
+ * Dwarves create items at workshops, building their skills and reputation.
+ * A workshop draws materials from goods lying within WORKSHOP_REACH of it
+ * (stockpiled goods first); finished items are set down at the crafter's
+ * feet for haulers to take to a stockpile.
+ *
+ * Metal runs from the mine to the forge: the smelter burns logs into
+ * charcoal and smelts dug ore into bars, and the forge works the bars into
+ * arms, armor and goods. Both burn a unit of charcoal per job. The jeweler
+ * cuts the rough gems miners find and sets them in copper.
  */
 
 import { SKILL, TASK_TYPE, createTask, PRIORITY, awardSkillXP } from './tasks.js';
 import { STRUCTURE_TYPE, getWorkshops } from './construction.js';
+import { nextId } from './entities.js';
+import { random } from './rng.js';
+import { getGoodsNear } from './stockpiles.js';
+
+// Tiles from a workshop's centre it will fetch materials from
+export const WORKSHOP_REACH = 12;
 
 // === CRAFT CATEGORIES ===
 export const CRAFT_CATEGORY = {
   STONEWORK: 'stonework',
   WOODWORK: 'woodwork',
   GOODS: 'goods',
+  ARMS: 'arms',
+  METAL: 'metal',
+  GEMS: 'gems',
   FOOD: 'food',
 };
 
+// What the smelter and forge burn
+export const FUEL = 'charcoal';
+
 // === CRAFT RECIPES ===
 export const RECIPES = {
   // Stonework (Mason)
@@ -107,6 +127,161 @@ export const RECIPES = {
     quality: true,
   },
 
+  // Smelting (Smelter) — logs to charcoal, dug ore to bars
+  charcoal: {
+    name: 'Charcoal',
+    category: CRAFT_CATEGORY.METAL,
+    workshop: STRUCTURE_TYPE.WORKSHOP_SMELTER,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'wood', amount: 1 }],
+    workAmount: 10,
+    output: { type: FUEL, amount: 2 },
+  },
+  copper_bar: {
+    name: 'Copper Bar',
+    category: CRAFT_CATEGORY.METAL,
+    workshop: STRUCTURE_TYPE.WORKSHOP_SMELTER,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'copper_ore', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 15,
+    output: { type: 'copper_bar', amount: 1 },
+  },
+  iron_bar: {
+    name: 'Iron Bar',
+    category: CRAFT_CATEGORY.METAL,
+    workshop: STRUCTURE_TYPE.WORKSHOP_SMELTER,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_ore', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 20,
+    output: { type: 'iron_bar', amount: 1 },
+  },
+
+  // Arms, armor and metal goods (Forge) — worn and wielded via
+  // equipment.js; iron bars are smelted or bought from merchants
+  copper_dagger: {
+    name: 'Copper Dagger',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'copper_bar', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 15,
+    output: { type: 'dagger', amount: 1, material: 'copper' },
+  },
+  copper_spear: {
+    name: 'Copper Spear',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'copper_bar', amount: 1 }, { type: 'wood', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 20,
+    output: { type: 'spear', amount: 1, material: 'copper' },
+  },
+  copper_goods: {
+    name: 'Copper Goods',
+    category: CRAFT_CATEGORY.GOODS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'copper_bar', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 15,
+    output: { type: 'craft_goods', amount: 3, material: 'copper' },
+  },
+  iron_dagger: {
+    name: 'Iron Dagger',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 20,
+    output: { type: 'dagger', amount: 1, material: 'iron' },
+  },
+  iron_spear: {
+    name: 'Iron Spear',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 1 }, { type: 'wood', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 25,
+    output: { type: 'spear', amount: 1, material: 'iron' },
+  },
+  war_hammer: {
+    name: 'War Hammer',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 2 }, { type: FUEL, amount: 1 }],
+    workAmount: 30,
+    output: { type: 'war_hammer', amount: 1, material: 'iron' },
+  },
+  battle_axe: {
+    name: 'Battle Axe',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 2 }, { type: FUEL, amount: 1 }],
+    workAmount: 35,
+    output: { type: 'battle_axe', amount: 1, material: 'iron' },
+  },
+  mail_shirt: {
+    name: 'Mail Shirt',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 3 }, { type: FUEL, amount: 1 }],
+    workAmount: 45,
+    output: { type: 'mail_shirt', amount: 1, material: 'iron' },
+  },
+  iron_helm: {
+    name: 'Iron Helm',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_FORGE,
+    skill: SKILL.METALWORKING,
+    materials: [{ type: 'iron_bar', amount: 1 }, { type: FUEL, amount: 1 }],
+    workAmount: 25,
+    output: { type: 'iron_helm', amount: 1, material: 'iron' },
+  },
+
+  // Leather armor (Craftsdwarf)
+  leather_armor: {
+    name: 'Leather Armor',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_CRAFTSDWARF,
+    skill: SKILL.LEATHERWORKING,
+    materials: [{ type: 'hide', amount: 2 }],
+    workAmount: 25,
+    output: { type: 'leather_armor', amount: 1, material: 'leather' },
+  },
+  leather_cap: {
+    name: 'Leather Cap',
+    category: CRAFT_CATEGORY.ARMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_CRAFTSDWARF,
+    skill: SKILL.LEATHERWORKING,
+    materials: [{ type: 'hide', amount: 1 }],
+    workAmount: 12,
+    output: { type: 'leather_cap', amount: 1, material: 'leather' },
+  },
+
+  // Gems (Jeweler) — rough gems come out of gem seams
+  cut_gem: {
+    name: 'Cut Gem',
+    category: CRAFT_CATEGORY.GEMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_JEWELER,
+    skill: SKILL.GEM_CUTTING,
+    materials: [{ type: 'rough_gem', amount: 1 }],
+    workAmount: 20,
+    output: { type: 'cut_gem', amount: 1 },
+    quality: true,
+  },
+  jewelry: {
+    name: 'Jewelry',
+    category: CRAFT_CATEGORY.GEMS,
+    workshop: STRUCTURE_TYPE.WORKSHOP_JEWELER,
+    skill: SKILL.GEM_CUTTING,
+    materials: [{ type: 'cut_gem', amount: 1 }, { type: 'copper_bar', amount: 1 }],
+    workAmount: 30,
+    output: { type: 'jewelry', amount: 1, material: 'copper' },
+    quality: true,
+  },
+
   // Food (Kitchen)
   prepared_meal: {
     name: 'Prepared Meal',
@@ -141,6 +316,48 @@ export function initCrafting() {
   craftingJobs = [];
 }
 
+/**
+ * Snapshot crafting state for a save
+ */
+export function exportCraftingState() {
+  return {
+    craftedItems,
+    craftingJobs,
+  };
+}
+
+/**
+ * Restore crafting state from a save. Recipes and quality tiers are module
+ * constants compared by identity (getQualityDescription), so they are
+ * re-linked by id/name; workshops are re-linked from the restored
+ * construction state (import construction first).
+ */
+export function importCraftingState(data) {
+  craftedItems = (data?.craftedItems || []).map(relinkQuality);
+  craftingJobs = [];
+
+  for (const job of data?.craftingJobs || []) {
+    const recipe = RECIPES[job.recipeId];
+    if (!recipe) continue;
+    const workshop = getWorkshops(recipe.workshop).find(w => w.id === job.workshopId);
+    if (!workshop) continue;
+    job.recipe = recipe;
+    job.workshop = workshop;
+    craftingJobs.push(job);
+  }
+}
+
+/**
+ * Point an item's quality back at the shared QUALITY entry
+ */
+export function relinkQuality(item) {
+  const name = item?.quality?.name;
+  if (name) {
+    item.quality = Object.values(QUALITY).find(q => q.name === name) || QUALITY.NORMAL;
+  }
+  return item;
+}
+
 /**
  * Get available recipes for a workshop type
  */
@@ -154,20 +371,26 @@ export function getRecipesForWorkshop(workshopType) {
  * Check if a recipe can be crafted
  */
 export function canCraftRecipe(recipeId, state) {
-  const recipe = RECIPES[recipeId];
-  if (!recipe) return false;
+  return !!findSuppliedWorkshop(recipeId, state);
+}
 
-  // Check for workshop
-  const workshops = getWorkshops(recipe.workshop);
-  if (workshops.length === 0) return false;
+/**
+ * Workshops for a recipe with its materials within reach
+ */
+export function getSuppliedWorkshops(recipeId, state) {
+  const recipe = RECIPES[recipeId];
+  if (!recipe) return [];
 
-  // Check for materials
-  for (const mat of recipe.materials) {
-    const available = countResource(mat.type, state);
-    if (available < mat.amount) return false;
-  }
+  return getWorkshops(recipe.workshop).filter(workshop =>
+    recipe.materials.every(mat => countResource(mat.type, state, workshop) >= mat.amount)
+  );
+}
 
-  return true;
+/**
+ * First workshop for a recipe with its materials within reach
+ */
+function findSuppliedWorkshop(recipeId, state) {
+  return getSuppliedWorkshops(recipeId, state)[0] || null;
 }
 
 /**
@@ -178,12 +401,13 @@ export function createCraftingJob(recipeId, workshopId, state) {
   if (!recipe) return null;
 
   const workshops = getWorkshops(recipe.workshop);
-  const workshop = workshops.find(w => w.id === workshopId) || workshops[0];
+  const workshop = workshops.find(w => w.id === workshopId) ||
+    findSuppliedWorkshop(recipeId, state) || workshops[0];
 
   if (!workshop) return null;
 
   const job = {
-    id: Date.now() + Math.random(),
+    id: nextId(),
     recipeId,
     recipe,
     workshopId: workshop.id,
@@ -207,21 +431,22 @@ export function createCraftingJob(recipeId, workshopId, state) {
  * Work on a crafting job
  */
 export function workOnCrafting(job, dwarf, state) {
-  if (!job || job.status === 'completed') return null;
+  if (!job || job.status !== 'pending') return null;
 
   // Reserve materials if not done
   if (!job.materialsReserved) {
+    const missing = job.recipe.materials.some(mat =>
+      countResource(mat.type, state, job.workshop) < mat.amount);
+    if (missing) return null; // Can't craft - missing materials
     for (const mat of job.recipe.materials) {
-      if (!consumeResource(mat.type, mat.amount, state)) {
-        return null; // Can't craft - missing materials
-      }
+      consumeResource(mat.type, mat.amount, state, job.workshop);
     }
     job.materialsReserved = true;
   }
 
   // Calculate work based on skill
   const skill = getSkillLevel(dwarf, job.recipe.skill);
-  const workDone = 1 + skill * 2;
+  const workDone = (1 + skill * 2) * (dwarf.workRate ?? 1);
 
   job.progress += workDone;
 
@@ -232,9 +457,11 @@ export function workOnCrafting(job, dwarf, state) {
     // Determine quality
     const quality = determineQuality(dwarf, job.recipe);
 
-    // Create item
+    // Create item, set down at the crafter's feet for hauling
     const item = createItem(job.recipe.output, quality, dwarf);
     craftedItems.push(item);
+    if (!state.resources) state.resources = [];
+    state.resources.push(item);
 
     // Skill improvement (array-shaped skills + level-up events)
     awardSkillXP(dwarf, job.recipe.skill, 10);
@@ -261,7 +488,7 @@ function determineQuality(dwarf, recipe) {
   const patience = dwarf.personality?.patience || 0.5;
 
   // Base roll + skill bonus + personality bonus
-  const roll = Math.random() + skill * 0.3 + creativity * 0.1 + patience * 0.1;
+  const roll = random() + skill * 0.3 + creativity * 0.1 + patience * 0.1;
 
   if (roll > 1.3) return QUALITY.MASTERWORK;
   if (roll > 1.1) return QUALITY.EXCEPTIONAL;
@@ -276,13 +503,15 @@ function determineQuality(dwarf, recipe) {
  */
 function createItem(output, quality, crafter) {
   return {
-    id: Date.now() + Math.random(),
+    id: nextId(),
     type: output.type,
     amount: output.amount,
     material: output.material || null,
     quality,
     crafterId: crafter.id,
     crafterName: crafter.name,
+    x: crafter.x,
+    y: crafter.y,
     createdAt: Date.now(),
   };
 }
@@ -318,7 +547,8 @@ export function maybeQueueCraftingJobs(state) {
 
   for (const recipeId of Object.keys(RECIPES)) {
     if (pendingIds.has(recipeId)) continue;
-    if (Math.random() > QUEUE_CHANCE) continue;
+    if (getWorkshops(RECIPES[recipeId].workshop).length === 0) continue;  // No roll for a shop not yet built
+    if (random() > QUEUE_CHANCE) continue;
     if (!canCraftRecipe(recipeId, state)) continue;
 
     createCraftingJob(recipeId, null, state);
@@ -326,6 +556,27 @@ export function maybeQueueCraftingJobs(state) {
   }
 }
 
+/**
+ * Withdraw a job that has not been finished. A dwarf working it drops the
+ * task (the job's status is no longer 'pending'); materials already
+ * consumed are lost.
+ * @returns {boolean} Whether the job was queued
+ */
+export function cancelCraftingJob(jobId) {
+  const idx = craftingJobs.findIndex(j => j.id === jobId);
+  if (idx === -1) return false;
+  craftingJobs[idx].status = 'cancelled';
+  craftingJobs.splice(idx, 1);
+  return true;
+}
+
+/**
+ * Get every queued crafting job (pending or in progress)
+ */
+export function getCraftingJobs() {
+  return craftingJobs;
+}
+
 /**
  * Get pending crafting jobs
  */
@@ -341,24 +592,23 @@ export function getCraftedItems() {
 }
 
 /**
- * Count resource in world
+ * Count a resource within a workshop's reach
  */
-function countResource(type, state) {
-  if (!state.resources) return 0;
-  return state.resources
+function countResource(type, state, workshop) {
+  return getGoodsNear(workshop, WORKSHOP_REACH, state)
     .filter(r => r.type === type)
     .reduce((sum, r) => sum + r.amount, 0);
 }
 
 /**
- * Consume resource from world
+ * Consume a resource within a workshop's reach, stockpiled piles first
  */
-function consumeResource(type, amount, state) {
+function consumeResource(type, amount, state, workshop) {
   if (!state.resources) return false;
 
   let remaining = amount;
 
-  for (const resource of state.resources) {
+  for (const resource of getGoodsNear(workshop, WORKSHOP_REACH, state)) {
     if (resource.type !== type) continue;
 
     const take = Math.min(remaining, resource.amount);
@@ -0,0 +1,554 @@
+/**
+ * Diplomacy
+ * A diplomat who reaches the fortress puts concrete terms on the table
+ * (openNegotiation): a limit on trees felled a day, a tribute of goods,
+ * a quota of caravan trade, a pact of non-aggression. The terms are drawn
+ * from the race's concerns and soften as relations warm.
+ *
+ * The player answers by talking to the diplomat. Every reply goes through
+ * the input log to resolveReply, which reads it for acceptance, refusal or
+ * a counter-offer and settles the outcome by rule: a counter eases the terms
+ * when the diplomat's disposition and the race's relation leave room, else
+ * it costs patience. The chat (entityChat.js) then voices the outcome it
+ * was handed; it never decides one.
+ *
+ * Accepted terms become an agreement on the world. tickDiplomacy collects
+ * tribute and closes agreements that ran their course; trade.js credits
+ * caravan trade (creditTradeQuota), combat.js reports dwarves striking a
+ * visitor (reportHostility), and forestry.js reports every felled tree
+ * (recordTreeFelled). A breached term breaks the agreement: relations fall
+ * (history.js), the race's visitors turn cold, and the spawner sends fewer
+ * of them and more raiders (getAgreementSpawnModifier).
+ *
+ * The elves count felled trees with or without a treaty. A day of heavy
+ * felling costs the dwarves their regard, and an elven diplomat who comes
+ * after recent felling leads with a tree limit, tighter the more was cut.
+ */
+
+import { RACE } from './races.js';
+import { VISITOR_STATE, addSatisfaction } from './visitors.js';
+import { HISTORICAL_EVENT, getDwarfRelation, getRaceName, recordVisitorOutcome } from './history.js';
+import { getTradeGoods, getItemValue, describeItem } from './trade.js';
+import { nextId } from './entities.js';
+import { getCalendar } from './clock.js';
+import { random } from './rng.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+
+const CONFIG = {
+  TERMS_PER_PROPOSAL: 2,
+  NEGOTIATION_TICKS: 1200,   // A day to answer before the diplomat gives up
+  PATIENCE: 2,               // Counter-offers turned down before they walk out
+  COUNTER_COST: 30,          // Flexibility lost per counter-offer already granted
+  AGREEMENT_DAYS: 4,
+  TRIBUTE_DAYS: 2,           // Tribute falls due this often
+  DISPOSITION_ACTIVE: 15,    // Later visitors of a race under an agreement
+  DISPOSITION_HONOURED: 5,
+  DISPOSITION_BROKEN: -30,   // ... and after the dwarves broke one
+  FELLING_MEMORY: 10,        // Days the elves remember felled trees
+  FELLING_OUTRAGE: 6,        // Trees felled in one day that the elves take as an outrage
+  DISPOSITION_FELLING: -10,  // ... for the elves on the map when they hear of it
+  FELLING_TIGHTENING: 5,     // Trees felled of late per tree off a proposed limit
+};
+
+export const TERM = {
+  TREE_LIMIT: 'treeLimit',
+  TRIBUTE: 'tribute',
+  TRADE_QUOTA: 'tradeQuota',
+  NON_AGGRESSION: 'nonAggression',
+};
+
+export const AGREEMENT_STATUS = {
+  ACTIVE: 'active',
+  HONOURED: 'honoured',
+  BROKEN: 'broken',
+};
+
+// What each race asks of the dwarves
+const RACE_TERMS = {
+  [RACE.ELF]: [TERM.TREE_LIMIT, TERM.TRIBUTE, TERM.TRADE_QUOTA, TERM.NON_AGGRESSION],
+  [RACE.HUMAN]: [TERM.TRADE_QUOTA, TERM.TRIBUTE, TERM.NON_AGGRESSION],
+  [RACE.GOBLIN]: [TERM.TRIBUTE, TERM.NON_AGGRESSION],
+};
+
+// How a reply reads, tried in order: "no, that's too much" is a counter
+const REPLY_PATTERNS = [
+  ['counter', /\b(less|lower|fewer|reduce|counter|instead|too (much|many|high|steep))\b/],
+  ['reject', /\b(no|never|refuse|reject|decline|begone)\b/],
+  ['accept', /\b(yes|accept|agree|agreed|deal|sign|done)\b/],
+];
+
+let agreements = [];
+let felling = [];  // { day, count }, the last FELLING_MEMORY days with trees felled
+
+/**
+ * Initialize diplomacy (no agreements)
+ */
+export function initDiplomacy() {
+  agreements = [];
+  felling = [];
+}
+
+/**
+ * Snapshot agreements and the felling tally for a save
+ */
+export function exportDiplomacyState() {
+  return { agreements, felling };
+}
+
+/**
+ * Restore agreements and the felling tally from a save
+ */
+export function importDiplomacyState(data) {
+  agreements = data?.agreements || [];
+  felling = data?.felling || [];
+}
+
+/**
+ * All agreements, oldest first
+ */
+export function getAgreements() {
+  return agreements;
+}
+
+/**
+ * The agreement in force with a race, if any
+ */
+export function getActiveAgreement(race) {
+  return agreements.find(a => a.race === race && a.status === AGREEMENT_STATUS.ACTIVE) || null;
+}
+
+/**
+ * The latest agreement with a race, whatever became of it
+ */
+function getLatestAgreement(race) {
+  return agreements.filter(a => a.race === race).pop() || null;
+}
+
+// === TERMS ===
+
+function roundTo5(value) {
+  return Math.max(5, Math.round(value / 5) * 5);
+}
+
+/**
+ * Size a term by the race's relation: friends ask less
+ */
+function sizeTerm(type, relation) {
+  const warmth = (relation + 100) / 200; // 0 at war .. 1 allied
+  switch (type) {
+    case TERM.TREE_LIMIT: return 2 + Math.round(warmth * 4);
+    case TERM.TRIBUTE: return roundTo5(30 - warmth * 20);
+    case TERM.TRADE_QUOTA: return roundTo5(60 - warmth * 30);
+    default: return 0;
+  }
+}
+
+/**
+ * The same term, asking less
+ */
+function easeTerm(term) {
+  switch (term.type) {
+    case TERM.TREE_LIMIT: return { ...term, amount: Math.ceil(term.amount * 1.5) };
+    case TERM.TRIBUTE:
+    case TERM.TRADE_QUOTA: return { ...term, amount: roundTo5(term.amount * 0.75) };
+    default: return term;
+  }
+}
+
+/**
+ * Plain words for a term: "fell no more than 4 trees a day"
+ */
+export function describeTerm(term, race) {
+  switch (term.type) {
+    case TERM.TREE_LIMIT:
+      return `fell no more than ${term.amount} tree${term.amount === 1 ? '' : 's'} a day`;
+    case TERM.TRIBUTE:
+      return `send goods worth ${term.amount} in tribute every ${CONFIG.TRIBUTE_DAYS} days`;
+    case TERM.TRADE_QUOTA:
+      return `trade goods worth ${term.amount} with passing caravans`;
+    case TERM.NON_AGGRESSION:
+      return `raise no weapon against the ${getRaceName(race)}`;
+    default:
+      return term.type;
+  }
+}
+
+/**
+ * All of a proposal's terms in one phrase
+ */
+export function describeTerms(terms, race) {
+  const parts = terms.map(term => describeTerm(term, race));
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0] || '';
+}
+
+// === NEGOTIATION ===
+
+/**
+ * The diplomat currently holding talks for a race
+ */
+function getNegotiator(state, race) {
+  return (state.visitors || []).find(v =>
+    v.race === race && v.state !== VISITOR_STATE.DEAD && v.negotiation?.status === 'open') || null;
+}
+
+/**
+ * Put terms to the dwarves. Nothing is proposed while the race already has
+ * an agreement in force or another of its diplomats is talking.
+ * @param {object} diplomat - The visitor making the proposal
+ * @param {object} state - World state
+ * @returns {object|null} diplomat.negotiation, or null when there's nothing to propose
+ */
+export function openNegotiation(diplomat, state) {
+  const pool = RACE_TERMS[diplomat.race];
+  if (!pool || getActiveAgreement(diplomat.race) || getNegotiator(state, diplomat.race)) return null;
+
+  const relation = getDwarfRelation(state.history, diplomat.race);
+  const choices = [...pool];
+  const terms = [];
+
+  // Recent felling puts the trees first, and asks for fewer of them
+  const felled = pool.includes(TERM.TREE_LIMIT) ? getRecentFelling(state) : 0;
+  if (felled > 0) {
+    choices.splice(choices.indexOf(TERM.TREE_LIMIT), 1);
+    const amount = sizeTerm(TERM.TREE_LIMIT, relation) - Math.floor(felled / CONFIG.FELLING_TIGHTENING);
+    terms.push({ type: TERM.TREE_LIMIT, amount: Math.max(1, amount) });
+  }
+
+  while (terms.length < CONFIG.TERMS_PER_PROPOSAL && choices.length > 0) {
+    const [type] = choices.splice(Math.floor(random() * choices.length), 1);
+    terms.push({ type, amount: sizeTerm(type, relation) });
+  }
+
+  diplomat.negotiation = {
+    terms,
+    status: 'open',
+    openedTick: state.tick,
+    patience: CONFIG.PATIENCE,
+    counters: 0,
+    treesFelled: felled,
+    lastOutcome: null,
+  };
+  const grievance = felled > 0 ? `, grieved by the ${felled} tree${felled === 1 ? '' : 's'} felled of late,` : '';
+  addLog(state, `${diplomat.name}${grievance} asks that the dwarves ${describeTerms(terms, diplomat.race)}. Speak with them to answer.`);
+  return diplomat.negotiation;
+}
+
+/**
+ * Whether a diplomat should stay at the table. Talks that ran out of time
+ * lapse here.
+ */
+export function keepNegotiating(diplomat, state) {
+  const negotiation = diplomat.negotiation;
+  if (negotiation?.status !== 'open') return false;
+  if (state.tick - negotiation.openedTick <= CONFIG.NEGOTIATION_TICKS) return true;
+
+  addLog(state, `${diplomat.name} tires of waiting for an answer.`);
+  endTalks(diplomat, state, 'lapsed', -2);
+  return false;
+}
+
+function endTalks(diplomat, state, status, relationChange) {
+  diplomat.negotiation.status = status;
+  addSatisfaction(diplomat, diplomat.satisfactionThreshold);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.TALKS_FAILED, diplomat, { relationChange });
+}
+
+/**
+ * How a reply reads: 'accept', 'reject', 'counter' or 'talk'
+ */
+export function classifyReply(message) {
+  const text = String(message).toLowerCase();
+  return REPLY_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] ?? 'talk';
+}
+
+/**
+ * How far a diplomat will bend: their disposition and their people's
+ * standing, less what they already gave. A counter-offer is granted at 0
+ * or above.
+ */
+export function getFlexibility(diplomat, state) {
+  return diplomat.disposition + getDwarfRelation(state.history, diplomat.race) -
+    diplomat.negotiation.counters * CONFIG.COUNTER_COST;
+}
+
+/**
+ * Answer a diplomat from the chat (through the input log). The outcome is
+ * left on diplomat.negotiation.lastOutcome for the chat to voice.
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function replyToDiplomat(state, diplomatId, message) {
+  return submitInput(state, INPUT_KIND.DIPLOMACY, { diplomatId, message });
+}
+
+/**
+ * Settle a reply to a diplomat's terms
+ * @returns {object|null} { intent, result, heard, reply }, or null without open talks
+ */
+export function resolveReply(state, { diplomatId, message }) {
+  const diplomat = (state.visitors || []).find(v => v.id === diplomatId);
+  const negotiation = diplomat?.negotiation;
+  if (negotiation?.status !== 'open' || diplomat.state === VISITOR_STATE.DEAD) return null;
+
+  const intent = classifyReply(message);
+  const race = diplomat.race;
+  let result;
+  let reply;
+
+  if (intent === 'accept') {
+    negotiation.status = 'accepted';
+    signAgreement(diplomat, state);
+    addSatisfaction(diplomat, diplomat.satisfactionThreshold);
+    result = 'accepted';
+    reply = 'Then it is agreed. My people will hold you to every word.';
+  } else if (intent === 'reject') {
+    addLog(state, `The dwarves turn down the terms of ${diplomat.name}.`);
+    endTalks(diplomat, state, 'rejected');
+    result = 'rejected';
+    reply = 'So be it. My people will remember this refusal.';
+  } else if (intent === 'counter' && getFlexibility(diplomat, state) >= 0) {
+    negotiation.counters++;
+    negotiation.terms = negotiation.terms.map(easeTerm);
+    const terms = describeTerms(negotiation.terms, race);
+    addLog(state, `${diplomat.name} eases the terms: the dwarves are to ${terms}.`);
+    result = 'eased';
+    reply = `Very well. We ask only that you ${terms}.`;
+  } else if (intent === 'counter') {
+    negotiation.patience--;
+    if (negotiation.patience <= 0) {
+      addLog(state, `${diplomat.name} breaks off the talks.`);
+      endTalks(diplomat, state, 'withdrawn');
+      result = 'withdrawn';
+      reply = 'Enough. I will carry your stubbornness home.';
+    } else {
+      addLog(state, `${diplomat.name} will not ease the terms further.`);
+      result = 'firm';
+      reply = 'These terms are already generous. We will not ask for less.';
+    }
+  } else {
+    result = 'talk';
+    reply = `These are our terms: ${describeTerms(negotiation.terms, race)}. Do you accept them?`;
+  }
+
+  negotiation.lastOutcome = { intent, result, heard: message, reply };
+  return negotiation.lastOutcome;
+}
+
+registerInputHandler(INPUT_KIND.DIPLOMACY, resolveReply);
+
+// === AGREEMENTS ===
+
+function signAgreement(diplomat, state) {
+  const day = getCalendar(state.tick).day;
+  const agreement = {
+    id: nextId(),
+    race: diplomat.race,
+    envoy: diplomat.name,
+    terms: diplomat.negotiation.terms.map(term => ({ ...term })),
+    status: AGREEMENT_STATUS.ACTIVE,
+    signedDay: day,
+    endsDay: day + CONFIG.AGREEMENT_DAYS,
+    tributeDay: day + CONFIG.TRIBUTE_DAYS,
+    traded: 0,
+    felled: 0,
+    felledDay: day,
+    brokenTerm: null,
+  };
+  agreements.push(agreement);
+
+  addLog(state, `The dwarves agree to ${describeTerms(agreement.terms, agreement.race)}, ` +
+    `by treaty with the ${getRaceName(agreement.race)} until day ${agreement.endsDay}.`);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.AGREEMENT_SIGNED, diplomat);
+  emit(EVENTS.AGREEMENT_SIGNED, { agreement, diplomat, worldState: state });
+  return agreement;
+}
+
+function findTerm(agreement, type) {
+  return agreement.terms.find(term => term.type === type) || null;
+}
+
+/**
+ * Break an agreement over one of its terms
+ */
+function breakAgreement(agreement, term, state) {
+  agreement.status = AGREEMENT_STATUS.BROKEN;
+  agreement.brokenTerm = term.type;
+  agreement.brokenDay = getCalendar(state.tick).day;
+
+  addLog(state, `The dwarves have broken their treaty with the ${getRaceName(agreement.race)}: ` +
+    `they were to ${describeTerm(term, agreement.race)}.`);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.AGREEMENT_BROKEN, { race: agreement.race, id: agreement.id });
+
+  // Word reaches the race's people already here
+  for (const visitor of state.visitors || []) {
+    if (visitor.race === agreement.race && visitor.state !== VISITOR_STATE.DEAD) {
+      visitor.disposition = Math.max(-100, visitor.disposition + CONFIG.DISPOSITION_BROKEN);
+    }
+  }
+  emit(EVENTS.AGREEMENT_BROKEN, { agreement, term, worldState: state });
+}
+
+function honourAgreement(agreement, state) {
+  agreement.status = AGREEMENT_STATUS.HONOURED;
+  addLog(state, `The treaty with the ${getRaceName(agreement.race)} has run its course, honoured to the letter.`);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.AGREEMENT_HONOURED, { race: agreement.race, id: agreement.id });
+  emit(EVENTS.AGREEMENT_HONOURED, { agreement, worldState: state });
+}
+
+/**
+ * Hand over tribute: the cheapest fortress goods that cover it, so the
+ * fine work stays home. Nothing is taken when the goods fall short.
+ * @returns {boolean} Whether the tribute was paid
+ */
+function payTribute(agreement, term, state) {
+  const goods = getTradeGoods(state).sort((a, b) => getItemValue(a) - getItemValue(b));
+  const paid = [];
+  let value = 0;
+  for (const item of goods) {
+    if (value >= term.amount) break;
+    paid.push(item);
+    value += getItemValue(item);
+  }
+  if (value < term.amount) return false;
+
+  const taken = new Set(paid);
+  state.resources = state.resources.filter(item => !taken.has(item));
+  addLog(state, `Tribute leaves for the ${getRaceName(agreement.race)}: ${paid.map(describeItem).join(', ')}.`);
+  return true;
+}
+
+/**
+ * Collect tribute that fell due and close agreements that ran their
+ * course. Called from the world tick; cheap when no agreement is in force.
+ */
+export function tickDiplomacy(state) {
+  const day = getCalendar(state.tick).day;
+
+  for (const agreement of agreements) {
+    if (agreement.status !== AGREEMENT_STATUS.ACTIVE) continue;
+
+    const tribute = findTerm(agreement, TERM.TRIBUTE);
+    if (tribute && day >= agreement.tributeDay) {
+      if (!payTribute(agreement, tribute, state)) {
+        breakAgreement(agreement, tribute, state);
+        continue;
+      }
+      agreement.tributeDay += CONFIG.TRIBUTE_DAYS;
+    }
+
+    if (day < agreement.endsDay) continue;
+    const quota = findTerm(agreement, TERM.TRADE_QUOTA);
+    if (quota && agreement.traded < quota.amount) {
+      breakAgreement(agreement, quota, state);
+    } else {
+      honourAgreement(agreement, state);
+    }
+  }
+}
+
+/**
+ * Count caravan trade toward quotas (trade.js, for every deal struck)
+ */
+export function creditTradeQuota(state, value) {
+  for (const agreement of agreements) {
+    if (agreement.status === AGREEMENT_STATUS.ACTIVE && findTerm(agreement, TERM.TRADE_QUOTA)) {
+      agreement.traded += value;
+    }
+  }
+}
+
+/**
+ * Count a felled tree against tree limits and in the elves' tally. Report
+ * each tree as it comes down.
+ */
+export function recordTreeFelled(state) {
+  const { day, seasonIndex } = getCalendar(state.tick);
+  let today = felling.find(entry => entry.day === day);
+  if (!today) {
+    today = { day, count: 0 };
+    felling = felling.filter(entry => day - entry.day < CONFIG.FELLING_MEMORY);
+    felling.push(today);
+  }
+  today.count++;
+  if (today.count === CONFIG.FELLING_OUTRAGE) {
+    addLog(state, `Word of the felling reaches the ${getRaceName(RACE.ELF)}.`);
+    const year = state.history?.currentYear ?? 0;
+    recordVisitorOutcome(state, HISTORICAL_EVENT.FOREST_FELLED, { race: RACE.ELF, id: `forest-${year}-${seasonIndex}` });
+    for (const visitor of state.visitors || []) {
+      if (visitor.race === RACE.ELF && visitor.state !== VISITOR_STATE.DEAD) {
+        visitor.disposition = Math.max(-100, visitor.disposition + CONFIG.DISPOSITION_FELLING);
+      }
+    }
+  }
+
+  for (const agreement of agreements) {
+    const limit = agreement.status === AGREEMENT_STATUS.ACTIVE && findTerm(agreement, TERM.TREE_LIMIT);
+    if (!limit) continue;
+    if (agreement.felledDay !== day) {
+      agreement.felledDay = day;
+      agreement.felled = 0;
+    }
+    agreement.felled++;
+    if (agreement.felled > limit.amount) breakAgreement(agreement, limit, state);
+  }
+}
+
+/**
+ * Trees felled in the last FELLING_MEMORY days
+ */
+export function getRecentFelling(state) {
+  const day = getCalendar(state.tick).day;
+  return felling.reduce((sum, entry) => sum + (day - entry.day < CONFIG.FELLING_MEMORY ? entry.count : 0), 0);
+}
+
+/**
+ * A dwarf struck a visitor (combat.js): breaks a non-aggression pact with
+ * the visitor's race
+ */
+export function reportHostility(state, visitor) {
+  const agreement = getActiveAgreement(visitor.race);
+  const pact = agreement && findTerm(agreement, TERM.NON_AGGRESSION);
+  if (pact) breakAgreement(agreement, pact, state);
+}
+
+/**
+ * Whether a non-aggression pact with a race is in force (raids.js holds
+ * goblin waves back while one is)
+ */
+export function hasNonAggressionPact(race) {
+  const agreement = getActiveAgreement(race);
+  return !!(agreement && findTerm(agreement, TERM.NON_AGGRESSION));
+}
+
+// === CONSEQUENCES ===
+
+/**
+ * Modifiers for a newly arriving visitor of a race (createVisitor's
+ * historyContext.modifiers): warmer under an agreement, colder after a
+ * broken one
+ */
+export function getAgreementModifiers(race) {
+  const latest = getLatestAgreement(race);
+  if (!latest) return {};
+  const disposition = {
+    [AGREEMENT_STATUS.ACTIVE]: CONFIG.DISPOSITION_ACTIVE,
+    [AGREEMENT_STATUS.HONOURED]: CONFIG.DISPOSITION_HONOURED,
+    [AGREEMENT_STATUS.BROKEN]: CONFIG.DISPOSITION_BROKEN,
+  }[latest.status];
+  return { disposition };
+}
+
+/**
+ * Spawn weight multiplier for a race: an agreement in force brings more of
+ * its people, a broken one fewer; goblins smell a fortress that breaks its
+ * word
+ */
+export function getAgreementSpawnModifier(race) {
+  let modifier = 1.0;
+  const latest = getLatestAgreement(race);
+  if (latest?.status === AGREEMENT_STATUS.ACTIVE) modifier *= 1.3;
+  if (latest?.status === AGREEMENT_STATUS.BROKEN) modifier *= 0.5;
+  if (race === RACE.GOBLIN && agreements.some(a => a.status === AGREEMENT_STATUS.BROKEN)) modifier *= 1.25;
+  return modifier;
+}
@@ -4,6 +4,7 @@
  */
 
 import { isWalkable, inBounds } from '../map/map.js';
+import { random } from './rng.js';
 
 export const EDGE = Object.freeze({
   NORTH: 'north',
@@ -80,7 +81,7 @@ export function getRandomEdgePosition(map) {
 
   if (allEdges.length === 0) return null;
 
-  return allEdges[Math.floor(Math.random() * allEdges.length)];
+  return allEdges[Math.floor(random() * allEdges.length)];
 }
 
 /**
@@ -95,7 +96,7 @@ export function getRandomPositionOnEdge(map, edge) {
 
   if (!edgeTiles || edgeTiles.length === 0) return null;
 
-  const pos = edgeTiles[Math.floor(Math.random() * edgeTiles.length)];
+  const pos = edgeTiles[Math.floor(random() * edgeTiles.length)];
   return { ...pos, edge };
 }
 
@@ -215,3 +216,32 @@ export function getNearestEdge(x, y, map) {
 
   return nearest;
 }
+
+/**
+ * Find a spot a little way in from an edge for a siege camp: a random
+ * walkable tile on the edge, walked inward while the ground stays walkable
+ * @param {object} map
+ * @param {string} edge - EDGE enum value
+ * @param {number} depth - How far in to pitch the camp
+ * @returns {{ x: number, y: number, edge: string } | null}
+ */
+export function findCampSite(map, edge, depth = 4) {
+  const start = getRandomPositionOnEdge(map, edge);
+  if (!start) return null;
+
+  const inward = {
+    [EDGE.NORTH]: { dx: 0, dy: 1 },
+    [EDGE.SOUTH]: { dx: 0, dy: -1 },
+    [EDGE.WEST]: { dx: 1, dy: 0 },
+    [EDGE.EAST]: { dx: -1, dy: 0 },
+  }[edge];
+
+  let site = { x: start.x, y: start.y };
+  for (let step = 1; step <= depth; step++) {
+    const x = start.x + inward.dx * step;
+    const y = start.y + inward.dy * step;
+    if (!inBounds(map, x, y) || !isWalkable(map, x, y)) break;
+    site = { x, y };
+  }
+  return { ...site, edge };
+}
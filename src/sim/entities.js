@@ -7,6 +7,7 @@ import { generateSkills, generateAspiration } from './tasks.js';
 import { requestNameBio, generateNameBioSync } from '../llm/nameGenerator.js';
 import { initializeDrives } from './drives.js';
 import { initializePerception } from './perception.js';
+import { random } from './rng.js';
 
 // === ENTITY TYPES ===
 export const ENTITY_TYPES = {
@@ -17,11 +18,14 @@ export const ENTITY_TYPES = {
 
 // === HUNGER CONSTANTS ===
 // Hunger goes 0 (full) → 95 (capped, never lethal)
-// Dwarves are sustained by food production system
+// Dwarves are sustained by food production system. In mortal worlds
+// (harsh/brutal difficulty) hunger climbs to 100, and a dwarf left there
+// too long starves (mortality.js)
 export const HUNGER_SEEK_THRESHOLD = 60;  // Start seeking food (raised - less urgent)
 export const HUNGER_CRITICAL = 85;        // Desperate, bad decisions (raised)
-export const HUNGER_DEATH = 100;          // Hard cap - prevents death from hunger
+export const HUNGER_DEATH = 100;          // Hard cap - starving in mortal worlds
 export const HUNGER_CAP = 95;              // Soft cap - hunger never exceeds this in practice
+export const STARVATION_TICKS = 1200;      // A day at HUNGER_DEATH starves a dwarf
 
 // === FULFILLMENT SYSTEM ===
 // Dwarves seek fulfillment based on their personality traits
@@ -75,10 +79,34 @@ export function resetIds() {
 }
 
 /**
- * Manhattan distance between two points
+ * Id/name counters for a save — restored worlds must keep minting ids past
+ * the saved ones or new entities would collide with old references
+ */
+export function exportIdState() {
+  return { idCounter, nameIndex };
+}
+
+/**
+ * Restore id/name counters from a save
+ */
+export function importIdState(data) {
+  idCounter = data?.idCounter ?? 0;
+  nameIndex = data?.nameIndex ?? 0;
+}
+
+/**
+ * Manhattan distance between two points; a level up or down counts as a
+ * step (no z is the surface)
  */
 export function distance(a, b) {
-  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y) + Math.abs((a.z ?? 0) - (b.z ?? 0));
+}
+
+/**
+ * Check if two points are on the same level
+ */
+export function onSameLevel(a, b) {
+  return (a.z ?? 0) === (b.z ?? 0);
 }
 
 /**
@@ -98,7 +126,7 @@ function generatePersonality() {
   const personality = {};
   for (const trait of PERSONALITY_TRAITS) {
     // Weighted toward middle with some variance
-    personality[trait] = 0.3 + Math.random() * 0.4 + (Math.random() > 0.7 ? Math.random() * 0.3 : 0);
+    personality[trait] = 0.3 + random() * 0.4 + (random() > 0.7 ? random() * 0.3 : 0);
   }
   return personality;
 }
@@ -129,19 +157,24 @@ export function createDwarf(x, y, name = null) {
     name: name || nextDwarfName(),  // Fallback name until LLM generates
     x,
     y,
+    z: 0,                // Map level; 0 is the surface (map.js)
 
     // Vital stats
-    hunger: 0,           // 0 = full, 100 = death
-    mood: 70 + Math.floor(Math.random() * 30),  // 0-100, starts happy
+    hunger: 0,           // 0 = full, 100 = starving
+    // Years; patient, stubborn dwarves have been around longest. Derived
+    // rather than rolled so the RNG stream is unchanged (mortality.js)
+    age: 20 + Math.round((personality.patience + personality.stubbornness) * 40),
+    mood: 70 + Math.floor(random() * 30),  // 0-100, starts happy
     energy: 100,         // For future use
 
     // Combat stats
     hp: 25,
     maxHp: 25,
-    combatSkill: 0.3 + Math.random() * 0.3,
+    combatSkill: 0.3 + random() * 0.3,
     damage: 3,
     attackCooldown: 0,
     fleeThreshold: 0.25,  // Dwarves are brave, flee at 25% HP
+    equipment: { weapon: null, body: null, head: null }, // Worn gear (equipment.js)
 
     // Fulfillment needs (0 = unfulfilled, 100 = fully satisfied)
     fulfillment: generateFulfillment(personality),
@@ -308,6 +341,7 @@ export function addMemory(dwarf, type, content, tick) {
       }
       break;
     case 'event':
+      if (!dwarf.memory.significantEvents) dwarf.memory.significantEvents = [];
       dwarf.memory.significantEvents.push({ content, tick });
       if (dwarf.memory.significantEvents.length > 10) {
         dwarf.memory.significantEvents.shift();
@@ -372,11 +406,11 @@ export function isCritical(dwarf) {
 
 /**
  * Is dwarf dead from starvation?
- * Dwarves no longer die from hunger - food production keeps them alive
+ * Only in mortal worlds, where hunger reaches HUNGER_DEATH and
+ * dwarf.starving counts the ticks spent there (mortality.js)
  */
 export function isStarved(dwarf) {
-  // Never true - hunger is capped and non-lethal
-  return false;
+  return (dwarf.starving || 0) >= STARVATION_TICKS;
 }
 
 // === FULFILLMENT SYSTEM FUNCTIONS ===
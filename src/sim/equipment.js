@@ -0,0 +1,314 @@
+/**
+ * Equipment
+ * Weapons and armor worn by dwarves and visitors. Every entity has three
+ * slots — a weapon in hand, armor on the body and a helm — holding items
+ * like any other: crafted at a workshop (crafting.js RECIPES), bought, or
+ * picked off a fallen raider.
+ *
+ * A weapon sets the base damage of a blow (in place of the wielder's bare
+ * `damage`) and its damage type: edges cut, points pierce, blunt weapons
+ * (and fists) crush. Armor covers part of the body; a blow that lands on a
+ * covered part loses the piece's protection against its damage type, so
+ * mail turns an axe but a hammer still bruises through it. Both scale
+ * with the item's material and its crafted quality.
+ *
+ * Soldiers (military.js) arm themselves from the ground between fights:
+ * findGearUpgrade picks the best unclaimed piece that beats what they
+ * wear. Visitors arrive outfitted for their role (outfitVisitor), and
+ * the fallen drop what they wore (combat.js cleanupDeadEntities).
+ */
+
+import { QUALITY } from './crafting.js';
+import { nextId } from './entities.js';
+import { random } from './rng.js';
+
+export const EQUIP_SLOT = {
+  WEAPON: 'weapon',
+  BODY: 'body',
+  HEAD: 'head',
+};
+
+export const DAMAGE_TYPE = {
+  EDGE: 'edge',
+  POINT: 'point',
+  BLUNT: 'blunt',
+};
+
+// Item type -> what it does when worn or wielded
+export const GEAR = {
+  // Weapons: damage replaces the wielder's bare damage
+  dagger: { slot: EQUIP_SLOT.WEAPON, damage: 4, damageType: DAMAGE_TYPE.POINT },
+  spear: { slot: EQUIP_SLOT.WEAPON, damage: 5, damageType: DAMAGE_TYPE.POINT },
+  war_hammer: { slot: EQUIP_SLOT.WEAPON, damage: 5, damageType: DAMAGE_TYPE.BLUNT },
+  battle_axe: { slot: EQUIP_SLOT.WEAPON, damage: 6, damageType: DAMAGE_TYPE.EDGE },
+
+  // Armor: coverage is the share of blows that land on the piece,
+  // protection the share of such a blow it absorbs
+  leather_armor: {
+    slot: EQUIP_SLOT.BODY,
+    coverage: 0.6,
+    protection: { edge: 0.35, point: 0.25, blunt: 0.15 },
+  },
+  mail_shirt: {
+    slot: EQUIP_SLOT.BODY,
+    coverage: 0.65,
+    protection: { edge: 0.7, point: 0.45, blunt: 0.2 },
+  },
+  leather_cap: {
+    slot: EQUIP_SLOT.HEAD,
+    coverage: 0.15,
+    protection: { edge: 0.35, point: 0.25, blunt: 0.2 },
+  },
+  iron_helm: {
+    slot: EQUIP_SLOT.HEAD,
+    coverage: 0.2,
+    protection: { edge: 0.8, point: 0.6, blunt: 0.35 },
+  },
+};
+
+// How well a material holds an edge or turns a blow (iron = 1)
+const MATERIAL_FACTOR = {
+  iron: 1.0,
+  bronze: 0.9,
+  copper: 0.8,
+  leather: 1.0,
+  bone: 0.7,
+  stone: 0.6,
+  wood: 0.6,
+};
+
+// Crafted quality in a fight: a narrower spread than QUALITY.multiplier,
+// which prices the piece rather than sharpens it
+const QUALITY_FACTOR = {
+  poor: 0.8,
+  normal: 1.0,
+  fine: 1.1,
+  superior: 1.2,
+  exceptional: 1.35,
+  masterwork: 1.5,
+};
+
+// No piece absorbs a whole blow
+const MAX_PROTECTION = 0.9;
+
+// Armor is struck head first: the helm's coverage comes off the top
+const ARMOR_SLOTS = [EQUIP_SLOT.HEAD, EQUIP_SLOT.BODY];
+
+// What each visitor role brings: [type, material] per piece, normal quality
+const VISITOR_KIT = {
+  goblin: {
+    raider: [['spear', 'iron'], ['leather_armor', 'leather']],
+    scout: [['dagger', 'iron']],
+  },
+  human: {
+    guard: [['battle_axe', 'iron'], ['mail_shirt', 'iron'], ['iron_helm', 'iron']],
+    merchant: [['dagger', 'iron']],
+  },
+};
+
+/**
+ * Empty weapon, body and head slots
+ */
+export function createEquipmentSlots() {
+  return { weapon: null, body: null, head: null };
+}
+
+/**
+ * Gear definition for an item, or null if it can't be worn or wielded
+ */
+export function getGearDef(item) {
+  return (item && GEAR[item.type]) || null;
+}
+
+/**
+ * The item in one of an entity's slots
+ */
+export function getEquipped(entity, slot) {
+  return entity.equipment?.[slot] || null;
+}
+
+/**
+ * Material and quality scaling for a piece of gear
+ */
+function getItemFactor(item) {
+  const material = MATERIAL_FACTOR[item.material] ?? 1;
+  const quality = QUALITY_FACTOR[item.quality?.name] ?? 1;
+  return material * quality;
+}
+
+/**
+ * Base damage of the entity's weapon, or null when bare-handed
+ */
+export function getWeaponDamage(entity) {
+  const weapon = getEquipped(entity, EQUIP_SLOT.WEAPON);
+  const def = getGearDef(weapon);
+  return def ? def.damage * getItemFactor(weapon) : null;
+}
+
+/**
+ * Damage type of the entity's blows (fists and claws are blunt)
+ */
+export function getDamageType(entity) {
+  return getGearDef(getEquipped(entity, EQUIP_SLOT.WEAPON))?.damageType ?? DAMAGE_TYPE.BLUNT;
+}
+
+/**
+ * Where a blow meets the defender's armor: it lands on one piece (or on
+ * nothing) by coverage, and that piece soaks its protection against the
+ * damage type. Draws from the RNG only for armored defenders.
+ * @returns {{ slot: string|null, protection: number }} The slot struck
+ *   (null when the blow found a gap) and the share absorbed (0 to
+ *   MAX_PROTECTION)
+ */
+export function strikeArmor(defender, damageType) {
+  const pieces = ARMOR_SLOTS
+    .map(slot => getEquipped(defender, slot))
+    .filter(item => getGearDef(item));
+  if (pieces.length === 0) return { slot: null, protection: 0 };
+
+  let roll = random();
+  for (const item of pieces) {
+    const def = getGearDef(item);
+    if (roll < def.coverage) {
+      const protection = Math.min(MAX_PROTECTION, (def.protection[damageType] ?? 0) * getItemFactor(item));
+      return { slot: def.slot, protection };
+    }
+    roll -= def.coverage;
+  }
+  return { slot: null, protection: 0 };
+}
+
+/**
+ * Share of a blow the defender's armor absorbs (see strikeArmor)
+ * @returns {number} 0 (unarmored or missed the armor) to MAX_PROTECTION
+ */
+export function getArmorProtection(defender, damageType) {
+  return strikeArmor(defender, damageType).protection;
+}
+
+/**
+ * How good a piece is in its slot, for choosing between them: damage for
+ * weapons, expected share of a blow absorbed for armor
+ */
+export function getGearRating(item) {
+  const def = getGearDef(item);
+  if (!def) return 0;
+  if (def.slot === EQUIP_SLOT.WEAPON) return def.damage * getItemFactor(item);
+  const protection = Object.values(def.protection);
+  const average = protection.reduce((sum, p) => sum + p, 0) / protection.length;
+  return def.coverage * average * getItemFactor(item);
+}
+
+/**
+ * Nearest piece of gear on the ground that would improve on what the
+ * dwarf wears, skipping pieces another soldier is on their way to
+ * @returns {object|null} The item (in state.resources)
+ */
+export function findGearUpgrade(dwarf, state) {
+  const claimed = new Set();
+  for (const other of state.dwarves) {
+    if (other !== dwarf && other.gearTarget != null) claimed.add(other.gearTarget);
+  }
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const item of state.resources || []) {
+    const def = getGearDef(item);
+    if (!def || claimed.has(item.id)) continue;
+    const gain = getGearRating(item) - getGearRating(getEquipped(dwarf, def.slot));
+    if (gain <= 0) continue;
+    // Better pieces first; among equals, the nearer
+    const dist = Math.abs(item.x - dwarf.x) + Math.abs(item.y - dwarf.y);
+    const score = gain * 100 - dist;
+    if (score > bestScore) {
+      bestScore = score;
+      best = item;
+    }
+  }
+  return best;
+}
+
+/**
+ * Put on or take up an item from the ground. Whatever was in the slot is
+ * set down in its place.
+ * @returns {object|null} The item taken off, if any
+ */
+export function equipItem(entity, item, state) {
+  const def = getGearDef(item);
+  if (!def) return null;
+
+  if (state.resources) {
+    const idx = state.resources.indexOf(item);
+    if (idx !== -1) state.resources.splice(idx, 1);
+  }
+
+  if (!entity.equipment) entity.equipment = createEquipmentSlots();
+  const previous = entity.equipment[def.slot];
+  entity.equipment[def.slot] = item;
+  if (previous) setDown(previous, entity, state);
+  return previous;
+}
+
+/**
+ * Drop everything the entity wears where it stands (the fallen, mostly),
+ * or only the given slots (a prisoner's weapon)
+ * @returns {Array} The dropped items
+ */
+export function dropEquipment(entity, state, slots = Object.values(EQUIP_SLOT)) {
+  const dropped = [];
+  for (const slot of slots) {
+    const item = getEquipped(entity, slot);
+    if (!item) continue;
+    entity.equipment[slot] = null;
+    setDown(item, entity, state);
+    dropped.push(item);
+  }
+  return dropped;
+}
+
+function setDown(item, at, state) {
+  item.x = at.x;
+  item.y = at.y;
+  if (!state.resources) state.resources = [];
+  state.resources.push(item);
+}
+
+/**
+ * Slots filled with what a visitor of this race and role carries
+ */
+export function outfitVisitor(race, role) {
+  const equipment = createEquipmentSlots();
+  for (const [type, material] of VISITOR_KIT[race]?.[role] || []) {
+    equipment[GEAR[type].slot] = {
+      id: nextId(),
+      type,
+      amount: 1,
+      material,
+      quality: QUALITY.NORMAL,
+      crafterId: null,
+      crafterName: null,
+    };
+  }
+  return equipment;
+}
+
+/**
+ * "fine iron spear"
+ */
+export function describeGear(item) {
+  const quality = item.quality && item.quality.name !== QUALITY.NORMAL.name ? `${item.quality.name} ` : '';
+  const material = item.material && !item.type.startsWith(item.material) ? `${item.material} ` : '';
+  return `${quality}${material}${item.type.replace(/_/g, ' ')}`;
+}
+
+/**
+ * Everything the entity wears, for the panels ("iron spear, leather
+ * armor"), or null when it has nothing
+ */
+export function getGearSummary(entity) {
+  const worn = Object.values(EQUIP_SLOT)
+    .map(slot => getEquipped(entity, slot))
+    .filter(Boolean)
+    .map(describeGear);
+  return worn.length > 0 ? worn.join(', ') : null;
+}
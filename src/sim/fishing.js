@@ -6,6 +6,7 @@
 
 import { getTile, inBounds } from '../map/map.js';
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from './rng.js';
 
 // === FISHING CONFIG ===
 export const FISHING_CONFIG = {
@@ -92,7 +93,7 @@ export function attemptFish(dwarf, state) {
   awardFishingXP(dwarf, FISHING_CONFIG.XP_PER_ATTEMPT);
 
   // Attempt catch
-  if (Math.random() < catchProb) {
+  if (random() < catchProb) {
     // Caught something!
     const baseAmount = FISHING_CONFIG.FISH_AMOUNT_BASE;
     const skillAmount = Math.floor(proficiency * FISHING_CONFIG.FISH_AMOUNT_BONUS);
@@ -100,7 +101,7 @@ export function attemptFish(dwarf, state) {
 
     // Create food at fishing location
     const food = {
-      id: Math.random(),
+      id: random(),
       type: 'food',
       subtype: 'fish',
       x: dwarf.x,
@@ -7,6 +7,7 @@
 import { nextId, distance, getDisplayName } from './entities.js';
 import { SKILL } from './tasks.js';
 import { addLog } from '../state/store.js';
+import { random } from './rng.js';
 
 // === FOOD PRODUCTION TYPES ===
 export const PRODUCTION_TYPE = {
@@ -107,7 +108,7 @@ export function workOnProduction(site, dwarf, state) {
     site.foodStored += baseProduction;
 
     // Skill improvement
-    if (Math.random() < 0.05) {
+    if (random() < 0.05) {
       dwarf.skills[config.skill] = Math.min(1, dwarf.skills[config.skill] + 0.01);
     }
 
@@ -133,7 +134,7 @@ export function harvestProduction(site, state) {
   site.lastHarvestedTick = state.tick;
 
   // Deplete after a while (unless breeding/growing)
-  if (site.status === 'mature' && Math.random() < 0.02) {
+  if (site.status === 'mature' && random() < 0.02) {
     site.status = 'active'; // Reset for next cycle
   }
 
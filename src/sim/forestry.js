@@ -0,0 +1,302 @@
+/**
+ * Forestry
+ * Trees are the fortress's only source of wood. The player drags out a
+ * felling area (designationTool → issueFellingOrder, through the input
+ * log); dwarves with the woodcutting labor walk up to each marked tree and
+ * chop it down, training `woodcutting`. A felled tree leaves logs on
+ * the ground for the haulers and a stump where it stood.
+ *
+ * The forest comes back slowly. Outside winter, a stump a season old may
+ * sprout a sapling, and a sapling a season old may grow into the tree that
+ * was cut. Nothing takes root under someone's feet.
+ *
+ * Every tree that comes down is reported to diplomacy.js (recordTreeFelled):
+ * it holds the dwarves to any tree limit they agreed to, and the elves keep
+ * count.
+ */
+
+import { TileType, createTile } from '../map/tiles.js';
+import { getTile, getLevel, setTile } from '../map/map.js';
+import { random } from './rng.js';
+import { nextId, getDisplayName } from './entities.js';
+import { TASK_TYPE, SKILL, awardSkillXP } from './tasks.js';
+import { TICKS_PER_DAY, DAYS_PER_SEASON, getCalendar } from './clock.js';
+import { recordTreeFelled } from './diplomacy.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+
+const CONFIG = {
+  FELL_WORK: 30,                // Work to bring a tree down
+  FELL_XP: 5,                   // Woodcutting XP per tree
+  SPROUT_DAYS: DAYS_PER_SEASON, // A stump this old may sprout
+  GROW_DAYS: DAYS_PER_SEASON,   // A sapling this old may become a tree
+  SPROUT_CHANCE: 0.1,           // Per day, once old enough
+  GROW_CHANCE: 0.1,
+};
+
+// Logs a tree yields: [min, max]
+const LOGS = {
+  [TileType.TREE_CONIFER]: [2, 3],
+  [TileType.TREE_DECIDUOUS]: [1, 2],
+  [TileType.DENSE_FOREST]: [3, 4],
+};
+
+export const TREE_TYPES = Object.keys(LOGS);
+
+// === STATE ===
+let fellings = new Map();  // "x,y" -> felling designation
+let stumps = [];           // { x, y, tree, felledDay, stage: 'stump'|'sapling', sproutedDay }
+
+/**
+ * Initialize forestry (no felling orders, no stumps)
+ */
+export function initForestry() {
+  fellings = new Map();
+  stumps = [];
+}
+
+/**
+ * Snapshot felling orders and regrowing stumps for a save
+ */
+export function exportForestryState() {
+  return { fellings, stumps };
+}
+
+/**
+ * Restore felling orders and stumps from a save
+ */
+export function importForestryState(data) {
+  fellings = data?.fellings instanceof Map ? data.fellings : new Map();
+  stumps = data?.stumps || [];
+}
+
+// === TREES ===
+
+function getTileAt(x, y, state) {
+  return state?.map ? getTile(state.map, x, y) : null;
+}
+
+/**
+ * Whether a tile holds a standing tree
+ */
+export function isTree(tile) {
+  return !!tile && TREE_TYPES.includes(tile.type);
+}
+
+/**
+ * Whether the tree at (x, y) can be felled
+ */
+export function canFell(x, y, state) {
+  return isTree(getTileAt(x, y, state));
+}
+
+/**
+ * Count standing trees on the map
+ */
+export function countTrees(state) {
+  return state.map ? getLevel(state.map).filter(isTree).length : 0;
+}
+
+// === FELLING ORDERS ===
+
+/**
+ * Mark every tree in a rectangle for felling
+ * @param {object} [order] - Extra fields for each designation ({ source })
+ * @returns {Array} The new designations
+ */
+export function designateFelling(x1, y1, x2, y2, state, order = {}) {
+  const added = [];
+  for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+    for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+      const key = `${x},${y}`;
+      if (!canFell(x, y, state) || fellings.has(key)) continue;
+      const felling = { type: 'fell', x, y, progress: 0, workRequired: CONFIG.FELL_WORK, ...order };
+      fellings.set(key, felling);
+      added.push(felling);
+    }
+  }
+  return added;
+}
+
+/**
+ * Drop every felling order inside a rectangle (inclusive corners)
+ * @returns {number} Orders removed
+ */
+export function cancelFelling(x1, y1, x2, y2) {
+  let removed = 0;
+  for (const [key, felling] of fellings) {
+    if (felling.x >= Math.min(x1, x2) && felling.x <= Math.max(x1, x2) &&
+        felling.y >= Math.min(y1, y2) && felling.y <= Math.max(y1, y2)) {
+      fellings.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Mark or clear a felling area from the UI (through the input log, like
+ * designations)
+ * @param {object} state - World state
+ * @param {object} order - { action: 'fell'|'cancel', x1, y1, x2, y2 }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function issueFellingOrder(state, order) {
+  return submitInput(state, INPUT_KIND.FELLING, order);
+}
+
+/**
+ * Apply a felling order
+ * @returns {number} Trees marked (or orders removed, for cancel)
+ */
+export function applyFellingOrder(state, { action, x1, y1, x2, y2 }) {
+  switch (action) {
+    case 'fell':
+      return designateFelling(x1, y1, x2, y2, state, { source: 'player' }).length;
+    case 'cancel':
+      return cancelFelling(x1, y1, x2, y2);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * All trees marked for felling
+ */
+export function getFellDesignations() {
+  return Array.from(fellings.values());
+}
+
+/**
+ * The felling order on a tile, if any
+ */
+export function getFellingAt(x, y) {
+  return fellings.get(`${x},${y}`) || null;
+}
+
+/**
+ * The nearest marked tree no other dwarf is already chopping
+ * @returns {object|null}
+ */
+export function findNearestFellTask(dwarf, state) {
+  const claimed = new Set();
+  for (const other of state.dwarves) {
+    const target = other.currentTask?.type === TASK_TYPE.FELL ? other.currentTask.target : null;
+    if (other !== dwarf && target) claimed.add(`${target.x},${target.y}`);
+  }
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const [key, felling] of fellings) {
+    if (claimed.has(key)) continue;
+    const dist = Math.abs(dwarf.x - felling.x) + Math.abs(dwarf.y - felling.y);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = felling;
+    }
+  }
+  return best;
+}
+
+/**
+ * A dwarf's woodcutting level (0-1)
+ */
+export function getWoodcuttingSkill(dwarf) {
+  return dwarf.skills?.find?.(s => s.name === SKILL.WOODCUTTING)?.level ?? 0;
+}
+
+/**
+ * Chop at a marked tree; once the work is done it comes down
+ * @returns {boolean} Whether this stint felled it
+ */
+export function workOnFelling(x, y, dwarf, state) {
+  const felling = getFellingAt(x, y);
+  if (!felling) return false;
+
+  felling.progress += (1 + getWoodcuttingSkill(dwarf) * 2) * (dwarf.workRate ?? 1);
+  if (felling.progress < felling.workRequired) return false;
+
+  fellings.delete(`${x},${y}`);
+  if (!fellTree(x, y, state, dwarf)) return false;
+  awardSkillXP(dwarf, SKILL.WOODCUTTING, CONFIG.FELL_XP);
+  return true;
+}
+
+/**
+ * Bring down the tree at (x, y): logs on the ground, a stump in its place
+ * @param {object} [dwarf] - Who felled it
+ * @returns {object|null} The logs, or null when there was no tree
+ */
+export function fellTree(x, y, state, dwarf = null) {
+  const tile = getTileAt(x, y, state);
+  if (!isTree(tile)) return null;
+
+  const tree = tile.type;
+  setTile(state.map, x, y, createTile(TileType.STUMP));
+  stumps.push({ x, y, tree, felledDay: getCalendar(state.tick).day, stage: 'stump', sproutedDay: null });
+
+  const [min, max] = LOGS[tree];
+  const logs = { id: nextId(), type: 'wood', x, y, amount: min + Math.floor(random() * (max - min + 1)) };
+  if (!state.resources) state.resources = [];
+  state.resources.push(logs);
+
+  if (dwarf) addLog(state, `${getDisplayName(dwarf)} fells a tree.`);
+  recordTreeFelled(state);
+  emit(EVENTS.TREE_FELLED, { x, y, tree, logs, dwarf, worldState: state });
+  return logs;
+}
+
+// === REGROWTH ===
+
+/**
+ * Stumps and saplings, oldest first
+ */
+export function getStumps() {
+  return stumps;
+}
+
+function isOccupied(x, y, state) {
+  const here = e => e.x === x && e.y === y && e.hp !== 0 && e.state !== 'dead';
+  return [state.dwarves, state.visitors, state.animals].some(list => (list || []).some(here));
+}
+
+/**
+ * Once a day, outside winter: old stumps may sprout and old saplings may
+ * grow back into trees. A stump that was built over or dug out is
+ * forgotten.
+ */
+export function tickForestry(state) {
+  if (state.tick % TICKS_PER_DAY !== 0 || stumps.length === 0) return;
+
+  const { day, season } = getCalendar(state.tick);
+  stumps = stumps.filter(stump => getTileAt(stump.x, stump.y, state)?.type === stumpTile(stump));
+  if (season === 'winter') return;
+
+  const regrown = [];
+  for (const stump of stumps) {
+    if (isOccupied(stump.x, stump.y, state)) continue;
+
+    if (stump.stage === 'stump') {
+      if (day - stump.felledDay < CONFIG.SPROUT_DAYS || random() >= CONFIG.SPROUT_CHANCE) continue;
+      stump.stage = 'sapling';
+      stump.sproutedDay = day;
+      setTile(state.map, stump.x, stump.y, createTile(TileType.SAPLING));
+    } else {
+      if (day - stump.sproutedDay < CONFIG.GROW_DAYS || random() >= CONFIG.GROW_CHANCE) continue;
+      setTile(state.map, stump.x, stump.y, createTile(stump.tree));
+      regrown.push(stump);
+    }
+  }
+
+  if (regrown.length > 0) {
+    stumps = stumps.filter(stump => !regrown.includes(stump));
+    addLog(state, regrown.length === 1 ? 'A felled tree has grown back.' : `${regrown.length} felled trees have grown back.`);
+  }
+}
+
+function stumpTile(stump) {
+  return stump.stage === 'stump' ? TileType.STUMP : TileType.SAPLING;
+}
+
+registerInputHandler(INPUT_KIND.FELLING, applyFellingOrder);
@@ -48,6 +48,29 @@ export function initGroundCover(width, height) {
   snowGrid = new Float32Array(width * height);
 }
 
+/**
+ * Copy the wetness/snow grids for a save
+ */
+export function exportGroundCover() {
+  if (!wetnessGrid) return null;
+  return {
+    width: gridWidth,
+    height: gridHeight,
+    wetness: wetnessGrid.slice(),
+    snow: snowGrid.slice(),
+  };
+}
+
+/**
+ * Restore the wetness/snow grids from a save
+ */
+export function importGroundCover(data) {
+  if (!data?.wetness || !data?.snow) return;
+  initGroundCover(data.width, data.height);
+  if (data.wetness.length === wetnessGrid.length) wetnessGrid.set(data.wetness);
+  if (data.snow.length === snowGrid.length) snowGrid.set(data.snow);
+}
+
 function inGrid(x, y) {
   return wetnessGrid && x >= 0 && x < gridWidth && y >= 0 && y < gridHeight;
 }
@@ -1,9 +1,16 @@
 /**
  * World History Generator
- * Generates a timeline of historical events that affect present-day race relations
+ * Generates a timeline of historical events that affect present-day race relations.
+ * The timeline stays live: what happens to visitors during play (trades, deaths,
+ * routed raids, envoys, sermons, treaties, felled forest) is appended by
+ * recordVisitorOutcome and shifts the dwarves' relations with that race.
  */
 
 import { RACE, getRelationKey } from './races.js';
+import { random } from './rng.js';
+import { getCalendar } from './clock.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
 
 export const HISTORICAL_EVENT = Object.freeze({
   WAR: 'war',
@@ -16,6 +23,28 @@ export const HISTORICAL_EVENT = Object.freeze({
   PLAGUE: 'plague',
   GREAT_BATTLE: 'great_battle',
   CULTURAL_EXCHANGE: 'cultural_exchange',
+
+  // Present-day events between the fortress and its visitors
+  CARAVAN_TRADE: 'caravan_trade',
+  TRADE_SOURED: 'trade_soured',
+  ENVOY_RECEIVED: 'envoy_received',
+  SERMON_HEARD: 'sermon_heard',
+  GUEST_SLAIN: 'guest_slain',
+  GUEST_DRIVEN_OFF: 'guest_driven_off',
+  RAIDER_SLAIN: 'raider_slain',
+  RAID_REPELLED: 'raid_repelled',
+  DWARF_SLAIN: 'dwarf_slain',
+  AGREEMENT_SIGNED: 'agreement_signed',
+  AGREEMENT_HONOURED: 'agreement_honoured',
+  AGREEMENT_BROKEN: 'agreement_broken',
+  TALKS_FAILED: 'talks_failed',
+  FORTRESS_PLUNDERED: 'fortress_plundered',
+  DWARF_TAKEN: 'dwarf_taken',
+  RAIDER_CAPTURED: 'raider_captured',
+  PRISONER_RELEASED: 'prisoner_released',
+  VISITOR_SETTLED: 'visitor_settled',
+  PETITION_REFUSED: 'petition_refused',
+  FOREST_FELLED: 'forest_felled',
 });
 
 // Event templates with relation effects
@@ -122,6 +151,129 @@ const EVENT_TEMPLATES = {
   },
 };
 
+// Present-day events. Never picked by generateWorldHistory; recorded as
+// visitors meet their fates. spawnModifier nudges how often the race visits
+// while the event is recent. {race} is the race's id ('human'), {count} how
+// many of the group it happened to; "(s)" pluralises with it.
+const LIVE_EVENT_TEMPLATES = {
+  [HISTORICAL_EVENT.CARAVAN_TRADE]: {
+    relationChange: 4,
+    spawnModifier: 0.2,
+    description: 'A caravan of {race} merchants traded with the fortress and left content.',
+  },
+  [HISTORICAL_EVENT.TRADE_SOURED]: {
+    relationChange: -5,
+    spawnModifier: -0.1,
+    description: 'The {race} merchant packed up in disgust at the dwarves\' haggling.',
+  },
+  [HISTORICAL_EVENT.ENVOY_RECEIVED]: {
+    relationChange: 8,
+    spawnModifier: 0.1,
+    description: 'The dwarves received an envoy from the {race} lands.',
+  },
+  [HISTORICAL_EVENT.SERMON_HEARD]: {
+    relationChange: 5,
+    spawnModifier: 0.1,
+    description: 'The dwarves heard out a missionary from the {race} lands.',
+  },
+  [HISTORICAL_EVENT.GUEST_SLAIN]: {
+    relationChange: -20,
+    spawnModifier: -0.3,
+    description: 'The dwarves slew {count} peaceful {race} visitor(s).',
+  },
+  [HISTORICAL_EVENT.GUEST_DRIVEN_OFF]: {
+    relationChange: -10,
+    spawnModifier: -0.2,
+    description: 'The dwarves drove off {count} peaceful {race} visitor(s).',
+  },
+  [HISTORICAL_EVENT.RAIDER_SLAIN]: {
+    relationChange: -5,
+    spawnModifier: 0,
+    description: 'The dwarves slew {count} {race} raider(s).',
+  },
+  [HISTORICAL_EVENT.RAID_REPELLED]: {
+    relationChange: -5,
+    spawnModifier: -0.2,
+    description: 'The dwarves routed {count} {race} raider(s).',
+  },
+  [HISTORICAL_EVENT.DWARF_SLAIN]: {
+    relationChange: -10,
+    spawnModifier: 0,
+    description: 'Dwarves of the fortress fell to {race} attackers ({count} slain).',
+  },
+  [HISTORICAL_EVENT.AGREEMENT_SIGNED]: {
+    relationChange: 10,
+    spawnModifier: 0.2,
+    description: 'The dwarves signed a treaty with a {race} envoy.',
+  },
+  [HISTORICAL_EVENT.AGREEMENT_HONOURED]: {
+    relationChange: 15,
+    spawnModifier: 0.2,
+    description: 'The dwarves kept their treaty with the {race} to the letter.',
+  },
+  [HISTORICAL_EVENT.AGREEMENT_BROKEN]: {
+    relationChange: -25,
+    spawnModifier: -0.3,
+    description: 'The dwarves broke their treaty with the {race}.',
+  },
+  [HISTORICAL_EVENT.TALKS_FAILED]: {
+    relationChange: -5,
+    spawnModifier: -0.1,
+    description: 'A {race} envoy left the fortress without an agreement.',
+  },
+  [HISTORICAL_EVENT.FORTRESS_PLUNDERED]: {
+    relationChange: -5,
+    spawnModifier: 0.2,
+    description: 'The {race} raiders carried off {count} load(s) of the fortress\'s goods.',
+  },
+  [HISTORICAL_EVENT.DWARF_TAKEN]: {
+    relationChange: -10,
+    spawnModifier: 0.1,
+    description: 'The {race} raiders carried off {count} of the fortress\'s dwarves.',
+  },
+  [HISTORICAL_EVENT.RAIDER_CAPTURED]: {
+    relationChange: -3,
+    spawnModifier: 0,
+    description: 'The dwarves took {count} {race} raider(s) prisoner.',
+  },
+  [HISTORICAL_EVENT.PRISONER_RELEASED]: {
+    relationChange: 5,
+    spawnModifier: 0,
+    description: 'The dwarves set {count} {race} prisoner(s) free.',
+  },
+  [HISTORICAL_EVENT.VISITOR_SETTLED]: {
+    relationChange: 3,
+    spawnModifier: 0.1,
+    description: 'The fortress took in {count} {race} settler(s).',
+  },
+  [HISTORICAL_EVENT.PETITION_REFUSED]: {
+    relationChange: -3,
+    spawnModifier: -0.1,
+    description: 'The dwarves turned away {count} {race} visitor(s) who asked to stay.',
+  },
+  [HISTORICAL_EVENT.FOREST_FELLED]: {
+    relationChange: -5,
+    spawnModifier: -0.1,
+    description: 'The dwarves laid waste to the forest on {count} day(s), to the grief of the {race}.',
+  },
+};
+
+// Relation thresholds, best first
+const STANCES = [
+  { min: 50, name: 'allied', phrase: 'allied with' },
+  { min: 20, name: 'friendly', phrase: 'friendly with' },
+  { min: -20, name: 'neutral', phrase: 'neutral toward' },
+  { min: -50, name: 'hostile', phrase: 'hostile toward' },
+  { min: -Infinity, name: 'at war', phrase: 'at war with' },
+];
+
+/**
+ * Stance for a relation score: { name, phrase }
+ */
+export function getStance(relation) {
+  return STANCES.find(stance => relation >= stance.min);
+}
+
 // Word pools for generating descriptions
 const ADJECTIVES = [
   'Iron', 'Golden', 'Silver', 'Crimson', 'Verdant', 'Obsidian', 'Crystal',
@@ -155,9 +307,9 @@ function seededPick(array, seed) {
 }
 
 /**
- * Get race display name
+ * Get race display name: 'elves'
  */
-function getRaceName(race) {
+export function getRaceName(race) {
   const names = {
     [RACE.HUMAN]: 'humans',
     [RACE.GOBLIN]: 'goblins',
@@ -224,7 +376,7 @@ function selectRaces(seed) {
 
   // Ensure different races
   while (race2 === race1) {
-    race2 = seededPick(races, seed + Math.random() * 1000);
+    race2 = seededPick(races, seed + random() * 1000);
   }
 
   return [race1, race2];
@@ -343,14 +495,7 @@ export function getHistorySummary(history) {
     const [race1, race2] = key.split('_');
     if (race1 === 'dwarf' || race2 === 'dwarf') {
       const otherRace = race1 === 'dwarf' ? race2 : race1;
-      let stance;
-      if (value >= 50) stance = 'allied with';
-      else if (value >= 20) stance = 'friendly with';
-      else if (value >= -20) stance = 'neutral toward';
-      else if (value >= -50) stance = 'hostile toward';
-      else stance = 'at war with';
-
-      relations.push(`Dwarves are ${stance} the ${getRaceName(otherRace)} (${value})`);
+      relations.push(`Dwarves are ${getStance(value).phrase} the ${getRaceName(otherRace)} (${value})`);
     }
   }
 
@@ -377,8 +522,10 @@ export function getSpawnWeightModifier(history, race) {
 
   const relation = getDwarfRelation(history, race);
 
-  // Recent events matter more
-  const recentEvents = getRecentEventsForRace(history, race, 3);
+  // Recent events between the dwarves and this race matter more
+  const recentEvents = history.events
+    .filter(e => e.participants.includes('dwarf') && e.participants.includes(race))
+    .slice(-3);
   let recentModifier = 0;
 
   for (const event of recentEvents) {
@@ -386,6 +533,8 @@ export function getSpawnWeightModifier(history, race) {
       recentModifier -= 0.2;
     } else if (event.type === HISTORICAL_EVENT.TRADE_AGREEMENT || event.type === HISTORICAL_EVENT.ALLIANCE) {
       recentModifier += 0.2;
+    } else {
+      recentModifier += LIVE_EVENT_TEMPLATES[event.type]?.spawnModifier ?? 0;
     }
   }
 
@@ -405,3 +554,63 @@ export function getSpawnWeightModifier(history, race) {
 
   return Math.max(0.1, modifier + recentModifier);
 }
+
+// === LIVE TIMELINE ===
+
+/**
+ * Record what happened to a visitor as a present-day historical event and
+ * shift the dwarves' relation with the visitor's race. Outcomes for the same
+ * visitor group fold into one entry (a raid routed is one event, however
+ * many raiders ran), but each still moves the relation.
+ * @param {object} state - World state (state.history is updated in place)
+ * @param {string} type - A present-day HISTORICAL_EVENT
+ * @param {object} visitor - The visitor it happened to (the killer, for DWARF_SLAIN;
+ *   { race, id } for a treaty kept or broken)
+ * @param {object} [options]
+ * @param {number} [options.relationChange] - Override the template's change
+ * @returns {object|null} The timeline entry, or null without a history
+ */
+export function recordVisitorOutcome(state, type, visitor, { relationChange } = {}) {
+  const history = state.history;
+  const template = LIVE_EVENT_TEMPLATES[type];
+  if (!history?.raceRelations || !template || !visitor?.race) return null;
+
+  const race = visitor.race;
+  const change = relationChange ?? template.relationChange;
+  const groupId = visitor.groupId ?? visitor.id;
+
+  let event = history.events.find(e => e.type === type && e.live && e.groupId === groupId);
+  if (event) {
+    event.count++;
+    event.relationChange += change;
+  } else {
+    event = {
+      type,
+      year: history.currentYear,
+      day: getCalendar(state.tick).day,
+      participants: ['dwarf', race],
+      relationChange: change,
+      live: true,
+      groupId,
+      count: 1,
+    };
+    history.events.push(event);
+  }
+  event.description = template.description
+    .replace(/{race}/g, race)
+    .replace(/{count}/g, String(event.count))
+    .replace(/\(s\)/g, event.count === 1 ? '' : 's');
+
+  const before = getDwarfRelation(history, race);
+  applyEventEffects(history, { participants: ['dwarf', race], relationChange: change });
+  const after = getDwarfRelation(history, race);
+
+  const stance = getStance(after);
+  if (stance !== getStance(before)) {
+    addLog(state, `Relations with the ${getRaceName(race)} are now ${stance.name}.`);
+  }
+  if (after !== before) {
+    emit(EVENTS.RELATIONS_CHANGED, { race, relation: after, change: after - before, event, worldState: state });
+  }
+  return event;
+}
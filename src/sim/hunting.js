@@ -7,6 +7,7 @@
 import { distance } from './entities.js';
 import { emit, EVENTS } from '../events/eventBus.js';
 import { getAnimalLoot } from './animals.js';
+import { random } from './rng.js';
 
 // === HUNTING CONFIG ===
 export const HUNTING_CONFIG = {
@@ -112,7 +113,7 @@ export function attemptHunt(dwarf, targetAnimal, state) {
   // PHASE 2: ATTACK (in melee range)
   const hitChance = calculateHitChance(dwarf, targetAnimal, proficiency);
 
-  if (Math.random() < hitChance) {
+  if (random() < hitChance) {
     // Hit! Deal damage
     const damage = calculateHuntingDamage(dwarf, targetAnimal, proficiency);
     targetAnimal.hp -= damage;
@@ -186,7 +187,7 @@ function calculateHuntingDamage(dwarf, targetAnimal, proficiency) {
   // Base damage from dwarf's combat skill
   const baseDamage = dwarf.damage ?? 3;
   const skillMultiplier = 1 + proficiency * 0.5;
-  const variance = 0.8 + Math.random() * 0.4; // 80-120%
+  const variance = 0.8 + random() * 0.4; // 80-120%
 
   return Math.max(1, Math.floor(baseDamage * skillMultiplier * variance));
 }
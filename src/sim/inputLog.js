@@ -0,0 +1,207 @@
+/**
+ * Input log (recording + replay)
+ * The tick is deterministic once the RNG is seeded (rng.js); what still
+ * reaches the world from outside is LLM output — thoughts, speech, names
+ * (the founders' and newcomers'), the scenario, the biome, day-end
+ * narration — and the player's orders (dig and room designations, felling
+ * areas, placed blueprints, labor settings, stockpile zones, production
+ * orders, trade deals, replies to diplomats and to those asking to stay,
+ * squad orders). Each of those enters through here and is written down, so
+ * a world seed plus the log replays a session tick-for-tick.
+ *
+ * Two shapes of input:
+ *   submitInput(state, kind, payload)  async results that land between
+ *                                      ticks. Applied by the handler the
+ *                                      owning module registered; logged
+ *                                      against state.tick. While replaying,
+ *                                      live ones are dropped and the logged
+ *                                      ones are applied at the start of the
+ *                                      matching tick (applyReplayInputs).
+ *   recordOutput(kind, produce)        awaited outputs during world
+ *                                      generation. Replay hands back the
+ *                                      logged value instead of calling
+ *                                      produce, in the same order.
+ *
+ * Payloads are plain JSON and point at entities by id.
+ */
+
+export const REPLAY_FORMAT = 'dorf-fortress-replay';
+export const REPLAY_VERSION = 1;
+
+export const INPUT_KIND = {
+  SCENARIO: 'scenario',
+  BIOME: 'biome',
+  NAMES: 'names',
+  THOUGHT: 'thought',
+  SPEECH: 'speech',
+  MEMORY: 'memory',
+  NARRATION: 'narration',
+  DESIGNATION: 'designation',
+  FELLING: 'felling',
+  BUILD: 'build',
+  LABOR: 'labor',
+  STOCKPILE: 'stockpile',
+  PRODUCTION: 'production',
+  TRADE: 'trade',
+  DIPLOMACY: 'diplomacy',
+  MILITARY: 'military',
+  NEWCOMER: 'newcomer',
+  SETTLER: 'settler',
+};
+
+const MODE = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+let mode = MODE.OFF;
+let session = { seed: null, meta: {} };
+let entries = [];
+let cursor = 0;
+const handlers = new Map();
+
+/**
+ * Register how an input kind changes the world. Owning modules register at
+ * import time, so replay works without their live systems running.
+ * @param {string} kind - INPUT_KIND value
+ * @param {function} handler - (state, payload) => void
+ */
+export function registerInputHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Start a fresh recording (called once the world seed is known)
+ * @param {number|string} seed - World seed the RNG was seeded with
+ * @param {object} [meta] - Anything else a replay needs (map mode, ...)
+ */
+export function startRecording(seed, meta = {}) {
+  mode = MODE.RECORD;
+  session = { seed, meta: { ...meta } };
+  entries = [];
+  cursor = 0;
+}
+
+/**
+ * Switch to replaying a recording
+ * @param {object} recording - getRecording() output (possibly parsed JSON)
+ * @returns {{ seed, meta }} What the caller needs to rebuild the world
+ */
+export function startReplay(recording) {
+  if (recording?.format !== REPLAY_FORMAT) {
+    throw new Error('Not a fortress replay');
+  }
+  if (recording.version > REPLAY_VERSION) {
+    throw new Error(`Replay version ${recording.version} is newer than this build (${REPLAY_VERSION})`);
+  }
+  mode = MODE.REPLAY;
+  session = { seed: recording.seed, meta: { ...recording.meta } };
+  entries = (recording.inputs || []).map(clone);
+  cursor = 0;
+  return { seed: session.seed, meta: { ...session.meta } };
+}
+
+/**
+ * Stop recording or replaying; inputs pass straight through
+ */
+export function stopInputLog() {
+  mode = MODE.OFF;
+  session = { seed: null, meta: {} };
+  entries = [];
+  cursor = 0;
+}
+
+export function isRecording() {
+  return mode === MODE.RECORD;
+}
+
+export function isReplaying() {
+  return mode === MODE.REPLAY;
+}
+
+/**
+ * The recording so far, JSON-safe
+ * @returns {object}
+ */
+export function getRecording() {
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: session.seed,
+    meta: { ...session.meta },
+    inputs: entries.map(clone),
+  };
+}
+
+/**
+ * Apply an input from a live async source
+ * @param {object} state - World state
+ * @param {string} kind - INPUT_KIND value
+ * @param {object} payload - JSON-safe payload
+ * @returns {boolean} False when dropped (replaying: the log drives the world)
+ */
+export function submitInput(state, kind, payload) {
+  if (mode === MODE.REPLAY) return false;
+
+  applyInput(state, kind, payload);
+  if (mode === MODE.RECORD) {
+    entries.push({ tick: state?.tick ?? 0, kind, payload: clone(payload) });
+  }
+  return true;
+}
+
+/**
+ * Produce (or, replaying, recall) an awaited generation-time output
+ * @param {string} kind - INPUT_KIND value
+ * @param {function} produce - async () => value
+ * @returns {Promise<*>}
+ */
+export async function recordOutput(kind, produce) {
+  if (mode === MODE.REPLAY) {
+    const entry = entries[cursor];
+    if (!entry || entry.kind !== kind) {
+      throw new Error(`Replay diverged: expected ${kind}, log has ${entry?.kind ?? 'nothing'}`);
+    }
+    cursor++;
+    return clone(entry.payload);
+  }
+
+  const value = await produce();
+  if (mode === MODE.RECORD) {
+    entries.push({ tick: 0, kind, payload: clone(value) });
+  }
+  return value;
+}
+
+/**
+ * Replaying: apply every logged input recorded at or before state.tick.
+ * Called by tick() before the clock advances — inputs were logged between
+ * tick N and N+1, when state.tick read N.
+ * @param {object} state - World state
+ * @returns {number} Inputs applied
+ */
+export function applyReplayInputs(state) {
+  if (mode !== MODE.REPLAY) return 0;
+
+  let applied = 0;
+  while (cursor < entries.length && entries[cursor].tick <= state.tick) {
+    const { kind, payload } = entries[cursor++];
+    applyInput(state, kind, clone(payload));
+    applied++;
+  }
+  return applied;
+}
+
+function applyInput(state, kind, payload) {
+  const handler = handlers.get(kind);
+  if (!handler) {
+    console.warn(`[InputLog] No handler for input "${kind}"`);
+    return;
+  }
+  handler(state, payload);
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,143 @@
+/**
+ * Labor Assignments
+ * The player's say in who does what. Each dwarf has a setting per labor:
+ * enabled or not, and a priority from 1 (first) to 5 (last). dwarfAI drops
+ * task candidates for disabled labors and shifts the rest by priority.
+ * Needs, aspirations and personality still score the candidates, so the
+ * settings steer a dwarf rather than replace its judgement. Children take
+ * no labors until they come of age (population.js).
+ *
+ * Settings live on the dwarf (`dwarf.labors`, only the labors the player
+ * changed) and are saved with it. Changes arrive between ticks, so they go
+ * through the input log like designations.
+ */
+
+import { TASK_TYPE } from './tasks.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { getDisplayName } from './entities.js';
+import { addLog } from '../state/store.js';
+
+// Column order in the labor panel
+export const LABORS = [
+  { id: 'dig', name: 'Dig', taskType: TASK_TYPE.DIG },
+  { id: 'woodcut', name: 'Woodcut', taskType: TASK_TYPE.FELL },
+  { id: 'build', name: 'Build', taskType: TASK_TYPE.BUILD },
+  { id: 'craft', name: 'Craft', taskType: TASK_TYPE.CRAFT },
+  { id: 'haul', name: 'Haul', taskType: TASK_TYPE.HAUL },
+  { id: 'farm', name: 'Farm', taskType: TASK_TYPE.FARM },
+  { id: 'hunt', name: 'Hunt', taskType: TASK_TYPE.HUNT },
+  { id: 'fish', name: 'Fish', taskType: TASK_TYPE.FISH },
+  { id: 'brew', name: 'Brew', taskType: TASK_TYPE.BREW },
+  { id: 'doctor', name: 'Doctor', taskType: TASK_TYPE.TREAT },
+  { id: 'bury', name: 'Bury', taskType: TASK_TYPE.BURY },
+];
+
+export const LABOR_PRIORITY = {
+  HIGHEST: 1,
+  DEFAULT: 3,
+  LOWEST: 5,
+};
+
+// Candidate priority gained per level above DEFAULT (lost per level below)
+const PRIORITY_STEP = 8;
+
+const LABOR_BY_TASK = new Map(LABORS.map(labor => [labor.taskType, labor.id]));
+
+/**
+ * Labor a task type belongs to
+ * @param {string} taskType - TASK_TYPE value
+ * @returns {string|null} Labor id, or null for needs (eating, socializing, ...)
+ */
+export function getLaborForTask(taskType) {
+  return LABOR_BY_TASK.get(taskType) || null;
+}
+
+/**
+ * A dwarf's setting for one labor (always off for a child; their settings
+ * wait for them to grow up)
+ * @returns {{ enabled: boolean, priority: number }}
+ */
+export function getLabor(dwarf, laborId) {
+  const setting = dwarf.labors?.[laborId];
+  return {
+    enabled: !dwarf.child && (setting?.enabled ?? true),
+    priority: setting?.priority ?? LABOR_PRIORITY.DEFAULT,
+  };
+}
+
+/**
+ * Whether a dwarf may take a task of this type. Tasks outside the labors
+ * are always allowed.
+ */
+export function isLaborEnabled(dwarf, taskType) {
+  const laborId = getLaborForTask(taskType);
+  return !laborId || getLabor(dwarf, laborId).enabled;
+}
+
+/**
+ * Apply a dwarf's labor settings to its task candidates: disabled labors
+ * are dropped, the rest move by PRIORITY_STEP per level from DEFAULT
+ * @param {object} dwarf
+ * @param {Array<{ type, priority }>} candidates - findNewTask candidates
+ * @returns {Array} The allowed candidates, priorities adjusted
+ */
+export function applyLaborPreferences(dwarf, candidates) {
+  const allowed = [];
+  for (const candidate of candidates) {
+    const laborId = getLaborForTask(candidate.type);
+    if (!laborId) {
+      allowed.push(candidate);
+      continue;
+    }
+    const { enabled, priority } = getLabor(dwarf, laborId);
+    if (!enabled) continue;
+    candidate.priority += (LABOR_PRIORITY.DEFAULT - priority) * PRIORITY_STEP;
+    allowed.push(candidate);
+  }
+  return allowed;
+}
+
+/**
+ * Change a labor from the labor panel (through the input log)
+ * @param {object} state - World state
+ * @param {object} order - { dwarfId, labor, enabled, priority }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function setLabor(state, order) {
+  return submitInput(state, INPUT_KIND.LABOR, order);
+}
+
+/**
+ * Apply a labor order. A dwarf busy with a labor that was just disabled
+ * drops the task and picks another next tick. Children's labors can't be
+ * set.
+ * @param {object} state - World state
+ * @param {object} order - { dwarfId, labor, enabled?, priority? }
+ * @returns {boolean} Whether a dwarf was changed
+ */
+export function applyLaborOrder(state, { dwarfId, labor, enabled, priority }) {
+  const dwarf = state.dwarves.find(d => d.id === dwarfId);
+  const laborDef = LABORS.find(l => l.id === labor);
+  if (!dwarf || !laborDef || dwarf.child) return false;
+
+  const current = getLabor(dwarf, labor);
+  const next = {
+    enabled: typeof enabled === 'boolean' ? enabled : current.enabled,
+    priority: Number.isInteger(priority)
+      ? Math.max(LABOR_PRIORITY.HIGHEST, Math.min(LABOR_PRIORITY.LOWEST, priority))
+      : current.priority,
+  };
+
+  dwarf.labors = { ...dwarf.labors, [labor]: next };
+
+  if (!next.enabled && dwarf.currentTask?.type === laborDef.taskType) {
+    dwarf.currentTask = null;
+  }
+  if (current.enabled !== next.enabled) {
+    const verb = next.enabled ? 'is assigned to' : 'is relieved of';
+    addLog(state, `${getDisplayName(dwarf)} ${verb} ${laborDef.name.toLowerCase()} work.`);
+  }
+  return true;
+}
+
+registerInputHandler(INPUT_KIND.LABOR, applyLaborOrder);
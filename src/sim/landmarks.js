@@ -1,7 +1,7 @@
 /**
  * Landmarks — named notable places extracted at worldgen (audit WALK R8 / §3.4)
  *
- * Scans map.tiles for dense clusters of notable tile types (crystals,
+ * Scans the surface tiles for dense clusters of notable tile types (crystals,
  * mushrooms, berry bushes, river bends...) and gives the best cluster of each
  * type a stable, evocative name. Landmarks serve three jobs:
  *   (a) idle/social destinations so walkers visibly congregate,
@@ -11,6 +11,8 @@
  * Pure and deterministic for a given (map, seed) — no LLM calls.
  */
 
+import { getTile, getDepth } from '../map/map.js';
+
 // Cluster scan: bucket the map into cells and find the densest cell per type
 const BUCKET_SIZE = 8;
 const MAX_LANDMARKS = 6;
@@ -59,19 +61,19 @@ function seededRandom(seed) {
 
 /**
  * Extract up to MAX_LANDMARKS named landmarks from a map.
- * @param {object} map - { width, height, tiles } (tiles have .type)
+ * @param {object} map - Map (map.js; tiles have .type)
  * @param {number} [seed] - World seed for deterministic naming
  * @returns {Array<{name: string, x: number, y: number, type: string, count: number}>}
  */
 export function extractLandmarks(map, seed = 0) {
-  if (!map?.tiles?.length) return [];
+  if (!getDepth(map)) return [];
 
   // Per-type buckets: 'type:bx,by' -> { count, sumX, sumY }
   const buckets = new Map();
 
   for (let y = 0; y < map.height; y++) {
     for (let x = 0; x < map.width; x++) {
-      const type = map.tiles[y * map.width + x]?.type;
+      const type = getTile(map, x, y)?.type;
       if (!type || !NOTABLE_TYPES[type]) continue;
 
       const key = `${type}:${Math.floor(x / BUCKET_SIZE)},${Math.floor(y / BUCKET_SIZE)}`;
@@ -0,0 +1,437 @@
+/**
+ * Wounds and Medicine
+ * A blow that lands on a dwarf does more than take hit points: it leaves
+ * an injury on a body part. Edges cut and points pierce, and both bleed;
+ * a hard blunt blow breaks a limb, a lighter one bruises. Open wounds
+ * left untended may fester.
+ *
+ * Injuries tell on the body. A broken or badly torn leg slows the dwarf
+ * (dwarf.moveRate, read by movement.js canAffordMove); a hurt arm, a bad
+ * head wound or infection slows their work (dwarf.workRate, read by
+ * digging, building and crafting). Bleeding and infection drain hit
+ * points, and rules.js processDeath carries off whoever they empty.
+ *
+ * Care comes from the doctor labor: a dwarf walks to a wounded colleague
+ * and dresses the wound (bleeding stops, infection is cleaned, a bone is
+ * set), training `medicine`. The badly hurt take to a Hospital bed when
+ * one is built, where they heal faster. Wounds knit over time — faster
+ * once treated, slower while bleeding or infected — and hit points come
+ * back once nothing is draining them.
+ */
+
+import { random } from './rng.js';
+import { getDisplayName, distance } from './entities.js';
+import { isPassable } from './movement.js';
+import { TASK_TYPE, SKILL, awardSkillXP } from './tasks.js';
+import { STRUCTURE_TYPE, getStructures } from './construction.js';
+import { EQUIP_SLOT, DAMAGE_TYPE } from './equipment.js';
+import { addLog } from '../state/store.js';
+import { getTile } from '../map/map.js';
+
+const CONFIG = {
+  SEVERE: 0.16,            // Share of max HP in one blow that makes a wound severe
+  BLEED_INTERVAL: 60,      // Ticks per hit point lost per point of bleeding
+  CLOT_TICKS: 180,         // An untreated wound bleeds one point less after this long
+  INFECTION_INTERVAL: 100, // Ticks between chances for an open wound to fester
+  INFECTION_CHANCE: 0.08,  // ... doubled for punctures
+  FEVER_INTERVAL: 200,     // Ticks per hit point an infection drains
+  REGEN_INTERVAL: 100,     // Ticks per hit point recovered
+  HOSPITAL_REGEN: 40,      // ... in a hospital bed
+  TREATED_HEALING: 2,      // Healing rate once a wound is dressed
+  HOSPITAL_HEALING: 1.5,   // ... and again in a hospital bed
+  UNSET_FRACTURE: 0.25,    // A bone left unset barely knits
+  TREAT_WORK: 15,          // Work to dress one wound
+  TREAT_XP: 5,             // Medicine XP per wound dressed
+  DISCHARGE_HP: 0.6,       // Share of max HP a patient leaves the hospital at
+};
+
+export const BODY_PART = {
+  HEAD: 'head',
+  TORSO: 'torso',
+  LEFT_ARM: 'left_arm',
+  RIGHT_ARM: 'right_arm',
+  LEFT_LEG: 'left_leg',
+  RIGHT_LEG: 'right_leg',
+};
+
+export const INJURY_KIND = {
+  BRUISE: 'bruise',
+  CUT: 'cut',
+  PUNCTURE: 'puncture',
+  FRACTURE: 'fracture',
+};
+
+// Share of blows that land on each part
+const PART_WEIGHT = {
+  [BODY_PART.HEAD]: 0.15,
+  [BODY_PART.TORSO]: 0.45,
+  [BODY_PART.LEFT_ARM]: 0.1,
+  [BODY_PART.RIGHT_ARM]: 0.1,
+  [BODY_PART.LEFT_LEG]: 0.1,
+  [BODY_PART.RIGHT_LEG]: 0.1,
+};
+
+// The part under each armor slot
+const SLOT_PART = {
+  [EQUIP_SLOT.HEAD]: BODY_PART.HEAD,
+  [EQUIP_SLOT.BODY]: BODY_PART.TORSO,
+};
+
+// Ticks of healing a wound needs
+const HEALING_TIME = {
+  [INJURY_KIND.BRUISE]: 300,
+  [INJURY_KIND.CUT]: 900,
+  [INJURY_KIND.PUNCTURE]: 1200,
+  [INJURY_KIND.FRACTURE]: 3600,
+};
+
+const LEGS = new Set([BODY_PART.LEFT_LEG, BODY_PART.RIGHT_LEG]);
+const ARMS = new Set([BODY_PART.LEFT_ARM, BODY_PART.RIGHT_ARM]);
+const LIMBS = new Set([...LEGS, ...ARMS]);
+const OPEN = new Set([INJURY_KIND.CUT, INJURY_KIND.PUNCTURE]);
+
+// === INJURIES ===
+
+/**
+ * The part a blow lands on. A blow that struck armor hits the part under
+ * it; one that found a gap lands on a part no worn armor covers.
+ * @param {object} dwarf
+ * @param {string|null} armorSlot - strikeArmor's slot
+ */
+function rollBodyPart(dwarf, armorSlot) {
+  if (SLOT_PART[armorSlot]) return SLOT_PART[armorSlot];
+
+  const covered = new Set(Object.entries(SLOT_PART)
+    .filter(([slot]) => dwarf.equipment?.[slot])
+    .map(([, part]) => part));
+  const parts = Object.entries(PART_WEIGHT).filter(([part]) => !covered.has(part));
+  const total = parts.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let roll = random() * total;
+  for (const [part, weight] of parts) {
+    if (roll < weight) return part;
+    roll -= weight;
+  }
+  return parts[parts.length - 1][0];
+}
+
+/**
+ * Leave a wound where a blow landed
+ * @param {object} dwarf - The one hit
+ * @param {number} damage - Hit points the blow took
+ * @param {string} damageType - DAMAGE_TYPE of the blow
+ * @param {string|null} armorSlot - Armor the blow struck (strikeArmor)
+ * @param {object} state - World state
+ * @returns {object} The injury
+ */
+export function inflictInjury(dwarf, damage, damageType, armorSlot, state) {
+  const part = rollBodyPart(dwarf, armorSlot);
+  const severity = Math.min(1, damage / (dwarf.maxHp || 25));
+  const severe = severity >= CONFIG.SEVERE;
+
+  let kind = INJURY_KIND.BRUISE;
+  if (damageType === DAMAGE_TYPE.EDGE) kind = INJURY_KIND.CUT;
+  else if (damageType === DAMAGE_TYPE.POINT) kind = INJURY_KIND.PUNCTURE;
+  else if (severe && LIMBS.has(part)) kind = INJURY_KIND.FRACTURE;
+
+  const injury = {
+    part,
+    kind,
+    severity,
+    bleeding: OPEN.has(kind) ? (severe ? 2 : 1) : 0,
+    infected: false,
+    treated: kind === INJURY_KIND.BRUISE, // Nothing to dress
+    care: 0,
+    healing: HEALING_TIME[kind] * (severe ? 1.5 : 1),
+    age: 0,
+  };
+
+  if (!dwarf.injuries) dwarf.injuries = [];
+  dwarf.injuries.push(injury);
+  updateRates(dwarf);
+
+  if (kind === INJURY_KIND.FRACTURE) {
+    addLog(state, `${getDisplayName(dwarf)}'s ${formatPart(part)} is broken!`);
+  } else if (severe && OPEN.has(kind)) {
+    addLog(state, `${getDisplayName(dwarf)} is bleeding badly from the ${formatPart(part)}.`);
+  }
+  return injury;
+}
+
+/**
+ * Whether a wound still wants a doctor
+ */
+function needsTreatment(injury) {
+  return !injury.treated;
+}
+
+/**
+ * Whether a dwarf should be lying in a hospital bed: an undressed wound,
+ * a broken bone still knitting, a fever, or too few hit points
+ */
+export function needsCare(dwarf) {
+  const injuries = dwarf.injuries || [];
+  if (injuries.length === 0) return false;
+  if (injuries.some(i => needsTreatment(i) || i.infected || i.kind === INJURY_KIND.FRACTURE)) return true;
+  return dwarf.hp < dwarf.maxHp * CONFIG.DISCHARGE_HP;
+}
+
+/**
+ * Whether any wound is bleeding
+ */
+export function isBleeding(dwarf) {
+  return (dwarf.injuries || []).some(i => i.bleeding > 0);
+}
+
+/**
+ * Cache how hard the dwarf's wounds make walking and working
+ */
+function updateRates(dwarf) {
+  let move = 1;
+  let work = 1;
+  for (const injury of dwarf.injuries || []) {
+    const severe = injury.severity >= CONFIG.SEVERE;
+    if (LEGS.has(injury.part)) {
+      if (injury.kind === INJURY_KIND.FRACTURE) move *= 0.5;
+      else if (severe && OPEN.has(injury.kind)) move *= 0.75;
+    }
+    if (ARMS.has(injury.part)) {
+      if (injury.kind === INJURY_KIND.FRACTURE) work *= 0.5;
+      else if (severe && OPEN.has(injury.kind)) work *= 0.75;
+    }
+    if (injury.part === BODY_PART.HEAD && severe) work *= 0.8;
+    if (injury.infected) work *= 0.7;
+  }
+  dwarf.moveRate = Math.max(0.25, move);
+  dwarf.workRate = Math.max(0.2, work);
+}
+
+// === HOSPITAL ===
+
+/**
+ * Floor tiles beside hospital beds, one per bed
+ * @returns {Array<{ x, y, structureId }>}
+ */
+export function getHospitalBerths(state) {
+  const berths = [];
+  const taken = new Set();
+  for (const hospital of getStructures()) {
+    if (hospital.type !== STRUCTURE_TYPE.HOSPITAL || !hospital.complete) continue;
+    for (let y = hospital.y; y < hospital.y + hospital.height; y++) {
+      for (let x = hospital.x; x < hospital.x + hospital.width; x++) {
+        const tile = getTile(state.map, x, y);
+        if (tile?.type !== 'bed' || tile.structureId !== hospital.id) continue;
+        const berth = [[0, 1], [0, -1], [1, 0], [-1, 0]]
+          .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+          .find(p => !taken.has(`${p.x},${p.y}`) &&
+            getTile(state.map, p.x, p.y)?.structureId === hospital.id &&
+            isPassable(state, p.x, p.y));
+        if (!berth) continue;
+        taken.add(`${berth.x},${berth.y}`);
+        berths.push({ ...berth, structureId: hospital.id });
+      }
+    }
+  }
+  return berths;
+}
+
+/**
+ * Whether the dwarf is lying in a hospital bed
+ */
+export function isInHospital(dwarf, state) {
+  return getHospitalBerths(state).some(b => b.x === dwarf.x && b.y === dwarf.y);
+}
+
+/**
+ * The nearest hospital berth no other patient has claimed (the one
+ * already headed to, if any)
+ * @returns {object|null} { x, y, structureId }
+ */
+export function findBerth(dwarf, state) {
+  const claimed = new Set();
+  for (const other of state.dwarves) {
+    const target = other.currentTask?.type === TASK_TYPE.RECOVER ? other.currentTask.target : null;
+    if (other !== dwarf && target) claimed.add(`${target.x},${target.y}`);
+  }
+  let best = null;
+  let bestDist = Infinity;
+  for (const berth of getHospitalBerths(state)) {
+    if (claimed.has(`${berth.x},${berth.y}`)) continue;
+    const dist = Math.abs(berth.x - dwarf.x) + Math.abs(berth.y - dwarf.y);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = berth;
+    }
+  }
+  return best;
+}
+
+// === TREATMENT ===
+
+/**
+ * A dwarf's medicine level (0-1)
+ */
+export function getMedicineSkill(dwarf) {
+  return dwarf.skills?.find?.(s => s.name === SKILL.MEDICINE)?.level ?? 0;
+}
+
+/**
+ * The nearest wounded dwarf this doctor could treat that no other doctor
+ * is already seeing to
+ * @returns {object|null} The patient
+ */
+export function findPatient(doctor, state) {
+  const seen = new Set();
+  for (const other of state.dwarves) {
+    const target = other.currentTask?.type === TASK_TYPE.TREAT ? other.currentTask.target : null;
+    if (other !== doctor && target) seen.add(target.patientId);
+  }
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const dwarf of state.dwarves) {
+    if (dwarf === doctor || dwarf.hp <= 0 || dwarf.captiveOf != null || seen.has(dwarf.id)) continue;
+    if (!(dwarf.injuries || []).some(needsTreatment)) continue;
+    const dist = distance(doctor, dwarf);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = dwarf;
+    }
+  }
+  return best;
+}
+
+/**
+ * Work on the patient's most pressing wound: bleeding first, then fever,
+ * then broken bones, then the rest
+ * @returns {object|null} The wound when this stint finished dressing it
+ */
+export function treatPatient(doctor, patient, state) {
+  const wounds = (patient.injuries || []).filter(needsTreatment);
+  if (wounds.length === 0) return null;
+  wounds.sort((a, b) => urgency(b) - urgency(a));
+  const wound = wounds[0];
+
+  wound.care += (1 + getMedicineSkill(doctor) * 2) * (doctor.workRate ?? 1);
+  if (wound.care < CONFIG.TREAT_WORK) return null;
+
+  const verb = wound.kind === INJURY_KIND.FRACTURE ? 'sets' : wound.infected ? 'cleans' : 'dresses';
+  addLog(state, `${getDisplayName(doctor)} ${verb} ${getDisplayName(patient)}'s ${describeInjury(wound)}.`);
+
+  wound.treated = true;
+  wound.bleeding = 0;
+  wound.infected = false;
+  updateRates(patient);
+  awardSkillXP(doctor, SKILL.MEDICINE, CONFIG.TREAT_XP);
+  return wound;
+}
+
+function urgency(injury) {
+  return injury.bleeding * 10 + (injury.infected ? 5 : 0) + (injury.kind === INJURY_KIND.FRACTURE ? 3 : 0) + injury.severity;
+}
+
+// === RECOVERY ===
+
+/**
+ * Wounds bleed, clot, fester and knit; hit points drain or return. Called
+ * once per tick before deaths are counted.
+ */
+export function tickMedical(state) {
+  for (const dwarf of state.dwarves) {
+    if (!dwarf.injuries?.length || dwarf.hp <= 0) continue;
+
+    const inHospital = isInHospital(dwarf, state);
+    let draining = false;
+
+    for (const injury of dwarf.injuries) {
+      injury.age++;
+
+      // Bleeding slows as the wound clots
+      if (injury.bleeding > 0) {
+        draining = true;
+        if (state.tick % CONFIG.BLEED_INTERVAL === 0) {
+          dwarf.hp -= injury.bleeding;
+          if (dwarf.hp <= 0) dwarf.deathCause = 'bleeding';
+        }
+        if (!injury.treated && injury.age % CONFIG.CLOT_TICKS === 0) injury.bleeding--;
+      }
+
+      // Open wounds left undressed may fester
+      if (OPEN.has(injury.kind) && !injury.treated && !injury.infected &&
+          injury.age % CONFIG.INFECTION_INTERVAL === 0) {
+        const chance = CONFIG.INFECTION_CHANCE * (injury.kind === INJURY_KIND.PUNCTURE ? 2 : 1);
+        if (random() < chance) {
+          injury.infected = true;
+          addLog(state, `${getDisplayName(dwarf)}'s ${describeInjury(injury)} has become infected.`);
+        }
+      }
+      if (injury.infected) {
+        draining = true;
+        if (injury.age % CONFIG.FEVER_INTERVAL === 0) {
+          dwarf.hp -= 1;
+          if (dwarf.hp <= 0) dwarf.deathCause = 'infection';
+        }
+      }
+
+      // Knitting
+      if (injury.bleeding === 0 && !injury.infected) {
+        let rate = injury.treated ? CONFIG.TREATED_HEALING : 1;
+        if (injury.kind === INJURY_KIND.FRACTURE && !injury.treated) rate = CONFIG.UNSET_FRACTURE;
+        if (inHospital) rate *= CONFIG.HOSPITAL_HEALING;
+        injury.healing -= rate;
+      }
+    }
+
+    const healed = dwarf.injuries.filter(i => i.healing <= 0);
+    if (healed.length > 0) {
+      dwarf.injuries = dwarf.injuries.filter(i => i.healing > 0);
+      for (const injury of healed) {
+        addLog(state, `${getDisplayName(dwarf)}'s ${describeInjury(injury)} has healed.`);
+      }
+    }
+    updateRates(dwarf);
+
+    // Hit points come back once nothing drains them
+    const regen = inHospital ? CONFIG.HOSPITAL_REGEN : CONFIG.REGEN_INTERVAL;
+    if (!draining && dwarf.hp > 0 && dwarf.hp < dwarf.maxHp && state.tick % regen === 0) {
+      dwarf.hp += 1;
+    }
+  }
+
+  // The unhurt mend too, just without a wound to show for it
+  for (const dwarf of state.dwarves) {
+    if (dwarf.injuries?.length || dwarf.hp <= 0 || dwarf.hp >= dwarf.maxHp) continue;
+    if (state.tick % CONFIG.REGEN_INTERVAL === 0) dwarf.hp += 1;
+  }
+}
+
+// === DESCRIPTIONS ===
+
+function formatPart(part) {
+  return part.replace('_', ' ');
+}
+
+/**
+ * "broken left leg", "infected cut on the torso"
+ */
+export function describeInjury(injury) {
+  const part = formatPart(injury.part);
+  if (injury.kind === INJURY_KIND.FRACTURE) {
+    return `${injury.treated ? 'set' : 'broken'} ${part}`;
+  }
+  const state = injury.infected ? 'infected '
+    : injury.bleeding > 0 ? 'bleeding '
+    : injury.treated && injury.kind !== INJURY_KIND.BRUISE ? 'dressed '
+    : '';
+  const preposition = injury.part === BODY_PART.TORSO || injury.part === BODY_PART.HEAD ? 'to the' : 'on the';
+  return `${state}${injury.kind} ${preposition} ${part}`;
+}
+
+/**
+ * Every wound the dwarf carries, worst first, for the panels and prompts
+ * @returns {string|null} "broken left leg, bleeding cut to the torso"
+ */
+export function describeInjuries(dwarf) {
+  const injuries = [...(dwarf.injuries || [])].sort((a, b) => urgency(b) - urgency(a));
+  return injuries.length > 0 ? injuries.map(describeInjury).join(', ') : null;
+}
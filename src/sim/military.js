@@ -0,0 +1,412 @@
+/**
+ * Military
+ * The player's standing army. Squads are formed from the panel, given
+ * members, and set to a routine for peacetime: train (spar at the
+ * squad's station, or around its first member when it has none), stand
+ * guard at the station, or walk a patrol route waypoint to waypoint.
+ * Routines are day work; at night the squad stands down and its members
+ * eat, sleep and work like anyone else. Two orders override the routine
+ * day and night until the player cancels them: defend a spot (hold it
+ * and fight whatever comes within reach) and attack a visitor (hunt it
+ * down; the order ends when the target dies or leaves).
+ *
+ * getSoldierDuty tells dwarfAI what a dwarf is doing for its squad; the
+ * AI walks and fights, and arriveAtPost counts the drill or the step
+ * along the route. Training awards `melee` and `dodge` XP (SKILL_TREE),
+ * more with a sparring partner beside you, and combat.js turns those
+ * skills into harder hits and dodged blows.
+ *
+ * Morale is the `fear` drive (drives.js). tickMilitary raises it for
+ * soldiers who are outnumbered, wounded or see a squadmate fall, and
+ * lowers it when the field is quiet or squadmates stand close. A soldier
+ * whose fear reaches the drive's critical threshold is shaken: they break
+ * and run (dwarfAI decideCombatResponse) until it falls back to
+ * STEADY_FEAR.
+ *
+ * Squad changes arrive from the panel between ticks, so they go through
+ * the input log like designations.
+ */
+
+import { DRIVE_CONFIG } from './drives.js';
+import { awardSkillXP } from './tasks.js';
+import { isPassable } from './movement.js';
+import { nextId, distance, getDisplayName } from './entities.js';
+import { isHostile } from './visitors.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+
+const CONFIG = {
+  MAX_MEMBERS: 10,
+  SIGHT: 8,                // Threats a soldier notices (as findNearestThreat)
+  DEFEND_RADIUS: 6,        // How far from a defended spot soldiers sally out
+  GUARD_RADIUS: 8,         // ... and from a guard station
+  POST_RANGE: 1,           // Close enough to a post or waypoint
+  DRILL_RANGE: 2,          // Close enough to the training spot
+  TRAIN_INTERVAL: 10,      // Ticks per drill
+  TRAIN_XP: 1,             // Per skill per drill, doubled with a partner
+  RALLY_RANGE: 4,          // Squadmates this close steady each other
+  OUTNUMBERED_FEAR: 0.6,   // Per tick per threat beyond the squadmates at hand
+  WOUND_FEAR: 3,           // Per hit point lost
+  FALLEN_FEAR: 20,         // When a squadmate dies
+  CALM: 0.5,               // Per tick with no threat in sight
+  RALLY: 0.1,              // Per tick per squadmate at hand
+  STEADY_FEAR: 40,         // A shaken soldier rejoins below this
+};
+
+export const SQUAD_ROUTINE = {
+  TRAIN: 'train',
+  STATION: 'station',
+  PATROL: 'patrol',
+};
+
+export const SQUAD_ORDER = {
+  DEFEND: 'defend',
+  ATTACK: 'attack',
+};
+
+let squads = [];
+
+/**
+ * Initialize the military (no squads)
+ */
+export function initMilitary() {
+  squads = [];
+}
+
+/**
+ * Snapshot squads for a save
+ */
+export function exportMilitaryState() {
+  return { squads };
+}
+
+/**
+ * Restore squads from a save
+ */
+export function importMilitaryState(data) {
+  squads = data?.squads || [];
+}
+
+/**
+ * Get all squads, oldest first
+ */
+export function getSquads() {
+  return squads;
+}
+
+/**
+ * The squad a dwarf serves in
+ * @returns {object|null}
+ */
+export function getSquadOf(dwarf) {
+  return squads.find(squad => squad.memberIds.includes(dwarf.id)) || null;
+}
+
+/**
+ * Whether a dwarf's nerve has broken (fear at the drive's critical
+ * threshold, until it settles below STEADY_FEAR)
+ */
+export function isShaken(dwarf) {
+  return !!dwarf.shaken;
+}
+
+/**
+ * A soldier's morale, 0-100: the other side of their fear
+ */
+export function getMorale(dwarf) {
+  return Math.round(100 - (dwarf.drives?.fear ?? 0));
+}
+
+/**
+ * Hostile visitors within `radius` of a spot, nearest first
+ */
+export function findThreatsNear(pos, radius, state) {
+  return (state.visitors || [])
+    .filter(v => v.state !== 'dead' && isHostile(v))
+    .filter(v => distance(pos, v) <= radius)
+    .sort((a, b) => distance(pos, a) - distance(pos, b));
+}
+
+function findLivingVisitor(id, state) {
+  return (state.visitors || []).find(v => v.id === id && v.state !== 'dead' && v.hp > 0) || null;
+}
+
+// === DUTY ===
+
+/**
+ * Where a squad trains: its station, else around its first member
+ */
+function getDrillSpot(squad, state) {
+  if (squad.station) return squad.station;
+  const first = state.dwarves.find(d => squad.memberIds.includes(d.id) && d.captiveOf == null);
+  return first ? { x: first.x, y: first.y } : null;
+}
+
+/**
+ * What a dwarf owes their squad right now
+ * @returns {{ squad, kind: string, post: {x,y}|null, radius: number, target: object|null }|null}
+ *   kind is a SQUAD_ORDER or SQUAD_ROUTINE value; null when off duty
+ */
+export function getSoldierDuty(dwarf, state) {
+  if (dwarf.captiveOf != null || dwarf.hp <= 0) return null;
+  const squad = getSquadOf(dwarf);
+  if (!squad) return null;
+
+  const order = squad.order;
+  if (order?.type === SQUAD_ORDER.ATTACK) {
+    const target = findLivingVisitor(order.targetId, state);
+    if (target) {
+      return { squad, kind: SQUAD_ORDER.ATTACK, post: { x: target.x, y: target.y }, radius: CONFIG.SIGHT, target };
+    }
+  }
+  if (order?.type === SQUAD_ORDER.DEFEND) {
+    return { squad, kind: SQUAD_ORDER.DEFEND, post: { x: order.x, y: order.y }, radius: CONFIG.DEFEND_RADIUS, target: null };
+  }
+
+  // Routines are day work
+  if (state.clock?.phase === 'night') return null;
+
+  if (squad.routine === SQUAD_ROUTINE.STATION && squad.station) {
+    return { squad, kind: SQUAD_ROUTINE.STATION, post: squad.station, radius: CONFIG.GUARD_RADIUS, target: null };
+  }
+  if (squad.routine === SQUAD_ROUTINE.PATROL && squad.route.length > 0) {
+    const post = squad.route[squad.patrolIndex % squad.route.length];
+    return { squad, kind: SQUAD_ROUTINE.PATROL, post, radius: CONFIG.SIGHT, target: null };
+  }
+  return { squad, kind: SQUAD_ROUTINE.TRAIN, post: getDrillSpot(squad, state), radius: CONFIG.SIGHT, target: null };
+}
+
+/**
+ * The threat a soldier on duty should fight: the attack target, or the
+ * nearest hostile within the duty's reach — of the post for defenders and
+ * guards (they don't chase), of the soldier otherwise
+ * @returns {object|null} Visitor
+ */
+export function findDutyThreat(dwarf, duty, state) {
+  if (duty.target) return duty.target;
+  const holdsGround = duty.kind === SQUAD_ORDER.DEFEND || duty.kind === SQUAD_ROUTINE.STATION;
+  const from = holdsGround ? duty.post : dwarf;
+  return findThreatsNear(from, duty.radius, state)[0] || null;
+}
+
+/**
+ * Whether a soldier has reached their post
+ */
+export function isAtPost(dwarf, duty) {
+  if (!duty.post) return true;
+  const range = duty.kind === SQUAD_ROUTINE.TRAIN ? CONFIG.DRILL_RANGE : CONFIG.POST_RANGE;
+  return distance(dwarf, duty.post) <= range;
+}
+
+/**
+ * A soldier at their post: patrols move on to the next waypoint, trainees
+ * drill (melee and dodge XP every TRAIN_INTERVAL ticks, double beside a
+ * sparring partner)
+ */
+export function arriveAtPost(dwarf, duty, state) {
+  const squad = duty.squad;
+  if (duty.kind === SQUAD_ROUTINE.PATROL) {
+    squad.patrolIndex = (squad.patrolIndex + 1) % squad.route.length;
+    return;
+  }
+  if (duty.kind !== SQUAD_ROUTINE.TRAIN || state.tick % CONFIG.TRAIN_INTERVAL !== 0) return;
+
+  const partner = state.dwarves.some(d =>
+    d !== dwarf && squad.memberIds.includes(d.id) && d.state === 'training' && distance(dwarf, d) <= 1
+  );
+  const xp = CONFIG.TRAIN_XP * (partner ? 2 : 1);
+  awardSkillXP(dwarf, 'melee', xp);
+  awardSkillXP(dwarf, 'dodge', xp);
+}
+
+// === MORALE ===
+
+function loseNerve(dwarf, amount) {
+  if (!dwarf.drives || amount <= 0) return;
+  const { maxValue } = DRIVE_CONFIG.fear;
+  dwarf.drives.fear = Math.min(maxValue, (dwarf.drives.fear || 0) + amount);
+}
+
+function steady(dwarf, amount) {
+  if (!dwarf.drives || amount <= 0) return;
+  const { minValue } = DRIVE_CONFIG.fear;
+  dwarf.drives.fear = Math.max(minValue, (dwarf.drives.fear || 0) - amount);
+}
+
+/**
+ * Once per tick: drop fallen members, end attack orders whose target is
+ * gone, and move each soldier's fear with what they see
+ */
+export function tickMilitary(state) {
+  if (squads.length === 0) return;
+  const byId = new Map(state.dwarves.filter(d => d.hp > 0).map(d => [d.id, d]));
+
+  for (const squad of squads) {
+    // The fallen leave the roster and shake the rest
+    const fallen = squad.memberIds.filter(id => !byId.has(id));
+    if (fallen.length > 0) {
+      squad.memberIds = squad.memberIds.filter(id => byId.has(id));
+      for (const id of fallen) delete squad.lastHp[id];
+      for (const id of squad.memberIds) loseNerve(byId.get(id), CONFIG.FALLEN_FEAR * fallen.length);
+    }
+
+    if (squad.order?.type === SQUAD_ORDER.ATTACK && !findLivingVisitor(squad.order.targetId, state)) {
+      addLog(state, `${squad.name}: ${squad.order.targetName} is dealt with. Back to the routine.`);
+      squad.order = null;
+    }
+
+    const members = squad.memberIds.map(id => byId.get(id));
+    for (const dwarf of members) {
+      if (dwarf.captiveOf != null) continue;
+      const bravery = dwarf.personality?.bravery ?? 0.5;
+      const timidity = 1.5 - bravery;
+
+      const hp = dwarf.hp;
+      const lost = (squad.lastHp[dwarf.id] ?? hp) - hp;
+      squad.lastHp[dwarf.id] = hp;
+      loseNerve(dwarf, lost * CONFIG.WOUND_FEAR * timidity);
+
+      const threats = findThreatsNear(dwarf, CONFIG.SIGHT, state).length;
+      const mates = members.filter(m =>
+        m !== dwarf && m.captiveOf == null && !isShaken(m) && distance(dwarf, m) <= CONFIG.RALLY_RANGE
+      ).length;
+      if (threats > mates + 1) {
+        loseNerve(dwarf, (threats - mates - 1) * CONFIG.OUTNUMBERED_FEAR * timidity);
+      } else if (threats === 0) {
+        steady(dwarf, CONFIG.CALM);
+      }
+      steady(dwarf, mates * CONFIG.RALLY);
+
+      const fear = dwarf.drives?.fear ?? 0;
+      const name = getDisplayName(dwarf);
+      if (!dwarf.shaken && fear >= DRIVE_CONFIG.fear.criticalThreshold) {
+        dwarf.shaken = true;
+        addLog(state, `${name}'s nerve breaks! They flee the fight.`);
+      } else if (dwarf.shaken && fear < CONFIG.STEADY_FEAR) {
+        dwarf.shaken = false;
+        addLog(state, `${name} steadies and rejoins ${squad.name}.`);
+      }
+    }
+  }
+}
+
+// === PLAYER ORDERS ===
+
+/**
+ * Change the squads from the military panel (through the input log)
+ * @param {object} state - World state
+ * @param {object} order - { action: 'create', name? }
+ *                       | { action: 'disband', squadId }
+ *                       | { action: 'assign', squadId, dwarfId }
+ *                       | { action: 'unassign', dwarfId }
+ *                       | { action: 'routine', squadId, routine }
+ *                       | { action: 'station', squadId, x, y }  (x null clears)
+ *                       | { action: 'waypoint', squadId, x, y }
+ *                       | { action: 'clear_route', squadId }
+ *                       | { action: 'defend', squadId, x, y }
+ *                       | { action: 'attack', squadId, targetId }
+ *                       | { action: 'stand_down', squadId }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function issueSquadOrder(state, order) {
+  return submitInput(state, INPUT_KIND.MILITARY, order);
+}
+
+/**
+ * Apply a squad order
+ * @returns {object|boolean|null} The new squad for 'create', else whether it applied
+ */
+export function applySquadOrder(state, { action, squadId, dwarfId, name, routine, x, y, targetId }) {
+  if (action === 'create') {
+    const squad = {
+      id: nextId(),
+      name: typeof name === 'string' && name.trim() ? name.trim() : `Squad ${squads.length + 1}`,
+      memberIds: [],
+      routine: SQUAD_ROUTINE.TRAIN,
+      station: null,
+      route: [],
+      patrolIndex: 0,
+      order: null,
+      lastHp: {},
+    };
+    squads.push(squad);
+    addLog(state, `${squad.name} is formed.`);
+    return squad;
+  }
+
+  if (action === 'unassign') {
+    const squad = squads.find(s => s.memberIds.includes(dwarfId));
+    if (!squad) return false;
+    squad.memberIds = squad.memberIds.filter(id => id !== dwarfId);
+    delete squad.lastHp[dwarfId];
+    return true;
+  }
+
+  const squad = squads.find(s => s.id === squadId);
+  if (!squad) return false;
+  const validSpot = () => isPassable(state, x, y);
+
+  switch (action) {
+    case 'disband':
+      squads = squads.filter(s => s !== squad);
+      addLog(state, `${squad.name} is disbanded.`);
+      return true;
+
+    case 'assign': {
+      const dwarf = state.dwarves.find(d => d.id === dwarfId && d.hp > 0 && !d.child);
+      if (!dwarf || squad.memberIds.includes(dwarfId) || squad.memberIds.length >= CONFIG.MAX_MEMBERS) return false;
+      const previous = getSquadOf(dwarf);
+      if (previous) previous.memberIds = previous.memberIds.filter(id => id !== dwarfId);
+      squad.memberIds.push(dwarfId);
+      addLog(state, `${getDisplayName(dwarf)} joins ${squad.name}.`);
+      return true;
+    }
+
+    case 'routine':
+      if (!Object.values(SQUAD_ROUTINE).includes(routine)) return false;
+      squad.routine = routine;
+      return true;
+
+    case 'station':
+      if (x == null) {
+        squad.station = null;
+        return true;
+      }
+      if (!validSpot()) return false;
+      squad.station = { x, y };
+      return true;
+
+    case 'waypoint':
+      if (!validSpot()) return false;
+      squad.route.push({ x, y });
+      return true;
+
+    case 'clear_route':
+      squad.route = [];
+      squad.patrolIndex = 0;
+      return true;
+
+    case 'defend':
+      if (!validSpot()) return false;
+      squad.order = { type: SQUAD_ORDER.DEFEND, x, y };
+      addLog(state, `${squad.name} moves to defend (${x}, ${y}).`);
+      return true;
+
+    case 'attack': {
+      const target = findLivingVisitor(targetId, state);
+      if (!target) return false;
+      squad.order = { type: SQUAD_ORDER.ATTACK, targetId, targetName: target.name };
+      addLog(state, `${squad.name} is ordered to attack ${target.name}.`);
+      return true;
+    }
+
+    case 'stand_down':
+      squad.order = null;
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+registerInputHandler(INPUT_KIND.MILITARY, applySquadOrder);
@@ -0,0 +1,311 @@
+/**
+ * Mortality
+ * What becomes of the dead, and in mortal worlds, what else can kill.
+ *
+ * Mortal worlds (harsh and brutal difficulty; rules.js applyRuleModifiers
+ * sets the flag and saves it) add three ways to die. Hunger climbs past
+ * its usual cap to HUNGER_DEATH, and a dwarf left there for
+ * STARVATION_TICKS starves. Rain and snow chill a dwarf caught out in them
+ * (getWeatherHealthEffects `cold`); once thoroughly chilled they lose hit
+ * points until they get under a roof. And every dwarf ages a year per
+ * 120 days: past OLD_AGE, each dawn carries a growing chance of dying in
+ * their sleep. tickMortality sets dwarf.deathCause and leaves the rest to
+ * rules.js processDeath, like a wound that bleeds out.
+ *
+ * In any world, a fallen dwarf leaves remains where they fell
+ * (recordDeath, from combat.js cleanupDeadEntities). Friends grieve: mood
+ * drops with affinity, the loss goes into memory, the relationship is
+ * kept under the dead dwarf's name, and those mourning the same dwarf
+ * grow closer. The bury labor lays remains in a grave, which eases the
+ * mourners and goes into the chronicle (EVENTS.DWARF_BURIED).
+ */
+
+import { random } from './rng.js';
+import {
+  nextId,
+  distance,
+  getDisplayName,
+  adjustMood,
+  addMemory,
+  isStarved,
+  HUNGER_DEATH,
+} from './entities.js';
+import { TASK_TYPE } from './tasks.js';
+import { TICKS_PER_DAY, DAYS_PER_SEASON, SEASONS } from './clock.js';
+import { getWeatherHealthEffects } from './weatherCognition.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+import { addLog } from '../state/store.js';
+
+const CONFIG = {
+  CHILL_RATE: 0.02,        // Chill gained per tick per point of cold
+  WARM_RATE: 0.004,        // Chill lost per tick out of the cold
+  FREEZE_INTERVAL: 60,     // Ticks per hit point lost while chilled through
+  OLD_AGE: 100,            // Years before age can kill
+  AGE_DEATH_CHANCE: 0.01,  // Chance per dawn per year past OLD_AGE
+  BURIAL_WORK: 30,         // Work to dig a grave and lay a body in it
+  GRIEF: 10,               // Mood lost over any friend
+  GRIEF_PER_AFFINITY: 0.3, // ... and more the closer they were
+  MAX_GRIEF: 35,
+  SHARED_GRIEF: 5,         // Affinity between two mourners of the same dwarf
+  CLOSURE: 8,              // Mood back to each mourner at the burial
+};
+
+const DAYS_PER_YEAR = DAYS_PER_SEASON * SEASONS.length;
+
+// How a death reads in memories and the chronicle (dwarf.deathCause)
+const DEATH_PHRASES = {
+  combat: 'fell in battle',
+  bleeding: 'bled to death',
+  infection: 'died of an infected wound',
+  mauled: 'was mauled to death',
+  starvation: 'starved to death',
+  exposure: 'died of exposure',
+  old_age: 'died of old age',
+  wounds: 'died of their wounds',
+};
+
+// Whether starvation, cold and old age can kill (the world's difficulty)
+let mortal = false;
+
+// Bodies not yet buried, and the graves they went into
+let remains = [];
+let graves = [];
+
+/**
+ * Turn mortality on or off for the current world (rules.js)
+ */
+export function setMortalityEnabled(enabled) {
+  mortal = !!enabled;
+}
+
+/**
+ * Whether starvation, exposure and old age can kill in this world
+ */
+export function isMortalityEnabled() {
+  return mortal;
+}
+
+/**
+ * Initialize mortality (no dead yet)
+ */
+export function initMortality() {
+  remains = [];
+  graves = [];
+}
+
+/**
+ * Snapshot remains and graves for a save
+ */
+export function exportMortalityState() {
+  return { remains, graves };
+}
+
+/**
+ * Restore remains and graves from a save
+ */
+export function importMortalityState(data) {
+  remains = data?.remains || [];
+  graves = data?.graves || [];
+}
+
+/**
+ * Bodies awaiting burial
+ */
+export function getRemains() {
+  return remains;
+}
+
+/**
+ * Graves, oldest first
+ */
+export function getGraves() {
+  return graves;
+}
+
+/**
+ * "starved to death"
+ */
+export function describeDeath(cause) {
+  return DEATH_PHRASES[cause] || DEATH_PHRASES.wounds;
+}
+
+// === DYING ===
+
+/**
+ * Age every dwarf at dawn; in mortal worlds, starve, chill and take the
+ * very old. Called once per tick before deaths are counted.
+ */
+export function tickMortality(state) {
+  const dawn = state.tick % TICKS_PER_DAY === 0;
+
+  for (const dwarf of state.dwarves) {
+    if (dwarf.hp <= 0) continue;
+    // Children grow up faster (population.js)
+    if (dawn && typeof dwarf.age === 'number' && !dwarf.child) dwarf.age += 1 / DAYS_PER_YEAR;
+    if (!mortal) continue;
+
+    // Starvation: the count starts over with a meal
+    dwarf.starving = dwarf.hunger >= HUNGER_DEATH ? (dwarf.starving || 0) + 1 : 0;
+    if (isStarved(dwarf)) {
+      dwarf.hp = 0;
+      dwarf.deathCause = 'starvation';
+      continue;
+    }
+
+    // Exposure: dwarfAI resets the weather exposure under a roof
+    const cold = dwarf._weatherType
+      ? getWeatherHealthEffects(dwarf, dwarf._weatherType, dwarf._weatherExposure || 0).cold || 0
+      : 0;
+    dwarf.chill = cold > 0
+      ? Math.min(1, (dwarf.chill || 0) + cold * CONFIG.CHILL_RATE)
+      : Math.max(0, (dwarf.chill || 0) - CONFIG.WARM_RATE);
+    if (dwarf.chill >= 1 && state.tick % CONFIG.FREEZE_INTERVAL === 0) {
+      dwarf.hp -= 1;
+      if (dwarf.hp <= 0) {
+        dwarf.deathCause = 'exposure';
+        continue;
+      }
+    }
+
+    // Old age
+    if (dawn && dwarf.age > CONFIG.OLD_AGE &&
+        random() < (dwarf.age - CONFIG.OLD_AGE) * CONFIG.AGE_DEATH_CHANCE) {
+      dwarf.hp = 0;
+      dwarf.deathCause = 'old_age';
+    }
+  }
+}
+
+/**
+ * Whether a dwarf is chilled through and losing hit points to the cold
+ */
+export function isFreezing(dwarf) {
+  return (dwarf.chill || 0) >= 1;
+}
+
+// === THE DEAD ===
+
+/**
+ * Leave a fallen dwarf's remains where they fell, and let their friends
+ * grieve. Safe to call more than once for the same dwarf.
+ * @returns {object|null} The remains, or null if already recorded
+ */
+export function recordDeath(dwarf, state) {
+  if (remains.some(r => r.dwarfId === dwarf.id) || graves.some(g => g.dwarfId === dwarf.id)) {
+    return null;
+  }
+
+  const body = {
+    id: nextId(),
+    x: dwarf.x,
+    y: dwarf.y,
+    z: dwarf.z ?? 0,
+    dwarfId: dwarf.id,
+    name: getDisplayName(dwarf),
+    cause: dwarf.deathCause || 'wounds',
+    diedTick: state.tick,
+    care: 0,
+  };
+  remains.push(body);
+  grieve(body, state);
+  return body;
+}
+
+/**
+ * Friends of the dead lose mood (more the closer they were), remember the
+ * loss, and draw closer to each other. Every relationship with the dead
+ * is marked and keeps their name.
+ */
+function grieve(body, state) {
+  const mourners = [];
+  for (const dwarf of state.dwarves) {
+    const rel = dwarf.relationships?.[body.dwarfId];
+    if (dwarf.id === body.dwarfId || dwarf.hp <= 0 || !rel) continue;
+    rel.deceased = true;
+    rel.name = body.name;
+    if (rel.affinity <= 0) continue;
+
+    const sorrow = Math.min(CONFIG.MAX_GRIEF, CONFIG.GRIEF + rel.affinity * CONFIG.GRIEF_PER_AFFINITY);
+    adjustMood(dwarf, -sorrow, 'grief');
+    addMemory(dwarf, 'event', `My friend ${body.name} ${describeDeath(body.cause)}.`, state.tick);
+    mourners.push(dwarf);
+  }
+
+  for (const a of mourners) {
+    for (const b of mourners) {
+      if (a === b) continue;
+      if (!a.relationships[b.id]) {
+        a.relationships[b.id] = { affinity: 0, interactions: 0, lastInteraction: 0, conversationLog: [] };
+      }
+      a.relationships[b.id].affinity += CONFIG.SHARED_GRIEF;
+    }
+  }
+
+  if (mourners.length > 0) {
+    const names = mourners.slice(0, 3).map(getDisplayName);
+    const others = mourners.length > 3 ? ' and others' : '';
+    addLog(state, `${names.join(', ')}${others} mourn${mourners.length === 1 ? 's' : ''} ${body.name}.`);
+  }
+}
+
+// === BURIAL ===
+
+/**
+ * The nearest remains no other dwarf is already burying
+ * @returns {object|null}
+ */
+export function findRemains(dwarf, state) {
+  const claimed = new Set();
+  for (const other of state.dwarves) {
+    const target = other.currentTask?.type === TASK_TYPE.BURY ? other.currentTask.target : null;
+    if (other !== dwarf && target) claimed.add(target.remainsId);
+  }
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const body of remains) {
+    if (claimed.has(body.id)) continue;
+    const dist = distance(dwarf, body);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = body;
+    }
+  }
+  return best;
+}
+
+/**
+ * Dig at the grave; once the work is done the body goes into it, its
+ * mourners take some comfort, and the chronicle hears of it
+ * @returns {object|null} The grave when this stint finished it
+ */
+export function buryRemains(dwarf, body, state) {
+  if (!remains.includes(body)) return null;
+  body.care += dwarf.workRate ?? 1;
+  if (body.care < CONFIG.BURIAL_WORK) return null;
+
+  remains = remains.filter(r => r !== body);
+  const grave = {
+    id: body.id,
+    x: body.x,
+    y: body.y,
+    z: body.z ?? 0,
+    dwarfId: body.dwarfId,
+    name: body.name,
+    cause: body.cause,
+    diedTick: body.diedTick,
+    buriedTick: state.tick,
+    buriedBy: dwarf.id,
+  };
+  graves.push(grave);
+
+  addLog(state, `${getDisplayName(dwarf)} lays ${body.name} to rest.`);
+  for (const mourner of state.dwarves) {
+    const rel = mourner.relationships?.[body.dwarfId];
+    if (mourner.hp <= 0 || !rel || rel.affinity <= 0) continue;
+    adjustMood(mourner, CONFIG.CLOSURE, 'burial');
+    addMemory(mourner, 'event', `${body.name} was laid to rest.`, state.tick);
+  }
+  emit(EVENTS.DWARF_BURIED, { grave, buriedBy: dwarf });
+  return grave;
+}
@@ -1,12 +1,18 @@
 /**
  * Intelligent Movement System
  * Organic dwarf movement with momentum, scent gradients, and social awareness
+ *
+ * Entities walk the level they stand on (`entity.z`, absent = the surface).
+ * Only findPath crosses levels, by the stairs and ramps of map.js; a dwarf
+ * whose target names another level follows it there. Scent and weather
+ * belong to the surface.
  */
 
 import { distance } from './entities.js';
-import { getTile, inBounds } from '../map/map.js';
+import { getTile, getDepth, inBounds, getLevelMoves } from '../map/map.js';
 import { getTileDef } from '../map/tiles.js';
 import { getGroundMovePenalty } from './groundCover.js';
+import { random } from './rng.js';
 
 // === MOVEMENT CONFIGURATION ===
 const CONFIG = {
@@ -18,6 +24,8 @@ const CONFIG = {
   SCENT_DECAY: 0.92,           // How fast scent fades per tile
   SCENT_RADIUS: 15,            // How far scent spreads
   MAX_MOMENTUM: 3,             // Max tiles of momentum
+  PATH_MAX_NODES: 800,         // A* budget for a way to another level
+  PATH_RETRY_TICKS: 30,        // Wait after a failed search before trying the same goal again
 };
 
 // === SCENT MAP (multi-channel — audit WALK R7 / §3.3) ===
@@ -58,6 +66,36 @@ export function initScentMap(width, height) {
   }
 }
 
+/**
+ * Copy every scent channel for a save (water included — it is seeded once
+ * at init and never re-derived)
+ */
+export function exportScentMap() {
+  if (!scentChannels) return null;
+  const channels = {};
+  for (const [channel, field] of Object.entries(scentChannels)) {
+    channels[channel] = field.slice();
+  }
+  return { width: scentWidth, height: scentHeight, channels };
+}
+
+/**
+ * Restore scent channels from a save. Channels missing from the save (or
+ * sized for a different map) stay as initScentMap left them.
+ */
+export function importScentMap(data) {
+  if (!data?.channels) return;
+  if (!scentChannels || scentWidth !== data.width || scentHeight !== data.height) {
+    initScentMap(data.width, data.height);
+  }
+  for (const channel of Object.values(SCENT_CHANNEL)) {
+    const saved = data.channels[channel];
+    if (saved && saved.length === scentChannels[channel].length) {
+      scentChannels[channel].set(saved);
+    }
+  }
+}
+
 /**
  * Add scent at a location (spreads outward)
  * Positive = attractive, Negative = repulsive
@@ -116,12 +154,12 @@ export function decayScents() {
  */
 export function seedWaterScent(state) {
   const map = state?.map;
-  if (!map?.tiles?.length || !scentChannels) return;
+  if (!getDepth(map) || !scentChannels) return;
 
   const WATER_TILES = new Set(['river', 'water_shallow', 'water_deep', 'marsh']);
   for (let y = 0; y < map.height; y++) {
     for (let x = 0; x < map.width; x++) {
-      if (WATER_TILES.has(map.tiles[y * map.width + x]?.type)) {
+      if (WATER_TILES.has(getTile(map, x, y)?.type)) {
         emitScent(x, y, 0.6, 8, SCENT_CHANNEL.WATER);
       }
     }
@@ -213,8 +251,8 @@ export function calculateMovementVector(dwarf, state, options = {}) {
   }
 
   // 6. Random wander noise
-  moveX += (Math.random() - 0.5) * 2 * CONFIG.WANDER_NOISE;
-  moveY += (Math.random() - 0.5) * 2 * CONFIG.WANDER_NOISE;
+  moveX += (random() - 0.5) * 2 * CONFIG.WANDER_NOISE;
+  moveY += (random() - 0.5) * 2 * CONFIG.WANDER_NOISE;
 
   // Normalize and scale
   const len = Math.sqrt(moveX * moveX + moveY * moveY) || 1;
@@ -287,13 +325,13 @@ function calculateExplorationForce(dwarf, state) {
   // Use inverse of momentum as exploration bias
   if (dwarf.momentum) {
     return {
-      dx: -dwarf.momentum.dx * 0.3 + (Math.random() - 0.5),
-      dy: -dwarf.momentum.dy * 0.3 + (Math.random() - 0.5),
+      dx: -dwarf.momentum.dx * 0.3 + (random() - 0.5),
+      dy: -dwarf.momentum.dy * 0.3 + (random() - 0.5),
     };
   }
 
   // Random direction if no momentum
-  const angle = Math.random() * Math.PI * 2;
+  const angle = random() * Math.PI * 2;
   return {
     dx: Math.cos(angle),
     dy: Math.sin(angle),
@@ -322,7 +360,7 @@ export function vectorToMovement(dwarf, vector, state) {
     const ny = dwarf.y + move.dy;
 
     // Check passability
-    if (!isPassable(state, nx, ny)) continue;
+    if (!isPassable(state, nx, ny, dwarf.z ?? 0)) continue;
 
     // Score by alignment with desired vector
     const alignment = move.dx * vector.dx + move.dy * vector.dy;
@@ -331,7 +369,7 @@ export function vectorToMovement(dwarf, vector, state) {
     const movementBonus = (move.dx !== 0 || move.dy !== 0) ? 0.2 : 0;
 
     // Small random factor for variety
-    const noise = Math.random() * 0.1;
+    const noise = random() * 0.1;
 
     const score = alignment + movementBonus + noise;
 
@@ -345,9 +383,17 @@ export function vectorToMovement(dwarf, vector, state) {
 }
 
 /**
- * Execute intelligent movement for a dwarf
+ * Execute intelligent movement for a dwarf. A targetPos with a z on
+ * another level is reached by path, down or up the stairs; without a z it
+ * is on the dwarf's own level.
  */
 export function executeSmartMovement(dwarf, state, options = {}) {
+  const target = options.targetPos;
+  if (target?.z != null) {
+    const move = followPath(dwarf, target, state);
+    if (move) return move;
+  }
+
   const vector = calculateMovementVector(dwarf, state, options);
   const move = vectorToMovement(dwarf, vector, state);
 
@@ -374,6 +420,76 @@ export function executeSmartMovement(dwarf, state, options = {}) {
   return move;
 }
 
+/**
+ * One step along a path to a target on another level. The path is kept on
+ * the dwarf and followed to its end, even once on the target's level, and
+ * searched again when the goal changes or the route breaks; a failed search
+ * waits PATH_RETRY_TICKS before trying the same goal again.
+ * @returns {{ dx, dy, dz }|null} The step taken (or waited), or null when
+ *   there is no path and the dwarf should walk its own level instead
+ */
+function followPath(dwarf, target, state) {
+  const z = dwarf.z ?? 0;
+  const goal = dwarf._pathGoal;
+  const sameGoal = goal && goal.x === target.x && goal.y === target.y && goal.z === target.z;
+  const pathDone = !Array.isArray(dwarf._path) || dwarf._pathIdx >= dwarf._path.length;
+  // Walked off the route in between (a fight, a meal): start from here
+  const here = !pathDone && dwarf._path[dwarf._pathIdx - 1];
+  const offPath = here && (here.x !== dwarf.x || here.y !== dwarf.y || here.z !== z);
+
+  if (!sameGoal || pathDone || offPath) {
+    // Only the way to another level is searched; on its own level the dwarf walks as before
+    if (target.z === z) return null;
+    if (sameGoal && dwarf._pathFailedTick != null
+        && state.tick - dwarf._pathFailedTick < CONFIG.PATH_RETRY_TICKS) return null;
+
+    const end = standingSpot(state, target);
+    dwarf._path = end && findPath(dwarf.x, dwarf.y, end.x, end.y, state, CONFIG.PATH_MAX_NODES,
+      { startZ: z, endZ: target.z });
+    dwarf._pathGoal = { x: target.x, y: target.y, z: target.z };
+    dwarf._pathIdx = 1; // index 0 is the tile we're standing on
+    dwarf._pathFailedTick = dwarf._path ? null : state.tick;
+  }
+
+  const path = dwarf._path;
+  if (!path || dwarf._pathIdx >= path.length) return null;
+
+  const step = path[dwarf._pathIdx];
+  if (!isPassable(state, step.x, step.y, step.z)) {
+    // The route broke under it (a wall went up): search again next tick
+    dwarf._path = null;
+    return { dx: 0, dy: 0, dz: 0 };
+  }
+  if (!canAffordMove(dwarf, state, step.x, step.y, step.z)) {
+    return { dx: 0, dy: 0, dz: 0 };
+  }
+
+  const move = { dx: step.x - dwarf.x, dy: step.y - dwarf.y, dz: step.z - z };
+  dwarf.x = step.x;
+  dwarf.y = step.y;
+  if (step.z !== z) dwarf.z = step.z;
+  dwarf._pathIdx++;
+  dwarf.momentum = {
+    dx: move.dx * 0.7 + (dwarf.momentum?.dx || 0) * 0.3,
+    dy: move.dy * 0.7 + (dwarf.momentum?.dy || 0) * 0.3,
+  };
+  return move;
+}
+
+/**
+ * Where to stand for a target: the tile itself, or for a wall being dug the
+ * first open tile beside it
+ */
+function standingSpot(state, target) {
+  if (isPassable(state, target.x, target.y, target.z)) return target;
+  for (const [dx, dy] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+    if (isPassable(state, target.x + dx, target.y + dy, target.z)) {
+      return { x: target.x + dx, y: target.y + dy };
+    }
+  }
+  return null;
+}
+
 /**
  * Move toward a specific target intelligently
  */
@@ -388,24 +504,24 @@ export function moveToward(dwarf, target, state) {
  * Single walkability source for ALL entity classes (dwarves, visitors, animals).
  * Backed by getTileDef(...).walkable from the tile definitions.
  */
-export function isPassable(state, x, y) {
-  if (!state?.map || !inBounds(state.map, x, y)) {
+export function isPassable(state, x, y, z = 0) {
+  if (!state?.map || !inBounds(state.map, x, y, z)) {
     return false;
   }
 
-  const tile = getTile(state.map, x, y);
+  const tile = getTile(state.map, x, y, z);
   if (!tile) return false;
 
   return getTileDef(tile).walkable === true;
 }
 
 /**
- * Movement cost of the tile at (x, y).
+ * Movement cost of the tile at (x, y, z).
  * 1 = normal, 2 = half speed, Infinity = impassable.
  */
-export function getMoveCost(state, x, y) {
+export function getMoveCost(state, x, y, z = 0) {
   if (!state?.map) return 1;
-  const tile = getTile(state.map, x, y);
+  const tile = getTile(state.map, x, y, z);
   if (!tile) return Infinity;
 
   const def = getTileDef(tile);
@@ -416,7 +532,7 @@ export function getMoveCost(state, x, y) {
 
   // Mud and deep snow are a slog (audit WX 7). Capped at the move-budget
   // maximum so weather slows tiles but never makes them impassable.
-  const penalty = getGroundMovePenalty(state, x, y);
+  const penalty = z === 0 ? getGroundMovePenalty(state, x, y) : 0;
   return penalty > 0 ? Math.min(MAX_MOVE_BUDGET, base + penalty) : base;
 }
 
@@ -425,19 +541,21 @@ const MAX_MOVE_BUDGET = 2;
 
 /**
  * Terrain moveCost throttling (deterministic per-entity fractional budget).
- * An entity accrues 1 movement point per tick; stepping onto a tile spends
- * that tile's moveCost. Cost 2 terrain → effectively half speed.
+ * An entity accrues 1 movement point per tick (scaled by entity.moveRate,
+ * which leg wounds lower — medical.js); stepping onto a tile spends that
+ * tile's moveCost. Cost 2 terrain → effectively half speed.
  * Returns true (and spends the budget) if the entity may step onto (x, y)
- * this tick, false if it must wait.
+ * this tick, false if it must wait. The step is on the entity's own level
+ * unless z says otherwise.
  */
-export function canAffordMove(entity, state, x, y) {
-  const cost = getMoveCost(state, x, y);
+export function canAffordMove(entity, state, x, y, z = entity.z ?? 0) {
+  const cost = getMoveCost(state, x, y, z);
   if (!Number.isFinite(cost)) return false;
 
   // Accrue once per tick, even if multiple candidate steps are tested
   if (state.tick == null || entity._moveBudgetTick !== state.tick) {
     entity._moveBudgetTick = state.tick;
-    entity._moveBudget = Math.min((entity._moveBudget || 0) + 1, MAX_MOVE_BUDGET);
+    entity._moveBudget = Math.min((entity._moveBudget || 0) + (entity.moveRate ?? 1), MAX_MOVE_BUDGET);
   }
 
   if (entity._moveBudget < cost) return false;
@@ -446,72 +564,121 @@ export function canAffordMove(entity, state, x, y) {
   return true;
 }
 
+// The eight steps around a tile, straight ones first
+const PATH_STEPS = [
+  { dx: 1, dy: 0 }, { dx: -1, dy: 0 },
+  { dx: 0, dy: 1 }, { dx: 0, dy: -1 },
+  { dx: 1, dy: 1 }, { dx: -1, dy: 1 },
+  { dx: 1, dy: -1 }, { dx: -1, dy: -1 },
+];
+
 /**
- * A* pathfinding for longer distances
+ * A* pathfinding for longer distances. Stairs and ramps are edges between
+ * levels, so the path may leave the start level and come back. The open
+ * set is a binary heap; a tile reached again more cheaply is pushed again
+ * and its stale entry skipped when it surfaces.
+ * @param {object} [levels] - { startZ, endZ } (both default to the surface)
+ * @returns {Array<{x, y, z}>|null} Steps from start to end, or null
  */
-export function findPath(startX, startY, endX, endY, state, maxSteps = 50) {
-  const key = (x, y) => `${x},${y}`;
+export function findPath(startX, startY, endX, endY, state, maxSteps = 50, { startZ = 0, endZ = startZ } = {}) {
+  const { width, height } = state.map;
+  const key = (x, y, z) => (z * height + y) * width + x;
 
-  const openSet = [{ x: startX, y: startY, g: 0, f: 0, parent: null }];
+  const openSet = createNodeHeap();
   const closedSet = new Set();
   const gScores = new Map();
 
-  gScores.set(key(startX, startY), 0);
+  openSet.push({ x: startX, y: startY, z: startZ, g: 0, f: 0, parent: null });
+  gScores.set(key(startX, startY, startZ), 0);
 
-  while (openSet.length > 0 && closedSet.size < maxSteps) {
+  while (openSet.size() > 0 && closedSet.size < maxSteps) {
     // Get node with lowest f score
-    openSet.sort((a, b) => a.f - b.f);
-    const current = openSet.shift();
+    const current = openSet.pop();
+    const currentKey = key(current.x, current.y, current.z);
+    if (closedSet.has(currentKey) || current.g > gScores.get(currentKey)) continue;
 
-    if (current.x === endX && current.y === endY) {
+    if (current.x === endX && current.y === endY && current.z === endZ) {
       // Reconstruct path
       const path = [];
       let node = current;
       while (node) {
-        path.unshift({ x: node.x, y: node.y });
+        path.unshift({ x: node.x, y: node.y, z: node.z });
         node = node.parent;
       }
       return path;
     }
 
-    closedSet.add(key(current.x, current.y));
-
-    // Check neighbors
-    const neighbors = [
-      { dx: 1, dy: 0 }, { dx: -1, dy: 0 },
-      { dx: 0, dy: 1 }, { dx: 0, dy: -1 },
-      { dx: 1, dy: 1 }, { dx: -1, dy: 1 },
-      { dx: 1, dy: -1 }, { dx: -1, dy: -1 },
-    ];
+    closedSet.add(currentKey);
 
-    for (const { dx, dy } of neighbors) {
-      const nx = current.x + dx;
-      const ny = current.y + dy;
-      const nKey = key(nx, ny);
+    const visit = (nx, ny, nz, cost) => {
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+      const nKey = key(nx, ny, nz);
 
-      if (closedSet.has(nKey)) continue;
-      if (!isPassable(state, nx, ny)) continue;
+      if (closedSet.has(nKey)) return;
+      if (!isPassable(state, nx, ny, nz)) return;
 
-      const tentativeG = current.g + (dx !== 0 && dy !== 0 ? 1.4 : 1);
+      const tentativeG = current.g + cost;
 
       if (!gScores.has(nKey) || tentativeG < gScores.get(nKey)) {
         gScores.set(nKey, tentativeG);
 
-        const h = Math.abs(nx - endX) + Math.abs(ny - endY);
-        const f = tentativeG + h;
-
-        // Check if already in open set
-        const existing = openSet.find(n => n.x === nx && n.y === ny);
-        if (existing) {
-          existing.g = tentativeG;
-          existing.f = f;
-          existing.parent = current;
-        } else {
-          openSet.push({ x: nx, y: ny, g: tentativeG, f, parent: current });
-        }
+        const h = Math.abs(nx - endX) + Math.abs(ny - endY) + Math.abs(nz - endZ);
+        openSet.push({ x: nx, y: ny, z: nz, g: tentativeG, f: tentativeG + h, parent: current });
       }
+    };
+
+    // Check neighbors: the eight around, then up or down a level
+    for (const { dx, dy } of PATH_STEPS) {
+      visit(current.x + dx, current.y + dy, current.z, dx !== 0 && dy !== 0 ? 1.4 : 1);
+    }
+    for (const z of getLevelMoves(state.map, current.x, current.y, current.z)) {
+      visit(current.x, current.y, z, 1);
     }
   }
 
   return null; // No path found
 }
+
+/**
+ * Min-heap of path nodes by f score; ties go to the node pushed first,
+ * as they did when the open set was a sorted list
+ */
+function createNodeHeap() {
+  const nodes = [];
+  let pushed = 0;
+  const before = (a, b) => a.f < b.f || (a.f === b.f && a.order < b.order);
+
+  return {
+    size: () => nodes.length,
+    push(node) {
+      node.order = pushed++;
+      nodes.push(node);
+      let i = nodes.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(nodes[i], nodes[parent])) break;
+        [nodes[i], nodes[parent]] = [nodes[parent], nodes[i]];
+        i = parent;
+      }
+    },
+    pop() {
+      const top = nodes[0];
+      const last = nodes.pop();
+      if (nodes.length > 0) {
+        nodes[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < nodes.length && before(nodes[left], nodes[smallest])) smallest = left;
+          if (right < nodes.length && before(nodes[right], nodes[smallest])) smallest = right;
+          if (smallest === i) break;
+          [nodes[i], nodes[smallest]] = [nodes[smallest], nodes[i]];
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
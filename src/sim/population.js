@@ -0,0 +1,414 @@
+/**
+ * Population
+ * How the fortress grows once the founders have settled.
+ *
+ * Migrants: at each turn of the season a wave of dwarves may walk in from
+ * one map edge. Its size follows the fortress's wealth (raids.js
+ * getColonyWealth, the same figure that draws the goblins) and its
+ * reputation: how the humans and elves regard the dwarves, less the dead
+ * of the past year. A shunned fortress gets nobody.
+ *
+ * Families: two grown dwarves who are fond enough of each other become a
+ * couple. Couples in their prime may have children, a season apart at
+ * least. A child inherits something of both parents' temperament, starts
+ * small and weak, takes no labors and can't be drafted, and comes of age
+ * after GROW_UP_SEASONS seasons. Children carry their lineage (parents,
+ * and grandparents where the parents were born here too).
+ *
+ * Names: newcomers arrive with local names (createDwarf), and their bios
+ * carry their lineage or arrival. llm/newcomerNames.js asks the LLM for
+ * better ones, which come back through the input log (INPUT_KIND.NEWCOMER)
+ * and keep the lineage line.
+ */
+
+import { random } from './rng.js';
+import { createDwarf, getDisplayName, adjustMood, addMemory } from './entities.js';
+import { getColonyWealth } from './raids.js';
+import { getDwarfRelation } from './history.js';
+import { RACE } from './races.js';
+import { getRandomEdgePosition, getRandomPositionOnEdge } from './edges.js';
+import { getRemains, getGraves } from './mortality.js';
+import { TICKS_PER_DAY, DAYS_PER_SEASON, SEASONS, getCalendar } from './clock.js';
+import { INPUT_KIND, registerInputHandler } from './inputLog.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+import { addLog } from '../state/store.js';
+
+const CONFIG = {
+  MAX_POPULATION: 30,
+  WAVE_CHANCE: 0.75,           // Chance a season brings anyone at all
+  WAVE_BASE: 1,
+  MAX_WAVE: 7,
+  WEALTH_PER_MIGRANT: 100,
+  REPUTATION_PER_MIGRANT: 25,  // Relation points per migrant (either way)
+  DEATH_REPUTATION: 10,        // Reputation lost per dwarf dead this year
+  SHUNNED: -50,                // Reputation at which nobody comes
+  MIGRANT_COUPLE_CHANCE: 0.3,  // Chance a wave brings a couple along
+  COUPLE_AFFINITY: 60,         // Mutual affinity before two dwarves pair up
+  COUPLE_JOY: 15,
+  FERTILE_AGE: 80,             // Oldest age at which a couple has children
+  BIRTH_CHANCE: 0.03,          // Per couple per day
+  BIRTH_SPACING: TICKS_PER_DAY * DAYS_PER_SEASON,
+  MAX_CHILDREN: 3,             // Per couple
+  BIRTH_JOY: 20,
+  INHERITANCE: 0.6,            // Share of a child's temperament from the parents
+  FAMILY_AFFINITY: 40,         // Between parents and children
+  SIBLING_AFFINITY: 20,
+  ADULT_AGE: 12,
+  GROW_UP_SEASONS: 4,
+  CHILD_HP: 10,
+  CHILD_DAMAGE: 1,
+  CHILD_FLEE: 0.8,             // Children run from nearly any fight
+  ADULT_HP: 25,
+  ADULT_DAMAGE: 3,
+  ADULT_FLEE: 0.25,
+};
+
+// How a visitor came to join (settlers.js), for the lineage line
+const JOINED_AS = {
+  prisoner: 'was taken prisoner and joined the fortress',
+  guest: 'asked to stay and joined the fortress',
+  refugee: 'found shelter in the fortress',
+};
+
+const TICKS_PER_SEASON = TICKS_PER_DAY * DAYS_PER_SEASON;
+const TICKS_PER_YEAR = TICKS_PER_SEASON * SEASONS.length;
+
+// Migrant waves and births so far, for the chronicle and the stat panel
+let waves = [];
+let births = 0;
+
+/**
+ * Initialize population tracking (no newcomers yet)
+ */
+export function initPopulation() {
+  waves = [];
+  births = 0;
+}
+
+/**
+ * Snapshot waves and births for a save (families live on the dwarves)
+ */
+export function exportPopulationState() {
+  return { waves, births };
+}
+
+/**
+ * Restore waves and births from a save
+ */
+export function importPopulationState(data) {
+  waves = data?.waves || [];
+  births = data?.births || 0;
+}
+
+/**
+ * Migrant waves so far, oldest first: { tick, edge, dwarfIds }
+ */
+export function getMigrantWaves() {
+  return waves;
+}
+
+/**
+ * Children born in the fortress so far
+ */
+export function getBirthCount() {
+  return births;
+}
+
+/**
+ * How many more dwarves the fortress can take in before it is full
+ * (migrants, births, and visitors who join: settlers.js)
+ */
+export function getPopulationRoom(state) {
+  return Math.max(0, CONFIG.MAX_POPULATION - state.dwarves.filter(d => d.hp > 0).length);
+}
+
+/**
+ * Whether a dwarf is still a child
+ */
+export function isChild(dwarf) {
+  return !!dwarf?.child;
+}
+
+/**
+ * A dwarf's living spouse, if any
+ * @returns {object|null}
+ */
+export function getSpouse(dwarf, state) {
+  if (dwarf.spouseId == null) return null;
+  return state.dwarves.find(d => d.id === dwarf.spouseId && d.hp > 0) || null;
+}
+
+// === MIGRANTS ===
+
+/**
+ * What the wider world thinks of the fortress: the dwarves' standing with
+ * the humans and elves, less the dwarves who died in the past year
+ */
+export function getReputation(state) {
+  const regard = state.history
+    ? (getDwarfRelation(state.history, RACE.HUMAN) + getDwarfRelation(state.history, RACE.ELF)) / 2
+    : 0;
+  const dead = [...getRemains(), ...getGraves()]
+    .filter(body => state.tick - body.diedTick < TICKS_PER_YEAR).length;
+  return regard - dead * CONFIG.DEATH_REPUTATION;
+}
+
+/**
+ * How many migrants the next wave would bring, within the population cap
+ */
+export function getMigrantWaveSize(state) {
+  const reputation = getReputation(state);
+  if (reputation <= CONFIG.SHUNNED) return 0;
+
+  const size = CONFIG.WAVE_BASE +
+    Math.floor(getColonyWealth(state) / CONFIG.WEALTH_PER_MIGRANT) +
+    Math.trunc(reputation / CONFIG.REPUTATION_PER_MIGRANT);
+  return Math.max(0, Math.min(size, CONFIG.MAX_WAVE, getPopulationRoom(state)));
+}
+
+/**
+ * Bring a wave of migrants in from one map edge. Sometimes two of them
+ * arrive already a couple.
+ * @param {object} state - World state
+ * @param {number} size - Migrants to bring
+ * @returns {object[]} The new dwarves (empty when no edge is walkable)
+ */
+export function spawnMigrantWave(state, size) {
+  const entry = size > 0 ? getRandomEdgePosition(state.map) : null;
+  if (!entry) return [];
+
+  const { season, day } = getCalendar(state.tick);
+  const migrants = [];
+  for (let i = 0; i < size; i++) {
+    const pos = getRandomPositionOnEdge(state.map, entry.edge) || entry;
+    const dwarf = createDwarf(pos.x, pos.y);
+    dwarf.arrival = { tick: state.tick, edge: entry.edge, season, day };
+    dwarf.generatedBio = withLineage(dwarf.generatedBio, dwarf);
+    state.dwarves.push(dwarf);
+    migrants.push(dwarf);
+  }
+
+  if (migrants.length >= 2 && random() < CONFIG.MIGRANT_COUPLE_CHANCE) {
+    befriend(migrants[0], migrants[1], CONFIG.COUPLE_AFFINITY, state.tick, 'spouse');
+    befriend(migrants[1], migrants[0], CONFIG.COUPLE_AFFINITY, state.tick, 'spouse');
+    migrants[0].spouseId = migrants[1].id;
+    migrants[1].spouseId = migrants[0].id;
+  }
+
+  waves.push({ tick: state.tick, edge: entry.edge, dwarfIds: migrants.map(d => d.id) });
+  const names = migrants.map(getDisplayName).join(', ');
+  const group = migrants.length === 1 ? 'A lone migrant arrives' : `${migrants.length} migrants arrive`;
+  addLog(state, `${group} from the ${entry.edge}: ${names}.`);
+  emit(EVENTS.MIGRANTS_ARRIVED, { dwarves: migrants, edge: entry.edge, worldState: state });
+  return migrants;
+}
+
+// === FAMILIES ===
+
+/**
+ * Pair up grown, unattached dwarves (not kin) who are fond enough of
+ * each other
+ * @returns {Array<[object, object]>} New couples
+ */
+function formCouples(state) {
+  const couples = [];
+  const single = state.dwarves.filter(d =>
+    d.hp > 0 && !d.child && d.captiveOf == null && !getSpouse(d, state));
+
+  for (const a of single) {
+    for (const b of single) {
+      if (a.id >= b.id || getSpouse(a, state) || getSpouse(b, state)) continue;
+      if (a.relationships?.[b.id]?.kin) continue; // Family, not sweethearts
+      const fondness = Math.min(
+        a.relationships?.[b.id]?.affinity ?? 0,
+        b.relationships?.[a.id]?.affinity ?? 0,
+      );
+      if (fondness < CONFIG.COUPLE_AFFINITY) continue;
+
+      a.spouseId = b.id;
+      b.spouseId = a.id;
+      a.relationships[b.id].kin = 'spouse';
+      b.relationships[a.id].kin = 'spouse';
+      for (const [self, other] of [[a, b], [b, a]]) {
+        adjustMood(self, CONFIG.COUPLE_JOY, 'courtship');
+        addMemory(self, 'event', `${getDisplayName(other)} and I have made a life together.`, state.tick);
+      }
+      addLog(state, `${getDisplayName(a)} and ${getDisplayName(b)} have become a couple.`);
+      emit(EVENTS.COUPLE_FORMED, { dwarves: [a, b], worldState: state });
+      couples.push([a, b]);
+    }
+  }
+  return couples;
+}
+
+/**
+ * Whether a couple may have a child today (before the dice)
+ */
+function canHaveChild(a, b, state) {
+  const children = a.childIds?.filter(id => b.childIds?.includes(id)).length || 0;
+  const lastBirth = Math.max(a.lastBirthTick ?? -Infinity, b.lastBirthTick ?? -Infinity);
+  return a.age <= CONFIG.FERTILE_AGE && b.age <= CONFIG.FERTILE_AGE &&
+    children < CONFIG.MAX_CHILDREN &&
+    state.tick - lastBirth >= CONFIG.BIRTH_SPACING &&
+    a.captiveOf == null && b.captiveOf == null;
+}
+
+/**
+ * A child is born to a couple, beside the first parent
+ * @returns {object} The child
+ */
+export function bearChild(state, a, b) {
+  const child = createDwarf(a.x, a.y);
+  child.age = 0;
+  child.child = true;
+  child.bornTick = state.tick;
+  child.hp = CONFIG.CHILD_HP;
+  child.maxHp = CONFIG.CHILD_HP;
+  child.damage = CONFIG.CHILD_DAMAGE;
+  child.fleeThreshold = CONFIG.CHILD_FLEE;
+
+  // Something of each parent's temperament
+  for (const trait of Object.keys(child.personality)) {
+    const pa = a.personality?.[trait];
+    const pb = b.personality?.[trait];
+    if (typeof pa !== 'number' || typeof pb !== 'number') continue;
+    child.personality[trait] = (pa + pb) / 2 * CONFIG.INHERITANCE +
+      child.personality[trait] * (1 - CONFIG.INHERITANCE);
+  }
+
+  child.lineage = {
+    parentIds: [a.id, b.id],
+    parentNames: [getDisplayName(a), getDisplayName(b)],
+    grandparentNames: [...(a.lineage?.parentNames || []), ...(b.lineage?.parentNames || [])],
+  };
+  child.generatedBio = withLineage(child.generatedBio, child);
+
+  const siblingIds = (a.childIds || []).filter(id => b.childIds?.includes(id));
+  for (const parent of [a, b]) {
+    befriend(parent, child, CONFIG.FAMILY_AFFINITY, state.tick, 'child');
+    befriend(child, parent, CONFIG.FAMILY_AFFINITY, state.tick, 'parent');
+    parent.childIds = [...(parent.childIds || []), child.id];
+    parent.lastBirthTick = state.tick;
+    adjustMood(parent, CONFIG.BIRTH_JOY, 'birth');
+    addMemory(parent, 'event', `My child ${getDisplayName(child)} was born.`, state.tick);
+  }
+  for (const sibling of state.dwarves.filter(d => siblingIds.includes(d.id))) {
+    befriend(sibling, child, CONFIG.SIBLING_AFFINITY, state.tick, 'sibling');
+    befriend(child, sibling, CONFIG.SIBLING_AFFINITY, state.tick, 'sibling');
+  }
+
+  state.dwarves.push(child);
+  births++;
+  addLog(state, `${getDisplayName(a)} and ${getDisplayName(b)} welcome a child, ${getDisplayName(child)}.`);
+  emit(EVENTS.DWARF_BORN, { child, parents: [a, b], worldState: state });
+  return child;
+}
+
+/**
+ * Children age ADULT_AGE years over GROW_UP_SEASONS seasons; at ADULT_AGE
+ * they come of age and take up their full strength and labors
+ */
+function growUp(state) {
+  const yearsPerDay = CONFIG.ADULT_AGE / (CONFIG.GROW_UP_SEASONS * DAYS_PER_SEASON);
+  for (const dwarf of state.dwarves) {
+    if (!dwarf.child || dwarf.hp <= 0) continue;
+    dwarf.age += yearsPerDay;
+    if (dwarf.age < CONFIG.ADULT_AGE) continue;
+
+    dwarf.age = CONFIG.ADULT_AGE;
+    dwarf.child = false;
+    dwarf.hp += CONFIG.ADULT_HP - dwarf.maxHp;
+    dwarf.maxHp = CONFIG.ADULT_HP;
+    dwarf.damage = CONFIG.ADULT_DAMAGE;
+    dwarf.fleeThreshold = CONFIG.ADULT_FLEE;
+    addMemory(dwarf, 'event', 'I came of age.', state.tick);
+    addLog(state, `${getDisplayName(dwarf)} has come of age.`);
+    emit(EVENTS.DWARF_CAME_OF_AGE, { dwarf, worldState: state });
+  }
+}
+
+/**
+ * Seasonal migrant waves; daily courtship, births and growing up
+ */
+export function tickPopulation(state) {
+  if (state.tick > 0 && state.tick % TICKS_PER_SEASON === 0 && random() < CONFIG.WAVE_CHANCE) {
+    spawnMigrantWave(state, getMigrantWaveSize(state));
+  }
+
+  if (state.tick % TICKS_PER_DAY !== 0) return;
+
+  growUp(state);
+  formCouples(state);
+
+  for (const a of state.dwarves.slice()) {
+    const b = getSpouse(a, state);
+    if (a.hp <= 0 || !b || a.id > b.id || !canHaveChild(a, b, state)) continue;
+    if (getPopulationRoom(state) === 0) break;
+    if (random() < CONFIG.BIRTH_CHANCE) bearChild(state, a, b);
+  }
+}
+
+// === LINEAGE ===
+
+/**
+ * Where a newcomer comes from: "Child of Urist and Kadol, grandchild of
+ * Bomrek.", "Came to the fortress with the summer migrants of day 31." or
+ * "A human refugee who found shelter in the fortress on day 40."
+ * @returns {string|null} Null for the founders
+ */
+export function describeLineage(dwarf) {
+  const lineage = dwarf.lineage;
+  if (lineage?.parentNames?.length) {
+    const grand = lineage.grandparentNames?.length
+      ? `, grandchild of ${joinNames(lineage.grandparentNames)}`
+      : '';
+    return `Child of ${joinNames(lineage.parentNames)}${grand}.`;
+  }
+  if (dwarf.arrival) {
+    return `Came to the fortress with the ${dwarf.arrival.season} migrants of day ${dwarf.arrival.day}.`;
+  }
+  if (dwarf.joinedAs) {
+    const { kind, race, role, day } = dwarf.joinedAs;
+    const article = /^[aeiou]/.test(race) ? 'An' : 'A';
+    return `${article} ${race} ${role} who ${JOINED_AS[kind] || 'joined the fortress'} on day ${day}.`;
+  }
+  return null;
+}
+
+/**
+ * A bio with the dwarf's lineage line after it
+ */
+export function withLineage(bio, dwarf) {
+  const lineage = describeLineage(dwarf);
+  if (!lineage) return bio;
+  return bio ? `${bio} ${lineage}` : lineage;
+}
+
+function joinNames(names) {
+  if (names.length <= 2) return names.join(' and ');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Raise one dwarf's regard for another to at least `affinity`
+ */
+function befriend(dwarf, other, affinity, tick, kin = null) {
+  const rel = dwarf.relationships[other.id] ||
+    (dwarf.relationships[other.id] = { affinity: 0, interactions: 0, lastInteraction: tick, conversationLog: [] });
+  rel.affinity = Math.max(rel.affinity, affinity);
+  if (kin) rel.kin = kin;
+}
+
+/**
+ * Apply a generated name and bio for a newcomer (input-log handler, so
+ * replays rename them without calling the LLM)
+ */
+function applyNewcomerName(state, { dwarfId, name, bio }) {
+  const dwarf = state.dwarves.find(d => d.id === dwarfId);
+  if (!dwarf || !name) return false;
+  dwarf.generatedName = name;
+  dwarf.generatedBio = withLineage(bio, dwarf);
+  return true;
+}
+
+registerInputHandler(INPUT_KIND.NEWCOMER, applyNewcomerName);
@@ -0,0 +1,277 @@
+/**
+ * Production Orders
+ * The manager's standing orders for the workshops. An order names a recipe
+ * from RECIPES and either a number of jobs to run ("make 5 wooden
+ * furniture", optionally repeated each day) or a stock level to hold ("keep
+ * 10 stone blocks"). Orders may also wait on stock conditions ("only while
+ * stone is at least 20").
+ *
+ * dispatchProductionOrders runs from the world tick: each order that still
+ * wants work and whose conditions hold queues a crafting job at every
+ * matching workshop (getWorkshops) that has the materials within reach and
+ * no job of that order yet. dwarfAI credits the order when one of its jobs
+ * finishes. While any order is active the dwarves queue no crafting of
+ * their own (maybeQueueCraftingJobs).
+ *
+ * Orders arrive from the manager panel between ticks, so they go through
+ * the input log like designations.
+ */
+
+import {
+  RECIPES,
+  createCraftingJob,
+  cancelCraftingJob,
+  getCraftingJobs,
+  getSuppliedWorkshops,
+} from './crafting.js';
+import { countGoods } from './stockpiles.js';
+import { nextId } from './entities.js';
+import { getCalendar } from './clock.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+
+export const ORDER_MODE = {
+  MAKE: 'make',   // Run `amount` jobs (again each day when repeating)
+  KEEP: 'keep',   // Hold `amount` of the recipe's output in stock
+};
+
+export const CONDITION = {
+  BELOW: 'below',
+  AT_LEAST: 'atLeast',
+};
+
+let orders = [];
+
+/**
+ * Initialize production orders
+ */
+export function initProductionOrders() {
+  orders = [];
+}
+
+/**
+ * Snapshot production orders for a save
+ */
+export function exportProductionOrderState() {
+  return { orders };
+}
+
+/**
+ * Restore production orders from a save. Orders for recipes that no longer
+ * exist are dropped.
+ */
+export function importProductionOrderState(data) {
+  orders = (data?.orders || []).filter(order => RECIPES[order.recipeId]);
+}
+
+/**
+ * Get all production orders, oldest first
+ */
+export function getProductionOrders() {
+  return orders;
+}
+
+/**
+ * Whether the player has orders the workshops should be working to
+ */
+export function hasActiveOrders() {
+  return orders.some(order => !order.suspended);
+}
+
+/**
+ * Goods a condition can be put on: every recipe material and product
+ */
+export function getStockTypes() {
+  const types = new Set();
+  for (const recipe of Object.values(RECIPES)) {
+    for (const mat of recipe.materials) types.add(mat.type);
+    types.add(recipe.output.type);
+  }
+  return [...types];
+}
+
+// === DISPATCH ===
+
+function conditionsMet(order, state) {
+  return order.conditions.every(({ type, comparison, amount }) => {
+    const stock = countGoods(state, type);
+    return comparison === CONDITION.BELOW ? stock < amount : stock >= amount;
+  });
+}
+
+/**
+ * Jobs an order still wants queued, over the ones it already has
+ */
+function jobsWanted(order, state) {
+  const recipe = RECIPES[order.recipeId];
+  if (order.mode === ORDER_MODE.KEEP) {
+    const { type, material, amount: perJob } = recipe.output;
+    const expected = countGoods(state, type, material) + order.jobIds.length * perJob;
+    return Math.ceil((order.amount - expected) / perJob);
+  }
+  return order.amount - order.done - order.jobIds.length;
+}
+
+/**
+ * Whether a make order has run all its jobs for now
+ */
+function isBatchDone(order) {
+  return order.mode === ORDER_MODE.MAKE && order.done >= order.amount;
+}
+
+/**
+ * Queue crafting jobs for the orders. Called periodically from the world
+ * tick; cheap when no order wants work.
+ */
+export function dispatchProductionOrders(state) {
+  const queued = new Map(getCraftingJobs().map(job => [job.id, job]));
+  const day = getCalendar(state.tick).day;
+
+  for (const order of orders) {
+    // Forget jobs that are gone without being credited (withdrawn, or lost
+    // with their workshop on load)
+    order.jobIds = order.jobIds.filter(id => queued.has(id));
+    if (order.suspended) continue;
+
+    if (isBatchDone(order)) {
+      if (!order.repeat || day <= order.completedDay) continue;
+      order.done = 0;
+    }
+
+    let wanted = jobsWanted(order, state);
+    if (wanted <= 0 || !conditionsMet(order, state)) continue;
+
+    const busy = new Set(order.jobIds.map(id => queued.get(id).workshopId));
+    for (const workshop of getSuppliedWorkshops(order.recipeId, state)) {
+      if (wanted <= 0) break;
+      if (busy.has(workshop.id)) continue;
+      const task = createCraftingJob(order.recipeId, workshop.id, state);
+      if (!task) continue;
+      task.target.job.orderId = order.id;
+      order.jobIds.push(task.target.job.id);
+      wanted--;
+    }
+  }
+}
+
+/**
+ * Count a finished crafting job against its order
+ * @param {object} job - The completed crafting job
+ */
+export function creditProductionOrder(job, state) {
+  const order = job.orderId != null ? orders.find(o => o.id === job.orderId) : null;
+  if (!order) return;
+
+  order.jobIds = order.jobIds.filter(id => id !== job.id);
+  order.done++;
+
+  if (isBatchDone(order)) {
+    order.completedDay = getCalendar(state.tick).day;
+    addLog(state, `Work order complete: ${order.amount} ${RECIPES[order.recipeId].name}.`);
+  }
+}
+
+/**
+ * Withdraw an order's jobs nobody has started; started ones run to the end
+ */
+function withdrawUnstartedJobs(order) {
+  const queued = new Map(getCraftingJobs().map(job => [job.id, job]));
+  for (const id of order.jobIds) {
+    const job = queued.get(id);
+    if (job && !job.materialsReserved) cancelCraftingJob(id);
+    else if (job) job.orderId = null;
+  }
+  order.jobIds = [];
+}
+
+/**
+ * Progress line for the manager panel
+ */
+export function describeOrderProgress(order, state) {
+  const recipe = RECIPES[order.recipeId];
+  let progress;
+  if (order.mode === ORDER_MODE.KEEP) {
+    const { type, material } = recipe.output;
+    progress = `${countGoods(state, type, material)}/${order.amount} in stock`;
+  } else {
+    progress = `${order.done}/${order.amount} done`;
+  }
+
+  let status;
+  if (order.suspended) status = 'suspended';
+  else if (order.jobIds.length > 0) status = `${order.jobIds.length} queued`;
+  else if (isBatchDone(order)) status = order.repeat ? 'again tomorrow' : 'finished';
+  else if (jobsWanted(order, state) <= 0) status = 'stocked';
+  else if (!conditionsMet(order, state)) status = 'waiting on conditions';
+  else status = 'waiting on materials';
+
+  return `${progress} · ${status}`;
+}
+
+// === PLAYER ORDERS ===
+
+/**
+ * Add, suspend or remove a production order from the manager panel
+ * (through the input log)
+ * @param {object} state - World state
+ * @param {object} order - { action: 'add', recipeId, mode, amount, repeat?, conditions? }
+ *                       | { action: 'suspend', orderId, suspended }
+ *                       | { action: 'remove', orderId }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function issueProductionOrder(state, order) {
+  return submitInput(state, INPUT_KIND.PRODUCTION, order);
+}
+
+/**
+ * Apply a production order
+ * @returns {object|boolean|null} The new order for 'add' (null if invalid), else whether it applied
+ */
+export function applyProductionOrder(state, { action, orderId, recipeId, mode, amount, repeat, conditions, suspended }) {
+  switch (action) {
+    case 'add': {
+      const recipe = RECIPES[recipeId];
+      if (!recipe || !Object.values(ORDER_MODE).includes(mode) || !(amount >= 1)) return null;
+
+      const order = {
+        id: nextId(),
+        recipeId,
+        mode,
+        amount: Math.floor(amount),
+        repeat: mode === ORDER_MODE.MAKE && !!repeat,
+        conditions: (conditions || [])
+          .filter(c => typeof c.type === 'string' && Object.values(CONDITION).includes(c.comparison) && c.amount >= 0)
+          .map(c => ({ type: c.type, comparison: c.comparison, amount: Math.floor(c.amount) })),
+        done: 0,
+        jobIds: [],
+        completedDay: 0,
+        suspended: false,
+      };
+      orders.push(order);
+
+      const what = mode === ORDER_MODE.KEEP
+        ? `keep ${order.amount} ${recipe.name} in stock`
+        : `make ${order.amount} ${recipe.name}${order.repeat ? ' every day' : ''}`;
+      addLog(state, `Work order placed: ${what}.`);
+      return order;
+    }
+    case 'suspend': {
+      const order = orders.find(o => o.id === orderId);
+      if (!order) return false;
+      order.suspended = !!suspended;
+      if (order.suspended) withdrawUnstartedJobs(order);
+      return true;
+    }
+    case 'remove': {
+      const idx = orders.findIndex(o => o.id === orderId);
+      if (idx === -1) return false;
+      withdrawUnstartedJobs(orders[idx]);
+      orders.splice(idx, 1);
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+registerInputHandler(INPUT_KIND.PRODUCTION, applyProductionOrder);
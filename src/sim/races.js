@@ -15,6 +15,7 @@ export const VISITOR_ROLE = Object.freeze({
   SCOUT: 'scout',
   MISSIONARY: 'missionary',
   DIPLOMAT: 'diplomat',
+  REFUGEE: 'refugee',     // Fleeing an old war; asks to stay (settlers.js)
 });
 
 export const RACE_CONFIG = Object.freeze({
@@ -88,6 +89,12 @@ export const ROLE_CONFIG = Object.freeze({
     satisfactionThreshold: 40,
     fleeThreshold: 0.5,
   },
+  [VISITOR_ROLE.REFUGEE]: {
+    goal: 'refuge',
+    combatBehavior: 'pacifist',
+    satisfactionThreshold: 100,
+    fleeThreshold: 0.6,
+  },
 });
 
 /**
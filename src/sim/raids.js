@@ -0,0 +1,555 @@
+/**
+ * Raids
+ * Goblin threat grows with the fortress. The spawner hands goblin arrivals
+ * to musterGoblins: while the goblins know nothing fresh of the fortress
+ * they send a few scouts, and a scout who gets away alive reports what it
+ * saw (reportBack) — the colony's wealth in structures and crafted goods.
+ * The next goblin arrival acts on that report with a raid wave sized by the
+ * threat (getThreatLevel: wealth plus bad blood). Bigger waves march under
+ * a warchief; when the warchief falls the rest break and run. The biggest
+ * pitch a siege camp a few tiles in from their edge (edges.js findCampSite)
+ * and wait there until the camp is discovered or the wait runs out.
+ *
+ * Each raider in a wave is given an objective: attack like the raiders of
+ * old, steal goods from the ground, carry off a dwarf, or put a structure
+ * to the torch. Raiders who can't find their prize, or spend too long at
+ * it, fall back to attacking. Loot and captives that reach the map edge
+ * are gone for good; a thief or kidnapper cut down drops what they held.
+ *
+ * A non-aggression pact with the goblins (diplomacy.js) holds back the
+ * waves: scouts still come, raiders don't.
+ */
+
+import { RACE, VISITOR_ROLE } from './races.js';
+import { VISITOR_STATE, createVisitor } from './visitors.js';
+import { HISTORICAL_EVENT, getDwarfRelation, recordVisitorOutcome } from './history.js';
+import { getTradeGoods, getItemValue, describeItem } from './trade.js';
+import { hasNonAggressionPact } from './diplomacy.js';
+import { getStructures, destroyStructure } from './construction.js';
+import { getCraftingJobs, cancelCraftingJob } from './crafting.js';
+import { HAUL_KIND, getStockpiles, removeStockpile, pickUp, dropCarried } from './stockpiles.js';
+import { findCampSite, findExitPosition, getRandomPositionOnEdge } from './edges.js';
+import { isPassable } from './movement.js';
+import { nextId, distance, getDisplayName } from './entities.js';
+import { random } from './rng.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+
+const CONFIG = {
+  STRUCTURE_WEALTH: 20,      // Wealth a finished structure adds
+  WEALTH_PER_THREAT: 60,
+  HOSTILITY_PER_THREAT: 25,  // Relation below zero per point of threat
+  INTEL_TICKS: 3600,         // A scout's report goes stale after three days
+  SCOUT_PARTY: { min: 1, max: 3 },
+  WAVE: { min: 3, max: 10 },
+  LEADER_THREAT: 2,          // Waves this threatening march under a warchief
+  LEADER_HP: 2,              // Warchief multipliers on a raider's stats
+  LEADER_DAMAGE: 1.5,        // ...on every blow, armed or bare (damageMultiplier)
+  LEADER_FLEE: 0.15,
+  SIEGE_THREAT: 5,           // ... and this threatening make camp first
+  CAMP_DEPTH: 4,
+  CAMP_TICKS: 400,           // Longest the camp waits before the assault
+  CAMP_ALERT: 8,             // A dwarf this close to the camp sets it off
+  OBJECTIVE_TICKS: 400,      // Time for an objective before just attacking
+  ASSAULT_TICKS: 1200,       // A day of fighting before the survivors withdraw
+  BURN_TICKS: 30,
+  KIDNAP_CHANCE: 0.05,       // Per tick beside the victim
+};
+
+export const RAID_OBJECTIVE = {
+  ATTACK: 'attack',
+  STEAL: 'steal',
+  KIDNAP: 'kidnap',
+  BURN: 'burn',
+};
+
+export const RAID_STATUS = {
+  CAMPED: 'camped',
+  ASSAULT: 'assault',
+  OVER: 'over',
+};
+
+let raids = [];
+let intel = null;  // { wealth, tick } from the last scout home
+
+/**
+ * Initialize raids (no raids, nothing scouted)
+ */
+export function initRaids() {
+  raids = [];
+  intel = null;
+}
+
+/**
+ * Snapshot raids and scouting intel for a save
+ */
+export function exportRaidState() {
+  return { raids, intel };
+}
+
+/**
+ * Restore raids and scouting intel from a save
+ */
+export function importRaidState(data) {
+  raids = data?.raids || [];
+  intel = data?.intel || null;
+}
+
+/**
+ * All raids, oldest first
+ */
+export function getRaids() {
+  return raids;
+}
+
+/**
+ * The raid under way, if any
+ */
+export function getActiveRaid() {
+  return raids.find(r => r.status !== RAID_STATUS.OVER) || null;
+}
+
+/**
+ * What the goblins last learned of the fortress, if anything
+ */
+export function getIntel() {
+  return intel;
+}
+
+function getRaid(id) {
+  return id == null ? null : raids.find(r => r.id === id) || null;
+}
+
+// === THREAT ===
+
+/**
+ * What the fortress is worth to a raider: its finished structures and the
+ * crafted goods lying on the map
+ */
+export function getColonyWealth(state) {
+  const built = getStructures().filter(s => s.complete).length;
+  const goods = getTradeGoods(state).reduce((sum, item) => sum + getItemValue(item), 0);
+  return built * CONFIG.STRUCTURE_WEALTH + goods;
+}
+
+/**
+ * How hard the goblins come: the fortress's wealth (as scouted, or as it
+ * stands) plus their hostility toward the dwarves
+ */
+export function getThreatLevel(state, wealth = getColonyWealth(state)) {
+  const relation = state.history ? getDwarfRelation(state.history, RACE.GOBLIN) : 0;
+  return wealth / CONFIG.WEALTH_PER_THREAT + Math.max(0, -relation) / CONFIG.HOSTILITY_PER_THREAT;
+}
+
+// === MUSTER ===
+
+/**
+ * Goblins the spawner sends: scouts while the goblins have nothing fresh
+ * to go on (or a raid is already under way, a pact holds, or the map has
+ * no room for a wave), else a raid wave built from the scouts' report
+ * @param {object} state - World state
+ * @param {object} spawnPos - { x, y, edge }
+ * @param {object} [historyContext] - createVisitor's { history, modifiers }
+ * @param {number} [room] - Most visitors the map has room for
+ * @returns {object[]} The arriving group
+ */
+export function musterGoblins(state, spawnPos, historyContext = {}, room = Infinity) {
+  const fresh = intel && state.tick - intel.tick <= CONFIG.INTEL_TICKS;
+  if (!fresh || getActiveRaid() || hasNonAggressionPact(RACE.GOBLIN) || room < CONFIG.WAVE.min) {
+    return sendScouts(spawnPos, historyContext, room);
+  }
+  return launchRaid(state, spawnPos, historyContext, room);
+}
+
+function rollSize({ min, max }) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Raise a group like createVisitorGroup does, with every member the same role
+ */
+function raiseGroup(spawnPos, role, size, historyContext) {
+  const groupId = `group_${nextId()}`;
+  const group = [];
+  for (let i = 0; i < size; i++) {
+    const visitor = createVisitor(spawnPos.x + (i % 3) - 1, spawnPos.y + Math.floor(i / 3) - 1,
+      RACE.GOBLIN, role, historyContext);
+    visitor.groupId = groupId;
+    visitor.groupLeader = i === 0;
+    group.push(visitor);
+  }
+  return group;
+}
+
+function sendScouts(spawnPos, historyContext, room) {
+  const size = Math.max(1, Math.min(room, rollSize(CONFIG.SCOUT_PARTY)));
+  return raiseGroup(spawnPos, VISITOR_ROLE.SCOUT, size, historyContext);
+}
+
+function launchRaid(state, spawnPos, historyContext, room) {
+  const threat = getThreatLevel(state, intel.wealth);
+  const wanted = Math.max(CONFIG.WAVE.min, Math.min(CONFIG.WAVE.max, CONFIG.WAVE.min + Math.floor(threat)));
+  const size = Math.min(room, wanted);
+  intel = null;
+
+  const camp = threat >= CONFIG.SIEGE_THREAT ? findCampSite(state.map, spawnPos.edge, CONFIG.CAMP_DEPTH) : null;
+  const group = raiseGroup(spawnPos, VISITOR_ROLE.RAIDER, size, historyContext);
+  const raid = {
+    id: nextId(),
+    groupId: group[0].groupId,
+    edge: spawnPos.edge,
+    camp: camp ? { x: camp.x, y: camp.y } : null,
+    status: camp ? RAID_STATUS.CAMPED : RAID_STATUS.ASSAULT,
+    threat: Math.round(threat * 10) / 10,
+    size,
+    leaderId: null,
+    musteredTick: state.tick,
+    assaultTick: camp ? null : state.tick,
+    withdrawn: false,
+    stolen: 0,
+    taken: 0,
+    burned: 0,
+    routed: false,
+  };
+
+  const leader = threat >= CONFIG.LEADER_THREAT ? crownWarchief(group[0], raid) : null;
+  for (const visitor of group) {
+    visitor.raidId = raid.id;
+    visitor.objective = visitor === leader ? RAID_OBJECTIVE.ATTACK : pickObjective(state, !!leader);
+    visitor.objectiveTicks = 0;
+  }
+  raids.push(raid);
+
+  const ledBy = leader ? `, led by ${leader.name}` : '';
+  addLog(state, camp
+    ? `A goblin war band of ${size} makes camp by the ${raid.edge} edge${ledBy}.`
+    : `A goblin raid of ${size} comes over the ${raid.edge} edge${ledBy}!`);
+  emit(EVENTS.RAID_ARRIVED, { raid, group, worldState: state });
+  return group;
+}
+
+function crownWarchief(visitor, raid) {
+  visitor.raidLeader = true;
+  visitor.maxHp = Math.round(visitor.maxHp * CONFIG.LEADER_HP);
+  visitor.hp = visitor.maxHp;
+  visitor.damageMultiplier = CONFIG.LEADER_DAMAGE;
+  visitor.fleeThreshold = CONFIG.LEADER_FLEE;
+  visitor.name = visitor.name.replace('the Raider', 'the Warchief');
+  raid.leaderId = visitor.id;
+  return visitor;
+}
+
+/**
+ * What a raider sets out to do. Kidnapping takes an organised raid — one
+ * with a warchief.
+ */
+function pickObjective(state, led) {
+  const choices = [RAID_OBJECTIVE.ATTACK];
+  if ((state.resources || []).some(item => item.amount > 0)) choices.push(RAID_OBJECTIVE.STEAL);
+  if (getStructures().some(s => s.complete)) choices.push(RAID_OBJECTIVE.BURN);
+  if (led) choices.push(RAID_OBJECTIVE.KIDNAP);
+  return choices[Math.floor(random() * choices.length)];
+}
+
+// === RAIDER DECISIONS ===
+
+/**
+ * A raid member's decision (visitorAI decideRaider): camp while the siege
+ * waits, carry the prize home, or work the objective. Null leaves the
+ * raider to the plain hunt for the nearest dwarf.
+ * @returns {{ state, target }|null}
+ */
+export function decideRaidObjective(visitor, state) {
+  const raid = getRaid(visitor.raidId);
+  if (!raid) return null;
+
+  if (raid.status === RAID_STATUS.CAMPED) {
+    return { state: VISITOR_STATE.CAMPING, target: raid.camp };
+  }
+
+  // Prize in hand: home by the way they came
+  if (visitor.carrying || visitor.captive != null) {
+    return { state: VISITOR_STATE.LEAVING, target: findRetreat(visitor, state) };
+  }
+
+  visitor.objectiveTicks = (visitor.objectiveTicks || 0) + 1;
+  if (visitor.objectiveTicks > CONFIG.OBJECTIVE_TICKS) visitor.objective = RAID_OBJECTIVE.ATTACK;
+
+  switch (visitor.objective) {
+    case RAID_OBJECTIVE.STEAL:
+      return decideSteal(visitor, state);
+    case RAID_OBJECTIVE.BURN:
+      return decideBurn(visitor, raid, state);
+    case RAID_OBJECTIVE.KIDNAP:
+      return decideKidnap(visitor, raid, state);
+    default:
+      return null;
+  }
+}
+
+function giveUp(visitor) {
+  visitor.objective = RAID_OBJECTIVE.ATTACK;
+  return null;
+}
+
+function findRetreat(visitor, state) {
+  if (!visitor.retreat) {
+    const home = getRandomPositionOnEdge(state.map, visitor.entryEdge) || findExitPosition(visitor, state.map);
+    visitor.retreat = home ? { x: home.x, y: home.y } : null;
+  }
+  return visitor.retreat;
+}
+
+/**
+ * The good most worth the walk: value over distance
+ */
+function findLoot(visitor, state) {
+  let best = null;
+  let bestScore = 0;
+  for (const item of state.resources || []) {
+    if (item.amount <= 0) continue;
+    const score = getItemValue(item) / (distance(visitor, item) + 10);
+    if (score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  }
+  if (best && best.id == null) best.id = nextId();
+  return best;
+}
+
+function decideSteal(visitor, state) {
+  const loot = findLoot(visitor, state);
+  if (!loot) return giveUp(visitor);
+
+  if (distance(visitor, loot) <= 1) {
+    pickUp(visitor, { kind: HAUL_KIND.RESOURCE, itemId: loot.id }, state);
+    addLog(state, `${visitor.name} snatches ${loot.amount} ${describeItem(loot)}!`);
+    return { state: VISITOR_STATE.LEAVING, target: findRetreat(visitor, state) };
+  }
+  return { state: VISITOR_STATE.RAIDING, target: { x: loot.x, y: loot.y } };
+}
+
+function touches(visitor, structure) {
+  return visitor.x >= structure.x - 1 && visitor.x <= structure.x + structure.width &&
+    visitor.y >= structure.y - 1 && visitor.y <= structure.y + structure.height;
+}
+
+/**
+ * Nearest open tile alongside a structure to set the torch from
+ */
+function findTorchSpot(visitor, structure, state) {
+  let best = null;
+  let bestDist = Infinity;
+  for (let y = structure.y - 1; y <= structure.y + structure.height; y++) {
+    for (let x = structure.x - 1; x <= structure.x + structure.width; x++) {
+      const inside = x >= structure.x && x < structure.x + structure.width &&
+        y >= structure.y && y < structure.y + structure.height;
+      if (inside || !isPassable(state, x, y)) continue;
+      const dist = distance(visitor, { x, y });
+      if (dist < bestDist) {
+        best = { x, y };
+        bestDist = dist;
+      }
+    }
+  }
+  return best;
+}
+
+function decideBurn(visitor, raid, state) {
+  const built = getStructures().filter(s => s.complete);
+  let structure = built.find(s => s.id === visitor.burnTarget);
+  if (!structure) {
+    structure = built.reduce((best, s) => (!best || distance(visitor, s) < distance(visitor, best) ? s : best), null);
+    const spot = structure && findTorchSpot(visitor, structure, state);
+    if (!spot) return giveUp(visitor);
+    visitor.burnTarget = structure.id;
+    visitor.burnProgress = 0;
+    visitor.torchSpot = spot;
+  }
+
+  if (!touches(visitor, structure)) {
+    return { state: VISITOR_STATE.RAIDING, target: visitor.torchSpot };
+  }
+
+  // At the walls: a null target holds them there (visitorAI actRaiding)
+  visitor.burnProgress++;
+  if (visitor.burnProgress === 1) addLog(state, `${visitor.name} sets a torch to the ${structure.name}!`);
+  if (visitor.burnProgress >= CONFIG.BURN_TICKS) {
+    burnStructure(structure, visitor, raid, state);
+    visitor.burnTarget = null;
+    return giveUp(visitor);
+  }
+  return { state: VISITOR_STATE.RAIDING, target: null };
+}
+
+/**
+ * Burn a structure down, with the work that ran out of it
+ */
+function burnStructure(structure, raider, raid, state) {
+  for (const job of getCraftingJobs().filter(j => j.workshopId === structure.id)) {
+    cancelCraftingJob(job.id);
+  }
+  for (const stockpile of getStockpiles().filter(s => s.structureId === structure.id)) {
+    removeStockpile(stockpile.id);
+  }
+  destroyStructure(structure.id, state);
+  raid.burned++;
+  addLog(state, `The ${structure.name} burns to the ground!`);
+  emit(EVENTS.STRUCTURE_BURNED, { structure, raider, worldState: state });
+}
+
+function decideKidnap(visitor, raid, state) {
+  let victim = null;
+  for (const dwarf of state.dwarves) {
+    if (dwarf.hp <= 0 || dwarf.captiveOf != null) continue;
+    if (!victim || distance(visitor, dwarf) < distance(visitor, victim)) victim = dwarf;
+  }
+  if (!victim) return giveUp(visitor);
+
+  if (distance(visitor, victim) > 1) {
+    return { state: VISITOR_STATE.RAIDING, target: { x: victim.x, y: victim.y } };
+  }
+  // Grappling (and, being aggressive, striking) until a grab holds
+  if (random() >= CONFIG.KIDNAP_CHANCE) return { state: VISITOR_STATE.RAIDING, target: null };
+
+  seize(visitor, victim, state);
+  return { state: VISITOR_STATE.LEAVING, target: findRetreat(visitor, state) };
+}
+
+function seize(visitor, dwarf, state) {
+  if (dwarf.carrying) dropCarried(dwarf, state);
+  dwarf.currentTask = null;
+  dwarf.captiveOf = visitor.id;
+  visitor.captive = dwarf.id;
+  addLog(state, `${visitor.name} seizes ${getDisplayName(dwarf)} and drags them off!`);
+}
+
+function release(dwarf, state) {
+  dwarf.captiveOf = null;
+  addLog(state, `${getDisplayName(dwarf)} breaks free of the goblins!`);
+}
+
+// === ESCAPES ===
+
+/**
+ * A goblin left the map alive (visitorAI, leaving or fleeing): a scout
+ * takes its report home, a thief its loot, a kidnapper its captive
+ */
+export function recordEscape(visitor, state) {
+  if (visitor.race !== RACE.GOBLIN) return;
+
+  if (visitor.role === VISITOR_ROLE.SCOUT) {
+    reportBack(visitor, state);
+    return;
+  }
+
+  const raid = getRaid(visitor.raidId);
+  if (raid?.leaderId === visitor.id) raid.leaderId = null; // Gone home, not fallen
+
+  if (visitor.carrying) {
+    addLog(state, `${visitor.name} escapes with ${visitor.carrying.item.amount} ${describeItem(visitor.carrying.item)}.`);
+    visitor.carrying = null;
+    if (raid) raid.stolen++;
+    recordVisitorOutcome(state, HISTORICAL_EVENT.FORTRESS_PLUNDERED, visitor);
+  }
+
+  if (visitor.captive != null) {
+    const idx = state.dwarves.findIndex(d => d.id === visitor.captive);
+    visitor.captive = null;
+    if (idx === -1) return;
+    const [dwarf] = state.dwarves.splice(idx, 1);
+    if (raid) raid.taken++;
+    addLog(state, `${getDisplayName(dwarf)} has been carried off by the goblins!`);
+    recordVisitorOutcome(state, HISTORICAL_EVENT.DWARF_TAKEN, visitor);
+    emit(EVENTS.DWARF_KIDNAPPED, { dwarf, captor: visitor, worldState: state });
+  }
+}
+
+/**
+ * A scout home with news: what the fortress is worth
+ */
+export function reportBack(scout, state) {
+  intel = { wealth: getColonyWealth(state), tick: state.tick };
+  addLog(state, `${scout.name} slips away to report on the fortress.`);
+}
+
+// === UPKEEP ===
+
+/**
+ * Hold captives to their captors, break camp when the siege is found out or
+ * has waited long enough, call off an assault that has gone on a day, rout
+ * a wave whose warchief fell, and close raids with nobody left on the map. Called from the world tick after the
+ * visitors move.
+ */
+export function tickRaids(state) {
+  const byId = new Map((state.visitors || []).map(v => [v.id, v]));
+  const alive = (id) => {
+    const visitor = byId.get(id);
+    // A raider taken prisoner (settlers.js) holds nobody and leads nobody
+    return visitor && visitor.state !== VISITOR_STATE.DEAD && visitor.state !== VISITOR_STATE.PRISONER &&
+      visitor.hp > 0 ? visitor : null;
+  };
+
+  for (const dwarf of state.dwarves) {
+    if (dwarf.captiveOf == null) continue;
+    const captor = alive(dwarf.captiveOf);
+    if (!captor || captor.captive !== dwarf.id) {
+      release(dwarf, state);
+      if (captor) captor.captive = null;
+      continue;
+    }
+    dwarf.x = captor.x;
+    dwarf.y = captor.y;
+  }
+
+  for (const raid of raids) {
+    if (raid.status === RAID_STATUS.OVER) continue;
+    const members = (state.visitors || []).filter(v => v.raidId === raid.id && v.state !== VISITOR_STATE.DEAD);
+
+    if (members.length === 0) {
+      endRaid(raid, state);
+      continue;
+    }
+
+    if (raid.status === RAID_STATUS.CAMPED && siegeBroken(raid, members, state)) {
+      raid.status = RAID_STATUS.ASSAULT;
+      raid.assaultTick = state.tick;
+      addLog(state, 'The goblins break camp and storm the fortress!');
+      emit(EVENTS.RAID_ASSAULT, { raid, worldState: state });
+    }
+
+    if (raid.status === RAID_STATUS.ASSAULT && !raid.withdrawn &&
+        state.tick - raid.assaultTick >= CONFIG.ASSAULT_TICKS) {
+      raid.withdrawn = true;
+      for (const visitor of members) visitor.satisfaction = visitor.satisfactionThreshold;
+      addLog(state, 'The goblins fall back from the fortress.');
+    }
+
+    if (raid.leaderId != null && !raid.routed && !alive(raid.leaderId)) {
+      raid.routed = true;
+      for (const visitor of members) visitor.routed = true;
+      addLog(state, 'With their warchief fallen, the goblins break and run!');
+    }
+  }
+}
+
+function siegeBroken(raid, members, state) {
+  if (state.tick - raid.musteredTick >= CONFIG.CAMP_TICKS) return true;
+  if (members.some(v => v.hp < v.maxHp)) return true;
+  return state.dwarves.some(d => d.hp > 0 && distance(d, raid.camp) <= CONFIG.CAMP_ALERT);
+}
+
+function endRaid(raid, state) {
+  raid.status = RAID_STATUS.OVER;
+  raid.endedTick = state.tick;
+  const losses = [
+    raid.stolen > 0 && `${raid.stolen} load${raid.stolen === 1 ? '' : 's'} of goods stolen`,
+    raid.taken > 0 && `${raid.taken} ${raid.taken === 1 ? 'dwarf' : 'dwarves'} carried off`,
+    raid.burned > 0 && `${raid.burned} structure${raid.burned === 1 ? '' : 's'} burned`,
+  ].filter(Boolean);
+  addLog(state, losses.length > 0
+    ? `The goblin raid is over: ${losses.join(', ')}.`
+    : 'The goblin raid is over. The fortress lost nothing.');
+  emit(EVENTS.RAID_ENDED, { raid, worldState: state });
+}
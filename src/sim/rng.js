@@ -0,0 +1,114 @@
+/**
+ * Simulation RNG
+ * One random stream for every simulation module: the world tick, the AI,
+ * map generation. Seeded, it is a mulberry32 generator whose whole state is
+ * a single 32-bit word, so a world seed reproduces a run and a save can
+ * carry the stream along. Unseeded, random() defers to Math.random (read at
+ * call time, so tests that stub Math.random still steer the simulation).
+ *
+ * UI effects, LLM prompt sampling and the thought system keep Math.random:
+ * nothing they roll reaches the tick except through the input log
+ * (inputLog.js).
+ */
+
+let seeded = false;
+let rngState = 0;
+
+/**
+ * Seed the stream. Strings and numbers both work; equal seeds give equal
+ * streams.
+ * @param {number|string} seed
+ */
+export function seedRandom(seed) {
+  rngState = hashSeed(seed);
+  seeded = true;
+}
+
+/**
+ * Drop the seed and go back to Math.random
+ */
+export function unseedRandom() {
+  seeded = false;
+  rngState = 0;
+}
+
+/**
+ * @returns {boolean} True while a seeded stream is active
+ */
+export function isSeeded() {
+  return seeded;
+}
+
+/**
+ * Next value in [0, 1) — drop-in for Math.random()
+ * @returns {number}
+ */
+export function random() {
+  if (!seeded) return Math.random();
+
+  rngState = (rngState + 0x6D2B79F5) | 0;
+  return mulberry(rngState);
+}
+
+/**
+ * A separate seeded stream, for generation that must leave the simulation
+ * stream where it was (the cavern levels under a map, map.js)
+ * @param {number|string} seed
+ * @returns {function(): number} Next value in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    return mulberry(state);
+  };
+}
+
+/**
+ * Run generation written against random() on a stream of its own seeded by
+ * `seed`, then put the simulation stream back where it was (the world map,
+ * worldMap.js, drawn before and after the world it shows)
+ * @param {number|string} seed
+ * @param {function} fn
+ * @returns {*} fn's result
+ */
+export function withStream(seed, fn) {
+  const saved = exportRngState();
+  seedRandom(seed);
+  try {
+    return fn();
+  } finally {
+    importRngState(saved);
+  }
+}
+
+function mulberry(t) {
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Save/load hooks
+ */
+export function exportRngState() {
+  return { seeded, state: rngState };
+}
+
+export function importRngState(data) {
+  seeded = !!data?.seeded;
+  rngState = (data?.state ?? 0) | 0;
+}
+
+/**
+ * FNV-1a over the seed's text, so 42 and '42' agree
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash | 0;
+}
@@ -1,11 +1,16 @@
 /**
  * Simulation rules for v0.1 - Food Production Edition
- * No death from hunger - food production sustains the fortress
+ * No death from hunger - food production sustains the fortress - unless
+ * the world is mortal (harsh/brutal difficulty, see mortality.js)
  */
 
 import { addLog } from '../state/store.js';
-import { isStarved, HUNGER_CAP } from './entities.js';
+import { HUNGER_CAP, HUNGER_DEATH, getDisplayName } from './entities.js';
+import { emit, EVENTS } from '../events/eventBus.js';
 import { updateProduction } from './foodProduction.js';
+import { random } from './rng.js';
+import { setMortalityEnabled } from './mortality.js';
+import { getTile } from '../map/map.js';
 
 // === SIMULATION CONSTANTS ===
 
@@ -23,6 +28,34 @@ export const RULES = {
   TICKS_PER_SECOND: 4,       // Simulation speed
 };
 
+// Scenario/difficulty scaling of the baseline rates above
+const BASE_RULES = Object.freeze({ ...RULES });
+let ruleModifiers = { hungerMultiplier: 1, foodRespawnMultiplier: 1, mortality: false };
+
+/**
+ * Scale hunger and food respawn for the current world (scenario rate x
+ * difficulty). Always relative to the baseline, so worlds don't compound.
+ * @param {object} [modifiers] - { hungerMultiplier, foodRespawnMultiplier,
+ *   mortality } (mortality: starvation, cold and old age can kill)
+ */
+export function applyRuleModifiers({ hungerMultiplier = 1, foodRespawnMultiplier = 1, mortality = false } = {}) {
+  ruleModifiers = { hungerMultiplier, foodRespawnMultiplier, mortality };
+  setMortalityEnabled(mortality);
+  RULES.HUNGER_PER_TICK = BASE_RULES.HUNGER_PER_TICK * hungerMultiplier;
+  RULES.FOOD_RESPAWN_CHANCE = BASE_RULES.FOOD_RESPAWN_CHANCE * foodRespawnMultiplier;
+}
+
+/**
+ * Save/load hooks
+ */
+export function exportRulesState() {
+  return { ...ruleModifiers };
+}
+
+export function importRulesState(data) {
+  applyRuleModifiers(data || {});
+}
+
 // === RULE FUNCTIONS ===
 
 /**
@@ -31,19 +64,42 @@ export const RULES = {
 export function applyHunger(state) {
   for (const dwarf of state.dwarves) {
     dwarf.hunger += RULES.HUNGER_PER_TICK;
-    // Hard cap - hunger never kills
-    dwarf.hunger = Math.min(RULES.HUNGER_CAP, dwarf.hunger);
+    // Hard cap - hunger never kills, except in mortal worlds where it
+    // climbs to HUNGER_DEATH and starvation sets in (mortality.js)
+    dwarf.hunger = Math.min(ruleModifiers.mortality ? HUNGER_DEATH : RULES.HUNGER_CAP, dwarf.hunger);
   }
 }
 
+// How the log tells a death outside combat (dwarf.deathCause)
+const DEATH_MESSAGES = {
+  bleeding: 'has bled to death',
+  infection: 'has died of an infected wound',
+  mauled: 'was mauled to death',
+  starvation: 'has starved to death',
+  exposure: 'has died of exposure',
+  old_age: 'has died of old age',
+  wounds: 'has died of their wounds',
+};
+
 /**
- * Process deaths - food production prevents starvation
+ * Process deaths outside combat - wounds that bled out or festered
+ * (medical.js sets dwarf.deathCause), a wild animal's attack, or in
+ * mortal worlds starvation, cold and old age (mortality.js). Combat deaths
+ * are handled where the blow lands (combat.js).
+ * @returns {Array} Dwarves who died this tick
  */
 export function processDeath(state) {
-  // No more starvation deaths!
-  // Fortress survives through food production systems
-  // Keep this function for future death mechanics (accidents, etc.)
-  return [];
+  const died = [];
+  for (const dwarf of state.dwarves) {
+    if (dwarf.hp > 0 || dwarf.state === 'dead') continue;
+    dwarf.hp = 0;
+    dwarf.state = 'dead';
+    const cause = dwarf.deathCause || 'wounds';
+    emit(EVENTS.DWARF_DEATH, { dwarf, killer: null, cause });
+    addLog(state, `${getDisplayName(dwarf)} ${DEATH_MESSAGES[cause] || DEATH_MESSAGES.wounds}.`);
+    died.push(dwarf);
+  }
+  return died;
 }
 
 /**
@@ -74,14 +130,13 @@ export function processEat(dwarf, food, state) {
  * Spawn initial food from map
  */
 export function maybeSpawnFood(state, createFoodFn) {
-  if (Math.random() < RULES.FOOD_RESPAWN_CHANCE) {
+  if (random() < RULES.FOOD_RESPAWN_CHANCE) {
     // Find a random passable tile
-    const x = Math.floor(Math.random() * state.map.width);
-    const y = Math.floor(Math.random() * state.map.height);
+    const x = Math.floor(random() * state.map.width);
+    const y = Math.floor(random() * state.map.height);
 
     // Simple check - just avoid walls
-    const index = y * state.map.width + x;
-    const tile = state.map.tiles[index];
+    const tile = getTile(state.map, x, y);
 
     if (tile !== '#') {
       const food = createFoodFn(x, y, RULES.FOOD_INITIAL_AMOUNT);
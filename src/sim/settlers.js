@@ -0,0 +1,420 @@
+/**
+ * Settlers
+ * Visitors used to have two ends: they left or they died. Three more paths
+ * lead into the fortress instead.
+ *
+ * Prisoners: a raider beaten low by a dwarf may yield rather than die
+ * (captureVisitor, from combat.js). The prisoner is disarmed, lets go of
+ * whatever it stole or whoever it was dragging off, and is walked to the
+ * middle of the fortress. Captivity softens them a little each day.
+ *
+ * Petitioners: human and elf guards and missionaries who leave content
+ * and think well of the dwarves may ask to stay (askToStay) before they go.
+ *
+ * Refugees: bands of humans or elves fleeing one of the wars, plagues and
+ * betrayals of the world's history (findRefugeeConflict) turn up now and
+ * then and ask for shelter.
+ *
+ * Each of them holds an open petition (visitor.petition). The player
+ * answers by talking to them, as with diplomats: the reply goes through the
+ * input log (INPUT_KIND.SETTLER) to resolvePetition, which reads it with
+ * diplomacy.js classifyReply and settles it by rule. Accepted, the visitor
+ * becomes a colony member (joinColony) that keeps its id, race, name, gear
+ * and wounds, remembers where it came from and whom it knew, and is run by
+ * the dwarf AI from then on. A prisoner still bitter about its capture
+ * refuses; refused, a prisoner is set free and a guest or refugee leaves.
+ */
+
+import { RACE, VISITOR_ROLE } from './races.js';
+import { VISITOR_STATE, createVisitor, addSatisfaction, getGivenName } from './visitors.js';
+import { HISTORICAL_EVENT, getRaceName, recordVisitorOutcome } from './history.js';
+import { classifyReply } from './diplomacy.js';
+import { getPopulationRoom, withLineage } from './population.js';
+import { dropEquipment, EQUIP_SLOT } from './equipment.js';
+import { dropCarried } from './stockpiles.js';
+import { getRandomEdgePosition, getRandomPositionOnEdge } from './edges.js';
+import { SPAWN_CONFIG } from './visitorSpawner.js';
+import { createDwarf, getDisplayName, addMemory, nextId } from './entities.js';
+import { TICKS_PER_DAY, getCalendar } from './clock.js';
+import { random } from './rng.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+
+const CONFIG = {
+  CAPTURE_SHARE: 0.4,          // A raider beaten below this share of its HP may yield
+  YIELD_CHANCE: 0.5,
+  PRISONER_WARMING: 10,        // Disposition a prisoner gains a day
+  PRISONER_HEALING: 2,         // HP a prisoner recovers a day
+  JOIN_DISPOSITION: 0,         // A prisoner joins only once it feels at least this
+  PETITION_DISPOSITION: 40,    // Guests this fond of the dwarves may ask to stay
+  PETITION_CHANCE: 0.25,
+  PETITION_TICKS: 1200,        // A day to answer before a guest or refugee gives up
+  REFUGEE_CHANCE: 0.1,         // Per day
+  REFUGEE_BAND: { min: 1, max: 3 },
+  REFUGEE_HOPE: 20,            // Refugees come hoping for the best
+  CONFLICT_LOOKBACK: 5,        // Latest world-history events a band may be fleeing
+  KNOWN_AFFINITY: 20,          // For the dwarves a newcomer dealt with as a visitor
+  COMPANION_AFFINITY: 40,      // Between members of a band that joined together
+  CAPTOR_AFFINITY: -10,        // Between a former prisoner and the dwarf who took it
+};
+
+export const PETITION_KIND = {
+  PRISONER: 'prisoner',
+  GUEST: 'guest',
+  REFUGEE: 'refugee',
+};
+
+// Who asks to stay on their way out
+const PETITION_ROLES = [VISITOR_ROLE.CARAVAN_GUARD, VISITOR_ROLE.MISSIONARY];
+const PETITION_RACES = [RACE.HUMAN, RACE.ELF];
+
+// History a refugee band may be running from
+const REFUGEE_CONFLICTS = [
+  HISTORICAL_EVENT.WAR,
+  HISTORICAL_EVENT.GREAT_BATTLE,
+  HISTORICAL_EVENT.BETRAYAL,
+  HISTORICAL_EVENT.PLAGUE,
+  HISTORICAL_EVENT.RELIGIOUS_CONFLICT,
+];
+
+// What each kind of petitioner asks, for the log and a chat that drifts
+const ASK = {
+  [PETITION_KIND.PRISONER]: 'Will you let me go, or must I live among you?',
+  [PETITION_KIND.GUEST]: 'I would stay and make my home here, if you will have me.',
+  [PETITION_KIND.REFUGEE]: 'We have nowhere else to go. Will you take us in?',
+};
+
+// === CAPTURE ===
+
+/**
+ * Whether a raider a dwarf just struck yields to them instead of fighting
+ * on or dying (combat.js, before the death check)
+ */
+export function shouldYield(attacker, defender) {
+  return attacker.type === 'dwarf' && defender.type === 'visitor' &&
+    defender.role === VISITOR_ROLE.RAIDER && defender.state !== VISITOR_STATE.PRISONER &&
+    defender.hp < defender.maxHp * CONFIG.CAPTURE_SHARE && random() < CONFIG.YIELD_CHANCE;
+}
+
+/**
+ * Take a raider prisoner: it yields with a little life left, drops its
+ * weapon and what it stole, lets go of any captive and leaves its raid
+ * (a captured warchief routs the rest, raids.js)
+ * @param {object} visitor - The raider
+ * @param {object} captor - The dwarf who beat it
+ * @param {object} state - World state
+ */
+export function captureVisitor(visitor, captor, state) {
+  visitor.hp = Math.max(1, visitor.hp);
+  visitor.state = VISITOR_STATE.PRISONER;
+  visitor.target = null;
+  visitor.objective = null;
+  visitor.raidId = null;
+  visitor.captive = null;  // tickRaids frees the dwarf
+  visitor.capturedBy = captor.id;
+  visitor.capturedTick = state.tick;
+  if (visitor.carrying) dropCarried(visitor, state);
+  dropEquipment(visitor, state, [EQUIP_SLOT.WEAPON]);
+
+  addLog(state, `${visitor.name} throws down their arms and yields to ${getDisplayName(captor)}.`);
+  addMemory(captor, 'event', `I took ${visitor.name} prisoner.`, state.tick);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.RAIDER_CAPTURED, visitor);
+  emit(EVENTS.VISITOR_CAPTURED, { visitor, captor, worldState: state });
+  openPetition(visitor, state, PETITION_KIND.PRISONER);
+}
+
+/**
+ * Prisoners held by the fortress
+ */
+export function getPrisoners(state) {
+  return (state.visitors || []).filter(v => v.state === VISITOR_STATE.PRISONER);
+}
+
+// === PETITIONS ===
+
+/**
+ * Ask to join the fortress. Guests and refugees won't ask of a full one.
+ * @returns {object|null} visitor.petition, or null when they don't ask
+ */
+export function openPetition(visitor, state, kind) {
+  if (kind !== PETITION_KIND.PRISONER && getPopulationRoom(state) === 0) return null;
+
+  visitor.petition = { kind, status: 'open', openedTick: state.tick, lastOutcome: null };
+  addLog(state, kind === PETITION_KIND.PRISONER
+    ? `${visitor.name} is held prisoner. Speak with them to decide their fate.`
+    : `${visitor.name} asks to stay in the fortress. Speak with them to answer.`);
+  emit(EVENTS.VISITOR_PETITION, { visitor, kind, worldState: state });
+  return visitor.petition;
+}
+
+/**
+ * A content guest on the way out may ask to stay, once
+ * @returns {boolean} Whether they asked (and now wait for an answer)
+ */
+export function askToStay(visitor, state) {
+  if (visitor.askedToStay) return false;
+  visitor.askedToStay = true;
+
+  if (!PETITION_ROLES.includes(visitor.role) || !PETITION_RACES.includes(visitor.race)) return false;
+  if (visitor.disposition < CONFIG.PETITION_DISPOSITION || random() >= CONFIG.PETITION_CHANCE) return false;
+  return openPetition(visitor, state, PETITION_KIND.GUEST) !== null;
+}
+
+/**
+ * Whoever speaks for a visitor's band: themselves, or the band member
+ * holding the petition
+ */
+function findPetitioner(visitor, state) {
+  if (visitor.petition) return visitor;
+  if (!visitor.groupId) return null;
+  return (state.visitors || []).find(v =>
+    v.groupId === visitor.groupId && v.state !== VISITOR_STATE.DEAD && v.petition) || null;
+}
+
+function getBand(petitioner, state) {
+  if (!petitioner.groupId || petitioner.petition?.kind !== PETITION_KIND.REFUGEE) return [petitioner];
+  return (state.visitors || []).filter(v =>
+    v.groupId === petitioner.groupId && v.state !== VISITOR_STATE.DEAD);
+}
+
+/**
+ * Whether a visitor should keep waiting for an answer. Guests and refugees
+ * give up after a day; a prisoner has nowhere to go.
+ */
+export function keepPetitioning(visitor, state) {
+  const petitioner = findPetitioner(visitor, state);
+  const petition = petitioner?.petition;
+  if (petition?.status !== 'open') return false;
+  if (petition.kind === PETITION_KIND.PRISONER) return true;
+  if (state.tick - petition.openedTick <= CONFIG.PETITION_TICKS) return true;
+
+  addLog(state, `${petitioner.name} tires of waiting for an answer.`);
+  endPetition(petitioner, state, 'lapsed');
+  return false;
+}
+
+function endPetition(petitioner, state, status) {
+  petitioner.petition.status = status;
+  for (const member of getBand(petitioner, state)) {
+    addSatisfaction(member, member.satisfactionThreshold);
+  }
+}
+
+/**
+ * Answer someone asking to stay, from the chat (through the input log).
+ * The outcome is left on visitor.petition.lastOutcome for the chat to voice.
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function answerPetition(state, visitorId, message) {
+  return submitInput(state, INPUT_KIND.SETTLER, { visitorId, message });
+}
+
+/**
+ * Settle an answer to a petition
+ * @returns {object|null} { intent, result, heard, reply }, or null without an open petition
+ */
+export function resolvePetition(state, { visitorId, message }) {
+  const visitor = (state.visitors || []).find(v => v.id === visitorId);
+  const petition = visitor?.petition;
+  if (petition?.status !== 'open' || visitor.state === VISITOR_STATE.DEAD) return null;
+
+  const intent = classifyReply(message);
+  const prisoner = petition.kind === PETITION_KIND.PRISONER;
+  let result;
+  let reply;
+
+  if (intent === 'accept' && prisoner && visitor.disposition < CONFIG.JOIN_DISPOSITION) {
+    addLog(state, `${visitor.name} spits at the offer to join the fortress.`);
+    result = 'unwilling';
+    reply = 'Join you? I would sooner rot in your keeping.';
+  } else if (intent === 'accept') {
+    petition.status = 'accepted';
+    const band = getBand(visitor, state);
+    const joined = band.map(member => joinColony(member, state, petition.kind));
+    befriendBand(joined, state.tick);
+    result = 'accepted';
+    reply = band.length > 1
+      ? 'Thank you. We will not forget this kindness.'
+      : 'Then this is my home now. I will earn my place.';
+  } else if (intent === 'reject' && prisoner) {
+    petition.status = 'released';
+    visitor.state = VISITOR_STATE.LEAVING;
+    visitor.target = null;
+    visitor.freed = true;
+    visitor.fleeThreshold = 0;  // Walks out unarmed; nobody is chasing
+    addSatisfaction(visitor, visitor.satisfactionThreshold);
+    addLog(state, `The dwarves set ${visitor.name} free.`);
+    recordVisitorOutcome(state, HISTORICAL_EVENT.PRISONER_RELEASED, visitor);
+    result = 'released';
+    reply = 'Free? Then I go, and I will remember who let me.';
+  } else if (intent === 'reject') {
+    addLog(state, `The dwarves turn ${visitor.name} away.`);
+    endPetition(visitor, state, 'refused');
+    recordVisitorOutcome(state, HISTORICAL_EVENT.PETITION_REFUSED, visitor);
+    result = 'refused';
+    reply = 'So be it. We will find somewhere else.';
+  } else {
+    result = 'talk';
+    reply = ASK[petition.kind];
+  }
+
+  petition.lastOutcome = { intent, result, heard: message, reply };
+  return petition.lastOutcome;
+}
+
+registerInputHandler(INPUT_KIND.SETTLER, resolvePetition);
+
+// === JOINING ===
+
+/**
+ * Turn a visitor into a member of the colony. The dwarf keeps the
+ * visitor's id, race, name, bio, gear and wounds, remembers how it came
+ * and whom it dealt with, and is handed to the dwarf AI.
+ * @returns {object} The new colony member
+ */
+export function joinColony(visitor, state, kind) {
+  const { season, day } = getCalendar(state.tick);
+  const member = createDwarf(visitor.x, visitor.y, getGivenName(visitor));
+  member.id = visitor.id;
+  member.race = visitor.race;
+  member.formerRole = visitor.role;
+  member.joinedAs = { kind, race: visitor.race, role: visitor.role, tick: state.tick, season, day };
+  member.generatedName = visitor.generatedName || getGivenName(visitor);
+  member.generatedBio = withLineage(visitor.generatedBio, member);
+  member.hp = visitor.hp;
+  member.maxHp = visitor.maxHp;
+  member.damage = visitor.damage;
+  if (visitor.damageMultiplier) member.damageMultiplier = visitor.damageMultiplier;
+  member.equipment = { ...member.equipment, ...visitor.equipment };
+
+  // Where they came from
+  if (visitor.refugeeFrom) {
+    addMemory(member, 'event', `I fled my home: ${visitor.refugeeFrom}`, state.tick);
+  }
+  const captor = state.dwarves.find(d => d.id === visitor.capturedBy);
+  if (kind === PETITION_KIND.PRISONER) {
+    addMemory(member, 'event', `I was taken prisoner by ${captor ? getDisplayName(captor) : 'the dwarves'}.`, state.tick);
+  }
+  addMemory(member, 'event', `I joined the fortress on day ${day}.`, state.tick);
+
+  // Whom they knew
+  for (const dwarf of state.dwarves) {
+    if (visitor.memory?.interactedWith?.has(dwarf.id)) {
+      acquaint(member, dwarf, CONFIG.KNOWN_AFFINITY, state.tick);
+      acquaint(dwarf, member, CONFIG.KNOWN_AFFINITY, state.tick);
+    }
+  }
+  if (captor) {
+    acquaint(member, captor, CONFIG.CAPTOR_AFFINITY, state.tick);
+    acquaint(captor, member, CONFIG.CAPTOR_AFFINITY, state.tick);
+  }
+
+  state.visitors = state.visitors.filter(v => v !== visitor);
+  state.dwarves.push(member);
+
+  addLog(state, `${visitor.name} has joined the fortress as ${getDisplayName(member)}.`);
+  recordVisitorOutcome(state, HISTORICAL_EVENT.VISITOR_SETTLED, visitor);
+  emit(EVENTS.VISITOR_JOINED, { dwarf: member, visitor, kind, worldState: state });
+  return member;
+}
+
+/**
+ * Start one dwarf's regard for another at `affinity`, unless they already
+ * know each other
+ */
+function acquaint(dwarf, other, affinity, tick) {
+  if (dwarf.relationships[other.id]) return;
+  dwarf.relationships[other.id] = { affinity, interactions: 1, lastInteraction: tick, conversationLog: [] };
+}
+
+function befriendBand(members, tick) {
+  for (const a of members) {
+    for (const b of members) {
+      if (a !== b) acquaint(a, b, CONFIG.COMPANION_AFFINITY, tick);
+    }
+  }
+}
+
+// === REFUGEES ===
+
+/**
+ * A recent conflict of the world's history that drove humans or elves from
+ * their homes: { event, race }, or null when the world has been at peace
+ */
+export function findRefugeeConflict(history) {
+  const recent = (history?.events || []).filter(e => !e.live).slice(-CONFIG.CONFLICT_LOOKBACK);
+  const conflicts = recent.filter(e =>
+    REFUGEE_CONFLICTS.includes(e.type) &&
+    !e.participants.includes('dwarf') &&
+    e.participants.some(race => PETITION_RACES.includes(race)));
+  if (conflicts.length === 0) return null;
+
+  const event = conflicts[Math.floor(random() * conflicts.length)];
+  const sides = event.participants.filter(race => PETITION_RACES.includes(race));
+  return { event, race: sides[Math.floor(random() * sides.length)] };
+}
+
+/**
+ * A band of refugees walks in from one edge
+ * @returns {object[]} The band (empty when nobody can come)
+ */
+export function spawnRefugees(state, conflict) {
+  const entry = getRandomEdgePosition(state.map);
+  if (!entry) return [];
+
+  const { min, max } = CONFIG.REFUGEE_BAND;
+  const size = min + Math.floor(random() * (max - min + 1));
+  const groupId = `group_${nextId()}`;
+  const historyContext = { history: state.history, modifiers: { disposition: CONFIG.REFUGEE_HOPE } };
+
+  const band = [];
+  for (let i = 0; i < size; i++) {
+    const pos = getRandomPositionOnEdge(state.map, entry.edge) || entry;
+    const visitor = createVisitor(pos.x, pos.y, conflict.race, VISITOR_ROLE.REFUGEE, historyContext);
+    visitor.groupId = groupId;
+    visitor.groupLeader = i === 0;
+    visitor.entryEdge = entry.edge;
+    visitor.refugeeFrom = conflict.event.description;
+    band.push(visitor);
+  }
+
+  state.visitors = state.visitors || [];
+  state.visitors.push(...band);
+  addLog(state, `${band.length === 1 ? 'A refugee' : `${band.length} refugees`} from the ` +
+    `${getRaceName(conflict.race)} arrive${band.length === 1 ? 's' : ''} from the ${entry.edge}, fleeing old troubles.`);
+  emit(EVENTS.VISITOR_ARRIVED, {
+    visitor: band[0],
+    group: band,
+    race: conflict.race,
+    edge: entry.edge,
+    count: band.length,
+  });
+  return band;
+}
+
+// === UPKEEP ===
+
+/**
+ * Daily: prisoners heal and soften; now and then refugees arrive while the
+ * fortress and the map have room
+ */
+export function tickSettlers(state) {
+  if (state.tick % TICKS_PER_DAY !== 0) return;
+
+  for (const prisoner of getPrisoners(state)) {
+    prisoner.hp = Math.min(prisoner.maxHp, prisoner.hp + CONFIG.PRISONER_HEALING);
+    const before = prisoner.disposition;
+    prisoner.disposition = Math.min(100, prisoner.disposition + CONFIG.PRISONER_WARMING);
+    if (before < CONFIG.JOIN_DISPOSITION && prisoner.disposition >= CONFIG.JOIN_DISPOSITION) {
+      addLog(state, `${prisoner.name} seems to have made peace with captivity.`);
+    }
+  }
+
+  const living = (state.visitors || []).filter(v => v.state !== VISITOR_STATE.DEAD).length;
+  if (living >= SPAWN_CONFIG.MAX_VISITORS || getPopulationRoom(state) === 0) return;
+  if (random() >= CONFIG.REFUGEE_CHANCE) return;
+
+  const conflict = findRefugeeConflict(state.history);
+  if (conflict) spawnRefugees(state, conflict);
+}
@@ -0,0 +1,419 @@
+/**
+ * Stockpiles & Hauling
+ * Goods lie where they were made: stone where it was dug, hides and bones
+ * at the kill site, fish on the bank, crafted goods at the workshop. A
+ * stockpile is a zone of floor tiles that accepts some categories of goods;
+ * haulers carry loose goods to the nearest stockpile that takes them, and
+ * workshops draw their materials from what lies nearby (crafting.js).
+ *
+ * Zones come from two places: the player drags them out (designation tool,
+ * through the input log) and the Stockpile / Food Storage blueprints become
+ * zones once built (syncStructureStockpiles).
+ *
+ * Goods on the ground are state.resources entries ({ id, type, amount, x, y })
+ * plus caught fish in state.foodSources. A hauler lifts one into
+ * dwarf.carrying ({ kind, item }) and sets it down on a storage tile.
+ */
+
+import { STRUCTURE_TYPE, getStructures } from './construction.js';
+import { TASK_TYPE } from './tasks.js';
+import { distance, nextId } from './entities.js';
+import { isPassable } from './movement.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+
+export const STOCKPILE_CATEGORY = {
+  STONE: 'stone',
+  WOOD: 'wood',
+  ANIMAL: 'animal',
+  FOOD: 'food',
+  GOODS: 'goods',
+};
+
+const ALL_CATEGORIES = Object.values(STOCKPILE_CATEGORY);
+
+// Resource type -> category; anything else is finished goods
+const CATEGORY_BY_TYPE = {
+  stone: STOCKPILE_CATEGORY.STONE,
+  stone_block: STOCKPILE_CATEGORY.STONE,
+  copper_ore: STOCKPILE_CATEGORY.STONE,
+  iron_ore: STOCKPILE_CATEGORY.STONE,
+  wood: STOCKPILE_CATEGORY.WOOD,
+  charcoal: STOCKPILE_CATEGORY.WOOD,
+  hide: STOCKPILE_CATEGORY.ANIMAL,
+  bone: STOCKPILE_CATEGORY.ANIMAL,
+  exotic: STOCKPILE_CATEGORY.ANIMAL,
+  food: STOCKPILE_CATEGORY.FOOD,
+  meal: STOCKPILE_CATEGORY.FOOD,
+};
+
+// What a built storage blueprint accepts
+const STRUCTURE_CATEGORIES = {
+  [STRUCTURE_TYPE.STOCKPILE]: ALL_CATEGORIES.filter(c => c !== STOCKPILE_CATEGORY.FOOD),
+  [STRUCTURE_TYPE.FOOD_STORAGE]: [STOCKPILE_CATEGORY.FOOD],
+};
+
+// Food sources that are goods rather than plants: caught fish, bought
+// provisions (trade.js)
+const HAULABLE_FOOD = new Set(['fish', 'provisions']);
+
+export const HAUL_KIND = {
+  RESOURCE: 'resource',
+  FOOD: 'food',
+};
+
+let stockpiles = [];
+
+/**
+ * Initialize stockpile system
+ */
+export function initStockpiles() {
+  stockpiles = [];
+}
+
+/**
+ * Snapshot stockpile state for a save
+ */
+export function exportStockpileState() {
+  return { stockpiles };
+}
+
+/**
+ * Restore stockpile state from a save
+ */
+export function importStockpileState(data) {
+  stockpiles = (data?.stockpiles || []).map(s => ({
+    ...s,
+    categories: (s.categories || []).filter(c => ALL_CATEGORIES.includes(c)),
+  }));
+}
+
+// === ZONES ===
+
+/**
+ * Create a stockpile zone (corners in any order)
+ * @param {object} [options] - { categories, structureId, name }
+ * @returns {object} The stockpile
+ */
+export function createStockpile(x1, y1, x2, y2, { categories = ALL_CATEGORIES, structureId = null, name = null } = {}) {
+  const stockpile = {
+    id: nextId(),
+    name: name || `Stockpile ${stockpiles.length + 1}`,
+    x1: Math.min(x1, x2),
+    y1: Math.min(y1, y2),
+    x2: Math.max(x1, x2),
+    y2: Math.max(y1, y2),
+    categories: categories.filter(c => ALL_CATEGORIES.includes(c)),
+    structureId,
+  };
+  stockpiles.push(stockpile);
+  return stockpile;
+}
+
+/**
+ * Remove a stockpile zone. Goods on it stay where they are and are hauled
+ * elsewhere as loose goods.
+ */
+export function removeStockpile(id) {
+  const idx = stockpiles.findIndex(s => s.id === id);
+  if (idx === -1) return false;
+  stockpiles.splice(idx, 1);
+  return true;
+}
+
+/**
+ * Set which categories a stockpile accepts
+ */
+export function setStockpileCategories(id, categories) {
+  const stockpile = stockpiles.find(s => s.id === id);
+  if (!stockpile) return false;
+  stockpile.categories = categories.filter(c => ALL_CATEGORIES.includes(c));
+  return true;
+}
+
+/**
+ * Get all stockpiles
+ */
+export function getStockpiles() {
+  return stockpiles;
+}
+
+/**
+ * Stockpile whose zone covers a tile
+ */
+export function getStockpileAt(x, y) {
+  return stockpiles.find(s => x >= s.x1 && x <= s.x2 && y >= s.y1 && y <= s.y2) || null;
+}
+
+/**
+ * Floor tiles of a zone goods can be set down on (walls of a Food Storage
+ * are inside its rectangle but hold nothing)
+ */
+export function getStorageTiles(stockpile, state) {
+  const tiles = [];
+  for (let y = stockpile.y1; y <= stockpile.y2; y++) {
+    for (let x = stockpile.x1; x <= stockpile.x2; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Turn built Stockpile and Food Storage structures into zones. Called from
+ * the world tick; cheap once every storage structure has its zone.
+ */
+export function syncStructureStockpiles(state) {
+  for (const structure of getStructures()) {
+    const categories = STRUCTURE_CATEGORIES[structure.type];
+    if (!categories || stockpiles.some(s => s.structureId === structure.id)) continue;
+
+    const stockpile = createStockpile(
+      structure.x, structure.y,
+      structure.x + structure.width - 1, structure.y + structure.height - 1,
+      { categories, structureId: structure.id, name: structure.name }
+    );
+    addLog(state, `The ${stockpile.name.toLowerCase()} is ready to take goods.`);
+  }
+}
+
+// === GOODS ===
+
+/**
+ * Stockpile category of a good (resource or food source)
+ */
+export function getItemCategory(item) {
+  return CATEGORY_BY_TYPE[item.type] || STOCKPILE_CATEGORY.GOODS;
+}
+
+/**
+ * Whether a good already lies on a stockpile that accepts it
+ */
+export function isStored(item, state) {
+  // Stockpiles are laid on the surface; goods on the levels below aren't in them
+  const stockpile = !item.z && getStockpileAt(item.x, item.y);
+  return !!stockpile &&
+    stockpile.categories.includes(getItemCategory(item)) &&
+    isPassable(state, item.x, item.y);
+}
+
+/**
+ * Every good on the ground that a hauler may move
+ * @returns {Array<{ kind, item }>}
+ */
+function listGoods(state) {
+  const goods = [];
+  for (const item of state.resources || []) {
+    if (item.amount > 0) goods.push({ kind: HAUL_KIND.RESOURCE, item });
+  }
+  for (const food of state.foodSources || []) {
+    if (food.amount > 0 && HAULABLE_FOOD.has(food.subtype)) goods.push({ kind: HAUL_KIND.FOOD, item: food });
+  }
+  return goods;
+}
+
+/**
+ * Items another dwarf has already set out to haul
+ */
+function reservedItemIds(dwarf, state) {
+  const reserved = new Set();
+  for (const other of state.dwarves) {
+    if (other === dwarf) continue;
+    const target = other.currentTask?.type === TASK_TYPE.HAUL ? other.currentTask.target : null;
+    if (target?.itemId != null) reserved.add(target.itemId);
+  }
+  return reserved;
+}
+
+/**
+ * Nearest free storage tile for a good: an empty tile, or (for resources)
+ * one holding a pile of the same type
+ */
+function findStorageTile(good, from, state) {
+  const category = getItemCategory(good.item);
+  const occupied = new Map();
+  for (const { item } of listGoods(state)) {
+    if (!item.z) occupied.set(`${item.x},${item.y}`, item);
+  }
+  for (const dwarf of state.dwarves) {
+    const target = dwarf.currentTask?.type === TASK_TYPE.HAUL ? dwarf.currentTask.target : null;
+    if (target?.dest && target.itemId !== good.item.id) {
+      occupied.set(`${target.dest.x},${target.dest.y}`, { type: null });
+    }
+  }
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const stockpile of stockpiles) {
+    if (!stockpile.categories.includes(category)) continue;
+    for (const tile of getStorageTiles(stockpile, state)) {
+      const here = occupied.get(`${tile.x},${tile.y}`);
+      const stackable = here && here !== good.item &&
+        good.kind === HAUL_KIND.RESOURCE && here.type === good.item.type && !here.quality;
+      if (here && !stackable) continue;
+      const dist = distance(tile, from);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = { x: tile.x, y: tile.y, stockpileId: stockpile.id };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the nearest loose good this dwarf could haul, and where to
+ * @returns {object|null} Task target { x, y, itemId, kind, dest }
+ */
+export function findHaulJob(dwarf, state) {
+  if (stockpiles.length === 0) return null;
+
+  const reserved = reservedItemIds(dwarf, state);
+  const loose = listGoods(state)
+    .filter(good => !reserved.has(good.item.id) && !isStored(good.item, state))
+    .map(good => ({ ...good, dist: distance(good.item, dwarf) }))
+    .sort((a, b) => a.dist - b.dist);
+
+  for (const good of loose) {
+    const dest = findStorageTile(good, good.item, state);
+    if (!dest) continue;
+    if (good.item.id == null) good.item.id = nextId();
+    return { x: good.item.x, y: good.item.y, z: good.item.z ?? 0, itemId: good.item.id, kind: good.kind, dest };
+  }
+  return null;
+}
+
+/**
+ * Nearest storage tile that will take what the dwarf is carrying
+ * @returns {object|null} { x, y, stockpileId }
+ */
+export function findDeliveryTarget(dwarf, state) {
+  if (!dwarf.carrying) return null;
+  return findStorageTile(dwarf.carrying, dwarf, state);
+}
+
+/**
+ * Lift a good off the ground
+ * @returns {boolean} Whether the good was there to take
+ */
+export function pickUp(dwarf, target, state) {
+  const list = target.kind === HAUL_KIND.FOOD ? state.foodSources : state.resources;
+  const idx = (list || []).findIndex(item => item.id === target.itemId);
+  if (idx === -1) return false;
+
+  const [item] = list.splice(idx, 1);
+  dwarf.carrying = { kind: target.kind, item };
+  return true;
+}
+
+/**
+ * Set the carried good down (where the dwarf stands unless told where),
+ * stacking onto a pile of the same type
+ * @param {object} [at] - { x, y, z } tile to set it on (no z = the surface)
+ * @returns {object|null} The good (or the pile it joined)
+ */
+export function dropCarried(dwarf, state, at = dwarf) {
+  const carried = dwarf.carrying;
+  if (!carried) return null;
+  dwarf.carrying = null;
+
+  const item = carried.item;
+  item.x = at.x;
+  item.y = at.y;
+  if (at.z) item.z = at.z;
+  else delete item.z;
+
+  if (carried.kind === HAUL_KIND.FOOD) {
+    if (!state.foodSources) state.foodSources = [];
+    state.foodSources.push(item);
+    return item;
+  }
+
+  if (!state.resources) state.resources = [];
+  const pile = item.quality ? null : state.resources.find(r =>
+    r.x === item.x && r.y === item.y && (r.z ?? 0) === (item.z ?? 0) && r.type === item.type && !r.quality);
+  if (pile) {
+    pile.amount += item.amount;
+    return pile;
+  }
+  state.resources.push(item);
+  return item;
+}
+
+/**
+ * Goods a workshop can draw on: everything on the surface within reach,
+ * stockpiled goods first, then nearest first
+ * @param {object} workshop - Structure ({ x, y, width, height })
+ * @param {number} reach - Manhattan distance from the workshop's centre
+ */
+export function getGoodsNear(workshop, reach, state) {
+  const cx = workshop.x + Math.floor((workshop.width || 1) / 2);
+  const cy = workshop.y + Math.floor((workshop.height || 1) / 2);
+
+  return (state.resources || [])
+    .filter(item => !item.z)
+    .map(item => ({ item, dist: Math.abs(item.x - cx) + Math.abs(item.y - cy), stored: isStored(item, state) }))
+    .filter(entry => entry.dist <= reach)
+    .sort((a, b) => (b.stored - a.stored) || (a.dist - b.dist))
+    .map(entry => entry.item);
+}
+
+/**
+ * How much of a good the fortress has: every pile on the ground, stockpiled
+ * or not, plus loads being hauled
+ * @param {string} type - Resource type ('stone', 'stone_block', 'furniture', ...)
+ * @param {string} [material] - Only count goods of this material
+ */
+export function countGoods(state, type, material = null) {
+  const matches = item => item.type === type && (!material || item.material === material);
+  let total = 0;
+  for (const item of state.resources || []) {
+    if (matches(item)) total += item.amount;
+  }
+  for (const dwarf of state.dwarves) {
+    const carried = dwarf.carrying?.kind === HAUL_KIND.RESOURCE ? dwarf.carrying.item : null;
+    if (carried && matches(carried)) total += carried.amount;
+  }
+  return total;
+}
+
+// === PLAYER ORDERS ===
+
+/**
+ * Create, filter or remove a stockpile zone from the UI (through the input
+ * log, like designations)
+ * @param {object} state - World state
+ * @param {object} order - { action: 'create', x1, y1, x2, y2, categories? }
+ *                       | { action: 'filter', stockpileId, categories }
+ *                       | { action: 'remove', stockpileId }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function issueStockpileOrder(state, order) {
+  return submitInput(state, INPUT_KIND.STOCKPILE, order);
+}
+
+/**
+ * Apply a stockpile order
+ * @returns {object|boolean|null} The new stockpile for 'create', else whether it applied
+ */
+export function applyStockpileOrder(state, { action, x1, y1, x2, y2, stockpileId, categories }) {
+  switch (action) {
+    case 'create': {
+      const stockpile = createStockpile(x1, y1, x2, y2, categories ? { categories } : {});
+      if (getStorageTiles(stockpile, state).length === 0) {
+        removeStockpile(stockpile.id);
+        return null;
+      }
+      addLog(state, `${stockpile.name} is marked out.`);
+      return stockpile;
+    }
+    case 'filter':
+      return setStockpileCategories(stockpileId, categories || []);
+    case 'remove':
+      return removeStockpile(stockpileId);
+    default:
+      return false;
+  }
+}
+
+registerInputHandler(INPUT_KIND.STOCKPILE, applyStockpileOrder);
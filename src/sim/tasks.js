@@ -4,6 +4,8 @@
  */
 
 import { emit, EVENTS } from '../events/eventBus.js';
+import { nextId } from './entities.js';
+import { random } from './rng.js';
 
 // === SKILL TREE ===
 // Interconnected skills that improve with practice
@@ -21,6 +23,7 @@ export const SKILL_TREE = {
   'masonry': { category: 'crafting', baseDifficulty: 0.4 },
   'leatherworking': { category: 'crafting', baseDifficulty: 0.6, requires: ['hunting'] },
   'stonecarving': { category: 'crafting', baseDifficulty: 0.5, requires: ['masonry'] },
+  'gem_cutting': { category: 'crafting', baseDifficulty: 0.6 },
   
   // Combat
   'melee': { category: 'combat', baseDifficulty: 0.4 },
@@ -29,6 +32,7 @@ export const SKILL_TREE = {
   // Support
   'hauling': { category: 'support', baseDifficulty: 0.1 },
   'mining': { category: 'construction', baseDifficulty: 0.3 },
+  'woodcutting': { category: 'construction', baseDifficulty: 0.3 },
   'building': { category: 'construction', baseDifficulty: 0.4 },
   
   // Mental
@@ -36,12 +40,14 @@ export const SKILL_TREE = {
   'teaching': { category: 'social', baseDifficulty: 0.5, requires: ['social'] },
   'leadership': { category: 'social', baseDifficulty: 0.6, requires: ['teaching'] },
   'social': { category: 'social', baseDifficulty: 0.4 },
+  'medicine': { category: 'social', baseDifficulty: 0.6, requires: ['perception'] },
 };
 
 // === TASK TYPES ===
 export const TASK_TYPE = {
   // Construction
   DIG: 'dig',                   // Carve into walls
+  FELL: 'fell',                 // Chop down marked trees
   BUILD: 'build',               // Place structures
   SMOOTH: 'smooth',             // Smooth rough stone
 
@@ -70,6 +76,11 @@ export const TASK_TYPE = {
   EAT: 'eat',                   // Consume food
   SEEK_SHELTER: 'seek_shelter', // Get out of bad weather
 
+  // Medical
+  TREAT: 'treat',               // Dress a wounded dwarf's injuries
+  RECOVER: 'recover',           // Lie in a hospital bed
+  BURY: 'bury',                 // Lay a fallen dwarf to rest
+
   // Rest
   REST: 'rest',                 // Recover energy
   IDLE: 'idle',                 // Do nothing
@@ -87,13 +98,17 @@ export const PRIORITY = {
 // === SKILL TYPES ===
 export const SKILL = {
   MINING: 'mining',           // Digging efficiency
+  WOODCUTTING: 'woodcutting', // Felling trees
   MASONRY: 'masonry',         // Stone construction
   CARPENTRY: 'carpentry',     // Wood construction
   CRAFTING: 'crafting',       // General item creation
   LEATHERWORKING: 'leatherworking', // Working hides from hunts
+  METALWORKING: 'metalworking', // Smelting ore and forging bars into arms and goods
+  GEM_CUTTING: 'gem_cutting', // Cutting and setting gems at the jeweler
   COOKING: 'cooking',         // Food preparation
   SOCIAL: 'social',           // Conversation quality
   EXPLORATION: 'exploration', // Finding new areas
+  MEDICINE: 'medicine',       // Treating wounds
 };
 
 // === ASPIRATION TYPES ===
@@ -113,6 +128,9 @@ export const WORKSHOP = {
   CARPENTER: 'carpenter',   // Wood crafts
   CRAFTSDWARF: 'craftsdwarf', // General crafts
   KITCHEN: 'kitchen',       // Food preparation
+  SMELTER: 'smelter',       // Charcoal and metal bars
+  FORGE: 'forge',           // Metal arms and goods
+  JEWELER: 'jeweler',       // Cut gems and jewelry
 };
 
 // === RESOURCE TYPES ===
@@ -128,7 +146,7 @@ export const RESOURCE = {
  */
 export function createTask(type, target, options = {}) {
   return {
-    id: Date.now() + Math.random(),
+    id: nextId(),
     type,
     target,           // { x, y } or entity reference
     priority: options.priority || PRIORITY.NORMAL,
@@ -159,7 +177,7 @@ export function generateAspiration(personality) {
 
   // Weighted random selection
   const total = weights.reduce((sum, w) => sum + w.weight, 0);
-  let roll = Math.random() * total;
+  let roll = random() * total;
 
   for (const { type, weight } of weights) {
     roll -= weight;
@@ -180,7 +198,7 @@ export function generateSkills(personality) {
   return [
     {
       name: 'melee',
-      level: 0.2 + Math.random() * 0.3,
+      level: 0.2 + random() * 0.3,
       experience: 0,
       proficiency: 0.2 + (p.bravery || 0) * 0.3,
       category: 'combat',
@@ -282,8 +300,10 @@ export function getPrimaryProfession(dwarf) {
     'masonry': 'Mason',
     'leatherworking': 'Leatherworker',
     'stonecarving': 'Stonecutter',
+    'gem_cutting': 'Gem Cutter',
     'melee': 'Soldier',
     'mining': 'Miner',
+    'woodcutting': 'Woodcutter',
     'building': 'Builder',
     'hauling': 'Hauler',
     'teaching': 'Instructor',
@@ -313,6 +333,7 @@ export function getSecondaryProfessions(dwarf) {
         'masonry': 'Mason',
         'melee': 'Soldier',
         'mining': 'Miner',
+        'woodcutting': 'Woodcutter',
       };
       return professionMap[s.name] || capitalize(s.name);
     });
@@ -425,6 +446,7 @@ function getPersonalityTaskBonus(personality, taskType) {
 export function getTaskDescription(task) {
   const descriptions = {
     [TASK_TYPE.DIG]: 'carving stone',
+    [TASK_TYPE.FELL]: 'felling trees',
     [TASK_TYPE.BUILD]: 'constructing',
     [TASK_TYPE.SMOOTH]: 'smoothing walls',
     [TASK_TYPE.CRAFT]: 'crafting',
@@ -438,6 +460,9 @@ export function getTaskDescription(task) {
     [TASK_TYPE.HUNT]: 'hunting',
     [TASK_TYPE.FISH]: 'fishing',
     [TASK_TYPE.SEEK_SHELTER]: 'sheltering from the weather',
+    [TASK_TYPE.TREAT]: 'tending the wounded',
+    [TASK_TYPE.RECOVER]: 'recovering in hospital',
+    [TASK_TYPE.BURY]: 'burying the dead',
     [TASK_TYPE.REST]: 'resting',
     [TASK_TYPE.IDLE]: 'relaxing',
   };
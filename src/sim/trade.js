@@ -0,0 +1,362 @@
+/**
+ * Trade
+ * Merchant caravans arrive with goods for sale (outfitCaravan), priced by
+ * the merchant's race and the dwarves' history with that race. Once a
+ * merchant has set up shop at the market the player strikes deals from the
+ * trade panel: pick goods from the caravan, offer crafted items from the
+ * fortress (getCraftedItems() that still lie on the map, QUALITY raising
+ * their worth) and propose. The merchant accepts when the offer covers the
+ * price; a refused offer or a failed haggle costs patience, and a merchant
+ * out of patience packs up.
+ *
+ * Bought goods are set down at the merchant's feet for haulers to take to
+ * a stockpile; sold items leave the map with the caravan. TRADE_STARTED
+ * fires when a merchant opens shop (with the goods on offer) and
+ * TRADE_COMPLETED for every deal (with the goods that changed hands). A
+ * caravan that traded warms relations with its race when it leaves; one
+ * that packs up in disgust cools them (history.js). Every deal counts
+ * toward treaty trade quotas (diplomacy.js).
+ *
+ * Deals arrive from the UI between ticks, so they go through the input log.
+ */
+
+import { VISITOR_ROLE } from './races.js';
+import { VISITOR_STATE, addSatisfaction } from './visitors.js';
+import { HISTORICAL_EVENT, getDwarfRelation, recordVisitorOutcome } from './history.js';
+import { getCraftedItems, QUALITY } from './crafting.js';
+import { nextId, getDisplayName } from './entities.js';
+import { awardSkillXP } from './tasks.js';
+import { creditTradeQuota } from './diplomacy.js';
+import { random } from './rng.js';
+import { INPUT_KIND, registerInputHandler, submitInput } from './inputLog.js';
+import { addLog } from '../state/store.js';
+import { emit, EVENTS } from '../events/eventBus.js';
+
+const CONFIG = {
+  LOTS: { min: 4, max: 6 },     // Lots a caravan brings
+  PATIENCE: 3,                  // Refusals and failed haggles a merchant sits through
+  HAGGLE_STEP: 0.1,             // Discount won per successful haggle
+  MAX_DISCOUNT: 0.3,
+  SATISFACTION_PER_DEAL: 25,
+  SATISFACTION_PER_VALUE: 0.5,  // Extra satisfaction per unit of value traded
+};
+
+// Goods caravans bring. `kind` says where a bought lot ends up: resources
+// are piles on the ground, food joins state.foodSources as provisions.
+export const TRADE_GOODS = {
+  wood: { name: 'Logs', value: 3, kind: 'resource', amount: [4, 10] },
+  stone: { name: 'Stone', value: 1, kind: 'resource', amount: [6, 12] },
+  hide: { name: 'Hides', value: 4, kind: 'resource', amount: [2, 5] },
+  bone: { name: 'Bones', value: 2, kind: 'resource', amount: [2, 6] },
+  cloth: { name: 'Cloth', value: 8, kind: 'resource', amount: [1, 4] },
+  rope: { name: 'Rope', value: 5, kind: 'resource', amount: [1, 4] },
+  iron_bar: { name: 'Iron Bars', value: 12, kind: 'resource', amount: [1, 3] },
+  cheese: { name: 'Cheese', value: 4, kind: 'food', amount: [3, 8], nutrition: 10 },
+  ale: { name: 'Ale', value: 5, kind: 'food', amount: [3, 8], nutrition: 6 },
+  fruit: { name: 'Fruit', value: 3, kind: 'food', amount: [4, 10], nutrition: 8 },
+};
+
+// What each race brings, how dear it sells, and what it pays extra for
+export const RACE_TRADE = {
+  human: {
+    goods: ['wood', 'stone', 'cloth', 'rope', 'iron_bar', 'cheese', 'ale'],
+    markup: 1.0,
+    wants: { furniture: 1.2, stone_block: 1.2, jewelry: 1.3 },
+  },
+  elf: {
+    goods: ['cloth', 'rope', 'fruit', 'hide'],
+    markup: 1.2,
+    wants: { figurine: 1.5, trinket: 1.3, craft_goods: 1.2, cut_gem: 1.3 },
+  },
+  goblin: {
+    goods: ['hide', 'bone', 'iron_bar', 'ale'],
+    markup: 1.4,
+    wants: { furniture: 0.8, trinket: 1.2 },
+  },
+};
+
+// What the fortress's goods are worth per unit, before quality
+export const ITEM_VALUE = {
+  stone: 1,
+  stone_block: 2,
+  wood: 2,
+  hide: 4,
+  bone: 2,
+  exotic: 12,
+  meal: 3,
+  craft_goods: 6,
+  trinket: 5,
+  furniture: 10,
+  figurine: 15,
+  dagger: 8,
+  spear: 12,
+  war_hammer: 18,
+  battle_axe: 20,
+  leather_armor: 12,
+  leather_cap: 5,
+  mail_shirt: 36,
+  iron_helm: 12,
+  copper_ore: 2,
+  iron_ore: 3,
+  charcoal: 1,
+  copper_bar: 6,
+  iron_bar: 10,
+  rough_gem: 8,
+  cut_gem: 20,
+  jewelry: 30,
+};
+
+// === CARAVANS ===
+
+/**
+ * Price factor for a race: friends sell cheaper and pay more, enemies
+ * the opposite (0.75 at the best relations, 1.25 at the worst)
+ */
+function getPriceFactor(race, history) {
+  const markup = RACE_TRADE[race]?.markup ?? 1;
+  return markup * (1 - getDwarfRelation(history, race) / 400);
+}
+
+/**
+ * Stock a newly arrived visitor group's merchants with goods for sale
+ * @param {Array} group - Visitors from createVisitorGroup
+ * @param {object} [history] - state.history
+ */
+export function outfitCaravan(group, history) {
+  for (const merchant of group) {
+    if (merchant.role !== VISITOR_ROLE.MERCHANT) continue;
+
+    const profile = RACE_TRADE[merchant.race] || RACE_TRADE.human;
+    merchant.priceFactor = getPriceFactor(merchant.race, history);
+    merchant.patience = CONFIG.PATIENCE;
+    merchant.discount = 0;
+    merchant.tradeValue = 0;
+
+    const lots = CONFIG.LOTS.min + Math.floor(random() * (CONFIG.LOTS.max - CONFIG.LOTS.min + 1));
+    for (let i = 0; i < lots; i++) {
+      const type = profile.goods[Math.floor(random() * profile.goods.length)];
+      const good = TRADE_GOODS[type];
+      const [lo, hi] = good.amount;
+      merchant.inventory.push({
+        id: nextId(),
+        type,
+        name: good.name,
+        kind: good.kind,
+        amount: lo + Math.floor(random() * (hi - lo + 1)),
+        value: good.value,
+      });
+    }
+  }
+}
+
+/**
+ * Merchants with their shop open
+ */
+export function getTradingMerchants(state) {
+  return (state.visitors || []).filter(v =>
+    v.role === VISITOR_ROLE.MERCHANT && v.state === VISITOR_STATE.TRADING && v.patience > 0);
+}
+
+/**
+ * Announce a merchant opening shop at the market. Called once by the
+ * merchant's AI when it first starts trading.
+ */
+export function openShop(merchant, state) {
+  if (merchant.shopOpened) return;
+  merchant.shopOpened = true;
+  addLog(state, `${merchant.name} has set up shop at the market.`);
+  emit(EVENTS.TRADE_STARTED, { merchant, goods: merchant.inventory, worldState: state });
+}
+
+// === PRICES ===
+
+/**
+ * What a fortress good is worth: per-unit value by type, times amount and
+ * quality
+ */
+export function getItemValue(item) {
+  const quality = item.quality?.multiplier ?? QUALITY.NORMAL.multiplier;
+  return Math.round((ITEM_VALUE[item.type] ?? 1) * item.amount * quality);
+}
+
+/**
+ * Display name for a fortress good: "fine stone furniture"
+ */
+export function describeItem(item) {
+  const quality = item.quality && item.quality !== QUALITY.NORMAL ? `${item.quality.name} ` : '';
+  const material = item.material ? `${item.material} ` : '';
+  return `${quality}${material}${item.type.replace('_', ' ')}`;
+}
+
+/**
+ * What a merchant asks for a lot
+ */
+export function getLotPrice(merchant, lot) {
+  return Math.ceil(lot.value * lot.amount * merchant.priceFactor * (1 - merchant.discount));
+}
+
+/**
+ * What a merchant pays for a fortress good
+ */
+export function getOfferPrice(merchant, item) {
+  const want = RACE_TRADE[merchant.race]?.wants[item.type] ?? 1;
+  return Math.floor(getItemValue(item) * want / merchant.priceFactor);
+}
+
+/**
+ * Crafted items the fortress can offer: everything made that still lies on
+ * the map (not hauled mid-way, not already sold)
+ */
+export function getTradeGoods(state) {
+  const onMap = new Set(state.resources || []);
+  return getCraftedItems().filter(item => onMap.has(item) && item.amount > 0);
+}
+
+/**
+ * Price a proposed deal
+ * @param {object} merchant
+ * @param {object} deal - { buy: [lot ids], sell: [item ids] }
+ * @returns {{ lots, items, cost, offered, acceptable }}
+ */
+export function evaluateDeal(merchant, { buy = [], sell = [] }, state) {
+  const lots = merchant.inventory.filter(lot => buy.includes(lot.id));
+  const items = getTradeGoods(state).filter(item => sell.includes(item.id));
+  const cost = lots.reduce((sum, lot) => sum + getLotPrice(merchant, lot), 0);
+  const offered = items.reduce((sum, item) => sum + getOfferPrice(merchant, item), 0);
+  return {
+    lots,
+    items,
+    cost,
+    offered,
+    acceptable: lots.length + items.length > 0 && offered >= cost,
+  };
+}
+
+/**
+ * The dwarf who does the talking: the best social skill
+ */
+function findBroker(state) {
+  let best = null;
+  let bestLevel = -1;
+  for (const dwarf of state.dwarves) {
+    const level = dwarf.skills?.find?.(s => s.name === 'social')?.level ?? 0;
+    if (level > bestLevel) {
+      best = dwarf;
+      bestLevel = level;
+    }
+  }
+  return best ? { dwarf: best, level: bestLevel } : null;
+}
+
+function losePatience(merchant, state, message) {
+  merchant.patience--;
+  addLog(state, message);
+  if (merchant.patience <= 0) {
+    // Done with these dwarves: satisfied enough to leave
+    merchant.satisfaction = merchant.satisfactionThreshold;
+    addLog(state, `${merchant.name} packs up the caravan in disgust.`);
+    recordVisitorOutcome(state, HISTORICAL_EVENT.TRADE_SOURED, merchant);
+  }
+}
+
+// === EXCHANGE ===
+
+function deliverLot(lot, at, state) {
+  if (lot.kind === 'food') {
+    if (!state.foodSources) state.foodSources = [];
+    state.foodSources.push({
+      type: 'food',
+      id: nextId(),
+      subtype: 'provisions',
+      name: lot.name,
+      x: at.x,
+      y: at.y,
+      amount: lot.amount,
+      nutrition: TRADE_GOODS[lot.type]?.nutrition ?? 8,
+    });
+    return;
+  }
+  if (!state.resources) state.resources = [];
+  state.resources.push({ id: nextId(), type: lot.type, amount: lot.amount, x: at.x, y: at.y });
+}
+
+function describeGoods(list) {
+  return list.map(g => `${g.amount} ${g.name || describeItem(g)}`).join(', ') || 'nothing';
+}
+
+/**
+ * Propose a deal or haggle from the trade panel (through the input log)
+ * @param {object} state - World state
+ * @param {object} order - { action: 'deal', merchantId, buy: [lot ids], sell: [item ids] }
+ *                       | { action: 'haggle', merchantId }
+ * @returns {boolean} False when dropped (replaying)
+ */
+export function proposeTrade(state, order) {
+  return submitInput(state, INPUT_KIND.TRADE, order);
+}
+
+/**
+ * Apply a trade order
+ * @returns {object|boolean} The exchange for an accepted deal ({ bought, sold, cost, offered }), else whether the merchant gave ground
+ */
+export function applyTradeOrder(state, { action, merchantId, buy, sell }) {
+  const merchant = getTradingMerchants(state).find(m => m.id === merchantId);
+  if (!merchant) return false;
+  const broker = findBroker(state);
+
+  if (action === 'haggle') {
+    if (merchant.discount >= CONFIG.MAX_DISCOUNT) {
+      losePatience(merchant, state, `${merchant.name} will go no lower.`);
+      return false;
+    }
+    const chance = 0.3 + (broker?.level ?? 0) * 0.4 + merchant.disposition / 200;
+    if (broker) awardSkillXP(broker.dwarf, 'social', 5);
+    if (random() < chance) {
+      merchant.discount = Math.min(CONFIG.MAX_DISCOUNT, merchant.discount + CONFIG.HAGGLE_STEP);
+      addLog(state, `${merchant.name} agrees to take ${Math.round(merchant.discount * 100)}% off.`);
+      return true;
+    }
+    losePatience(merchant, state, `${merchant.name} will not budge.`);
+    return false;
+  }
+
+  if (action !== 'deal') return false;
+
+  const deal = evaluateDeal(merchant, { buy, sell }, state);
+  if (deal.lots.length + deal.items.length === 0) return false;
+  if (!deal.acceptable) {
+    losePatience(merchant, state, `${merchant.name} refuses: ${deal.offered} offered for goods worth ${deal.cost}.`);
+    return false;
+  }
+
+  // Caravan goods come down at the merchant's feet
+  merchant.inventory = merchant.inventory.filter(lot => !deal.lots.includes(lot));
+  for (const lot of deal.lots) deliverLot(lot, merchant, state);
+
+  // Fortress goods go onto the caravan
+  const sold = new Set(deal.items);
+  state.resources = state.resources.filter(item => !sold.has(item));
+  for (const item of deal.items) {
+    merchant.inventory.push({
+      id: nextId(),
+      type: item.type,
+      name: describeItem(item),
+      kind: 'resource',
+      amount: item.amount,
+      value: Math.ceil(getItemValue(item) / item.amount),
+    });
+  }
+
+  addSatisfaction(merchant, CONFIG.SATISFACTION_PER_DEAL + deal.cost * CONFIG.SATISFACTION_PER_VALUE);
+  merchant.tradeValue = (merchant.tradeValue || 0) + deal.cost;
+  creditTradeQuota(state, deal.cost);
+  if (broker) awardSkillXP(broker.dwarf, 'social', 10);
+
+  const exchange = { bought: deal.lots, sold: deal.items, cost: deal.cost, offered: deal.offered };
+  const who = broker ? getDisplayName(broker.dwarf) : 'The dwarves';
+  addLog(state, `${who} traded ${describeGoods(deal.items)} to ${merchant.name} for ${describeGoods(deal.lots)}.`);
+  emit(EVENTS.TRADE_COMPLETED, { merchant, broker: broker?.dwarf ?? null, ...exchange, worldState: state });
+  return exchange;
+}
+
+registerInputHandler(INPUT_KIND.TRADE, applyTradeOrder);
@@ -5,9 +5,14 @@
 
 import { RACE, RACE_CONFIG } from './races.js';
 import { createVisitorGroup } from './visitors.js';
+import { outfitCaravan } from './trade.js';
+import { getAgreementModifiers, getAgreementSpawnModifier } from './diplomacy.js';
+import { musterGoblins } from './raids.js';
 import { getRandomEdgePosition } from './edges.js';
 import { getSpawnWeightModifier, getDwarfRelation } from './history.js';
+import { getNeighborSpawnModifier } from '../map/worldMap.js';
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from './rng.js';
 
 export const SPAWN_CONFIG = Object.freeze({
   BASE_INTERVAL: 50,       // Ticks between spawn checks
@@ -28,16 +33,36 @@ export function resetSpawner() {
 }
 
 /**
- * Calculate spawn weights for each race based on history
+ * Spawner clock for a save
  */
-function calculateRaceWeights(history) {
+export function exportSpawnerState() {
+  return { lastSpawnTick };
+}
+
+/**
+ * Restore the spawner clock from a save
+ */
+export function importSpawnerState(data) {
+  lastSpawnTick = data?.lastSpawnTick ?? 0;
+}
+
+/**
+ * Calculate spawn weights for each race based on history. Reads the live
+ * relations and timeline, so a routed raid or a slain guest changes who
+ * comes next, and the agreements the dwarves signed, kept or broke. A
+ * colony embarked from the world map sees more of the peoples settled near
+ * it and few of those who live far off.
+ * @param {object} history - state.history
+ * @param {object} [embark] - state.embark (map/worldMap.js)
+ */
+export function calculateRaceWeights(history, embark = null) {
   const weights = {};
 
   for (const race of Object.values(RACE)) {
     const baseWeight = getRaceBaseWeight(race);
     const historyMod = history ? getSpawnWeightModifier(history, race) : 1.0;
 
-    weights[race] = baseWeight * historyMod;
+    weights[race] = baseWeight * historyMod * getAgreementSpawnModifier(race) * getNeighborSpawnModifier(embark, race);
   }
 
   return weights;
@@ -64,7 +89,7 @@ function getRaceBaseWeight(race) {
  */
 function selectRace(weights) {
   const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
-  let roll = Math.random() * totalWeight;
+  let roll = random() * totalWeight;
 
   for (const [race, weight] of Object.entries(weights)) {
     roll -= weight;
@@ -101,10 +126,10 @@ export function maybeSpawnVisitors(state) {
 
   // Random chance check
   const spawnChance = calculateSpawnChance(state);
-  if (Math.random() > spawnChance) return;
+  if (random() > spawnChance) return;
 
   // Select race based on history
-  const weights = calculateRaceWeights(state.history);
+  const weights = calculateRaceWeights(state.history, state.embark);
   const race = selectRace(weights);
 
   // Find spawn position
@@ -117,10 +142,14 @@ export function maybeSpawnVisitors(state) {
   // Create visitor group
   const historyContext = {
     history: state.history,
-    modifiers: {},
+    modifiers: getAgreementModifiers(race),
   };
 
-  const visitors = createVisitorGroup(spawnPos.x, spawnPos.y, race, historyContext);
+  // Goblins come as scouts or as a raid wave sized to the fortress (raids.js)
+  const visitors = race === RACE.GOBLIN
+    ? musterGoblins(state, spawnPos, historyContext, SPAWN_CONFIG.MAX_VISITORS - livingVisitors.length)
+    : createVisitorGroup(spawnPos.x, spawnPos.y, race, historyContext);
+  outfitCaravan(visitors, state.history);
 
   // Set entry edge for all visitors
   for (const visitor of visitors) {
@@ -197,10 +226,11 @@ export function forceSpawnVisitor(state, race, position = null) {
 
   const historyContext = {
     history: state.history,
-    modifiers: {},
+    modifiers: getAgreementModifiers(race),
   };
 
   const visitors = createVisitorGroup(spawnPos.x, spawnPos.y, race, historyContext);
+  outfitCaravan(visitors, state.history);
 
   for (const visitor of visitors) {
     visitor.entryEdge = spawnPos.edge;
@@ -5,6 +5,8 @@
 
 import { nextId, distance } from './entities.js';
 import { RACE, RACE_CONFIG, ROLE_CONFIG, VISITOR_ROLE, getRelationKey } from './races.js';
+import { random } from './rng.js';
+import { outfitVisitor } from './equipment.js';
 
 export const VISITOR_STATE = Object.freeze({
   ARRIVING: 'arriving',
@@ -13,6 +15,10 @@ export const VISITOR_STATE = Object.freeze({
   TRADING: 'trading',
   RAIDING: 'raiding',
   PREACHING: 'preaching',
+  NEGOTIATING: 'negotiating', // Diplomat waiting on an answer to their terms (diplomacy.js)
+  CAMPING: 'camping',     // Raid wave waiting at its siege camp (raids.js)
+  PETITIONING: 'petitioning', // Asking to join the fortress (settlers.js)
+  PRISONER: 'prisoner',   // Taken alive by the dwarves (settlers.js)
   FIGHTING: 'fighting',
   FLEEING: 'fleeing',
   LEAVING: 'leaving',
@@ -35,8 +41,11 @@ function calculateDisposition(race, historyContext) {
     disposition += Math.floor(relationValue * 0.3);
   }
 
+  // Standing agreements with the race (diplomacy.js getAgreementModifiers)
+  disposition += historyContext?.modifiers?.disposition ?? 0;
+
   // Add some randomness
-  disposition += Math.floor(Math.random() * 20) - 10;
+  disposition += Math.floor(random() * 20) - 10;
 
   return Math.max(-100, Math.min(100, disposition));
 }
@@ -97,6 +106,9 @@ export function createVisitor(x, y, race, role, historyContext = {}) {
     fleeThreshold: roleConfig.fleeThreshold,
     attackCooldown: 0,
 
+    // Arms and armor for the role (equipment.js)
+    equipment: outfitVisitor(race, role),
+
     // Entry tracking for leaving
     entryEdge: null,
     entryPosition: { x, y },
@@ -137,18 +149,29 @@ function generateVisitorName(race, role) {
   };
 
   const names = raceNames[race] || ['Stranger'];
-  const name = names[Math.floor(Math.random() * names.length)];
-
-  const roleTitle = {
-    [VISITOR_ROLE.MERCHANT]: 'the Merchant',
-    [VISITOR_ROLE.CARAVAN_GUARD]: 'the Guard',
-    [VISITOR_ROLE.RAIDER]: 'the Raider',
-    [VISITOR_ROLE.SCOUT]: 'the Scout',
-    [VISITOR_ROLE.MISSIONARY]: 'the Missionary',
-    [VISITOR_ROLE.DIPLOMAT]: 'the Diplomat',
-  };
+  const name = names[Math.floor(random() * names.length)];
+
+  return `${name} ${ROLE_TITLE[role] || ''}`.trim();
+}
+
+const ROLE_TITLE = {
+  [VISITOR_ROLE.MERCHANT]: 'the Merchant',
+  [VISITOR_ROLE.CARAVAN_GUARD]: 'the Guard',
+  [VISITOR_ROLE.RAIDER]: 'the Raider',
+  [VISITOR_ROLE.SCOUT]: 'the Scout',
+  [VISITOR_ROLE.MISSIONARY]: 'the Missionary',
+  [VISITOR_ROLE.DIPLOMAT]: 'the Diplomat',
+  [VISITOR_ROLE.REFUGEE]: 'the Refugee',
+};
 
-  return `${name} ${roleTitle[role] || ''}`.trim();
+/**
+ * A visitor's name without their role ("Grak", not "Grak the Raider")
+ */
+export function getGivenName(visitor) {
+  const title = ROLE_TITLE[visitor.role];
+  return title && visitor.name.endsWith(` ${title}`)
+    ? visitor.name.slice(0, -title.length - 1)
+    : visitor.name;
 }
 
 /**
@@ -156,8 +179,8 @@ function generateVisitorName(race, role) {
  */
 export function createVisitorGroup(x, y, race, historyContext = {}) {
   const config = RACE_CONFIG[race];
-  const groupSize = config.groupSize.min + Math.floor(Math.random() * (config.groupSize.max - config.groupSize.min + 1));
-  const groupId = `group_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const groupSize = config.groupSize.min + Math.floor(random() * (config.groupSize.max - config.groupSize.min + 1));
+  const groupId = `group_${nextId()}`;
 
   const visitors = [];
   const roles = config.roles;
@@ -167,7 +190,7 @@ export function createVisitorGroup(x, y, race, historyContext = {}) {
     let role;
     if (i === 0) {
       role = roles[0]; // Primary role (merchant, raider, missionary)
-    } else if (roles.length > 1 && Math.random() > 0.5) {
+    } else if (roles.length > 1 && random() > 0.5) {
       role = roles[1]; // Secondary role (guard, scout, diplomat)
     } else {
       role = roles[0];
@@ -205,9 +228,11 @@ export function isSatisfied(visitor) {
 }
 
 /**
- * Check if visitor is hostile
+ * Check if visitor is hostile (a prisoner, or one set free, no longer is,
+ * whatever they feel: settlers.js)
  */
 export function isHostile(visitor) {
+  if (visitor.state === VISITOR_STATE.PRISONER || visitor.freed) return false;
   return visitor.disposition < -20 || visitor.combatBehavior === 'aggressive';
 }
 
@@ -24,6 +24,7 @@ import { ParticleField, PARTICLE_WEATHER_TYPES } from './weatherParticles.js';
 import { getBiome } from '../map/biomes.js';
 import { Biome } from '../map/tiles.js';
 import { Noise, RNG } from 'rot-js';
+import { getTile } from '../map/map.js';
 
 // ============================================================
 // WEATHER TYPES & PARAMETERS
@@ -190,7 +191,7 @@ export class WeatherSimulator {
     for (let i = 0; i < sample; i++) {
       const d = state.dwarves[i];
       if (!d) continue;
-      const tile = state.map?.tiles?.[d.y * state.map.width + d.x];
+      const tile = state.map && getTile(state.map, d.x, d.y);
       if (tile && ['grass', 'dirt', 'forest_floor'].includes(tile.type)) {
         surfaceCount++;
       }
@@ -483,6 +484,60 @@ export class WeatherSimulator {
     };
   }
 
+  /**
+   * Snapshot for a save. The simplex noise is rebuilt from the seed; the
+   * rest — wind, fronts, particles (their density is what getWeatherAt
+   * reports to dwarves) and the rot.js RNG position — is kept, so a seeded
+   * run continues identically after a load. Front grids stay typed arrays
+   * (saveGame.js encodes them).
+   */
+  serialize() {
+    return {
+      width: this.width,
+      height: this.height,
+      seed: this.seed,
+      windAngle: this.windAngle,
+      windStrength: this.windStrength,
+      windTarget: this.windTarget,
+      windStrengthTarget: this.windStrengthTarget,
+      frontOffsetX: this.frontOffsetX,
+      frontOffsetY: this.frontOffsetY,
+      storminess: this.storminess,
+      sources: this.sources.map(s => ({ ...s })),
+      frontsComputed: this._frontsComputed,
+      frontIntensity: this.frontIntensity,
+      frontCondition: this.frontCondition,
+      particles: Object.fromEntries(
+        Object.entries(this.fields).map(([id, field]) => [id, field.serializeParticles()])
+      ),
+      rngState: RNG.getState(),
+    };
+  }
+
+  /**
+   * Rebuild a simulator from serialize() output
+   * @param {object} data
+   * @returns {WeatherSimulator}
+   */
+  static fromSnapshot(data) {
+    const sim = new WeatherSimulator(data.width, data.height, data.seed);
+    for (const key of ['windAngle', 'windStrength', 'windTarget', 'windStrengthTarget',
+      'frontOffsetX', 'frontOffsetY', 'storminess']) {
+      if (typeof data[key] === 'number') sim[key] = data[key];
+    }
+    sim.sources = (data.sources || []).map(s => ({ ...s }));
+    if (data.frontIntensity?.length === sim.frontIntensity.length) {
+      sim.frontIntensity.set(data.frontIntensity);
+      sim.frontCondition.set(data.frontCondition || []);
+      sim._frontsComputed = !!data.frontsComputed;
+    }
+    for (const [id, rows] of Object.entries(data.particles || {})) {
+      sim.fields[id]?.restoreParticles(rows);
+    }
+    if (Array.isArray(data.rngState)) RNG.setState(data.rngState);
+    return sim;
+  }
+
   /**
    * Clear all weather (for debug/reset)
    */
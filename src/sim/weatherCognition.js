@@ -10,6 +10,7 @@
  */
 
 import { emit, EVENTS } from '../events/eventBus.js';
+import { random } from './rng.js';
 
 // ============================================================
 // WEATHER MOOD MODIFIERS
@@ -151,7 +152,7 @@ function emitWeatherThought(dwarf, weatherType, intensity) {
  * Generate appropriate thought based on weather
  */
 function generateWeatherThought(dwarf, weatherType, intensity, info) {
-  const flavor = info.thoughtFlavors[Math.floor(Math.random() * info.thoughtFlavors.length)];
+  const flavor = info.thoughtFlavors[Math.floor(random() * info.thoughtFlavors.length)];
   const intensityLabel = intensity > 0.7 ? 'heavy' : intensity > 0.4 ? 'moderate' : 'light';
 
   const templates = {
@@ -193,7 +194,7 @@ function generateWeatherThought(dwarf, weatherType, intensity, info) {
   };
 
   const options = templates[weatherType] || templates.fog;
-  return options[Math.floor(Math.random() * options.length)];
+  return options[Math.floor(random() * options.length)];
 }
 
 /**
@@ -298,7 +299,8 @@ export function updateWeatherFulfillment(dwarf, weather, intensity) {
 
 /**
  * Get long-term health effects from chronic weather exposure
- * Miasma and spores cause sickness; others cause stress/fatigue
+ * Miasma and spores cause sickness; others cause stress/fatigue. Rain and
+ * snow chill, which can kill in mortal worlds (mortality.js)
  */
 export function getWeatherHealthEffects(dwarf, weather, chronicity) {
   // chronicity: number of ticks exposed to this weather
@@ -319,6 +321,9 @@ export function getWeatherHealthEffects(dwarf, weather, chronicity) {
       stress: Math.min(0.5, chronicity * 0.0002),
       cold: Math.min(0.3, chronicity * 0.0001),
     },
+    snow: {
+      cold: Math.min(0.6, chronicity * 0.0003),
+    },
     fog: {
       stress: Math.min(0.4, chronicity * 0.0003),
       confusion: Math.min(0.5, chronicity * 0.0002),
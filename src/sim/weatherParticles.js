@@ -12,6 +12,8 @@
  * Rendering converts particle density into visible tiles
  */
 
+import { random } from './rng.js';
+
 // ============================================================
 // PARTICLE SYSTEM FOR WEATHER
 // ============================================================
@@ -29,7 +31,7 @@ class Particle {
     this.ay = 0;       // Acceleration Y
     this.life = 1.0;   // 0-1, fades with age
     this.age = 0;
-    this.maxAge = 60 + Math.random() * 60;
+    this.maxAge = 60 + random() * 60;
   }
 
   update() {
@@ -85,15 +87,36 @@ export class ParticleField {
     for (let i = 0; i < count; i++) {
       if (this.particles.length >= this.maxParticles) break;
 
-      const angle = Math.random() * Math.PI * 2;
-      const speed = Math.random() * velocitySpread;
+      const angle = random() * Math.PI * 2;
+      const speed = random() * velocitySpread;
       const vx = Math.cos(angle) * speed;
       const vy = Math.sin(angle) * speed;
 
-      this.particles.push(new Particle(x + Math.random() - 0.5, y + Math.random() - 0.5, vx, vy));
+      this.particles.push(new Particle(x + random() - 0.5, y + random() - 0.5, vx, vy));
     }
   }
 
+  /**
+   * Live particles as plain rows for a save: [x, y, vx, vy, age, maxAge, life]
+   * (acceleration is reset every update, so it never needs saving)
+   */
+  serializeParticles() {
+    return this.particles.map(p => [p.x, p.y, p.vx, p.vy, p.age, p.maxAge, p.life]);
+  }
+
+  /**
+   * Replace the particles with serializeParticles() rows
+   */
+  restoreParticles(rows) {
+    this.particles = (rows || []).map(([x, y, vx, vy, age, maxAge, life]) => {
+      const particle = new Particle(x, y, vx, vy);
+      particle.age = age;
+      particle.maxAge = maxAge;
+      particle.life = life;
+      return particle;
+    });
+  }
+
   /**
    * Update particle positions with physics
    * @param {number} tick - Current simulation tick
@@ -104,8 +127,9 @@ export class ParticleField {
     // Update flow field phase for undulation
     this.flowFieldPhase = (tick * 0.02) % (Math.PI * 2);
 
-    // Clear density field
+    // Clear density field (an empty field stays clear; nothing to diffuse)
     this.densityField.fill(0);
+    if (this.particles.length === 0) return;
 
     // Update each particle
     const aliveParticles = [];
@@ -240,26 +264,21 @@ export class ParticleField {
     for (let y = 1; y < height - 1; y++) {
       for (let x = 1; x < width - 1; x++) {
         const idx = y * width + x;
-        const neighbors = [
-          this.densityField[(y - 1) * width + x],
-          this.densityField[(y + 1) * width + x],
-          this.densityField[y * width + (x - 1)],
-          this.densityField[y * width + (x + 1)],
-        ];
-
-        const avgNeighbor = neighbors.reduce((a, b) => a + b, 0) / 4;
+        const avgNeighbor = (
+          this.densityField[idx - width] +
+          this.densityField[idx + width] +
+          this.densityField[idx - 1] +
+          this.densityField[idx + 1]
+        ) / 4;
         temp[idx] = this.densityField[idx] * (1 - diffusionRate) + avgNeighbor * diffusionRate;
       }
     }
 
-    // Copy back
-    for (let i = 0; i < this.densityField.length; i++) {
-      this.densityField[i] = temp[i];
-    }
-
-    // Decay density over time (reduced to maintain cohesive groupings longer)
+    // Copy back, decaying density over time (reduced to maintain cohesive
+    // groupings longer)
+    const keep = 1 - this.type.decay * 0.25;  // Slower decay for persistent clouds
     for (let i = 0; i < this.densityField.length; i++) {
-      this.densityField[i] *= (1 - this.type.decay * 0.25);  // Slower decay for persistent clouds
+      this.densityField[i] = temp[i] * keep;
     }
   }
 
@@ -9,6 +9,8 @@
  */
 
 import { getCalendar } from './clock.js';
+import { random } from './rng.js';
+import { getDepth } from '../map/map.js';
 
 // ============================================================
 // SCENARIO-TRIGGERED WEATHER
@@ -40,8 +42,8 @@ export function applyScenarioWeather(state, scenario) {
     [x, y] = weather.location;
   } else if (weather.location === 'random_surface') {
     // Random surface location
-    x = Math.random() * state.map.width | 0;
-    y = Math.random() * state.map.height * 0.3 | 0;  // Upper part = surface
+    x = random() * state.map.width | 0;
+    y = random() * state.map.height * 0.3 | 0;  // Upper part = surface
   } else if (weather.location === 'fortress_center') {
     // At dwarf fortress center
     const dwarves = state.dwarves.filter(d => d.state !== 'dead');
@@ -115,11 +117,11 @@ export function triggerMistFromWater(state, waterX, waterY) {
  * Trigger cloud formations on surface map only
  */
 export function triggerCloudFormations(state, intensity = 0.7, durationTicks = 600) {
-  if (!state.weather || !state.map.tiles) return;
+  if (!state.weather || !getDepth(state.map)) return;
 
   // Find a surface location (only top portion of map)
-  const cloudX = Math.random() * state.map.width | 0;
-  const cloudY = Math.random() * state.map.height * 0.2 | 0;  // Top 20% = surface
+  const cloudX = random() * state.map.width | 0;
+  const cloudY = random() * state.map.height * 0.2 | 0;  // Top 20% = surface
 
   state.weather.addSource(cloudX, cloudY, 'CLOUDS', intensity, durationTicks);
   console.log(`[Weather] Cloud formations triggered at (${cloudX}, ${cloudY})`);
@@ -129,11 +131,11 @@ export function triggerCloudFormations(state, intensity = 0.7, durationTicks = 6
  * Trigger rain storm on surface map
  */
 export function triggerRainStorm(state, intensity = 0.8, durationTicks = 300) {
-  if (!state.weather || !state.map.tiles) return;
+  if (!state.weather || !getDepth(state.map)) return;
 
   // Find a surface location
-  const surfaceX = Math.random() * state.map.width | 0;
-  const surfaceY = Math.random() * state.map.height * 0.25 | 0;
+  const surfaceX = random() * state.map.width | 0;
+  const surfaceY = random() * state.map.height * 0.25 | 0;
 
   state.weather.addSource(surfaceX, surfaceY, 'RAIN', intensity, durationTicks);
   console.log(`[Weather] Rain storm triggered`);
@@ -146,8 +148,8 @@ export function triggerFogInCavern(state, cavern, intensity = 0.4) {
   if (!state.weather) return;
 
   // Cavern: { x, y, width, height } or just { x, y }, or null for random
-  const x = (cavern?.x) || (Math.random() * state.map.width | 0);
-  const y = (cavern?.y) || (Math.random() * state.map.height * 0.7 | 0);
+  const x = (cavern?.x) || (random() * state.map.width | 0);
+  const y = (cavern?.y) || (random() * state.map.height * 0.7 | 0);
 
   state.weather.addSource(x, y, 'FOG', intensity, 400);
   console.log(`[Weather] Fog spawned in cavern at (${x}, ${y})`);
@@ -159,8 +161,8 @@ export function triggerFogInCavern(state, cavern, intensity = 0.4) {
 export function triggerSnowStorm(state, intensity = 0.6, durationTicks = 200) {
   if (!state.weather) return;
 
-  const snowX = Math.random() * state.map.width | 0;
-  const snowY = Math.random() * state.map.height * 0.2 | 0;
+  const snowX = random() * state.map.width | 0;
+  const snowY = random() * state.map.height * 0.2 | 0;
 
   state.weather.addSource(snowX, snowY, 'SNOW', intensity, durationTicks);
   console.log(`[Weather] Snow storm triggered`);
@@ -172,8 +174,8 @@ export function triggerSnowStorm(state, intensity = 0.6, durationTicks = 200) {
 export function triggerSandstorm(state, intensity = 0.7, durationTicks = 350) {
   if (!state.weather) return;
 
-  const x = Math.random() * state.map.width | 0;
-  const y = Math.random() * state.map.height | 0;
+  const x = random() * state.map.width | 0;
+  const y = random() * state.map.height | 0;
 
   state.weather.addSource(x, y, 'SANDSTORM', intensity, durationTicks);
   console.log(`[Weather] Sandstorm triggered`);
@@ -196,7 +198,7 @@ const SEASON_PROFILES = [
 ];
 
 function rollRange([min, max]) {
-  return min + Math.random() * (max - min);
+  return min + random() * (max - min);
 }
 
 /**
@@ -228,19 +230,19 @@ export function updateSeasonalWeather(state) {
 
   // Dawn fog banks: damp mornings raise mist independently of storm rolls,
   // burning off naturally as the source expires
-  if (clock.phase === 'dawn' && avgMoist > 0.45 && Math.random() < 0.18) {
+  if (clock.phase === 'dawn' && avgMoist > 0.45 && random() < 0.18) {
     triggerFogInCavern(state, null, Math.min(0.6, 0.2 + avgMoist * 0.35));
   }
 
   // Roughly one storm roll per in-game day (called every 100 ticks)
-  if (Math.random() < 0.92) return;
+  if (random() < 0.92) return;
 
   const intensity = rollRange(profile.intensity);
   const duration = rollRange(profile.duration) | 0;
 
   // Each storm draws a character, not just a type: squalls are short and
   // violent, drizzles long and soft, sieges heavy and sprawling
-  const character = Math.random();
+  const character = random();
   const squall = character < 0.3;     // brief, intense
   const drizzle = character > 0.75;   // long, gentle
 
@@ -257,24 +259,24 @@ export function updateSeasonalWeather(state) {
     return;
   }
 
-  if (arid && (season === 1 || Math.random() < 0.5)) {
+  if (arid && (season === 1 || random() < 0.5)) {
     // Arid climates: brief dust devils or full sandstorm walls, worst in summer
     triggerSandstorm(state, charIntensity, charDuration);
     return;
   }
 
-  if (Math.random() < profile.rain + avgMoist * 0.3) {
+  if (random() < profile.rain + avgMoist * 0.3) {
     triggerRainStorm(state, charIntensity, charDuration);
     // A violent squall sometimes drags a second cell in on the same front
-    if (squall && Math.random() < 0.4) {
+    if (squall && random() < 0.4) {
       triggerRainStorm(state, charIntensity * 0.7, (charDuration * 1.5) | 0);
     }
   } else if (season === 2 && avgMoist > 0.45) {
     // Damp autumn: fog banks
     triggerFogInCavern(state, null, Math.min(0.6, 0.25 + avgMoist * 0.3));
-  } else if (avgMoist > 0.6 && Math.random() < 0.3) {
+  } else if (avgMoist > 0.6 && random() < 0.3) {
     // Humid lulls: drifting mist between storms
-    triggerMistFromWater(state, (state.map.width * Math.random()) | 0, (state.map.height * Math.random()) | 0);
+    triggerMistFromWater(state, (state.map.width * random()) | 0, (state.map.height * random()) | 0);
   }
 }
 
@@ -421,11 +423,11 @@ export function triggerComplexWeather(state, scenario) {
       y = state.map.height / 2 | 0;
     } else if (trigger.x === 'water') {
       // Find water location
-      x = Math.random() * state.map.width | 0;
-      y = Math.random() * state.map.height | 0;
+      x = random() * state.map.width | 0;
+      y = random() * state.map.height | 0;
     } else if (trigger.x === 'surface') {
-      x = Math.random() * state.map.width | 0;
-      y = Math.random() * state.map.height * 0.25 | 0;
+      x = random() * state.map.width | 0;
+      y = random() * state.map.height * 0.25 | 0;
     } else if (trigger.x === 'death_site') {
       // Find recent death location or use random
       const deadDwarves = state.dwarves.filter(d => d.state === 'dead');
@@ -433,12 +435,12 @@ export function triggerComplexWeather(state, scenario) {
         x = deadDwarves[0].x;
         y = deadDwarves[0].y;
       } else {
-        x = Math.random() * state.map.width | 0;
-        y = Math.random() * state.map.height | 0;
+        x = random() * state.map.width | 0;
+        y = random() * state.map.height | 0;
       }
     } else {
-      x = trigger.x || Math.random() * state.map.width | 0;
-      y = trigger.y || Math.random() * state.map.height | 0;
+      x = trigger.x || random() * state.map.width | 0;
+      y = trigger.y || random() * state.map.height | 0;
     }
 
     state.weather.addSource(x, y, trigger.type, trigger.intensity, trigger.duration);
@@ -461,8 +463,8 @@ export function checkWeatherAlerts(state) {
   const alerts = [];
 
   for (let i = 0; i < samplePoints; i++) {
-    const x = Math.random() * state.map.width | 0;
-    const y = Math.random() * state.map.height | 0;
+    const x = random() * state.map.width | 0;
+    const y = random() * state.map.height | 0;
 
     const weather = state.weather.getWeatherAt(x, y);
 
@@ -5,7 +5,7 @@
  */
 
 import { addLog } from '../state/store.js';
-import { isCritical, createFoodSource } from './entities.js';
+import { isCritical, createFoodSource, onSameLevel } from './entities.js';
 import { decide as aiDecide, workFighting } from '../ai/dwarfAI.js';
 import { applyHunger, processDeath, processEat, maybeSpawnFood, updateFoodProduction } from './rules.js';
 import { emit, EVENTS } from '../events/eventBus.js';
@@ -13,6 +13,16 @@ import { initScentMap, emitScent, decayScents, seedWaterScent, SCENT_CHANNEL } f
 import { initGroundCover, tickGroundCover } from './groundCover.js';
 import { initConstruction } from './construction.js';
 import { initCrafting, maybeQueueCraftingJobs } from './crafting.js';
+import { initStockpiles, syncStructureStockpiles } from './stockpiles.js';
+import { initProductionOrders, dispatchProductionOrders, hasActiveOrders } from './productionOrders.js';
+import { initDiplomacy, tickDiplomacy } from './diplomacy.js';
+import { initRaids, tickRaids } from './raids.js';
+import { initMilitary, tickMilitary } from './military.js';
+import { tickMedical } from './medical.js';
+import { initMortality, tickMortality } from './mortality.js';
+import { initPopulation, tickPopulation } from './population.js';
+import { tickSettlers } from './settlers.js';
+import { initForestry, tickForestry } from './forestry.js';
 import { decayDrives, getDominantDrive, applyHomeostasis } from './drives.js';
 import { perceiveWorld } from './perception.js';
 import { getCalendar } from './clock.js';
@@ -24,6 +34,7 @@ import { decideAnimal, actAnimal } from '../ai/animalAI.js';
 import { processVisitors } from '../ai/visitorAI.js';
 import { maybeSpawnVisitors, resetSpawner } from './visitorSpawner.js';
 import { processCombat, cleanupDeadEntities, tickCooldowns } from './combat.js';
+import { applyReplayInputs } from './inputLog.js';
 
 let systemsInitialized = false;
 
@@ -36,6 +47,14 @@ export function initSystems(state) {
   initGroundCover(state.map.width, state.map.height);  // Wetness/snow grids (audit WX 7)
   initConstruction();
   initCrafting();
+  initStockpiles();
+  initProductionOrders();
+  initDiplomacy();
+  initRaids();
+  initMilitary();
+  initMortality();
+  initPopulation();
+  initForestry();
   resetSpawner();  // Reset visitor spawner state
   systemsInitialized = true;
 }
@@ -49,6 +68,10 @@ export function tick(state) {
     initSystems(state);
   }
 
+  // Replaying: recorded LLM inputs land exactly where they did live,
+  // between the previous tick and this one
+  applyReplayInputs(state);
+
   state.tick++;
 
   // Refresh the shared day/season clock (single source of truth — audit P5)
@@ -179,22 +202,46 @@ export function tick(state) {
   // 3.5 Process visitors (external forces)
   processVisitors(state);
 
+  // 3.52 Raids: captives follow their captors, sieges break, routs spread
+  tickRaids(state);
+
+  // 3.53 Squads: the fallen leave the roster, morale rises and falls
+  tickMilitary(state);
+
+  // 3.55 Treaties: tribute falls due, agreements run their course
+  tickDiplomacy(state);
+
   // 3.6 Process combat between all entities
   processCombat(state);
 
+  // 3.7 Wounds bleed, fester and knit
+  tickMedical(state);
+
+  // 3.8 Dwarves age; in mortal worlds hunger, cold and years can kill
+  tickMortality(state);
+
   // 4. Check for deaths
   processDeath(state);
 
-  // 4.5 Cleanup dead entities (visitors and dwarves killed in combat)
+  // 4.5 Cleanup dead entities (visitors and dwarves killed in combat);
+  // fallen dwarves leave remains to bury
   cleanupDeadEntities(state);
 
   // 5. Update food production systems
   updateFoodProduction(state);
 
+  // 5.2 Stumps sprout and saplings grow back into trees
+  tickForestry(state);
+
   // 5.5 Queue crafting work as materials + workshops appear (audit pass 2
   // follow-up: jobs were never created, so the crafting loop never ran)
   if (state.tick % 10 === 0) {
-    maybeQueueCraftingJobs(state);
+    // The manager's production orders come first; the dwarves only queue
+    // work of their own while there are none
+    dispatchProductionOrders(state);
+    if (!hasActiveOrders()) maybeQueueCraftingJobs(state);
+    // Built Stockpile / Food Storage structures start taking goods
+    syncStructureStockpiles(state);
   }
 
   // 6. Maybe spawn new food (stochastic pressure)
@@ -203,6 +250,13 @@ export function tick(state) {
   // 7. Maybe spawn visitors (external forces)
   maybeSpawnVisitors(state);
 
+  // 7.2 Prisoners soften; refugees from old wars may turn up
+  tickSettlers(state);
+
+  // 7.5 Migrants arrive with the seasons; couples form, children are born
+  // and grow up
+  tickPopulation(state);
+
   // Check for mood shifts after all actions
   for (const dwarf of state.dwarves) {
     const prevMood = previousMoods.get(dwarf.id);
@@ -246,8 +300,10 @@ function decide(dwarf, state) {
  */
 function act(dwarf, state) {
   // Sleeping/gathering dwarves stay put at their spot — dwarfAI owns the
-  // wake-up/dissolve transitions (phase change), not arrival resolution
-  if (dwarf.state === 'sleeping' || dwarf.state === 'gathering') {
+  // wake-up/dissolve transitions (phase change), not arrival resolution;
+  // captives go where raids.js drags them; soldiers hold their posts;
+  // patients stay in their hospital beds
+  if (['sleeping', 'gathering', 'captive', 'training', 'guarding', 'patrolling', 'recovering'].includes(dwarf.state)) {
     return;
   }
 
@@ -257,7 +313,8 @@ function act(dwarf, state) {
   }
 
   const atTarget = dwarf.x === dwarf.target.x && dwarf.y === dwarf.target.y;
-  const nearTarget =
+  // Food is only reached on its own level (a target without a z is on the surface)
+  const nearTarget = onSameLevel(dwarf, dwarf.target) &&
     Math.abs(dwarf.x - dwarf.target.x) <= 1 &&
     Math.abs(dwarf.y - dwarf.target.y) <= 1;
 
@@ -271,11 +328,11 @@ function act(dwarf, state) {
 }
 
 /**
- * Eat food at or adjacent to current position
+ * Eat food at or adjacent to current position, on the same level
  */
 function eat(dwarf, state) {
   const food = state.foodSources.find(
-    f => Math.abs(f.x - dwarf.x) <= 1 && Math.abs(f.y - dwarf.y) <= 1 && f.amount > 0
+    f => onSameLevel(dwarf, f) && Math.abs(f.x - dwarf.x) <= 1 && Math.abs(f.y - dwarf.y) <= 1 && f.amount > 0
   );
 
   if (food) {
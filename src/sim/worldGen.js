@@ -0,0 +1,321 @@
+/**
+ * World generation + loop upkeep
+ * The simulation half of building a world — map, history, weather, colony,
+ * wildlife — and the periodic upkeep the game loop runs around tick().
+ * Shared by the browser entry (main.js, which layers LLM naming, palettes
+ * and loading UI on top) and the headless runner (headless.js), so both
+ * build and run the same world from the same seed.
+ *
+ * A scenario (scenarios/presets.js or LLM-generated) shapes the world
+ * through resolveWorldSettings: terrain, size, population, food stock,
+ * biome emphasis and the difficulty-scaled hunger/respawn rules. An
+ * embark region picked on the world map (map/worldMap.js) rides along in
+ * the settings: it shapes the terrain and shares its history with the
+ * world.
+ */
+
+import { addLog, createChronicle } from '../state/store.js';
+import { createDwarf, createFoodSource, getDisplayName, resetIds } from './entities.js';
+import { generateBiomeMap, generateMixedMap, generateCaveMap, addCaverns, findWalkablePosition, getTile } from '../map/map.js';
+import { initSystems } from './world.js';
+import { getCalendar } from './clock.js';
+import { extractLandmarks } from './landmarks.js';
+import { generateWorldHistory } from './history.js';
+import { generateWorldMapHistory, getEmbarkTerrain, describeEmbarkSite } from '../map/worldMap.js';
+import { spawnAnimalsForBiome } from './animals.js';
+import { WeatherSimulator } from './weather.js';
+import { triggerCloudFormations, updateSeasonalWeather } from './weatherScenarios.js';
+import { applyRuleModifiers } from './rules.js';
+import { random } from './rng.js';
+import { PARAMETER_RANGES, getDifficultyModifiers } from '../scenarios/scenarioSchema.js';
+
+export const MAP_MODES = ['biome', 'mixed', 'cave'];
+
+// World without a scenario (the original sandbox)
+export const DEFAULT_WORLD = Object.freeze({
+  width: 142,
+  height: 40,
+  dwarves: 7,
+  food: 42,
+  depth: 3,     // z-levels: the surface and two caverns under it
+});
+
+// Scenario biome emphasis → noise bias for biome maps
+const EMPHASIS_BIAS = {
+  balanced: { elevationBias: 0, moistureBias: 0 },
+  mountain: { elevationBias: 0.15, moistureBias: -0.05 },
+  forest: { elevationBias: 0, moistureBias: 0.15 },
+  marsh: { elevationBias: -0.1, moistureBias: 0.25 },
+  desert: { elevationBias: 0, moistureBias: -0.25 },
+};
+
+// Ticks between upkeep passes (seasonal weather)
+export const UPKEEP_INTERVAL = 100;
+
+// Tiles a new colony may spawn on
+const SPAWN_TILES = new Set([
+  'grass', 'tall_grass', 'dirt', 'forest_floor', 'cave_floor',
+  'river_bank', 'sand', 'mountain_slope', 'marsh', 'moss',
+  'shrub', 'flower', 'mushroom', 'berry_bush', 'food_plant',
+  'rocky_ground', 'snow', 'mud', 'crystal', 'ramp_down',
+]);
+
+/**
+ * Turn a scenario into concrete world settings. Scenario rates are scaled
+ * by its difficulty (getDifficultyModifiers); missing parameters fall back
+ * to the schema defaults, and no scenario at all gives DEFAULT_WORLD.
+ * @param {object|null} scenario - Sanitized scenario ({ parameters })
+ * @returns {object} { terrain, width, height, depth, dwarves, food,
+ *   servingsMultiplier, biomeEmphasis, difficulty, hungerMultiplier,
+ *   foodRespawnMultiplier, mortality }
+ *   (terrain is null without a scenario)
+ */
+export function resolveWorldSettings(scenario) {
+  const params = scenario?.parameters;
+  if (!params) {
+    return {
+      terrain: null,
+      ...DEFAULT_WORLD,
+      servingsMultiplier: 1,
+      biomeEmphasis: 'balanced',
+      difficulty: 'normal',
+      hungerMultiplier: 1,
+      foodRespawnMultiplier: 1,
+      mortality: false,
+    };
+  }
+
+  const param = (key) => params[key] ?? PARAMETER_RANGES[key].default;
+  const difficulty = params.difficulty || 'normal';
+  const modifiers = getDifficultyModifiers(difficulty);
+
+  return {
+    terrain: MAP_MODES.includes(params.terrain) ? params.terrain : null,
+    width: param('mapWidth'),
+    height: param('mapHeight'),
+    depth: DEFAULT_WORLD.depth,
+    dwarves: param('dwarfCount'),
+    food: param('foodSources'),
+    // initialFood is the colony's starting stock: spread over the sources,
+    // relative to the schema default
+    servingsMultiplier: (param('initialFood') / PARAMETER_RANGES.initialFood.default) * modifiers.initialFoodMultiplier,
+    biomeEmphasis: EMPHASIS_BIAS[params.biomeEmphasis] ? params.biomeEmphasis : 'balanced',
+    difficulty,
+    hungerMultiplier: param('hungerRate') * modifiers.hungerMultiplier,
+    foodRespawnMultiplier: param('foodRespawnRate') * modifiers.foodSpawnMultiplier,
+    mortality: modifiers.mortality,
+  };
+}
+
+/**
+ * Generate the terrain for a map mode: the mode's surface, with cavern
+ * levels dug out under it
+ * @param {string} mode - 'biome' | 'mixed' | 'cave'
+ * @param {number} width
+ * @param {number} height
+ * @param {number} mapSeed
+ * @param {object} [options] - { biomeEmphasis (biome maps), depth, embark }
+ *   (embark: the world map region settled, worldMap.js resolveEmbarkSite)
+ * @returns {object} map
+ */
+export function generateMapForMode(mode, width, height, mapSeed, { biomeEmphasis = 'balanced', depth = DEFAULT_WORLD.depth, embark = null } = {}) {
+  const map = generateSurface(mode, width, height, mapSeed, biomeEmphasis, embark);
+  if (depth > 1) addCaverns(map, { levels: depth - 1, mapSeed });
+  return map;
+}
+
+function generateSurface(mode, width, height, mapSeed, biomeEmphasis, embark) {
+  // The embark region's stretch of the noise, climate and rivers; the
+  // scenario's emphasis still leans on top
+  const terrain = getEmbarkTerrain(embark, width, height);
+  const emphasis = EMPHASIS_BIAS[biomeEmphasis] || EMPHASIS_BIAS.balanced;
+
+  switch (mode) {
+    case 'biome':
+      return generateBiomeMap(width, height, {
+        mapSeed,
+        elevationScale: 0.02,
+        moistureScale: 0.025,
+        numRivers: terrain.rivers ?? 4,
+        elevationBias: emphasis.elevationBias + terrain.elevationBias,
+        moistureBias: emphasis.moistureBias + terrain.moistureBias,
+        originX: terrain.originX,
+        originY: terrain.originY,
+      });
+
+    case 'mixed':
+      return generateMixedMap(width, height, {
+        mapSeed,
+        caveDensity: 0.48,
+        surfaceChance: 0.35,
+        numRivers: terrain.rivers ?? 2,
+        originX: terrain.originX,
+        originY: terrain.originY,
+      });
+
+    case 'cave':
+    default:
+      return generateCaveMap(width, height, {
+        wallProbability: 0.44,
+        smoothingPasses: 5,
+        mushroomDensity: 0.02,
+        waterPools: 4,
+        connectCaves: true,
+      });
+  }
+}
+
+/**
+ * Clear the world for a freshly generated map: entities, clock, chronicle,
+ * subsystems and rule scaling, then the map's landmarks and the world's
+ * history. A colony embarked from the world map keeps its region and reads
+ * the history the world map was drawn from.
+ * @param {object} state - World state with the new map in place
+ * @param {number} mapSeed
+ * @param {object} [settings] - resolveWorldSettings output (rule scaling),
+ *   with the embark region if one was picked
+ */
+export function resetWorldState(state, mapSeed, settings = {}) {
+  state.dwarves = [];
+  state.foodSources = [];
+  state.visitors = [];  // External forces
+  state.animals = [];   // Wildlife (respawned per-biome by spawnColony)
+  state.log = state.log.slice(-3);
+  state.tick = 0;
+
+  // Reset the calendar and L1 chronicle for the new world
+  state.clock = getCalendar(0);
+  state.chronicle = createChronicle();
+  state.narratedLog = [];
+
+  // Scent, ground cover, construction, crafting and the visitor spawner
+  // start over with the map
+  initSystems(state);
+  applyRuleModifiers(settings);
+
+  // Name the notable places (audit WALK R8): crystal hollows, mushroom
+  // groves, river bends — shared nouns for idle destinations and prompts
+  state.landmarks = extractLandmarks(state.map, mapSeed);
+
+  state.embark = settings.embark ?? null;
+  state.history = state.embark ? generateWorldMapHistory(mapSeed) : generateWorldHistory(mapSeed);
+}
+
+/**
+ * Start the weather simulator with an opening cloud cover
+ * @param {object} state
+ * @param {number} mapSeed
+ */
+export function startWeather(state, mapSeed) {
+  state.weather = new WeatherSimulator(state.map.width, state.map.height, mapSeed);
+
+  // Only clouds on surface - no rain, snow, or underground weather
+  triggerCloudFormations(state, 0.8, 600);
+}
+
+/**
+ * Log where the colony embarked, the most recent history event and the
+ * mood of the neighbours
+ * @param {object} state
+ */
+export function logWorldHistory(state) {
+  if (state.embark) addLog(state, describeEmbarkSite(state.embark, state.history));
+
+  if (state.history.events.length > 0) {
+    const recentEvent = state.history.events[state.history.events.length - 1];
+    addLog(state, `History: ${recentEvent.description}`);
+  }
+
+  const dwarfHumanRelation = state.history.raceRelations['dwarf_human'] || 0;
+  const dwarfGoblinRelation = state.history.raceRelations['dwarf_goblin'] || 0;
+
+  if (dwarfGoblinRelation < -30) {
+    addLog(state, 'Tensions run high with goblin clans...');
+  } else if (dwarfHumanRelation > 30) {
+    addLog(state, 'Human merchants should arrive soon.');
+  }
+}
+
+/**
+ * Settle the founding dwarves around one spot, scatter food, and populate
+ * the biome's wildlife. Dwarves carry local names (createDwarf); arrival
+ * logs are left to the caller, which may rename them first.
+ * @param {object} state
+ * @param {object} options - { dwarves, food, servingsMultiplier }
+ * @returns {{ dwarves: Array, wildlife: Array }|null} null when the map has
+ *   nowhere to stand
+ */
+export function spawnColony(state, { dwarves = DEFAULT_WORLD.dwarves, food = DEFAULT_WORLD.food, servingsMultiplier = 1 } = {}) {
+  const { width, height } = state.map;
+  const centerPos = findWalkablePosition(state.map);
+  if (!centerPos) return null;
+
+  for (let i = 0; i < dwarves; i++) {
+    let pos = null;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const testX = centerPos.x + Math.floor(random() * 20) - 10;
+      const testY = centerPos.y + Math.floor(random() * 20) - 10;
+      if (testX >= 0 && testX < width && testY >= 0 && testY < height) {
+        const tile = getTile(state.map, testX, testY);
+        if (tile && SPAWN_TILES.has(tile.type)) {
+          pos = { x: testX, y: testY };
+          break;
+        }
+      }
+    }
+    if (!pos) pos = findWalkablePosition(state.map);
+    if (pos) {
+      state.dwarves.push(createDwarf(pos.x, pos.y));
+    }
+  }
+
+  for (let i = 0; i < food; i++) {
+    const pos = findWalkablePosition(state.map);
+    if (pos) {
+      const servings = (8 + Math.floor(random() * 6)) * servingsMultiplier;
+      state.foodSources.push(createFoodSource(pos.x, pos.y, Math.max(1, Math.round(servings))));
+    }
+  }
+
+  // Populate wildlife for this biome (audit WALK R2 — the living world)
+  const wildlife = spawnAnimalsForBiome(state);
+  if (wildlife.length > 0) {
+    addLog(state, 'Wildlife stirs in the wilderness...');
+  }
+
+  return { dwarves: state.dwarves.slice(), wildlife };
+}
+
+/**
+ * Upkeep the game loop runs after each tick(): seasonal weather every
+ * UPKEEP_INTERVAL ticks, and a fresh group of settlers when the colony has
+ * died out
+ * @param {object} state
+ * @returns {{ repopulated: boolean }}
+ */
+export function runUpkeep(state) {
+  if (state.tick % UPKEEP_INTERVAL === 0 && state.weather) {
+    updateSeasonalWeather(state);
+  }
+
+  // Softer game over - dwarves can recover if food is found
+  if (state.dwarves.length > 0) return { repopulated: false };
+
+  addLog(state, 'All dwarves have perished... A new group arrives!');
+  resetIds();
+  for (let i = 0; i < 3; i++) {
+    const pos = findWalkablePosition(state.map);
+    if (pos) {
+      const dwarf = createDwarf(pos.x, pos.y);
+      state.dwarves.push(dwarf);
+      addLog(state, `${getDisplayName(dwarf)} arrives to continue the legacy.`);
+    }
+  }
+  for (let i = 0; i < 5; i++) {
+    const pos = findWalkablePosition(state.map);
+    if (pos) {
+      state.foodSources.push(createFoodSource(pos.x, pos.y, 8));
+    }
+  }
+  return { repopulated: true };
+}
@@ -0,0 +1,464 @@
+/**
+ * Save/load for a running world (versioned snapshot format)
+ *
+ * A colony lives in two places: the world state object (store.js) and the
+ * module-level state its subsystems keep to themselves — construction
+ * projects and designations, crafting jobs and items, stockpile zones,
+ * production orders, treaties, raids, squads, felling orders and regrowing
+ * stumps, the scent channels, the ground cover grids, the WeatherSimulator
+ * instance, live thoughts, the entity id counter, the visitor spawner clock,
+ * the simulation RNG and the scenario's hunger/respawn scaling.
+ * createSaveSnapshot captures all of it; restoreSaveSnapshot rehydrates
+ * every subsystem and rewrites the world state object in place (main.js and
+ * the thought system hold references to it).
+ *
+ * The snapshot is plain JSON with a few tagged shapes:
+ *   { $map: [[k, v], ...] }      Map
+ *   { $set: [v, ...] }           Set
+ *   { $f32: base64 }             Float32Array (scent, ground cover grids)
+ *   { $array: [...], props }     an array that also has named keys (skill
+ *                                gains are kept as dwarf.skills.mining)
+ *   { $ref: kind, id }           a live object referenced from elsewhere —
+ *                                a hunter's prey, a builder's project, a
+ *                                crafter's job. Resolved after every list is
+ *                                rebuilt, so identity survives the round trip
+ *                                (dwarf.currentTask.target === the project).
+ */
+
+import { createChronicle } from './store.js';
+import { setLevel } from '../map/map.js';
+import { initSystems } from '../sim/world.js';
+import { getCalendar } from '../sim/clock.js';
+import { exportIdState, importIdState } from '../sim/entities.js';
+import { exportConstructionState, importConstructionState } from '../sim/construction.js';
+import { exportCraftingState, importCraftingState, relinkQuality } from '../sim/crafting.js';
+import { exportStockpileState, importStockpileState } from '../sim/stockpiles.js';
+import { exportProductionOrderState, importProductionOrderState } from '../sim/productionOrders.js';
+import { exportDiplomacyState, importDiplomacyState } from '../sim/diplomacy.js';
+import { exportRaidState, importRaidState } from '../sim/raids.js';
+import { exportMilitaryState, importMilitaryState } from '../sim/military.js';
+import { exportMortalityState, importMortalityState } from '../sim/mortality.js';
+import { exportPopulationState, importPopulationState } from '../sim/population.js';
+import { exportForestryState, importForestryState } from '../sim/forestry.js';
+import { exportScentMap, importScentMap } from '../sim/movement.js';
+import { exportGroundCover, importGroundCover } from '../sim/groundCover.js';
+import { exportSpawnerState, importSpawnerState } from '../sim/visitorSpawner.js';
+import { exportThoughtState, importThoughtState } from '../ai/thoughts.js';
+import { WeatherSimulator } from '../sim/weather.js';
+import { exportRngState, importRngState } from '../sim/rng.js';
+import { exportRulesState, importRulesState } from '../sim/rules.js';
+
+export const SAVE_FORMAT = 'dorf-fortress-save';
+export const SAVE_VERSION = 2;
+
+// Older save versions upgrade one step at a time: MIGRATIONS[n] turns a
+// version-n snapshot into version n+1
+const MIGRATIONS = {
+  // v2: tiles moved from flat level arrays (map.tiles, map.below) into chunks
+  1: (save) => {
+    if (!save.world?.map) return save;
+    const { tiles = [], below = [], ...rest } = save.world.map;
+    const map = { ...rest, chunks: [] };
+    [tiles, ...below].forEach((level, z) => setLevel(map, level, z));
+    return { ...save, world: { ...save.world, map } };
+  },
+};
+
+// World-state keys that hold the entities other objects point at
+const ENTITY_LISTS = ['dwarves', 'visitors', 'animals', 'foodSources'];
+
+// Render hints main.js hangs on the map each frame (map.state is the world
+// state itself — a cycle, not data; viewZ is the level on screen), and the
+// chunk revisions the renderer's cache reads (map.js)
+const MAP_TRANSIENT_KEYS = new Set(['weather', 'state', 'viewZ', 'chunkRevisions']);
+
+/**
+ * Capture the whole running world
+ * @param {object} state - World state
+ * @param {object} [meta] - Extra session data (scenario, map mode, ...)
+ * @returns {object} JSON-safe snapshot
+ */
+export function createSaveSnapshot(state, meta = {}) {
+  const construction = exportConstructionState();
+  const crafting = exportCraftingState();
+  const registry = buildRegistry(state, construction, crafting);
+  const encode = (value, home = null) => encodeValue(value, registry, home, new Set());
+  const encodeHomes = (list) => (list || []).map(item => encode(item, item));
+
+  const world = {};
+  for (const [key, value] of Object.entries(state)) {
+    if (key === 'weather') continue;
+    if (ENTITY_LISTS.includes(key)) {
+      world[key] = encodeHomes(value);
+    } else if (key === 'map') {
+      world.map = encode(Object.fromEntries(
+        Object.entries(value || {}).filter(([k]) => !MAP_TRANSIENT_KEYS.has(k))
+      ));
+    } else {
+      world[key] = encode(value);
+    }
+  }
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    meta: {
+      tick: state.tick,
+      day: state.clock?.day ?? getCalendar(state.tick).day,
+      season: state.clock?.season ?? getCalendar(state.tick).season,
+      dwarfCount: state.dwarves?.length || 0,
+      biome: state.map?.biome?.name || null,
+      ...encode(meta),
+    },
+    world,
+    systems: {
+      entities: exportIdState(),
+      construction: {
+        structures: encodeHomes(construction.structures),
+        buildProjects: encodeHomes(construction.buildProjects),
+        designations: encode(construction.designations),
+      },
+      crafting: {
+        craftedItems: encodeHomes(crafting.craftedItems),
+        craftingJobs: encodeHomes(crafting.craftingJobs),
+      },
+      stockpiles: encode(exportStockpileState()),
+      productionOrders: encode(exportProductionOrderState()),
+      diplomacy: encode(exportDiplomacyState()),
+      raids: encode(exportRaidState()),
+      military: encode(exportMilitaryState()),
+      mortality: encode(exportMortalityState()),
+      population: encode(exportPopulationState()),
+      forestry: encode(exportForestryState()),
+      scent: encode(exportScentMap()),
+      groundCover: encode(exportGroundCover()),
+      weather: state.weather?.serialize ? encode(state.weather.serialize()) : null,
+      thoughts: encode(exportThoughtState()),
+      spawner: exportSpawnerState(),
+      rng: exportRngState(),
+      rules: exportRulesState(),
+    },
+  };
+}
+
+/**
+ * Rehydrate a running world from a snapshot. Every subsystem is reset
+ * (initSystems) and then handed its saved state; the world state object is
+ * rewritten in place. Call between stopThoughtSystem and initThoughtSystem.
+ * The whole snapshot is decoded before anything is touched, and if a
+ * subsystem still refuses its state the world is put back as it was.
+ * @param {object} state - World state to overwrite
+ * @param {object} snapshot - createSaveSnapshot output (possibly older version)
+ * @returns {object} The migrated snapshot's meta
+ */
+export function restoreSaveSnapshot(state, snapshot) {
+  const restored = decodeSnapshot(migrateSnapshot(snapshot));
+  const backup = decodeSnapshot(createSaveSnapshot(state));
+  try {
+    installSnapshot(state, restored);
+  } catch (err) {
+    installSnapshot(state, backup);
+    throw err;
+  }
+  return restored.meta;
+}
+
+/**
+ * Decode a current-version snapshot into fresh objects, references
+ * re-linked, without touching the running world
+ */
+function decodeSnapshot(save) {
+  const refs = [];
+  const decode = (value) => decodeValue(value, refs);
+
+  const world = {};
+  for (const [key, value] of Object.entries(save.world || {})) {
+    world[key] = decode(value);
+  }
+  const sys = save.systems || {};
+  const construction = {
+    structures: decode(sys.construction?.structures || []),
+    buildProjects: decode(sys.construction?.buildProjects || []),
+    designations: decode(sys.construction?.designations ?? { $map: [] }),
+  };
+  const crafting = {
+    craftedItems: decode(sys.crafting?.craftedItems || []),
+    craftingJobs: decode(sys.crafting?.craftingJobs || []),
+  };
+  const systems = {
+    entities: sys.entities,
+    construction,
+    crafting,
+    stockpiles: decode(sys.stockpiles),
+    productionOrders: decode(sys.productionOrders),
+    diplomacy: decode(sys.diplomacy),
+    raids: decode(sys.raids),
+    military: decode(sys.military),
+    mortality: decode(sys.mortality),
+    population: decode(sys.population),
+    forestry: decode(sys.forestry),
+    scent: decode(sys.scent),
+    groundCover: decode(sys.groundCover),
+    weather: sys.weather ? decode(sys.weather) : null,
+    thoughts: decode(sys.thoughts),
+    spawner: sys.spawner,
+    rng: sys.rng,
+    rules: sys.rules,
+  };
+
+  // Every list is rebuilt: point the references at the restored objects
+  const registry = new Map();
+  const register = (kind, list) => {
+    for (const obj of list || []) registry.set(`${kind}:${obj.id}`, obj);
+  };
+  for (const key of ENTITY_LISTS) register('entity', world[key]);
+  register('structure', construction.structures);
+  register('project', construction.buildProjects);
+  register('job', crafting.craftingJobs);
+  register('item', crafting.craftedItems);
+  for (const ref of refs) {
+    assign(ref.holder, ref.key, registry.get(`${ref.kind}:${ref.id}`) ?? null);
+  }
+
+  for (const dwarf of world.dwarves || []) {
+    (dwarf.memory?.craftedItems || []).forEach(relinkQuality);
+  }
+  // Gear that never passed through a workshop (visitor kits, and what the
+  // fallen dropped) is saved inline rather than as a crafted-item $ref
+  for (const entity of [...(world.dwarves || []), ...(world.visitors || [])]) {
+    Object.values(entity.equipment || {}).forEach(relinkQuality);
+  }
+  (world.resources || []).forEach(relinkQuality);
+
+  return { world, systems, meta: decode(save.meta || {}) };
+}
+
+/**
+ * Swap a decoded snapshot into the running world and its subsystems
+ */
+function installSnapshot(state, { world, systems: sys }) {
+  // Rewrite the world state in place
+  for (const key of Object.keys(state)) delete state[key];
+  Object.assign(state, world);
+  for (const key of ENTITY_LISTS) state[key] = state[key] || [];
+  state.chronicle = state.chronicle || createChronicle();
+  state.clock = getCalendar(state.tick || 0);
+  state.weather = sys.weather ? WeatherSimulator.fromSnapshot(sys.weather) : null;
+  // After the weather rebuild: its constructor reseeds rot.js, fromSnapshot
+  // winds it back, and the simulation stream picks up where it was saved
+  if (sys.rng) importRngState(sys.rng);
+
+  // Fresh subsystems, then hand each its saved state (construction before
+  // crafting: jobs re-link to restored workshops)
+  initSystems(state);
+  importIdState(sys.entities);
+  importConstructionState(sys.construction);
+  importCraftingState(sys.crafting);
+  importStockpileState(sys.stockpiles);
+  importProductionOrderState(sys.productionOrders);
+  importDiplomacyState(sys.diplomacy);
+  importRaidState(sys.raids);
+  importMilitaryState(sys.military);
+  importMortalityState(sys.mortality);
+  importPopulationState(sys.population);
+  importForestryState(sys.forestry);
+  importScentMap(sys.scent);
+  importGroundCover(sys.groundCover);
+  importSpawnerState(sys.spawner);
+  importThoughtState(sys.thoughts);
+  importRulesState(sys.rules);
+}
+
+/**
+ * Serialize a snapshot for storage
+ * @param {object} snapshot
+ * @returns {string}
+ */
+export function stringifySave(snapshot) {
+  return JSON.stringify(snapshot);
+}
+
+/**
+ * Parse stored save text, rejecting anything that isn't a save
+ * @param {string} text
+ * @returns {object} snapshot
+ */
+export function parseSave(text) {
+  const snapshot = JSON.parse(text);
+  if (snapshot?.format !== SAVE_FORMAT) {
+    throw new Error('Not a fortress save');
+  }
+  return snapshot;
+}
+
+/**
+ * Upgrade a snapshot to SAVE_VERSION
+ */
+function migrateSnapshot(snapshot) {
+  if (snapshot?.format !== SAVE_FORMAT) {
+    throw new Error('Not a fortress save');
+  }
+  let save = snapshot;
+  while (save.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[save.version];
+    if (!migrate) throw new Error(`No migration from save version ${save.version}`);
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new Error(`Save version ${save.version} is newer than this build (${SAVE_VERSION})`);
+  }
+  return save;
+}
+
+// ============================================================
+// CODEC
+// ============================================================
+
+/**
+ * Identity -> { kind, id } for every object that may be referenced from
+ * somewhere other than its home list
+ */
+function buildRegistry(state, construction, crafting) {
+  const registry = new Map();
+  const register = (kind, list) => {
+    for (const obj of list || []) registry.set(obj, { kind, id: obj.id });
+  };
+  for (const key of ENTITY_LISTS) register('entity', state[key]);
+  register('structure', construction.structures);
+  register('project', construction.buildProjects);
+  register('job', crafting.craftingJobs);
+  register('item', crafting.craftedItems);
+  return registry;
+}
+
+/**
+ * Encode a value into tagged JSON. `home` is the registered object being
+ * written out in full; any other registered object becomes a $ref.
+ * Cycles outside the registry are dropped (null).
+ */
+function encodeValue(value, registry, home, ancestors) {
+  if (value === null || value === undefined) return value ?? null;
+  const type = typeof value;
+  if (type === 'function' || type === 'symbol') return undefined;
+  if (type === 'number') return Number.isFinite(value) ? value : null;
+  if (type !== 'object') return value;
+
+  // Only the top-level home is written in full; any registered object met
+  // deeper down — the home itself included — becomes a reference
+  if (registry.has(value) && (value !== home || ancestors.size > 0)) {
+    const { kind, id } = registry.get(value);
+    return { $ref: kind, id };
+  }
+  if (value instanceof Float32Array) {
+    return { $f32: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  if (ancestors.has(value)) return null;
+
+  ancestors.add(value);
+  const enc = (v) => encodeValue(v, registry, home, ancestors);
+  let out;
+  if (value instanceof Map) {
+    out = { $map: Array.from(value, ([k, v]) => [enc(k), enc(v)]) };
+  } else if (value instanceof Set) {
+    out = { $set: Array.from(value, enc) };
+  } else if (Array.isArray(value)) {
+    out = value.map(v => enc(v) ?? null);
+    const named = Object.keys(value).filter(k => !/^\d+$/.test(k));
+    if (named.length > 0) {
+      const props = {};
+      for (const k of named) {
+        const encoded = enc(value[k]);
+        if (encoded !== undefined) props[k] = encoded;
+      }
+      out = { $array: out, props };
+    }
+  } else {
+    out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const encoded = enc(v);
+      if (encoded !== undefined) out[k] = encoded;
+    }
+  }
+  ancestors.delete(value);
+  return out;
+}
+
+/**
+ * Decode tagged JSON. $ref placeholders are collected into `refs` as
+ * { holder, key, kind, id } (holder may be an object, array or Map) so the
+ * caller can resolve them once every referenced list exists.
+ */
+function decodeValue(value, refs) {
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    const out = [];
+    value.forEach((v, i) => {
+      out.push(null);
+      setDecoded(out, i, v, refs);
+    });
+    return out;
+  }
+  if ('$array' in value) {
+    const out = decodeValue(value.$array, refs);
+    for (const [k, v] of Object.entries(value.props || {})) {
+      setDecoded(out, k, v, refs);
+    }
+    return out;
+  }
+  if ('$f32' in value) {
+    const bytes = base64ToBytes(value.$f32);
+    return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+  }
+  if ('$map' in value) {
+    const map = new Map();
+    for (const [k, v] of value.$map) {
+      setDecoded(map, decodeValue(k, refs), v, refs);
+    }
+    return map;
+  }
+  if ('$set' in value) {
+    return new Set(value.$set.map(v => decodeValue(v, refs)));
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    setDecoded(out, k, v, refs);
+  }
+  return out;
+}
+
+function setDecoded(holder, key, value, refs) {
+  if (value && typeof value === 'object' && '$ref' in value) {
+    assign(holder, key, null);
+    refs.push({ holder, key, kind: value.$ref, id: value.id });
+  } else {
+    assign(holder, key, decodeValue(value, refs));
+  }
+}
+
+function assign(holder, key, value) {
+  if (holder instanceof Map) holder.set(key, value);
+  else holder[key] = value;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  // Fresh, aligned buffer so Float32Array views are always legal
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,117 @@
+/**
+ * Save slots in IndexedDB
+ * One manual slot plus a small ring of autosave slots. Each record holds
+ * the stringified snapshot (saveGame.js) and a little metadata for the
+ * slot picker, so listing slots never parses a whole world.
+ */
+
+import { stringifySave, parseSave } from './saveGame.js';
+
+const DB_NAME = 'dorf-fortress';
+const DB_VERSION = 1;
+const STORE = 'saves';
+
+export const MANUAL_SLOT = 'manual';
+export const AUTOSAVE_SLOTS = ['autosave-1', 'autosave-2', 'autosave-3'];
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use, create) the saves database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'slot' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run one request against the saves store
+ */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Write a snapshot into a slot (overwrites)
+ * @param {string} slot
+ * @param {object} snapshot - createSaveSnapshot output
+ */
+export function writeSaveSlot(slot, snapshot) {
+  const record = {
+    slot,
+    savedAt: snapshot.savedAt,
+    meta: {
+      tick: snapshot.meta?.tick ?? 0,
+      day: snapshot.meta?.day ?? 1,
+      season: snapshot.meta?.season ?? null,
+      dwarfCount: snapshot.meta?.dwarfCount ?? 0,
+      biome: snapshot.meta?.biome ?? null,
+    },
+    data: stringifySave(snapshot),
+  };
+  return withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * Read a slot's snapshot
+ * @param {string} slot
+ * @returns {Promise<object|null>} snapshot, or null for an empty slot
+ */
+export async function readSaveSlot(slot) {
+  const record = await withStore('readonly', store => store.get(slot));
+  return record ? parseSave(record.data) : null;
+}
+
+/**
+ * List filled slots, newest first (metadata only)
+ * @returns {Promise<Array<{ slot, savedAt, meta }>>}
+ */
+export async function listSaveSlots() {
+  const records = await withStore('readonly', store => store.getAll());
+  return (records || [])
+    .map(({ slot, savedAt, meta }) => ({ slot, savedAt, meta }))
+    .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Empty a slot
+ * @param {string} slot
+ */
+export function deleteSaveSlot(slot) {
+  return withStore('readwrite', store => store.delete(slot));
+}
+
+/**
+ * Autosave slot for the nth autosave (round-robin)
+ * @param {number} n
+ * @returns {string}
+ */
+export function autosaveSlotFor(n) {
+  return AUTOSAVE_SLOTS[Math.abs(n) % AUTOSAVE_SLOTS.length];
+}
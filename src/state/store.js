@@ -29,7 +29,7 @@ export function createWorldState(width = 40, height = 20) {
     map: {
       width,
       height,
-      tiles: []  // Populated by initMap()
+      chunks: []  // Levels of chunked tiles, from map generation (map.js)
     },
 
     dwarves: [],
@@ -46,6 +46,8 @@ export function createWorldState(width = 40, height = 20) {
 
     history: null,  // World history (generated at world creation)
 
+    embark: null,  // World map region the colony settled (src/map/worldMap.js)
+
     narratedLog: [],  // Day-end narrated events (eventNarrator, capped at 100)
 
     chronicle: createChronicle(),  // L1 rolling chronicle (worldContext.js)
@@ -0,0 +1,169 @@
+/**
+ * Build Menu
+ * Lets the player place BLUEPRINTS: pick one from the list, then hover the
+ * map to preview its footprint (green where canPlaceStructure allows it,
+ * red where it doesn't), rotate with R or the Rotate button, and click to
+ * place. Placed blueprints become build projects with the player as
+ * initiator (construction.js placeBlueprint), which dwarves work before
+ * their own plans.
+ *
+ * Escape (or picking the same blueprint again) ends placement.
+ */
+
+import { BLUEPRINTS, canPlaceStructure, getRotatedLayout, placeBlueprint } from '../sim/construction.js';
+
+/**
+ * Create the build menu
+ * @param {HTMLElement} parentElement - Parent to attach the menu to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onPlace] - (order) after a blueprint is placed
+ * @param {function} [options.onPlacingChange] - (type|null) when placement starts or ends
+ * @returns {object} Menu with attach(), toggle(), hide(), stopPlacing(), getPlacing(), destroy()
+ */
+export function createBuildMenu(parentElement, { getState, onPlace = null, onPlacingChange = null }) {
+  let cursor = null;
+  let placing = null;   // Blueprint type being placed
+  let rotation = 0;
+
+  const menuEl = document.createElement('div');
+  menuEl.id = 'build-menu';
+  menuEl.className = 'floating-widget';
+  menuEl.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.className = 'build-header';
+  header.innerHTML = '<span class="build-heading">Build</span>';
+  const rotateBtn = document.createElement('button');
+  rotateBtn.className = 'build-rotate';
+  rotateBtn.textContent = 'Rotate (R)';
+  rotateBtn.disabled = true;
+  header.appendChild(rotateBtn);
+  menuEl.appendChild(header);
+
+  for (const [type, blueprint] of Object.entries(BLUEPRINTS)) {
+    const row = document.createElement('button');
+    row.className = 'build-row';
+    row.dataset.type = type;
+    row.innerHTML = '<span class="build-title"></span><span class="build-detail"></span>';
+    row.querySelector('.build-title').textContent = blueprint.name;
+    const skill = blueprint.skill ? ` · ${blueprint.skill}` : '';
+    row.querySelector('.build-detail').textContent =
+      `${blueprint.size.w}x${blueprint.size.h}${skill} · ${blueprint.description}`;
+    row.addEventListener('click', () => {
+      if (placing === type) {
+        stopPlacing();
+      } else {
+        startPlacing(type);
+      }
+    });
+    menuEl.appendChild(row);
+  }
+
+  parentElement.appendChild(menuEl);
+
+  rotateBtn.addEventListener('click', rotate);
+  window.addEventListener('keydown', handleKeyDown);
+
+  function handleKeyDown(e) {
+    if (!placing) return;
+    if (e.key === 'Escape') {
+      stopPlacing();
+    } else if (e.key === 'r' || e.key === 'R') {
+      rotate();
+    }
+  }
+
+  function rotate() {
+    if (!placing) return;
+    rotation = (rotation + 1) % 4;
+    applyFootprint();
+  }
+
+  function applyFootprint() {
+    if (!cursor) return;
+    if (!placing) {
+      cursor.setFootprint(null);
+      return;
+    }
+
+    const type = placing;
+    const blueprint = BLUEPRINTS[type];
+    cursor.setFootprint({
+      getSize: () => getRotatedLayout(blueprint, rotation),
+      isValid: (x, y) => canPlaceStructure(type, x, y, getState(), rotation),
+      label: rotation ? `${blueprint.name} (${rotation * 90}°)` : blueprint.name,
+      onPlace: (x, y) => {
+        const order = { type, x, y, rotation };
+        placeBlueprint(getState(), order);
+        stopPlacing();
+        if (onPlace) onPlace(order);
+      },
+    });
+  }
+
+  function startPlacing(type) {
+    placing = type;
+    rotation = 0;
+    rotateBtn.disabled = false;
+    menuEl.querySelectorAll('.build-row').forEach(row => {
+      row.classList.toggle('active', row.dataset.type === type);
+    });
+    applyFootprint();
+    if (onPlacingChange) onPlacingChange(type);
+  }
+
+  function stopPlacing() {
+    if (!placing) return;
+    placing = null;
+    rotateBtn.disabled = true;
+    menuEl.querySelectorAll('.build-row.active').forEach(row => row.classList.remove('active'));
+    applyFootprint();
+    if (onPlacingChange) onPlacingChange(null);
+  }
+
+  function hide() {
+    stopPlacing();
+    menuEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Bind to a (new) cursor, keeping any placement in progress
+     * @param {object} newCursor - createCursor() controller
+     */
+    attach(newCursor) {
+      cursor = newCursor;
+      if (placing) applyFootprint();
+    },
+
+    /**
+     * Open or close the menu
+     * @returns {boolean} Whether the menu is now open
+     */
+    toggle() {
+      if (menuEl.style.display === 'none') {
+        menuEl.style.display = 'flex';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+    stopPlacing,
+
+    /**
+     * @returns {string|null} Blueprint type being placed
+     */
+    getPlacing() {
+      return placing;
+    },
+
+    destroy() {
+      window.removeEventListener('keydown', handleKeyDown);
+      stopPlacing();
+      menuEl.remove();
+    },
+  };
+}
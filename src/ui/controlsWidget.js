@@ -7,19 +7,32 @@ import { getIconHtml } from './sprites.js';
 
 let controlsEl = null;
 let statusEl = null;
+let slotMenuEl = null;
 
 // Callback references for button handlers
 let onPause = null;
 let onStep = null;
 let onSpeed = null;
 let onRegen = null;
+let onDesignate = null;
+let onBuild = null;
+let onLabor = null;
+let onStockpiles = null;
+let onManager = null;
+let onTrade = null;
+let onMilitary = null;
 let onZoomToDwarves = null;
+let onLevel = null;
+let onZoom = null;
 let onToggleSound = null;
+let onSave = null;
+let onLoad = null;
 
 /**
  * Initialize the floating controls widget
  * @param {HTMLElement} parentElement - Parent to attach widget to
- * @param {object} callbacks - { onPause, onStep, onSpeed, onRegen, onZoomToDwarves, onToggleSound }
+ * @param {object} callbacks - { onPause, onStep, onSpeed, onRegen, onDesignate, onBuild, onLabor, onStockpiles, onManager, onTrade, onMilitary, onZoomToDwarves, onLevel, onZoom, onToggleSound, onSave, onLoad }
+ *   (onLevel gets -1 for up a level, +1 for down; onZoom +1 in, -1 out)
  * @returns {object} Controller with updateStatus method
  */
 export function initControlsWidget(parentElement, callbacks = {}) {
@@ -29,8 +42,19 @@ export function initControlsWidget(parentElement, callbacks = {}) {
   onStep = callbacks.onStep;
   onSpeed = callbacks.onSpeed;
   onRegen = callbacks.onRegen;
+  onDesignate = callbacks.onDesignate;
+  onBuild = callbacks.onBuild;
+  onLabor = callbacks.onLabor;
+  onStockpiles = callbacks.onStockpiles;
+  onManager = callbacks.onManager;
+  onTrade = callbacks.onTrade;
+  onMilitary = callbacks.onMilitary;
   onZoomToDwarves = callbacks.onZoomToDwarves;
+  onLevel = callbacks.onLevel;
+  onZoom = callbacks.onZoom;
   onToggleSound = callbacks.onToggleSound;
+  onSave = callbacks.onSave;
+  onLoad = callbacks.onLoad;
 
   controlsEl = document.createElement('div');
   controlsEl.id = 'controls-widget';
@@ -40,9 +64,36 @@ export function initControlsWidget(parentElement, callbacks = {}) {
   const pauseBtn = createButton('btn-pause', 'Pause');
   const stepBtn = createButton('btn-step', 'Step');
   const speedBtn = createButton('btn-speed', 'Speed: 1x');
-  const regenBtn = createButton('btn-regen', 'New Map');
+  const regenBtn = createButton('btn-regen', 'New World');
+  regenBtn.title = 'Choose a scenario for a new world';
+  const designateBtn = createButton('btn-designate', 'Designate');
+  designateBtn.title = 'Designate digging: drag a rectangle on the map';
+  const buildBtn = createButton('btn-build', 'Build');
+  buildBtn.title = 'Place a blueprint for the dwarves to build';
+  const laborBtn = createButton('btn-labor', 'Labor');
+  laborBtn.title = 'Choose who does which work';
+  const stockpilesBtn = createButton('btn-stockpiles', 'Stockpiles');
+  stockpilesBtn.title = 'Choose what each stockpile accepts';
+  const managerBtn = createButton('btn-manager', 'Manager');
+  managerBtn.title = 'Set standing production orders for the workshops';
+  const tradeBtn = createButton('btn-trade', 'Trade');
+  tradeBtn.title = 'Trade goods with merchants at the market';
+  const militaryBtn = createButton('btn-military', 'Military');
+  militaryBtn.title = 'Form squads and give them orders';
   const zoomBtn = createButton('btn-zoom', 'Center');
   zoomBtn.title = 'Center view on dwarves';
+  const levelUpBtn = createButton('btn-level-up', '▲');
+  levelUpBtn.title = 'View the level above (<)';
+  const levelDownBtn = createButton('btn-level-down', '▼');
+  levelDownBtn.title = 'View the level below (>)';
+  const zoomInBtn = createButton('btn-zoom-in', '+');
+  zoomInBtn.title = 'Zoom in (+, or Ctrl + wheel)';
+  const zoomOutBtn = createButton('btn-zoom-out', '−');
+  zoomOutBtn.title = 'Zoom out (-, or Ctrl + wheel)';
+  const saveBtn = createButton('btn-save', 'Save');
+  saveBtn.title = 'Save the colony';
+  const loadBtn = createButton('btn-load', 'Load');
+  loadBtn.title = 'Load a saved colony';
   // Icon-only music toggle; main.js syncs the icon to the mute state via
   // setSoundButtonIcon.
   const soundBtn = createButton('btn-sound', '');
@@ -55,6 +106,7 @@ export function initControlsWidget(parentElement, callbacks = {}) {
     <span>T:<span class="stat-value" id="tick-display">0</span></span>
     <span>D:<span class="stat-value" id="dwarf-count">0</span></span>
     <span>F:<span class="stat-value" id="food-count">0</span></span>
+    <span>Z:<span class="stat-value" id="level-display">0</span></span>
   `;
 
   // Assemble widget
@@ -62,7 +114,20 @@ export function initControlsWidget(parentElement, callbacks = {}) {
   controlsEl.appendChild(stepBtn);
   controlsEl.appendChild(speedBtn);
   controlsEl.appendChild(regenBtn);
+  controlsEl.appendChild(designateBtn);
+  controlsEl.appendChild(buildBtn);
+  controlsEl.appendChild(laborBtn);
+  controlsEl.appendChild(stockpilesBtn);
+  controlsEl.appendChild(managerBtn);
+  controlsEl.appendChild(tradeBtn);
+  controlsEl.appendChild(militaryBtn);
   controlsEl.appendChild(zoomBtn);
+  controlsEl.appendChild(levelUpBtn);
+  controlsEl.appendChild(levelDownBtn);
+  controlsEl.appendChild(zoomInBtn);
+  controlsEl.appendChild(zoomOutBtn);
+  controlsEl.appendChild(saveBtn);
+  controlsEl.appendChild(loadBtn);
   controlsEl.appendChild(soundBtn);
   controlsEl.appendChild(statusEl);
 
@@ -85,14 +150,70 @@ export function initControlsWidget(parentElement, callbacks = {}) {
     if (onRegen) onRegen(regenBtn, pauseBtn);
   });
 
+  designateBtn.addEventListener('click', () => {
+    if (onDesignate) onDesignate(designateBtn);
+  });
+
+  buildBtn.addEventListener('click', () => {
+    if (onBuild) onBuild(buildBtn);
+  });
+
+  laborBtn.addEventListener('click', () => {
+    if (onLabor) onLabor(laborBtn);
+  });
+
+  stockpilesBtn.addEventListener('click', () => {
+    if (onStockpiles) onStockpiles(stockpilesBtn);
+  });
+
+  managerBtn.addEventListener('click', () => {
+    if (onManager) onManager(managerBtn);
+  });
+
+  tradeBtn.addEventListener('click', () => {
+    if (onTrade) onTrade(tradeBtn);
+  });
+
+  militaryBtn.addEventListener('click', () => {
+    if (onMilitary) onMilitary(militaryBtn);
+  });
+
   zoomBtn.addEventListener('click', () => {
     if (onZoomToDwarves) onZoomToDwarves();
   });
 
+  levelUpBtn.addEventListener('click', () => {
+    if (onLevel) onLevel(-1);
+  });
+
+  levelDownBtn.addEventListener('click', () => {
+    if (onLevel) onLevel(1);
+  });
+
+  zoomInBtn.addEventListener('click', () => {
+    if (onZoom) onZoom(1);
+  });
+
+  zoomOutBtn.addEventListener('click', () => {
+    if (onZoom) onZoom(-1);
+  });
+
   soundBtn.addEventListener('click', () => {
     if (onToggleSound) onToggleSound(soundBtn);
   });
 
+  saveBtn.addEventListener('click', () => {
+    if (onSave) onSave(saveBtn);
+  });
+
+  loadBtn.addEventListener('click', () => {
+    if (slotMenuEl) {
+      hideSlotMenu();
+    } else if (onLoad) {
+      onLoad(loadBtn);
+    }
+  });
+
   return getController();
 }
 
@@ -109,6 +230,29 @@ export function setSoundButtonIcon(btn, muted) {
   btn.setAttribute('aria-label', btn.title);
 }
 
+/**
+ * Format a save slot row: "Day 12 autumn · 5 dwarves · autosave-2"
+ */
+function describeSlot(slot) {
+  const meta = slot.meta || {};
+  const season = meta.season ? ` ${meta.season}` : '';
+  const when = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : '';
+  return {
+    title: `Day ${meta.day ?? '?'}${season} · ${meta.dwarfCount ?? 0} dwarves`,
+    detail: [meta.biome, slot.slot, when].filter(Boolean).join(' · '),
+  };
+}
+
+/**
+ * Close the save slot picker
+ */
+function hideSlotMenu() {
+  if (slotMenuEl) {
+    slotMenuEl.remove();
+    slotMenuEl = null;
+  }
+}
+
 /**
  * Create a button element
  */
@@ -127,6 +271,7 @@ function getController() {
     /**
      * Update the status display
      * @param {object} state - World state with tick, dwarves, foodSources
+     *   (and the level in view, map.viewZ)
      */
     updateStatus(state) {
       if (!statusEl) return;
@@ -134,10 +279,13 @@ function getController() {
       const tickEl = statusEl.querySelector('#tick-display');
       const dwarfEl = statusEl.querySelector('#dwarf-count');
       const foodEl = statusEl.querySelector('#food-count');
+      const levelEl = statusEl.querySelector('#level-display');
 
       if (tickEl) tickEl.textContent = state.tick || 0;
       if (dwarfEl) dwarfEl.textContent = state.dwarves?.length || 0;
       if (foodEl) foodEl.textContent = state.foodSources?.length || 0;
+      // Levels below the surface read as negative, like depth
+      if (levelEl) levelEl.textContent = -(state.map?.viewZ ?? 0) || 0;
     },
 
     /**
@@ -147,6 +295,48 @@ function getController() {
       return controlsEl?.querySelector(`#${id}`);
     },
 
+    /**
+     * Open the save slot picker above the controls
+     * @param {Array<{ slot, savedAt, meta }>} slots - listSaveSlots() output
+     * @param {function} onPick - Called with the chosen slot id
+     */
+    showSlotMenu(slots, onPick) {
+      hideSlotMenu();
+      if (!controlsEl) return;
+
+      slotMenuEl = document.createElement('div');
+      slotMenuEl.id = 'save-slot-menu';
+      slotMenuEl.className = 'floating-widget';
+
+      if (!slots || slots.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'slot-empty';
+        empty.textContent = 'No saved colonies yet.';
+        slotMenuEl.appendChild(empty);
+      }
+
+      for (const slot of slots || []) {
+        const { title, detail } = describeSlot(slot);
+        const row = document.createElement('button');
+        row.className = 'slot-row';
+        row.innerHTML = `<span class="slot-title"></span><span class="slot-detail"></span>`;
+        row.querySelector('.slot-title').textContent = title;
+        row.querySelector('.slot-detail').textContent = detail;
+        row.addEventListener('click', () => {
+          hideSlotMenu();
+          onPick(slot.slot);
+        });
+        slotMenuEl.appendChild(row);
+      }
+
+      controlsEl.parentElement.appendChild(slotMenuEl);
+    },
+
+    /**
+     * Close the save slot picker
+     */
+    hideSlotMenu,
+
     /**
      * Show the widget
      */
@@ -165,6 +355,7 @@ function getController() {
      * Destroy the widget
      */
     destroy() {
+      hideSlotMenu();
       if (controlsEl) {
         controlsEl.remove();
         controlsEl = null;
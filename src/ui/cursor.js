@@ -1,6 +1,8 @@
 /**
  * Cursor system - tracks mouse position and converts to grid coordinates
- * Handles smooth cursor with grid snapping and cell highlighting
+ * Handles smooth cursor with grid snapping and cell highlighting, and two
+ * tool modes that stretch the highlight over several cells: drag-select
+ * (designation tools) and footprint preview (blueprint placement)
  */
 
 import { inspectPosition, getTooltipLabel } from './inspection.js';
@@ -20,6 +22,17 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
   let currentY = null;
   let isActive = false;
 
+  // Drag-select mode: { color, label, onSelect(x1, y1, x2, y2) } or null
+  let dragSelect = null;
+  let dragStart = null;
+
+  // Footprint mode: { getSize(), isValid(x, y), label, onPlace(x, y) } or null
+  let footprint = null;
+
+  const DEFAULT_TRANSITION = 'transform 320ms ease-in-out, opacity 150ms ease';
+  const VALID_COLOR = '#44dd66';
+  const BLOCKED_COLOR = '#ff4444';
+
   // Highlight element - snaps smoothly between tiles
   const highlightEl = document.createElement('div');
   highlightEl.className = 'cursor-highlight';
@@ -106,6 +119,41 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
     highlightEl.style.opacity = '1';
   }
 
+  /**
+   * Stretch the highlight over the dragged rectangle
+   */
+  function updateDragHighlight(x, y, cellWidth, cellHeight) {
+    const minX = Math.min(dragStart.x, x);
+    const minY = Math.min(dragStart.y, y);
+    const w = Math.abs(x - dragStart.x) + 1;
+    const h = Math.abs(y - dragStart.y) + 1;
+
+    highlightEl.style.transition = 'opacity 150ms ease';
+    highlightEl.style.width = `${w * cellWidth}px`;
+    highlightEl.style.height = `${h * cellHeight}px`;
+    highlightEl.style.transform = `translate(${minX * cellWidth}px, ${minY * cellHeight}px)`;
+    highlightEl.style.opacity = '1';
+    updateTooltip(x, y, cellWidth, cellHeight, `${dragSelect.label} ${w}x${h}`);
+  }
+
+  /**
+   * Cover the footprint anchored at (x, y), colored by whether it fits
+   */
+  function updateFootprint(x, y, cellWidth, cellHeight) {
+    const { w, h } = footprint.getSize();
+    const valid = footprint.isValid(x, y);
+    const color = valid ? VALID_COLOR : BLOCKED_COLOR;
+
+    highlightEl.style.transition = 'opacity 150ms ease';
+    highlightEl.style.width = `${w * cellWidth}px`;
+    highlightEl.style.height = `${h * cellHeight}px`;
+    highlightEl.style.transform = `translate(${x * cellWidth}px, ${y * cellHeight}px)`;
+    highlightEl.style.borderColor = color;
+    highlightEl.style.boxShadow = `0 0 8px ${color}40, inset 0 0 ${Math.min(w, h) * cellWidth}px ${color}30`;
+    highlightEl.style.opacity = '1';
+    updateTooltip(x, y, cellWidth, cellHeight, valid ? footprint.label : `${footprint.label} — blocked`);
+  }
+
   /**
    * Update tooltip position and content
    * Positions tooltip to top-right of the cursor cell
@@ -176,6 +224,15 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
       currentY = y;
       isActive = true;
 
+      if (dragStart) {
+        updateDragHighlight(x, y, cellWidth, cellHeight);
+        return;
+      }
+      if (footprint) {
+        updateFootprint(x, y, cellWidth, cellHeight);
+        return;
+      }
+
       updateHighlight(x, y, cellWidth, cellHeight);
 
       // Get inspection data if we have world state
@@ -198,28 +255,85 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
    * Mouse leave handler
    */
   function handleMouseLeave() {
+    // A drag keeps its last cell; releasing outside the grid still selects
+    if (dragStart) return;
     hideCursor();
   }
 
+  /**
+   * Mouse down handler - starts a drag-select
+   */
+  function handleMouseDown(e) {
+    if (!dragSelect || e.button !== 0) return;
+    const gridPos = pixelToGrid(e.clientX, e.clientY);
+    if (!gridPos) return;
+
+    e.preventDefault();
+    dragStart = { x: gridPos.x, y: gridPos.y };
+    currentX = gridPos.x;
+    currentY = gridPos.y;
+    isActive = true;
+    updateDragHighlight(gridPos.x, gridPos.y, gridPos.cellWidth, gridPos.cellHeight);
+  }
+
+  /**
+   * Mouse up handler (window) - finishes a drag-select
+   */
+  function handleMouseUp() {
+    if (!dragStart) return;
+    const start = dragStart;
+    dragStart = null;
+    highlightEl.style.transition = DEFAULT_TRANSITION;
+    if (currentX === null || currentY === null) return;
+
+    dragSelect?.onSelect(start.x, start.y, currentX, currentY);
+    const rect = gridEl.getBoundingClientRect();
+    updateHighlight(currentX, currentY, rect.width / width, rect.height / height);
+  }
+
   /**
    * Click handler
    */
   function handleClick(e) {
+    // Clicks belong to the drag-select while a tool is active
+    if (dragSelect) return;
+
     const gridPos = pixelToGrid(e.clientX, e.clientY);
     if (!gridPos) return;
 
     const { x, y } = gridPos;
 
+    if (footprint) {
+      if (footprint.isValid(x, y)) footprint.onPlace(x, y);
+      return;
+    }
+
     if (worldState && onClick) {
       const inspection = inspectPosition(worldState, x, y);
       onClick(x, y, inspection);
     }
   }
 
+  /**
+   * Back to the plain one-cell yellow highlight (hidden outside tool modes)
+   */
+  function resetHighlightStyle() {
+    highlightEl.style.display = 'none';
+    highlightEl.style.transition = DEFAULT_TRANSITION;
+    highlightEl.style.border = '2px solid rgba(255, 255, 100, 0.8)';
+    highlightEl.style.boxShadow = '0 0 8px rgba(255, 255, 100, 0.4), inset 0 0 4px rgba(255, 255, 100, 0.2)';
+    if (currentX !== null && currentY !== null) {
+      const rect = gridEl.getBoundingClientRect();
+      updateHighlight(currentX, currentY, rect.width / width, rect.height / height);
+    }
+  }
+
   // Attach event listeners
   gridEl.addEventListener('mousemove', handleMouseMove);
   gridEl.addEventListener('mouseleave', handleMouseLeave);
   gridEl.addEventListener('click', handleClick);
+  gridEl.addEventListener('mousedown', handleMouseDown);
+  window.addEventListener('mouseup', handleMouseUp);
 
   return {
     /**
@@ -269,6 +383,53 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
       highlightEl.style.boxShadow = `0 0 8px ${color}40, inset 0 0 4px ${color}20`;
     },
 
+    /**
+     * Enter or leave drag-select mode. While set, dragging a rectangle
+     * calls onSelect with its corners (a click selects one cell) and clicks
+     * no longer inspect.
+     * @param {object|null} options - { color, label, onSelect(x1, y1, x2, y2) }
+     */
+    setDragSelect(options) {
+      dragSelect = options;
+      dragStart = null;
+      if (options) footprint = null;
+      if (options?.color) {
+        // The cell highlight only shows while a tool is active
+        highlightEl.style.display = 'block';
+        this.setHighlightColor(options.color);
+      } else if (!footprint) {
+        resetHighlightStyle();
+      }
+    },
+
+    /**
+     * Enter or leave footprint mode. While set, the highlight covers the
+     * footprint anchored at the hovered cell (green when isValid, red when
+     * not) and a click on a valid cell calls onPlace.
+     * @param {object|null} options - { getSize() => { w, h }, isValid(x, y), label, onPlace(x, y) }
+     */
+    setFootprint(options) {
+      footprint = options;
+      if (options) {
+        dragSelect = null;
+        dragStart = null;
+        highlightEl.style.display = 'block';
+        this.refresh();
+      } else if (!dragSelect) {
+        resetHighlightStyle();
+      }
+    },
+
+    /**
+     * Redraw the tool preview at the current cell (after a rotation, or a
+     * new label)
+     */
+    refresh() {
+      if (!footprint || currentX === null || currentY === null) return;
+      const rect = gridEl.getBoundingClientRect();
+      updateFootprint(currentX, currentY, rect.width / width, rect.height / height);
+    },
+
     /**
      * Clean up cursor system
      */
@@ -276,6 +437,8 @@ export function createCursor(gridEl, width, height, onHover, onClick) {
       gridEl.removeEventListener('mousemove', handleMouseMove);
       gridEl.removeEventListener('mouseleave', handleMouseLeave);
       gridEl.removeEventListener('click', handleClick);
+      gridEl.removeEventListener('mousedown', handleMouseDown);
+      window.removeEventListener('mouseup', handleMouseUp);
       highlightEl.remove();
       tooltipEl.remove();
     },
@@ -0,0 +1,121 @@
+/**
+ * Designation Tool
+ * Player dig, room, felling and stockpile orders: pick a mode, then drag a
+ * rectangle on the map (cursor.js drag-select). Dig orders go to
+ * construction.js issueDesignation, felling areas to forestry.js
+ * issueFellingOrder and stockpile zones to stockpiles.js issueStockpileOrder,
+ * all of which log them for replay; dwarves claim the digs through
+ * findNearestDigTask like any other designation, and the marked trees
+ * through findNearestFellTask. Cancel clears both digs and felling.
+ *
+ * Dig, room and cancel orders (`anyLevel`) go on the level in view; felling
+ * and stockpiles are surface orders.
+ *
+ * Modes cycle Off → Dig → Room → Fell → Stockpile → Cancel; Escape returns
+ * to Off.
+ */
+
+import { issueDesignation } from '../sim/construction.js';
+import { issueFellingOrder } from '../sim/forestry.js';
+import { issueStockpileOrder } from '../sim/stockpiles.js';
+
+export const DESIGNATION_MODES = [
+  { id: 'off', label: 'Designate', hint: 'Designate digging: drag a rectangle on the map' },
+  { id: 'dig', label: 'Dig', color: '#ffaa44', hint: 'Drag to mine out every rock tile in the area', anyLevel: true },
+  { id: 'room', label: 'Room', color: '#66ccff', hint: 'Drag a room: the interior is dug, the edge stays as walls', anyLevel: true },
+  { id: 'fell', label: 'Fell', color: '#88cc55', hint: 'Drag to fell every tree in the area for wood' },
+  { id: 'stockpile', label: 'Stockpile', color: '#cccc66', hint: 'Drag a stockpile zone; haulers bring goods to it' },
+  { id: 'cancel', label: 'Cancel', color: '#ff5555', hint: 'Drag over pending orders to cancel them', anyLevel: true },
+];
+
+/**
+ * Create the designation tool
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onOrder] - (order, count) after an order is issued
+ * @param {function} [options.onModeChange] - (mode) when the mode changes
+ * @returns {object} Tool with attach(), cycle(), stop(), getMode(), destroy()
+ */
+export function createDesignationTool({ getState, onOrder = null, onModeChange = null }) {
+  let modeIndex = 0;
+  let cursor = null;
+
+  function apply() {
+    const mode = DESIGNATION_MODES[modeIndex];
+    if (cursor) {
+      cursor.setDragSelect(mode.id === 'off' ? null : {
+        color: mode.color,
+        label: mode.label,
+        onSelect: (x1, y1, x2, y2) => {
+          let order;
+          if (mode.id === 'stockpile') {
+            order = { action: 'create', x1, y1, x2, y2 };
+            issueStockpileOrder(getState(), order);
+          } else if (mode.id === 'fell') {
+            order = { action: 'fell', x1, y1, x2, y2 };
+            issueFellingOrder(getState(), order);
+          } else {
+            const z = getState().map.viewZ ?? 0;
+            order = { action: mode.id, x1, y1, x2, y2, z };
+            issueDesignation(getState(), order);
+            // Trees only grow on the surface
+            if (mode.id === 'cancel' && z === 0) issueFellingOrder(getState(), order);
+          }
+          if (onOrder) onOrder(order);
+        },
+      });
+    }
+    if (onModeChange) onModeChange(mode);
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'Escape' && modeIndex !== 0) {
+      modeIndex = 0;
+      apply();
+    }
+  }
+
+  window.addEventListener('keydown', handleKeyDown);
+
+  return {
+    /**
+     * Bind to a (new) cursor, keeping the current mode
+     * @param {object} newCursor - createCursor() controller
+     */
+    attach(newCursor) {
+      cursor = newCursor;
+      apply();
+    },
+
+    /**
+     * Advance to the next mode
+     * @returns {object} The new mode
+     */
+    cycle() {
+      modeIndex = (modeIndex + 1) % DESIGNATION_MODES.length;
+      apply();
+      return DESIGNATION_MODES[modeIndex];
+    },
+
+    /**
+     * Back to Off (clicks inspect again)
+     */
+    stop() {
+      modeIndex = 0;
+      apply();
+    },
+
+    /**
+     * @returns {object} Current DESIGNATION_MODES entry
+     */
+    getMode() {
+      return DESIGNATION_MODES[modeIndex];
+    },
+
+    destroy() {
+      window.removeEventListener('keydown', handleKeyDown);
+      if (cursor) cursor.setDragSelect(null);
+      cursor = null;
+    },
+  };
+}
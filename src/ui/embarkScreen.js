@@ -0,0 +1,391 @@
+/**
+ * Embark Screen UI
+ * The world map, shown once the scenario is chosen: the player picks the
+ * region the colony settles. Each region shows its biome band, rivers and
+ * the settlements of the world's peoples; the panel below reads out the
+ * region under the pointer (or the one picked): its climate, and who lives
+ * within reach and how they stand with the dwarves.
+ *
+ * Actions: Embark (on the picked region), Suggested Site
+ */
+
+import { REGION_BIOME, getRegion, getSettlementAt, resolveEmbarkSite, suggestEmbarkSite } from '../map/worldMap.js';
+import { getDwarfRelation, getStance, getRaceName } from '../sim/history.js';
+
+// How each biome band, river and settlement is drawn
+const REGION_GLYPHS = {
+  [REGION_BIOME.MOUNTAIN]: { char: '▲', color: '#a8a8a8' },
+  [REGION_BIOME.FOREST]: { char: '♣', color: '#3c8c4a' },
+  [REGION_BIOME.PLAINS]: { char: '"', color: '#9fb85a' },
+  [REGION_BIOME.MARSH]: { char: ',', color: '#5a9a8a' },
+  [REGION_BIOME.DESERT]: { char: '·', color: '#d8c078' },
+  [REGION_BIOME.TUNDRA]: { char: '*', color: '#dfe8f0' },
+};
+const RIVER_GLYPH = { char: '~', color: '#4a8cff' };
+const SETTLEMENT_GLYPH = '⌂';
+const SETTLEMENT_COLORS = {
+  dwarf: '#ffcc44',
+  human: '#88aaff',
+  elf: '#88ff88',
+  goblin: '#ff6655',
+};
+
+// State
+let overlayElement = null;
+let worldMap = null;
+let selected = null;
+let onEmbarkCallback = null;
+let isVisible = false;
+
+/**
+ * Show the world map and let the player pick an embark site
+ * @param {object} options
+ * @param {object} options.worldMap - generateWorldMap output
+ * @param {function} options.onEmbark - Called with the picked region { x, y }
+ */
+export function showEmbarkScreen(options = {}) {
+  worldMap = options.worldMap;
+  onEmbarkCallback = options.onEmbark;
+  selected = suggestEmbarkSite(worldMap);
+
+  if (!overlayElement) {
+    createOverlay();
+  }
+
+  renderWorldMap();
+  renderInfo(selected);
+
+  overlayElement.style.display = 'flex';
+  isVisible = true;
+}
+
+/**
+ * Hide the embark screen
+ */
+export function hideEmbarkScreen() {
+  if (overlayElement) {
+    overlayElement.style.display = 'none';
+  }
+  isVisible = false;
+}
+
+/**
+ * Check if the embark screen is visible
+ * @returns {boolean}
+ */
+export function isEmbarkScreenVisible() {
+  return isVisible;
+}
+
+/**
+ * Create the overlay DOM structure
+ */
+function createOverlay() {
+  overlayElement = document.createElement('div');
+  overlayElement.id = 'embark-overlay';
+  overlayElement.className = 'embark-overlay';
+  overlayElement.innerHTML = `
+    <div class="embark-modal">
+      <div class="embark-header">
+        <h2>Choose Your Embark Site</h2>
+        <p class="embark-subtitle">Pick a region of the world map. Its climate shapes the land; its neighbors come calling.</p>
+      </div>
+
+      <div class="world-map-grid" id="world-map-grid"></div>
+      <div class="world-map-legend" id="world-map-legend"></div>
+      <div class="embark-info" id="embark-info"></div>
+
+      <div class="embark-actions">
+        <button class="btn-action btn-start" id="btn-embark">Embark</button>
+        <button class="btn-action btn-params" id="btn-suggest-site">Suggested Site</button>
+      </div>
+    </div>
+  `;
+
+  injectStyles();
+  document.body.appendChild(overlayElement);
+  renderLegend();
+
+  const grid = document.getElementById('world-map-grid');
+  grid.addEventListener('click', event => {
+    const cell = event.target.closest('[data-x]');
+    if (cell) selectRegion(Number(cell.dataset.x), Number(cell.dataset.y));
+  });
+  grid.addEventListener('mouseover', event => {
+    const cell = event.target.closest('[data-x]');
+    if (cell) renderInfo({ x: Number(cell.dataset.x), y: Number(cell.dataset.y) });
+  });
+  grid.addEventListener('mouseleave', () => renderInfo(selected));
+
+  document.getElementById('btn-embark').addEventListener('click', handleEmbark);
+  document.getElementById('btn-suggest-site').addEventListener('click', () => {
+    const site = suggestEmbarkSite(worldMap);
+    selectRegion(site.x, site.y);
+  });
+}
+
+/**
+ * Draw every region of the world map, the picked one marked
+ */
+function renderWorldMap() {
+  const grid = document.getElementById('world-map-grid');
+  if (!grid) return;
+
+  grid.style.gridTemplateColumns = `repeat(${worldMap.width}, 1ch)`;
+  const cells = [];
+  for (let y = 0; y < worldMap.height; y++) {
+    for (let x = 0; x < worldMap.width; x++) {
+      const region = getRegion(worldMap, x, y);
+      const settlement = getSettlementAt(worldMap, x, y);
+      const glyph = settlement
+        ? { char: SETTLEMENT_GLYPH, color: SETTLEMENT_COLORS[settlement.race] }
+        : region.river ? RIVER_GLYPH : REGION_GLYPHS[region.biome];
+      const isSelected = selected && selected.x === x && selected.y === y;
+      cells.push(`<span class="world-region${isSelected ? ' selected' : ''}" data-x="${x}" data-y="${y}" style="color: ${glyph.color}">${glyph.char}</span>`);
+    }
+  }
+  grid.innerHTML = cells.join('');
+}
+
+/**
+ * Key to the glyphs
+ */
+function renderLegend() {
+  const legend = document.getElementById('world-map-legend');
+  if (!legend) return;
+
+  const entry = (glyph, label) => `<span><span style="color: ${glyph.color}">${glyph.char}</span> ${label}</span>`;
+  legend.innerHTML = [
+    ...Object.entries(REGION_GLYPHS).map(([biome, glyph]) => entry(glyph, biome)),
+    entry(RIVER_GLYPH, 'river'),
+    ...Object.entries(SETTLEMENT_COLORS).map(([race, color]) => entry({ char: SETTLEMENT_GLYPH, color }, getRaceName(race))),
+  ].join('');
+}
+
+/**
+ * Read out a region: its land and climate, and its neighbors; or whose
+ * settlement stands there
+ * @param {{ x: number, y: number }|null} position
+ */
+function renderInfo(position) {
+  const info = document.getElementById('embark-info');
+  if (!info) return;
+  if (!position) {
+    info.innerHTML = '<p class="embark-hint">Pick a region to embark on.</p>';
+    return;
+  }
+
+  const settlement = getSettlementAt(worldMap, position.x, position.y);
+  if (settlement) {
+    info.innerHTML = `
+      <h3>${escapeHtml(settlement.name)}</h3>
+      <p>A settlement of the ${getRaceName(settlement.race)} (${describeStance(settlement.race)}). No room to embark here.</p>
+    `;
+    return;
+  }
+
+  const site = resolveEmbarkSite(worldMap, position.x, position.y);
+  const { avgTemperature, avgMoisture, avgElevation } = site.climate;
+  const climate = [
+    describeScalar(avgTemperature, ['cold', 'temperate', 'hot']),
+    describeScalar(avgMoisture, ['arid', 'moderately moist', 'humid']),
+    describeScalar(avgElevation, ['lowland', 'hills', 'highland']),
+  ].join(', ');
+  const neighbors = site.neighbors.length === 0
+    ? '<li>No one lives within reach.</li>'
+    : site.neighbors.map(neighbor => `
+        <li><span style="color: ${SETTLEMENT_COLORS[neighbor.race]}">${SETTLEMENT_GLYPH}</span>
+          ${escapeHtml(neighbor.name)}, the ${getRaceName(neighbor.race)} (${describeStance(neighbor.race)}),
+          ${neighbor.distance} region${neighbor.distance === 1 ? '' : 's'} ${neighbor.direction}</li>`).join('');
+
+  info.innerHTML = `
+    <h3>${capitalize(site.biome)}${site.river ? ' by a river' : ''} <span class="embark-coords">(${site.x}, ${site.y})</span></h3>
+    <p>${climate}</p>
+    <ul class="embark-neighbors">${neighbors}</ul>
+  `;
+}
+
+/**
+ * Pick a region, if the colony may embark there
+ */
+function selectRegion(x, y) {
+  if (!resolveEmbarkSite(worldMap, x, y)) return;
+  selected = { x, y };
+  renderWorldMap();
+  renderInfo(selected);
+}
+
+/**
+ * Handle Embark button click
+ */
+function handleEmbark() {
+  if (!selected) return;
+
+  hideEmbarkScreen();
+
+  if (onEmbarkCallback) {
+    onEmbarkCallback({ ...selected });
+  }
+}
+
+/**
+ * The dwarves' stance toward a people, in the world map's history
+ */
+function describeStance(race) {
+  if (race === 'dwarf') return 'kin';
+  return getStance(getDwarfRelation(worldMap.history, race)).name;
+}
+
+function describeScalar(value, [low, mid, high]) {
+  if (value < 0.35) return low;
+  if (value < 0.65) return mid;
+  return high;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Escape HTML entities
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Inject CSS styles for the embark screen
+ */
+function injectStyles() {
+  if (document.getElementById('embark-screen-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'embark-screen-styles';
+  style.textContent = `
+    .embark-overlay {
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background: rgba(0, 0, 0, 0.9);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      font-family: 'Courier New', monospace;
+    }
+
+    .embark-modal {
+      background: #1a1a1a;
+      border: 2px solid #444;
+      border-radius: 8px;
+      max-width: 760px;
+      width: 90%;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 24px;
+    }
+
+    .embark-header {
+      text-align: center;
+      margin-bottom: 16px;
+    }
+
+    .embark-header h2 {
+      color: #ffcc44;
+      margin: 0 0 8px 0;
+      font-size: 1.5rem;
+    }
+
+    .embark-subtitle {
+      color: #888;
+      margin: 0;
+      font-size: 0.9rem;
+    }
+
+    .world-map-grid {
+      display: grid;
+      justify-content: center;
+      background: #111;
+      border: 1px solid #555;
+      border-radius: 6px;
+      padding: 10px;
+      font-size: 14px;
+      line-height: 1.15;
+      cursor: pointer;
+      user-select: none;
+    }
+
+    .world-region {
+      text-align: center;
+    }
+
+    .world-region:hover {
+      background: #333;
+    }
+
+    .world-region.selected {
+      background: #ffcc44;
+      color: #1a1a1a !important;
+    }
+
+    .world-map-legend {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px 14px;
+      justify-content: center;
+      color: #888;
+      font-size: 0.75rem;
+      margin: 8px 0 12px 0;
+    }
+
+    .embark-info {
+      background: #222;
+      border: 1px solid #555;
+      border-radius: 6px;
+      padding: 12px 16px;
+      min-height: 110px;
+      color: #aaa;
+      font-size: 0.85rem;
+    }
+
+    .embark-info h3 {
+      color: #fff;
+      margin: 0 0 6px 0;
+      font-size: 1rem;
+    }
+
+    .embark-info p {
+      margin: 0 0 6px 0;
+    }
+
+    .embark-coords {
+      color: #666;
+      font-weight: normal;
+      font-size: 0.8rem;
+    }
+
+    .embark-neighbors {
+      margin: 0;
+      padding-left: 18px;
+    }
+
+    .embark-hint {
+      color: #666;
+      font-style: italic;
+    }
+
+    /* Buttons share .btn-action, .btn-start and .btn-params with the
+       scenario screen, which always comes first */
+    .embark-actions {
+      display: flex;
+      gap: 10px;
+      justify-content: center;
+      margin-top: 16px;
+    }
+  `;
+  document.head.appendChild(style);
+}
@@ -1,39 +1,47 @@
 /**
  * Inspection system - queries world data at positions
  * Provides tile info, entity data, and formatted display data
+ * Positions are on the level in view (map.viewZ) unless a z is given.
  */
 
 import { getTile } from '../map/map.js';
 import { getTileDef, TILE_DEFS } from '../map/tiles.js';
 import { getDominantTraits } from '../sim/entities.js';
+import { describeTerms } from '../sim/diplomacy.js';
+import { getSquadOf, getMorale, isShaken } from '../sim/military.js';
+import { getGearSummary } from '../sim/equipment.js';
+import { describeInjuries, isBleeding } from '../sim/medical.js';
+import { isFreezing } from '../sim/mortality.js';
 
 /**
  * Get all entities at a specific position
  * @param {object} state - World state
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
+ * @param {number} [z] - Level (the one in view by default)
  * @returns {Array} Entities at position
  */
-export function getEntitiesAt(state, x, y) {
+export function getEntitiesAt(state, x, y, z = state.map?.viewZ ?? 0) {
   const entities = [];
+  const here = e => e.x === x && e.y === y && (e.z ?? 0) === z;
 
   // Check dwarves
   for (const dwarf of state.dwarves) {
-    if (dwarf.x === x && dwarf.y === y) {
+    if (here(dwarf)) {
       entities.push({ type: 'dwarf', entity: dwarf });
     }
   }
 
   // Check visitors (external forces)
   for (const visitor of state.visitors || []) {
-    if (visitor.x === x && visitor.y === y && visitor.state !== 'dead') {
+    if (here(visitor) && visitor.state !== 'dead') {
       entities.push({ type: 'visitor', entity: visitor });
     }
   }
 
   // Check food sources
   for (const food of state.foodSources) {
-    if (food.x === x && food.y === y && food.amount > 0) {
+    if (here(food) && food.amount > 0) {
       entities.push({ type: 'food', entity: food });
     }
   }
@@ -46,10 +54,11 @@ export function getEntitiesAt(state, x, y) {
  * @param {object} state - World state
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
+ * @param {number} [z] - Level (the one in view by default)
  * @returns {object|null} Tile info
  */
-export function getTileAt(state, x, y) {
-  const tile = getTile(state.map, x, y);
+export function getTileAt(state, x, y, z = state.map?.viewZ ?? 0) {
+  const tile = getTile(state.map, x, y, z);
   if (!tile) return null;
 
   const def = getTileDef(tile);
@@ -65,15 +74,17 @@ export function getTileAt(state, x, y) {
  * @param {object} state - World state
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
+ * @param {number} [z] - Level (the one in view by default)
  * @returns {object} Full inspection data
  */
-export function inspectPosition(state, x, y) {
-  const tile = getTileAt(state, x, y);
-  const entities = getEntitiesAt(state, x, y);
+export function inspectPosition(state, x, y, z = state.map?.viewZ ?? 0) {
+  const tile = getTileAt(state, x, y, z);
+  const entities = getEntitiesAt(state, x, y, z);
 
   return {
     x,
     y,
+    z,
     tile,
     entities,
     hasDwarf: entities.some(e => e.type === 'dwarf'),
@@ -145,6 +156,33 @@ export function getDwarfStats(dwarf) {
     relationshipCount: Object.keys(dwarf.relationships || {}).length,
     bestFriend: getBestFriend(dwarf),
 
+    // Squad service (military.js)
+    squad: getSquadOf(dwarf)?.name ?? null,
+    morale: getMorale(dwarf),
+    shaken: isShaken(dwarf),
+
+    // Worn and wielded (equipment.js)
+    gear: getGearSummary(dwarf),
+
+    // Health and wounds (medical.js)
+    hp: Math.max(0, Math.round(dwarf.hp)),
+    maxHp: dwarf.maxHp,
+    hpPercent: Math.round((Math.max(0, dwarf.hp) / dwarf.maxHp) * 100),
+    injuries: describeInjuries(dwarf),
+    bleeding: isBleeding(dwarf),
+
+    // Age and the slow killers of mortal worlds (mortality.js)
+    age: typeof dwarf.age === 'number' ? Math.floor(dwarf.age) : null,
+    starving: (dwarf.starving || 0) > 0,
+    freezing: isFreezing(dwarf),
+
+    // Family (population.js; the lineage rides in the bio)
+    child: !!dwarf.child,
+    spouseId: dwarf.spouseId ?? null,
+
+    // Born elsewhere and taken in (settlers.js)
+    race: dwarf.race ?? null,
+
     // Raw for advanced inspection
     raw: dwarf,
   };
@@ -162,6 +200,7 @@ function getBestFriend(dwarf) {
   let bestAffinity = -Infinity;
 
   for (const [id, rel] of Object.entries(dwarf.relationships)) {
+    if (rel.deceased) continue;
     if (rel.affinity > bestAffinity) {
       bestAffinity = rel.affinity;
       best = { id: parseInt(id), affinity: rel.affinity };
@@ -187,6 +226,17 @@ function formatStateName(state) {
     seeking_social: 'Seeking Company',
     socializing: 'Socializing',
     exploring: 'Exploring',
+    captive: 'Held Captive',
+    marching: 'Marching to Post',
+    arming: 'Fetching Gear',
+    training: 'Training',
+    guarding: 'On Guard',
+    patrolling: 'Patrolling',
+    treating: 'Tending the Wounded',
+    seeking_care: 'Going to Hospital',
+    recovering: 'In Hospital',
+    burying: 'Burying the Dead',
+    felling: 'Felling Trees',
   };
 
   return stateNames[state] || state.replace(/_/g, ' ');
@@ -211,6 +261,7 @@ export function getVisitorStats(visitor) {
     scout: 'Scout',
     missionary: 'Missionary',
     diplomat: 'Diplomat',
+    refugee: 'Refugee',
   };
 
   const stateNames = {
@@ -219,12 +270,23 @@ export function getVisitorStats(visitor) {
     trading: 'Trading',
     raiding: 'Raiding',
     preaching: 'Preaching',
+    negotiating: 'Negotiating',
+    camping: 'Camping',
+    petitioning: 'Asking to Stay',
+    prisoner: 'Prisoner',
     fighting: 'In Combat',
     fleeing: 'Fleeing',
     leaving: 'Leaving',
     dead: 'Dead',
   };
 
+  const objectiveNames = {
+    attack: 'Attack the dwarves',
+    steal: 'Steal goods',
+    kidnap: 'Carry off a dwarf',
+    burn: 'Burn a structure',
+  };
+
   const dispositionLabel =
     visitor.disposition > 50
       ? 'Very Friendly'
@@ -247,7 +309,8 @@ export function getVisitorStats(visitor) {
     // Combat stats
     hp: visitor.hp,
     maxHp: visitor.maxHp,
-    damage: visitor.damage,
+    damage: Math.round(visitor.damage * (visitor.damageMultiplier ?? 1)),
+    gear: getGearSummary(visitor),
     hpPercent: Math.round((visitor.hp / visitor.maxHp) * 100),
 
     // Behavioral state
@@ -257,6 +320,20 @@ export function getVisitorStats(visitor) {
     satisfaction: Math.round(visitor.satisfaction || 0),
     satisfactionThreshold: visitor.satisfactionThreshold || 100,
 
+    // Terms a diplomat put to the dwarves (diplomacy.js)
+    terms: visitor.negotiation ? describeTerms(visitor.negotiation.terms, visitor.race) : null,
+    negotiationStatus: visitor.negotiation?.status ?? null,
+
+    // Asking to join the fortress (settlers.js)
+    petition: visitor.petition?.kind ?? null,
+    petitionStatus: visitor.petition?.status ?? null,
+    refugeeFrom: visitor.refugeeFrom ?? null,
+
+    // What a raid wave member is after (raids.js)
+    objective: visitor.raidId == null ? null
+      : visitor.raidLeader ? 'Lead the raid'
+      : objectiveNames[visitor.objective] || null,
+
     // Position
     position: { x: visitor.x, y: visitor.y },
 
@@ -0,0 +1,152 @@
+/**
+ * Labor Panel
+ * A grid of dwarves against LABORS. Each cell picks a priority (1 first,
+ * 5 last) or Off. Changes go to labor.js setLabor, which logs them for
+ * replay; dwarfAI applies them when a dwarf next picks a task.
+ */
+
+import { LABORS, LABOR_PRIORITY, getLabor, setLabor } from '../sim/labor.js';
+import { getDisplayName } from '../sim/entities.js';
+
+const OFF = 'off';
+
+/**
+ * Create the labor panel
+ * @param {HTMLElement} parentElement - Parent to attach the panel to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onChange] - (order) after a labor is changed
+ * @returns {object} Panel with toggle(), hide(), isVisible(), update(), destroy()
+ */
+export function createLaborPanel(parentElement, { getState, onChange = null }) {
+  let roster = '';   // Dwarf ids (and who were children) the rows were built for
+
+  const panelEl = document.createElement('div');
+  panelEl.id = 'labor-panel';
+  panelEl.className = 'floating-widget';
+  panelEl.style.display = 'none';
+
+  const heading = document.createElement('div');
+  heading.className = 'labor-heading';
+  heading.textContent = 'Labors';
+  heading.title = 'Priority 1 is worked first, 5 last; Off keeps a dwarf away from that work';
+  panelEl.appendChild(heading);
+
+  const table = document.createElement('table');
+  panelEl.appendChild(table);
+  parentElement.appendChild(panelEl);
+
+  function cellValue(dwarf, laborId) {
+    const { enabled, priority } = getLabor(dwarf, laborId);
+    return enabled ? String(priority) : OFF;
+  }
+
+  function createSelect(dwarf, labor) {
+    const select = document.createElement('select');
+    select.dataset.dwarf = dwarf.id;
+    select.dataset.labor = labor.id;
+    select.title = `${getDisplayName(dwarf)}: ${labor.name}`;
+    for (let p = LABOR_PRIORITY.HIGHEST; p <= LABOR_PRIORITY.LOWEST; p++) {
+      select.add(new Option(String(p), String(p)));
+    }
+    select.add(new Option('Off', OFF));
+    select.value = cellValue(dwarf, labor.id);
+    if (dwarf.child) {
+      select.disabled = true;
+      select.title = `${getDisplayName(dwarf)} is too young to work`;
+    }
+
+    select.addEventListener('change', () => {
+      const order = select.value === OFF
+        ? { dwarfId: dwarf.id, labor: labor.id, enabled: false }
+        : { dwarfId: dwarf.id, labor: labor.id, enabled: true, priority: Number(select.value) };
+      setLabor(getState(), order);
+      if (onChange) onChange(order);
+    });
+    return select;
+  }
+
+  function rebuild(state) {
+    table.innerHTML = '';
+
+    const head = table.createTHead().insertRow();
+    head.appendChild(document.createElement('th'));
+    for (const labor of LABORS) {
+      const th = document.createElement('th');
+      th.textContent = labor.name;
+      head.appendChild(th);
+    }
+
+    const body = table.createTBody();
+    for (const dwarf of state.dwarves) {
+      const row = body.insertRow();
+      const name = document.createElement('th');
+      name.className = 'labor-dwarf';
+      name.textContent = getDisplayName(dwarf);
+      row.appendChild(name);
+      for (const labor of LABORS) {
+        row.insertCell().appendChild(createSelect(dwarf, labor));
+      }
+    }
+
+    if (state.dwarves.length === 0) {
+      const empty = body.insertRow().insertCell();
+      empty.colSpan = LABORS.length + 1;
+      empty.className = 'labor-empty';
+      empty.textContent = 'No dwarves to assign.';
+    }
+  }
+
+  /**
+   * Rebuild the rows when the roster changes; otherwise just sync the
+   * values (leaving the one being edited alone)
+   */
+  function update(state) {
+    const ids = state.dwarves.map(d => (d.child ? `${d.id}c` : d.id)).join(',');
+    if (ids !== roster) {
+      roster = ids;
+      rebuild(state);
+      return;
+    }
+
+    const byId = new Map(state.dwarves.map(d => [String(d.id), d]));
+    for (const select of table.querySelectorAll('select')) {
+      if (select === document.activeElement) continue;
+      const dwarf = byId.get(select.dataset.dwarf);
+      if (dwarf) select.value = cellValue(dwarf, select.dataset.labor);
+    }
+  }
+
+  function hide() {
+    panelEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Open or close the panel
+     * @returns {boolean} Whether the panel is now open
+     */
+    toggle() {
+      if (panelEl.style.display === 'none') {
+        roster = '';
+        update(getState());
+        panelEl.style.display = 'block';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+
+    isVisible() {
+      return panelEl.style.display !== 'none';
+    },
+
+    update,
+
+    destroy() {
+      panelEl.remove();
+    },
+  };
+}
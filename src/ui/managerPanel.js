@@ -0,0 +1,235 @@
+/**
+ * Manager Panel
+ * Standing production orders for the workshops. The form at the top adds
+ * an order: a recipe, "make N" (optionally every day) or "keep N in stock",
+ * and an optional stock condition. Below it each order shows its progress
+ * with Suspend/Resume and Remove. Changes go to productionOrders.js
+ * issueProductionOrder, which logs them for replay.
+ */
+
+import { RECIPES } from '../sim/crafting.js';
+import { BLUEPRINTS } from '../sim/construction.js';
+import {
+  ORDER_MODE,
+  CONDITION,
+  getProductionOrders,
+  getStockTypes,
+  describeOrderProgress,
+  issueProductionOrder,
+} from '../sim/productionOrders.js';
+
+const NO_CONDITION = '';
+
+/**
+ * Create the manager panel
+ * @param {HTMLElement} parentElement - Parent to attach the panel to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onChange] - (order) after an order is changed
+ * @returns {object} Panel with toggle(), hide(), isVisible(), update(), destroy()
+ */
+export function createManagerPanel(parentElement, { getState, onChange = null }) {
+  let listed = '';   // Order ids (and suspended flags) the rows were built for
+
+  const panelEl = document.createElement('div');
+  panelEl.id = 'manager-panel';
+  panelEl.className = 'floating-widget';
+  panelEl.style.display = 'none';
+
+  const heading = document.createElement('div');
+  heading.className = 'manager-heading';
+  heading.textContent = 'Production Orders';
+  panelEl.appendChild(heading);
+
+  const form = document.createElement('div');
+  form.className = 'manager-form';
+  panelEl.appendChild(form);
+
+  const list = document.createElement('div');
+  list.className = 'manager-orders';
+  panelEl.appendChild(list);
+  parentElement.appendChild(panelEl);
+
+  function issue(order) {
+    issueProductionOrder(getState(), order);
+    if (onChange) onChange(order);
+  }
+
+  function select(options, title) {
+    const el = document.createElement('select');
+    el.title = title;
+    for (const [value, label] of options) el.add(new Option(label, value));
+    return el;
+  }
+
+  function number(value, title) {
+    const el = document.createElement('input');
+    el.type = 'number';
+    el.min = '0';
+    el.value = String(value);
+    el.title = title;
+    return el;
+  }
+
+  // --- New order form ---
+  const recipeSelect = select(
+    Object.entries(RECIPES).map(([id, recipe]) => [id, `${recipe.name} (${BLUEPRINTS[recipe.workshop].name})`]),
+    'Recipe'
+  );
+  const modeSelect = select([[ORDER_MODE.MAKE, 'Make'], [ORDER_MODE.KEEP, 'Keep in stock']], 'Run a number of jobs, or hold a stock level');
+  const amountInput = number(5, 'Jobs to run, or goods to keep in stock');
+  const repeatLabel = document.createElement('label');
+  const repeatBox = document.createElement('input');
+  repeatBox.type = 'checkbox';
+  repeatLabel.appendChild(repeatBox);
+  repeatLabel.append(' every day');
+
+  const conditionType = select([[NO_CONDITION, 'always'], ...getStockTypes().map(t => [t, `while ${t.replace('_', ' ')}`])], 'Only work while a stock condition holds');
+  const conditionCmp = select([[CONDITION.BELOW, 'below'], [CONDITION.AT_LEAST, 'at least']], 'Comparison');
+  const conditionAmount = number(10, 'Stock level');
+
+  const addBtn = document.createElement('button');
+  addBtn.textContent = 'Add';
+
+  const syncForm = () => {
+    repeatLabel.style.display = modeSelect.value === ORDER_MODE.MAKE ? '' : 'none';
+    const conditional = conditionType.value !== NO_CONDITION;
+    conditionCmp.style.display = conditional ? '' : 'none';
+    conditionAmount.style.display = conditional ? '' : 'none';
+  };
+  modeSelect.addEventListener('change', syncForm);
+  conditionType.addEventListener('change', syncForm);
+  syncForm();
+
+  addBtn.addEventListener('click', () => {
+    const conditions = conditionType.value === NO_CONDITION ? [] : [{
+      type: conditionType.value,
+      comparison: conditionCmp.value,
+      amount: Number(conditionAmount.value),
+    }];
+    issue({
+      action: 'add',
+      recipeId: recipeSelect.value,
+      mode: modeSelect.value,
+      amount: Number(amountInput.value),
+      repeat: repeatBox.checked,
+      conditions,
+    });
+    update();
+  });
+
+  const firstLine = document.createElement('div');
+  firstLine.append(recipeSelect, modeSelect, amountInput, repeatLabel);
+  const secondLine = document.createElement('div');
+  secondLine.append(conditionType, conditionCmp, conditionAmount, addBtn);
+  form.append(firstLine, secondLine);
+
+  // --- Order list ---
+  function describeOrder(order) {
+    const recipe = RECIPES[order.recipeId];
+    let text = order.mode === ORDER_MODE.KEEP
+      ? `Keep ${order.amount} ${recipe.name}`
+      : `Make ${order.amount} ${recipe.name}${order.repeat ? ' daily' : ''}`;
+    for (const c of order.conditions) {
+      text += ` · ${c.type.replace('_', ' ')} ${c.comparison === CONDITION.BELOW ? '<' : '≥'} ${c.amount}`;
+    }
+    return text;
+  }
+
+  function createRow(order) {
+    const row = document.createElement('div');
+    row.className = 'manager-order';
+    row.dataset.order = order.id;
+
+    const title = document.createElement('div');
+    title.className = 'manager-order-title';
+    const name = document.createElement('span');
+    name.textContent = describeOrder(order);
+    title.appendChild(name);
+
+    const buttons = document.createElement('span');
+    const suspend = document.createElement('button');
+    suspend.textContent = order.suspended ? 'Resume' : 'Suspend';
+    suspend.addEventListener('click', () => {
+      issue({ action: 'suspend', orderId: order.id, suspended: !order.suspended });
+      update();
+    });
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      issue({ action: 'remove', orderId: order.id });
+      update();
+    });
+    buttons.append(suspend, remove);
+    title.appendChild(buttons);
+    row.appendChild(title);
+
+    const progress = document.createElement('div');
+    progress.className = 'manager-order-progress';
+    row.appendChild(progress);
+    return row;
+  }
+
+  function rebuild(orders) {
+    list.innerHTML = '';
+    if (orders.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'manager-empty';
+      empty.textContent = 'No orders. Until there are, dwarves pick their own crafting.';
+      list.appendChild(empty);
+    }
+    for (const order of orders) list.appendChild(createRow(order));
+  }
+
+  /**
+   * Rebuild when orders come, go or are suspended; otherwise just refresh
+   * the progress lines
+   */
+  function update() {
+    const state = getState();
+    const orders = getProductionOrders();
+    const ids = orders.map(o => `${o.id}${o.suspended ? 's' : ''}`).join(',');
+    if (ids !== listed) {
+      listed = ids;
+      rebuild(orders);
+    }
+
+    for (const order of orders) {
+      const progress = list.querySelector(`[data-order="${order.id}"] .manager-order-progress`);
+      if (progress) progress.textContent = describeOrderProgress(order, state);
+    }
+  }
+
+  function hide() {
+    panelEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Open or close the panel
+     * @returns {boolean} Whether the panel is now open
+     */
+    toggle() {
+      if (panelEl.style.display === 'none') {
+        listed = null;
+        update();
+        panelEl.style.display = 'block';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+
+    isVisible() {
+      return panelEl.style.display !== 'none';
+    },
+
+    update,
+
+    destroy() {
+      panelEl.remove();
+    },
+  };
+}
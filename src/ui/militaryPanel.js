@@ -0,0 +1,321 @@
+/**
+ * Military Panel
+ * Squads and their orders. New Squad forms one; each squad lists its
+ * members (add from the dropdown, × to dismiss), its peacetime routine
+ * (train, guard the station, walk the patrol route) and its standing
+ * order. Station, Waypoint and Defend pick a tile on the map: hover to
+ * preview, click to set, Escape to give up. Attack sends the squad after
+ * a visitor on the map. Changes go to military.js issueSquadOrder, which
+ * logs them for replay.
+ */
+
+import {
+  SQUAD_ROUTINE,
+  SQUAD_ORDER,
+  getSquads,
+  getMorale,
+  isShaken,
+  issueSquadOrder,
+} from '../sim/military.js';
+import { isPassable } from '../sim/movement.js';
+import { getDisplayName } from '../sim/entities.js';
+
+const ROUTINE_LABELS = {
+  [SQUAD_ROUTINE.TRAIN]: 'Train',
+  [SQUAD_ROUTINE.STATION]: 'Guard station',
+  [SQUAD_ROUTINE.PATROL]: 'Patrol route',
+};
+
+const PICK_LABELS = {
+  station: 'Guard station',
+  waypoint: 'Patrol waypoint',
+  defend: 'Defend here',
+};
+
+/**
+ * Create the military panel
+ * @param {HTMLElement} parentElement - Parent to attach the panel to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onChange] - (order) after a squad is changed
+ * @param {function} [options.onPickingChange] - (action|null) when map picking starts or ends
+ * @returns {object} Panel with attach(), toggle(), hide(), isVisible(), update(), stopPicking(), destroy()
+ */
+export function createMilitaryPanel(parentElement, { getState, onChange = null, onPickingChange = null }) {
+  let cursor = null;
+  let picking = null;   // { action, squadId } while a tile is being picked
+  let listed = '';      // Squads, members, orders and candidates the rows were built for
+
+  const panelEl = document.createElement('div');
+  panelEl.id = 'military-panel';
+  panelEl.className = 'floating-widget';
+  panelEl.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.className = 'military-header';
+  const heading = document.createElement('span');
+  heading.className = 'military-heading';
+  heading.textContent = 'Military';
+  const createBtn = document.createElement('button');
+  createBtn.textContent = 'New Squad';
+  createBtn.addEventListener('click', () => {
+    issue({ action: 'create' });
+    update();
+  });
+  header.append(heading, createBtn);
+  panelEl.appendChild(header);
+
+  const list = document.createElement('div');
+  panelEl.appendChild(list);
+  parentElement.appendChild(panelEl);
+
+  window.addEventListener('keydown', handleKeyDown);
+
+  function handleKeyDown(e) {
+    if (picking && e.key === 'Escape') stopPicking();
+  }
+
+  function issue(order) {
+    issueSquadOrder(getState(), order);
+    if (onChange) onChange(order);
+  }
+
+  function button(text, title, onClick) {
+    const el = document.createElement('button');
+    el.textContent = text;
+    el.title = title;
+    el.addEventListener('click', onClick);
+    return el;
+  }
+
+  // --- Picking a tile on the map ---
+  function applyPicking() {
+    if (!cursor) return;
+    if (!picking) {
+      cursor.setFootprint(null);
+      return;
+    }
+    const { action, squadId } = picking;
+    cursor.setFootprint({
+      getSize: () => ({ w: 1, h: 1 }),
+      isValid: (x, y) => isPassable(getState(), x, y),
+      label: PICK_LABELS[action],
+      onPlace: (x, y) => {
+        issue({ action, squadId, x, y });
+        // Waypoints keep coming until Escape; the rest are one click
+        if (action !== 'waypoint') stopPicking();
+        update();
+      },
+    });
+  }
+
+  function startPicking(action, squadId) {
+    picking = { action, squadId };
+    applyPicking();
+    listed = null;
+    update();
+    if (onPickingChange) onPickingChange(action);
+  }
+
+  function stopPicking() {
+    if (!picking) return;
+    picking = null;
+    applyPicking();
+    listed = null;
+    update();
+    if (onPickingChange) onPickingChange(null);
+  }
+
+  // --- Squad rows ---
+  function describeDuty(squad) {
+    if (squad.order?.type === SQUAD_ORDER.ATTACK) return `Attacking ${squad.order.targetName}`;
+    if (squad.order?.type === SQUAD_ORDER.DEFEND) return `Defending (${squad.order.x}, ${squad.order.y})`;
+    if (squad.routine === SQUAD_ROUTINE.STATION && !squad.station) return 'Training (no station set)';
+    if (squad.routine === SQUAD_ROUTINE.PATROL && squad.route.length === 0) return 'Training (no route set)';
+    return ROUTINE_LABELS[squad.routine];
+  }
+
+  function createRow(squad, state) {
+    const row = document.createElement('div');
+    row.className = 'military-squad';
+    row.dataset.squad = squad.id;
+
+    const title = document.createElement('div');
+    title.className = 'military-squad-title';
+    const name = document.createElement('span');
+    name.textContent = `${squad.name} (${squad.memberIds.length})`;
+    title.append(name, button('Disband', 'Dismiss everyone and remove the squad', () => {
+      issue({ action: 'disband', squadId: squad.id });
+      update();
+    }));
+    row.appendChild(title);
+
+    // Members
+    const members = document.createElement('div');
+    members.className = 'military-members';
+    for (const id of squad.memberIds) {
+      const dwarf = state.dwarves.find(d => d.id === id);
+      if (!dwarf) continue;
+      const member = document.createElement('span');
+      member.className = 'military-member';
+      member.dataset.dwarf = id;
+      member.append(button('×', 'Dismiss from the squad', () => {
+        issue({ action: 'unassign', dwarfId: id });
+        update();
+      }), ` ${getDisplayName(dwarf)} `);
+      const morale = document.createElement('span');
+      morale.className = 'military-morale';
+      member.appendChild(morale);
+      members.appendChild(member);
+    }
+    const recruits = state.dwarves.filter(d => d.hp > 0 && !squad.memberIds.includes(d.id));
+    if (recruits.length > 0) {
+      const recruitSelect = document.createElement('select');
+      recruitSelect.title = 'Dwarf to add (leaves any other squad)';
+      for (const dwarf of recruits) recruitSelect.add(new Option(getDisplayName(dwarf), dwarf.id));
+      members.append(recruitSelect, button('Add', 'Add the dwarf to the squad', () => {
+        issue({ action: 'assign', squadId: squad.id, dwarfId: Number(recruitSelect.value) });
+        update();
+      }));
+    }
+    row.appendChild(members);
+
+    // Routine and its places
+    const routine = document.createElement('div');
+    routine.className = 'military-controls';
+    const routineSelect = document.createElement('select');
+    routineSelect.title = 'What the squad does by day when it has no order';
+    for (const [value, label] of Object.entries(ROUTINE_LABELS)) routineSelect.add(new Option(label, value));
+    routineSelect.value = squad.routine;
+    routineSelect.addEventListener('change', () => issue({ action: 'routine', squadId: squad.id, routine: routineSelect.value }));
+    const pickBtn = (action, text, title) => {
+      const active = picking?.action === action && picking.squadId === squad.id;
+      const el = button(active ? `${text}…` : text, title, () => (active ? stopPicking() : startPicking(action, squad.id)));
+      el.classList.toggle('active', active);
+      return el;
+    };
+    routine.append(
+      routineSelect,
+      pickBtn('station', 'Station', 'Click a tile for the squad to guard and train at'),
+      pickBtn('waypoint', 'Waypoints', 'Click tiles to add to the patrol route (Escape when done)'),
+      button('Clear route', 'Forget the patrol route', () => issue({ action: 'clear_route', squadId: squad.id })),
+    );
+    row.appendChild(routine);
+
+    // Orders
+    const orders = document.createElement('div');
+    orders.className = 'military-controls';
+    orders.appendChild(pickBtn('defend', 'Defend', 'Click a tile for the squad to hold, day and night'));
+    const targets = (state.visitors || []).filter(v => v.state !== 'dead');
+    if (targets.length > 0) {
+      const targetSelect = document.createElement('select');
+      targetSelect.title = 'Visitor to attack';
+      for (const visitor of targets) targetSelect.add(new Option(`${visitor.name} (${visitor.role})`, visitor.id));
+      orders.append(targetSelect, button('Attack', 'Hunt the visitor down', () => {
+        issue({ action: 'attack', squadId: squad.id, targetId: Number(targetSelect.value) });
+        update();
+      }));
+    }
+    if (squad.order) {
+      orders.appendChild(button('Stand down', 'Cancel the order and return to the routine', () => {
+        issue({ action: 'stand_down', squadId: squad.id });
+        update();
+      }));
+    }
+    row.appendChild(orders);
+
+    const status = document.createElement('div');
+    status.className = 'military-status';
+    row.appendChild(status);
+    return row;
+  }
+
+  function rebuild(state) {
+    list.innerHTML = '';
+    const squads = getSquads();
+    if (squads.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'military-empty';
+      empty.textContent = 'No squads. Dwarves fight only when trouble finds them.';
+      list.appendChild(empty);
+    }
+    for (const squad of squads) list.appendChild(createRow(squad, state));
+  }
+
+  /**
+   * Rebuild when squads, members, orders or the visitors on the map
+   * change; otherwise just refresh the status and morale
+   */
+  function update() {
+    const state = getState();
+    const squads = getSquads();
+    const key = [
+      squads.map(s => `${s.id}:${s.memberIds.join('.')}:${s.order?.type ?? ''}`).join(','),
+      (state.visitors || []).filter(v => v.state !== 'dead').map(v => v.id).join(','),
+      state.dwarves.map(d => d.id).join(','),
+    ].join('|');
+    if (key !== listed) {
+      listed = key;
+      rebuild(state);
+    }
+
+    for (const squad of squads) {
+      const row = list.querySelector(`[data-squad="${squad.id}"]`);
+      if (!row) continue;
+      row.querySelector('.military-status').textContent = describeDuty(squad);
+      for (const member of row.querySelectorAll('.military-member')) {
+        const dwarf = state.dwarves.find(d => d.id === Number(member.dataset.dwarf));
+        if (!dwarf) continue;
+        const morale = member.querySelector('.military-morale');
+        morale.textContent = isShaken(dwarf) ? 'shaken' : `morale ${getMorale(dwarf)}`;
+        morale.classList.toggle('shaken', isShaken(dwarf));
+      }
+    }
+  }
+
+  function hide() {
+    stopPicking();
+    panelEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Bind to a (new) cursor, keeping any picking in progress
+     * @param {object} newCursor - createCursor() controller
+     */
+    attach(newCursor) {
+      cursor = newCursor;
+      if (picking) applyPicking();
+    },
+
+    /**
+     * Open or close the panel
+     * @returns {boolean} Whether the panel is now open
+     */
+    toggle() {
+      if (panelEl.style.display === 'none') {
+        listed = null;
+        update();
+        panelEl.style.display = 'block';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+    stopPicking,
+
+    isVisible() {
+      return panelEl.style.display !== 'none';
+    },
+
+    update,
+
+    destroy() {
+      window.removeEventListener('keydown', handleKeyDown);
+      stopPicking();
+      panelEl.remove();
+    },
+  };
+}
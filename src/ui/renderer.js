@@ -1,13 +1,28 @@
 /**
- * ASCII Renderer
- * Renders map tiles and entities to a grid of <span> elements.
+ * Canvas Renderer
+ * Renders map tiles and entities onto a <canvas> the size of the visible
+ * viewport, so a 512x512 map costs no more to draw than the part on screen.
+ * The map element is a sizer as large as the whole map inside the scrolling
+ * container, with the canvas stuck to its top-left corner: the container's
+ * own scrolling is the camera, and the cursor, speech bubbles and pans keep
+ * working in map pixels.
  * Entities overlay tiles based on zIndex (higher = on top).
- * Scales to fill available browser space.
+ * Each frame only the cells whose look changed are redrawn (dirty rects).
+ * Resolved tile colors are cached per map chunk and refreshed when the
+ * chunk's revision moves (map.js).
+ * Zoom steps through ZOOM_LEVELS; the first view fits the map to the screen.
+ * Draws one z-level at a time: the one main.js hangs on the map as
+ * `viewZ` (the surface unless the player has gone down).
  */
 
 import { getTileDef } from '../map/tiles.js';
-import { getTile } from '../map/map.js';
+import { getChunkTiles, getChunkGrid, getChunkRevision, cellIndex, CHUNK_SIZE } from '../map/map.js';
 import { getDigDesignations, getBuildProjects, getStructures } from '../sim/construction.js';
+import { getStockpiles, getStorageTiles, getItemCategory, STOCKPILE_CATEGORY } from '../sim/stockpiles.js';
+import { getRaids, RAID_STATUS } from '../sim/raids.js';
+import { getSquads, SQUAD_ORDER } from '../sim/military.js';
+import { getRemains, getGraves } from '../sim/mortality.js';
+import { getFellDesignations } from '../sim/forestry.js';
 import { composeWeatherTile } from '../ui/weatherRenderer.js';
 import { getActiveSpeakers } from '../ui/speechBubble.js';
 import { getSprite, hasSprite } from '../ui/sprites.js';
@@ -16,11 +31,22 @@ import { tintGroundBg } from '../sim/groundCover.js';
 // Fixed font size for consistent tile rendering (no scrunching)
 const FIXED_FONT_SIZE = 16;
 
+// Font sizes the view can zoom through (cells scale with the font)
+export const ZOOM_LEVELS = [8, 10, 12, 16, 20, 24];
+
+// Cell shape relative to the font size
+const CHAR_ASPECT = 0.6;
+const LINE_HEIGHT = 1.15;
+const FONT_FAMILY = "'Courier New', 'Consolas', 'Monaco', monospace";
+
 // Procedural sprites are line-art on a transparent field, so they read smaller
 // than the emoji glyphs they replace. Boost every sprite entity above its base
 // (emoji-tuned) scale so the figures clearly stand off the surrounding tileset.
 const SPRITE_SCALE_BOOST = 1.3;
 
+// Stand-in for a cell off the map
+const NO_TILE = { char: ' ', fg: '#fff', bg: '#000' };
+
 /**
  * Calculate optimal font size to fill container while maintaining aspect ratio.
  * On mobile/small screens, returns fixed size to prevent scrunching.
@@ -34,13 +60,9 @@ function calculateFontSize(containerEl, width, height) {
   const availableWidth = rect.width - 8;  // padding
   const availableHeight = rect.height - 8;
 
-  // Character aspect ratio ~0.6 (width:height)
-  const charAspect = 0.6;
-  const lineHeight = 1.15;
-
   // Calculate font size based on width and height constraints
-  const fontByWidth = availableWidth / (width * charAspect);
-  const fontByHeight = availableHeight / (height * lineHeight);
+  const fontByWidth = availableWidth / (width * CHAR_ASPECT);
+  const fontByHeight = availableHeight / (height * LINE_HEIGHT);
 
   const calculatedSize = Math.floor(Math.min(fontByWidth, fontByHeight));
 
@@ -54,97 +76,192 @@ function calculateFontSize(containerEl, width, height) {
 }
 
 /**
- * Creates an ASCII renderer attached to a container element.
- * Automatically scales to fill available space.
- * @param {HTMLElement} containerEl - Container to render into
+ * The largest zoom level that fits the map (FIXED_FONT_SIZE at least)
+ */
+function fitZoomLevel(containerEl, width, height) {
+  const size = calculateFontSize(containerEl, width, height);
+  return ZOOM_LEVELS.filter(level => level <= size).pop() ?? FIXED_FONT_SIZE;
+}
+
+/**
+ * Creates a canvas renderer attached to a container element.
+ * Fits the map to the available space until the player zooms.
+ * @param {HTMLElement} containerEl - Scrolling container to render into
  * @param {number} width - Map width in cells
  * @param {number} height - Map height in cells
- * @returns {object} Renderer instance with render() and destroy() methods
+ * @returns {object} Renderer instance with render(), zoom() and destroy() methods
  */
 export function createRenderer(containerEl, width, height) {
-  // Calculate initial font size
-  let fontSize = calculateFontSize(containerEl, width, height);
-  fontSize = Math.max(8, Math.min(fontSize, 24));  // Clamp between 8-24px
-
-  // Calculate grid dimensions based on font size
-  const charAspect = 0.6;
-  const lineHeight = 1.15;
-  const cellWidth = fontSize * charAspect;
-  const cellHeight = fontSize * lineHeight;
-  const gridWidth = width * cellWidth + 8; // +8 for padding
-  const gridHeight = height * cellHeight + 8;
-
-  // Create grid container with fixed dimensions (no scrunching)
+  let fontSize = fitZoomLevel(containerEl, width, height);
+  let cellWidth = fontSize * CHAR_ASPECT;
+  let cellHeight = fontSize * LINE_HEIGHT;
+  let zoomedByPlayer = false;
+
+  // Sizer the size of the whole map; the canvas sticks to the visible corner
   const gridEl = document.createElement('div');
   gridEl.className = 'ascii-grid';
   gridEl.style.cssText = `
-    display: grid;
-    grid-template-columns: repeat(${width}, ${cellWidth}px);
-    grid-template-rows: repeat(${height}, ${cellHeight}px);
-    font-family: 'Courier New', 'Consolas', 'Monaco', monospace;
-    font-size: ${fontSize}px;
-    line-height: 1.15;
+    position: relative;
+    flex: none;
     background: #0a0a0a;
-    padding: 4px;
     user-select: none;
-    width: ${gridWidth}px;
-    min-width: ${gridWidth}px;
-    height: ${gridHeight}px;
-    min-height: ${gridHeight}px;
-    box-sizing: border-box;
   `;
+  const canvas = document.createElement('canvas');
+  canvas.style.cssText = `
+    position: sticky;
+    left: 0;
+    top: 0;
+    display: block;
+  `;
+  gridEl.appendChild(canvas);
+  containerEl.appendChild(gridEl);
+  const ctx = canvas.getContext('2d');
 
-  // Create cell elements (row-major order)
-  const cells = [];
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const cell = document.createElement('span');
-      cell.style.cssText = `
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        overflow: hidden;
-      `;
-      cell.textContent = ' ';
-      gridEl.appendChild(cell);
-      cells.push(cell);
-    }
+  // Last frame drawn, for redraws between ticks (scrolling, zoom, sprites
+  // finishing loading)
+  let lastMap = null;
+  let lastEntities = [];
+  let redrawQueued = false;
+
+  // Dirty checking: what each map cell last looked like, and whether its
+  // entity spilled over the neighbors
+  let drawn = new Array(width * height).fill(null);
+  let spilled = new Uint8Array(width * height);
+  let drawnView = null;   // { left, top, fontSize, viewZ, map } of the last frame
+  let forceFull = true;
+
+  /**
+   * Size the sizer for the zoom level and the canvas for the viewport
+   */
+  function layout() {
+    cellWidth = fontSize * CHAR_ASPECT;
+    cellHeight = fontSize * LINE_HEIGHT;
+    const gridWidth = width * cellWidth;
+    const gridHeight = height * cellHeight;
+    gridEl.style.width = `${gridWidth}px`;
+    gridEl.style.minWidth = `${gridWidth}px`;
+    gridEl.style.height = `${gridHeight}px`;
+    gridEl.style.minHeight = `${gridHeight}px`;
+    // Speech bubbles read the cell size from here
+    gridEl.dataset.cellWidth = cellWidth;
+    gridEl.dataset.cellHeight = cellHeight;
+
+    // Never bigger than the screen, even before the container has laid out
+    const viewWidth = Math.min(containerEl.clientWidth || window.innerWidth, gridWidth);
+    const viewHeight = Math.min(containerEl.clientHeight || window.innerHeight, gridHeight);
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.ceil(viewWidth * ratio);
+    canvas.height = Math.ceil(viewHeight * ratio);
+    canvas.style.width = `${viewWidth}px`;
+    canvas.style.height = `${viewHeight}px`;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    forceFull = true;
   }
 
-  containerEl.appendChild(gridEl);
+  layout();
 
-  // Handle window resize
+  // Handle window resize: refit until the player picks a zoom
   let resizeTimeout;
   function handleResize() {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
-      const newFontSize = calculateFontSize(containerEl, width, height);
-      const clampedSize = Math.max(FIXED_FONT_SIZE, Math.min(newFontSize, 24));
-
-      // Recalculate grid dimensions
-      const newCellWidth = clampedSize * charAspect;
-      const newCellHeight = clampedSize * lineHeight;
-      const newGridWidth = width * newCellWidth + 8;
-      const newGridHeight = height * newCellHeight + 8;
-
-      gridEl.style.fontSize = `${clampedSize}px`;
-      gridEl.style.gridTemplateColumns = `repeat(${width}, ${newCellWidth}px)`;
-      gridEl.style.gridTemplateRows = `repeat(${height}, ${newCellHeight}px)`;
-      gridEl.style.width = `${newGridWidth}px`;
-      gridEl.style.minWidth = `${newGridWidth}px`;
-      gridEl.style.height = `${newGridHeight}px`;
-      gridEl.style.minHeight = `${newGridHeight}px`;
+      if (!zoomedByPlayer) fontSize = fitZoomLevel(containerEl, width, height);
+      layout();
+      requestRedraw();
     }, 100);
   }
 
   window.addEventListener('resize', handleResize);
 
-  // Cache for dirty checking
-  let prevState = new Array(width * height).fill(null);
+  // Scrolling moves the camera; draw what came into view
+  function handleScroll() {
+    requestRedraw();
+  }
+
+  containerEl.addEventListener('scroll', handleScroll, { passive: true });
+
+  // Ctrl + wheel zooms
+  function handleWheel(e) {
+    if (!e.ctrlKey) return;
+    e.preventDefault();
+    zoom(e.deltaY < 0 ? 1 : -1);
+  }
+
+  gridEl.addEventListener('wheel', handleWheel, { passive: false });
 
-  // Procedural-hybrid sprites are always on; emoji remains the fallback for
-  // entity types that don't have a template yet (via hasSprite()).
-  const spriteMode = true;
+  /** Redraw the last frame on the next animation frame */
+  function requestRedraw() {
+    if (redrawQueued || !lastMap) return;
+    redrawQueued = true;
+    requestAnimationFrame(() => {
+      redrawQueued = false;
+      if (lastMap) render(lastMap, lastEntities);
+    });
+  }
+
+  /**
+   * Step through ZOOM_LEVELS, keeping the middle of the view in the middle
+   * @param {number} step - +1 closer, -1 farther
+   * @returns {number} The font size now in use
+   */
+  function zoom(step) {
+    const current = ZOOM_LEVELS.findIndex(level => level >= fontSize);
+    const next = ZOOM_LEVELS[Math.max(0, Math.min(ZOOM_LEVELS.length - 1, (current === -1 ? ZOOM_LEVELS.length - 1 : current) + step))];
+    if (next === fontSize) return fontSize;
+
+    const centerX = (containerEl.scrollLeft + containerEl.clientWidth / 2) / cellWidth;
+    const centerY = (containerEl.scrollTop + containerEl.clientHeight / 2) / cellHeight;
+    fontSize = next;
+    zoomedByPlayer = true;
+    layout();
+    containerEl.scrollLeft = centerX * cellWidth - containerEl.clientWidth / 2;
+    containerEl.scrollTop = centerY * cellHeight - containerEl.clientHeight / 2;
+    requestRedraw();
+    return fontSize;
+  }
+
+  // Sprites are data URIs; each becomes an image once, and a full redraw
+  // picks it up when it has loaded
+  const spriteImages = new Map();
+  function getSpriteImage(uri) {
+    let image = spriteImages.get(uri);
+    if (!image) {
+      image = new Image();
+      image.onload = () => {
+        forceFull = true;
+        requestRedraw();
+      };
+      image.src = uri;
+      spriteImages.set(uri, image);
+    }
+    return image.complete && image.naturalWidth > 0 ? image : null;
+  }
+
+  // Resolved tile looks for the level in view, per chunk: { revision, defs }
+  let chunkCache = [];
+  let chunkCacheFor = null;   // { map, viewZ, colorMod } the cache was built for
+
+  /**
+   * The tile at (x, y) resolved for drawing (biome colors applied), from
+   * its chunk's cache while the chunk is unchanged. The cache mirrors the
+   * map's chunked storage cell for cell.
+   */
+  function getCachedTileDef(map, x, y, viewZ, colorMod) {
+    const { across } = getChunkGrid(map);
+    const key = Math.floor(y / CHUNK_SIZE) * across + Math.floor(x / CHUNK_SIZE);
+    const revision = getChunkRevision(map, x, y, viewZ);
+    let chunk = chunkCache[key];
+    if (!chunk || chunk.revision !== revision) {
+      chunk = { revision, defs: new Array(CHUNK_SIZE * CHUNK_SIZE) };
+      chunkCache[key] = chunk;
+    }
+    const i = cellIndex(x, y);
+    if (!chunk.defs[i]) {
+      const tile = getChunkTiles(map, x, y, viewZ)?.[i];
+      chunk.defs[i] = tile ? getTileDef(tile, colorMod) : NO_TILE;
+    }
+    return chunk.defs[i];
+  }
 
   /**
    * Builds a lookup of position -> entity with highest zIndex.
@@ -163,60 +280,150 @@ export function createRenderer(containerEl, width, height) {
     return lookup;
   }
 
+  // Entities drawn larger than their cell (or as sprites) spill onto the
+  // neighbors, so they are drawn after every tile under them
+  function spills(entity) {
+    return !!entity && (entity.sprite || (entity.scale && entity.scale !== 1.0));
+  }
+
+  /** Pixel rect of a cell on the canvas (edges rounded so cells meet) */
+  function cellRect(x, y, left, top) {
+    const x0 = Math.round(x * cellWidth - left);
+    const y0 = Math.round(y * cellHeight - top);
+    return {
+      x: x0,
+      y: y0,
+      w: Math.round((x + 1) * cellWidth - left) - x0,
+      h: Math.round((y + 1) * cellHeight - top) - y0,
+    };
+  }
+
+  function drawGlyph(char, fg, rect, size = fontSize, bold = false) {
+    if (!char || char === ' ') return;
+    ctx.font = `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+    ctx.fillStyle = fg;
+    ctx.fillText(char, rect.x + rect.w / 2, rect.y + rect.h / 2);
+  }
+
+  /** A cell's tile layer: background, then the tile (or a plain entity) glyph */
+  function drawCell(cell, rect) {
+    ctx.fillStyle = cell.bg;
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+    if (cell.entity && spills(cell.entity)) {
+      // The tile stays visible around (and under) the figure
+      drawGlyph(cell.tileChar, cell.tileFg, rect);
+    } else {
+      drawGlyph(cell.char, cell.fg, rect);
+    }
+  }
+
+  /** A figure that spills over its cell: a sprite, or a scaled glyph */
+  function drawFigure(cell, rect, now) {
+    const { entity } = cell;
+    const scale = entity.scale || 1;
+    ctx.save();
+    if (cell.speaking) {
+      // Warm illumination glow — as if lit while speaking
+      const pulse = 0.5 + 0.5 * Math.sin(now / 255);
+      ctx.shadowColor = 'rgba(255, 235, 170, 0.95)';
+      ctx.shadowBlur = 4 + 6 * pulse;
+    } else if (entity.shadow && entity.shadow !== 'none') {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+      ctx.shadowBlur = 3;
+      ctx.shadowOffsetY = 1;
+    }
+
+    const image = entity.sprite ? getSpriteImage(entity.sprite) : null;
+    if (image) {
+      // Fit the sprite in the cell, then scale it up from the cell's center
+      const fit = Math.min(rect.w / image.naturalWidth, rect.h / image.naturalHeight) * scale * SPRITE_SCALE_BOOST;
+      const w = image.naturalWidth * fit;
+      const h = image.naturalHeight * fit;
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(image, rect.x + (rect.w - w) / 2, rect.y + (rect.h - h) / 2, w, h);
+    } else {
+      drawGlyph(cell.char, cell.fg, rect, fontSize * scale, scale > 1.0);
+    }
+    ctx.restore();
+  }
+
   /**
-   * Renders the map and entities to the grid.
+   * Renders the visible part of the map and its entities.
    * @param {object} map - Map object with tiles flat array
-   * @param {Array} entities - Array of entity objects with x, y, char, fg, zIndex
+   * @param {Array} entities - Array of entity objects with x, y, char, fg,
+   *   zIndex (and z, when not on the surface)
    */
   function render(map, entities = []) {
-    const entityLookup = buildEntityLookup(entities);
+    lastMap = map;
+    lastEntities = entities;
+
+    // Only the viewed level; weather and ground cover are the surface's
+    const viewZ = map.viewZ ?? 0;
+    const entityLookup = buildEntityLookup(entities.filter(e => (e.z ?? 0) === viewZ));
     const activeSpeakers = getActiveSpeakers();
     const activeSpeakerIds = new Set(activeSpeakers.map(s => s.id));
+    const now = performance.now();
 
     // Get biome color modifiers if available
     const biomeColorMod = map.biome?.colorMod || null;
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
+    if (!chunkCacheFor || chunkCacheFor.map !== map || chunkCacheFor.viewZ !== viewZ ||
+        chunkCacheFor.colorMod !== biomeColorMod) {
+      chunkCache = [];
+      chunkCacheFor = { map, viewZ, colorMod: biomeColorMod };
+    }
+    const weatherSimulator = viewZ === 0 ? map.weather || (map.state && map.state.weather) : null;
+
+    // Where the canvas sits over the map (it sticks to the scrolled corner)
+    const gridRect = gridEl.getBoundingClientRect();
+    const canvasRect = canvas.getBoundingClientRect();
+    const left = canvasRect.left - gridRect.left;
+    const top = canvasRect.top - gridRect.top;
+    const x0 = Math.max(0, Math.floor(left / cellWidth));
+    const y0 = Math.max(0, Math.floor(top / cellHeight));
+    const x1 = Math.min(width - 1, Math.floor((left + canvasRect.width) / cellWidth));
+    const y1 = Math.min(height - 1, Math.floor((top + canvasRect.height) / cellHeight));
+
+    // A moved, zoomed or switched view redraws everything
+    const full = forceFull || !drawnView || drawnView.left !== left || drawnView.top !== top ||
+      drawnView.fontSize !== fontSize || drawnView.viewZ !== viewZ || drawnView.map !== map;
+    forceFull = false;
+    drawnView = { left, top, fontSize, viewZ, map };
+
+    const cells = [];         // Every visible cell this frame
+    const dirty = new Set();  // Map indexes to redraw
+
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
         const idx = y * width + x;
-        const cell = cells[idx];
 
-        // Get tile data (map uses flat array)
-        const tile = getTile(map, x, y);
-        // Apply biome color modifiers to tile colors
-        const tileDef = tile ? getTileDef(tile, biomeColorMod) : null;
+        // Resolve the tile underlay, so sprite entities can leave the
+        // terrain glyph visible beneath their transparent pixels.
+        const tileDef = getCachedTileDef(map, x, y, viewZ, biomeColorMod);
 
         // Check for entity at this position
         const entity = entityLookup.get(`${x},${y}`);
 
-        // Determine what to render. The tile underlay is always resolved so
-        // sprite entities can leave the terrain glyph visible beneath their
-        // transparent pixels.
-        let tileChar = ' ';
-        let tileFg = '#fff';
-        if (tileDef) {
-          // Tile - check if it has animation frames
-          if (tileDef.animated && tileDef.chars && map.state) {
-            // Animate the character. Each tile type can set its own
-            // animPeriod (ticks per frame) so flowers sway slower than
-            // water ripples; a per-position phase offset keeps neighboring
-            // tiles out of lockstep for an organic shimmer.
-            const period = tileDef.animPeriod || 4;
-            const offset = (x * 7 + y * 13) % tileDef.chars.length;
-            const phase = (Math.floor(map.state.tick / period) + offset) % tileDef.chars.length;
-            tileChar = tileDef.chars[phase];
-          } else {
-            tileChar = tileDef.char;
-          }
-          tileFg = tileDef.fg;
+        let tileChar = tileDef.char;
+        if (tileDef.animated && tileDef.chars && map.state) {
+          // Animate the character. Each tile type can set its own
+          // animPeriod (ticks per frame) so flowers sway slower than
+          // water ripples; a per-position phase offset keeps neighboring
+          // tiles out of lockstep for an organic shimmer.
+          const period = tileDef.animPeriod || 4;
+          const offset = (x * 7 + y * 13) % tileDef.chars.length;
+          const phase = (Math.floor(map.state.tick / period) + offset) % tileDef.chars.length;
+          tileChar = tileDef.chars[phase];
         }
+        const tileFg = tileDef.fg;
 
         let char, fg;
-        let bg = tileDef?.bg ?? '#000';
+        let bg = tileDef.bg ?? '#000';
         // Ground cover (audit WX 7): snow whitens, mud browns — applied
         // before weather compositing so storms still tint over snowfields
-        const groundBg = tintGroundBg(x, y, bg);
+        const groundBg = viewZ === 0 ? tintGroundBg(x, y, bg) : null;
         if (groundBg) bg = groundBg;
+        // Designation overlay: pending orders tint the tile under them
+        if (entity?.bg) bg = entity.bg;
         if (entity) {
           // Entity overlays tile
           char = entity.char;
@@ -229,7 +436,6 @@ export function createRenderer(containerEl, width, height) {
         // Phase 3: Apply weather rendering if available.
         // Weather blends with the tile proportionally to intensity and
         // never replaces an entity glyph (only tints its background).
-        const weatherSimulator = map.weather || (map.state && map.state.weather);
         if (weatherSimulator) {
           const weatherComposed = composeWeatherTile(
             x, y, { char, fg, bg }, map.state?.tick || 0, weatherSimulator, !!entity
@@ -241,114 +447,88 @@ export function createRenderer(containerEl, width, height) {
           }
         }
 
-        // Dirty check: only update DOM if changed
         const isDwarf = entity && entity.spriteKey === 'dwarf';
-        const isSpeaking = isDwarf && entity && activeSpeakerIds.has(entity.id);
+        const speaking = !!(isDwarf && activeSpeakerIds.has(entity.id));
 
-        // Resolve a procedural-hybrid sprite when enabled and one exists for
-        // this entity type; otherwise fall back to the emoji/ASCII glyph.
-        let spriteUri = null;
-        if (spriteMode && entity && entity.spriteKey && hasSprite(entity.spriteKey)) {
-          spriteUri = getSprite(
+        // Resolve a procedural-hybrid sprite when one exists for this
+        // entity type; otherwise fall back to the emoji/ASCII glyph.
+        let figure = entity;
+        if (entity && entity.spriteKey && hasSprite(entity.spriteKey)) {
+          const sprite = getSprite(
             entity.spriteKey,
             entity.seed ?? entity.id ?? entity.spriteKey,
             entity.spriteTint || null
           );
+          figure = { ...entity, sprite };
         }
 
-        const stateKey = spriteUri
-          ? `${spriteUri}|${tileChar}|${tileFg}|${bg}|${isSpeaking}`
-          : `${char}|${fg}|${bg}|${isDwarf}|${isSpeaking}`;
-        if (prevState[idx] !== stateKey) {
-          if (spriteUri) {
-            // Sprite cell: the tile keeps rendering in the cell itself
-            // (glyph + bg), while the sprite floats above it in a
-            // transparent overlay child. Scaling the overlay instead of the
-            // cell keeps the cell's bg square from covering neighbor tiles.
-            cell.textContent = tileChar;
-            cell.style.color = tileFg;
-            cell.style.backgroundImage = '';
-            cell.style.backgroundColor = bg;
-            const overlay = document.createElement('span');
-            overlay.style.cssText =
-              'position:absolute;inset:0;pointer-events:none;'
-              + `background-image:url("${spriteUri}");`
-              + 'background-size:contain;background-repeat:no-repeat;'
-              + 'background-position:center;image-rendering:pixelated;'
-              + `transform:scale(${(entity.scale || 1) * SPRITE_SCALE_BOOST});`;
-            if (isSpeaking) {
-              // Warm illumination glow — as if lit while speaking
-              overlay.style.animation = 'pulse-glow 1.6s ease-in-out infinite';
-              overlay.style.filter = 'drop-shadow(0 0 4px rgba(255,235,170,0.95)) drop-shadow(0 0 9px rgba(255,205,120,0.7))';
-            } else {
-              overlay.style.filter = 'drop-shadow(0 1px 2px rgba(0,0,0,0.6))';
-            }
-            cell.appendChild(overlay);
-            cell.style.position = 'relative';
-            cell.style.overflow = 'visible';
-            cell.style.transform = 'scale(1)';
-            cell.style.fontWeight = 'normal';
-            cell.style.zIndex = '100';
-            cell.style.textShadow = 'none';
-            cell.style.animation = 'none';
-            cell.style.filter = 'none';
-            prevState[idx] = stateKey;
-            continue;
-          }
-
-          // Setting textContent also drops any sprite overlay child left
-          // from a previous frame.
-          cell.textContent = char;
-          cell.style.color = fg;
-          if (cell.style.backgroundImage) cell.style.backgroundImage = '';
-          cell.style.position = '';
-          cell.style.overflow = 'hidden';
-          cell.style.backgroundColor = bg;
-
-          // Apply visual treatment based on entity type. Sub-1.0 scales
-          // matter too: animals render at half humanoid size.
-          if (entity && entity.scale && entity.scale !== 1.0) {
-            cell.style.transform = `scale(${entity.scale})`;
-            cell.style.fontWeight = entity.scale > 1.0 ? 'bold' : 'normal';
-            cell.style.zIndex = '100';
-            
-            // Enhance shadow if speaking - highlight outline effect
-            if (isSpeaking && entity.shadow) {
-              // Outline-style highlight around speaking entities (semi-transparent)
-              cell.style.textShadow = `
-                -2px -2px 0 rgba(255, 255, 0, 0.5),
-                2px -2px 0 rgba(255, 255, 0, 0.5),
-                -2px 2px 0 rgba(255, 255, 0, 0.5),
-                2px 2px 0 rgba(255, 255, 0, 0.5),
-                -1px 0 0 rgba(255, 255, 0, 0.35),
-                1px 0 0 rgba(255, 255, 0, 0.35),
-                0 -1px 0 rgba(255, 255, 0, 0.35),
-                0 1px 0 rgba(255, 255, 0, 0.35)
-              `;
-              // Subtle drop shadow only
-              cell.style.filter = 'drop-shadow(0 2px 3px rgba(0, 0, 0, 0.6))';
-              // Pulsing outline animation
-              cell.style.animation = 'pulse-outline 1.5s ease-in-out infinite';
-            } else if (entity.shadow) {
-              cell.style.textShadow = entity.shadow;
-              cell.style.animation = 'none';
-              if (entity.filter) {
-                cell.style.filter = entity.filter;
+        // Speakers pulse, so their look changes with time
+        const pulse = speaking ? Math.floor(now / 100) : '';
+        const key = figure
+          ? `${figure.sprite || char}|${fg}|${tileChar}|${tileFg}|${bg}|${figure.scale}|${pulse}`
+          : `${char}|${fg}|${bg}`;
+
+        const cell = { x, y, idx, char, fg, bg, tileChar, tileFg, entity: figure, speaking };
+        cells.push(cell);
+
+        if (full || drawn[idx] !== key) {
+          dirty.add(idx);
+          // A figure that spilled (or now spills) marks its neighbors too
+          if (spills(figure) || spilled[idx]) {
+            for (let dy = -1; dy <= 1; dy++) {
+              for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= x0 && nx <= x1 && ny >= y0 && ny <= y1) dirty.add(ny * width + nx);
               }
             }
-          } else {
-            cell.style.transform = 'scale(1)';
-            cell.style.textShadow = 'none';
-            cell.style.fontWeight = 'normal';
-            cell.style.zIndex = 'auto';
-            cell.style.filter = 'none';
-            cell.style.animation = 'none';
           }
-          
-          prevState[idx] = stateKey;
+          drawn[idx] = key;
+          spilled[idx] = spills(figure) ? 1 : 0;
         }
       }
     }
+
+    if (dirty.size === 0) return;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    if (full) {
+      ctx.fillStyle = '#0a0a0a';
+      ctx.fillRect(0, 0, canvasRect.width, canvasRect.height);
+    } else {
+      // Only the dirty cells are repainted; figures spilling into them
+      // from clean neighbors are clipped to them
+      ctx.beginPath();
+      for (const idx of dirty) {
+        const rect = cellRect(idx % width, Math.floor(idx / width), left, top);
+        ctx.rect(rect.x, rect.y, rect.w, rect.h);
+      }
+      ctx.clip();
+    }
+
+    // Tiles first, then every figure that reaches into a dirty cell
+    const figures = [];
+    for (const cell of cells) {
+      const rect = cellRect(cell.x, cell.y, left, top);
+      if (dirty.has(cell.idx)) drawCell(cell, rect);
+      if (!spills(cell.entity)) continue;
+      if (full || nearDirty(cell, dirty)) figures.push({ cell, rect });
+    }
+    figures.sort((a, b) => (a.cell.entity.zIndex ?? 0) - (b.cell.entity.zIndex ?? 0));
+    for (const { cell, rect } of figures) drawFigure(cell, rect, now);
+
+    ctx.restore();
+  }
+
+  function nearDirty(cell, dirty) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dirty.has((cell.y + dy) * width + cell.x + dx)) return true;
+      }
+    }
+    return false;
   }
 
   /**
@@ -356,6 +536,7 @@ export function createRenderer(containerEl, width, height) {
    */
   function destroy() {
     window.removeEventListener('resize', handleResize);
+    containerEl.removeEventListener('scroll', handleScroll);
     // Cancel any in-flight pan animation and pending return pan
     animToken++;
     panSeq++;
@@ -364,8 +545,10 @@ export function createRenderer(containerEl, width, height) {
       returnTimerId = null;
     }
     gridEl.remove();
-    cells.length = 0;
-    prevState = [];
+    lastMap = null;
+    drawn = [];
+    spilled = new Uint8Array(0);
+    chunkCache = [];
   }
 
   // --- Camera pan sequencing --------------------------------------------
@@ -430,16 +613,13 @@ export function createRenderer(containerEl, width, height) {
 
   /** Internal: browser-native smooth scroll centering (x, y). */
   function panToPosition(x, y) {
-    const currentCellWidth = parseFloat(gridEl.style.gridTemplateColumns.match(/[\d.]+/)?.[0]) || cellWidth;
-    const currentCellHeight = parseFloat(gridEl.style.gridTemplateRows.match(/[\d.]+/)?.[0]) || cellHeight;
-
-    const pixelX = x * currentCellWidth;
-    const pixelY = y * currentCellHeight;
+    const pixelX = x * cellWidth;
+    const pixelY = y * cellHeight;
 
     // Center in the container viewport
     const containerRect = containerEl.getBoundingClientRect();
-    const scrollX = pixelX - containerRect.width / 2 + currentCellWidth / 2;
-    const scrollY = pixelY - containerRect.height / 2 + currentCellHeight / 2;
+    const scrollX = pixelX - containerRect.width / 2 + cellWidth / 2;
+    const scrollY = pixelY - containerRect.height / 2 + cellHeight / 2;
 
     containerEl.scrollTo({
       left: Math.max(0, scrollX),
@@ -487,16 +667,13 @@ export function createRenderer(containerEl, width, height) {
    */
   function animatePanToPosition(x, y, duration, onComplete) {
     const token = ++animToken;
-    const currentCellWidth = parseFloat(gridEl.style.gridTemplateColumns.match(/[\d.]+/)?.[0]) || cellWidth;
-    const currentCellHeight = parseFloat(gridEl.style.gridTemplateRows.match(/[\d.]+/)?.[0]) || cellHeight;
-
-    const pixelX = x * currentCellWidth;
-    const pixelY = y * currentCellHeight;
+    const pixelX = x * cellWidth;
+    const pixelY = y * cellHeight;
     const containerRect = containerEl.getBoundingClientRect();
     const maxScrollX = Math.max(0, containerEl.scrollWidth - containerRect.width);
     const maxScrollY = Math.max(0, containerEl.scrollHeight - containerRect.height);
-    const targetX = Math.min(maxScrollX, Math.max(0, pixelX - containerRect.width / 2 + currentCellWidth / 2));
-    const targetY = Math.min(maxScrollY, Math.max(0, pixelY - containerRect.height / 2 + currentCellHeight / 2));
+    const targetX = Math.min(maxScrollX, Math.max(0, pixelX - containerRect.width / 2 + cellWidth / 2));
+    const targetY = Math.min(maxScrollY, Math.max(0, pixelY - containerRect.height / 2 + cellHeight / 2));
 
     const startX = containerEl.scrollLeft;
     const startY = containerEl.scrollTop;
@@ -553,6 +730,9 @@ export function createRenderer(containerEl, width, height) {
   return {
     render,
     destroy,
+    zoom,
+    /** Font size of the current zoom level */
+    getZoom: () => fontSize,
     setDwarvesProvider,
     scrollToPosition,
     scrollToDwarves,
@@ -595,15 +775,27 @@ export const EntityGlyph = Object.freeze({
 
   // Corpse - red/gray
   CORPSE: { char: '%', fg: '#8b0000', zIndex: 3, scale: 1.0, shadow: '0 1px 1px rgba(0, 0, 0, 0.3)', filter: 'none' },
+  GRAVE: { char: '†', fg: '#99998a', zIndex: 2, scale: 1.0, shadow: 'none', filter: 'none' },
 
-  // Items (future)
+  // Crafted goods
   ITEM: { char: '?', fg: '#00bfff', zIndex: 4, scale: 1.1, shadow: '0 0 3px rgba(0, 191, 255, 0.2), 0 1px 1px rgba(0, 0, 0, 0.4)', filter: 'drop-shadow(0 1px 1px rgba(0, 0, 0, 0.2))' },
 
   // Construction
   DIG_DESIGNATION: { char: 'x', fg: '#886644', zIndex: 2, scale: 1.0, shadow: 'none', filter: 'none' },
+  PLAYER_DIG: { char: 'x', fg: '#ffaa44', bg: '#3a2410', zIndex: 2, scale: 1.0, shadow: 'none', filter: 'none' },
+  PLAYER_ROOM: { char: 'x', fg: '#66ccff', bg: '#102838', zIndex: 2, scale: 1.0, shadow: 'none', filter: 'none' },
+  FELL_DESIGNATION: { char: 'x', fg: '#88cc55', bg: '#1a2a10', zIndex: 2, scale: 1.0, shadow: 'none', filter: 'none' },
   BUILD_MARKER: { char: '░', fg: '#777766', zIndex: 3, scale: 1.0, shadow: 'none', filter: 'none' },
   RESOURCE_STONE: { char: '∙', fg: '#999988', zIndex: 4, scale: 1.1, shadow: '0 0 2px rgba(153, 153, 136, 0.2)', filter: 'none' },
   RESOURCE_WOOD: { char: '≡', fg: '#aa8855', zIndex: 4, scale: 1.1, shadow: '0 0 2px rgba(170, 136, 85, 0.2)', filter: 'none' },
+  RESOURCE_ANIMAL: { char: '"', fg: '#ccbb99', zIndex: 4, scale: 1.1, shadow: '0 0 2px rgba(204, 187, 153, 0.2)', filter: 'none' },
+  STOCKPILE_ZONE: { char: ':', fg: '#aaaa66', bg: '#1f1f12', zIndex: 1, scale: 1.0, shadow: 'none', filter: 'none' },
+  SIEGE_CAMP: { char: 'Δ', fg: '#cc5533', zIndex: 2, scale: 1.1, shadow: '0 0 4px rgba(204, 85, 51, 0.5)', filter: 'none' },
+
+  // Military
+  GUARD_STATION: { char: '¶', fg: '#8899cc', zIndex: 1, scale: 1.0, shadow: 'none', filter: 'none' },
+  PATROL_WAYPOINT: { char: '+', fg: '#667799', zIndex: 1, scale: 1.0, shadow: 'none', filter: 'none' },
+  DEFEND_POINT: { char: '¶', fg: '#ffcc44', zIndex: 2, scale: 1.1, shadow: '0 0 4px rgba(255, 204, 68, 0.5)', filter: 'none' },
 });
 
 /**
@@ -630,20 +822,39 @@ export function buildRenderEntities(state) {
 
   // Dig designations (lowest priority - easily overridden)
   try {
+    // Player orders also tint the tile (rooms and plain digs apart); the
+    // glyph brightens as the digging progresses
     const digDesignations = getDigDesignations();
     for (const dig of digDesignations) {
+      const glyph = dig.source !== 'player' ? EntityGlyph.DIG_DESIGNATION
+        : dig.roomId ? EntityGlyph.PLAYER_ROOM : EntityGlyph.PLAYER_DIG;
       entities.push({
         x: dig.x,
         y: dig.y,
-        char: EntityGlyph.DIG_DESIGNATION.char,
-        fg: EntityGlyph.DIG_DESIGNATION.fg,
-        zIndex: EntityGlyph.DIG_DESIGNATION.zIndex,
+        z: dig.z ?? 0,
+        char: dig.progress > 0 ? '*' : glyph.char,
+        fg: glyph.fg,
+        bg: glyph.bg,
+        zIndex: glyph.zIndex,
       });
     }
   } catch (e) {
     // Construction system not initialized yet
   }
 
+  // Trees marked for felling, brightening the same way
+  for (const felling of getFellDesignations()) {
+    const glyph = EntityGlyph.FELL_DESIGNATION;
+    entities.push({
+      x: felling.x,
+      y: felling.y,
+      char: felling.progress > 0 ? '*' : glyph.char,
+      fg: glyph.fg,
+      bg: glyph.bg,
+      zIndex: glyph.zIndex,
+    });
+  }
+
   // Build projects in progress
   try {
     const buildProjects = getBuildProjects();
@@ -691,19 +902,69 @@ export function buildRenderEntities(state) {
     // Construction system not initialized yet
   }
 
+  // Stockpile zones the player marked out (built storage has its own tiles)
+  for (const stockpile of getStockpiles()) {
+    if (stockpile.structureId) continue;
+    for (const tile of getStorageTiles(stockpile, state)) {
+      entities.push({
+        x: tile.x,
+        y: tile.y,
+        char: EntityGlyph.STOCKPILE_ZONE.char,
+        fg: EntityGlyph.STOCKPILE_ZONE.fg,
+        bg: EntityGlyph.STOCKPILE_ZONE.bg,
+        zIndex: EntityGlyph.STOCKPILE_ZONE.zIndex,
+      });
+    }
+  }
+
+  // Siege camps where goblin war bands wait to attack
+  for (const raid of getRaids()) {
+    if (raid.status !== RAID_STATUS.CAMPED || !raid.camp) continue;
+    entities.push({
+      x: raid.camp.x,
+      y: raid.camp.y,
+      char: EntityGlyph.SIEGE_CAMP.char,
+      fg: EntityGlyph.SIEGE_CAMP.fg,
+      zIndex: EntityGlyph.SIEGE_CAMP.zIndex,
+    });
+  }
+
+  // Squad stations, patrol routes and the spots they are ordered to defend
+  for (const squad of getSquads()) {
+    const markers = squad.route.map(point => [point, EntityGlyph.PATROL_WAYPOINT]);
+    if (squad.station) markers.push([squad.station, EntityGlyph.GUARD_STATION]);
+    if (squad.order?.type === SQUAD_ORDER.DEFEND) markers.push([squad.order, EntityGlyph.DEFEND_POINT]);
+    for (const [{ x, y }, glyph] of markers) {
+      entities.push({ x, y, char: glyph.char, fg: glyph.fg, zIndex: glyph.zIndex });
+    }
+  }
+
+  // Graves, and the fallen still waiting for one
+  for (const [list, glyph] of [[getGraves(), EntityGlyph.GRAVE], [getRemains(), EntityGlyph.CORPSE]]) {
+    for (const { x, y, z = 0 } of list) {
+      entities.push({ x, y, z, char: glyph.char, fg: glyph.fg, zIndex: glyph.zIndex });
+    }
+  }
+
   // Resources on the ground
   if (state.resources) {
     for (const resource of state.resources) {
       if (resource.amount <= 0) continue;
 
+      const category = getItemCategory(resource);
       let glyph = EntityGlyph.RESOURCE_STONE;
-      if (resource.type === 'wood') {
+      if (category === STOCKPILE_CATEGORY.WOOD) {
         glyph = EntityGlyph.RESOURCE_WOOD;
+      } else if (category === STOCKPILE_CATEGORY.ANIMAL) {
+        glyph = EntityGlyph.RESOURCE_ANIMAL;
+      } else if (category === STOCKPILE_CATEGORY.GOODS) {
+        glyph = EntityGlyph.ITEM;
       }
 
       entities.push({
         x: resource.x,
         y: resource.y,
+        z: resource.z ?? 0,
         char: glyph.char,
         fg: glyph.fg,
         zIndex: glyph.zIndex,
@@ -717,6 +978,7 @@ export function buildRenderEntities(state) {
       entities.push({
         x: food.x,
         y: food.y,
+        z: food.z ?? 0,
         char: EntityGlyph.FOOD.char,
         fg: EntityGlyph.FOOD.fg,
         zIndex: EntityGlyph.FOOD.zIndex
@@ -724,9 +986,11 @@ export function buildRenderEntities(state) {
     }
   }
 
-  // Dwarves - color indicates hunger/health state
+  // Dwarves - color indicates hunger/health state; members who came from
+  // another race (settlers.js) keep its letter and sprite
+  const RACE_GLYPH = { human: EntityGlyph.HUMAN, goblin: EntityGlyph.GOBLIN, elf: EntityGlyph.ELF };
   for (const dwarf of state.dwarves) {
-    let glyph = EntityGlyph.DWARF;
+    let glyph = RACE_GLYPH[dwarf.race] || EntityGlyph.DWARF;
     // Sprite-mode state tint mirrors the emoji color swaps below.
     let spriteTint = null;
 
@@ -745,7 +1009,8 @@ export function buildRenderEntities(state) {
     entities.push({
       x: dwarf.x,
       y: dwarf.y,
-      char: glyph.char,
+      z: dwarf.z ?? 0,
+      char: RACE_GLYPH[dwarf.race]?.char ?? glyph.char,
       fg: glyph.fg,
       zIndex: glyph.zIndex,
       id: dwarf.id,
@@ -753,7 +1018,7 @@ export function buildRenderEntities(state) {
       shadow: glyph.shadow,
       filter: glyph.filter,
       // Procedural-hybrid sprite: stable per-dwarf identity from id
-      spriteKey: 'dwarf',
+      spriteKey: dwarf.race || 'dwarf',
       seed: dwarf.id,
       spriteTint,
     });
@@ -795,6 +1060,7 @@ export function buildRenderEntities(state) {
       entities.push({
         x: visitor.x,
         y: visitor.y,
+        z: visitor.z ?? 0,
         char: glyph.char,
         fg,
         zIndex: glyph.zIndex,
@@ -853,6 +1119,7 @@ export function buildRenderEntities(state) {
       entities.push({
         x: animal.x,
         y: animal.y,
+        z: animal.z ?? 0,
         char: glyph.char,
         fg,
         zIndex: glyph.zIndex,
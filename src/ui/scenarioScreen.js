@@ -2,31 +2,55 @@
  * Scenario Screen UI
  * Modal/overlay for scenario selection and preview
  *
- * Displays: title, description, parameters summary
- * Actions: Start Game, Regenerate, View Parameters, Select Preset
+ * Displays: title, description, parameters summary, difficulty picker
+ * Actions: Start Game, Generate (random or themed), Reroll Seed, Edit
+ * Parameters, Share/Import, View Parameters, Select Preset, Cancel
+ *
+ * The scenario's seed is the world seed, so a shared scenario rebuilds the
+ * same world and a reroll builds a new one from the same parameters.
  */
 
-import { generateScenario, getPreset, isGenerationInProgress } from '../llm/scenarioGenerator.js';
-import { PRESET_SCENARIOS, getPresetTitles } from '../scenarios/presets.js';
-import { VALID_DIFFICULTIES, getDifficultyModifiers } from '../scenarios/scenarioSchema.js';
+import {
+  generateScenario, generateThemedScenario, getPreset, isGenerationInProgress,
+  rerollSeed, createCustomScenario, serializeScenario, deserializeScenario,
+} from '../llm/scenarioGenerator.js';
+import { THEMED_PROMPTS } from '../llm/prompts/scenarios.js';
+import { PRESET_SCENARIOS } from '../scenarios/presets.js';
+import {
+  VALID_TERRAINS, VALID_DIFFICULTIES, VALID_BIOME_EMPHASIS, PARAMETER_RANGES, getDifficultyModifiers,
+} from '../scenarios/scenarioSchema.js';
+
+// Numeric parameters the editor exposes (ranges from PARAMETER_RANGES)
+const EDITABLE_NUMBERS = [
+  { key: 'mapWidth', label: 'Map Width', step: 1 },
+  { key: 'mapHeight', label: 'Map Height', step: 1 },
+  { key: 'dwarfCount', label: 'Dwarves', step: 1 },
+  { key: 'foodSources', label: 'Food Sources', step: 1 },
+  { key: 'initialFood', label: 'Food Stock', step: 100 },
+  { key: 'hungerRate', label: 'Hunger Rate', step: 0.1 },
+  { key: 'foodRespawnRate', label: 'Food Respawn', step: 0.1 },
+];
 
 // State
 let currentScenario = null;
 let overlayElement = null;
 let onAcceptCallback = null;
+let onCancelCallback = null;
 let isVisible = false;
 
 /**
  * Show the scenario selection screen
  * @param {object} options - Options
  * @param {function} options.onAccept - Callback when scenario is accepted (receives scenario)
+ * @param {function} options.onCancel - Shows a Cancel button; called when the player backs out
  * @param {object} options.initialScenario - Pre-load a specific scenario
  * @returns {Promise<void>}
  */
 export async function showScenarioScreen(options = {}) {
-  const { onAccept, initialScenario } = options;
+  const { onAccept, onCancel, initialScenario } = options;
 
   onAcceptCallback = onAccept;
+  onCancelCallback = onCancel || null;
 
   // Create overlay if needed
   if (!overlayElement) {
@@ -36,6 +60,9 @@ export async function showScenarioScreen(options = {}) {
   // Show overlay
   overlayElement.style.display = 'flex';
   isVisible = true;
+  closePanels();
+  const cancelBtn = document.getElementById('btn-cancel-scenario');
+  if (cancelBtn) cancelBtn.style.display = onCancelCallback ? '' : 'none';
 
   // Load initial scenario
   if (initialScenario) {
@@ -91,17 +118,45 @@ function createOverlay() {
           <div class="scenario-loading">Generating scenario...</div>
         </div>
 
+        <div class="difficulty-picker" id="difficulty-picker"></div>
+        <div class="scenario-errors" id="scenario-errors"></div>
+
         <div class="scenario-params" id="scenario-params" style="display: none;">
           <h3>Full Parameters</h3>
           <pre id="params-json"></pre>
-          <button class="btn-close-params" id="btn-close-params">Close</button>
+          <button class="btn-close-params" data-close-panel>Close</button>
+        </div>
+
+        <div class="scenario-params" id="scenario-editor" style="display: none;">
+          <h3>Edit Parameters</h3>
+          <form class="editor-form" id="editor-form"></form>
+          <button class="btn-close-params" id="btn-apply-params">Apply</button>
+          <button class="btn-close-params" data-close-panel>Close</button>
+        </div>
+
+        <div class="scenario-params" id="scenario-share" style="display: none;">
+          <h3>Share / Import</h3>
+          <p class="share-hint">Copy this to share the scenario (its seed rebuilds the same world), or paste one and import it.</p>
+          <textarea class="share-text" id="share-text" rows="6" spellcheck="false"></textarea>
+          <button class="btn-close-params" id="btn-copy-scenario">Copy</button>
+          <button class="btn-close-params" id="btn-import-scenario">Import</button>
+          <button class="btn-close-params" data-close-panel>Close</button>
         </div>
       </div>
 
       <div class="scenario-actions">
         <button class="btn-action btn-start" id="btn-start-game">Start Game</button>
         <button class="btn-action btn-regen" id="btn-regenerate">Generate New</button>
+        <button class="btn-action btn-params" id="btn-reroll-seed">Reroll Seed</button>
+        <button class="btn-action btn-params" id="btn-edit-params">Edit Parameters</button>
+        <button class="btn-action btn-params" id="btn-share-scenario">Share / Import</button>
         <button class="btn-action btn-params" id="btn-view-params">View Parameters</button>
+        <button class="btn-action btn-params" id="btn-cancel-scenario" style="display: none;">Cancel</button>
+      </div>
+
+      <div class="scenario-presets">
+        <h3>Generate a Theme</h3>
+        <div class="preset-list" id="theme-list"></div>
       </div>
 
       <div class="scenario-presets">
@@ -120,34 +175,36 @@ function createOverlay() {
   // Wire up event listeners
   wireEvents();
 
-  // Populate preset list
+  // Populate preset and theme lists
   populatePresetList();
+  populateThemeList();
 }
 
 /**
  * Wire up button event handlers
  */
 function wireEvents() {
-  const startBtn = document.getElementById('btn-start-game');
-  const regenBtn = document.getElementById('btn-regenerate');
-  const paramsBtn = document.getElementById('btn-view-params');
-  const closeParamsBtn = document.getElementById('btn-close-params');
-
-  if (startBtn) {
-    startBtn.addEventListener('click', handleStartGame);
-  }
-
-  if (regenBtn) {
-    regenBtn.addEventListener('click', handleRegenerate);
-  }
+  const handlers = {
+    'btn-start-game': handleStartGame,
+    'btn-regenerate': handleRegenerate,
+    'btn-reroll-seed': handleRerollSeed,
+    'btn-edit-params': handleEditParams,
+    'btn-apply-params': handleApplyParams,
+    'btn-share-scenario': handleShare,
+    'btn-copy-scenario': handleCopy,
+    'btn-import-scenario': handleImport,
+    'btn-view-params': handleViewParams,
+    'btn-cancel-scenario': handleCancel,
+  };
 
-  if (paramsBtn) {
-    paramsBtn.addEventListener('click', handleViewParams);
+  for (const [id, handler] of Object.entries(handlers)) {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', handler);
   }
 
-  if (closeParamsBtn) {
-    closeParamsBtn.addEventListener('click', handleCloseParams);
-  }
+  overlayElement.querySelectorAll('[data-close-panel]').forEach(btn => {
+    btn.addEventListener('click', handleCloseParams);
+  });
 }
 
 /**
@@ -173,35 +230,85 @@ function populatePresetList() {
   });
 }
 
+/**
+ * Populate the themed generation buttons
+ */
+function populateThemeList() {
+  const container = document.getElementById('theme-list');
+  if (!container) return;
+
+  container.innerHTML = Object.keys(THEMED_PROMPTS).map(theme => `
+    <button class="preset-btn theme-btn" data-theme="${theme}">
+      <span class="preset-title">${theme}</span>
+      <span class="preset-diff">LLM themed</span>
+    </button>
+  `).join('');
+
+  container.querySelectorAll('.theme-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      if (isGenerationInProgress()) return;
+      regenerateScenario(e.currentTarget.dataset.theme);
+    });
+  });
+}
+
 /**
  * Select a preset scenario
  * @param {number} index - Preset index
  */
 function selectPreset(index) {
   currentScenario = getPreset(index);
+  closePanels();
   renderScenarioCard();
 }
 
 /**
  * Regenerate scenario using LLM
+ * @param {string} [theme] - THEMED_PROMPTS key (generateThemedScenario)
  */
-async function regenerateScenario() {
+async function regenerateScenario(theme = null) {
   const card = document.getElementById('scenario-card');
   if (card) {
-    card.innerHTML = '<div class="scenario-loading">Generating scenario...</div>';
+    card.innerHTML = `<div class="scenario-loading">Generating ${theme ? `${escapeHtml(theme)} ` : ''}scenario...</div>`;
   }
+  closePanels();
 
   // Disable buttons during generation
   setButtonsEnabled(false);
 
   try {
-    currentScenario = await generateScenario();
+    currentScenario = theme ? await generateThemedScenario(theme) : await generateScenario();
     renderScenarioCard();
   } finally {
     setButtonsEnabled(true);
   }
 }
 
+/**
+ * Replace the current scenario with an edited copy. Validation goes through
+ * createCustomScenario, so edits stay inside the schema; the seed is kept.
+ * @param {object} changes - { title?, description?, parameters? } (parameters merged)
+ * @returns {boolean} False (with errors shown) when the edit is invalid
+ */
+function updateScenario(changes) {
+  if (!currentScenario) return false;
+
+  const result = createCustomScenario({
+    ...currentScenario,
+    ...changes,
+    parameters: { ...currentScenario.parameters, ...changes.parameters },
+  });
+  if (!result.valid) {
+    showErrors(result.errors);
+    return false;
+  }
+
+  currentScenario = result.scenario;
+  showErrors([]);
+  renderScenarioCard();
+  return true;
+}
+
 /**
  * Render the scenario card with current scenario data
  */
@@ -213,6 +320,8 @@ function renderScenarioCard() {
   const badge = isPreset ? 'Preset' : isGenerated ? 'Generated' : 'Custom';
   const difficultyColor = getDifficultyColor(parameters.difficulty);
 
+  renderDifficultyPicker();
+
   card.innerHTML = `
     <div class="card-badge ${badge.toLowerCase()}">${badge}</div>
     <h3 class="card-title">${escapeHtml(title)}</h3>
@@ -250,6 +359,35 @@ function renderScenarioCard() {
   `;
 }
 
+/**
+ * Render the difficulty picker for the current scenario
+ */
+function renderDifficultyPicker() {
+  const picker = document.getElementById('difficulty-picker');
+  if (!picker || !currentScenario) return;
+
+  const active = currentScenario.parameters.difficulty || 'normal';
+  picker.innerHTML = VALID_DIFFICULTIES.map(difficulty => {
+    const mods = getDifficultyModifiers(difficulty);
+    return `
+      <button class="difficulty-btn ${difficulty === active ? 'active' : ''}" data-difficulty="${difficulty}"
+        title="Hunger x${mods.hungerMultiplier}, food respawn x${mods.foodSpawnMultiplier}, food stock x${mods.initialFoodMultiplier}${mods.mortality ? ', dwarves can starve, freeze and die of old age' : ''}"
+        style="--difficulty-color: ${getDifficultyColor(difficulty)}">
+        ${difficulty}
+      </button>
+    `;
+  }).join('');
+
+  picker.querySelectorAll('.difficulty-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const difficulty = e.currentTarget.dataset.difficulty;
+      if (difficulty !== currentScenario.parameters.difficulty) {
+        updateScenario({ parameters: { difficulty } });
+      }
+    });
+  });
+}
+
 /**
  * Handle Start Game button click
  */
@@ -263,6 +401,138 @@ function handleStartGame() {
   }
 }
 
+/**
+ * Handle Cancel button click (only offered over a running world)
+ */
+function handleCancel() {
+  hideScenarioScreen();
+
+  if (onCancelCallback) {
+    onCancelCallback();
+  }
+}
+
+/**
+ * Handle Reroll Seed button click: same parameters, new world
+ */
+function handleRerollSeed() {
+  if (!currentScenario) return;
+  currentScenario = rerollSeed(currentScenario);
+  renderScenarioCard();
+  if (isPanelOpen('scenario-share')) handleShare();
+}
+
+/**
+ * Handle Edit Parameters button click: build the form from the schema
+ */
+function handleEditParams() {
+  const form = document.getElementById('editor-form');
+  if (!form || !currentScenario) return;
+
+  const params = currentScenario.parameters;
+  const select = (key, label, options) => `
+    <label class="editor-field">
+      <span>${label}</span>
+      <select name="${key}">
+        ${options.map(option => `<option value="${option}" ${params[key] === option ? 'selected' : ''}>${option}</option>`).join('')}
+      </select>
+    </label>
+  `;
+
+  form.innerHTML = `
+    <label class="editor-field editor-wide">
+      <span>Title</span>
+      <input name="title" type="text" maxlength="40" value="${escapeHtml(currentScenario.title)}">
+    </label>
+    <label class="editor-field editor-wide">
+      <span>Description</span>
+      <input name="description" type="text" maxlength="200" value="${escapeHtml(currentScenario.description)}">
+    </label>
+    ${select('terrain', 'Terrain', VALID_TERRAINS)}
+    ${select('biomeEmphasis', 'Biome Emphasis', VALID_BIOME_EMPHASIS)}
+    ${select('difficulty', 'Difficulty', VALID_DIFFICULTIES)}
+    ${EDITABLE_NUMBERS.map(({ key, label, step }) => {
+      const range = PARAMETER_RANGES[key];
+      return `
+        <label class="editor-field">
+          <span>${label} <em>${range.min}-${range.max}</em></span>
+          <input name="${key}" type="number" min="${range.min}" max="${range.max}" step="${step}" value="${params[key] ?? range.default}">
+        </label>
+      `;
+    }).join('')}
+  `;
+
+  openPanel('scenario-editor');
+}
+
+/**
+ * Handle Apply button click in the editor
+ */
+function handleApplyParams() {
+  const form = document.getElementById('editor-form');
+  if (!form) return;
+
+  const data = new FormData(form);
+  const parameters = {
+    terrain: data.get('terrain'),
+    biomeEmphasis: data.get('biomeEmphasis'),
+    difficulty: data.get('difficulty'),
+  };
+  for (const { key } of EDITABLE_NUMBERS) {
+    parameters[key] = parseFloat(data.get(key));
+  }
+
+  if (updateScenario({ title: data.get('title'), description: data.get('description'), parameters })) {
+    closePanels();
+  }
+}
+
+/**
+ * Handle Share / Import button click: show the serialized scenario
+ */
+function handleShare() {
+  const text = document.getElementById('share-text');
+  if (!text || !currentScenario) return;
+
+  text.value = serializeScenario(currentScenario);
+  openPanel('scenario-share');
+}
+
+/**
+ * Copy the serialized scenario to the clipboard
+ */
+async function handleCopy() {
+  const text = document.getElementById('share-text');
+  if (!text) return;
+
+  try {
+    await navigator.clipboard.writeText(text.value);
+    showErrors([]);
+  } catch {
+    // Clipboard blocked (insecure context): leave it selected for Ctrl+C
+    text.select();
+  }
+}
+
+/**
+ * Import a pasted scenario (validated like a custom one)
+ */
+function handleImport() {
+  const text = document.getElementById('share-text');
+  if (!text) return;
+
+  const result = deserializeScenario(text.value.trim());
+  if (!result.valid) {
+    showErrors(result.errors);
+    return;
+  }
+
+  currentScenario = result.scenario;
+  showErrors([]);
+  closePanels();
+  renderScenarioCard();
+}
+
 /**
  * Handle Regenerate button click
  */
@@ -275,23 +545,49 @@ async function handleRegenerate() {
  * Handle View Parameters button click
  */
 function handleViewParams() {
-  const paramsPanel = document.getElementById('scenario-params');
   const paramsJson = document.getElementById('params-json');
 
-  if (paramsPanel && paramsJson && currentScenario) {
+  if (paramsJson && currentScenario) {
     paramsJson.textContent = JSON.stringify(currentScenario, null, 2);
-    paramsPanel.style.display = 'block';
+    openPanel('scenario-params');
   }
 }
 
 /**
- * Handle Close Parameters button click
+ * Handle Close button click on any panel
  */
 function handleCloseParams() {
-  const paramsPanel = document.getElementById('scenario-params');
-  if (paramsPanel) {
-    paramsPanel.style.display = 'none';
-  }
+  closePanels();
+}
+
+/**
+ * Show one side panel (parameters, editor, share), hiding the others
+ * @param {string} id
+ */
+function openPanel(id) {
+  closePanels();
+  const panel = document.getElementById(id);
+  if (panel) panel.style.display = 'block';
+}
+
+function closePanels() {
+  overlayElement?.querySelectorAll('.scenario-params').forEach(panel => {
+    panel.style.display = 'none';
+  });
+}
+
+function isPanelOpen(id) {
+  return document.getElementById(id)?.style.display === 'block';
+}
+
+/**
+ * Show validation errors under the card (empty list clears them)
+ * @param {string[]} errors
+ */
+function showErrors(errors) {
+  const el = document.getElementById('scenario-errors');
+  if (!el) return;
+  el.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
 }
 
 /**
@@ -618,6 +914,87 @@ function injectStyles() {
       background: #444;
     }
 
+    .difficulty-picker {
+      display: flex;
+      gap: 8px;
+      justify-content: center;
+      margin-top: 12px;
+    }
+
+    .difficulty-btn {
+      background: #2a2a2a;
+      border: 1px solid #444;
+      border-radius: 4px;
+      color: var(--difficulty-color);
+      font-family: inherit;
+      font-size: 0.75rem;
+      padding: 6px 12px;
+      text-transform: uppercase;
+      cursor: pointer;
+    }
+
+    .difficulty-btn.active {
+      border-color: var(--difficulty-color);
+      background: #333;
+    }
+
+    .scenario-errors {
+      color: #dd6666;
+      font-size: 0.8rem;
+      margin-top: 8px;
+      text-align: center;
+    }
+
+    .editor-form {
+      display: grid;
+      grid-template-columns: repeat(2, 1fr);
+      gap: 10px;
+    }
+
+    .editor-field {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      color: #888;
+      font-size: 0.75rem;
+      text-transform: uppercase;
+    }
+
+    .editor-field em {
+      color: #555;
+      font-style: normal;
+      text-transform: none;
+    }
+
+    .editor-wide {
+      grid-column: 1 / -1;
+    }
+
+    .editor-field input,
+    .editor-field select,
+    .share-text {
+      background: #0a0a0a;
+      border: 1px solid #333;
+      border-radius: 4px;
+      color: #ddd;
+      font-family: inherit;
+      padding: 6px;
+    }
+
+    .share-hint {
+      color: #777;
+      font-size: 0.8rem;
+      margin: 0 0 8px 0;
+    }
+
+    .share-text {
+      width: 100%;
+      box-sizing: border-box;
+      color: #88ff88;
+      font-size: 0.75rem;
+      resize: vertical;
+    }
+
     @media (max-width: 600px) {
       .card-stats {
         grid-template-columns: repeat(2, 1fr);
@@ -627,6 +1004,10 @@ function injectStyles() {
         flex-direction: column;
       }
 
+      .editor-form {
+        grid-template-columns: 1fr;
+      }
+
       .btn-action {
         width: 100%;
       }
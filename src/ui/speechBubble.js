@@ -69,17 +69,23 @@ export function initSpeechBubbles(gameContainer, asciiGrid) {
 }
 
 /**
- * Update cell dimensions based on grid
+ * Point the bubbles at a rebuilt renderer grid (map size changed)
+ * @param {HTMLElement} asciiGrid - The new ASCII renderer grid element
+ */
+export function setSpeechBubbleGrid(asciiGrid) {
+  rendererEl = asciiGrid;
+  updateCellDimensions();
+}
+
+/**
+ * Update cell dimensions from the grid (the renderer keeps them on the
+ * element as it zooms)
  */
 function updateCellDimensions() {
   if (!rendererEl) return;
 
-  const cells = rendererEl.querySelectorAll('span');
-  if (cells.length > 0) {
-    const rect = cells[0].getBoundingClientRect();
-    cellWidth = rect.width;
-    cellHeight = rect.height;
-  }
+  cellWidth = parseFloat(rendererEl.dataset.cellWidth) || cellWidth;
+  cellHeight = parseFloat(rendererEl.dataset.cellHeight) || cellHeight;
 }
 
 /**
@@ -275,11 +281,8 @@ function createBubble(dwarf, text, type, target = null) {
 function positionBubble(bubble, dwarf, type) {
   if (!rendererEl || !containerEl) return;
 
-  // Recompute cell dimensions if they were never measured (e.g. on mobile,
-  // where the grid may not have laid out by the time first bubble fires).
-  if (!cellWidth || !cellHeight) {
-    updateCellDimensions();
-  }
+  // Cell dimensions change with the zoom level
+  updateCellDimensions();
 
   bubble.style.position = 'absolute';
   bubble.style.transform = 'none';
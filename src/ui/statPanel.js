@@ -16,6 +16,8 @@ import {
 import { chatWithEntity, getEntityHistory, clearEntityHistory } from '../llm/entityChat.js';
 import { getAvatarHtml } from './sprites.js';
 import { ENTITY_CHAT_STARTERS } from '../llm/prompts/entityChat.js';
+import { replyToDiplomat } from '../sim/diplomacy.js';
+import { answerPetition } from '../sim/settlers.js';
 
 // Minimal markdown renderer (escapes HTML first)
 function renderMarkdown(text) {
@@ -205,6 +207,16 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
     const loadingEl = panelEl.querySelector('.chat-loading');
     if (loadingEl) loadingEl.style.display = 'block';
 
+    // Talks with a diplomat are settled by rule first; the reply only voices
+    // the outcome
+    if (entityType === 'visitor' && entity.negotiation?.status === 'open' && worldState) {
+      replyToDiplomat(worldState, entity.id, message);
+    }
+    // ... and so are answers to those asking to stay (settlers.js)
+    if (entityType === 'visitor' && entity.petition?.status === 'open' && worldState) {
+      answerPetition(worldState, entity.id, message);
+    }
+
     let result = null;
     try {
       result = await chatWithEntity(message, entity, entityType, {
@@ -308,7 +320,8 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
   // Resolve the procedural sprite key for an entity. Unknown races fall back
   // to the pixel-art 'unknown' icon inside getAvatarHtml.
   function spriteKeyFor(entityType, race) {
-    if (entityType === 'visitor') {
+    // Visitors, and colony members who came from another race
+    if (entityType === 'visitor' || race) {
       return (race || '').toLowerCase();
     }
     return 'dwarf';
@@ -334,14 +347,15 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
       ? `<div style="margin-top:8px;color:#888;font-size:14px;">
            Knows ${stats.relationshipCount} dwarf${stats.relationshipCount > 1 ? 's' : ''}
            ${stats.bestFriend ? ` (closest: ID ${stats.bestFriend.id})` : ''}
+           ${stats.spouseId != null ? ` · spouse: ID ${stats.spouseId}` : ''}
          </div>` : '';
     return `
       <div style="padding:16px;">
         <div style="display:flex;align-items:center;margin-bottom:10px;">
-          <span style="margin-right:10px;display:inline-flex">${avatarFor('dwarf', stats.id)}</span>
+          <span style="margin-right:10px;display:inline-flex">${avatarFor('dwarf', stats.id, stats.race)}</span>
           <div style="flex:1">
             <div style="font-size:20px;font-weight:bold;color:#fff">${stats.generatedName || stats.name}</div>
-            <div style="font-size:13px;color:#666">Dwarf #${stats.id}</div>
+            <div style="font-size:13px;color:#666">${stats.race ? stats.race[0].toUpperCase() + stats.race.slice(1) : 'Dwarf'} #${stats.id}${stats.age != null ? ` · ${stats.age} years old` : ''}${stats.child ? ' · child' : ''}</div>
           </div>
           ${closeBtn()}
         </div>
@@ -350,6 +364,11 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
           <span style="color:#888">Status:</span>
           <span style="color:#4aff9e;margin-left:4px">${stats.state}</span>
         </div>
+        ${stats.squad ? `<div style="margin:4px 0;color:#888;font-size:14px">Squad: <span style="color:#ccd">${stats.squad}</span>
+          · Morale <span style="color:${stats.shaken ? '#ff4a4a' : '#ccd'}">${stats.morale}${stats.shaken ? ' (shaken)' : ''}</span></div>` : ''}
+        ${stats.gear ? `<div style="margin:4px 0;color:#888;font-size:14px">Gear: <span style="color:#ccd">${stats.gear}</span></div>` : ''}
+        ${stats.injuries ? `<div style="margin:4px 0;color:#888;font-size:14px">Injuries: <span style="color:${stats.bleeding ? '#ff4a4a' : '#ffaa66'}">${stats.injuries}</span></div>` : ''}
+        ${stats.starving || stats.freezing ? `<div style="margin:4px 0;color:#ff4a4a;font-size:14px">${[stats.starving && 'Starving', stats.freezing && 'Freezing'].filter(Boolean).join(' · ')}</div>` : ''}
         ${chatButton('dwarf')}
         ${thought}
         <div style="margin-top:14px;">
@@ -357,6 +376,7 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
           ${statBar(`Mood (${getMoodDescriptor(stats.mood)})`, stats.mood, 100, moodColor)}
           ${statBar(`Hunger (${getHungerDescriptor(stats.hunger)})`, 100 - stats.hunger, 100, hungerColor)}
           ${statBar('Wellbeing', stats.wellbeing, 100, '#4affff')}
+          ${statBar('HP', stats.hp, stats.maxHp, stats.hpPercent > 50 ? '#4aff4a' : stats.hpPercent > 25 ? '#ffff4a' : '#ff4a4a')}
         </div>
         ${traitsDisplay(stats.traits)}
         ${fulfillmentSection(stats.fulfillment)}
@@ -402,7 +422,24 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
           <div style="color:#aaa;margin-bottom:6px;font-weight:bold">Combat</div>
           ${statBar('HP', stats.hp, stats.maxHp, stats.hpPercent > 50 ? '#4aff4a' : stats.hpPercent > 25 ? '#ffff4a' : '#ff4a4a')}
           <div style="margin:4px 0;color:#888;font-size:14px">Damage: <span style="color:#ffaa66">${stats.damage}</span></div>
+          ${stats.gear ? `<div style="margin:4px 0;color:#888;font-size:14px">Gear: <span style="color:#ccd">${stats.gear}</span></div>` : ''}
+          ${stats.objective ? `<div style="margin:4px 0;color:#888;font-size:14px">Objective: <span style="color:#ff7755">${stats.objective}</span></div>` : ''}
         </div>
+        ${stats.terms ? `
+          <div style="margin-top:14px;">
+            <div style="color:#aaa;margin-bottom:6px;font-weight:bold">Terms (${stats.negotiationStatus})</div>
+            <div style="color:#ccc;font-size:14px">The dwarves are to ${escapeHtml(stats.terms)}.</div>
+          </div>
+        ` : ''}
+        ${stats.petition ? `
+          <div style="margin-top:14px;">
+            <div style="color:#aaa;margin-bottom:6px;font-weight:bold">Asks to Stay (${stats.petitionStatus})</div>
+            <div style="color:#ccc;font-size:14px">${stats.petition === 'prisoner'
+              ? 'Held prisoner. Let them go, or take them in?'
+              : 'Hopes to make a home in the fortress.'}</div>
+            ${stats.refugeeFrom ? `<div style="color:#888;font-size:13px;margin-top:4px">Fleeing: ${escapeHtml(stats.refugeeFrom)}</div>` : ''}
+          </div>
+        ` : ''}
         ${stats.satisfactionThreshold ? `
           <div style="margin-top:14px;">
             <div style="color:#aaa;margin-bottom:6px;font-weight:bold">Goal Progress</div>
@@ -466,7 +503,11 @@ export function createStatPanel(containerEl, gridEl, mapWidth, mapHeight) {
   function renderChatUI(entity, entityType) {
     const name = entity.generatedName || entity.name || 'Entity';
     const history = getEntityHistory(entity, entityType);
-    const starters = ENTITY_CHAT_STARTERS[entityType] || ENTITY_CHAT_STARTERS.dwarf;
+    const starters = entity.negotiation?.status === 'open'
+      ? ENTITY_CHAT_STARTERS.negotiation
+      : entity.petition?.status === 'open'
+      ? ENTITY_CHAT_STARTERS.petition
+      : ENTITY_CHAT_STARTERS[entityType] || ENTITY_CHAT_STARTERS.dwarf;
     const headerAvatar = avatarFor(entityType, entity.id, entity.race, 36);
     const msgAvatar = avatarFor(entityType, entity.id, entity.race, 24);
 
@@ -0,0 +1,149 @@
+/**
+ * Stockpile Panel
+ * Lists the stockpile zones with a checkbox per category they accept, and a
+ * Remove button for zones the player marked out (built storage keeps its
+ * zone). Changes go to stockpiles.js issueStockpileOrder, which logs them
+ * for replay. New zones are dragged out with the designation tool.
+ */
+
+import { STOCKPILE_CATEGORY, getStockpiles, issueStockpileOrder } from '../sim/stockpiles.js';
+
+const CATEGORY_LABELS = {
+  [STOCKPILE_CATEGORY.STONE]: 'Stone',
+  [STOCKPILE_CATEGORY.WOOD]: 'Wood',
+  [STOCKPILE_CATEGORY.ANIMAL]: 'Hides & bone',
+  [STOCKPILE_CATEGORY.FOOD]: 'Food',
+  [STOCKPILE_CATEGORY.GOODS]: 'Goods',
+};
+
+/**
+ * Create the stockpile panel
+ * @param {HTMLElement} parentElement - Parent to attach the panel to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onChange] - (order) after a zone is changed
+ * @returns {object} Panel with toggle(), hide(), isVisible(), update(), destroy()
+ */
+export function createStockpilePanel(parentElement, { getState, onChange = null }) {
+  let listed = '';   // Zone ids the rows were built for
+
+  const panelEl = document.createElement('div');
+  panelEl.id = 'stockpile-panel';
+  panelEl.className = 'floating-widget';
+  panelEl.style.display = 'none';
+  parentElement.appendChild(panelEl);
+
+  function issue(order) {
+    issueStockpileOrder(getState(), order);
+    if (onChange) onChange(order);
+  }
+
+  function createRow(stockpile) {
+    const row = document.createElement('div');
+    row.className = 'stockpile-row';
+    row.dataset.stockpile = stockpile.id;
+
+    const title = document.createElement('div');
+    title.className = 'stockpile-title';
+    const name = document.createElement('span');
+    name.textContent = `${stockpile.name} (${stockpile.x2 - stockpile.x1 + 1}x${stockpile.y2 - stockpile.y1 + 1})`;
+    title.appendChild(name);
+    if (!stockpile.structureId) {
+      const remove = document.createElement('button');
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => issue({ action: 'remove', stockpileId: stockpile.id }));
+      title.appendChild(remove);
+    }
+    row.appendChild(title);
+
+    const filters = document.createElement('div');
+    filters.className = 'stockpile-filters';
+    for (const category of Object.values(STOCKPILE_CATEGORY)) {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = category;
+      box.checked = stockpile.categories.includes(category);
+      box.addEventListener('change', () => {
+        const categories = [...filters.querySelectorAll('input:checked')].map(b => b.value);
+        issue({ action: 'filter', stockpileId: stockpile.id, categories });
+      });
+      label.appendChild(box);
+      label.append(` ${CATEGORY_LABELS[category]}`);
+      filters.appendChild(label);
+    }
+    row.appendChild(filters);
+    return row;
+  }
+
+  function rebuild() {
+    panelEl.innerHTML = '';
+
+    const heading = document.createElement('div');
+    heading.className = 'stockpile-heading';
+    heading.textContent = 'Stockpiles';
+    panelEl.appendChild(heading);
+
+    const stockpiles = getStockpiles();
+    if (stockpiles.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'stockpile-empty';
+      empty.textContent = 'No stockpiles yet. Use Designate → Stockpile to mark one out.';
+      panelEl.appendChild(empty);
+    }
+    for (const stockpile of stockpiles) panelEl.appendChild(createRow(stockpile));
+  }
+
+  /**
+   * Rebuild when zones come or go; otherwise just sync the checkboxes
+   */
+  function update() {
+    const stockpiles = getStockpiles();
+    const ids = stockpiles.map(s => s.id).join(',');
+    if (ids !== listed) {
+      listed = ids;
+      rebuild();
+      return;
+    }
+
+    for (const stockpile of stockpiles) {
+      const row = panelEl.querySelector(`[data-stockpile="${stockpile.id}"]`);
+      for (const box of row?.querySelectorAll('input') || []) {
+        box.checked = stockpile.categories.includes(box.value);
+      }
+    }
+  }
+
+  function hide() {
+    panelEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Open or close the panel
+     * @returns {boolean} Whether the panel is now open
+     */
+    toggle() {
+      if (panelEl.style.display === 'none') {
+        listed = '';
+        update();
+        panelEl.style.display = 'block';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+
+    isVisible() {
+      return panelEl.style.display !== 'none';
+    },
+
+    update,
+
+    destroy() {
+      panelEl.remove();
+    },
+  };
+}
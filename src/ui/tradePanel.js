@@ -0,0 +1,238 @@
+/**
+ * Trade Panel
+ * Deals with merchants who have set up shop at the market. Pick a merchant,
+ * tick the caravan lots to buy and the fortress goods to offer, and the
+ * totals show what the merchant asks against what they'd pay. Haggle tries
+ * for a discount; Propose offers the deal. Both cost the merchant's patience
+ * when they go badly. Orders go to trade.js proposeTrade, which logs them
+ * for replay.
+ */
+
+import {
+  getTradingMerchants,
+  getTradeGoods,
+  getLotPrice,
+  getOfferPrice,
+  evaluateDeal,
+  describeItem,
+  proposeTrade,
+} from '../sim/trade.js';
+
+/**
+ * Create the trade panel
+ * @param {HTMLElement} parentElement - Parent to attach the panel to
+ * @param {object} options
+ * @param {function} options.getState - () => world state
+ * @param {function} [options.onChange] - (order) after a deal or haggle
+ * @returns {object} Panel with toggle(), hide(), isVisible(), update(), destroy()
+ */
+export function createTradePanel(parentElement, { getState, onChange = null }) {
+  let merchantId = null;
+  let listed = '';          // Merchants, lots and goods the rows were built for
+  const buy = new Set();    // Ticked lot ids
+  const sell = new Set();   // Ticked item ids
+
+  const panelEl = document.createElement('div');
+  panelEl.id = 'trade-panel';
+  panelEl.className = 'floating-widget';
+  panelEl.style.display = 'none';
+
+  const heading = document.createElement('div');
+  heading.className = 'trade-heading';
+  heading.textContent = 'Trade';
+  panelEl.appendChild(heading);
+
+  const merchantSelect = document.createElement('select');
+  merchantSelect.title = 'Merchant at the market';
+  merchantSelect.addEventListener('change', () => {
+    merchantId = Number(merchantSelect.value);
+    buy.clear();
+    listed = null;
+    update();
+  });
+  panelEl.appendChild(merchantSelect);
+
+  const columns = document.createElement('div');
+  columns.className = 'trade-columns';
+  const lotList = document.createElement('div');
+  lotList.className = 'trade-list';
+  const goodsList = document.createElement('div');
+  goodsList.className = 'trade-list';
+  columns.append(lotList, goodsList);
+  panelEl.appendChild(columns);
+
+  const totals = document.createElement('div');
+  totals.className = 'trade-totals';
+  panelEl.appendChild(totals);
+
+  const actions = document.createElement('div');
+  actions.className = 'trade-actions';
+  const haggleBtn = document.createElement('button');
+  haggleBtn.textContent = 'Haggle';
+  haggleBtn.title = 'Ask for a discount (the broker\'s social skill helps)';
+  const proposeBtn = document.createElement('button');
+  proposeBtn.textContent = 'Propose';
+  proposeBtn.title = 'Offer the ticked goods for the ticked lots';
+  actions.append(haggleBtn, proposeBtn);
+  panelEl.appendChild(actions);
+
+  const status = document.createElement('div');
+  status.className = 'trade-status';
+  panelEl.appendChild(status);
+  parentElement.appendChild(panelEl);
+
+  function currentMerchant(state) {
+    return getTradingMerchants(state).find(m => m.id === merchantId) || null;
+  }
+
+  function issue(order) {
+    const state = getState();
+    const before = state.log.length;
+    proposeTrade(state, order);
+    // Echo what the merchant said
+    if (state.log.length > before) status.textContent = state.log[state.log.length - 1].message;
+    if (onChange) onChange(order);
+  }
+
+  haggleBtn.addEventListener('click', () => {
+    issue({ action: 'haggle', merchantId });
+    update();
+  });
+
+  proposeBtn.addEventListener('click', () => {
+    issue({ action: 'deal', merchantId, buy: [...buy], sell: [...sell] });
+    buy.clear();
+    sell.clear();
+    listed = null;
+    update();
+  });
+
+  function checkRow(list, set, id, label, price) {
+    const row = document.createElement('label');
+    row.className = 'trade-row';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = set.has(id);
+    box.addEventListener('change', () => {
+      if (box.checked) set.add(id);
+      else set.delete(id);
+      update();
+    });
+    const name = document.createElement('span');
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.className = 'trade-price';
+    value.textContent = String(price);
+    row.append(box, name, value);
+    list.appendChild(row);
+  }
+
+  function title(list, text) {
+    const el = document.createElement('div');
+    el.className = 'trade-list-title';
+    el.textContent = text;
+    list.appendChild(el);
+  }
+
+  function rebuild(merchants, merchant, goods) {
+    merchantSelect.innerHTML = '';
+    for (const m of merchants) merchantSelect.add(new Option(`${m.name} (${m.race})`, String(m.id)));
+    merchantSelect.value = merchant ? String(merchant.id) : '';
+    merchantSelect.style.display = merchants.length > 0 ? '' : 'none';
+
+    lotList.innerHTML = '';
+    goodsList.innerHTML = '';
+    if (!merchant) {
+      columns.style.display = 'none';
+      actions.style.display = 'none';
+      totals.textContent = 'No merchant has set up shop at the market.';
+      return;
+    }
+    columns.style.display = '';
+    actions.style.display = '';
+
+    title(lotList, 'Caravan');
+    for (const lot of merchant.inventory) {
+      checkRow(lotList, buy, lot.id, `${lot.amount} ${lot.name}`, getLotPrice(merchant, lot));
+    }
+    title(goodsList, 'Fortress');
+    if (goods.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'trade-empty';
+      empty.textContent = 'No crafted goods on hand.';
+      goodsList.appendChild(empty);
+    }
+    for (const item of goods) {
+      checkRow(goodsList, sell, item.id, `${item.amount} ${describeItem(item)}`, getOfferPrice(merchant, item));
+    }
+  }
+
+  /**
+   * Rebuild when merchants, lots or goods change (or prices move with a
+   * haggle); otherwise just refresh the totals
+   */
+  function update() {
+    const state = getState();
+    const merchants = getTradingMerchants(state);
+    if (!merchants.some(m => m.id === merchantId)) {
+      merchantId = merchants[0]?.id ?? null;
+      buy.clear();
+    }
+    const merchant = currentMerchant(state);
+    const goods = getTradeGoods(state);
+
+    // Forget ticks on goods that left
+    for (const id of sell) if (!goods.some(item => item.id === id)) sell.delete(id);
+
+    const key = [
+      merchants.map(m => m.id).join(','),
+      merchant ? `${merchant.inventory.map(l => l.id).join(',')}@${merchant.discount}` : '',
+      goods.map(item => item.id).join(','),
+    ].join('|');
+    if (key !== listed) {
+      listed = key;
+      rebuild(merchants, merchant, goods);
+    }
+    if (!merchant) return;
+
+    const deal = evaluateDeal(merchant, { buy: [...buy], sell: [...sell] }, state);
+    totals.textContent = `Asking ${deal.cost} · offered ${deal.offered}` +
+      (merchant.discount > 0 ? ` · ${Math.round(merchant.discount * 100)}% off` : '') +
+      ` · patience ${merchant.patience}`;
+    proposeBtn.disabled = buy.size + sell.size === 0;
+  }
+
+  function hide() {
+    panelEl.style.display = 'none';
+  }
+
+  return {
+    /**
+     * Open or close the panel
+     * @returns {boolean} Whether the panel is now open
+     */
+    toggle() {
+      if (panelEl.style.display === 'none') {
+        listed = null;
+        status.textContent = '';
+        update();
+        panelEl.style.display = 'block';
+        return true;
+      }
+      hide();
+      return false;
+    },
+
+    hide,
+
+    isVisible() {
+      return panelEl.style.display !== 'none';
+    },
+
+    update,
+
+    destroy() {
+      panelEl.remove();
+    },
+  };
+}
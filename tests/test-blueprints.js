@@ -0,0 +1,197 @@
+// Player blueprint test — build menu placement as player projects
+// Run with: node tests/test-blueprints.js
+//
+// Proves:
+//  (a) getRotatedLayout turns a layout clockwise, swapping its size
+//  (b) canPlaceStructure honours the rotated footprint and rejects tiles
+//      under a planned project
+//  (c) a build order becomes a project with the player as initiator, which
+//      dwarves work before their own and which holds back new plans
+//  (d) a rotated project lays down its rotated tiles once built
+//  (e) orders go through the input log and replay to the same world
+//  (f) rotation and the player flag survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  BLUEPRINTS, STRUCTURE_TYPE, PLAYER_INITIATOR, getRotatedLayout, canPlaceStructure, startBuildProject,
+  placeBlueprint, applyBuildOrder, getBuildProjects, getProjectAt, findNearestBuildProject, considerBuilding,
+  workOnBuildProject, getStructures, initConstruction,
+} = await import('../src/sim/construction.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { getTile } = await import('../src/map/map.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+const BEDROOM = STRUCTURE_TYPE.BEDROOM;
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** First spot where the blueprint fits at the given rotation */
+function findSpot(state, type, rotation, skip = () => false) {
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (!skip(x, y) && canPlaceStructure(type, x, y, state, rotation)) return { x, y };
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// (a) rotation
+// ============================================================
+console.log('\n(a) rotated layouts');
+
+const bedroom = BLUEPRINTS[BEDROOM];
+const quarter = getRotatedLayout(bedroom, 1);
+assert(quarter.w === 4 && quarter.h === 5, `a quarter turn swaps 5x4 to ${quarter.w}x${quarter.h}`);
+assert(quarter.layout[4][1] === '+', 'the door on the east wall turns to the south wall');
+assert(getRotatedLayout(bedroom, 4).layout.join('|') === bedroom.layout.join('|'), 'four turns are the original layout');
+assert(getRotatedLayout(bedroom, -1).layout.join('|') === getRotatedLayout(bedroom, 3).layout.join('|'),
+  'negative turns count counterclockwise');
+
+// ============================================================
+// (b) placement checks
+// ============================================================
+console.log('\n(b) canPlaceStructure');
+
+const state = await quiet(() => createHeadlessWorld(WORLD));
+initConstruction();
+// A spot 4 wide fits a turned bedroom but only 4 of the unturned one's 5 columns
+const narrow = findSpot(state, BEDROOM, 1, (x, y) => x + 5 <= state.map.width);
+assert(narrow && !canPlaceStructure(BEDROOM, narrow.x, narrow.y, state, 0),
+  'a rotated footprint fits where the unrotated one runs off the map');
+
+const spot = findSpot(state, BEDROOM, 1);
+const planned = startBuildProject(BEDROOM, spot.x, spot.y, state, null, 1);
+assert(planned && getProjectAt(spot.x + 3, spot.y + 4) === planned && !getProjectAt(spot.x + 4, spot.y),
+  'the project covers its rotated footprint');
+assert(!canPlaceStructure(STRUCTURE_TYPE.SHELTER, spot.x, spot.y, state), 'a planned project blocks placement');
+
+// ============================================================
+// (c) player projects
+// ============================================================
+console.log('\n(c) player projects come first');
+
+initConstruction();
+const dwarf = state.dwarves[0];
+const ownSpot = findSpot(state, STRUCTURE_TYPE.SHELTER, 0);
+const own = startBuildProject(STRUCTURE_TYPE.SHELTER, ownSpot.x, ownSpot.y, state, dwarf);
+// Keep the player's project far away so the dwarves' own one is nearer
+let far = null;
+for (let y = state.map.height - 1; y >= 0 && !far; y--) {
+  for (let x = state.map.width - 1; x >= 0 && !far; x--) {
+    if (canPlaceStructure(BEDROOM, x, y, state, 2)) far = { x, y };
+  }
+}
+const placed = applyBuildOrder(state, { type: BEDROOM, x: far.x, y: far.y, rotation: 2 });
+assert(placed?.playerPlaced && placed.initiatorId === PLAYER_INITIATOR.id && placed.rotation === 2,
+  'a build order is a player project with its rotation');
+assert(!own.playerPlaced, 'a dwarf\'s own project is not');
+assert(findNearestBuildProject(dwarf) === placed, 'findNearestBuildProject offers the player project first');
+assert(considerBuilding(dwarf, state) === null && getBuildProjects().length === 2,
+  'dwarves plan nothing new while a player project is open');
+assert(applyBuildOrder(state, { type: BEDROOM, x: far.x, y: far.y }) === null, 'an order that does not fit is refused');
+
+// ============================================================
+// (d) building a rotated project
+// ============================================================
+console.log('\n(d) rotated tiles');
+
+const builder = { ...dwarf, skills: { ...dwarf.skills } };
+let built = false;
+for (let i = 0; i < 2000 && !built; i++) {
+  // Stand next to whatever is left to dig
+  const dig = [...placed.digProgress.values()].find(d => d.progress < d.required);
+  if (dig) { builder.x = dig.x; builder.y = dig.y; }
+  built = workOnBuildProject(placed, builder, state);
+}
+// A half turn moves the door from the east wall (4,2) to the west wall (0,1)
+const doorTile = getTile(state.map, far.x, far.y + 1);
+const structure = getStructures().find(s => s.id === placed.id);
+assert(built && structure?.width === 5 && structure.height === 4, 'the rotated bedroom is completed');
+assert(doorTile.type === 'door', 'the door is laid on the west wall');
+assert(structure?.builtBy !== PLAYER_INITIATOR.name, `credited to the dwarf who built it (${structure?.builtBy})`);
+
+// ============================================================
+// (e) input log
+// ============================================================
+console.log('\n(e) recorded and replayed');
+
+const ORDER_TICK = 5;
+const snapshotOf = (world) => JSON.stringify({
+  dwarves: world.dwarves.map(d => [d.id, d.x, d.y, d.hunger]),
+  projects: getBuildProjects().map(p => [p.type, p.x, p.y, p.rotation, p.phase, p.playerPlaced]),
+  structures: getStructures().map(s => [s.type, s.x, s.y]),
+});
+// createHeadlessWorld ends any recording, so the log starts once the world exists
+const playOrder = async (startLog, onTick) => {
+  const world = await quiet(() => createHeadlessWorld({ ...WORLD, seed: 11 }));
+  const at = findSpot(world, BEDROOM, 1);
+  startLog();
+  await quiet(() => runHeadless(world, { ticks: 200, onTick: (s) => onTick(s, at) }));
+  return world;
+};
+
+const live = await playOrder(() => startRecording(11), (s, at) => {
+  if (s.tick === ORDER_TICK) placeBlueprint(s, { type: BEDROOM, x: at.x, y: at.y, rotation: 1 });
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.BUILD);
+assert(logged.length === 1 && logged[0].tick === ORDER_TICK && logged[0].payload.rotation === 1,
+  'the order is logged against its tick');
+const liveSnapshot = snapshotOf(live);
+assert(getBuildProjects().some(p => p.playerPlaced) || getStructures().some(s => s.type === BEDROOM),
+  'the placed bedroom is under way');
+
+const replayed = await playOrder(() => startReplay(recording), (s, at) => {
+  if (s.tick === 50) placeBlueprint(s, { type: STRUCTURE_TYPE.SHELTER, x: at.x, y: at.y });
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the order and the work on it');
+stopInputLog();
+
+// ============================================================
+// (f) saves
+// ============================================================
+console.log('\n(f) save/load');
+
+const saveState = await quiet(() => createHeadlessWorld(WORLD));
+initConstruction();
+const saveSpot = findSpot(saveState, BEDROOM, 3);
+applyBuildOrder(saveState, { type: BEDROOM, x: saveSpot.x, y: saveSpot.y, rotation: 3 });
+const text = stringifySave(createSaveSnapshot(saveState));
+initConstruction();
+restoreSaveSnapshot(createWorldState(), parseSave(text));
+const restored = getBuildProjects()[0];
+assert(restored?.playerPlaced && restored.rotation === 3 && restored.width === 4 && restored.height === 5,
+  'player project restored with its rotation');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,224 @@
+// Player designation test — dig and room orders from the designation tool
+// Run with: node tests/test-designations.js
+//
+// Proves:
+//  (a) a dig order designates every diggable tile in the rectangle; a room
+//      order designates only the interior, under one roomId; a cancel order
+//      clears the rectangle
+//  (b) dwarves claim player orders through findNearestDigTask and dig them
+//      out; finishing a room is logged
+//  (c) a dwarf working a cancelled designation drops it
+//  (d) orders go through the input log: recorded against their tick,
+//      replayed to the same world, live ones dropped while replaying
+//  (e) player designations survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  canDig, issueDesignation, applyDesignationOrder, getDigDesignations, getDesignationAt, findNearestDigTask,
+} = await import('../src/sim/construction.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { getTile, getLevel } = await import('../src/map/map.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+// Small cave map: plenty of rock next to the colony
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+const tileType = (state, x, y) => getTile(state.map, x, y).type;
+
+/** Diggable tile closest to a dwarf */
+function rockNear(state, dwarf) {
+  let best = null;
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (!canDig(x, y, state)) continue;
+      const dist = Math.abs(x - dwarf.x) + Math.abs(y - dwarf.y);
+      if (!best || dist < best.dist) best = { x, y, dist };
+    }
+  }
+  return best;
+}
+
+/** Top-left of a size x size block of solid rock (for a room) */
+function solidBlock(state, size) {
+  for (let y = 0; y + size <= state.map.height; y++) {
+    for (let x = 0; x + size <= state.map.width; x++) {
+      let solid = true;
+      for (let dy = 0; dy < size && solid; dy++) {
+        for (let dx = 0; dx < size && solid; dx++) {
+          solid = canDig(x + dx, y + dy, state);
+        }
+      }
+      if (solid) return { x, y };
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// (a) orders
+// ============================================================
+console.log('\n(a) dig, room and cancel orders');
+
+const state = await quiet(() => createHeadlessWorld(WORLD));
+
+const area = { x1: 0, y1: 0, x2: 9, y2: 5 };
+let rock = 0;
+for (let y = area.y1; y <= area.y2; y++) {
+  for (let x = area.x1; x <= area.x2; x++) if (canDig(x, y, state)) rock++;
+}
+const dug = applyDesignationOrder(state, { action: 'dig', ...area });
+assert(dug === rock && rock > 0, `dig order covers every rock tile in the area (${dug})`);
+assert(getDigDesignations().every(d => d.source === 'player' && !d.roomId), 'dig orders are marked as the player\'s');
+
+const cleared = applyDesignationOrder(state, { action: 'cancel', x1: area.x2, y1: area.y2, x2: area.x1, y2: area.y1 });
+assert(cleared === dug && getDigDesignations().length === 0, 'cancel clears the rectangle (corners in any order)');
+
+const block = solidBlock(state, 4);
+const made = applyDesignationOrder(state, { action: 'room', x1: block.x, y1: block.y, x2: block.x + 3, y2: block.y + 3 });
+const room = getDigDesignations();
+assert(made === 4 && room.every(d => d.x > block.x && d.x < block.x + 3 && d.y > block.y && d.y < block.y + 3),
+  'room order digs the 2x2 interior and keeps the edge as walls');
+assert(new Set(room.map(d => d.roomId)).size === 1 && room[0].roomId, 'room digs share one roomId');
+assert(applyDesignationOrder(state, { action: 'room', x1: 0, y1: 0, x2: 1, y2: 5 }) === 0, 'a room without an interior designates nothing');
+applyDesignationOrder(state, { action: 'cancel', x1: 0, y1: 0, x2: state.map.width - 1, y2: state.map.height - 1 });
+
+// ============================================================
+// (b) dwarves dig player orders
+// ============================================================
+console.log('\n(b) dwarves claim and dig');
+
+const miner = state.dwarves[0];
+const target = rockNear(state, miner);
+issueDesignation(state, { action: 'dig', x1: target.x, y1: target.y, x2: target.x, y2: target.y });
+assert(findNearestDigTask(miner) === getDesignationAt(target.x, target.y), 'findNearestDigTask offers the player order');
+
+let dugAt = null;
+await quiet(() => runHeadless(state, {
+  ticks: 600,
+  onTick: (s) => { if (dugAt === null && !getDesignationAt(target.x, target.y)) dugAt = s.tick; },
+}));
+assert(dugAt !== null && tileType(state, target.x, target.y) === 'floor', `rock dug out by tick ${dugAt}`);
+
+const roomState = await quiet(() => createHeadlessWorld(WORLD));
+const near = rockNear(roomState, roomState.dwarves[0]);
+// A 4x4 room whose 2x2 interior touches the rock next to the colony
+issueDesignation(roomState, { action: 'room', x1: near.x - 1, y1: near.y - 1, x2: near.x + 2, y2: near.y + 2 });
+const roomTiles = getDigDesignations().length;
+let roomLogged = false;
+await quiet(() => runHeadless(roomState, {
+  ticks: 2400,
+  onTick: (s) => { roomLogged ||= s.log.some(entry => /hollowing out a new room/.test(entry.message)); },
+}));
+assert(roomTiles > 0 && getDigDesignations().filter(d => d.roomId).length === 0, `room interior dug out (${roomTiles} tiles)`);
+assert(roomLogged, 'finished room is logged');
+
+// ============================================================
+// (c) cancelling work in progress
+// ============================================================
+console.log('\n(c) cancelled mid-dig');
+
+const cancelState = await quiet(() => createHeadlessWorld(WORLD));
+const worker = cancelState.dwarves[0];
+const spot = rockNear(cancelState, worker);
+issueDesignation(cancelState, { action: 'dig', x1: spot.x, y1: spot.y, x2: spot.x, y2: spot.y });
+await quiet(() => runHeadless(cancelState, {
+  ticks: 300,
+  onTick: (s) => {
+    const designation = getDesignationAt(spot.x, spot.y);
+    if (designation?.progress > 0) issueDesignation(s, { action: 'cancel', x1: spot.x, y1: spot.y, x2: spot.x, y2: spot.y });
+  },
+}));
+assert(canDig(spot.x, spot.y, cancelState), 'cancelled tile is left standing');
+assert(cancelState.dwarves.every(d => d.currentTask?.type !== 'dig' || getDesignationAt(d.currentTask.target.x, d.currentTask.target.y)),
+  'no dwarf keeps working a cancelled designation');
+
+// ============================================================
+// (d) input log
+// ============================================================
+console.log('\n(d) recorded and replayed');
+
+const ORDER_TICKS = [5, 40];
+const playOrders = async () => {
+  const world = await quiet(() => createHeadlessWorld({ ...WORLD, seed: 11 }));
+  const rockA = rockNear(world, world.dwarves[0]);
+  const rockB = rockNear(world, world.dwarves[1]);
+  return { world, orders: [
+    { action: 'dig', x1: rockA.x, y1: rockA.y, x2: rockA.x, y2: rockA.y },
+    { action: 'dig', x1: rockB.x - 1, y1: rockB.y - 1, x2: rockB.x + 1, y2: rockB.y + 1 },
+  ] };
+};
+const snapshotOf = (world) => JSON.stringify({
+  dwarves: world.dwarves.map(d => [d.id, d.x, d.y, d.hunger]),
+  designations: getDigDesignations().map(d => [d.x, d.y, d.progress]),
+  floor: getLevel(world.map).filter(t => t.dug).length,
+});
+
+const live = await playOrders();
+startRecording(11);
+await quiet(() => runHeadless(live.world, {
+  ticks: 200,
+  onTick: (s) => {
+    const i = ORDER_TICKS.indexOf(s.tick);
+    if (i !== -1) issueDesignation(s, live.orders[i]);
+  },
+}));
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.DESIGNATION);
+assert(logged.length === 2 && logged.every((e, i) => e.tick === ORDER_TICKS[i]), 'orders logged against their ticks');
+const liveSnapshot = snapshotOf(live.world);
+
+const replay = await playOrders();
+startReplay(recording);
+await quiet(() => runHeadless(replay.world, {
+  ticks: 200,
+  onTick: (s) => { if (s.tick === 100) issueDesignation(s, { action: 'cancel', x1: 0, y1: 0, x2: 49, y2: 23 }); },
+}));
+assert(snapshotOf(replay.world) === liveSnapshot, 'replay reproduces the orders and their digging');
+stopInputLog();
+
+// ============================================================
+// (e) saves
+// ============================================================
+console.log('\n(e) save/load');
+
+const saveState = await quiet(() => createHeadlessWorld(WORLD));
+const saveBlock = solidBlock(saveState, 4);
+applyDesignationOrder(saveState, { action: 'room', x1: saveBlock.x, y1: saveBlock.y, x2: saveBlock.x + 3, y2: saveBlock.y + 3 });
+const text = stringifySave(createSaveSnapshot(saveState));
+applyDesignationOrder(saveState, { action: 'cancel', x1: 0, y1: 0, x2: 49, y2: 23 });
+restoreSaveSnapshot(createWorldState(), parseSave(text));
+const restored = getDigDesignations();
+assert(restored.length === 4 && restored.every(d => d.source === 'player' && d.roomId), 'room orders restored with their roomId');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,240 @@
+// Determinism + replay test — seeded RNG service and the LLM input log
+// Run with: node tests/test-determinism-replay.js
+//
+// Proves:
+//  (a) the same world seed generates and simulates the same world,
+//      tick-for-tick; a different seed does not
+//  (b) a recorded session (seed + input log of LLM output: biome, names,
+//      thoughts, speech, memories) replays to the identical world, with
+//      recorded inputs landing at their original ticks and live ones dropped
+//  (c) the RNG stream travels with a save: a restored world continues
+//      exactly as the original did
+//  (d) malformed or diverging replays are rejected
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+const { tick, initSystems } = await import('../src/sim/world.js');
+const { createDwarf, createFoodSource, resetIds } = await import('../src/sim/entities.js');
+const { spawnAnimalsForBiome } = await import('../src/sim/animals.js');
+const { generateBiomeMap, findWalkablePosition } = await import('../src/map/map.js');
+const { WeatherSimulator } = await import('../src/sim/weather.js');
+const { seedRandom, unseedRandom, random, exportRngState } = await import('../src/sim/rng.js');
+const {
+  startRecording, startReplay, stopInputLog, getRecording, submitInput, recordOutput,
+  isReplaying, INPUT_KIND,
+} = await import('../src/sim/inputLog.js');
+const { importThoughtState, getCurrentThought } = await import('../src/ai/thoughts.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WIDTH = 60;
+const HEIGHT = 30;
+const TICKS = 400;
+const CHECKPOINT = 50;
+
+/** Same pipeline as main.js regenerateWorld, minus the DOM */
+async function buildWorld(seed) {
+  resetIds();
+  seedRandom(seed);
+  importThoughtState({});
+
+  const state = createWorldState(WIDTH, HEIGHT);
+  state.map = generateBiomeMap(WIDTH, HEIGHT, { mapSeed: seed, numRivers: 2 });
+  state.map.biome = await recordOutput(INPUT_KIND.BIOME, async () => ({
+    name: `Vale of ${seed}`,
+    colorMod: { hue: 0, saturation: 0, brightness: 0 },
+    climate: { avgTemperature: 0.5, avgMoisture: 0.5, avgElevation: 0.5 },
+  }));
+  initSystems(state);
+  state.weather = new WeatherSimulator(WIDTH, HEIGHT, seed);
+
+  for (let i = 0; i < 5; i++) {
+    const pos = findWalkablePosition(state.map);
+    if (pos) state.dwarves.push(createDwarf(pos.x, pos.y));
+  }
+  for (let i = 0; i < 12; i++) {
+    const pos = findWalkablePosition(state.map);
+    if (pos) state.foodSources.push(createFoodSource(pos.x, pos.y, 8 + Math.floor(random() * 6)));
+  }
+  spawnAnimalsForBiome(state);
+
+  const names = await recordOutput(INPUT_KIND.NAMES, async () =>
+    state.dwarves.map(d => ({ id: d.id, name: `Urist ${d.id}`, wasLLM: true }))
+  );
+  for (const entry of names) {
+    const dwarf = state.dwarves.find(d => d.id === entry.id);
+    if (dwarf) dwarf.generatedName = entry.name;
+  }
+  return state;
+}
+
+// Wall-clock stamps (createdAt, completedAt, timestamp) are bookkeeping,
+// not simulation
+const WALL_CLOCK = /(At|timestamp)$/;
+
+/** FNV-1a over the full world + subsystem snapshot */
+function digest(state) {
+  const snapshot = createSaveSnapshot(state);
+  const text = JSON.stringify(
+    { world: snapshot.world, systems: snapshot.systems },
+    (key, value) => (WALL_CLOCK.test(key) ? undefined : value)
+  );
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/** Run to TICKS, collecting a digest every CHECKPOINT ticks */
+function run(state, { onTick } = {}) {
+  const digests = [];
+  while (state.tick < TICKS) {
+    onTick?.(state);
+    tick(state);
+    if (state.tick % CHECKPOINT === 0) digests.push(digest(state));
+  }
+  return digests;
+}
+
+const sameDigests = (a, b) => a.length === b.length && a.every((d, i) => d === b[i]);
+
+// ============================================================
+// (a) same seed, same world
+// ============================================================
+console.log('\n(a) seeded runs are reproducible');
+
+const runA = run(await buildWorld(1234));
+const runB = run(await buildWorld(1234));
+const runC = run(await buildWorld(5678));
+assert(runA.length === TICKS / CHECKPOINT, `${runA.length} checkpoints over ${TICKS} ticks`);
+assert(sameDigests(runA, runB), 'same seed → identical world at every checkpoint');
+assert(runA[0] !== runC[0] && runA.at(-1) !== runC.at(-1), 'different seed → different world');
+
+unseedRandom();
+const realRandom = Math.random;
+Math.random = () => 0.25;
+assert(random() === 0.25, 'unseeded stream defers to Math.random (test stubs still work)');
+Math.random = realRandom;
+
+// ============================================================
+// (b) record, then replay
+// ============================================================
+console.log('\n(b) recorded session replays tick-for-tick');
+
+// LLM output arriving between ticks, as the thought system delivers it
+function liveInputs(state) {
+  const [first, second] = state.dwarves;
+  if (!first || !second) return;
+  if (state.tick === 40) {
+    submitInput(state, INPUT_KIND.THOUGHT, {
+      dwarfId: first.id, thought: 'The river looks cold today.', type: 'observation', eventMemory: null,
+    });
+  }
+  if (state.tick === 90) {
+    submitInput(state, INPUT_KIND.SPEECH, {
+      speakerId: first.id, listenerId: second.id, text: 'Dig here?', action: 'spoke',
+    });
+    submitInput(state, INPUT_KIND.SPEECH, {
+      speakerId: second.id, listenerId: first.id, text: 'Dig there.', action: 'responded',
+    });
+  }
+  if (state.tick === 150) {
+    submitInput(state, INPUT_KIND.MEMORY, {
+      dwarfId: second.id, memoryType: 'conversation', text: `Talked with ${first.generatedName}`,
+    });
+  }
+}
+
+startRecording(4321, { mapMode: 'biome' });
+const recordedWorld = await buildWorld(4321);
+const recorded = run(recordedWorld, { onTick: liveInputs });
+const recording = JSON.parse(JSON.stringify(getRecording()));
+stopInputLog();
+
+const kinds = recording.inputs.map(i => i.kind);
+assert(recording.seed === 4321 && recording.meta.mapMode === 'biome', 'recording carries seed + session meta');
+assert(kinds.join(',') === 'biome,names,thought,speech,speech,memory', `input log in arrival order (${kinds.join(', ')})`);
+assert(recording.inputs.find(i => i.kind === INPUT_KIND.THOUGHT).tick === 40, 'inputs stamped with the tick they landed after');
+const talker = recordedWorld.dwarves.find(d => d.id === recording.inputs[2].payload.dwarfId);
+assert(talker?.memory?.recentThoughts?.some(m => m.content === 'The river looks cold today.' && m.tick === 40),
+  'thought input reached dwarf memory at its tick');
+assert(!sameDigests(recorded, run(await buildWorld(4321))), 'inputs changed the run (the log matters)');
+
+const { seed } = startReplay(recording);
+let dropped = 0;
+const replayWorld = await buildWorld(seed);
+const replayed = run(replayWorld, {
+  onTick: (state) => {
+    // Live LLM output during a replay is ignored; the log drives the world
+    if (state.tick === 40 && !submitInput(state, INPUT_KIND.THOUGHT, {
+      dwarfId: state.dwarves[0].id, thought: 'A different thought.', type: 'observation',
+    })) dropped++;
+  },
+});
+assert(isReplaying(), 'replay mode active');
+assert(dropped === 1, 'live input dropped while replaying');
+assert(sameDigests(recorded, replayed), 'replay matches the recording at every checkpoint');
+assert(getCurrentThought(replayWorld.dwarves[0].id) === 'The river looks cold today.', 'recorded thought re-applied');
+assert(replayWorld.dwarves[1].relationships[replayWorld.dwarves[0].id]?.conversationLog?.length === 2,
+  'recorded speech re-applied (conversation log)');
+stopInputLog();
+
+// ============================================================
+// (c) saves carry the stream
+// ============================================================
+console.log('\n(c) RNG state survives save/load');
+
+const original = await buildWorld(99);
+while (original.tick < 150) tick(original);
+const saved = stringifySave(createSaveSnapshot(original));
+const rngAtSave = exportRngState();
+while (original.tick < 300) tick(original);
+const expected = digest(original);
+
+seedRandom('something else entirely');
+const reloaded = createWorldState(WIDTH, HEIGHT);
+restoreSaveSnapshot(reloaded, parseSave(saved));
+assert(exportRngState().state === rngAtSave.state && exportRngState().seeded, 'RNG position restored from the save');
+while (reloaded.tick < 300) tick(reloaded);
+assert(digest(reloaded) === expected, 'restored world continues exactly as the original did');
+
+// ============================================================
+// (d) bad replays
+// ============================================================
+console.log('\n(d) bad replays rejected');
+
+let threw = false;
+try { startReplay({ hello: 'world' }); } catch { threw = true; }
+assert(threw, 'non-replay JSON is rejected');
+assert(!isReplaying(), 'rejected replay leaves the log untouched');
+
+startReplay({ ...recording, inputs: recording.inputs.slice(1) });
+threw = false;
+try { await buildWorld(seed); } catch { threw = true; }
+assert(threw, 'a replay whose outputs diverge from generation throws');
+stopInputLog();
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
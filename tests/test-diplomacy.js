@@ -0,0 +1,365 @@
+// Diplomacy test — diplomats' terms, negotiation and binding agreements
+// Run with: node tests/test-diplomacy.js
+//
+// Proves:
+//  (a) a diplomat who reaches the fortress puts terms and waits for an
+//      answer; one set of talks per race at a time
+//  (b) replies are settled by rule: acceptance, refusal, counter-offers that
+//      ease the terms or cost patience, and plain talk
+//  (c) accepted terms become an agreement, and the chat prompt voices the
+//      settled outcome
+//  (d) terms are enforced: tribute is collected, quotas and tree limits are
+//      counted, striking the race breaks a pact; an agreement that runs its
+//      course is honoured
+//  (e) breaking an agreement costs relations and turns later visitors and
+//      the spawner against the fortress
+//  (f) replies go through the input log and replay to the same world
+//  (g) agreements and open talks survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  TERM, AGREEMENT_STATUS, getAgreements, getActiveAgreement, classifyReply, resolveReply, replyToDiplomat,
+  tickDiplomacy, creditTradeQuota, recordTreeFelled, getAgreementModifiers,
+} = await import('../src/sim/diplomacy.js');
+const { HISTORICAL_EVENT, getDwarfRelation } = await import('../src/sim/history.js');
+const { calculateRaceWeights } = await import('../src/sim/visitorSpawner.js');
+const { createVisitor, VISITOR_STATE } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { attemptAttack } = await import('../src/sim/combat.js');
+const { processVisitors } = await import('../src/ai/visitorAI.js');
+const { findFortressCenter } = await import('../src/sim/edges.js');
+const { importCraftingState } = await import('../src/sim/crafting.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { TICKS_PER_DAY } = await import('../src/sim/clock.js');
+const { seedRandom } = await import('../src/sim/rng.js');
+const { buildEntitySystemPrompt } = await import('../src/llm/prompts/entityChat.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world with the elves at the given relation */
+async function elfWorld(relation = 0, seed = WORLD.seed) {
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, seed }));
+  state.history.raceRelations[getRelationKey('dwarf', RACE.ELF)] = relation;
+  return state;
+}
+
+/** An elven diplomat standing at the fortress, done sightseeing */
+function envoyAt(state, fields = {}) {
+  const envoy = Object.assign(createVisitor(0, 0, RACE.ELF, VISITOR_ROLE.DIPLOMAT, {}), findFortressCenter(state), fields);
+  envoy.itinerary = [];
+  state.visitors.push(envoy);
+  return envoy;
+}
+
+/** A diplomat with talks open on the given terms */
+async function talks(state, terms, fields = {}) {
+  const envoy = envoyAt(state, fields);
+  await quiet(() => processVisitors(state));
+  if (terms) envoy.negotiation.terms = terms;
+  return envoy;
+}
+
+const reply = (state, envoy, message) => resolveReply(state, { diplomatId: envoy.id, message });
+const liveEvents = (state, type) => state.history.events.filter(e => e.live && e.type === type);
+
+/** Crafted goods lying in the fortress */
+function stockGoods(state, goods) {
+  const items = goods.map(([type, amount]) => ({ id: nextId(), type, amount, material: 'stone', x: 1, y: 1 }));
+  importCraftingState({ craftedItems: items, craftingJobs: [] });
+  state.resources = [...items];
+  return items;
+}
+
+const toDay = (state, day) => { state.tick = (day - 1) * TICKS_PER_DAY; };
+
+// ============================================================
+// (a) proposals
+// ============================================================
+console.log('\n(a) proposals');
+
+const messages = [];
+const offMessages = on(EVENTS.DIPLOMACY_MESSAGE, (data) => messages.push(data));
+const state = await elfWorld(0);
+const envoy = await talks(state);
+offMessages();
+const terms = envoy.negotiation?.terms || [];
+assert(envoy.state === VISITOR_STATE.NEGOTIATING && envoy.negotiation.status === 'open',
+  'the diplomat stays to negotiate');
+assert(terms.length === 2 && new Set(terms.map(t => t.type)).size === 2
+  && terms.every(t => Object.values(TERM).includes(t.type)), `with two terms (${terms.map(t => t.type).join(', ')})`);
+assert(messages.length === 1 && messages[0].terms === terms, 'DIPLOMACY_MESSAGE carries the terms');
+assert(state.log.some(entry => entry.message.startsWith(`${envoy.name} asks that the dwarves `)), 'the terms are logged');
+assert(liveEvents(state, HISTORICAL_EVENT.ENVOY_RECEIVED).length === 1, 'the envoy is still received');
+
+const second = envoyAt(state);
+await quiet(() => processVisitors(state));
+assert(!second.negotiation && second.state === VISITOR_STATE.LEAVING, 'a second elf envoy delivers word and leaves');
+
+// ============================================================
+// (b) the resolver
+// ============================================================
+console.log('\n(b) the resolver');
+
+assert(classifyReply('We accept your terms.') === 'accept' && classifyReply('Yes') === 'accept',
+  'acceptance reads as accept');
+assert(classifyReply('We refuse.') === 'reject' && classifyReply('No deal!') === 'reject', 'refusal reads as reject');
+assert(classifyReply('No, those terms are too steep. Ask for less.') === 'counter', 'asking for less reads as a counter');
+assert(classifyReply('Tell me of your forests.') === 'talk', 'anything else is talk');
+
+const talk = reply(state, envoy, 'Tell me of your forests.');
+assert(talk.result === 'talk' && envoy.negotiation.status === 'open' && talk.reply.includes('Do you accept'),
+  'talk restates the terms and keeps the talks open');
+
+const easeState = await elfWorld(20);
+const flexible = await talks(easeState, [{ type: TERM.TRIBUTE, amount: 20 }, { type: TERM.TREE_LIMIT, amount: 4 }],
+  { disposition: 20 });
+const eased = reply(easeState, flexible, 'That is too much.');
+assert(eased.result === 'eased' && flexible.negotiation.terms[0].amount === 15 && flexible.negotiation.terms[1].amount === 6,
+  'a flexible diplomat eases the terms');
+const again = reply(easeState, flexible, 'Still too much.');
+assert(again.result === 'eased' && flexible.negotiation.counters === 2, 'and again while flexibility lasts');
+const firm = reply(easeState, flexible, 'Lower still.');
+assert(firm.result === 'firm' && flexible.negotiation.patience === 1 && flexible.negotiation.terms[0].amount === 10,
+  'then holds firm, losing patience');
+const withdrawn = reply(easeState, flexible, 'Lower!');
+assert(withdrawn.result === 'withdrawn' && flexible.negotiation.status === 'withdrawn'
+  && flexible.satisfaction >= flexible.satisfactionThreshold, 'and walks out when patience runs out');
+assert(liveEvents(easeState, HISTORICAL_EVENT.TALKS_FAILED).length === 1
+  && getDwarfRelation(easeState.history, RACE.ELF) === 20 + 8 - 5, 'failed talks cool relations');
+assert(reply(easeState, flexible, 'Yes!') === null, 'closed talks take no more replies');
+
+const stiffState = await elfWorld(-40);
+const stiff = await talks(stiffState, null, { disposition: -10 });
+assert(reply(stiffState, stiff, 'Ask for less.').result === 'firm', 'a cold diplomat gives nothing');
+const refused = reply(stiffState, stiff, 'We refuse.');
+assert(refused.result === 'rejected' && stiff.negotiation.status === 'rejected', 'a refusal ends the talks');
+await quiet(() => processVisitors(stiffState));
+assert(stiff.state === VISITOR_STATE.LEAVING, 'and the diplomat leaves');
+
+const lapseState = await elfWorld(0);
+const waiting = await talks(lapseState);
+lapseState.tick += 1201;
+await quiet(() => processVisitors(lapseState));
+assert(waiting.negotiation.status === 'lapsed' && waiting.state === VISITOR_STATE.LEAVING,
+  'talks nobody answers lapse after a day');
+
+// ============================================================
+// (c) agreements
+// ============================================================
+console.log('\n(c) agreements');
+
+const signed = [];
+const offSigned = on(EVENTS.AGREEMENT_SIGNED, (data) => signed.push(data));
+const accepted = reply(state, envoy, 'We accept your terms.');
+offSigned();
+const agreement = getActiveAgreement(RACE.ELF);
+assert(accepted.result === 'accepted' && envoy.negotiation.status === 'accepted', 'acceptance settles the talks');
+assert(agreement && agreement.race === RACE.ELF && agreement.status === AGREEMENT_STATUS.ACTIVE
+  && agreement.endsDay === agreement.signedDay + 4 && JSON.stringify(agreement.terms) === JSON.stringify(terms),
+  'and puts an agreement on the world');
+assert(signed.length === 1 && signed[0].agreement === agreement && signed[0].diplomat === envoy,
+  'AGREEMENT_SIGNED fires');
+assert(liveEvents(state, HISTORICAL_EVENT.AGREEMENT_SIGNED).length === 1
+  && getDwarfRelation(state.history, RACE.ELF) === 8 + 8 + 10, 'signing warms relations (after two envoys)');
+await quiet(() => processVisitors(state));
+assert(envoy.state === VISITOR_STATE.LEAVING, 'the diplomat goes home with the treaty');
+
+const prompt = buildEntitySystemPrompt(envoy, 'visitor', { history: state.history });
+assert(prompt.includes('## NEGOTIATION') && prompt.includes(accepted.reply) && prompt.includes('Do not change what was decided'),
+  'the chat prompt hands the model the settled outcome to voice');
+
+const third = envoyAt(state);
+await quiet(() => processVisitors(state));
+assert(!third.negotiation && third.state === VISITOR_STATE.LEAVING, 'no new terms while an agreement is in force');
+assert(getAgreementModifiers(RACE.ELF).disposition > 0, 'later elves arrive warmer');
+
+// ============================================================
+// (d) enforcement
+// ============================================================
+console.log('\n(d) enforcement');
+
+/** A world whose elves signed the given terms on day 1 */
+async function treatyWorld(treaty) {
+  const world = await elfWorld(0);
+  const diplomat = await talks(world, treaty);
+  reply(world, diplomat, 'Agreed.');
+  return { world, treaty: getActiveAgreement(RACE.ELF) };
+}
+
+const tribute = await treatyWorld([{ type: TERM.TRIBUTE, amount: 10 }]);
+const [cheap, dear, fine] = stockGoods(tribute.world, [['trinket', 1], ['figurine', 1], ['trinket', 1]]);
+toDay(tribute.world, 3);
+tickDiplomacy(tribute.world);
+assert(!tribute.world.resources.includes(cheap) && !tribute.world.resources.includes(fine)
+  && tribute.world.resources.includes(dear), 'tribute takes the cheapest goods that cover it');
+assert(tribute.treaty.status === AGREEMENT_STATUS.ACTIVE && tribute.treaty.tributeDay === 5, 'and falls due again later');
+toDay(tribute.world, 5);
+tribute.world.resources = [];
+tickDiplomacy(tribute.world);
+assert(tribute.treaty.status === AGREEMENT_STATUS.BROKEN && tribute.treaty.brokenTerm === TERM.TRIBUTE,
+  'a tribute the fortress cannot pay breaks the agreement');
+
+const quota = await treatyWorld([{ type: TERM.TRADE_QUOTA, amount: 30 }]);
+creditTradeQuota(quota.world, 20);
+toDay(quota.world, 5);
+tickDiplomacy(quota.world);
+assert(quota.treaty.traded === 20 && quota.treaty.status === AGREEMENT_STATUS.BROKEN, 'a missed trade quota breaks it');
+
+const kept = await treatyWorld([{ type: TERM.TRADE_QUOTA, amount: 30 }]);
+const keptBefore = getDwarfRelation(kept.world.history, RACE.ELF);
+creditTradeQuota(kept.world, 35);
+toDay(kept.world, 4);
+tickDiplomacy(kept.world);
+assert(kept.treaty.status === AGREEMENT_STATUS.ACTIVE, 'agreements run until their last day');
+toDay(kept.world, 5);
+tickDiplomacy(kept.world);
+assert(kept.treaty.status === AGREEMENT_STATUS.HONOURED
+  && getDwarfRelation(kept.world.history, RACE.ELF) === keptBefore + 15, 'a met quota is honoured, and remembered');
+
+const trees = await treatyWorld([{ type: TERM.TREE_LIMIT, amount: 2 }]);
+toDay(trees.world, 1);
+recordTreeFelled(trees.world);
+recordTreeFelled(trees.world);
+toDay(trees.world, 2);
+recordTreeFelled(trees.world);
+recordTreeFelled(trees.world);
+assert(trees.treaty.status === AGREEMENT_STATUS.ACTIVE, 'felling up to the limit each day is allowed');
+recordTreeFelled(trees.world);
+assert(trees.treaty.status === AGREEMENT_STATUS.BROKEN && trees.treaty.brokenTerm === TERM.TREE_LIMIT,
+  'one tree more breaks it');
+
+const pact = await treatyWorld([{ type: TERM.NON_AGGRESSION }]);
+const dwarf = pact.world.dwarves[0];
+const guest = Object.assign(createVisitor(dwarf.x + 1, dwarf.y, RACE.ELF, VISITOR_ROLE.MISSIONARY, {}), { hp: 50 });
+pact.world.visitors.push(guest);
+dwarf.attackCooldown = 0;
+attemptAttack(dwarf, guest, pact.world);
+assert(pact.treaty.status === AGREEMENT_STATUS.BROKEN && pact.treaty.brokenTerm === TERM.NON_AGGRESSION,
+  'a dwarf striking an elf breaks a pact of non-aggression');
+
+// ============================================================
+// (e) consequences
+// ============================================================
+console.log('\n(e) consequences');
+
+const broken = [];
+const offBroken = on(EVENTS.AGREEMENT_BROKEN, (data) => broken.push(data));
+const breach = await treatyWorld([{ type: TERM.TREE_LIMIT, amount: 1 }]);
+const weightsBefore = calculateRaceWeights(breach.world.history);
+const relationBefore = getDwarfRelation(breach.world.history, RACE.ELF);
+const bystander = envoyAt(breach.world, { disposition: 10 });
+recordTreeFelled(breach.world);
+recordTreeFelled(breach.world);
+offBroken();
+assert(broken.length === 1 && broken[0].agreement === breach.treaty && broken[0].term.type === TERM.TREE_LIMIT,
+  'AGREEMENT_BROKEN fires with the breached term');
+assert(getDwarfRelation(breach.world.history, RACE.ELF) === relationBefore - 25
+  && liveEvents(breach.world, HISTORICAL_EVENT.AGREEMENT_BROKEN).length === 1, 'relations fall');
+assert(breach.world.log.some(entry => entry.message.startsWith('The dwarves have broken their treaty with the elves')),
+  'the breach is logged');
+assert(bystander.disposition === -20, 'elves on the map turn cold');
+assert(getAgreementModifiers(RACE.ELF).disposition === -30, 'and so do the elves who come later');
+seedRandom(77);
+const plain = createVisitor(0, 0, RACE.ELF, VISITOR_ROLE.MISSIONARY, { history: breach.world.history });
+seedRandom(77);
+const wary = createVisitor(0, 0, RACE.ELF, VISITOR_ROLE.MISSIONARY, {
+  history: breach.world.history, modifiers: getAgreementModifiers(RACE.ELF),
+});
+assert(wary.disposition === plain.disposition - 30, 'createVisitor applies the modifier');
+const weightsAfter = calculateRaceWeights(breach.world.history);
+assert(weightsAfter[RACE.ELF] < weightsBefore[RACE.ELF] && weightsAfter[RACE.GOBLIN] > weightsBefore[RACE.GOBLIN],
+  `fewer elves come and more goblins (elf ${weightsBefore[RACE.ELF].toFixed(1)} → ${weightsAfter[RACE.ELF].toFixed(1)})`);
+
+// ============================================================
+// (f) input log
+// ============================================================
+console.log('\n(f) recorded and replayed');
+
+const REPLY_TICK = 20;
+const snapshotOf = (world) => JSON.stringify([
+  getAgreements(),
+  world.visitors.map(v => [v.id, v.state, v.negotiation?.status ?? null]),
+  world.history.events.filter(e => e.live).map(e => [e.type, e.relationChange]),
+]);
+const play = async (startLog, onTick) => {
+  const world = await elfWorld(0, 11);
+  const diplomat = envoyAt(world);
+  startLog();
+  await quiet(() => runHeadless(world, { ticks: 60, onTick: (s) => onTick(s, diplomat) }));
+  return world;
+};
+
+const live = await play(() => startRecording(11), (s, diplomat) => {
+  if (s.tick === REPLY_TICK) replyToDiplomat(s, diplomat.id, 'We accept.');
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.DIPLOMACY);
+assert(logged.length === 1 && logged[0].tick === REPLY_TICK, 'the reply is logged against its tick');
+assert(getActiveAgreement(RACE.ELF) !== null, 'and seals the agreement');
+const liveSnapshot = snapshotOf(live);
+
+const replayed = await play(() => startReplay(recording), (s, diplomat) => {
+  if (s.tick === 30) replyToDiplomat(s, diplomat.id, 'We refuse.');
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the talks; live replies are dropped');
+stopInputLog();
+
+// ============================================================
+// (g) saves
+// ============================================================
+console.log('\n(g) save/load');
+
+const saved = await elfWorld(0);
+const open = await talks(saved, [{ type: TERM.TRIBUTE, amount: 15 }]);
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(saved))));
+const restoredOpen = restoredState.visitors.find(v => v.id === open.id);
+assert(restoredOpen?.state === VISITOR_STATE.NEGOTIATING && restoredOpen.negotiation.terms[0].amount === 15,
+  'open talks are restored');
+assert(reply(restoredState, restoredOpen, 'Yes.').result === 'accepted'
+  && getActiveAgreement(RACE.ELF)?.terms[0].amount === 15, 'and can still be answered');
+
+const treatyState = await treatyWorld([{ type: TERM.TREE_LIMIT, amount: 3 }]);
+treatyState.treaty.felled = 2;
+const treatySave = stringifySave(createSaveSnapshot(treatyState.world));
+const treatyJson = JSON.stringify(getAgreements());
+await elfWorld(0);
+assert(getAgreements().length === 0, 'a new world starts without agreements');
+restoreSaveSnapshot(createWorldState(), parseSave(treatySave));
+assert(JSON.stringify(getAgreements()) === treatyJson, 'agreements are restored');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
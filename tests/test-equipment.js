@@ -0,0 +1,303 @@
+// Equipment test — weapons, armor and gear in combat
+// Run with: node tests/test-equipment.js
+//
+// Proves:
+//  (a) weapon and armor recipes forge gear from iron bars and hides,
+//      training metalworking and leatherworking
+//  (b) dwarves start with empty slots; visitors arrive armed for their
+//      role
+//  (c) a weapon outhits bare hands, armor soaks blows by damage type
+//      (mail turns an axe better than a hammer), and material and
+//      quality scale both
+//  (d) soldiers between fights take up the best gear lying about,
+//      trading up and leaving the old piece behind, without two of them
+//      chasing the same piece
+//  (e) the fallen drop what they wore
+//  (f) worn gear survives save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  EQUIP_SLOT, DAMAGE_TYPE, GEAR, getEquipped, getWeaponDamage, getDamageType, getArmorProtection,
+  getGearRating, findGearUpgrade, equipItem, outfitVisitor, getGearSummary,
+} = await import('../src/sim/equipment.js');
+const { RECIPES, QUALITY, workOnCrafting, getCraftedItems } = await import('../src/sim/crafting.js');
+const { SKILL } = await import('../src/sim/tasks.js');
+const { issueSquadOrder, getSquads } = await import('../src/sim/military.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { attemptAttack, cleanupDeadEntities } = await import('../src/sim/combat.js');
+const { createVisitor } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE } = await import('../src/sim/races.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { getCalendar } = await import('../src/sim/clock.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Walkable tiles nearest a point */
+function floorNear(state, from, count) {
+  const tiles = [];
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y, dist: Math.abs(x - from.x) + Math.abs(y - from.y) });
+    }
+  }
+  return tiles.sort((a, b) => a.dist - b.dist).slice(0, count);
+}
+
+/** A fresh world by day with no visitors and fed, rested dwarves */
+async function fortress() {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  state.visitors = [];
+  state.resources = [];
+  state.tick = 1200 * 3 + 300;
+  state.clock = getCalendar(state.tick);
+  for (const dwarf of state.dwarves) Object.assign(dwarf, { hunger: 10, energy: 100 });
+  return state;
+}
+
+/** A piece of gear, as a workshop would set it down */
+let nextItemId = 90000;
+function gear(type, at, material = 'iron', quality = QUALITY.NORMAL) {
+  return { id: nextItemId++, type, amount: 1, material, quality, x: at.x, y: at.y };
+}
+
+/** Total damage over many blows against a sturdy dummy */
+function totalDamage(state, attacker, defenderEquipment, blows = 300) {
+  const dummy = { type: 'dummy', x: attacker.x + 1, y: attacker.y, hp: 1e6, maxHp: 1e6, equipment: defenderEquipment };
+  let total = 0;
+  for (let i = 0; i < blows; i++) {
+    attacker.attackCooldown = 0;
+    total += attemptAttack(attacker, dummy, state).damage ?? 0;
+  }
+  return total;
+}
+
+// ============================================================
+console.log('\n(a) weapon and armor recipes');
+// ============================================================
+{
+  const arms = Object.values(RECIPES).filter(r => GEAR[r.output.type]);
+  assert(arms.some(r => GEAR[r.output.type].slot === EQUIP_SLOT.WEAPON) &&
+    arms.some(r => GEAR[r.output.type].slot !== EQUIP_SLOT.WEAPON), 'RECIPES make both weapons and armor');
+  assert(arms.filter(r => r.materials.some(m => m.type === 'iron_bar')).every(r => r.skill === SKILL.METALWORKING),
+    'iron gear is metalworking');
+  assert(arms.filter(r => r.materials.some(m => m.type === 'hide')).every(r => r.skill === SKILL.LEATHERWORKING),
+    'leather gear is leatherworking');
+
+  const state = await fortress();
+  const smith = state.dwarves[0];
+  state.resources = [
+    { id: 1, type: 'iron_bar', amount: 1, x: smith.x, y: smith.y },
+    { id: 2, type: 'wood', amount: 1, x: smith.x, y: smith.y },
+    { id: 3, type: 'charcoal', amount: 1, x: smith.x, y: smith.y },
+  ];
+  const job = {
+    id: 1,
+    recipeId: 'iron_spear',
+    recipe: RECIPES.iron_spear,
+    workshop: { x: smith.x, y: smith.y },
+    progress: 0,
+    status: 'pending',
+    materialsReserved: false,
+  };
+  let spear = null;
+  for (let i = 0; i < 40 && !spear; i++) spear = workOnCrafting(job, smith, state);
+  assert(spear?.type === 'spear' && spear.material === 'iron', 'an iron bar, a haft and charcoal make an iron spear');
+  assert(!state.resources.some(r => ['iron_bar', 'wood', 'charcoal'].includes(r.type)), 'the materials are used up');
+  assert(getGearRating(spear) > 0 && spear.quality, 'the spear is wieldable gear with a quality');
+  assert(smith.skills.some(s => s.name === 'metalworking' && s.experience > 0), 'forging trains metalworking');
+}
+
+// ============================================================
+console.log('\n(b) slots on dwarves and visitors');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  assert(Object.values(EQUIP_SLOT).every(slot => dwarf.equipment[slot] === null), 'a new dwarf has three empty slots');
+  assert(getGearSummary(dwarf) === null, 'and nothing to show for it');
+
+  const raider = createVisitor(1, 1, RACE.GOBLIN, VISITOR_ROLE.RAIDER);
+  assert(getEquipped(raider, EQUIP_SLOT.WEAPON)?.type === 'spear', 'a goblin raider carries a spear');
+  assert(getEquipped(raider, EQUIP_SLOT.BODY)?.type === 'leather_armor', 'and wears leather');
+  assert(getGearSummary(raider) === 'iron spear, leather armor', `gear reads "${getGearSummary(raider)}"`);
+  const guard = outfitVisitor(RACE.HUMAN, VISITOR_ROLE.CARAVAN_GUARD);
+  assert(guard.body?.type === 'mail_shirt' && guard.head?.type === 'iron_helm', 'a caravan guard wears mail and a helm');
+  const diplomat = createVisitor(1, 1, RACE.ELF, VISITOR_ROLE.DIPLOMAT);
+  assert(getGearSummary(diplomat) === null, 'an elf diplomat comes unarmed');
+}
+
+// ============================================================
+console.log('\n(c) weapons, damage types and armor');
+// ============================================================
+{
+  const state = await fortress();
+  const fighter = state.dwarves[0];
+  fighter.skills = [];
+  fighter.combatSkill = 0.5;
+  fighter.equipment = { weapon: null, body: null, head: null };
+
+  const bare = totalDamage(state, fighter, null);
+  fighter.equipment.weapon = gear('battle_axe', fighter);
+  const axe = totalDamage(state, fighter, null);
+  assert(axe > bare * 1.5, `an axe outhits bare hands (${axe} vs ${bare})`);
+  assert(getDamageType(fighter) === DAMAGE_TYPE.EDGE, 'an axe cuts');
+
+  const mail = { weapon: null, body: gear('mail_shirt', fighter), head: gear('iron_helm', fighter) };
+  const axeOnMail = totalDamage(state, fighter, mail);
+  assert(axeOnMail < axe * 0.75, `mail turns the axe (${axeOnMail} vs ${axe} unarmored)`);
+
+  fighter.equipment.weapon = gear('war_hammer', fighter);
+  const hammer = totalDamage(state, fighter, null);
+  const hammerOnMail = totalDamage(state, fighter, mail);
+  assert(hammerOnMail / hammer > axeOnMail / axe, 'a hammer gets through mail better than an axe');
+
+  // Coverage: only part of the body is armored
+  let bareHits = 0;
+  for (let i = 0; i < 200; i++) if (getArmorProtection({ equipment: mail }, DAMAGE_TYPE.EDGE) === 0) bareHits++;
+  assert(bareHits > 0 && bareHits < 200, `some blows find a gap in the armor (${bareHits}/200)`);
+  assert(getArmorProtection({ equipment: null }, DAMAGE_TYPE.EDGE) === 0, 'the unarmored absorb nothing');
+
+  // Material and quality
+  const master = gear('spear', fighter, 'iron', QUALITY.MASTERWORK);
+  const poor = gear('spear', fighter, 'iron', QUALITY.POOR);
+  const copper = gear('spear', fighter, 'copper');
+  assert(getWeaponDamage({ equipment: { weapon: master } }) > getWeaponDamage({ equipment: { weapon: poor } }),
+    'a masterwork spear hits harder than a poor one');
+  assert(getGearRating(copper) < getGearRating(gear('spear', fighter)), 'copper is softer than iron');
+  assert(getGearRating(gear('mail_shirt', fighter, 'iron', QUALITY.EXCEPTIONAL)) > getGearRating(gear('mail_shirt', fighter)),
+    'exceptional mail protects better');
+}
+
+// ============================================================
+console.log('\n(d) soldiers arm themselves');
+// ============================================================
+{
+  const state = await fortress();
+  issueSquadOrder(state, { action: 'create', name: 'Axes' });
+  const squad = getSquads().at(-1);
+  const [a, b] = state.dwarves;
+  const spot = floorNear(state, a, 1)[0];
+  b.x = spot.x; b.y = spot.y;
+  issueSquadOrder(state, { action: 'assign', squadId: squad.id, dwarfId: a.id });
+  issueSquadOrder(state, { action: 'assign', squadId: squad.id, dwarfId: b.id });
+
+  const [near] = floorNear(state, a, 3).slice(2);
+  const spear = gear('spear', near);
+  state.resources.push(spear);
+
+  assert(findGearUpgrade(a, state) === spear, 'the spear is an upgrade for a bare-handed soldier');
+  const first = decideDwarf(a, state);
+  assert(first.state === 'arming' && a.gearTarget === spear.id, 'the soldier sets off for it');
+  assert(findGearUpgrade(b, state) === null, 'a squadmate leaves a claimed piece alone');
+
+  for (let i = 0; i < 30 && getEquipped(a, EQUIP_SLOT.WEAPON) !== spear; i++) {
+    a.x = spear.x; a.y = spear.y;
+    decideDwarf(a, state);
+  }
+  assert(getEquipped(a, EQUIP_SLOT.WEAPON) === spear, 'and takes it up on arrival');
+  assert(!state.resources.includes(spear), 'the spear is off the ground');
+  assert(state.log.some(e => e.message.includes('takes up the iron spear')), 'the log says so');
+
+  // A better weapon replaces the spear, which is set down
+  const axe = gear('battle_axe', a, 'iron', QUALITY.FINE);
+  state.resources.push(axe);
+  decideDwarf(a, state);
+  assert(getEquipped(a, EQUIP_SLOT.WEAPON) === axe, 'a fine axe replaces the spear');
+  assert(state.resources.includes(spear) && spear.x === a.x && spear.y === a.y, 'the spear is left where they stood');
+  assert(findGearUpgrade(a, state) === null, 'the spear is no upgrade now');
+
+  // Civilians don't go looking
+  const civilian = state.dwarves[2];
+  state.resources.push(gear('leather_armor', civilian, 'leather'));
+  decideDwarf(civilian, state);
+  assert(getEquipped(civilian, EQUIP_SLOT.BODY) === null, 'a dwarf outside any squad wears nothing new');
+}
+
+// ============================================================
+console.log('\n(e) the fallen drop their gear');
+// ============================================================
+{
+  const state = await fortress();
+  const raider = createVisitor(5, 5, RACE.GOBLIN, VISITOR_ROLE.RAIDER);
+  state.visitors = [raider];
+  const kit = [getEquipped(raider, EQUIP_SLOT.WEAPON), getEquipped(raider, EQUIP_SLOT.BODY)];
+  raider.hp = 0;
+  raider.state = 'dead';
+  cleanupDeadEntities(state);
+  assert(state.visitors.length === 0, 'the raider is gone');
+  assert(kit.every(item => state.resources.includes(item) && item.x === 5 && item.y === 5),
+    'its spear and armor lie where it fell');
+
+  const dwarf = state.dwarves[0];
+  const helm = gear('iron_helm', dwarf);
+  equipItem(dwarf, helm, state);
+  dwarf.hp = 0;
+  cleanupDeadEntities(state);
+  assert(state.resources.includes(helm), 'a fallen dwarf drops their helm');
+}
+
+// ============================================================
+console.log('\n(f) save/load');
+// ============================================================
+{
+  const state = await fortress();
+  const smith = state.dwarves[0];
+  state.resources = [
+    { id: 1, type: 'iron_bar', amount: 2, x: smith.x, y: smith.y },
+    { id: 2, type: 'charcoal', amount: 1, x: smith.x, y: smith.y },
+  ];
+  const job = {
+    id: 1, recipeId: 'battle_axe', recipe: RECIPES.battle_axe, workshop: { x: smith.x, y: smith.y },
+    progress: 0, status: 'pending', materialsReserved: false,
+  };
+  let axe = null;
+  for (let i = 0; i < 60 && !axe; i++) axe = workOnCrafting(job, smith, state);
+  equipItem(smith, axe, state);
+  state.visitors = [createVisitor(3, 3, RACE.HUMAN, VISITOR_ROLE.CARAVAN_GUARD)];
+
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+
+  const smith2 = restored.dwarves.find(d => d.id === smith.id);
+  const axe2 = getEquipped(smith2, EQUIP_SLOT.WEAPON);
+  assert(axe2?.type === 'battle_axe', 'the crafted axe is still in hand');
+  assert(getCraftedItems().includes(axe2), 'and is the same object as the crafted item');
+  assert(Object.values(QUALITY).includes(axe2.quality), 'with its quality relinked');
+  const guard = restored.visitors[0];
+  assert(getEquipped(guard, EQUIP_SLOT.BODY)?.quality === QUALITY.NORMAL, 'a visitor kit keeps its quality tier');
+  assert(getGearSummary(guard) === getGearSummary(state.visitors[0]), 'and all its pieces');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,338 @@
+// Forestry test — felling areas, logs, stumps, regrowth and the elves
+// Run with: node tests/test-forestry.js
+//
+// Proves:
+//  (a) a felling area marks only the trees inside it; cancelling clears
+//      the orders
+//  (b) a dwarf with the woodcut labor walks to a marked tree and fells it:
+//      logs on the ground, a stump in its place, woodcutting trained;
+//      with the labor off, the tree is left alone
+//  (c) outside winter a stump sprouts a sapling and the sapling grows back
+//      into the tree that was cut; nothing grows under someone's feet, and
+//      a stump that was built over is forgotten
+//  (d) the elves keep count: a day of heavy felling is remembered against
+//      the dwarves and sours elves on the map
+//  (e) a diplomat leads with a tighter tree limit after felling, voices
+//      the grief, and a treaty's limit is broken by the axes
+//  (f) felling orders go through the input log and replay
+//  (g) orders, stumps and the elves' tally survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const { getTile, setTile, forEachTile } = await import('../src/map/map.js');
+const {
+  applyFellingOrder, issueFellingOrder, getFellDesignations, getFellingAt, fellTree, tickForestry, getStumps,
+  countTrees, isTree,
+} = await import('../src/sim/forestry.js');
+const {
+  TERM, AGREEMENT_STATUS, getActiveAgreement, resolveReply, getRecentFelling,
+} = await import('../src/sim/diplomacy.js');
+const { HISTORICAL_EVENT, getDwarfRelation } = await import('../src/sim/history.js');
+const { createVisitor } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { processVisitors } = await import('../src/ai/visitorAI.js');
+const { findFortressCenter } = await import('../src/sim/edges.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { TASK_TYPE, SKILL } = await import('../src/sim/tasks.js');
+const { applyLaborOrder } = await import('../src/sim/labor.js');
+const { TileType, createTile } = await import('../src/map/tiles.js');
+const { buildEntitySystemPrompt } = await import('../src/llm/prompts/entityChat.js');
+const { startRecording, startReplay, stopInputLog, getRecording, applyReplayInputs, INPUT_KIND } =
+  await import('../src/sim/inputLog.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { getCalendar, TICKS_PER_DAY } = await import('../src/sim/clock.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world on a spring morning, with no visitors and no trees but those planted */
+async function forest(relation = 0) {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  state.visitors = [];
+  state.resources = [];
+  state.tick = TICKS_PER_DAY * 3 + 300;
+  state.clock = getCalendar(state.tick);
+  state.history.raceRelations[getRelationKey('dwarf', RACE.ELF)] = relation;
+  forEachTile(state.map, (tile, x, y) => {
+    if (isTree(tile)) setTile(state.map, x, y, createTile(TileType.GRASS));
+  });
+  for (const dwarf of state.dwarves) {
+    Object.assign(dwarf, {
+      hunger: 10,
+      energy: 100,
+      mood: 60,
+      fulfillment: { social: 80, exploration: 80, creativity: 80, tranquility: 80 },
+    });
+  }
+  return state;
+}
+
+/** Plant a tree (or any tile) */
+function plant(state, x, y, type = TileType.TREE_CONIFER) {
+  setTile(state.map, x, y, createTile(type));
+}
+
+const tileAt = (state, x, y) => getTile(state.map, x, y);
+const liveEvents = (state, type) => state.history.events.filter(e => e.live && e.type === type);
+
+/** A row of trees along the top of the map */
+function grove(state, count, y = 1) {
+  for (let x = 1; x <= count; x++) plant(state, x, y);
+  return Array.from({ length: count }, (_, i) => ({ x: i + 1, y }));
+}
+
+/** Every tick a day starts, run forestry; returns the days run */
+function passDays(state, days, each = () => {}) {
+  for (let i = 0; i < days; i++) {
+    state.tick = (Math.floor(state.tick / TICKS_PER_DAY) + 1) * TICKS_PER_DAY;
+    tickForestry(state);
+    each(state);
+  }
+}
+
+/** An elf of the given role standing at the fortress */
+function elfAt(state, role, fields = {}) {
+  const elf = Object.assign(createVisitor(0, 0, RACE.ELF, role, {}), findFortressCenter(state), fields);
+  elf.itinerary = [];
+  state.visitors.push(elf);
+  return elf;
+}
+
+// ============================================================
+console.log('\n(a) felling areas');
+// ============================================================
+{
+  const state = await forest();
+  grove(state, 3);
+  plant(state, 8, 1, TileType.DENSE_FOREST);
+  plant(state, 4, 1, TileType.GRASS);
+
+  const marked = applyFellingOrder(state, { action: 'fell', x1: 1, y1: 0, x2: 9, y2: 2 });
+  assert(marked === 4, `every tree in the area is marked (${marked})`);
+  assert(!getFellingAt(4, 1) && getFellingAt(8, 1)?.source === 'player', 'and nothing else');
+  assert(applyFellingOrder(state, { action: 'fell', x1: 1, y1: 1, x2: 3, y2: 1 }) === 0, 'a tree is marked only once');
+
+  const cleared = applyFellingOrder(state, { action: 'cancel', x1: 0, y1: 0, x2: 2, y2: 2 });
+  assert(cleared === 2 && getFellDesignations().length === 2, 'cancelling clears the orders in the area');
+  assert(countTrees(state) === 4, 'marking and cancelling fell nothing');
+}
+
+// ============================================================
+console.log('\n(b) woodcutting');
+// ============================================================
+{
+  const state = await forest();
+  const [cutter, idler] = state.dwarves;
+  // A clearing a few steps off, with the tree in the middle
+  const tree = { x: cutter.x + 3, y: cutter.y };
+  for (let y = tree.y - 1; y <= tree.y + 1; y++) {
+    for (let x = cutter.x; x <= tree.x + 1; x++) plant(state, x, y, TileType.GRASS);
+  }
+  plant(state, tree.x, tree.y, TileType.TREE_CONIFER);
+  for (const dwarf of state.dwarves) {
+    if (dwarf !== cutter) applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'woodcut', enabled: false });
+  }
+  applyFellingOrder(state, { action: 'fell', x1: tree.x, y1: tree.y, x2: tree.x, y2: tree.y });
+
+  decideDwarf(idler, state);
+  assert(idler.currentTask?.type !== TASK_TYPE.FELL, 'the woodcut labor can be turned off');
+
+  const decision = decideDwarf(cutter, state);
+  assert(cutter.currentTask?.type === TASK_TYPE.FELL && decision.state === 'felling',
+    `a dwarf sets out to fell the tree (${cutter.currentTask?.type})`);
+
+  const felled = [];
+  const off = on(EVENTS.TREE_FELLED, (e) => felled.push(e));
+  for (let i = 0; i < 600 && getFellingAt(tree.x, tree.y); i++) {
+    state.tick++;
+    const d = decideDwarf(cutter, state);
+    cutter.state = d.state;
+    cutter.target = d.target;
+  }
+  off();
+
+  assert(tileAt(state, tree.x, tree.y).type === TileType.STUMP, 'the tree comes down, leaving a stump');
+  const logs = state.resources.find(r => r.type === 'wood' && r.x === tree.x && r.y === tree.y);
+  assert(logs && logs.amount >= 2 && logs.amount <= 3, `logs lie where it fell (${logs?.amount})`);
+  assert(felled.length === 1 && felled[0].dwarf === cutter && felled[0].logs === logs, 'TREE_FELLED names the woodcutter');
+  assert(cutter.skills.some(s => s.name === SKILL.WOODCUTTING && s.experience > 0), 'woodcutting is trained');
+  assert(state.log.some(l => l.message.includes('fells a tree')), 'the log tells of it');
+  assert(getStumps().some(s => s.x === tree.x && s.y === tree.y && s.tree === TileType.TREE_CONIFER),
+    'the stump remembers the tree');
+  assert(fellTree(tree.x, tree.y, state) === null, 'a stump cannot be felled');
+}
+
+// ============================================================
+console.log('\n(c) regrowth');
+// ============================================================
+{
+  const state = await forest();
+  plant(state, 2, 1, TileType.TREE_DECIDUOUS);
+  plant(state, 4, 1);
+  plant(state, 6, 1);
+  fellTree(2, 1, state);
+  fellTree(4, 1, state);
+  fellTree(6, 1, state);
+
+  const sitter = state.dwarves[0];
+  const park = () => { sitter.x = 4; sitter.y = 1; };
+  park();
+  plant(state, 6, 1, TileType.FLOOR);
+
+  let winterChange = false;
+  let sproutedAt = null;
+  passDays(state, 30 * 12, (s) => {
+    park();
+    const stump = getStumps().find(st => st.x === 2);
+    if (getCalendar(s.tick).season === 'winter' && stump && stump.sproutedDay === getCalendar(s.tick).day) {
+      winterChange = true;
+    }
+    if (!sproutedAt && tileAt(s, 2, 1).type === TileType.SAPLING) sproutedAt = getCalendar(s.tick).day;
+  });
+
+  assert(sproutedAt !== null && sproutedAt - 3 >= 30, `the stump sprouts a sapling a season on (day ${sproutedAt})`);
+  assert(tileAt(state, 2, 1).type === TileType.TREE_DECIDUOUS, 'which grows back into the tree that was cut');
+  assert(!winterChange, 'nothing grows in winter');
+  assert(tileAt(state, 4, 1).type === TileType.STUMP, 'nothing takes root under a dwarf');
+  assert(!getStumps().some(s => s.x === 6) && tileAt(state, 6, 1).type === TileType.FLOOR,
+    'a stump that was built over is forgotten');
+  assert(state.log.some(l => l.message === 'A felled tree has grown back.'), 'the log tells of the regrowth');
+}
+
+// ============================================================
+console.log('\n(d) the elves keep count');
+// ============================================================
+{
+  const state = await forest(0);
+  const missionary = elfAt(state, VISITOR_ROLE.MISSIONARY);
+  const disposition = missionary.disposition;
+  const relation = getDwarfRelation(state.history, RACE.ELF);
+
+  const trees = grove(state, 8);
+  for (const { x, y } of trees.slice(0, 5)) fellTree(x, y, state);
+  assert(liveEvents(state, HISTORICAL_EVENT.FOREST_FELLED).length === 0, 'a few trees pass unremarked');
+  fellTree(trees[5].x, trees[5].y, state);
+  assert(liveEvents(state, HISTORICAL_EVENT.FOREST_FELLED).length === 1, 'a day of heavy felling goes into the history');
+  assert(getDwarfRelation(state.history, RACE.ELF) === relation - 5, 'and costs relations with the elves');
+  assert(missionary.disposition === disposition - 10, 'elves on the map take it ill');
+  assert(state.log.some(l => l.message.startsWith('Word of the felling reaches')), 'the log tells of it');
+
+  fellTree(trees[6].x, trees[6].y, state);
+  fellTree(trees[7].x, trees[7].y, state);
+  assert(liveEvents(state, HISTORICAL_EVENT.FOREST_FELLED).length === 1, 'the same day is not counted twice');
+  assert(getRecentFelling(state) === 8, `the elves remember every tree (${getRecentFelling(state)})`);
+
+  state.tick += TICKS_PER_DAY;
+  const more = grove(state, 6, 3);
+  for (const { x, y } of more) fellTree(x, y, state);
+  const events = liveEvents(state, HISTORICAL_EVENT.FOREST_FELLED);
+  assert(events.length === 1 && events[0].count === 2, 'another such day in the season folds into the same entry');
+
+  state.tick += TICKS_PER_DAY * 10;
+  assert(getRecentFelling(state) === 0, 'in time the count is forgotten');
+}
+
+// ============================================================
+console.log('\n(e) negotiations');
+// ============================================================
+{
+  const state = await forest(0);
+  for (const { x, y } of grove(state, 10)) fellTree(x, y, state);
+  const angry = elfAt(state, VISITOR_ROLE.DIPLOMAT);
+  await quiet(() => processVisitors(state));
+  const [first] = angry.negotiation.terms;
+  assert(first.type === TERM.TREE_LIMIT, 'after felling, a diplomat leads with a tree limit');
+  assert(first.amount === 2, `and a tighter one: the usual 4, less one per 5 trees (${first.amount})`);
+  assert(angry.negotiation.treesFelled === 10, 'the diplomat knows how many trees came down');
+  const prompt = buildEntitySystemPrompt(angry, 'visitor', { history: state.history });
+  assert(prompt.includes('grieved by the 10 trees'), 'and voices the grief');
+
+  resolveReply(state, { diplomatId: angry.id, message: 'Agreed.' });
+  const treaty = getActiveAgreement(RACE.ELF);
+  const limit = treaty.terms.find(t => t.type === TERM.TREE_LIMIT).amount;
+  state.tick += TICKS_PER_DAY;
+  const row = grove(state, limit + 1, 3);
+  for (const { x, y } of row.slice(0, limit)) fellTree(x, y, state);
+  assert(treaty.status === AGREEMENT_STATUS.ACTIVE, 'felling up to the agreed limit is allowed');
+  fellTree(row[limit].x, row[limit].y, state);
+  assert(treaty.status === AGREEMENT_STATUS.BROKEN && treaty.brokenTerm === TERM.TREE_LIMIT,
+    'one tree more breaks the treaty');
+}
+
+// ============================================================
+console.log('\n(f) input log');
+// ============================================================
+{
+  const live = await forest();
+  grove(live, 5);
+  startRecording(WORLD.seed);
+  issueFellingOrder(live, { action: 'fell', x1: 0, y1: 0, x2: 3, y2: 2 });
+  const recording = getRecording();
+  stopInputLog();
+  assert(recording.inputs.some(i => i.kind === INPUT_KIND.FELLING && i.payload.action === 'fell'),
+    'the order goes through the input log');
+  const marked = getFellDesignations().map(f => `${f.x},${f.y}`).join(' ');
+  assert(marked === '1,1 2,1 3,1', `and is applied live (${marked})`);
+
+  const replay = await forest();
+  grove(replay, 5);
+  startReplay(recording);
+  assert(!issueFellingOrder(replay, { action: 'fell', x1: 0, y1: 0, x2: 9, y2: 9 }), 'replaying, live orders are dropped');
+  await quiet(() => applyReplayInputs(replay));
+  stopInputLog();
+  assert(getFellDesignations().map(f => `${f.x},${f.y}`).join(' ') === marked, 'the logged order replays');
+}
+
+// ============================================================
+console.log('\n(g) save/load');
+// ============================================================
+{
+  const state = await forest();
+  for (const { x, y } of grove(state, 7)) fellTree(x, y, state);
+  const trees = grove(state, 3, 5);
+  applyFellingOrder(state, { action: 'fell', x1: 0, y1: 5, x2: 9, y2: 5 });
+  getFellingAt(trees[0].x, trees[0].y).progress = 12;
+  const stumps = getStumps().length;
+  const felled = getRecentFelling(state);
+  assert(stumps > 0 && getFellDesignations().length === 3, `there is something to save (${stumps} stumps)`);
+
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  assert(getFellDesignations().length === 3 && getFellingAt(trees[0].x, trees[0].y)?.progress === 12,
+    'felling orders are restored, with their progress');
+  assert(getStumps().length === stumps, 'stumps are restored');
+  assert(getRecentFelling(restored) === felled, 'the elves still remember the felling');
+  assert(tileAt(restored, trees[0].x, trees[0].y).type === TileType.TREE_CONIFER, 'the trees still stand');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
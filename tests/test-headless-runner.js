@@ -0,0 +1,133 @@
+// Headless runner test — whole-world scenarios under plain Node
+// Run with: node tests/test-headless-runner.js
+//
+// Proves:
+//  (a) runSimulation builds a full world (map, biome, history, weather,
+//      colony, wildlife) with local fallbacks and runs it for days
+//  (b) the JSON summary reports population, deaths, structures, food and
+//      narrated events
+//  (c) a seed fully determines the run; every map mode builds
+//  (d) loop upkeep runs headless too (a dead colony is repopulated)
+//  (e) the CLI prints the summary as JSON on stdout
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+let llmCalls = 0;
+globalThis.fetch = async () => {
+  llmCalls++;
+  return {
+    ok: true,
+    json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+    text: async () => '',
+  };
+};
+
+const { execFileSync } = await import('node:child_process');
+const { runSimulation, createHeadlessWorld, runHeadless, parseArgs } = await import('../src/headless.js');
+const { MAP_MODES } = await import('../src/sim/worldGen.js');
+const { TICKS_PER_DAY } = await import('../src/sim/clock.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+// Small map: the weather field dominates tick cost
+const SMALL = { width: 60, height: 30, dwarves: 5, food: 15 };
+const DAYS = 3;
+
+// Generation is chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+// ============================================================
+// (a) a multi-day run
+// ============================================================
+console.log('\n(a) multi-day scenario');
+
+const { state, summary } = await quiet(() =>
+  runSimulation({ ...SMALL, mode: 'biome', seed: 2024, ticks: DAYS * TICKS_PER_DAY })
+);
+assert(state.tick === DAYS * TICKS_PER_DAY && summary.ticks === DAYS * TICKS_PER_DAY, `${summary.ticks} ticks run`);
+assert(summary.clock.day === DAYS + 1, `calendar reached day ${summary.clock.day}`);
+assert(typeof summary.biome === 'string' && summary.biome.length > 0, `local biome named (${summary.biome})`);
+assert(state.history?.events?.length > 0 && state.landmarks !== undefined, 'world history and landmarks generated');
+assert(state.dwarves.every(d => d.generatedName), 'dwarves carry local names');
+assert(llmCalls === 0, 'no LLM requests made');
+
+// ============================================================
+// (b) summary
+// ============================================================
+console.log('\n(b) JSON summary');
+
+assert(JSON.parse(JSON.stringify(summary)).seed === 2024, 'summary is plain JSON');
+assert(summary.population.initial === SMALL.dwarves && summary.population.final === state.dwarves.length,
+  `population ${summary.population.initial} → ${summary.population.final} (peak ${summary.population.peak})`);
+assert(summary.deaths.total === summary.deaths.list.length, `deaths listed (${summary.deaths.total})`);
+assert(summary.structures.completedTotal >= 0 && summary.structures.inProgress >= 0,
+  `structures reported (${summary.structures.completedTotal} complete, ${summary.structures.inProgress} in progress)`);
+assert(summary.food.sources === state.foodSources.length && summary.food.servings > 0, `food reported (${summary.food.servings} servings)`);
+assert(summary.events.log.every(e => typeof e.narrated === 'string' && e.narrated.length > 0), 'events narrated by the local fallback');
+assert(Object.keys(summary.events.counts).length > 0, `event counts (${Object.keys(summary.events.counts).join(', ')})`);
+
+// ============================================================
+// (c) determinism + map modes
+// ============================================================
+console.log('\n(c) seeds and map modes');
+
+const short = (options) => quiet(() => runSimulation({ ...SMALL, ticks: 300, ...options })).then(r => r.summary);
+const first = await short({ seed: 77 });
+const second = await short({ seed: 77 });
+assert(JSON.stringify(first) === JSON.stringify(second), 'same seed → identical summary');
+for (const mode of MAP_MODES) {
+  const result = await short({ seed: 5, mode });
+  assert(result.mode === mode && result.population.initial === SMALL.dwarves, `${mode} map builds and runs`);
+}
+
+let threw = false;
+try { await createHeadlessWorld({ mode: 'ocean' }); } catch { threw = true; }
+assert(threw, 'unknown map mode rejected');
+
+// ============================================================
+// (d) upkeep
+// ============================================================
+console.log('\n(d) loop upkeep');
+
+const doomed = await quiet(() => createHeadlessWorld({ ...SMALL, seed: 9 }));
+const upkeep = runHeadless(doomed, {
+  ticks: 50,
+  onTick: (s) => { if (s.tick === 20) s.dwarves = []; },
+});
+assert(upkeep.population.repopulations === 1 && doomed.dwarves.length === 3, 'dead colony repopulated with 3 settlers');
+assert(upkeep.events.counts.repopulated === 1, 'repopulation recorded as an event');
+
+// ============================================================
+// (e) CLI
+// ============================================================
+console.log('\n(e) CLI');
+
+const options = parseArgs(['--mode', 'cave', '--seed', '12', '--days=2', '--out', 'x.json']);
+assert(options.mode === 'cave' && options.seed === 12 && options.ticks === 2 * TICKS_PER_DAY && options.out === 'x.json',
+  'arguments parsed (--key value and --key=value)');
+
+const stdout = execFileSync(process.execPath, [
+  'src/headless.js', '--seed', '3', '--ticks', '20', '--width', '40', '--height', '20', '--dwarves', '3',
+], { cwd: new URL('..', import.meta.url), encoding: 'utf8', timeout: 60000 });
+let cliSummary = null;
+try { cliSummary = JSON.parse(stdout); } catch { /* reported below */ }
+assert(cliSummary?.seed === 3 && cliSummary.ticks === 20 && cliSummary.population.initial === 3, 'CLI prints the summary as JSON');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
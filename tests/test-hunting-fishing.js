@@ -25,6 +25,7 @@ globalThis.fetch = async () => ({
 const { decide, AI_STATE } = await import('../src/ai/dwarfAI.js');
 const { TASK_TYPE } = await import('../src/sim/tasks.js');
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 const { initScentMap } = await import('../src/sim/movement.js');
 const { createAnimal } = await import('../src/sim/animals.js');
 const { createFoodSource } = await import('../src/sim/entities.js');
@@ -57,7 +58,7 @@ function withRandom(value, fn) {
 /** Walkable grass world */
 function makeState(width = 60, height = 40) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
   state.foodSources = [];
   state.visitors = [];
   state.animals = [];
@@ -66,7 +67,7 @@ function makeState(width = 60, height = 40) {
 }
 
 function setTileType(state, x, y, type) {
-  state.map.tiles[y * state.map.width + x] = { type };
+  setTile(state.map, x, y, { type });
 }
 
 /** Minimal but decide()-complete dwarf */
@@ -7,7 +7,8 @@
 //  (b) the TOURING flow: walk to stop, narrate once, linger, advance,
 //      then fall through to role logic; unreachable stops time out
 //  (c) A* path-following: a visitor routes AROUND a wall the greedy
-//      stepper gets stuck on, and merchants head for the market spot
+//      stepper gets stuck on, and merchants head for the market spot; a
+//      goal with no way through is not searched again every tick
 //  (d) sightseeing feeds the day-end narrator queue
 
 // --- Fake LLM endpoint (eventNarrator imports pull in llmClient) ---
@@ -20,6 +21,7 @@ globalThis.fetch = async () => ({
 });
 
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 const { createVisitor, VISITOR_STATE } = await import('../src/sim/visitors.js');
 const { VISITOR_ROLE, RACE } = await import('../src/sim/races.js');
 const { buildItinerary, ensureItinerary, currentStop, advanceStop, findMarketSpot } = await import('../src/ai/itineraries.js');
@@ -42,7 +44,7 @@ function assert(cond, label) {
 /** Walkable grass world */
 function makeState(width = 40, height = 30) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
   state.tick = 1;
   return state;
 }
@@ -145,7 +147,7 @@ mazeState.dwarves = [];
 // Vertical stone wall at x=20 with a single gap at y=1; greedy stepping from
 // (10,10) toward (30,10) jams against the wall, A* routes through the gap
 for (let y = 0; y < 21; y++) {
-  if (y !== 1) mazeState.map.tiles[y * 40 + 20] = { type: 'stone_wall' };
+  if (y !== 1) setTile(mazeState.map, 20, y, { type: 'stone_wall' });
 }
 
 const traveler = createVisitor(10, 10, RACE.HUMAN, VISITOR_ROLE.DIPLOMAT, {});
@@ -163,6 +165,25 @@ for (let i = 0; i < 120 && !crossed; i++) {
 }
 assert(crossed, `visitor crossed the wall via the gap (ended at ${traveler.x},${traveler.y})`);
 
+// Seal the gap: the search fails, and waits before trying that goal again
+setTile(mazeState.map, 20, 1, { type: 'stone_wall' });
+const sealed = createVisitor(10, 10, RACE.HUMAN, VISITOR_ROLE.DIPLOMAT, {});
+sealed.itinerary = [];
+sealed.itineraryIndex = 0;
+mazeState.visitors = [sealed];
+mazeState.tick++;
+processVisitors(mazeState);
+const failedAt = sealed._pathFailedTick;
+assert(failedAt === mazeState.tick && sealed._path === null, 'a goal with no way through fails its search');
+const searches = new Set([failedAt]);
+for (let i = 0; i < 45; i++) {
+  mazeState.tick++;
+  processVisitors(mazeState);
+  searches.add(sealed._pathFailedTick);
+}
+assert(searches.size === 2 && [...searches][1] - failedAt >= 30,
+  `and is searched again only after a wait (at ticks ${[...searches].join(', ')})`);
+
 // ============================================================
 console.log(`\n${passed} passed, ${failed} failed`);
 clearPending();
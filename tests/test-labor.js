@@ -0,0 +1,202 @@
+// Labor assignment test — per-dwarf labor settings from the labor panel
+// Run with: node tests/test-labor.js
+//
+// Proves:
+//  (a) labors default to enabled at DEFAULT priority; orders change them
+//      (farm and brew too, ahead of their tasks), clamp the priority and
+//      ignore unknown dwarves and labors
+//  (b) applyLaborPreferences drops disabled labors, shifts the rest by
+//      priority and leaves needs (eating, socializing) alone
+//  (c) dwarves with digging disabled leave a player dig order alone until
+//      it is enabled again; disabling mid-task drops the task
+//  (d) orders go through the input log and replay to the same world
+//  (e) labor settings survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  LABORS, LABOR_PRIORITY, getLabor, isLaborEnabled, applyLaborPreferences, setLabor, applyLaborOrder,
+} = await import('../src/sim/labor.js');
+const { TASK_TYPE } = await import('../src/sim/tasks.js');
+const { canDig, issueDesignation, getDesignationAt } = await import('../src/sim/construction.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Diggable tile closest to a dwarf */
+function rockNear(state, dwarf) {
+  let best = null;
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (!canDig(x, y, state)) continue;
+      const dist = Math.abs(x - dwarf.x) + Math.abs(y - dwarf.y);
+      if (!best || dist < best.dist) best = { x, y, dist };
+    }
+  }
+  return best;
+}
+
+const setAll = (state, labor, fields) => {
+  for (const dwarf of state.dwarves) applyLaborOrder(state, { dwarfId: dwarf.id, labor, ...fields });
+};
+
+// ============================================================
+// (a) settings
+// ============================================================
+console.log('\n(a) labor settings');
+
+const state = await quiet(() => createHeadlessWorld(WORLD));
+const dwarf = state.dwarves[0];
+
+assert(LABORS.every(l => getLabor(dwarf, l.id).enabled && getLabor(dwarf, l.id).priority === LABOR_PRIORITY.DEFAULT),
+  `all ${LABORS.length} labors start enabled at priority ${LABOR_PRIORITY.DEFAULT}`);
+
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'farm', priority: LABOR_PRIORITY.HIGHEST });
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'brew', enabled: false });
+assert(getLabor(dwarf, 'farm').priority === LABOR_PRIORITY.HIGHEST && !isLaborEnabled(dwarf, TASK_TYPE.BREW),
+  'farm and brew have columns, and their settings are kept for when those tasks exist');
+
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'craft', enabled: false });
+assert(!isLaborEnabled(dwarf, TASK_TYPE.CRAFT) && getLabor(dwarf, 'craft').priority === LABOR_PRIORITY.DEFAULT,
+  'disabling keeps the priority');
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'craft', enabled: true, priority: 9 });
+assert(getLabor(dwarf, 'craft').enabled && getLabor(dwarf, 'craft').priority === LABOR_PRIORITY.LOWEST,
+  'priorities are clamped to 1-5');
+assert(isLaborEnabled(dwarf, TASK_TYPE.SOCIALIZE), 'needs are not labors');
+assert(!applyLaborOrder(state, { dwarfId: -1, labor: 'dig', enabled: false })
+  && !applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'juggle', enabled: false }),
+'unknown dwarves and labors are ignored');
+assert(state.log.some(entry => /relieved of craft work/.test(entry.message)), 'disabling a labor is logged');
+
+// ============================================================
+// (b) candidates
+// ============================================================
+console.log('\n(b) applyLaborPreferences');
+
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'dig', priority: LABOR_PRIORITY.HIGHEST });
+applyLaborOrder(state, { dwarfId: dwarf.id, labor: 'hunt', enabled: false });
+const candidates = applyLaborPreferences(dwarf, [
+  { type: TASK_TYPE.DIG, priority: 50 },
+  { type: TASK_TYPE.CRAFT, priority: 50 },
+  { type: TASK_TYPE.HUNT, priority: 70 },
+  { type: TASK_TYPE.FORAGE, priority: 65 },
+]);
+const byType = Object.fromEntries(candidates.map(c => [c.type, c.priority]));
+assert(!(TASK_TYPE.HUNT in byType), 'a disabled labor is dropped');
+assert(byType[TASK_TYPE.DIG] > 50 && byType[TASK_TYPE.CRAFT] < 50, 'priority 1 rises, priority 5 sinks');
+assert(byType[TASK_TYPE.FORAGE] === 65, 'foraging for food is untouched');
+
+// ============================================================
+// (c) dwarves respect the settings
+// ============================================================
+console.log('\n(c) digging held back');
+
+const digState = await quiet(() => createHeadlessWorld(WORLD));
+const rock = rockNear(digState, digState.dwarves[0]);
+setAll(digState, 'dig', { enabled: false });
+issueDesignation(digState, { action: 'dig', x1: rock.x, y1: rock.y, x2: rock.x, y2: rock.y });
+await quiet(() => runHeadless(digState, { ticks: 400 }));
+assert(canDig(rock.x, rock.y, digState) && digState.dwarves.every(d => d.currentTask?.type !== TASK_TYPE.DIG),
+  'nobody digs while digging is disabled');
+
+setAll(digState, 'dig', { enabled: true });
+let dugAt = null;
+await quiet(() => runHeadless(digState, {
+  ticks: 600,
+  onTick: (s) => {
+    if (dugAt === null && !getDesignationAt(rock.x, rock.y)) dugAt = s.tick;
+  },
+}));
+assert(dugAt !== null && !canDig(rock.x, rock.y, digState), `dug once enabled again (tick ${dugAt})`);
+
+const busyState = await quiet(() => createHeadlessWorld(WORLD));
+const busyRock = rockNear(busyState, busyState.dwarves[0]);
+issueDesignation(busyState, { action: 'dig', x1: busyRock.x, y1: busyRock.y, x2: busyRock.x, y2: busyRock.y });
+let droppedMidTask = null;
+await quiet(() => runHeadless(busyState, {
+  ticks: 300,
+  onTick: (s) => {
+    if (droppedMidTask !== null) return;
+    const digger = s.dwarves.find(d => d.currentTask?.type === TASK_TYPE.DIG);
+    if (!digger) return;
+    applyLaborOrder(s, { dwarfId: digger.id, labor: 'dig', enabled: false });
+    droppedMidTask = digger.currentTask === null;
+  },
+}));
+assert(droppedMidTask === true, 'disabling a labor mid-task drops the task');
+
+// ============================================================
+// (d) input log
+// ============================================================
+console.log('\n(d) recorded and replayed');
+
+const ORDER_TICK = 5;
+const snapshotOf = (world) => JSON.stringify(world.dwarves.map(d => [d.id, d.x, d.y, d.hunger, d.labors]));
+const play = async (startLog, onTick) => {
+  const world = await quiet(() => createHeadlessWorld({ ...WORLD, seed: 11 }));
+  startLog();
+  await quiet(() => runHeadless(world, { ticks: 200, onTick }));
+  return world;
+};
+
+const live = await play(() => startRecording(11), (s) => {
+  if (s.tick === ORDER_TICK) setLabor(s, { dwarfId: s.dwarves[1].id, labor: 'hunt', enabled: false });
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.LABOR);
+assert(logged.length === 1 && logged[0].tick === ORDER_TICK, 'the order is logged against its tick');
+const liveSnapshot = snapshotOf(live);
+
+const replayed = await play(() => startReplay(recording), (s) => {
+  if (s.tick === 50) setLabor(s, { dwarfId: s.dwarves[0].id, labor: 'dig', enabled: false });
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the order; live ones are dropped');
+stopInputLog();
+
+// ============================================================
+// (e) saves
+// ============================================================
+console.log('\n(e) save/load');
+
+const saveState = await quiet(() => createHeadlessWorld(WORLD));
+const saved = saveState.dwarves[2];
+applyLaborOrder(saveState, { dwarfId: saved.id, labor: 'fish', enabled: false });
+applyLaborOrder(saveState, { dwarfId: saved.id, labor: 'build', priority: 1 });
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(saveState))));
+const restored = restoredState.dwarves.find(d => d.id === saved.id);
+assert(restored && !getLabor(restored, 'fish').enabled && getLabor(restored, 'build').priority === 1,
+  'labor settings restored with the dwarf');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
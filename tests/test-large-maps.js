@@ -0,0 +1,144 @@
+// Large maps test — chunk revisions, tile writes that bump them, 512x512 worlds
+// Run with: node tests/test-large-maps.js
+//
+// Proves:
+//  (a) each level is cut into chunks whose revision goes up when a tile in
+//      them is replaced, and only theirs
+//  (b) the simulation's own tile changes (digging, felling, building,
+//      burning down) bump their chunks, so the renderer's cache sees them
+//  (c) a scenario may ask for a 512x512 world, and it generates and runs
+//  (d) chunk revisions are not saved
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  createMap, getTile, setTile, getLevel, touchTile, getChunkGrid, getChunkRevision, getDepth, CHUNK_SIZE,
+} = await import('../src/map/map.js');
+const { TileType, createTile } = await import('../src/map/tiles.js');
+const {
+  STRUCTURE_TYPE, canPlaceStructure, startBuildProject, workOnBuildProject, destroyStructure,
+  applyDesignationOrder, workOnDig, getDesignationAt,
+} = await import('../src/sim/construction.js');
+const { fellTree } = await import('../src/sim/forestry.js');
+const { resolveWorldSettings } = await import('../src/sim/worldGen.js');
+const { sanitizeScenario, PARAMETER_RANGES } = await import('../src/scenarios/scenarioSchema.js');
+const { createSaveSnapshot } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+console.log('\n(a) chunks');
+
+{
+  const map = createMap(40, 20, 2);
+  const { across, down } = getChunkGrid(map);
+  assert(across === Math.ceil(40 / CHUNK_SIZE) && down === Math.ceil(20 / CHUNK_SIZE),
+    `a 40x20 level is ${across}x${down} chunks of ${CHUNK_SIZE}`);
+  assert(getChunkRevision(map, 0, 0) === 0 && getChunkRevision(map, 39, 19, 1) === 0, 'a new map starts at revision 0');
+
+  setTile(map, 3, 3, createTile(TileType.WALL));
+  assert(getChunkRevision(map, 0, 0) === 1 && getChunkRevision(map, CHUNK_SIZE - 1, CHUNK_SIZE - 1) === 1,
+    'replacing a tile bumps its chunk');
+  assert(getChunkRevision(map, CHUNK_SIZE, 0) === 0 && getChunkRevision(map, 0, CHUNK_SIZE) === 0,
+    'and not the chunks beside it');
+  assert(getChunkRevision(map, 3, 3, 1) === 0, 'nor the same chunk on another level');
+
+  touchTile(map, 39, 19, 1);
+  assert(getChunkRevision(map, 39, 19, 1) === 1, 'a tile edited in place can be touched');
+  setTile(map, 99, 99, createTile(TileType.WALL));
+  assert(getChunkRevision(map, 99, 99) === 0, 'writes off the map change nothing');
+}
+
+console.log('\n(b) the simulation bumps its chunks');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  const miner = { ...state.dwarves[0], skills: { ...state.dwarves[0].skills }, workRate: 1 };
+
+  const rock = { x: 2, y: 2 };
+  setTile(state.map, rock.x, rock.y, createTile(TileType.CAVE_WALL));
+  const beforeDig = getChunkRevision(state.map, rock.x, rock.y);
+  applyDesignationOrder(state, { action: 'dig', x1: rock.x, y1: rock.y, x2: rock.x, y2: rock.y });
+  for (let i = 0; i < 100 && getDesignationAt(rock.x, rock.y); i++) await quiet(() => workOnDig(rock.x, rock.y, miner, state));
+  assert(getTile(state.map, rock.x, rock.y).type === 'floor' &&
+    getChunkRevision(state.map, rock.x, rock.y) > beforeDig, 'digging out rock');
+
+  const tree = { x: 5, y: 2 };
+  setTile(state.map, tree.x, tree.y, createTile(TileType.TREE_CONIFER));
+  const beforeFell = getChunkRevision(state.map, tree.x, tree.y);
+  await quiet(() => fellTree(tree.x, tree.y, state));
+  assert(getChunkRevision(state.map, tree.x, tree.y) > beforeFell, 'felling a tree');
+
+  let spot = null;
+  for (let y = 0; y < state.map.height && !spot; y++) {
+    for (let x = 0; x < state.map.width && !spot; x++) {
+      if (canPlaceStructure(STRUCTURE_TYPE.SHELTER, x, y, state)) spot = { x, y };
+    }
+  }
+  const project = startBuildProject(STRUCTURE_TYPE.SHELTER, spot.x, spot.y, state);
+  let built = false;
+  for (let i = 0; i < 4000 && !built; i++) {
+    const dig = [...project.digProgress.values()].find(d => d.progress < d.required);
+    if (dig) { miner.x = dig.x; miner.y = dig.y; }
+    built = await quiet(() => workOnBuildProject(project, miner, state));
+  }
+  const beforeBurn = getChunkRevision(state.map, spot.x, spot.y);
+  assert(built && beforeBurn > 0, 'building a structure');
+  destroyStructure(project.id, state);
+  assert(getChunkRevision(state.map, spot.x, spot.y) > beforeBurn, 'and burning it down');
+}
+
+console.log('\n(c) 512x512');
+
+{
+  const scenario = sanitizeScenario({ title: 'Big', description: 'Big', parameters: { mapWidth: 512, mapHeight: 600 } });
+  const settings = resolveWorldSettings(scenario);
+  assert(PARAMETER_RANGES.mapWidth.max === 512 && settings.width === 512 && settings.height === 512,
+    `a scenario may ask for 512x512, and no more (${settings.width}x${settings.height})`);
+
+  const started = Date.now();
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, width: 512, height: 512 }));
+  const generated = Date.now() - started;
+  assert(state.map.width === 512 && getLevel(state.map).length === 512 * 512 && getDepth(state.map) === 3,
+    `a 512x512 world generates, caverns and all (${generated} ms)`);
+  await quiet(() => runHeadless(state, { ticks: 20 }));
+  assert(state.tick === 20 && state.dwarves.length > 0, `and runs (${Date.now() - started - generated} ms for 20 ticks)`);
+}
+
+console.log('\n(d) saves');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  setTile(state.map, 1, 1, createTile(TileType.WALL));
+  const snapshot = createSaveSnapshot(state);
+  assert(!('chunkRevisions' in snapshot.world.map), 'chunk revisions stay out of the save');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
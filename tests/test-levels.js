@@ -0,0 +1,326 @@
+// Z-levels test — cavern levels under the surface, stairs, ramps and paths
+// Run with: node tests/test-levels.js
+//
+// Proves:
+//  (a) a map is a stack of levels, each stored in chunks: tiles are read
+//      and written per z, and a level handed out whole is a copy
+//  (b) every world gets caverns under its surface, joined by ramps from
+//      the surface and stairs between caverns; the same seed digs the same
+//      caverns, and the surface world above them, and the noise left
+//      behind for later generation, are unchanged
+//  (c) findPath goes down the stairs and back up when the surface is
+//      blocked, and a stairway with one end gone leads nowhere
+//  (d) entities walk the level they are on
+//  (e) inspection reads the level in view
+//  (f) the caverns and where everyone stands survive save/load
+//  (g) nobody fights through the floor: a raider right above a dwarf is
+//      not in reach, and goes down the stairs after it
+//  (h) a dig order given on a cavern level is kept there (and saved), and
+//      a dwarf walks down the ramp to dig it out
+//  (i) nobody eats through the floor: a starving dwarf below leaves the
+//      food on the surface right above it alone
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  createMap, getDepth, getLevel, getTile, setTile, inBounds, isWalkable, getLevelMoves,
+  getChunkTiles, cellIndex,
+} = await import('../src/map/map.js');
+const { findPath, isPassable, vectorToMovement } = await import('../src/sim/movement.js');
+const { TileType, createTile } = await import('../src/map/tiles.js');
+const { noise2D } = await import('../src/map/noise.js');
+const { createDwarf, createFoodSource, distance } = await import('../src/sim/entities.js');
+const { createVisitor } = await import('../src/sim/visitors.js');
+const { inAttackRange, attemptAttack } = await import('../src/sim/combat.js');
+const { processVisitors } = await import('../src/ai/visitorAI.js');
+const { RACE, VISITOR_ROLE } = await import('../src/sim/races.js');
+const { inspectPosition } = await import('../src/ui/inspection.js');
+const { applyDesignationOrder, getDesignationAt } = await import('../src/sim/construction.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Every tile of a level whose type matches */
+function tilesOfType(map, z, type) {
+  const found = [];
+  getLevel(map, z).forEach((tile, i) => {
+    if (tile.type === type) found.push({ x: i % map.width, y: Math.floor(i / map.width) });
+  });
+  return found;
+}
+
+/**
+ * A 9x5 map, two levels deep. A wall splits the surface at x = 4; the
+ * cavern below is a corridor along y = 2, with stairs down at x = 2 and
+ * back up at x = 6.
+ */
+function splitMap() {
+  const map = createMap(9, 5, 2);
+  for (let y = 0; y < 5; y++) {
+    setTile(map, 4, y, createTile(TileType.WALL));
+    for (let x = 0; x < 9; x++) {
+      if (y !== 2) setTile(map, x, y, createTile(TileType.CAVE_WALL), 1);
+    }
+  }
+  for (const x of [2, 6]) {
+    setTile(map, x, 2, createTile(TileType.STAIR_DOWN));
+    setTile(map, x, 2, createTile(TileType.STAIR_UP), 1);
+  }
+  const state = createWorldState(9, 5);
+  state.map = map;
+  state.tick = 0;
+  return state;
+}
+
+console.log('\n(a) levels');
+
+{
+  const map = createMap(4, 3, 3);
+  assert(getDepth(map) === 3 && getLevel(map, 0).length === 12 && getLevel(map, 2).length === 12,
+    'a map three deep has the surface and two levels below');
+  assert(getDepth(createMap(4, 3)) === 1 && getLevel(createMap(4, 3), 1) === null, 'a plain map is one level');
+
+  setTile(map, 1, 1, createTile(TileType.CAVE_WALL), 2);
+  assert(getTile(map, 1, 1, 2).type === TileType.CAVE_WALL && getTile(map, 1, 1).type === TileType.FLOOR,
+    'a tile set on one level leaves the others alone');
+  assert(!isWalkable(map, 1, 1, 2) && isWalkable(map, 1, 1), 'walkability is per level');
+  assert(inBounds(map, 0, 0, 2) && !inBounds(map, 0, 0, 3) && getTile(map, 0, 0, -1) === null,
+    'levels outside the stack are out of bounds');
+
+  getLevel(map, 2)[1 * 4 + 1] = createTile(TileType.FLOOR);
+  assert(getTile(map, 1, 1, 2).type === TileType.CAVE_WALL, 'writing into a copied level leaves the map alone');
+  assert(getChunkTiles(map, 1, 1, 2)[cellIndex(1, 1)] === getTile(map, 1, 1, 2)
+    && getChunkTiles(map, 1, 1, 0)[cellIndex(1, 1)] !== getTile(map, 1, 1, 2),
+    'tiles live in the chunk of their own level');
+}
+
+console.log('\n(b) caverns');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  const { map } = state;
+  assert(getDepth(map) === 3, 'a new world has the surface and two caverns');
+
+  const ramps = tilesOfType(map, 0, TileType.RAMP_DOWN);
+  const stairs = tilesOfType(map, 1, TileType.STAIR_DOWN);
+  assert(ramps.length > 0 && ramps.every(({ x, y }) => getTile(map, x, y, 1).type === TileType.RAMP_UP),
+    `every ramp down from the surface lands on a ramp up (${ramps.length})`);
+  assert(stairs.length > 0 && stairs.every(({ x, y }) => getTile(map, x, y, 2).type === TileType.STAIR_UP),
+    `every stair down from the first cavern lands on a stair up (${stairs.length})`);
+  assert(ramps.every(({ x, y }) => getLevelMoves(map, x, y, 0)[0] === 1)
+    && stairs.every(({ x, y }) => getLevelMoves(map, x, y, 2)[0] === 1),
+    'both ends of each way lead to the other');
+
+  const walls = getLevel(map, 1).filter(t => t.type === TileType.CAVE_WALL).length;
+  const floor = getLevel(map, 1).filter((t, i) => isWalkable(map, i % map.width, Math.floor(i / map.width), 1)).length;
+  assert(walls > 0 && floor > 0, `the first cavern is rock and open floor (${floor} open)`);
+
+  const again = await quiet(() => createHeadlessWorld(WORLD));
+  assert([1, 2].every(z => getLevel(again.map, z).every((t, i) => t.type === getLevel(map, z)[i].type)),
+    'the same seed digs the same caverns');
+  const other = await quiet(() => createHeadlessWorld({ ...WORLD, seed: 4 }));
+  assert(getLevel(other.map, 1).some((t, i) => t.type !== getLevel(map, 1)[i].type),
+    'another seed digs others');
+
+  const flat = await quiet(() => createHeadlessWorld({ ...WORLD, depth: 1 }));
+  assert(getDepth(flat.map) === 1, 'a world may be asked for one level');
+  const surface = getLevel(map);
+  assert(getLevel(flat.map).every((t, i) => t.type === surface[i].type || surface[i].type === TileType.RAMP_DOWN),
+    'the surface is the same with or without caverns, but for the ramps');
+  assert(flat.dwarves.every((d, i) => d.x === state.dwarves[i].x && d.y === state.dwarves[i].y),
+    'and the colony settles in the same spots');
+
+  // A biome surface seeds the noise; the caverns must leave it that way
+  await quiet(() => createHeadlessWorld({ ...WORLD, mode: 'biome' }));
+  const deepNoise = noise2D(7, 11);
+  await quiet(() => createHeadlessWorld({ ...WORLD, mode: 'biome', depth: 1 }));
+  assert(noise2D(7, 11) === deepNoise, 'digging the caverns leaves the surface noise as it was');
+}
+
+console.log('\n(c) paths across levels');
+
+{
+  const state = splitMap();
+  const path = findPath(1, 2, 7, 2, state, 200);
+  assert(path && path[path.length - 1].x === 7 && path[path.length - 1].z === 0,
+    'a path finds its way past the wall');
+  assert(path && path.some(step => step.z === 1), 'by going down into the cavern');
+  const levelChanges = path ? path.slice(1).filter((step, i) => step.z !== path[i].z) : [];
+  assert(levelChanges.length === 2 && levelChanges.every(step => step.y === 2 && (step.x === 2 || step.x === 6)),
+    'changing level only on the stairs');
+
+  const down = findPath(1, 2, 5, 2, state, 200, { startZ: 0, endZ: 1 });
+  assert(down && down[down.length - 1].z === 1 && down[0].z === 0, 'a path may end on another level');
+
+  setTile(state.map, 6, 2, createTile(TileType.CAVE_FLOOR), 1);
+  assert(getLevelMoves(state.map, 6, 2, 0).length === 0, 'a stair down with nothing under it goes nowhere');
+  assert(findPath(1, 2, 7, 2, state, 200) === null, 'and the far side is cut off');
+}
+
+console.log('\n(d) walking a level');
+
+{
+  const state = splitMap();
+  const dwarf = createDwarf(3, 2);
+  dwarf.z = 1;
+  state.dwarves = [dwarf];
+  assert(isPassable(state, 3, 1) && !isPassable(state, 3, 1, 1), 'open above is rock below');
+
+  const move = vectorToMovement(dwarf, { dx: 0, dy: -1 }, state);
+  assert(move.dy === 0, 'a dwarf in the cavern cannot step into the rock, though the surface is open');
+  const east = vectorToMovement(dwarf, { dx: 1, dy: 0 }, state);
+  assert(east.dx === 1 && east.dy === 0, 'but walks on along the corridor');
+}
+
+console.log('\n(e) inspection');
+
+{
+  const state = splitMap();
+  const below = createDwarf(5, 2);
+  below.z = 1;
+  const above = createDwarf(5, 1);
+  state.dwarves = [below, above];
+
+  assert(inspectPosition(state, 5, 1).tile.type === TileType.FLOOR && inspectPosition(state, 5, 1).hasDwarf,
+    'the surface is in view by default');
+  state.map.viewZ = 1;
+  const look = inspectPosition(state, 5, 2);
+  assert(look.z === 1 && look.entities[0]?.entity === below, 'with the cavern in view, the dwarf in it');
+  const rock = inspectPosition(state, 5, 1);
+  assert(rock.tile.type === TileType.CAVE_WALL && !rock.hasDwarf, 'and its rock, not the dwarf on the surface above');
+}
+
+console.log('\n(f) save/load');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  const [{ x, y }] = tilesOfType(state.map, 1, TileType.RAMP_UP);
+  Object.assign(state.dwarves[0], { x, y, z: 1 });
+  state.map.viewZ = 2;
+
+  const snapshot = createSaveSnapshot(state);
+  assert(!('viewZ' in snapshot.world.map), 'the level in view is not saved');
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(stringifySave(snapshot))));
+  assert(getDepth(restored.map) === 3
+    && [1, 2].every(z => getLevel(restored.map, z).every((t, i) => t.type === getLevel(state.map, z)[i].type)),
+    'the caverns are restored');
+  assert(restored.dwarves[0].z === 1 && getTile(restored.map, x, y, 1).type === TileType.RAMP_UP,
+    'a dwarf below stays below');
+}
+
+console.log('\n(g) fighting across levels');
+
+{
+  const state = splitMap();
+  const dwarf = createDwarf(3, 2);
+  dwarf.z = 1;
+  const raider = createVisitor(3, 2, RACE.GOBLIN, VISITOR_ROLE.RAIDER, {});
+  state.dwarves = [dwarf];
+  state.visitors = [raider];
+
+  assert(distance(raider, dwarf) === 1, 'a level down counts as a step away');
+  assert(!inAttackRange(raider, dwarf), 'but a raider right above a dwarf cannot reach it');
+  const hp = dwarf.hp;
+  assert(attemptAttack(raider, dwarf, state).reason === 'out_of_range' && dwarf.hp === hp, 'nor strike it');
+
+  for (let tick = 1; tick <= 30 && (raider.z ?? 0) !== 1; tick++) {
+    state.tick = tick;
+    await quiet(() => processVisitors(state));
+  }
+  assert(raider.z === 1, `it goes down the stairs after it (at ${raider.x},${raider.y})`);
+  raider.x = dwarf.x - 1;
+  raider.y = dwarf.y;
+  assert(inAttackRange(raider, dwarf), 'and beside it on its level, strikes');
+}
+
+console.log('\n(h) digging below');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  const { map } = state;
+  const [ramp] = tilesOfType(map, 1, TileType.RAMP_UP);
+
+  // The cavern rock nearest the ramp that can be reached from it
+  const beside = ({ x, y }) => [[0, -1], [1, 0], [0, 1], [-1, 0]]
+    .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+    .find(p => isPassable(state, p.x, p.y, 1));
+  const rock = tilesOfType(map, 1, TileType.CAVE_WALL)
+    .filter(p => beside(p))
+    .sort((a, b) => distance(a, ramp) - distance(b, ramp))
+    .find(p => findPath(ramp.x, ramp.y, beside(p).x, beside(p).y, state, 2000, { startZ: 1 }));
+  const surface = getTile(map, rock.x, rock.y).type;
+
+  applyDesignationOrder(state, { action: 'dig', x1: rock.x, y1: rock.y, x2: rock.x, y2: rock.y, z: 1 });
+  assert(getDesignationAt(rock.x, rock.y, 1)?.z === 1 && !getDesignationAt(rock.x, rock.y),
+    `a dig order given below is designated on that level (${rock.x},${rock.y})`);
+
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(stringifySave(createSaveSnapshot(state)))));
+  assert(getDesignationAt(rock.x, rock.y, 1)?.z === 1, 'and survives save/load');
+
+  let wentDown = false;
+  for (let i = 0; i < 40 && getDesignationAt(rock.x, rock.y, 1); i++) {
+    await quiet(() => runHeadless(state, {
+      ticks: 50,
+      onTick: (s) => { wentDown ||= s.dwarves.some(d => d.z === 1); },
+    }));
+  }
+  assert(wentDown, 'a dwarf walks down the ramp to it');
+  assert(!getDesignationAt(rock.x, rock.y, 1) && getTile(map, rock.x, rock.y, 1).type === 'floor',
+    `and digs it out (by tick ${state.tick})`);
+  assert(getTile(map, rock.x, rock.y).type === surface, 'leaving the surface above alone');
+  assert(state.resources.some(r => r.x === rock.x && r.y === rock.y && r.z === 1), 'the stone it leaves lies below');
+}
+
+console.log('\n(i) eating across levels');
+
+{
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  const { map } = state;
+  const ramps = tilesOfType(map, 1, TileType.RAMP_UP);
+
+  // Cavern floor as far from every ramp as it gets: no way up within the run
+  const spot = tilesOfType(map, 1, TileType.CAVE_FLOOR)
+    .filter(p => p.y > 0)
+    .sort((a, b) => Math.min(...ramps.map(r => distance(b, r))) - Math.min(...ramps.map(r => distance(a, r))))[0];
+  const dwarf = state.dwarves[0];
+  Object.assign(dwarf, { x: spot.x, y: spot.y, z: 1, hunger: 95, state: 'seeking_food', target: { x: spot.x, y: spot.y - 1 } });
+  state.dwarves = [dwarf];
+  const food = createFoodSource(spot.x, spot.y - 1, 5);
+  state.foodSources = [food];
+
+  await quiet(() => runHeadless(state, { ticks: 10 }));
+  assert(food.amount === 5, `a starving dwarf below cannot eat the food above it (${spot.x},${spot.y})`);
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
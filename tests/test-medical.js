@@ -0,0 +1,394 @@
+// Medical test — body-part injuries, doctors and hospitals
+// Run with: node tests/test-medical.js
+//
+// Proves:
+//  (a) a blow that lands on a dwarf leaves a wound on a body part: edges
+//      cut and bleed, points pierce, a heavy blunt blow breaks a limb;
+//      armor struck decides the part; visitors take no wounds
+//  (b) leg wounds slow walking, arm wounds and infection slow work
+//  (c) bleeding and infection drain hit points, and processDeath carries
+//      off whoever they empty
+//  (d) wounds knit over time (faster once dressed) and hit points return
+//  (e) a doctor walks to a wounded dwarf, dresses each wound and trains
+//      medicine; the doctor labor turns it off
+//  (f) a built hospital offers its beds: the badly hurt lie down there,
+//      heal faster, and get up once well
+//  (g) wounds reach the LLM prompts
+//  (h) wounds survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  BODY_PART, INJURY_KIND, inflictInjury, needsCare, getHospitalBerths, findBerth, findPatient,
+  tickMedical, describeInjuries,
+} = await import('../src/sim/medical.js');
+const { DAMAGE_TYPE, EQUIP_SLOT } = await import('../src/sim/equipment.js');
+const { attemptAttack } = await import('../src/sim/combat.js');
+const { processDeath } = await import('../src/sim/rules.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { TASK_TYPE, SKILL } = await import('../src/sim/tasks.js');
+const { applyLaborOrder } = await import('../src/sim/labor.js');
+const {
+  STRUCTURE_TYPE, BLUEPRINTS, initConstruction, canPlaceStructure, startBuildProject, workOnBuildProject,
+} = await import('../src/sim/construction.js');
+const { canAffordMove, isPassable } = await import('../src/sim/movement.js');
+const { buildLocalContext } = await import('../src/llm/worldContext.js');
+const { buildEntitySystemPrompt } = await import('../src/llm/prompts/entityChat.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { getCalendar } = await import('../src/sim/clock.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world by day with no visitors and fed, rested, content dwarves */
+async function fortress() {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  initConstruction();
+  state.visitors = [];
+  state.resources = [];
+  state.tick = 1200 * 3 + 300;
+  state.clock = getCalendar(state.tick);
+  for (const dwarf of state.dwarves) {
+    Object.assign(dwarf, {
+      hunger: 10,
+      energy: 100,
+      injuries: [],
+      fulfillment: { social: 80, exploration: 80, creativity: 80, tranquility: 80 },
+    });
+  }
+  return state;
+}
+
+/** Run the medical tick n times */
+function advance(state, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    state.tick++;
+    tickMedical(state);
+  }
+}
+
+/** An attacker with a fixed weapon, standing beside the target */
+function attacker(target, weaponType) {
+  return {
+    type: 'visitor', x: target.x + 1, y: target.y, damage: 3, combatSkill: 1,
+    equipment: { weapon: { id: 1, type: weaponType, amount: 1, material: 'iron' }, body: null, head: null },
+  };
+}
+
+/** Build a hospital somewhere it fits, returning its project */
+function buildHospital(state) {
+  let spot = null;
+  for (let y = 0; y < state.map.height && !spot; y++) {
+    for (let x = 0; x < state.map.width && !spot; x++) {
+      if (canPlaceStructure(STRUCTURE_TYPE.HOSPITAL, x, y, state)) spot = { x, y };
+    }
+  }
+  const project = startBuildProject(STRUCTURE_TYPE.HOSPITAL, spot.x, spot.y, state);
+  const builder = { ...state.dwarves[0], skills: { ...state.dwarves[0].skills }, workRate: 1 };
+  let built = false;
+  for (let i = 0; i < 4000 && !built; i++) {
+    const dig = [...project.digProgress.values()].find(d => d.progress < d.required);
+    if (dig) { builder.x = dig.x; builder.y = dig.y; }
+    built = workOnBuildProject(project, builder, state);
+  }
+  return built ? project : null;
+}
+
+// ============================================================
+console.log('\n(a) blows leave wounds');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  dwarf.hp = dwarf.maxHp = 1000;
+  const axeman = attacker(dwarf, 'battle_axe');
+  for (let i = 0; i < 40; i++) {
+    axeman.attackCooldown = 0;
+    attemptAttack(axeman, dwarf, state);
+  }
+  const injuries = dwarf.injuries;
+  assert(injuries.length > 0 && injuries.every(i => i.kind === INJURY_KIND.CUT), 'an axe leaves cuts');
+  assert(injuries.every(i => i.bleeding > 0), 'and every cut bleeds');
+  assert(new Set(injuries.map(i => i.part)).size > 2, 'on several parts of the body');
+
+  const spearman = attacker(dwarf, 'spear');
+  dwarf.injuries = [];
+  spearman.attackCooldown = 0;
+  attemptAttack(spearman, dwarf, state);
+  assert(dwarf.injuries[0]?.kind === INJURY_KIND.PUNCTURE, 'a spear leaves a puncture');
+
+  // A hard blunt blow to a limb breaks it; a light one bruises
+  const big = { maxHp: 25, injuries: [], equipment: null };
+  let fracture = null;
+  for (let i = 0; i < 40 && !fracture; i++) {
+    const injury = inflictInjury(big, 8, DAMAGE_TYPE.BLUNT, null, state);
+    if (injury.kind === INJURY_KIND.FRACTURE) fracture = injury;
+  }
+  assert(fracture && [BODY_PART.LEFT_ARM, BODY_PART.RIGHT_ARM, BODY_PART.LEFT_LEG, BODY_PART.RIGHT_LEG].includes(fracture.part),
+    'a heavy blunt blow breaks a limb');
+  const bruise = inflictInjury({ maxHp: 25, injuries: [], equipment: null }, 1, DAMAGE_TYPE.BLUNT, null, state);
+  assert(bruise.kind === INJURY_KIND.BRUISE && bruise.treated, 'a light one bruises, with nothing to dress');
+
+  // Armor decides the part: a blow on the helm lands on the head, and a
+  // blow that misses the armor never lands under it
+  const helmed = { maxHp: 25, injuries: [], equipment: { head: { type: 'iron_helm' }, body: { type: 'mail_shirt' } } };
+  assert(inflictInjury(helmed, 3, DAMAGE_TYPE.EDGE, EQUIP_SLOT.HEAD, state).part === BODY_PART.HEAD,
+    'a blow on the helm wounds the head');
+  let underArmor = 0;
+  for (let i = 0; i < 50; i++) {
+    const part = inflictInjury(helmed, 3, DAMAGE_TYPE.EDGE, null, state).part;
+    if (part === BODY_PART.HEAD || part === BODY_PART.TORSO) underArmor++;
+  }
+  assert(underArmor === 0, 'a blow that found a gap lands on an unarmored limb');
+
+  const raider = { type: 'visitor', x: dwarf.x - 1, y: dwarf.y, hp: 1000, maxHp: 1000 };
+  const hitter = { type: 'dwarf', x: dwarf.x, y: dwarf.y, damage: 3, combatSkill: 1, skills: [] };
+  attemptAttack(hitter, raider, state);
+  assert(!raider.injuries, 'visitors take hit points only');
+}
+
+// ============================================================
+console.log('\n(b) wounds slow walking and work');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  const legs = { maxHp: 25, injuries: [], equipment: null };
+  // Force a broken leg
+  let leg = null;
+  while (!leg) {
+    const injury = inflictInjury(legs, 10, DAMAGE_TYPE.BLUNT, null, state);
+    if (injury.kind === INJURY_KIND.FRACTURE && injury.part.endsWith('leg')) leg = injury;
+    else legs.injuries = [];
+  }
+  assert(legs.moveRate === 0.5, `a broken leg halves walking speed (${legs.moveRate})`);
+  assert(legs.workRate === 1, 'but not work');
+
+  const arms = { maxHp: 25, injuries: [], equipment: null };
+  let arm = null;
+  while (!arm) {
+    const injury = inflictInjury(arms, 10, DAMAGE_TYPE.BLUNT, null, state);
+    if (injury.kind === INJURY_KIND.FRACTURE && injury.part.endsWith('arm')) arm = injury;
+    else arms.injuries = [];
+  }
+  assert(arms.workRate === 0.5 && arms.moveRate === 1, 'a broken arm halves work instead');
+
+  // Movement budget: the lamed dwarf affords half the steps
+  const spot = [...Array(state.map.width).keys()]
+    .map(x => ({ x, y: dwarf.y }))
+    .find(p => isPassable(state, p.x, p.y));
+  let healthySteps = 0;
+  let lameSteps = 0;
+  const healthy = { x: 0, y: 0 };
+  const lame = { x: 0, y: 0, moveRate: legs.moveRate };
+  for (let tick = 0; tick < 40; tick++) {
+    state.tick = tick;
+    if (canAffordMove(healthy, state, spot.x, spot.y)) healthySteps++;
+    if (canAffordMove(lame, state, spot.x, spot.y)) lameSteps++;
+  }
+  assert(lameSteps < healthySteps * 0.7, `a broken leg takes fewer steps (${lameSteps} vs ${healthySteps})`);
+}
+
+// ============================================================
+console.log('\n(c) bleeding and infection can kill');
+// ============================================================
+{
+  const state = await fortress();
+  const [victim, feverish] = state.dwarves;
+  victim.hp = 3;
+  victim.injuries = [{ part: BODY_PART.TORSO, kind: INJURY_KIND.CUT, severity: 0.5, bleeding: 2, infected: false, treated: false, care: 0, healing: 900, age: 0 }];
+  feverish.hp = 20;
+  feverish.injuries = [{ part: BODY_PART.LEFT_ARM, kind: INJURY_KIND.PUNCTURE, severity: 0.1, bleeding: 0, infected: true, treated: false, care: 0, healing: 900, age: 0 }];
+
+  const deaths = [];
+  const off = on(EVENTS.DWARF_DEATH, event => deaths.push(event));
+  let died = [];
+  for (let i = 0; i < 200 && died.length === 0; i++) {
+    state.tick++;
+    tickMedical(state);
+    died = processDeath(state);
+  }
+  off?.();
+  advance(state, 400);
+  assert(died.includes(victim) && victim.state === 'dead', 'a badly bleeding dwarf bleeds to death');
+  assert(deaths.some(e => e.dwarf === victim && e.cause === 'bleeding' && e.killer === null), 'DWARF_DEATH names the cause');
+  assert(state.log.some(entry => String(entry.message ?? entry).includes('bled to death')), 'and the log says so');
+  assert(feverish.hp < 20 && feverish.hp > 0, `infection drains a little at a time (${feverish.hp} hp)`);
+  assert(processDeath(state).length === 0, 'the dead are not counted twice');
+
+  // Clotting: an untended light cut stops on its own
+  const scratched = state.dwarves[2];
+  scratched.hp = 25;
+  scratched.injuries = [{ part: BODY_PART.LEFT_LEG, kind: INJURY_KIND.CUT, severity: 0.05, bleeding: 1, infected: false, treated: false, care: 0, healing: 900, age: 0 }];
+  advance(state, 200);
+  assert(scratched.injuries[0].bleeding === 0 && scratched.hp > 20, 'a light cut clots before it does much harm');
+}
+
+// ============================================================
+console.log('\n(d) wounds knit');
+// ============================================================
+{
+  const state = await fortress();
+  const [a, b] = state.dwarves;
+  a.hp = b.hp = 15;
+  a.injuries = [{ part: BODY_PART.TORSO, kind: INJURY_KIND.BRUISE, severity: 0.1, bleeding: 0, infected: false, treated: true, care: 0, healing: 300, age: 0 }];
+  b.injuries = [{ part: BODY_PART.TORSO, kind: INJURY_KIND.CUT, severity: 0.1, bleeding: 0, infected: false, treated: true, care: 15, healing: 900, age: 0 }];
+  const untreated = state.dwarves[2];
+  untreated.injuries = [{ part: BODY_PART.TORSO, kind: INJURY_KIND.FRACTURE, severity: 0.3, bleeding: 0, infected: false, treated: false, care: 0, healing: 900, age: 0 }];
+  const set = state.dwarves[3];
+  set.injuries = [{ ...untreated.injuries[0], treated: true }];
+
+  advance(state, 300);
+  assert(a.injuries.length === 0, 'a bruise heals away');
+  assert(a.hp > 15, `and hit points come back (${a.hp})`);
+  assert(set.injuries[0].healing < untreated.injuries[0].healing - 400, 'a set bone knits far faster than one left broken');
+  advance(state, 200);
+  assert(b.injuries.length === 0, 'a dressed cut heals');
+  assert(state.log.some(entry => String(entry.message ?? entry).includes('has healed')), 'healing is logged');
+}
+
+// ============================================================
+console.log('\n(e) doctors');
+// ============================================================
+{
+  const state = await fortress();
+  const [doctor, patient] = state.dwarves;
+  patient.x = doctor.x + 1;
+  patient.y = doctor.y;
+  if (!isPassable(state, patient.x, patient.y)) { patient.x = doctor.x; }
+  patient.injuries = [
+    { part: BODY_PART.LEFT_LEG, kind: INJURY_KIND.CUT, severity: 0.3, bleeding: 2, infected: false, treated: false, care: 0, healing: 1350, age: 0 },
+    { part: BODY_PART.RIGHT_ARM, kind: INJURY_KIND.PUNCTURE, severity: 0.1, bleeding: 0, infected: true, treated: false, care: 0, healing: 1200, age: 0 },
+  ];
+  for (const other of state.dwarves.slice(2)) other.x = other.y = -50; // out of the way
+
+  assert(findPatient(doctor, state) === patient, 'the doctor finds the wounded dwarf');
+  assert(findPatient(patient, state) === null, 'no one else needs a doctor');
+
+  doctor.currentTask = null;
+  for (let i = 0; i < 60 && patient.injuries.some(w => !w.treated); i++) {
+    state.tick++;
+    decideDwarf(doctor, state);
+  }
+  assert(patient.injuries.every(w => w.treated), 'every wound is dressed');
+  assert(patient.injuries.every(w => w.bleeding === 0 && !w.infected), 'bleeding stopped and infection cleaned');
+  assert(doctor.skills.find(s => s.name === SKILL.MEDICINE)?.experience > 0, 'the doctor trains medicine');
+  assert(state.log.some(entry => String(entry.message ?? entry).includes('dresses')), 'the treatment is logged');
+
+  // Turning the labor off keeps the dwarf away
+  patient.injuries.push({ part: BODY_PART.HEAD, kind: INJURY_KIND.CUT, severity: 0.1, bleeding: 1, infected: false, treated: false, care: 0, healing: 900, age: 0 });
+  applyLaborOrder(state, { dwarfId: doctor.id, labor: 'doctor', enabled: false });
+  doctor.currentTask = null;
+  doctor._lastDecision = 100;
+  decideDwarf(doctor, state);
+  assert(doctor.currentTask?.type !== TASK_TYPE.TREAT, 'a dwarf with the doctor labor off does not treat');
+}
+
+// ============================================================
+console.log('\n(f) hospitals');
+// ============================================================
+{
+  const state = await fortress();
+  assert(BLUEPRINTS[STRUCTURE_TYPE.HOSPITAL]?.layout.join('').includes('b'), 'the hospital blueprint has beds');
+
+  const patient = state.dwarves[1];
+  patient.injuries = [{ part: BODY_PART.LEFT_LEG, kind: INJURY_KIND.FRACTURE, severity: 0.4, bleeding: 0, infected: false, treated: true, care: 15, healing: 5000, age: 0 }];
+  assert(needsCare(patient), 'a broken leg needs care');
+
+  const project = buildHospital(state);
+  assert(project, 'the hospital is built');
+  const berths = getHospitalBerths(state);
+  assert(berths.length === 6, `each of its six beds has a berth (${berths.length})`);
+  assert(new Set(berths.map(b => `${b.x},${b.y}`)).size === berths.length, 'no two beds share one');
+
+  // Lay the patient beside the bed they will take
+  const berth = findBerth(patient, state);
+  patient.x = berth.x;
+  patient.y = berth.y + (isPassable(state, berth.x, berth.y + 1) ? 1 : 0);
+  patient.currentTask = null;
+  patient._lastDecision = 100;
+  for (let i = 0; i < 20 && patient.state !== 'recovering'; i++) {
+    state.tick++;
+    patient.state = decideDwarf(patient, state).state;
+  }
+  assert(patient.currentTask?.type === TASK_TYPE.RECOVER, 'the patient takes to a hospital bed');
+  assert(patient.state === 'recovering' && patient.x === berth.x && patient.y === berth.y, 'and lies in it');
+
+  const other = state.dwarves[2];
+  other.injuries = [{ part: BODY_PART.RIGHT_LEG, kind: INJURY_KIND.FRACTURE, severity: 0.4, bleeding: 0, infected: false, treated: true, care: 15, healing: 5000, age: 0 }];
+  const second = findBerth(other, state);
+  assert(second && (second.x !== berth.x || second.y !== berth.y), 'a second patient is offered another bed');
+
+  const before = [patient.injuries[0].healing, other.injuries[0].healing];
+  other.x = other.y = -50;
+  advance(state, 100);
+  const healedInBed = before[0] - patient.injuries[0].healing;
+  const healedOutside = before[1] - other.injuries[0].healing;
+  assert(healedInBed > healedOutside, `a hospital bed heals faster (${healedInBed} vs ${healedOutside})`);
+
+  // Once well, they get up
+  patient.injuries = [];
+  patient.hp = patient.maxHp;
+  decideDwarf(patient, state);
+  assert(patient.currentTask?.type !== TASK_TYPE.RECOVER, 'the healed patient leaves the bed');
+}
+
+// ============================================================
+console.log('\n(g) prompts');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  dwarf.injuries = [{ part: BODY_PART.LEFT_LEG, kind: INJURY_KIND.FRACTURE, severity: 0.4, bleeding: 0, infected: false, treated: false, care: 0, healing: 3600, age: 0 }];
+  assert(describeInjuries(dwarf) === 'broken left leg', `wounds read plainly (${describeInjuries(dwarf)})`);
+  assert(buildLocalContext(dwarf, state).includes('You are hurt: broken left leg'), 'local context mentions the wound');
+  assert(buildEntitySystemPrompt(dwarf, 'dwarf').includes('Your wounds: broken left leg'), 'the chat prompt does too');
+  dwarf.injuries = [];
+  assert(!buildLocalContext(dwarf, state).includes('hurt'), 'the unhurt say nothing of it');
+}
+
+// ============================================================
+console.log('\n(h) save/load');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  inflictInjury(dwarf, 10, DAMAGE_TYPE.EDGE, null, state);
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  const dwarf2 = restored.dwarves.find(d => d.id === dwarf.id);
+  assert(describeInjuries(dwarf2) === describeInjuries(dwarf), 'wounds are restored');
+  assert(dwarf2.moveRate === dwarf.moveRate && dwarf2.workRate === dwarf.workRate, 'with their effects');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,375 @@
+// Military test — squads, routines, defend/attack orders and morale
+// Run with: node tests/test-military.js
+//
+// Proves:
+//  (a) squads are formed, manned and disbanded through the input log;
+//      posts must be open floor
+//  (b) by day a squad trains together and its members gain melee and
+//      dodge; at night, or hungry on a training day, they are off duty
+//  (c) a guard squad holds its station and a patrol walks its route
+//  (d) a defend order holds a spot day and night and fights what comes
+//      near it; an attack order hunts its target and ends with it
+//  (e) fear is morale: outnumbered or wounded soldiers lose their nerve
+//      and run, fallen squadmates shake the rest, quiet and company
+//      steady them
+//  (f) trained skills tell in combat: melee hits harder, dodge slips blows
+//  (g) squads survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  SQUAD_ROUTINE, SQUAD_ORDER, getSquads, getSquadOf, getSoldierDuty, getMorale, isShaken,
+  issueSquadOrder, tickMilitary,
+} = await import('../src/sim/military.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { attemptAttack } = await import('../src/sim/combat.js');
+const { createVisitor } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE } = await import('../src/sim/races.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { distance } = await import('../src/sim/entities.js');
+const { getCalendar } = await import('../src/sim/clock.js');
+const { INPUT_KIND, startRecording, stopInputLog, getRecording } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Walkable tiles nearest a point */
+function floorNear(state, from, count) {
+  const tiles = [];
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y, dist: Math.abs(x - from.x) + Math.abs(y - from.y) });
+    }
+  }
+  return tiles.sort((a, b) => a.dist - b.dist).slice(0, count);
+}
+
+/** A fresh world by day with no visitors and fed, rested dwarves */
+async function fortress() {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  state.visitors = [];
+  state.tick = 1200 * 3 + 300;
+  state.clock = getCalendar(state.tick);
+  for (const dwarf of state.dwarves) Object.assign(dwarf, { hunger: 10, energy: 100 });
+  return state;
+}
+
+/** A squad of the first `count` dwarves */
+function muster(state, count, name) {
+  const squad = issueSquadOrder(state, { action: 'create', name }) && getSquads().at(-1);
+  for (const dwarf of state.dwarves.slice(0, count)) {
+    issueSquadOrder(state, { action: 'assign', squadId: squad.id, dwarfId: dwarf.id });
+  }
+  return squad;
+}
+
+/** A goblin raider standing at a spot */
+function goblin(state, at) {
+  const visitor = createVisitor(at.x, at.y, RACE.GOBLIN, VISITOR_ROLE.RAIDER);
+  state.visitors.push(visitor);
+  return visitor;
+}
+
+/** Dwarf decisions (and military upkeep) for a number of ticks */
+function run(state, ticks, dwarves = state.dwarves) {
+  for (let i = 0; i < ticks; i++) {
+    state.tick++;
+    state.clock = getCalendar(state.tick);
+    for (const dwarf of dwarves) {
+      const decision = decideDwarf(dwarf, state);
+      dwarf.state = decision.state;
+      dwarf.target = decision.target;
+    }
+    tickMilitary(state);
+  }
+}
+
+const skill = (dwarf, name) => dwarf.skills.find(s => s.name === name);
+const xpOf = (dwarf, name) => {
+  const s = skill(dwarf, name);
+  return s ? s.level * 1000 + s.experience : 0;
+};
+
+// ============================================================
+// (a) squads
+// ============================================================
+console.log('\n(a) squads');
+
+const barracks = await fortress();
+startRecording(WORLD.seed);
+const alpha = muster(barracks, 3, 'The Iron Shields');
+assert(getSquads().length === 1 && alpha.name === 'The Iron Shields' && alpha.memberIds.length === 3,
+  'a squad is formed and manned');
+assert(alpha.routine === SQUAD_ROUTINE.TRAIN && alpha.order === null, 'a new squad trains and has no order');
+assert(barracks.log.some(e => /joins The Iron Shields/.test(e.message)), 'recruits are logged');
+
+const beta = muster(barracks, 0);
+assert(beta.name === 'Squad 2', 'an unnamed squad is numbered');
+const recruit = barracks.dwarves[0];
+issueSquadOrder(barracks, { action: 'assign', squadId: beta.id, dwarfId: recruit.id });
+assert(getSquadOf(recruit) === beta && !alpha.memberIds.includes(recruit.id), 'a dwarf serves in one squad at a time');
+issueSquadOrder(barracks, { action: 'unassign', dwarfId: recruit.id });
+assert(getSquadOf(recruit) === null, 'a dwarf can be dismissed');
+
+const wall = { x: 0, y: 0 };
+assert(!isPassable(barracks, wall.x, wall.y), '(the map corner is rock)');
+issueSquadOrder(barracks, { action: 'station', squadId: alpha.id, ...wall });
+issueSquadOrder(barracks, { action: 'defend', squadId: alpha.id, ...wall });
+assert(alpha.station === null && alpha.order === null, 'posts must be open floor');
+
+issueSquadOrder(barracks, { action: 'disband', squadId: beta.id });
+assert(getSquads().length === 1, 'a squad can be disbanded');
+const recorded = getRecording().inputs.filter(e => e.kind === INPUT_KIND.MILITARY);
+assert(recorded.length >= 6 && recorded[0].payload.action === 'create', 'squad orders are written to the input log');
+stopInputLog();
+
+// ============================================================
+// (b) training
+// ============================================================
+console.log('\n(b) training');
+
+const drill = await fortress();
+const drillSquad = muster(drill, 3);
+const trainees = drill.dwarves.slice(0, 3);
+const yard = floorNear(drill, trainees[0], 12);
+trainees.forEach((d, i) => Object.assign(d, { x: yard[i * 5].x, y: yard[i * 5].y }));
+const spot = yard[0];
+issueSquadOrder(drill, { action: 'station', squadId: drillSquad.id, x: spot.x, y: spot.y });
+const before = trainees.map(d => [xpOf(d, 'melee'), xpOf(d, 'dodge')]);
+run(drill, 120);
+assert(trainees.every(d => d.state === 'training' && distance(d, spot) <= 2), 'by day the squad trains at its station');
+assert(trainees.every((d, i) => xpOf(d, 'melee') > before[i][0] && xpOf(d, 'dodge') > before[i][1]),
+  'training raises melee and dodge');
+assert(trainees.every(d => skill(d, 'dodge').category === 'combat'), 'dodge is learned as a combat skill');
+assert(drill.dwarves[3].state !== 'training', 'dwarves outside the squad go about their day');
+
+drill.tick = 1200 * 4 - 100;
+drill.clock = getCalendar(drill.tick);
+assert(drill.clock.phase === 'night' && getSoldierDuty(trainees[0], drill) === null, 'at night the squad stands down');
+
+drill.tick = 1200 * 4 + 300;
+drill.clock = getCalendar(drill.tick);
+trainees[0].hunger = 70;
+const hungry = decideDwarf(trainees[0], drill);
+assert(hungry.state !== 'training' && hungry.state !== 'marching', 'a hungry trainee goes to eat first');
+
+// ============================================================
+// (c) stations and patrols
+// ============================================================
+console.log('\n(c) stations and patrols');
+
+const guardpost = await fortress();
+const guards = muster(guardpost, 2);
+const [stationSpot] = floorNear(guardpost, { x: guardpost.dwarves[0].x + 6, y: guardpost.dwarves[0].y }, 1);
+issueSquadOrder(guardpost, { action: 'station', squadId: guards.id, x: stationSpot.x, y: stationSpot.y });
+issueSquadOrder(guardpost, { action: 'routine', squadId: guards.id, routine: SQUAD_ROUTINE.STATION });
+run(guardpost, 80, guardpost.dwarves.slice(0, 2));
+assert(guardpost.dwarves.slice(0, 2).every(d => d.state === 'guarding' && distance(d, stationSpot) <= 1),
+  'a guard squad holds its station');
+
+const patrol = await fortress();
+const walkers = muster(patrol, 1);
+const walker = patrol.dwarves[0];
+const route = floorNear(patrol, walker, 60).filter(t => t.dist >= 4).slice(0, 2);
+for (const point of route) issueSquadOrder(patrol, { action: 'waypoint', squadId: walkers.id, x: point.x, y: point.y });
+issueSquadOrder(patrol, { action: 'routine', squadId: walkers.id, routine: SQUAD_ROUTINE.PATROL });
+const visited = new Set();
+for (let i = 0; i < 200; i++) {
+  run(patrol, 1, [walker]);
+  for (const [n, point] of route.entries()) if (distance(walker, point) <= 1) visited.add(n);
+}
+assert(walker.state === 'patrolling' && visited.size === 2, 'a patrol walks its route waypoint to waypoint');
+issueSquadOrder(patrol, { action: 'clear_route', squadId: walkers.id });
+assert(getSoldierDuty(walker, patrol).kind === SQUAD_ROUTINE.TRAIN, 'a patrol without a route trains instead');
+
+// ============================================================
+// (d) orders
+// ============================================================
+console.log('\n(d) orders');
+
+const hold = await fortress();
+const holders = muster(hold, 2);
+const defenders = hold.dwarves.slice(0, 2);
+const [holdSpot] = floorNear(hold, { x: defenders[0].x + 5, y: defenders[0].y }, 1);
+issueSquadOrder(hold, { action: 'defend', squadId: holders.id, x: holdSpot.x, y: holdSpot.y });
+assert(holders.order?.type === SQUAD_ORDER.DEFEND && hold.log.some(e => /moves to defend/.test(e.message)),
+  'a defend order is given');
+hold.tick = 1200 * 4 - 100;
+run(hold, 60, defenders);
+assert(hold.clock.phase === 'night' && defenders.every(d => d.state === 'guarding' && distance(d, holdSpot) <= 1),
+  'defenders hold the spot through the night');
+
+const far = floorNear(hold, holdSpot, 400).find(t => t.dist >= 12 && t.dist <= 16);
+const distant = goblin(hold, far);
+run(hold, 1, defenders);
+assert(defenders.every(d => d.state === 'guarding'), 'defenders don\'t chase what stays out of reach');
+const [nearSpot] = floorNear(hold, holdSpot, 40).filter(t => t.dist === 4);
+Object.assign(distant, { x: nearSpot.x, y: nearSpot.y });
+run(hold, 1, defenders);
+assert(defenders.every(d => d.state === 'fighting'), 'and fight what comes near the spot');
+issueSquadOrder(hold, { action: 'stand_down', squadId: holders.id });
+assert(holders.order === null, 'standing down cancels the order');
+
+const hunt = await fortress();
+const hunters = muster(hunt, 2);
+const [quarrySpot] = floorNear(hunt, hunt.dwarves[0], 400).filter(t => t.dist === 6);
+const quarry = createVisitor(quarrySpot.x, quarrySpot.y, RACE.HUMAN, VISITOR_ROLE.MERCHANT);
+hunt.visitors.push(quarry);
+issueSquadOrder(hunt, { action: 'attack', squadId: hunters.id, targetId: quarry.id });
+assert(hunters.order?.targetId === quarry.id, 'an attack order names its target');
+let closest = Infinity;
+for (let i = 0; i < 60 && closest > 1; i++) {
+  run(hunt, 1, hunt.dwarves.slice(0, 2));
+  closest = Math.min(closest, ...hunt.dwarves.slice(0, 2).map(d => distance(d, quarry)));
+}
+assert(hunt.dwarves[0].state === 'fighting' && closest <= 1, 'the squad goes after the target, hostile or not');
+quarry.hp = 0;
+quarry.state = 'dead';
+tickMilitary(hunt);
+assert(hunters.order === null && hunt.log.some(e => /is dealt with/.test(e.message)),
+  'the order ends with the target');
+
+// ============================================================
+// (e) morale
+// ============================================================
+console.log('\n(e) morale');
+
+const rout = await fortress();
+const lone = muster(rout, 1);
+const soldier = rout.dwarves[0];
+Object.assign(soldier, { personality: { ...soldier.personality, bravery: 0.5 } });
+soldier.drives.fear = 0;
+assert(getMorale(soldier) === 100, 'a calm soldier has full morale');
+const horde = floorNear(rout, soldier, 30).filter(t => t.dist >= 3 && t.dist <= 6).slice(0, 5);
+const raiders = horde.map(at => goblin(rout, at));
+for (let i = 0; i < 200 && !isShaken(soldier); i++) tickMilitary(rout);
+assert(isShaken(soldier) && soldier.drives.fear >= 75, 'an outnumbered soldier\'s fear climbs until their nerve breaks');
+assert(rout.log.some(e => /nerve breaks/.test(e.message)), 'the break is logged');
+assert(decideDwarf(soldier, rout).state === 'fleeing_combat', 'a shaken soldier runs');
+
+rout.visitors = [];
+for (let i = 0; i < 200 && isShaken(soldier); i++) tickMilitary(rout);
+assert(!isShaken(soldier) && soldier.drives.fear < 40 && rout.log.some(e => /steadies and rejoins/.test(e.message)),
+  'once the field is quiet they steady and rejoin');
+
+const wounds = await fortress();
+muster(wounds, 1);
+const hurt = wounds.dwarves[0];
+hurt.drives.fear = 0;
+tickMilitary(wounds);
+hurt.hp -= 5;
+wounds.visitors = [goblin(wounds, floorNear(wounds, hurt, 9).find(t => t.dist === 1))];
+tickMilitary(wounds);
+assert(hurt.drives.fear >= 10, 'wounds cost nerve');
+
+const fallen = await fortress();
+muster(fallen, 3);
+const [dead, ...mates] = fallen.dwarves.slice(0, 3);
+for (const d of mates) d.drives.fear = 0;
+tickMilitary(fallen);
+dead.hp = 0;
+fallen.dwarves = fallen.dwarves.filter(d => d !== dead);
+tickMilitary(fallen);
+assert(getSquads()[0].memberIds.length === 2 && mates.every(d => d.drives.fear > 15),
+  'a fallen squadmate leaves the roster and shakes the rest');
+
+const company = await fortress();
+muster(company, 2);
+const [steady, mate] = company.dwarves;
+Object.assign(mate, { x: steady.x, y: steady.y });
+steady.drives.fear = 50;
+const alone = company.dwarves[2];
+alone.drives.fear = 50;
+tickMilitary(company);
+assert(steady.drives.fear < 50 - 0.5, 'squadmates at hand steady each other');
+
+// ============================================================
+// (f) skills in combat
+// ============================================================
+console.log('\n(f) skills in combat');
+
+const arena = await fortress();
+const [striker, target] = arena.dwarves;
+Object.assign(target, { x: striker.x + 1, y: striker.y });
+const swing = (attacker, defender) => {
+  attacker.attackCooldown = 0;
+  const hpBefore = defender.hp;
+  defender.hp = 1000;
+  const result = attemptAttack(attacker, defender, arena);
+  const dealt = 1000 - defender.hp;
+  defender.hp = hpBefore;
+  return { result, dealt };
+};
+
+skill(striker, 'melee').level = 0;
+target.skills = target.skills.filter(s => s.name !== 'dodge');
+let untrained = 0;
+for (let i = 0; i < 200; i++) untrained += swing(striker, target).dealt;
+skill(striker, 'melee').level = 1;
+let trained = 0;
+for (let i = 0; i < 200; i++) trained += swing(striker, target).dealt;
+assert(trained > untrained * 1.3, 'melee training makes for harder hits');
+
+let hits = 0;
+for (let i = 0; i < 200; i++) if (swing(striker, target).result.success) hits++;
+assert(hits === 200, 'an untrained defender takes every blow');
+target.skills.push({ name: 'dodge', level: 1, experience: 0, proficiency: 0.7, category: 'combat', prerequisites: [] });
+let dodged = 0;
+for (let i = 0; i < 200; i++) if (swing(striker, target).result.reason === 'dodged') dodged++;
+assert(dodged > 40 && dodged < 120, 'a trained dodger slips some of them');
+
+// ============================================================
+// (g) saves
+// ============================================================
+console.log('\n(g) save/load');
+
+const saved = await fortress();
+const savedSquad = muster(saved, 2, 'The Old Guard');
+const [post] = floorNear(saved, saved.dwarves[0], 1);
+issueSquadOrder(saved, { action: 'station', squadId: savedSquad.id, x: post.x, y: post.y });
+issueSquadOrder(saved, { action: 'waypoint', squadId: savedSquad.id, x: post.x, y: post.y });
+issueSquadOrder(saved, { action: 'defend', squadId: savedSquad.id, x: post.x, y: post.y });
+saved.dwarves[1].shaken = true;
+const savedJson = JSON.stringify(getSquads());
+const save = stringifySave(createSaveSnapshot(saved));
+await fortress();
+assert(getSquads().length === 0, 'a new world starts without squads');
+const restored = createWorldState();
+restoreSaveSnapshot(restored, parseSave(save));
+assert(JSON.stringify(getSquads()) === savedJson, 'squads, posts and orders are restored');
+const veteran = restored.dwarves.find(d => d.id === saved.dwarves[0].id);
+assert(getSquadOf(veteran)?.name === 'The Old Guard' && getSoldierDuty(veteran, restored)?.kind === SQUAD_ORDER.DEFEND,
+  'soldiers return to their duty');
+assert(isShaken(restored.dwarves.find(d => d.id === saved.dwarves[1].id)), 'and a broken nerve stays broken');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
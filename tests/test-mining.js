@@ -0,0 +1,289 @@
+// Mining & metal industry test — ore veins, smelting, forging and gems
+// Run with: node tests/test-mining.js
+//
+// Proves:
+//  (a) the mixed map lays down copper and iron veins and gem seams
+//  (b) a miner digs an ore vein out into ore, a gem seam into a rough gem
+//      and plain rock into stone; the strike is logged and ORE_MINED fires
+//  (c) the smelter, forge and jeweler are blueprints with recipes of their
+//      own, and dug-up ore calls for a smelter
+//  (d) the smelter burns logs into charcoal and smelts ore into bars, but
+//      not without fuel; the forge works bars into arms, copper a step
+//      below iron
+//  (e) the jeweler cuts rough gems and sets them in copper; finer goods
+//      fetch more, and ore and charcoal go to the right stockpiles
+//  (f) a smelting job survives save/load, still at its smelter
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  STRUCTURE_TYPE, BLUEPRINTS, DIG_YIELDS, importConstructionState, applyDesignationOrder, getDesignationAt,
+  canDig, workOnDig, suggestStructure,
+} = await import('../src/sim/construction.js');
+const {
+  RECIPES, FUEL, getRecipesForWorkshop, canCraftRecipe, createCraftingJob, getCraftingJobs, workOnCrafting,
+} = await import('../src/sim/crafting.js');
+const { getGearRating } = await import('../src/sim/equipment.js');
+const { getItemValue, getOfferPrice } = await import('../src/sim/trade.js');
+const { getItemCategory, STOCKPILE_CATEGORY } = await import('../src/sim/stockpiles.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { TASK_TYPE, SKILL } = await import('../src/sim/tasks.js');
+const { TileType, createTile } = await import('../src/map/tiles.js');
+const { createMap, getTile, setTile, getLevel } = await import('../src/map/map.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+const tileAt = (state, x, y) => getTile(state.map, x, y);
+const place = (state, x, y, type) => { setTile(state.map, x, y, createTile(type)); };
+
+/** A fed, rested fortress with no loose goods */
+async function fortress() {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  state.visitors = [];
+  state.resources = [];
+  for (const dwarf of state.dwarves) {
+    Object.assign(dwarf, {
+      hunger: 10,
+      energy: 100,
+      mood: 60,
+      fulfillment: { social: 80, exploration: 80, creativity: 80, tranquility: 80 },
+    });
+  }
+  return state;
+}
+
+/** A smelter, forge and jeweler side by side next to the first dwarf */
+function industry(state) {
+  const smith = state.dwarves[0];
+  const types = [STRUCTURE_TYPE.WORKSHOP_SMELTER, STRUCTURE_TYPE.WORKSHOP_FORGE, STRUCTURE_TYPE.WORKSHOP_JEWELER];
+  const structures = types.map(type => ({
+    id: nextId(), type, name: BLUEPRINTS[type].name, x: smith.x, y: smith.y, width: 1, height: 1, complete: true,
+  }));
+  importConstructionState({ structures });
+  return smith;
+}
+
+/** Goods in a pile at the smith's feet */
+function stock(state, smith, type, amount) {
+  const pile = { id: nextId(), type, amount, x: smith.x, y: smith.y };
+  state.resources.push(pile);
+  return pile;
+}
+
+const count = (state, type) => state.resources.filter(r => r.type === type).reduce((sum, r) => sum + r.amount, 0);
+
+/** Queue a recipe and work it through to the finished item */
+function craft(state, smith, recipeId) {
+  createCraftingJob(recipeId, null, state);
+  const job = getCraftingJobs().find(j => j.recipeId === recipeId && j.status === 'pending');
+  let item = null;
+  for (let i = 0; i < 100 && !item && job; i++) item = workOnCrafting(job, smith, state);
+  return item;
+}
+
+// ============================================================
+console.log('\n(a) veins on the map');
+// ============================================================
+{
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, mode: 'mixed', width: 60, height: 30 }));
+  const tally = {};
+  for (const tile of getLevel(state.map)) tally[tile.type] = (tally[tile.type] || 0) + 1;
+  assert(tally[TileType.ORE_COPPER] > 0 && tally[TileType.ORE_IRON] > 0,
+    `copper and iron veins run through the rock (${tally[TileType.ORE_COPPER]} / ${tally[TileType.ORE_IRON]})`);
+  assert(tally[TileType.GEMSTONE] > 0, `and gem seams (${tally[TileType.GEMSTONE]})`);
+}
+
+// ============================================================
+console.log('\n(b) digging out ore and gems');
+// ============================================================
+{
+  const state = await fortress();
+  const miner = state.dwarves[0];
+  const vein = { x: miner.x + 1, y: miner.y };
+  place(state, vein.x, vein.y, TileType.ORE_IRON);
+  assert(canDig(vein.x, vein.y, state), 'an ore vein can be dug');
+  applyDesignationOrder(state, { action: 'dig', x1: vein.x, y1: vein.y, x2: vein.x, y2: vein.y });
+
+  const mined = [];
+  const off = on(EVENTS.ORE_MINED, (e) => mined.push(e));
+  decideDwarf(miner, state);
+  assert(miner.currentTask?.type === TASK_TYPE.DIG, `a miner sets out to dig the vein (${miner.currentTask?.type})`);
+  for (let i = 0; i < 300 && getDesignationAt(vein.x, vein.y); i++) {
+    state.tick++;
+    const d = decideDwarf(miner, state);
+    miner.state = d.state;
+    miner.target = d.target;
+  }
+
+  const ore = state.resources.find(r => r.x === vein.x && r.y === vein.y);
+  assert(tileAt(state, vein.x, vein.y).type === 'floor', 'the vein is dug out');
+  assert(ore?.type === 'iron_ore' && ore.amount >= 1 && ore.amount <= 2, `it yields iron ore (${ore?.type} x${ore?.amount})`);
+  assert(mined.length === 1 && mined[0].resource === ore && mined[0].dwarf === miner, 'ORE_MINED names the miner');
+  assert(state.log.some(l => l.message.includes('strikes iron ore')), 'the log tells of the strike');
+
+  const gem = { x: 1, y: 1 };
+  const rock = { x: 3, y: 1 };
+  place(state, gem.x, gem.y, TileType.GEMSTONE);
+  place(state, rock.x, rock.y, TileType.CAVE_WALL);
+  applyDesignationOrder(state, { action: 'dig', x1: gem.x, y1: gem.y, x2: rock.x, y2: rock.y });
+  for (let i = 0; i < 100 && (getDesignationAt(gem.x, gem.y) || getDesignationAt(rock.x, rock.y)); i++) {
+    workOnDig(gem.x, gem.y, miner, state);
+    workOnDig(rock.x, rock.y, miner, state);
+  }
+  off();
+  const at = ({ x, y }) => state.resources.find(r => r.x === x && r.y === y);
+  assert(at(gem)?.type === 'rough_gem' && at(gem).amount === 1, 'a gem seam yields a rough gem');
+  assert(at(rock)?.type === 'stone', 'plain rock still yields stone');
+  assert(mined.length === 2, 'and only ore and gems are announced');
+  assert(Object.keys(DIG_YIELDS).every(type => canDig(0, 0, { map: createMap(1, 1, 1, () => createTile(type)) })),
+    'every vein type is diggable');
+}
+
+// ============================================================
+console.log('\n(c) smelter, forge and jeweler');
+// ============================================================
+{
+  for (const type of [STRUCTURE_TYPE.WORKSHOP_SMELTER, STRUCTURE_TYPE.WORKSHOP_FORGE, STRUCTURE_TYPE.WORKSHOP_JEWELER]) {
+    const blueprint = BLUEPRINTS[type];
+    const recipes = getRecipesForWorkshop(type);
+    assert(blueprint?.glyph && recipes.length > 0,
+      `${blueprint?.name} is a workshop blueprint with ${recipes.length} recipes`);
+  }
+  const fired = Object.values(RECIPES).filter(r =>
+    r.workshop === STRUCTURE_TYPE.WORKSHOP_SMELTER || r.workshop === STRUCTURE_TYPE.WORKSHOP_FORGE);
+  assert(fired.filter(r => r.output.type !== FUEL).every(r => r.materials.some(m => m.type === FUEL)),
+    'every smelting and forging recipe burns fuel');
+  assert(Object.values(RECIPES).filter(r => r.materials.some(m => m.type === 'iron_bar'))
+    .every(r => r.workshop === STRUCTURE_TYPE.WORKSHOP_FORGE), 'iron is worked at the forge');
+
+  const state = await fortress();
+  const bedrooms = state.dwarves.map(() => STRUCTURE_TYPE.BEDROOM);
+  importConstructionState({
+    structures: [STRUCTURE_TYPE.SHELTER, STRUCTURE_TYPE.FOOD_STORAGE, STRUCTURE_TYPE.DINING_HALL, ...bedrooms]
+      .map(type => ({ id: nextId(), type, name: BLUEPRINTS[type].name, x: 0, y: 0, width: 1, height: 1, complete: true })),
+  });
+  state.dwarves.forEach(d => { d.skills = []; });
+  const before = suggestStructure(state)?.type;
+  stock(state, state.dwarves[0], 'copper_ore', 2);
+  assert(before !== STRUCTURE_TYPE.WORKSHOP_SMELTER && suggestStructure(state)?.type === STRUCTURE_TYPE.WORKSHOP_SMELTER,
+    'dug-up ore calls for a smelter');
+}
+
+// ============================================================
+console.log('\n(d) smelting and forging');
+// ============================================================
+{
+  const state = await fortress();
+  const smith = industry(state);
+  stock(state, smith, 'copper_ore', 1);
+  stock(state, smith, 'iron_ore', 1);
+  assert(!canCraftRecipe('copper_bar', state), 'ore will not smelt without fuel');
+
+  stock(state, smith, 'wood', 2);
+  const charcoal = craft(state, smith, 'charcoal');
+  assert(charcoal?.type === FUEL && charcoal.amount === 2 && count(state, 'wood') === 1, 'a log burns down to charcoal');
+  assert(canCraftRecipe('copper_bar', state), 'with charcoal, the ore can be smelted');
+
+  const copper = craft(state, smith, 'copper_bar');
+  const iron = craft(state, smith, 'iron_bar');
+  assert(copper?.type === 'copper_bar' && iron?.type === 'iron_bar', 'ore is smelted into bars');
+  assert(count(state, 'copper_ore') === 0 && count(state, 'iron_ore') === 0 && count(state, FUEL) === 0,
+    'each smelt takes its ore and a unit of charcoal');
+  assert(smith.skills.some(s => s.name === SKILL.METALWORKING && s.experience > 0), 'smelting trains metalworking');
+
+  assert(!canCraftRecipe('iron_dagger', state), 'the forge too needs fuel');
+  stock(state, smith, FUEL, 2);
+  const ironDagger = craft(state, smith, 'iron_dagger');
+  const copperDagger = craft(state, smith, 'copper_dagger');
+  assert(ironDagger?.type === 'dagger' && ironDagger.material === 'iron' && copperDagger?.material === 'copper',
+    'the forge works bars into daggers');
+  const rate = (item) => getGearRating({ ...item, quality: null });
+  assert(rate(copperDagger) < rate(ironDagger), `copper cuts worse than iron (${rate(copperDagger)} < ${rate(ironDagger)})`);
+}
+
+// ============================================================
+console.log('\n(e) gems, value and storage');
+// ============================================================
+{
+  const state = await fortress();
+  const smith = industry(state);
+  const rough = stock(state, smith, 'rough_gem', 1);
+  const roughValue = getItemValue(rough);
+  stock(state, smith, 'copper_bar', 1);
+
+  const gem = craft(state, smith, 'cut_gem');
+  assert(gem?.type === 'cut_gem' && gem.quality, 'the jeweler cuts a rough gem');
+  assert(smith.skills.some(s => s.name === SKILL.GEM_CUTTING && s.experience > 0), 'cutting trains gem cutting');
+  assert(getItemValue({ ...gem, quality: null }) > roughValue, 'a cut gem is worth more than a rough one');
+
+  const jewelry = craft(state, smith, 'jewelry');
+  assert(jewelry?.type === 'jewelry' && jewelry.material === 'copper', 'and sets it in copper');
+  assert(count(state, 'cut_gem') === 0 && count(state, 'copper_bar') === 0, 'using up the gem and the bar');
+  const merchant = { race: 'human', priceFactor: 1 };
+  assert(getOfferPrice(merchant, jewelry) > getItemValue(jewelry), 'human merchants pay extra for jewelry');
+
+  assert(getItemCategory({ type: 'iron_ore' }) === STOCKPILE_CATEGORY.STONE
+    && getItemCategory({ type: 'copper_ore' }) === STOCKPILE_CATEGORY.STONE, 'ore is stored with stone');
+  assert(getItemCategory({ type: FUEL }) === STOCKPILE_CATEGORY.WOOD, 'charcoal with wood');
+  assert(getItemCategory({ type: 'rough_gem' }) === STOCKPILE_CATEGORY.GOODS, 'and gems and bars with goods');
+}
+
+// ============================================================
+console.log('\n(f) save/load');
+// ============================================================
+{
+  const state = await fortress();
+  const smith = industry(state);
+  stock(state, smith, 'iron_ore', 1);
+  stock(state, smith, FUEL, 1);
+  createCraftingJob('iron_bar', null, state);
+  const [job] = getCraftingJobs();
+  workOnCrafting(job, smith, state);
+  assert(job.materialsReserved && job.progress > 0, 'a smelt is under way');
+
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  const [again] = getCraftingJobs();
+  assert(again?.recipeId === 'iron_bar' && again.progress === job.progress, 'the job is restored with its progress');
+  assert(again?.workshop?.type === STRUCTURE_TYPE.WORKSHOP_SMELTER && again.recipe === RECIPES.iron_bar,
+    'still at its smelter');
+  let bar = null;
+  const smith2 = restored.dwarves.find(d => d.id === smith.id);
+  for (let i = 0; i < 100 && !bar; i++) bar = workOnCrafting(again, smith2, restored);
+  assert(bar?.type === 'iron_bar', 'and finishes into an iron bar');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
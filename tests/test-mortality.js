@@ -0,0 +1,336 @@
+// Mortality test — starvation, exposure, old age, burials and grief
+// Run with: node tests/test-mortality.js
+//
+// Proves:
+//  (a) mortality is opt-in: harsh and brutal difficulty turn it on, and
+//      only then does hunger climb past its usual cap
+//  (b) a dwarf left at the hunger limit for a day starves (a meal starts
+//      the count over); processDeath announces it with its cause
+//  (c) a dwarf caught out in snow chills through and loses hit points to
+//      the cold until it dies of exposure; a roof warms them back up
+//  (d) dwarves age a year per 120 days; past 100 each dawn may be their
+//      last, never in a world that isn't mortal
+//  (e) the fallen leave remains, and their friends grieve: mood, memory,
+//      a relationship kept under the dead dwarf's name, and mourners of
+//      the same dwarf grow closer
+//  (f) a dwarf buries the remains in a grave, easing the mourners, and
+//      the chronicle hears of the death and the burial
+//  (g) remains and graves survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  tickMortality, recordDeath, getRemains, getGraves, isFreezing, describeDeath, isMortalityEnabled,
+} = await import('../src/sim/mortality.js');
+const { getDifficultyModifiers } = await import('../src/scenarios/scenarioSchema.js');
+const { resolveWorldSettings } = await import('../src/sim/worldGen.js');
+const { applyHunger, processDeath, RULES } = await import('../src/sim/rules.js');
+const { cleanupDeadEntities } = await import('../src/sim/combat.js');
+const { STARVATION_TICKS, HUNGER_DEATH, HUNGER_CAP } = await import('../src/sim/entities.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { TASK_TYPE } = await import('../src/sim/tasks.js');
+const { applyLaborOrder } = await import('../src/sim/labor.js');
+const { initConstruction } = await import('../src/sim/construction.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { buildLocalContext } = await import('../src/llm/worldContext.js');
+const { buildEntitySystemPrompt } = await import('../src/llm/prompts/entityChat.js');
+const { initNarratorEventTaps, clearPending, forceNarration } = await import('../src/llm/eventNarrator.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { getCalendar, TICKS_PER_DAY } = await import('../src/sim/clock.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world by day with no visitors and fed, rested, content dwarves */
+async function fortress(difficulty = 'harsh') {
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, scenario: { parameters: { difficulty } } }));
+  initConstruction();
+  state.visitors = [];
+  state.resources = [];
+  state.tick = TICKS_PER_DAY * 3 + 300;
+  state.clock = getCalendar(state.tick);
+  for (const dwarf of state.dwarves) {
+    Object.assign(dwarf, {
+      hunger: 10,
+      energy: 100,
+      mood: 60,
+      injuries: [],
+      fulfillment: { social: 80, exploration: 80, creativity: 80, tranquility: 80 },
+    });
+  }
+  return state;
+}
+
+/** Run the mortality tick n times */
+function advance(state, ticks) {
+  for (let i = 0; i < ticks; i++) {
+    state.tick++;
+    tickMortality(state);
+  }
+}
+
+/** Befriend (or not) two dwarves, as if they had talked */
+function relate(a, b, affinity) {
+  a.relationships[b.id] = { affinity, interactions: 3, lastInteraction: 0, conversationLog: [] };
+}
+
+// ============================================================
+console.log('\n(a) mortality is opt-in');
+// ============================================================
+{
+  assert(!getDifficultyModifiers('peaceful').mortality && !getDifficultyModifiers('normal').mortality,
+    'peaceful and normal worlds are not mortal');
+  assert(getDifficultyModifiers('harsh').mortality && getDifficultyModifiers('brutal').mortality,
+    'harsh and brutal worlds are');
+  assert(resolveWorldSettings({ parameters: { difficulty: 'brutal' } }).mortality === true, 'world settings carry the flag');
+  assert(resolveWorldSettings(null).mortality === false, 'no scenario is not mortal');
+
+  const gentle = await fortress('normal');
+  assert(!isMortalityEnabled(), 'a normal world is created without mortality');
+  gentle.dwarves[0].hunger = 99;
+  applyHunger(gentle);
+  assert(gentle.dwarves[0].hunger === HUNGER_CAP, `hunger stays capped (${gentle.dwarves[0].hunger})`);
+
+  const harsh = await fortress('harsh');
+  assert(isMortalityEnabled(), 'a harsh world is created mortal');
+  harsh.dwarves[0].hunger = 99.95;
+  applyHunger(harsh);
+  assert(harsh.dwarves[0].hunger === HUNGER_DEATH, `hunger reaches the limit (${harsh.dwarves[0].hunger})`);
+  assert(RULES.HUNGER_PER_TICK > 0, 'hunger still climbs');
+}
+
+// ============================================================
+console.log('\n(b) starvation');
+// ============================================================
+{
+  const state = await fortress();
+  const [dwarf, fed] = state.dwarves;
+  dwarf.hunger = HUNGER_DEATH;
+  fed.hunger = HUNGER_DEATH;
+
+  advance(state, 200);
+  fed.hunger = 50;
+  advance(state, 1);
+  assert(fed.starving === 0, 'a meal starts the count over');
+
+  advance(state, STARVATION_TICKS - 202);
+  assert(dwarf.hp > 0, `alive just short of a day at the limit (starving ${dwarf.starving})`);
+  advance(state, 1);
+  assert(dwarf.hp === 0 && dwarf.deathCause === 'starvation', 'a day at the limit starves them');
+
+  const deaths = [];
+  const off = on(EVENTS.DWARF_DEATH, (e) => deaths.push(e));
+  processDeath(state);
+  off();
+  assert(deaths.length === 1 && deaths[0].cause === 'starvation', 'DWARF_DEATH carries the cause');
+  assert(state.log.some(l => l.message.includes('has starved to death')), 'the log says how');
+
+  const gentle = await fortress('normal');
+  gentle.dwarves[0].hunger = HUNGER_DEATH;
+  advance(gentle, STARVATION_TICKS + 10);
+  assert(gentle.dwarves[0].hp > 0, 'nobody starves in a world that is not mortal');
+}
+
+// ============================================================
+console.log('\n(c) exposure');
+// ============================================================
+{
+  const state = await fortress();
+  const dwarf = state.dwarves[0];
+  const startHp = dwarf.hp;
+  dwarf._weatherType = 'snow';
+  dwarf._weatherExposure = 3000;
+
+  advance(state, 100);
+  assert(isFreezing(dwarf), `a long while out in the snow chills them through (chill ${dwarf.chill.toFixed(2)})`);
+  advance(state, 260);
+  assert(dwarf.hp < startHp, `and the cold takes hit points (${dwarf.hp}/${startHp})`);
+  assert(buildLocalContext(dwarf, state).includes('chilled to the bone'), 'they know it');
+
+  dwarf._weatherType = null;
+  dwarf._weatherExposure = 0;
+  const hp = dwarf.hp;
+  advance(state, 300);
+  assert(!isFreezing(dwarf) && dwarf.hp === hp, 'under a roof they warm up and stop losing hit points');
+
+  dwarf._weatherType = 'snow';
+  dwarf._weatherExposure = 3000;
+  advance(state, 60 * (startHp + 10));
+  assert(dwarf.hp <= 0 && dwarf.deathCause === 'exposure', 'left out long enough, they die of exposure');
+}
+
+// ============================================================
+console.log('\n(d) old age');
+// ============================================================
+{
+  const state = await fortress();
+  const [elder, young] = state.dwarves;
+  const expected = 20 + Math.round((young.personality.patience + young.personality.stubbornness) * 40);
+  assert(young.age === expected, `age comes from temperament (${young.age})`);
+  assert(state.dwarves.every(d => d.age >= 20 && d.age <= 100), 'every dwarf starts a grown adult');
+
+  state.tick = TICKS_PER_DAY * 10 - 1;
+  young.age = 50;
+  advance(state, 1);
+  assert(Math.abs(young.age - (50 + 1 / 120)) < 1e-9, 'a dawn ages them a 120th of a year');
+
+  elder.age = 140;
+  let days = 0;
+  while (elder.hp > 0 && days < 60) {
+    advance(state, TICKS_PER_DAY);
+    days++;
+  }
+  assert(elder.hp === 0 && elder.deathCause === 'old_age', `a very old dwarf dies in their sleep (day ${days})`);
+  assert(young.hp > 0, 'the young do not');
+
+  const gentle = await fortress('normal');
+  gentle.dwarves[0].age = 140;
+  advance(gentle, TICKS_PER_DAY * 30);
+  assert(gentle.dwarves[0].hp > 0 && gentle.dwarves[0].age > 140, 'in a world that is not mortal they only grow older');
+}
+
+// ============================================================
+console.log('\n(e) remains and grief');
+// ============================================================
+let graveWorld;
+{
+  const state = await fortress();
+  const [dead, friend, pal, rival] = state.dwarves;
+  for (const d of state.dwarves) d.relationships = {};
+  relate(friend, dead, 60);
+  relate(pal, dead, 30);
+  relate(rival, dead, -40);
+  const moods = Object.fromEntries(state.dwarves.map(d => [d.id, d.mood]));
+
+  // Fall a short open walk from the friend who will bury them
+  const clear = (dx) => [1, 2, 3, 4].every(step => isPassable(state, friend.x + dx * step, friend.y));
+  const dx = clear(1) ? 1 : -1;
+  Object.assign(dead, { x: friend.x + dx * 4, y: friend.y });
+  dead.hp = 0;
+  dead.deathCause = 'exposure';
+  processDeath(state);
+  cleanupDeadEntities(state);
+
+  assert(!state.dwarves.includes(dead), 'the dead leave the roster');
+  const body = getRemains().find(r => r.dwarfId === dead.id);
+  assert(body && body.x === dead.x && body.y === dead.y && body.cause === 'exposure', 'and leave remains where they fell');
+  assert(recordDeath(dead, state) === null, 'remains are recorded once');
+
+  assert(friend.mood < moods[friend.id] && pal.mood < moods[pal.id], 'friends grieve');
+  assert(moods[friend.id] - friend.mood > moods[pal.id] - pal.mood, 'the closer the friend, the deeper the grief');
+  assert(rival.mood === moods[rival.id], 'rivals do not');
+  assert(friend.memory.significantEvents.some(e => e.content.includes(describeDeath('exposure'))), 'the loss is remembered');
+
+  const rel = friend.relationships[dead.id];
+  assert(rel.deceased && rel.name === body.name, 'the relationship is kept under their name');
+  assert(rival.relationships[dead.id].deceased, 'every relationship is marked');
+  assert(friend.relationships[pal.id]?.affinity === 5 && pal.relationships[friend.id]?.affinity === 5,
+    'mourners of the same dwarf grow closer');
+  assert(!rival.relationships[friend.id], 'the rival is no mourner');
+  assert(state.log.some(l => l.message.includes(`mourn ${body.name}`)), 'the log tells of the mourning');
+
+  const prompt = buildEntitySystemPrompt(friend, 'dwarf', { dwarves: state.dwarves });
+  assert(prompt.includes(`${body.name}: a friend you lost`), 'the chat prompt names the lost friend');
+  const spot = { x: friend.x, y: friend.y };
+  Object.assign(friend, { x: body.x, y: body.y });
+  assert(buildLocalContext(friend, state).includes(`${body.name}'s body lies unburied nearby`), 'the unburied body is seen nearby');
+  Object.assign(friend, spot);
+  graveWorld = { state, body, friend, pal, moods };
+}
+
+// ============================================================
+console.log('\n(f) burial');
+// ============================================================
+{
+  const { state, body, friend, pal } = graveWorld;
+  initNarratorEventTaps(state);
+  clearPending();
+  const gravedigger = friend;
+
+  // Everyone but the gravedigger has the bury labor off
+  for (const d of state.dwarves) {
+    if (d !== gravedigger) applyLaborOrder(state, { dwarfId: d.id, labor: 'bury', enabled: false });
+  }
+  decideDwarf(pal, state);
+  assert(pal.currentTask?.type !== TASK_TYPE.BURY, 'the bury labor can be turned off');
+
+  const decision = decideDwarf(gravedigger, state);
+  assert(gravedigger.currentTask?.type === TASK_TYPE.BURY && decision.state === 'burying',
+    `a dwarf sets out to bury the dead (${gravedigger.currentTask?.type})`);
+
+  const buried = [];
+  const off = on(EVENTS.DWARF_BURIED, (e) => buried.push(e));
+  const moodBefore = pal.mood;
+  for (let i = 0; i < 600 && getRemains().includes(body); i++) {
+    state.tick++;
+    const d = decideDwarf(gravedigger, state);
+    gravedigger.state = d.state;
+    gravedigger.target = d.target;
+  }
+  off();
+
+  assert(!getRemains().includes(body), 'the remains are gone');
+  const grave = getGraves().find(g => g.dwarfId === body.dwarfId);
+  assert(grave && grave.x === body.x && grave.y === body.y && grave.buriedBy === gravedigger.id, 'into a grave where they lay');
+  assert(buried.length === 1 && buried[0].buriedBy === gravedigger, 'DWARF_BURIED names the gravedigger');
+  assert(pal.mood > moodBefore, 'the burial eases the mourners');
+  assert(state.log.some(l => l.message.includes(`lays ${body.name} to rest`)), 'the log tells of the burial');
+
+  const elder = state.dwarves.find(d => d !== gravedigger);
+  elder.hp = 0;
+  elder.deathCause = 'old_age';
+  processDeath(state);
+  const events = await quiet(() => forceNarration(state));
+  assert(events.some(e => e.raw.includes('was laid to rest by')), 'the chronicle hears of the burial');
+  assert(events.some(e => e.raw.includes('died of old age')), 'and of how the dead died');
+}
+
+// ============================================================
+console.log('\n(g) save/load');
+// ============================================================
+{
+  const { state } = graveWorld;
+  cleanupDeadEntities(state);
+  const remains = getRemains().length;
+  const graves = getGraves().length;
+  assert(remains > 0 && graves > 0, `there is something to save (${remains} remains, ${graves} graves)`);
+  const ages = state.dwarves.map(d => d.age);
+
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  assert(getRemains().length === remains && getGraves().length === graves, 'remains and graves are restored');
+  assert(isMortalityEnabled(), 'the world stays mortal');
+  assert(restored.dwarves.map(d => d.age).join() === ages.join(), 'ages are kept');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
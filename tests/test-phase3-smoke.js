@@ -26,6 +26,7 @@ const { buildLocalContext, getTileDescription, assembleContext, invalidateWorldL
 const { decide, AI_STATE } = await import('../src/ai/dwarfAI.js');
 const { TASK_TYPE } = await import('../src/sim/tasks.js');
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 
 let passed = 0;
 let failed = 0;
@@ -42,8 +43,8 @@ function assert(cond, label) {
 /** Fill a world state's map with walkable grass + one cave pocket */
 function makeState(width = 30, height = 30) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
-  state.map.tiles[5 * width + 5] = { type: 'cave_floor' }; // shelter pocket at (5,5)
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
+  setTile(state.map, 5, 5, { type: 'cave_floor' }); // shelter pocket at (5,5)
   state.foodSources = [];
   state.visitors = [];
   return state;
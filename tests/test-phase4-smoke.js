@@ -26,6 +26,7 @@ globalThis.fetch = async (url, opts) => {
 };
 
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 const { tick } = await import('../src/sim/world.js');
 const { spawnAnimalsForBiome, createAnimal, MAX_ANIMALS, updateAnimalFear } = await import('../src/sim/animals.js');
 const { decideAnimal, ANIMAL_STATE } = await import('../src/ai/animalAI.js');
@@ -57,9 +58,9 @@ function assert(cond, label) {
 /** Walkable grass world with a river strip and one cave pocket */
 function makeState(width = 40, height = 30) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
-  for (let y = 0; y < height; y++) state.map.tiles[y * width + 20] = { type: 'river' }; // vertical river at x=20
-  state.map.tiles[5 * width + 5] = { type: 'cave_floor' };
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
+  for (let y = 0; y < height; y++) setTile(state.map, 20, y, { type: 'river' }); // vertical river at x=20
+  setTile(state.map, 5, 5, { type: 'cave_floor' });
   return state;
 }
 
@@ -157,8 +158,8 @@ console.log('\n(b) landmark extraction');
 
 const lmState = makeState();
 // Crystal cluster top-left, mushroom patch bottom-right
-for (const [x, y] of [[3, 3], [4, 3], [3, 4], [4, 4]]) lmState.map.tiles[y * 40 + x] = { type: 'crystal' };
-for (const [x, y] of [[33, 25], [34, 25], [35, 25], [33, 26], [34, 26]]) lmState.map.tiles[y * 40 + x] = { type: 'mushroom' };
+for (const [x, y] of [[3, 3], [4, 3], [3, 4], [4, 4]]) setTile(lmState.map, x, y, { type: 'crystal' });
+for (const [x, y] of [[33, 25], [34, 25], [35, 25], [33, 26], [34, 26]]) setTile(lmState.map, x, y, { type: 'mushroom' });
 
 const landmarks = extractLandmarks(lmState.map, 42);
 assert(landmarks.length >= 3, `found ${landmarks.length} landmarks (crystal, mushroom, river)`);
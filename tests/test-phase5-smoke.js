@@ -25,6 +25,7 @@ globalThis.fetch = async () => ({
 const { decide, AI_STATE } = await import('../src/ai/dwarfAI.js');
 const { TASK_TYPE } = await import('../src/sim/tasks.js');
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 const { initScentMap } = await import('../src/sim/movement.js');
 
 let passed = 0;
@@ -42,7 +43,7 @@ function assert(cond, label) {
 /** Walkable grass world */
 function makeState(width = 60, height = 40) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
   state.foodSources = [];
   state.visitors = [];
   state.animals = [];
@@ -210,7 +211,7 @@ function runUpdates(state, n) {
 // Rain -> damp -> mud -> slog; sand drains
 {
   const state = makeState();
-  state.map.tiles[20 * 60 + 41] = { type: 'sand' }; // sand control at (41,20)
+  setTile(state.map, 41, 20, { type: 'sand' }); // sand control at (41,20)
   state.clock = { season: 'autumn' };
   state.weather = weatherOf({ rain: 1 });
   state.tick = 0;
@@ -0,0 +1,322 @@
+// Population test — migrant waves, couples, births, growing up and names
+// Run with: node tests/test-population.js
+//
+// Proves:
+//  (a) a migrant wave's size follows the fortress's wealth and reputation;
+//      a shunned fortress gets nobody, and the population cap holds
+//  (b) a wave walks in from one map edge at the turn of a season, and the
+//      migrants' bios say when they came
+//  (c) two grown dwarves fond enough of each other become a couple; kin
+//      and the already-wed don't
+//  (d) a couple has a child: small, weak, kin to its parents and siblings,
+//      something of both in its temperament, and its lineage in its bio;
+//      children take no labors and can't be drafted
+//  (e) children come of age after four seasons, at full strength
+//  (f) newcomers are named through requestNameBio with their lineage in
+//      the prompt; the name comes back through the input log and replays
+//      without the LLM
+//  (g) waves, births and families survive save/load
+
+// --- Fake LLM endpoint: answers every name request with the same dwarf ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+const prompts = [];
+globalThis.fetch = async (url, init) => {
+  if (init?.body) prompts.push(init.body);
+  return {
+    ok: true,
+    json: async () => ({
+      choices: [{ message: { content: '{"name": "Ingiz Oakheart", "bio": "A quiet carver of small things."}' } }],
+    }),
+    text: async () => '',
+  };
+};
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  getMigrantWaveSize, spawnMigrantWave, getReputation, tickPopulation, bearChild, getSpouse,
+  getMigrantWaves, getBirthCount, describeLineage, isChild,
+} = await import('../src/sim/population.js');
+const { getColonyWealth } = await import('../src/sim/raids.js');
+const { recordDeath } = await import('../src/sim/mortality.js');
+const { getRelationKey, RACE } = await import('../src/sim/races.js');
+const { getLabor, applyLaborOrder } = await import('../src/sim/labor.js');
+const { applySquadOrder, initMilitary, getSquads } = await import('../src/sim/military.js');
+const { initConstruction } = await import('../src/sim/construction.js');
+const { nameNewcomer } = await import('../src/llm/newcomerNames.js');
+const { setLLMAvailable } = await import('../src/llm/nameGenerator.js');
+const { startRecording, startReplay, stopInputLog, getRecording, applyReplayInputs, INPUT_KIND } =
+  await import('../src/sim/inputLog.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { getCalendar, TICKS_PER_DAY, DAYS_PER_SEASON } = await import('../src/sim/clock.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 5, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+const TICKS_PER_SEASON = TICKS_PER_DAY * DAYS_PER_SEASON;
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world with no visitors, no structures, and neutral neighbours */
+async function fortress() {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  initConstruction();
+  initMilitary();
+  state.visitors = [];
+  state.resources = [];
+  regard(state, 0);
+  state.tick = TICKS_PER_DAY * 3;
+  state.clock = getCalendar(state.tick);
+  return state;
+}
+
+/** Set how the humans and elves regard the dwarves */
+function regard(state, value) {
+  state.history = {
+    ...state.history,
+    raceRelations: {
+      [getRelationKey('dwarf', RACE.HUMAN)]: value,
+      [getRelationKey('dwarf', RACE.ELF)]: value,
+    },
+  };
+}
+
+/** Befriend two dwarves both ways, as if they had talked */
+function relate(a, b, affinity) {
+  a.relationships[b.id] = { affinity, interactions: 5, lastInteraction: 0, conversationLog: [] };
+  b.relationships[a.id] = { affinity, interactions: 5, lastInteraction: 0, conversationLog: [] };
+}
+
+/** Run the population tick until (and including) a given tick */
+function advanceTo(state, tick) {
+  while (state.tick < tick) {
+    state.tick++;
+    tickPopulation(state);
+  }
+}
+
+// ============================================================
+console.log('\n(a) wave size');
+// ============================================================
+{
+  const state = await fortress();
+  const wealth = getColonyWealth(state);
+  const base = getMigrantWaveSize(state);
+  assert(base >= 1, `a plain fortress draws a few migrants (${base}, wealth ${wealth})`);
+
+  regard(state, 75);
+  const liked = getMigrantWaveSize(state);
+  assert(liked > base, `a well-regarded fortress draws more (${liked})`);
+
+  regard(state, -80);
+  assert(getMigrantWaveSize(state) === 0, 'a shunned fortress draws nobody');
+
+  regard(state, 0);
+  // Two dwarves die; their remains count against the fortress for a year
+  for (const dead of state.dwarves.splice(0, 2)) {
+    dead.hp = 0;
+    recordDeath(dead, state);
+  }
+  assert(getReputation(state) < 0, `the year's dead weigh on the fortress's name (${getReputation(state)})`);
+  regard(state, 75);
+  assert(getMigrantWaveSize(state) < liked, 'and fewer migrants come');
+
+  regard(state, 1000);
+  const room = 30 - state.dwarves.filter(d => d.hp > 0).length;
+  assert(getMigrantWaveSize(state) <= Math.min(7, room), 'waves stay within the population cap');
+}
+
+// ============================================================
+console.log('\n(b) migrant waves');
+// ============================================================
+{
+  const state = await fortress();
+  const before = state.dwarves.length;
+  let arrived = null;
+  const off = on(EVENTS.MIGRANTS_ARRIVED, (e) => { arrived = e; });
+
+  // The next season starts; the wave chance is high, so try a few seasons
+  let season = Math.ceil(state.tick / TICKS_PER_SEASON) * TICKS_PER_SEASON;
+  for (let i = 0; i < 6 && !arrived; i++) {
+    await quiet(() => advanceTo(state, season));
+    season += TICKS_PER_SEASON;
+  }
+  off();
+
+  assert(arrived && arrived.dwarves.length >= 1, `migrants walk in at the turn of a season (${arrived?.dwarves.length})`);
+  assert(state.dwarves.length === before + (arrived?.dwarves.length || 0), 'and join the fortress');
+  const edgeOk = arrived?.dwarves.every(d =>
+    ({ north: d.y <= 1, south: d.y >= state.map.height - 2, west: d.x <= 1, east: d.x >= state.map.width - 2 })[arrived.edge]);
+  assert(edgeOk, `all of them from the ${arrived?.edge} edge`);
+  const newcomer = arrived?.dwarves[0];
+  assert(newcomer?.generatedBio?.includes('migrants of day'), `their bios say when they came ("${describeLineage(newcomer)}")`);
+  assert(getMigrantWaves().some(w => w.dwarfIds.includes(newcomer?.id)), 'the wave is remembered');
+
+  const quietState = await fortress();
+  regard(quietState, -80);
+  const count = quietState.dwarves.length;
+  await quiet(() => advanceTo(quietState, quietState.tick + TICKS_PER_SEASON * 2));
+  assert(quietState.dwarves.length === count, 'nobody comes to a shunned fortress');
+}
+
+// ============================================================
+console.log('\n(c) couples');
+// ============================================================
+{
+  const state = await fortress();
+  const [a, b, c, d] = state.dwarves;
+  relate(a, b, 70);
+  relate(c, d, 30);
+  relate(a, c, 80);
+  a.relationships[c.id].kin = 'sibling';
+  c.relationships[a.id].kin = 'sibling';
+
+  let formed = null;
+  const off = on(EVENTS.COUPLE_FORMED, (e) => { formed = e; });
+  await quiet(() => advanceTo(state, state.tick + TICKS_PER_DAY));
+  off();
+
+  assert(getSpouse(a, state) === b && getSpouse(b, state) === a, 'fond dwarves pair up');
+  assert(formed?.dwarves.includes(a) && formed?.dwarves.includes(b), 'and the fortress hears of it');
+  assert(a.relationships[b.id].kin === 'spouse', 'they are kin now');
+  assert(!getSpouse(c, state) && !getSpouse(d, state), 'lukewarm friends and siblings stay single');
+  assert(a.memory.significantEvents.some(m => m.content.includes('made a life together')), 'they remember it');
+}
+
+// ============================================================
+console.log('\n(d) births');
+// ============================================================
+const family = await fortress();
+{
+  const state = family;
+  const [a, b, , d] = state.dwarves;
+  a.personality.bravery = 1;
+  b.personality.bravery = 1;
+  relate(a, b, 70);
+  await quiet(() => advanceTo(state, state.tick + TICKS_PER_DAY));
+  assert(getSpouse(a, state) === b, 'the couple is wed');
+
+  let born = null;
+  const off = on(EVENTS.DWARF_BORN, (e) => { born = e; });
+  const firstBirths = getBirthCount();
+  for (let day = 0; day < 200 && !born; day++) {
+    await quiet(() => advanceTo(state, state.tick + TICKS_PER_DAY));
+  }
+  off();
+  const child = born?.child;
+  assert(child && born.parents.includes(a) && born.parents.includes(b), 'a couple in their prime has a child');
+  assert(getBirthCount() === firstBirths + 1, 'the birth is counted');
+  assert(isChild(child) && child.age < 1 && child.maxHp < a.maxHp, 'the child starts small and weak');
+  assert(child.relationships[a.id]?.kin === 'parent' && a.relationships[child.id]?.kin === 'child',
+    'parents and child are kin');
+  assert(child.personality.bravery > 0.6, `something of the parents' bravery carries over (${child.personality.bravery.toFixed(2)})`);
+  assert(child.lineage.parentIds.join() === [a.id, b.id].join(), 'the child knows its parents');
+  assert(child.generatedBio.includes('Child of'), `its bio carries its lineage ("${describeLineage(child)}")`);
+
+  assert(!getLabor(child, 'dig').enabled, 'children take no labors');
+  assert(!applyLaborOrder(state, { dwarfId: child.id, labor: 'dig', enabled: true }), 'and their labors cannot be set');
+  applySquadOrder(state, { action: 'create', name: 'Axes' });
+  const squad = getSquads()[0];
+  assert(!applySquadOrder(state, { action: 'assign', squadId: squad.id, dwarfId: child.id }), 'children cannot be drafted');
+  assert(applySquadOrder(state, { action: 'assign', squadId: squad.id, dwarfId: d.id }), 'grown dwarves can');
+
+  // No second child within a season of the first
+  const shared = () => a.childIds.filter(id => b.childIds.includes(id)).length;
+  const children = shared();
+  await quiet(() => advanceTo(state, child.bornTick + TICKS_PER_SEASON - TICKS_PER_DAY));
+  assert(shared() === children, 'births come a season apart at least');
+
+  // A grandchild knows its grandparents
+  const grandchild = bearChild(state, child, d);
+  assert(grandchild.lineage.grandparentNames.length === 2, `a grandchild knows its grandparents ("${describeLineage(grandchild)}")`);
+  state.dwarves.splice(state.dwarves.indexOf(grandchild), 1);
+}
+
+// ============================================================
+console.log('\n(e) growing up');
+// ============================================================
+{
+  const state = family;
+  const child = state.dwarves.find(isChild);
+  let cameOfAge = null;
+  const off = on(EVENTS.DWARF_CAME_OF_AGE, (e) => { cameOfAge = e; });
+  const born = child.bornTick;
+  await quiet(() => advanceTo(state, born + TICKS_PER_SEASON * 3));
+  assert(isChild(child) && !cameOfAge, 'three seasons on, still a child');
+  await quiet(() => advanceTo(state, born + TICKS_PER_SEASON * 4 + TICKS_PER_DAY));
+  off();
+  assert(!isChild(child) && cameOfAge?.dwarf === child, 'after four seasons the child comes of age');
+  assert(child.maxHp === 25 && child.hp > 10, 'at full strength');
+  assert(getLabor(child, 'dig').enabled, 'and takes up labors');
+}
+
+// ============================================================
+console.log('\n(f) names');
+// ============================================================
+{
+  const state = family;
+  const child = state.dwarves.find(d => d.lineage);
+  const localName = child.name;
+  setLLMAvailable(true);
+  startRecording(WORLD.seed);
+  prompts.length = 0;
+  const result = await quiet(() => nameNewcomer(state, child));
+  const recording = getRecording();
+  stopInputLog();
+
+  assert(result?.name === 'Ingiz Oakheart', 'the LLM names the newcomer');
+  assert(prompts.some(p => p.includes('Child of')), 'with its lineage in the prompt');
+  assert(child.generatedName === 'Ingiz Oakheart' && child.generatedBio.endsWith(describeLineage(child)),
+    'the new bio keeps the lineage line');
+  assert(recording.inputs.some(i => i.kind === INPUT_KIND.NEWCOMER && i.payload.dwarfId === child.id),
+    'the name goes through the input log');
+
+  child.generatedName = null;
+  child.generatedBio = null;
+  startReplay(recording);
+  const replayed = await nameNewcomer(state, child);
+  assert(replayed === null && child.generatedName === null, 'replaying, the LLM is not asked');
+  applyReplayInputs(state);
+  stopInputLog();
+  assert(child.generatedName === 'Ingiz Oakheart', 'the logged name is applied instead');
+  assert(child.name === localName, 'the local name stays underneath');
+  setLLMAvailable(false);
+}
+
+// ============================================================
+console.log('\n(g) save/load');
+// ============================================================
+{
+  const state = family;
+  const waves = getMigrantWaves().length;
+  const births = getBirthCount();
+  const [a, b] = state.dwarves;
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  const ra = restored.dwarves.find(d => d.id === a.id);
+  assert(getMigrantWaves().length === waves && getBirthCount() === births, 'waves and births are restored');
+  assert(getSpouse(ra, restored)?.id === b.id, 'couples stay wed');
+  const child = restored.dwarves.find(d => d.lineage);
+  assert(child?.lineage.parentIds.includes(a.id), 'children keep their lineage');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
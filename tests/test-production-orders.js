@@ -0,0 +1,257 @@
+// Production order test — the manager's standing orders for workshops
+// Run with: node tests/test-production-orders.js
+//
+// Proves:
+//  (a) orders are validated; placing one is logged
+//  (b) a make order queues one job per supplied workshop, is credited as
+//      jobs finish and stops at its amount
+//  (c) a keep order crafts up to the stock level and then rests
+//  (d) stock conditions hold orders back, and active orders stop the
+//      dwarves queuing crafting of their own
+//  (e) suspending or removing withdraws jobs nobody has started; repeating
+//      orders run again the next day
+//  (f) orders go through the input log and replay to the same world
+//  (g) orders survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  ORDER_MODE, CONDITION, getProductionOrders, hasActiveOrders, dispatchProductionOrders,
+  describeOrderProgress, issueProductionOrder, applyProductionOrder,
+} = await import('../src/sim/productionOrders.js');
+const { getCraftingJobs } = await import('../src/sim/crafting.js');
+const { STRUCTURE_TYPE, importConstructionState } = await import('../src/sim/construction.js');
+const { countGoods } = await import('../src/sim/stockpiles.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { TICKS_PER_DAY } = await import('../src/sim/clock.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Passable tiles nearest a point, nearest first */
+function floorNear(state, from, count) {
+  const tiles = [];
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y, dist: Math.abs(x - from.x) + Math.abs(y - from.y) });
+    }
+  }
+  return tiles.sort((a, b) => a.dist - b.dist).slice(0, count);
+}
+
+/**
+ * A world with mason workshops next to the dwarves and a pile of stone
+ * beside each
+ */
+async function workshopWorld({ workshops = 1, stone = 10, seed = WORLD.seed } = {}) {
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, seed }));
+  const spots = floorNear(state, state.dwarves[0], 40);
+  const structures = [];
+  state.resources = [];
+  for (let i = 0; i < workshops; i++) {
+    const at = spots[i * 10];
+    structures.push({
+      id: nextId(), type: STRUCTURE_TYPE.WORKSHOP_MASON, name: 'Mason Workshop',
+      x: at.x, y: at.y, width: 1, height: 1, complete: true,
+    });
+    state.resources.push({ id: nextId(), type: 'stone', amount: stone, x: at.x, y: at.y });
+  }
+  importConstructionState({ structures });
+  return state;
+}
+
+const add = (state, fields) => applyProductionOrder(state, { action: 'add', mode: ORDER_MODE.MAKE, ...fields });
+const orderJobs = (order) => getCraftingJobs().filter(job => job.orderId === order.id);
+
+// ============================================================
+// (a) validation
+// ============================================================
+console.log('\n(a) validation');
+
+const state = await workshopWorld();
+assert(add(state, { recipeId: 'gold_crown', amount: 1 }) === null
+  && add(state, { recipeId: 'stone_block', amount: 0 }) === null
+  && add(state, { recipeId: 'stone_block', mode: 'hoard', amount: 3 }) === null,
+'unknown recipes, modes and empty amounts are refused');
+const keepOrder = add(state, { recipeId: 'stone_block', mode: ORDER_MODE.KEEP, amount: 8, repeat: true });
+assert(keepOrder && !keepOrder.repeat && getProductionOrders().length === 1, 'keep orders never repeat');
+assert(state.log.some(entry => /Work order placed: keep 8 Stone Block/.test(entry.message)), 'placing an order is logged');
+
+// ============================================================
+// (b) make orders
+// ============================================================
+console.log('\n(b) make orders');
+
+const makeState = await workshopWorld({ workshops: 2 });
+const make = add(makeState, { recipeId: 'stone_block', amount: 3 });
+dispatchProductionOrders(makeState);
+const firstJobs = orderJobs(make);
+assert(firstJobs.length === 2 && new Set(firstJobs.map(j => j.workshopId)).size === 2,
+  'one job at each supplied workshop');
+dispatchProductionOrders(makeState);
+assert(orderJobs(make).length === 2, 'no second job at a busy workshop');
+
+let completeLogged = false;
+await quiet(() => runHeadless(makeState, {
+  ticks: 600,
+  onTick: (s) => {
+    completeLogged = completeLogged || s.log.some(entry => /Work order complete: 3 Stone Block/.test(entry.message));
+  },
+}));
+assert(make.done === 3 && make.jobIds.length === 0 && orderJobs(make).length === 0,
+  `three jobs run, then the order stops (done ${make.done})`);
+assert(countGoods(makeState, 'stone_block') === 12, 'each job leaves four blocks');
+assert(completeLogged, 'completion is logged');
+assert(/3\/3 done · finished/.test(describeOrderProgress(make, makeState)), 'progress reads finished');
+
+// ============================================================
+// (c) keep orders
+// ============================================================
+console.log('\n(c) keep orders');
+
+const keepState = await workshopWorld();
+const keep = add(keepState, { recipeId: 'stone_block', mode: ORDER_MODE.KEEP, amount: 6 });
+await quiet(() => runHeadless(keepState, { ticks: 600 }));
+assert(countGoods(keepState, 'stone_block') === 8 && keep.done === 2, 'crafts until the stock is reached');
+assert(/8\/6 in stock · stocked/.test(describeOrderProgress(keep, keepState)), 'then rests, stocked');
+
+keepState.resources = keepState.resources.filter(r => r.type !== 'stone_block');
+dispatchProductionOrders(keepState);
+assert(orderJobs(keep).length === 1, 'and picks up again when the stock is used');
+
+// ============================================================
+// (d) conditions
+// ============================================================
+console.log('\n(d) conditions');
+
+const condState = await workshopWorld({ stone: 3 });
+const waiting = add(condState, {
+  recipeId: 'stone_crafts', amount: 2,
+  conditions: [{ type: 'stone', comparison: CONDITION.AT_LEAST, amount: 5 }],
+});
+assert(hasActiveOrders(), 'an order is active');
+await quiet(() => runHeadless(condState, { ticks: 500 }));
+assert(waiting.done === 0 && getCraftingJobs().length === 0,
+  'nothing is queued while the condition fails, not even by the dwarves');
+assert(/waiting on conditions/.test(describeOrderProgress(waiting, condState)), 'progress says why');
+
+condState.resources.find(r => r.type === 'stone').amount = 5;
+dispatchProductionOrders(condState);
+assert(orderJobs(waiting).length === 1, 'a job is queued once it holds');
+
+// ============================================================
+// (e) suspend, remove, repeat
+// ============================================================
+console.log('\n(e) suspend, remove, repeat');
+
+const ctlState = await workshopWorld();
+const held = add(ctlState, { recipeId: 'stone_furniture', amount: 2 });
+dispatchProductionOrders(ctlState);
+const heldJob = orderJobs(held)[0];
+applyProductionOrder(ctlState, { action: 'suspend', orderId: held.id, suspended: true });
+assert(heldJob.status === 'cancelled' && !getCraftingJobs().includes(heldJob) && held.jobIds.length === 0,
+  'suspending withdraws the unstarted job');
+dispatchProductionOrders(ctlState);
+assert(orderJobs(held).length === 0 && !hasActiveOrders(), 'a suspended order queues nothing');
+
+applyProductionOrder(ctlState, { action: 'suspend', orderId: held.id, suspended: false });
+dispatchProductionOrders(ctlState);
+const resumed = orderJobs(held)[0];
+applyProductionOrder(ctlState, { action: 'remove', orderId: held.id });
+assert(getProductionOrders().length === 0 && !getCraftingJobs().includes(resumed), 'removing withdraws it too');
+
+const daily = add(ctlState, { recipeId: 'stone_block', amount: 1, repeat: true });
+daily.done = 1;
+daily.completedDay = 1;
+ctlState.tick = TICKS_PER_DAY - 10;
+dispatchProductionOrders(ctlState);
+assert(orderJobs(daily).length === 0, 'a repeating order waits out the day it finished');
+ctlState.tick = TICKS_PER_DAY + 10;
+dispatchProductionOrders(ctlState);
+assert(daily.done === 0 && orderJobs(daily).length === 1, 'and starts again the next day');
+
+// ============================================================
+// (f) input log
+// ============================================================
+console.log('\n(f) recorded and replayed');
+
+const ORDER_TICK = 5;
+const snapshotOf = (world) => JSON.stringify([
+  getProductionOrders().map(o => [o.id, o.recipeId, o.done, o.jobIds]),
+  (world.resources || []).map(r => [r.type, r.x, r.y, r.amount]),
+  world.dwarves.map(d => [d.id, d.x, d.y]),
+]);
+const play = async (startLog, onTick) => {
+  const world = await workshopWorld({ seed: 11 });
+  startLog();
+  await quiet(() => runHeadless(world, { ticks: 300, onTick }));
+  return world;
+};
+
+const live = await play(() => startRecording(11), (s) => {
+  if (s.tick === ORDER_TICK) issueProductionOrder(s, { action: 'add', recipeId: 'stone_block', mode: ORDER_MODE.MAKE, amount: 2 });
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.PRODUCTION);
+assert(logged.length === 1 && logged[0].tick === ORDER_TICK, 'the order is logged against its tick');
+const liveSnapshot = snapshotOf(live);
+
+const replayed = await play(() => startReplay(recording), (s) => {
+  if (s.tick === 50) issueProductionOrder(s, { action: 'add', recipeId: 'stone_crafts', mode: ORDER_MODE.MAKE, amount: 1 });
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the order; live ones are dropped');
+stopInputLog();
+
+// ============================================================
+// (g) saves
+// ============================================================
+console.log('\n(g) save/load');
+
+const saveState = await workshopWorld();
+const saved = add(saveState, {
+  recipeId: 'stone_crafts', amount: 4, repeat: true,
+  conditions: [{ type: 'craft_goods', comparison: CONDITION.BELOW, amount: 20 }],
+});
+dispatchProductionOrders(saveState);
+const savedJob = orderJobs(saved)[0];
+
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(saveState))));
+const restored = getProductionOrders().find(o => o.id === saved.id);
+assert(restored && restored.repeat && restored.conditions[0].amount === 20, 'orders restored with their conditions');
+assert(restored.jobIds[0] === savedJob.id && getCraftingJobs().some(j => j.id === savedJob.id && j.orderId === saved.id),
+  'their queued jobs stay linked');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
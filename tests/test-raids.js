@@ -0,0 +1,400 @@
+// Raids test — scouting, raid waves, siege camps and raid objectives
+// Run with: node tests/test-raids.js
+//
+// Proves:
+//  (a) the fortress's wealth (structures, crafted goods) and goblin
+//      hostility set the threat
+//  (b) goblins scout first; a scout who gets away reports back, and the
+//      next goblin arrival is a raid wave built on the report
+//  (c) waves grow with the threat, march under a warchief when it is high
+//      and pitch a siege camp by the edge when it is higher still; the camp
+//      storms the fortress when found or after a wait
+//  (d) raiders steal goods, burn structures and carry off dwarves; prizes
+//      are dropped when the raider falls and lost when they get away
+//  (e) a wave whose warchief falls breaks and runs; a raid ends when nobody
+//      is left on the map
+//  (f) raids and scouting intel survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  RAID_OBJECTIVE, RAID_STATUS, initRaids, getRaids, getActiveRaid, getIntel, getColonyWealth, getThreatLevel,
+  musterGoblins, decideRaidObjective, recordEscape, reportBack, tickRaids,
+} = await import('../src/sim/raids.js');
+const { TERM, importDiplomacyState, initDiplomacy } = await import('../src/sim/diplomacy.js');
+const { HISTORICAL_EVENT } = await import('../src/sim/history.js');
+const { maybeSpawnVisitors, resetSpawner } = await import('../src/sim/visitorSpawner.js');
+const { VISITOR_STATE } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { cleanupDeadEntities, attemptAttack } = await import('../src/sim/combat.js');
+const { getWeaponDamage } = await import('../src/sim/equipment.js');
+const { decideVisitor } = await import('../src/ai/visitorAI.js');
+const { decide: decideDwarf } = await import('../src/ai/dwarfAI.js');
+const { STRUCTURE_TYPE, importConstructionState, getStructures } = await import('../src/sim/construction.js');
+const { QUALITY, importCraftingState, getCraftingJobs } = await import('../src/sim/crafting.js');
+const { createStockpile, getStockpiles } = await import('../src/sim/stockpiles.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { isNearEdge } = await import('../src/sim/edges.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { getTile } = await import('../src/map/map.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Walkable tiles nearest a point */
+function floorNear(state, from, count) {
+  const tiles = [];
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y, dist: Math.abs(x - from.x) + Math.abs(y - from.y) });
+    }
+  }
+  return tiles.sort((a, b) => a.dist - b.dist).slice(0, count);
+}
+
+/** A fresh world with no visitors, no goods and the goblins at a relation */
+async function goblinWorld(relation = 0) {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  state.history.raceRelations[getRelationKey('dwarf', RACE.GOBLIN)] = relation;
+  state.visitors = [];
+  state.resources = [];
+  state.tick = 1000;
+  return state;
+}
+
+/** Finished one-tile structures on open floor near the dwarves */
+function build(state, count, type = STRUCTURE_TYPE.BEDROOM) {
+  const spots = floorNear(state, state.dwarves[0], 200).filter((_, i) => i % 7 === 3);
+  const structures = spots.slice(0, count).map(at => ({
+    id: nextId(), type, name: type === STRUCTURE_TYPE.BEDROOM ? 'Bedroom' : 'Mason Workshop',
+    x: at.x, y: at.y, width: 1, height: 1, complete: true,
+  }));
+  for (const s of structures) getTile(state.map, s.x, s.y).structureId = s.id;
+  importConstructionState({ structures });
+  return structures;
+}
+
+/** A crafted good lying at a spot */
+function craft(state, at, type = 'figurine', quality = QUALITY.FINE) {
+  const item = { id: nextId(), type, amount: 1, material: 'stone', quality, x: at.x, y: at.y };
+  importCraftingState({ craftedItems: [item], craftingJobs: [] });
+  state.resources.push(item);
+  return item;
+}
+
+/** Scout report in hand, then muster a wave at an edge tile */
+function wave(state, edge = 'west') {
+  const y = state.dwarves[0].y;
+  const spawn = { x: edge === 'west' ? 1 : state.map.width - 2, y, edge };
+  reportBack({ name: 'A scout' }, state);
+  const group = musterGoblins(state, spawn, { history: state.history }, 12);
+  for (const v of group) v.entryEdge = edge;
+  state.visitors.push(...group);
+  return { group, raid: getRaids().find(r => r.groupId === group[0].groupId) };
+}
+
+const events = [];
+for (const name of ['RAID_ARRIVED', 'RAID_ASSAULT', 'RAID_ENDED', 'DWARF_KIDNAPPED', 'STRUCTURE_BURNED']) {
+  on(EVENTS[name], payload => events.push({ name, payload }));
+}
+const fired = (name) => events.filter(e => e.name === name);
+
+// ============================================================
+// (a) threat
+// ============================================================
+console.log('\n(a) threat');
+
+const rich = await goblinWorld(0);
+assert(getColonyWealth(rich) === 0, 'a bare fortress is worth nothing to raiders');
+build(rich, 3);
+const afterBuilding = getColonyWealth(rich);
+craft(rich, rich.dwarves[0]);
+assert(afterBuilding === 60 && getColonyWealth(rich) > afterBuilding, 'structures and crafted goods add wealth');
+const calm = getThreatLevel(rich);
+rich.history.raceRelations[getRelationKey('dwarf', RACE.GOBLIN)] = -50;
+assert(getThreatLevel(rich) === calm + 2, 'goblin hostility adds to the threat');
+
+// ============================================================
+// (b) scouting
+// ============================================================
+console.log('\n(b) scouting');
+
+const scouted = await goblinWorld(0);
+const edge = { x: 1, y: scouted.dwarves[0].y, edge: 'west' };
+const scouts = musterGoblins(scouted, edge, {}, 12);
+assert(scouts.length >= 1 && scouts.length <= 3 && scouts.every(v => v.role === VISITOR_ROLE.SCOUT),
+  'with nothing scouted, goblins send a few scouts');
+assert(getIntel() === null && getRaids().length === 0, 'scouts are no raid');
+
+build(scouted, 2);
+recordEscape(scouts[0], scouted);
+assert(getIntel()?.wealth === 40 && getIntel().tick === scouted.tick, 'a scout who gets away reports the fortress\'s wealth');
+assert(scouted.log.some(e => /slips away to report/.test(e.message)), 'the report is logged');
+
+const firstWave = musterGoblins(scouted, edge, {}, 12);
+assert(firstWave.every(v => v.role === VISITOR_ROLE.RAIDER && v.raidId != null) && getActiveRaid(),
+  'the next goblin arrival is a raid wave');
+assert(getIntel() === null && fired('RAID_ARRIVED').length === 1, 'the wave uses up the report and is announced');
+reportBack(scouts[0], scouted);
+assert(musterGoblins(scouted, edge, {}, 12).every(v => v.role === VISITOR_ROLE.SCOUT),
+  'while a raid is under way, only scouts follow');
+
+initRaids();
+reportBack(scouts[0], scouted);
+scouted.tick += 3601;
+assert(musterGoblins(scouted, edge, {}, 12).every(v => v.role === VISITOR_ROLE.SCOUT), 'a stale report is ignored');
+
+reportBack(scouts[0], scouted);
+assert(musterGoblins(scouted, edge, {}, 2).every(v => v.role === VISITOR_ROLE.SCOUT), 'no wave without room for one');
+
+importDiplomacyState({ agreements: [{ id: 1, race: RACE.GOBLIN, status: 'active', terms: [{ type: TERM.NON_AGGRESSION, amount: 0 }] }] });
+assert(musterGoblins(scouted, edge, {}, 12).every(v => v.role === VISITOR_ROLE.SCOUT), 'a non-aggression pact holds the waves back');
+initDiplomacy();
+
+// The spawner sends goblins through the muster
+const spawned = await goblinWorld(0);
+spawned.history.raceRelations[getRelationKey('dwarf', RACE.HUMAN)] = -100;
+spawned.history.raceRelations[getRelationKey('dwarf', RACE.ELF)] = -100;
+const goblinGroups = [];
+for (let tick = 1000; tick < 40000 && goblinGroups.length < 2; tick += 350) {
+  spawned.tick = tick;
+  spawned.visitors = [];
+  if (goblinGroups.length === 1) reportBack({ name: 'A scout' }, spawned);
+  await quiet(() => maybeSpawnVisitors(spawned));
+  const goblins = spawned.visitors.filter(v => v.race === RACE.GOBLIN);
+  if (goblins.length > 0) goblinGroups.push(goblins);
+}
+assert(goblinGroups[0]?.every(v => v.role === VISITOR_ROLE.SCOUT), 'spawned goblins scout first');
+assert(goblinGroups[1]?.every(v => v.role === VISITOR_ROLE.RAIDER && v.raidId != null), 'and raid on the report');
+resetSpawner();
+
+// ============================================================
+// (c) waves and sieges
+// ============================================================
+console.log('\n(c) waves and sieges');
+
+const small = await goblinWorld(0);
+const { group: smallWave, raid: smallRaid } = wave(small);
+assert(smallWave.length === 3 && smallRaid.leaderId === null && smallRaid.camp === null,
+  'a poor, neutral fortress draws a small leaderless wave');
+assert(smallWave.every(v => v.objective !== RAID_OBJECTIVE.KIDNAP), 'only a led raid sets out to kidnap');
+
+const big = await goblinWorld(-50);
+build(big, 6);
+const { group: bigWave, raid: bigRaid } = wave(big);
+const warchief = bigWave.find(v => v.raidLeader);
+assert(bigWave.length === 7 && bigRaid.status === RAID_STATUS.ASSAULT, 'a richer, hostile fortress draws a bigger wave');
+assert(warchief?.id === bigRaid.leaderId && warchief.maxHp === 24 && /Warchief/.test(warchief.name)
+  && warchief.objective === RAID_OBJECTIVE.ATTACK, 'it marches under a tougher warchief');
+{
+  // Both carry the goblins' spear; the chief's might still tells
+  const grunt = bigWave.find(v => !v.raidLeader);
+  const blows = (attacker) => {
+    const dummy = { type: 'dummy', x: attacker.x + 1, y: attacker.y, z: attacker.z, hp: 1e6, maxHp: 1e6 };
+    let total = 0;
+    for (let i = 0; i < 300; i++) {
+      attacker.attackCooldown = 0;
+      total += attemptAttack(attacker, dummy, big).damage ?? 0;
+    }
+    attacker.attackCooldown = 0;
+    return total;
+  };
+  const chiefDamage = blows(warchief);
+  const gruntDamage = blows(grunt);
+  assert(getWeaponDamage(warchief) !== null && getWeaponDamage(warchief) === getWeaponDamage(grunt)
+    && chiefDamage > gruntDamage * 1.3, `and hits harder with the same spear (${chiefDamage} vs ${gruntDamage} over 300 blows)`);
+}
+assert(bigWave.every(v => Object.values(RAID_OBJECTIVE).includes(v.objective)), 'every raider has an objective');
+
+const siege = await goblinWorld(-100);
+build(siege, 10);
+const { group: siegeWave, raid: siegeRaid } = wave(siege, 'east');
+assert(siegeWave.length === 10 && siegeRaid.status === RAID_STATUS.CAMPED && siegeRaid.camp,
+  'the most threatened fortress is besieged');
+assert(isPassable(siege, siegeRaid.camp.x, siegeRaid.camp.y) && siegeRaid.camp.x >= siege.map.width - 6,
+  'the camp is pitched a few tiles in from the edge');
+const camper = siegeWave[1];
+const camping = decideRaidObjective(camper, siege);
+assert(camping.state === VISITOR_STATE.CAMPING && camping.target === siegeRaid.camp, 'the wave gathers at the camp');
+
+for (const dwarf of siege.dwarves) Object.assign(dwarf, { x: 2, y: 2 });
+tickRaids(siege);
+assert(siegeRaid.status === RAID_STATUS.CAMPED, 'the camp waits while it is unseen');
+siege.dwarves[0].x = siegeRaid.camp.x - 3;
+siege.dwarves[0].y = siegeRaid.camp.y;
+tickRaids(siege);
+assert(siegeRaid.status === RAID_STATUS.ASSAULT && fired('RAID_ASSAULT').length === 1, 'a dwarf near the camp sets off the assault');
+
+const waited = await goblinWorld(-100);
+build(waited, 10);
+const { raid: waitedRaid } = wave(waited, 'east');
+for (const dwarf of waited.dwarves) Object.assign(dwarf, { x: 2, y: 2 });
+waited.tick += 400;
+tickRaids(waited);
+assert(waitedRaid.status === RAID_STATUS.ASSAULT, 'an unseen camp storms the fortress when the wait runs out');
+
+// ============================================================
+// (d) objectives
+// ============================================================
+console.log('\n(d) objectives');
+
+// Theft
+const thefts = await goblinWorld(0);
+const { group: thieves, raid: theftRaid } = wave(thefts);
+const thief = thieves[0];
+const loot = craft(thefts, floorNear(thefts, thefts.dwarves[0], 30)[20]);
+Object.assign(thief, { objective: RAID_OBJECTIVE.STEAL, x: loot.x, y: loot.y });
+const grab = decideRaidObjective(thief, thefts);
+assert(grab.state === VISITOR_STATE.LEAVING && thief.carrying?.item === loot && !thefts.resources.includes(loot),
+  'a thief takes the good and heads home');
+thief.hp = 0;
+thief.state = VISITOR_STATE.DEAD;
+cleanupDeadEntities(thefts);
+assert(thefts.resources.includes(loot) && loot.x === thief.x, 'a thief cut down drops the loot');
+
+const runner = thieves[1];
+Object.assign(runner, { objective: RAID_OBJECTIVE.STEAL, x: loot.x, y: loot.y });
+decideRaidObjective(runner, thefts);
+recordEscape(runner, thefts);
+assert(theftRaid.stolen === 1 && !thefts.resources.includes(loot) && runner.carrying === null,
+  'a thief who gets away takes the loot for good');
+assert(thefts.history.events.some(e => e.type === HISTORICAL_EVENT.FORTRESS_PLUNDERED), 'the plunder goes into the history');
+
+// Burning
+const fires = await goblinWorld(0);
+const [workshop] = build(fires, 1, STRUCTURE_TYPE.WORKSHOP_MASON);
+importCraftingState({ craftedItems: [], craftingJobs: [{
+  id: nextId(), recipeId: 'stone_block', workshopId: workshop.id, progress: 0, assignee: null, status: 'pending',
+}] });
+createStockpile(workshop.x, workshop.y, workshop.x, workshop.y, { structureId: workshop.id });
+const { group: arsonists } = wave(fires);
+const arsonist = arsonists[0];
+const beside = floorNear(fires, workshop, 9).find(t => t.dist === 1);
+Object.assign(arsonist, { objective: RAID_OBJECTIVE.BURN, x: beside.x, y: beside.y });
+const torch = decideRaidObjective(arsonist, fires);
+assert(torch.state === VISITOR_STATE.RAIDING && torch.target === null && arsonist.burnTarget === workshop.id,
+  'an arsonist at the walls holds still to burn');
+for (let i = 0; i < 40 && getStructures().length > 0; i++) decideRaidObjective(arsonist, fires);
+const tile = getTile(fires.map, workshop.x, workshop.y);
+assert(getStructures().length === 0 && tile.scorched && isPassable(fires, workshop.x, workshop.y),
+  'the structure burns to scorched ground');
+assert(getCraftingJobs().length === 0 && !getStockpiles().some(s => s.structureId === workshop.id),
+  'its work and storage go with it');
+assert(fired('STRUCTURE_BURNED').length === 1 && arsonist.objective === RAID_OBJECTIVE.ATTACK,
+  'the burning is announced and the arsonist turns to fighting');
+
+// Kidnapping
+const grabs = await goblinWorld(-50);
+build(grabs, 6);
+const { group: kidnappers, raid: kidnapRaid } = wave(grabs);
+const kidnapper = kidnappers.find(v => !v.raidLeader);
+const victim = grabs.dwarves[0];
+const nextTo = floorNear(grabs, victim, 9).find(t => t.dist === 1);
+Object.assign(kidnapper, { objective: RAID_OBJECTIVE.KIDNAP, x: nextTo.x, y: nextTo.y });
+let seized = null;
+for (let i = 0; i < 500 && !seized; i++) {
+  const decision = decideRaidObjective(kidnapper, grabs);
+  if (decision.state === VISITOR_STATE.LEAVING) seized = decision;
+}
+assert(seized && victim.captiveOf === kidnapper.id && kidnapper.captive === victim.id, 'a kidnapper seizes a dwarf');
+assert(decideDwarf(victim, grabs).state === 'captive', 'a captive makes no choices of their own');
+kidnapper.x += 1;
+tickRaids(grabs);
+assert(victim.x === kidnapper.x && victim.y === kidnapper.y, 'the captive is dragged along');
+
+kidnapper.hp = 0;
+kidnapper.state = VISITOR_STATE.DEAD;
+tickRaids(grabs);
+assert(victim.captiveOf === null && grabs.log.some(e => /breaks free/.test(e.message)), 'a captive whose captor falls goes free');
+
+const taker = kidnappers.find(v => !v.raidLeader && v !== kidnapper);
+const population = grabs.dwarves.length;
+taker.captive = victim.id;
+victim.captiveOf = taker.id;
+recordEscape(taker, grabs);
+assert(grabs.dwarves.length === population - 1 && !grabs.dwarves.includes(victim) && kidnapRaid.taken === 1,
+  'a captive carried off the map is lost');
+assert(fired('DWARF_KIDNAPPED')[0]?.payload.dwarf === victim
+  && grabs.history.events.some(e => e.type === HISTORICAL_EVENT.DWARF_TAKEN), 'the kidnapping is announced and remembered');
+
+const slow = kidnappers.find(v => !v.raidLeader && v !== kidnapper && v !== taker);
+Object.assign(slow, { objective: RAID_OBJECTIVE.STEAL, objectiveTicks: 400 });
+assert(decideRaidObjective(slow, grabs) === null && slow.objective === RAID_OBJECTIVE.ATTACK,
+  'a raider too long at an objective falls back to attacking');
+
+// ============================================================
+// (e) routs and endings
+// ============================================================
+console.log('\n(e) routs and endings');
+
+const rout = await goblinWorld(-50);
+build(rout, 6);
+const { group: routed, raid: routRaid } = wave(rout);
+const chief = routed.find(v => v.raidLeader);
+chief.hp = 0;
+chief.state = VISITOR_STATE.DEAD;
+tickRaids(rout);
+const follower = routed.find(v => v !== chief);
+assert(routRaid.routed && follower.routed, 'the warchief falling routs the wave');
+assert(decideVisitor(follower, rout).state === VISITOR_STATE.FLEEING, 'routed raiders run');
+
+for (const v of routed) v.state = VISITOR_STATE.DEAD;
+tickRaids(rout);
+assert(routRaid.status === RAID_STATUS.OVER && getActiveRaid() === null, 'a raid with nobody left is over');
+assert(fired('RAID_ENDED').some(e => e.payload.raid === routRaid)
+  && rout.log.some(e => /The goblin raid is over/.test(e.message)), 'the end of the raid is announced');
+
+// ============================================================
+// (f) saves
+// ============================================================
+console.log('\n(f) save/load');
+
+const saved = await goblinWorld(-100);
+build(saved, 10);
+const { group: savedWave, raid: savedRaid } = wave(saved, 'east');
+reportBack({ name: 'A scout' }, saved);
+const savedJson = JSON.stringify({ raids: getRaids(), intel: getIntel() });
+const save = stringifySave(createSaveSnapshot(saved));
+await goblinWorld(0);
+assert(getRaids().length === 0 && getIntel() === null, 'a new world starts without raids');
+const restored = createWorldState();
+restoreSaveSnapshot(restored, parseSave(save));
+assert(JSON.stringify({ raids: getRaids(), intel: getIntel() }) === savedJson, 'raids and intel are restored');
+const restoredRaider = restored.visitors.find(v => v.id === savedWave[1].id);
+assert(restoredRaider?.raidId === savedRaid.id && restoredRaider.objective === savedWave[1].objective,
+  'raiders keep their raid and objective');
+assert(decideRaidObjective(restoredRaider, restored).state === VISITOR_STATE.CAMPING, 'and the siege carries on');
+assert(isNearEdge(savedRaid.camp.x, savedRaid.camp.y, saved.map, 6), 'the camp stays by the edge');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
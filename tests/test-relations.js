@@ -0,0 +1,224 @@
+// Race relations test — visitor outcomes move the dwarves' standing
+// Run with: node tests/test-relations.js
+//
+// Proves:
+//  (a) an outcome appends a present-day event to the timeline and shifts the
+//      relation; outcomes for the same group fold into one entry
+//  (b) crossing a stance threshold is logged and RELATIONS_CHANGED fires
+//  (c) deaths in combat count: slain raiders, slain guests, slain dwarves
+//  (d) departures count: routed raids, caravans that traded (more for bigger
+//      deals), soured trades, envoys received, missionaries heard
+//  (e) spawn weights react to the live relations and timeline
+//  (f) the live timeline survives save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  HISTORICAL_EVENT, recordVisitorOutcome, getDwarfRelation, getStance, getSpawnWeightModifier,
+} = await import('../src/sim/history.js');
+const { calculateRaceWeights } = await import('../src/sim/visitorSpawner.js');
+const { createVisitor, VISITOR_STATE } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { attemptAttack } = await import('../src/sim/combat.js');
+const { processVisitors } = await import('../src/ai/visitorAI.js');
+const { findFortressCenter } = await import('../src/sim/edges.js');
+const { applyTradeOrder } = await import('../src/sim/trade.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world with the dwarves' relations set */
+async function relationsWorld(relations = {}) {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  for (const [race, value] of Object.entries(relations)) {
+    state.history.raceRelations[getRelationKey('dwarf', race)] = value;
+  }
+  return state;
+}
+
+/** A visitor on the map's west edge, where leaving takes one tick */
+function atEdge(state, race, role, fields = {}) {
+  const visitor = Object.assign(createVisitor(1, Math.floor(state.map.height / 2), race, role, {}), fields);
+  state.visitors.push(visitor);
+  return visitor;
+}
+
+const liveEvents = (state, type) => state.history.events.filter(e => e.live && e.type === type);
+
+// ============================================================
+// (a) the live timeline
+// ============================================================
+console.log('\n(a) the live timeline');
+
+const state = await relationsWorld({ [RACE.GOBLIN]: -30 });
+const historical = state.history.events.length;
+const raider = createVisitor(5, 5, RACE.GOBLIN, VISITOR_ROLE.RAIDER, {});
+raider.groupId = 900;
+
+const first = recordVisitorOutcome(state, HISTORICAL_EVENT.RAID_REPELLED, raider);
+assert(state.history.events.length === historical + 1 && state.history.events.at(-1) === first,
+  'the outcome is appended to the timeline');
+assert(first.live && first.participants.join() === `dwarf,${RACE.GOBLIN}` && first.year === state.history.currentYear
+  && first.day === 1, 'as a present-day event between the dwarves and the race');
+assert(getDwarfRelation(state.history, RACE.GOBLIN) === -35, 'and the relation shifts');
+assert(first.description === 'The dwarves routed 1 goblin raider.', `described: "${first.description}"`);
+
+const second = recordVisitorOutcome(state, HISTORICAL_EVENT.RAID_REPELLED, { ...raider, id: raider.id + 1 });
+assert(second === first && first.count === 2 && state.history.events.length === historical + 1,
+  'a second raider of the group folds into the same entry');
+assert(first.description === 'The dwarves routed 2 goblin raiders.' && first.relationChange === -10
+  && getDwarfRelation(state.history, RACE.GOBLIN) === -40, 'but still counts');
+
+// ============================================================
+// (b) stances
+// ============================================================
+console.log('\n(b) stances');
+
+assert(getStance(60).name === 'allied' && getStance(0).name === 'neutral' && getStance(-60).name === 'at war',
+  'relations read as stances');
+const changes = [];
+const off = on(EVENTS.RELATIONS_CHANGED, (data) => changes.push(data));
+const stanceState = await relationsWorld({ [RACE.HUMAN]: 22 });
+const merchant = createVisitor(5, 5, RACE.HUMAN, VISITOR_ROLE.MERCHANT, {});
+recordVisitorOutcome(stanceState, HISTORICAL_EVENT.GUEST_SLAIN, merchant);
+off();
+assert(stanceState.log.some(entry => entry.message === 'Relations with the humans are now neutral.'),
+  'falling from friendly to neutral is logged');
+assert(changes.length === 1 && changes[0].race === RACE.HUMAN && changes[0].relation === 2 && changes[0].change === -20,
+  'RELATIONS_CHANGED carries the race, the relation and the change');
+
+// ============================================================
+// (c) combat deaths
+// ============================================================
+console.log('\n(c) combat deaths');
+
+/** One blow from the attacker kills the defender */
+function kill(world, attacker, defender) {
+  defender.x = attacker.x + 1;
+  defender.y = attacker.y;
+  defender.hp = 1;
+  attacker.attackCooldown = 0;
+  attemptAttack(attacker, defender, world);
+}
+
+const combatState = await relationsWorld({ [RACE.GOBLIN]: 0, [RACE.HUMAN]: 40 });
+const dwarf = combatState.dwarves[0];
+kill(combatState, dwarf, atEdge(combatState, RACE.GOBLIN, VISITOR_ROLE.RAIDER));
+assert(liveEvents(combatState, HISTORICAL_EVENT.RAIDER_SLAIN).length === 1
+  && getDwarfRelation(combatState.history, RACE.GOBLIN) === -5, 'a slain raider costs a little with the goblins');
+
+kill(combatState, dwarf, atEdge(combatState, RACE.HUMAN, VISITOR_ROLE.MERCHANT));
+assert(liveEvents(combatState, HISTORICAL_EVENT.GUEST_SLAIN).length === 1
+  && getDwarfRelation(combatState.history, RACE.HUMAN) === 20, 'a slain guest costs a lot with the humans');
+
+const killer = atEdge(combatState, RACE.GOBLIN, VISITOR_ROLE.RAIDER);
+kill(combatState, killer, combatState.dwarves[1]);
+assert(liveEvents(combatState, HISTORICAL_EVENT.DWARF_SLAIN).length === 1
+  && getDwarfRelation(combatState.history, RACE.GOBLIN) === -15, 'a slain dwarf is held against the killers');
+
+// ============================================================
+// (d) departures
+// ============================================================
+console.log('\n(d) departures');
+
+const leaveState = await relationsWorld({ [RACE.GOBLIN]: 0, [RACE.HUMAN]: 0, [RACE.ELF]: 0 });
+const routed = atEdge(leaveState, RACE.GOBLIN, VISITOR_ROLE.RAIDER);
+routed.hp = 1;
+const smallDeal = atEdge(leaveState, RACE.HUMAN, VISITOR_ROLE.MERCHANT, { satisfaction: 100, patience: 3, tradeValue: 10 });
+const bigDeal = atEdge(leaveState, RACE.HUMAN, VISITOR_ROLE.MERCHANT, { satisfaction: 100, patience: 3, tradeValue: 200 });
+const browser = atEdge(leaveState, RACE.HUMAN, VISITOR_ROLE.MERCHANT, { satisfaction: 100, patience: 3, tradeValue: 0 });
+const preacher = atEdge(leaveState, RACE.ELF, VISITOR_ROLE.MISSIONARY, { satisfaction: 200, interactionCount: 2 });
+await quiet(() => processVisitors(leaveState));
+
+assert(routed.state === VISITOR_STATE.DEAD && liveEvents(leaveState, HISTORICAL_EVENT.RAID_REPELLED).length === 1,
+  'a routed raider is recorded');
+const caravans = liveEvents(leaveState, HISTORICAL_EVENT.CARAVAN_TRADE);
+assert(browser.state === VISITOR_STATE.DEAD && caravans.length === 2, 'caravans that traded are recorded; browsers are not');
+// A lone visitor is its own group
+const caravanOf = (v) => caravans.find(e => e.groupId === v.id);
+assert(caravanOf(smallDeal)?.relationChange === 2 && caravanOf(bigDeal)?.relationChange === 10,
+  'bigger deals warm relations more');
+assert(getDwarfRelation(leaveState.history, RACE.HUMAN) === 12, 'the humans think better of the fortress');
+assert(preacher.state === VISITOR_STATE.DEAD && liveEvents(leaveState, HISTORICAL_EVENT.SERMON_HEARD).length === 1
+  && getDwarfRelation(leaveState.history, RACE.ELF) === 5, 'a missionary with listeners warms the elves');
+
+const envoy = createVisitor(0, 0, RACE.HUMAN, VISITOR_ROLE.DIPLOMAT, {});
+Object.assign(envoy, findFortressCenter(leaveState));
+envoy.itinerary = [];
+leaveState.visitors.push(envoy);
+await quiet(() => processVisitors(leaveState));
+assert(liveEvents(leaveState, HISTORICAL_EVENT.ENVOY_RECEIVED).length === 1
+  && getDwarfRelation(leaveState.history, RACE.HUMAN) === 20, 'an envoy who delivers their message is recorded');
+
+const haggler = atEdge(leaveState, RACE.HUMAN, VISITOR_ROLE.MERCHANT, {
+  state: VISITOR_STATE.TRADING, patience: 1, discount: 0.3, priceFactor: 1, inventory: [],
+});
+applyTradeOrder(leaveState, { action: 'haggle', merchantId: haggler.id });
+assert(liveEvents(leaveState, HISTORICAL_EVENT.TRADE_SOURED).length === 1
+  && getDwarfRelation(leaveState.history, RACE.HUMAN) === 15, 'a merchant driven off by haggling sours relations');
+
+// ============================================================
+// (e) spawn weights
+// ============================================================
+console.log('\n(e) spawn weights');
+
+const spawnState = await relationsWorld({ [RACE.GOBLIN]: -10, [RACE.HUMAN]: 10 });
+const before = calculateRaceWeights(spawnState.history);
+const guest = createVisitor(0, 0, RACE.HUMAN, VISITOR_ROLE.MERCHANT, {});
+guest.groupId = 901;
+recordVisitorOutcome(spawnState, HISTORICAL_EVENT.GUEST_SLAIN, guest);
+const afterGuest = calculateRaceWeights(spawnState.history);
+assert(afterGuest[RACE.HUMAN] < before[RACE.HUMAN], `slaying a guest drives the humans away (${before[RACE.HUMAN]} → ${afterGuest[RACE.HUMAN]})`);
+
+const goblin = createVisitor(0, 0, RACE.GOBLIN, VISITOR_ROLE.RAIDER, {});
+goblin.groupId = 902;
+recordVisitorOutcome(spawnState, HISTORICAL_EVENT.RAIDER_SLAIN, goblin, { relationChange: -30 });
+assert(calculateRaceWeights(spawnState.history)[RACE.GOBLIN] > before[RACE.GOBLIN],
+  'a goblin grudge brings more raiders');
+const deterred = getSpawnWeightModifier(spawnState.history, RACE.GOBLIN);
+recordVisitorOutcome(spawnState, HISTORICAL_EVENT.RAID_REPELLED, { ...goblin, groupId: 903 }, { relationChange: 0 });
+assert(getSpawnWeightModifier(spawnState.history, RACE.GOBLIN) < deterred, 'but a routed raid deters them for a while');
+
+// ============================================================
+// (f) saves
+// ============================================================
+console.log('\n(f) save/load');
+
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(spawnState))));
+assert(restoredState.history.events.filter(e => e.live).length === 3
+  && getDwarfRelation(restoredState.history, RACE.GOBLIN) === getDwarfRelation(spawnState.history, RACE.GOBLIN),
+'the live timeline and relations are restored');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
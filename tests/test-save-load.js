@@ -0,0 +1,294 @@
+// Save/load smoke test — full world snapshot incl. module-level subsystems
+// Run with: node tests/test-save-load.js
+//
+// Proves:
+//  (a) a snapshot survives a JSON round trip (Maps, Sets, typed-array
+//      grids, tagged references)
+//  (b) restore rehydrates every subsystem: construction projects and
+//      designations, crafting jobs and items, scent channels, ground cover,
+//      the WeatherSimulator, live thoughts, id counter, spawner clock
+//  (c) cross-references keep their identity (a builder's task points at the
+//      restored project, a hunter's prey is the restored animal)
+//  (d) the restored world keeps ticking and mints fresh ids
+//  (e) foreign or future-version saves are rejected
+//  (f) a restored world runs on exactly as the uninterrupted one does,
+//      skill gains (named keys on the skills array) included
+//  (g) a version-1 save (one flat tile array per level) loads into chunks
+//  (h) a restore that fails partway through leaves the world as it was
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile, getTile, getLevel, getDepth } = await import('../src/map/map.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave, SAVE_VERSION } = await import('../src/state/saveGame.js');
+const { tick, initSystems } = await import('../src/sim/world.js');
+const { createDwarf, createFoodSource, nextId, resetIds } = await import('../src/sim/entities.js');
+const { createAnimal } = await import('../src/sim/animals.js');
+const { TASK_TYPE } = await import('../src/sim/tasks.js');
+const {
+  startBuildProject, designateDig, getBuildProjects, getDigDesignations, getStructures,
+  STRUCTURE_TYPE,
+} = await import('../src/sim/construction.js');
+const { getCraftedItems, getPendingCraftingJobs, QUALITY, exportCraftingState } = await import('../src/sim/crafting.js');
+const { emitScent, getScent, SCENT_CHANNEL } = await import('../src/sim/movement.js');
+const { getWetness, exportGroundCover, importGroundCover } = await import('../src/sim/groundCover.js');
+const { exportSpawnerState, importSpawnerState } = await import('../src/sim/visitorSpawner.js');
+const { importThoughtState, getCurrentThought } = await import('../src/ai/thoughts.js');
+const { WeatherSimulator } = await import('../src/sim/weather.js');
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const { applyDesignationOrder } = await import('../src/sim/construction.js');
+const { SKILL } = await import('../src/sim/tasks.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+/** Grass world with a rock outcrop to dig into */
+function makeState(width = 40, height = 30) {
+  const state = createWorldState(width, height);
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
+  for (let y = 2; y < 6; y++) {
+    for (let x = 30; x < 36; x++) setTile(state.map, x, y, { type: 'rock' });
+  }
+  state.map.biome = { name: 'Test Meadow', colorMod: { hue: 10, saturation: 0, brightness: 0 } };
+  state.tick = 1;
+  return state;
+}
+
+// ============================================================
+// Build a lived-in world
+// ============================================================
+resetIds();
+const state = makeState();
+initSystems(state);
+state.weather = new WeatherSimulator(40, 30, 1234);
+state.weather.addSource(10, 10, 'RAIN', 0.8, 200);
+
+const builder = createDwarf(10, 10);
+const hunter = createDwarf(12, 12);
+state.dwarves = [builder, hunter];
+state.foodSources = [createFoodSource(5, 5, 9)];
+const deer = createAnimal(15, 12, 'deer', state);
+state.animals = [deer];
+
+const project = startBuildProject(STRUCTURE_TYPE.SHELTER, 4, 20, state, builder);
+project.workers.add(builder.id);
+builder.currentTask = { type: TASK_TYPE.BUILD, priority: 50, target: project };
+hunter.currentTask = { type: TASK_TYPE.HUNT, priority: 60, target: deer };
+hunter.relationships[builder.id] = { affinity: 12, conversationLog: [] };
+designateDig(31, 3, state);
+
+// A finished workshop with a queued job and a masterwork on the shelf
+const workshop = {
+  id: 777, type: STRUCTURE_TYPE.WORKSHOP_MASON, name: 'Mason Workshop',
+  x: 20, y: 20, width: 5, height: 5, complete: true,
+};
+getStructures().push(workshop);
+const crafting = exportCraftingState();
+crafting.craftingJobs.push({
+  id: 888, recipeId: 'stone_block', recipe: null, workshopId: workshop.id, workshop,
+  progress: 4, assignee: null, status: 'pending', materialsReserved: false,
+});
+const masterwork = {
+  id: 999, type: 'figurine', amount: 1, material: null, quality: QUALITY.MASTERWORK,
+  crafterId: builder.id, crafterName: builder.name,
+};
+crafting.craftedItems.push(masterwork);
+builder.memory.craftedItems = [masterwork];
+builder.memory.visitedAreas = new Set(['grass', 'rock']);
+
+emitScent(8, 8, 3, 4, SCENT_CHANNEL.DANGER);
+const groundGrids = exportGroundCover();
+groundGrids.wetness[7 * 40 + 7] = 0.8;
+importGroundCover(groundGrids);
+importSpawnerState({ lastSpawnTick: 321 });
+importThoughtState({ activeThoughts: [[builder.id, { thought: 'Walls first.', type: 'observation' }]] });
+
+state.tick = 2500;
+state.clock = { day: 3, season: 'spring' };
+const idBeforeSave = nextId();
+
+// ============================================================
+// (a) round trip
+// ============================================================
+console.log('\n(a) snapshot round trip');
+
+const snapshot = createSaveSnapshot(state, { scenario: { title: 'Test Hold' }, mapMode: 'biome', embark: { x: 20, y: 9 } });
+const text = stringifySave(snapshot);
+assert(typeof text === 'string' && text.length > 0, `snapshot stringifies (${(text.length / 1024).toFixed(1)} KB)`);
+assert(snapshot.version === SAVE_VERSION && snapshot.meta.dwarfCount === 2, 'snapshot carries version + slot metadata');
+assert(snapshot.world.map.state === undefined && snapshot.world.weather === undefined, 'render hints and the weather instance stay out of world data');
+const parsed = parseSave(text);
+
+// Scramble the live world so restore has to do all the work
+initSystems(makeState());
+resetIds();
+importSpawnerState({ lastSpawnTick: 0 });
+importThoughtState({});
+
+const restored = createWorldState(10, 10);
+const keepRef = restored;
+const meta = restoreSaveSnapshot(restored, parsed);
+
+// ============================================================
+// (b) subsystems
+// ============================================================
+console.log('\n(b) subsystems rehydrated');
+
+assert(restored === keepRef && restored.tick === 2500, 'world state rewritten in place (tick restored)');
+assert(restored.clock.day === 3, 'calendar re-derived from the tick');
+assert(meta.scenario?.title === 'Test Hold' && meta.mapMode === 'biome' && meta.embark?.x === 20 && meta.embark?.y === 9,
+  'session meta (scenario, map mode, embark region) comes back');
+assert(restored.map.width === 40 && getLevel(restored.map).length === 1200, 'map restored');
+assert(restored.dwarves.length === 2 && restored.animals.length === 1, 'entities restored');
+assert(restored.dwarves[0].recentlyPerceivedEntities instanceof Map, 'Maps survive on entities');
+assert(restored.dwarves[0].memory.visitedAreas instanceof Set && restored.dwarves[0].memory.visitedAreas.has('rock'), 'Sets survive on entities');
+assert(getBuildProjects().length === 1 && getBuildProjects()[0].digProgress instanceof Map, 'build project restored with its dig-progress Map');
+assert(getBuildProjects()[0].blueprint?.layout?.length === 4, 'project blueprint re-linked');
+assert(getBuildProjects()[0].workers instanceof Set && getBuildProjects()[0].workers.has(builder.id), 'project workers Set restored');
+assert(getDigDesignations().some(d => d.x === 31 && d.y === 3), 'dig designations restored');
+assert(getStructures().some(s => s.id === 777), 'completed structures restored');
+assert(getPendingCraftingJobs().length === 1 && getPendingCraftingJobs()[0].recipe?.name === 'Stone Block', 'crafting job restored with recipe re-linked');
+assert(getPendingCraftingJobs()[0].workshop === getStructures().find(s => s.id === 777), 'job workshop is the restored structure');
+assert(getCraftedItems()[0]?.quality === QUALITY.MASTERWORK, 'item quality re-linked to the shared QUALITY tier');
+assert(getScent(8, 8, SCENT_CHANNEL.DANGER) > 1, 'danger scent restored');
+assert(getScent(20, 20, SCENT_CHANNEL.FOOD) === 0, 'empty channels stay empty');
+assert(Math.abs(getWetness(7, 7) - 0.8) < 1e-6, 'ground wetness restored');
+assert(restored.weather instanceof WeatherSimulator && restored.weather.seed === 1234, 'weather simulator rebuilt from its seed');
+assert(restored.weather.sources.length === 1 && restored.weather.sources[0].type === 'rain', 'weather sources restored');
+assert(exportSpawnerState().lastSpawnTick === 321, 'spawner clock restored');
+assert(getCurrentThought(builder.id) === 'Walls first.', 'live thought restored');
+
+// ============================================================
+// (c) identity
+// ============================================================
+console.log('\n(c) references keep identity');
+
+const rBuilder = restored.dwarves.find(d => d.id === builder.id);
+const rHunter = restored.dwarves.find(d => d.id === hunter.id);
+assert(rBuilder.currentTask.target === getBuildProjects()[0], "builder's task targets the restored project");
+assert(rHunter.currentTask.target === restored.animals[0], "hunter's prey is the restored animal");
+assert(rBuilder.memory.craftedItems[0] === getCraftedItems()[0], 'crafted item shared between dwarf memory and the item list');
+assert(rHunter.relationships[builder.id]?.affinity === 12, 'relationships restored');
+
+// ============================================================
+// (d) keeps running
+// ============================================================
+console.log('\n(d) restored world keeps ticking');
+
+assert(nextId() === idBeforeSave + 1, 'id counter continues past the saved ids');
+let tickError = null;
+try {
+  for (let i = 0; i < 40; i++) tick(restored);
+} catch (error) {
+  tickError = error;
+}
+assert(!tickError, `40 ticks after restore run clean${tickError ? ` (threw: ${tickError.message})` : ''}`);
+assert(restored.tick === 2540, 'tick advanced from the saved tick');
+
+// ============================================================
+// (e) rejects bad input
+// ============================================================
+console.log('\n(e) bad saves rejected');
+
+let threw = false;
+try { parseSave(JSON.stringify({ hello: 'world' })); } catch { threw = true; }
+assert(threw, 'non-save JSON is rejected');
+
+threw = false;
+try { restoreSaveSnapshot(createWorldState(), { ...parsed, version: SAVE_VERSION + 1 }); } catch { threw = true; }
+assert(threw, 'saves from a newer build are rejected');
+assert(restored.tick === 2540, 'a rejected restore leaves the world untouched');
+
+// ============================================================
+// (f) save, load and carry on
+// ============================================================
+console.log('\n(f) restored world runs on like the original');
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+// Wall-clock stamps are bookkeeping, not simulation
+const WALL_CLOCK = /(At|timestamp)$/;
+const worldText = (s) => {
+  const { world, systems } = createSaveSnapshot(s);
+  return JSON.stringify({ world, systems }, (key, value) => (WALL_CLOCK.test(key) ? undefined : value));
+};
+
+const cave = await quiet(() => createHeadlessWorld({ seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 }));
+applyDesignationOrder(cave, { action: 'dig', x1: 0, y1: 0, x2: 49, y2: 23 });
+await quiet(() => runHeadless(cave, { ticks: 200 }));
+// Skill gains are stored by name on the skills array, as digging does it
+for (const dwarf of cave.dwarves) dwarf.skills[SKILL.MINING] = 0.95;
+
+const caveSave = stringifySave(createSaveSnapshot(cave));
+await quiet(() => runHeadless(cave, { ticks: 300 }));
+const uninterrupted = worldText(cave);
+
+const reloaded = createWorldState(1, 1);
+await quiet(() => restoreSaveSnapshot(reloaded, parseSave(caveSave)));
+assert(reloaded.dwarves.every(d => d.skills[SKILL.MINING] === 0.95), 'skill gains kept on the skills array survive the save');
+await quiet(() => runHeadless(reloaded, { ticks: 300 }));
+assert(reloaded.tick === cave.tick && worldText(reloaded) === uninterrupted,
+  `300 ticks after restore match the uninterrupted run (tick ${reloaded.tick})`);
+
+// ============================================================
+// (g) saves from before chunked tiles
+// ============================================================
+console.log('\n(g) version-1 saves migrate');
+
+const { chunks, ...flatMap } = parsed.world.map;
+const v1 = { ...parsed, version: 1, world: { ...parsed.world, map: { ...flatMap, tiles: getLevel(makeState().map), below: [] } } };
+const migrated = createWorldState(1, 1);
+restoreSaveSnapshot(migrated, v1);
+assert(getDepth(migrated.map) === 1 && getTile(migrated.map, 31, 3).type === 'rock' && getTile(migrated.map, 0, 0).type === 'grass',
+  'flat tile arrays are chunked on load');
+assert(migrated.map.biome?.name === 'Test Meadow' && !('tiles' in migrated.map), 'the rest of the map comes along, the flat array does not');
+
+// ============================================================
+// (h) a failed restore
+// ============================================================
+console.log('\n(h) failed restores roll back');
+
+// Construction and crafting take the cave's state before the stockpiles choke
+const broken = parseSave(caveSave);
+broken.systems.stockpiles = { stockpiles: 5 };
+const dwarfIds = migrated.dwarves.map(d => d.id).join();
+threw = false;
+try { await quiet(() => restoreSaveSnapshot(migrated, broken)); } catch { threw = true; }
+assert(threw, 'a subsystem that refuses its saved state fails the restore');
+assert(migrated.tick === 2500 && migrated.dwarves.map(d => d.id).join() === dwarfIds
+  && getTile(migrated.map, 31, 3).type === 'rock', 'the world state is put back');
+assert(getStructures().some(s => s.id === 777)
+  && getPendingCraftingJobs()[0]?.workshop === getStructures().find(s => s.id === 777),
+  'and so are the subsystems restored before the failure');
+tickError = null;
+try {
+  for (let i = 0; i < 5; i++) tick(migrated);
+} catch (error) {
+  tickError = error;
+}
+assert(!tickError && migrated.tick === 2505, 'and it keeps ticking');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,151 @@
+// Scenario → world test — scenario parameters drive world generation
+// Run with: node tests/test-scenario-world.js
+//
+// Proves:
+//  (a) resolveWorldSettings turns a scenario into terrain, map size,
+//      population, food stock and difficulty-scaled rule multipliers;
+//      no scenario keeps the sandbox defaults
+//  (b) the multipliers reach RULES (hunger, food respawn) relative to the
+//      baseline, and a new world resets them
+//  (c) a built world honours the scenario (terrain, size, dwarves, food
+//      sources, biome emphasis)
+//  (d) a brutal scenario plays brutally: hunger climbs faster than in a
+//      peaceful one over the same ticks
+//  (e) the rule scaling travels with a save
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { resolveWorldSettings, resetWorldState, generateMapForMode, DEFAULT_WORLD } = await import('../src/sim/worldGen.js');
+const { RULES, exportRulesState } = await import('../src/sim/rules.js');
+const { getPresetByTitle } = await import('../src/scenarios/presets.js');
+const { getDifficultyModifiers, PARAMETER_RANGES } = await import('../src/scenarios/scenarioSchema.js');
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+const BASE_HUNGER = RULES.HUNGER_PER_TICK;
+const BASE_RESPAWN = RULES.FOOD_RESPAWN_CHANCE;
+
+// Generation is chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+const brutal = getPresetByTitle('The Last Fortress');
+const peaceful = getPresetByTitle('Verdant Valley');
+
+// ============================================================
+// (a) settings
+// ============================================================
+console.log('\n(a) scenario → world settings');
+
+const sandbox = resolveWorldSettings(null);
+assert(sandbox.terrain === null && sandbox.width === DEFAULT_WORLD.width && sandbox.dwarves === DEFAULT_WORLD.dwarves,
+  'no scenario keeps the sandbox world');
+assert(sandbox.hungerMultiplier === 1 && sandbox.foodRespawnMultiplier === 1, 'no scenario leaves the rules alone');
+
+const hard = resolveWorldSettings(brutal);
+const p = brutal.parameters;
+const mods = getDifficultyModifiers('brutal');
+assert(hard.terrain === p.terrain && hard.width === p.mapWidth && hard.height === p.mapHeight, `terrain + size from the scenario (${hard.terrain} ${hard.width}x${hard.height})`);
+assert(hard.dwarves === p.dwarfCount && hard.food === p.foodSources, 'population + food sources from the scenario');
+assert(near(hard.hungerMultiplier, p.hungerRate * mods.hungerMultiplier), `hunger = rate x difficulty (${hard.hungerMultiplier})`);
+assert(near(hard.foodRespawnMultiplier, p.foodRespawnRate * mods.foodSpawnMultiplier), `respawn = rate x difficulty (${hard.foodRespawnMultiplier})`);
+assert(near(hard.servingsMultiplier, p.initialFood / PARAMETER_RANGES.initialFood.default * mods.initialFoodMultiplier),
+  'food stock scales servings per source');
+
+const sparse = resolveWorldSettings({ parameters: { terrain: 'cave', dwarfCount: 4 } });
+assert(sparse.width === PARAMETER_RANGES.mapWidth.default && sparse.difficulty === 'normal' && sparse.hungerMultiplier === 1,
+  'missing parameters fall back to schema defaults');
+
+// ============================================================
+// (b) rules
+// ============================================================
+console.log('\n(b) rule scaling');
+
+const state = createWorldState(40, 20);
+state.map = generateMapForMode('biome', 40, 20, 1);
+resetWorldState(state, 1, hard);
+assert(near(RULES.HUNGER_PER_TICK, BASE_HUNGER * hard.hungerMultiplier), `HUNGER_PER_TICK scaled (${RULES.HUNGER_PER_TICK.toFixed(3)})`);
+assert(near(RULES.FOOD_RESPAWN_CHANCE, BASE_RESPAWN * hard.foodRespawnMultiplier), 'FOOD_RESPAWN_CHANCE scaled');
+resetWorldState(state, 1, hard);
+assert(near(RULES.HUNGER_PER_TICK, BASE_HUNGER * hard.hungerMultiplier), 'scaling is relative to the baseline (no compounding)');
+resetWorldState(state, 1);
+assert(RULES.HUNGER_PER_TICK === BASE_HUNGER && RULES.FOOD_RESPAWN_CHANCE === BASE_RESPAWN, 'a world without a scenario resets the rules');
+
+// ============================================================
+// (c) built worlds
+// ============================================================
+console.log('\n(c) worlds follow the scenario');
+
+const fortress = await quiet(() => createHeadlessWorld({ seed: 31, scenario: brutal }));
+assert(fortress.map.width === p.mapWidth && fortress.map.height === p.mapHeight, 'map built at the scenario size');
+assert(fortress.dwarves.length === p.dwarfCount, `${fortress.dwarves.length} dwarves, as the scenario asks`);
+assert(fortress.foodSources.length === p.foodSources, `${fortress.foodSources.length} food sources`);
+assert(fortress.foodSources.every(f => f.amount <= 7), 'brutal stock: lean food sources');
+
+const valley = await quiet(() => createHeadlessWorld({ seed: 31, scenario: peaceful }));
+assert(valley.dwarves.length === peaceful.parameters.dwarfCount && valley.foodSources.some(f => f.amount > 13), 'peaceful stock: rich food sources');
+
+const meanOf = (grid) => grid.reduce((sum, v) => sum + v, 0) / grid.length;
+const flat = generateMapForMode('biome', 64, 24, 5);
+const peaks = generateMapForMode('biome', 64, 24, 5, { biomeEmphasis: 'mountain' });
+const dunes = generateMapForMode('biome', 64, 24, 5, { biomeEmphasis: 'desert' });
+assert(meanOf(peaks.elevation) > meanOf(flat.elevation), 'mountain emphasis raises the land');
+assert(meanOf(dunes.moisture) < meanOf(flat.moisture), 'desert emphasis dries it');
+
+// ============================================================
+// (d) difficulty plays out
+// ============================================================
+console.log('\n(d) brutal plays brutally');
+
+const TICKS = 120;
+const hungerAfter = async (scenario) => {
+  const world = await quiet(() => createHeadlessWorld({ seed: 8, scenario, width: 50, height: 24, dwarves: 5 }));
+  const start = world.dwarves.reduce((sum, d) => sum + d.hunger, 0);
+  runHeadless(world, { ticks: TICKS });
+  return (world.dwarves.reduce((sum, d) => sum + d.hunger, 0) - start) / world.dwarves.length;
+};
+const brutalGain = await hungerAfter(brutal);
+const peacefulGain = await hungerAfter(peaceful);
+assert(brutalGain > peacefulGain + 10, `hunger over ${TICKS} ticks: brutal +${brutalGain.toFixed(1)} vs peaceful +${peacefulGain.toFixed(1)}`);
+
+// ============================================================
+// (e) saves
+// ============================================================
+console.log('\n(e) rule scaling survives save/load');
+
+const saved = await quiet(() => createHeadlessWorld({ seed: 4, scenario: brutal, width: 40, height: 20 }));
+const text = stringifySave(createSaveSnapshot(saved, { scenario: brutal }));
+const savedRules = exportRulesState();
+await quiet(() => createHeadlessWorld({ seed: 4, width: 40, height: 20 }));
+assert(RULES.HUNGER_PER_TICK === BASE_HUNGER, 'a sandbox world runs at baseline hunger');
+restoreSaveSnapshot(createWorldState(), parseSave(text));
+assert(near(exportRulesState().hungerMultiplier, savedRules.hungerMultiplier) && near(RULES.HUNGER_PER_TICK, BASE_HUNGER * savedRules.hungerMultiplier),
+  'restored colony keeps its scenario hunger');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
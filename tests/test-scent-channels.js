@@ -35,6 +35,7 @@ const { VISITOR_ROLE, RACE } = await import('../src/sim/races.js');
 const { decideVisitor } = await import('../src/ai/visitorAI.js');
 const { buildLocalContext } = await import('../src/llm/worldContext.js');
 const { createWorldState } = await import('../src/state/store.js');
+const { createMap, setTile } = await import('../src/map/map.js');
 const { distance } = await import('../src/sim/entities.js');
 
 let passed = 0;
@@ -52,7 +53,7 @@ function assert(cond, label) {
 /** Walkable grass world */
 function makeState(width = 60, height = 40) {
   const state = createWorldState(width, height);
-  state.map.tiles = Array.from({ length: width * height }, () => ({ type: 'grass' }));
+  state.map = createMap(width, height, 1, () => ({ type: 'grass' }));
   state.foodSources = [];
   state.visitors = [];
   state.animals = [];
@@ -80,7 +81,7 @@ assert(presenceLeft < dangerLeft && dangerLeft > 1.5,
   `presence fades faster than danger (${presenceLeft.toFixed(2)} < ${dangerLeft.toFixed(2)})`);
 
 const state = makeState();
-state.map.tiles[10 * 60 + 20] = { type: 'river' }; // water at (20,10)
+setTile(state.map, 20, 10, { type: 'river' }); // water at (20,10)
 initScentMap(60, 40);
 seedWaterScent(state);
 const waterBefore = getScent(18, 10, SCENT_CHANNEL.WATER);
@@ -0,0 +1,398 @@
+// Settlers test — prisoners, petitioners and refugees who join the fortress
+// Run with: node tests/test-settlers.js
+//
+// Proves:
+//  (a) a raider beaten low by a dwarf may yield: disarmed, no longer a
+//      threat, lets go of its captive, and a captured warchief routs the raid
+//  (b) prisoners are kept at the fortress, heal and soften by the day; a
+//      bitter one refuses to join, a softened one joins, a refused one is
+//      set free and walks out
+//  (c) a content, well-disposed human or elf guest may ask to stay on the
+//      way out; merchants and the cold never do; an unanswered guest gives
+//      up after a day, a refused one leaves; the chat voices the outcome
+//  (d) refugees flee the world's recent conflicts; their leader asks for
+//      shelter, and accepted, the whole band joins; a full fortress turns
+//      them away unasked
+//  (e) a visitor who joins keeps its id, race, name, gear and wounds,
+//      remembers how it came and whom it knew, and is run by the dwarf AI
+//  (f) answers go through the input log and replay to the same world
+//  (g) prisoners, open petitions and joined members survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld } = await import('../src/headless.js');
+const {
+  PETITION_KIND, captureVisitor, shouldYield, getPrisoners, askToStay, keepPetitioning, resolvePetition,
+  answerPetition, joinColony, findRefugeeConflict, spawnRefugees, tickSettlers,
+} = await import('../src/sim/settlers.js');
+const { createVisitor, isHostile, VISITOR_STATE } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { HISTORICAL_EVENT } = await import('../src/sim/history.js');
+const { attemptAttack, findNearestThreat } = await import('../src/sim/combat.js');
+const { musterGoblins, reportBack, tickRaids, getRaids } = await import('../src/sim/raids.js');
+const { decideVisitor, processVisitors } = await import('../src/ai/visitorAI.js');
+const { findFortressCenter } = await import('../src/sim/edges.js');
+const { getPopulationRoom, describeLineage } = await import('../src/sim/population.js');
+const { getEquipped, EQUIP_SLOT } = await import('../src/sim/equipment.js');
+const { tick } = await import('../src/sim/world.js');
+const { getDwarfStats } = await import('../src/ui/inspection.js');
+const { buildEntitySystemPrompt } = await import('../src/llm/prompts/entityChat.js');
+const { TICKS_PER_DAY } = await import('../src/sim/clock.js');
+const { seedRandom } = await import('../src/sim/rng.js');
+const { startRecording, startReplay, stopInputLog, getRecording, applyReplayInputs, INPUT_KIND } =
+  await import('../src/sim/inputLog.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 11, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** A fresh world with no visitors, at the given relations with everyone */
+async function fortress(relation = 0) {
+  const state = await quiet(() => createHeadlessWorld(WORLD));
+  for (const race of [RACE.HUMAN, RACE.ELF, RACE.GOBLIN]) {
+    state.history.raceRelations[getRelationKey('dwarf', race)] = relation;
+  }
+  state.visitors = [];
+  state.resources = [];
+  state.tick = 1000;
+  return state;
+}
+
+/** A visitor standing next to the first dwarf */
+function visitorBeside(state, race, role, fields = {}) {
+  const dwarf = state.dwarves[0];
+  const visitor = Object.assign(createVisitor(dwarf.x + 1, dwarf.y, race, role, {}), fields);
+  visitor.itinerary = [];
+  state.visitors.push(visitor);
+  return visitor;
+}
+
+/** Beat raiders beside a dwarf until one yields */
+function beatUntilYield(state, dwarf) {
+  for (let i = 0; i < 40; i++) {
+    const raider = visitorBeside(state, RACE.GOBLIN, VISITOR_ROLE.RAIDER, { hp: 2 });
+    dwarf.attackCooldown = 0;
+    const result = attemptAttack(dwarf, raider, state);
+    if (result.captured) return { raider, result };
+    state.visitors = state.visitors.filter(v => v !== raider);
+  }
+  return { raider: null, result: null };
+}
+
+const answer = (state, visitor, message) => resolvePetition(state, { visitorId: visitor.id, message });
+const liveEvents = (state, type) => state.history.events.filter(e => e.live && e.type === type);
+const nextDay = (state) => { state.tick = (Math.floor(state.tick / TICKS_PER_DAY) + 1) * TICKS_PER_DAY; };
+
+const joined = [];
+on(EVENTS.VISITOR_JOINED, (payload) => joined.push(payload));
+
+// ============================================================
+console.log('\n(a) capture');
+// ============================================================
+seedRandom(WORLD.seed);
+const war = await fortress(-30);
+const captor = war.dwarves[0];
+const { raider: prisoner, result } = beatUntilYield(war, captor);
+assert(prisoner && result.success && !result.killed, 'a raider beaten low yields instead of dying');
+assert(prisoner.state === VISITOR_STATE.PRISONER && prisoner.hp >= 1 && prisoner.capturedBy === captor.id,
+  'and is held prisoner by the dwarf who beat it');
+assert(!getEquipped(prisoner, EQUIP_SLOT.WEAPON) && war.resources.some(r => r.x === prisoner.x && r.y === prisoner.y),
+  'its weapon is thrown down');
+assert(!isHostile(prisoner) && findNearestThreat(captor, war) === null, 'a prisoner is no threat');
+assert(prisoner.petition?.kind === PETITION_KIND.PRISONER && prisoner.petition.status === 'open',
+  'its fate waits on the player');
+assert(liveEvents(war, HISTORICAL_EVENT.RAIDER_CAPTURED).length === 1, 'the capture goes into the history');
+assert(!shouldYield(captor, visitorBeside(war, RACE.ELF, VISITOR_ROLE.MISSIONARY, { hp: 1 })),
+  'only raiders yield');
+assert(!shouldYield(visitorBeside(war, RACE.GOBLIN, VISITOR_ROLE.RAIDER), prisoner), 'only to dwarves');
+
+const kidnapper = visitorBeside(war, RACE.GOBLIN, VISITOR_ROLE.RAIDER, { captive: war.dwarves[1].id });
+war.dwarves[1].captiveOf = kidnapper.id;
+await quiet(() => captureVisitor(kidnapper, captor, war));
+tickRaids(war);
+assert(kidnapper.captive === null && war.dwarves[1].captiveOf === null, 'a captured kidnapper lets go of its captive');
+
+const sieged = await fortress(-100);
+reportBack({ name: 'A scout' }, sieged);
+const spawn = { x: 1, y: sieged.dwarves[0].y, edge: 'west' };
+const wave = musterGoblins(sieged, spawn, { history: sieged.history }, 12);
+for (const v of wave) v.entryEdge = 'west';
+sieged.visitors.push(...wave);
+const raid = getRaids().find(r => r.groupId === wave[0].groupId);
+const chief = wave.find(v => v.raidLeader);
+await quiet(() => captureVisitor(chief, sieged.dwarves[0], sieged));
+tickRaids(sieged);
+assert(chief && raid.routed && wave.filter(v => v !== chief).every(v => v.routed),
+  'a captured warchief routs the raid');
+assert(chief.raidId === null && !chief.routed, 'and leaves it');
+
+// ============================================================
+console.log('\n(b) prisoners');
+// ============================================================
+{
+  const decision = decideVisitor(prisoner, war);
+  const center = findFortressCenter(war);
+  assert(decision.state === VISITOR_STATE.PRISONER && decision.target.x === center.x && decision.target.y === center.y,
+    'a prisoner is led to the middle of the fortress, however hurt');
+
+  prisoner.disposition = -25;
+  const hp = prisoner.hp;
+  nextDay(war);
+  await quiet(() => tickSettlers(war));
+  assert(prisoner.disposition === -15 && prisoner.hp === Math.min(prisoner.maxHp, hp + 2),
+    'captivity heals and softens a prisoner day by day');
+
+  const bitter = answer(war, prisoner, 'Yes, join us.');
+  assert(bitter.result === 'unwilling' && prisoner.petition.status === 'open', 'a bitter prisoner refuses to join');
+  const talk = answer(war, prisoner, 'What is your name?');
+  assert(talk.result === 'talk' && prisoner.petition.status === 'open', 'plain talk settles nothing');
+
+  war.tick += TICKS_PER_DAY * 3;
+  assert(keepPetitioning(prisoner, war), 'a prisoner\'s petition never lapses');
+
+  for (let d = 0; d < 2; d++) {
+    nextDay(war);
+    await quiet(() => tickSettlers(war));
+  }
+  assert(prisoner.disposition >= 0, 'in time, a prisoner makes peace with captivity');
+  const accepted = await quiet(() => answer(war, prisoner, 'Yes, you may stay.'));
+  const member = war.dwarves.find(d => d.id === prisoner.id);
+  assert(accepted.result === 'accepted' && member?.race === RACE.GOBLIN && !war.visitors.includes(prisoner),
+    'and, accepted, joins the fortress as a goblin');
+
+  const released = visitorBeside(war, RACE.GOBLIN, VISITOR_ROLE.RAIDER, { hp: 2 });
+  await quiet(() => captureVisitor(released, captor, war));
+  const freed = await quiet(() => answer(war, released, 'No. Begone.'));
+  assert(freed.result === 'released' && released.state === VISITOR_STATE.LEAVING && !isHostile(released),
+    'a refused prisoner is set free and walks out, harmless');
+  assert(decideVisitor(released, war).state === VISITOR_STATE.LEAVING, 'and keeps walking, however hurt');
+  assert(liveEvents(war, HISTORICAL_EVENT.PRISONER_RELEASED).length === 1, 'the release goes into the history');
+}
+
+// ============================================================
+console.log('\n(c) guests');
+// ============================================================
+const askers = [];
+const guests = await fortress(50);
+seedRandom(WORLD.seed + 1);
+{
+  for (let i = 0; i < 40 && askers.length === 0; i++) {
+    const guest = visitorBeside(guests, RACE.ELF, VISITOR_ROLE.MISSIONARY, { disposition: 60 });
+    guest.satisfaction = guest.satisfactionThreshold;
+    const decision = await quiet(() => decideVisitor(guest, guests));
+    if (decision.state === VISITOR_STATE.PETITIONING) askers.push(guest);
+  }
+  const asker = askers[0];
+  assert(asker?.petition?.kind === PETITION_KIND.GUEST, 'a content, well-disposed elf may ask to stay');
+  assert(!askToStay(asker, guests), 'a guest asks once');
+
+  let merchantAsked = false;
+  let coldAsked = false;
+  for (let i = 0; i < 40; i++) {
+    const merchant = visitorBeside(guests, RACE.HUMAN, VISITOR_ROLE.MERCHANT, { disposition: 90 });
+    const cold = visitorBeside(guests, RACE.HUMAN, VISITOR_ROLE.CARAVAN_GUARD, { disposition: 0 });
+    merchantAsked ||= await quiet(() => askToStay(merchant, guests));
+    coldAsked ||= await quiet(() => askToStay(cold, guests));
+  }
+  assert(!merchantAsked && !coldAsked, 'merchants and the cold never ask');
+
+  asker.state = VISITOR_STATE.PETITIONING;
+  const waiting = decideVisitor(asker, guests);
+  assert(waiting.state === VISITOR_STATE.PETITIONING, 'a petitioner waits for an answer');
+
+  const prompt = buildEntitySystemPrompt(asker, 'visitor', { history: guests.history });
+  assert(prompt.includes('asked to stay') && prompt.includes('waiting for their answer'),
+    'the chat prompt knows what they asked');
+
+  const lapsed = visitorBeside(guests, RACE.HUMAN, VISITOR_ROLE.CARAVAN_GUARD, { disposition: 60 });
+  lapsed.petition = { kind: PETITION_KIND.GUEST, status: 'open', openedTick: guests.tick, lastOutcome: null };
+  lapsed.state = VISITOR_STATE.PETITIONING;
+  guests.tick += TICKS_PER_DAY + 1;
+  assert((await quiet(() => decideVisitor(lapsed, guests))).state === VISITOR_STATE.LEAVING &&
+    lapsed.petition.status === 'lapsed', 'an unanswered guest gives up after a day and leaves');
+
+  const refused = await quiet(() => answer(guests, asker, 'No, we refuse.'));
+  assert(refused.result === 'refused' && decideVisitor(asker, guests).state === VISITOR_STATE.LEAVING,
+    'a refused guest leaves');
+  assert(liveEvents(guests, HISTORICAL_EVENT.PETITION_REFUSED).length === 1, 'the refusal goes into the history');
+  const voiced = buildEntitySystemPrompt(asker, 'visitor', { history: guests.history });
+  assert(voiced.includes(refused.reply) && voiced.includes('Do not change what was decided'),
+    'the chat voices the settled outcome');
+}
+
+// ============================================================
+console.log('\n(d) refugees');
+// ============================================================
+const haven = await fortress(20);
+{
+  assert(findRefugeeConflict({ events: [] }) === null, 'a world at peace sends no refugees');
+  const goblinsOnly = { events: [{ type: HISTORICAL_EVENT.WAR, participants: [RACE.GOBLIN, RACE.GOBLIN], description: 'x' }] };
+  assert(findRefugeeConflict(goblinsOnly) === null, 'nor a war no human or elf fought');
+
+  const flight = { type: HISTORICAL_EVENT.WAR, participants: [RACE.HUMAN, RACE.GOBLIN], year: 3,
+    description: 'The humans and goblins waged a bitter war over the Iron Peak.' };
+  haven.history.events.push(flight);
+  const conflict = findRefugeeConflict(haven.history);
+  assert(conflict?.event === flight && conflict.race === RACE.HUMAN, 'refugees flee a recent war, from its human side');
+
+  seedRandom(WORLD.seed + 2);
+  let band = [];
+  while (band.length < 2) {
+    haven.visitors = [];
+    band = await quiet(() => spawnRefugees(haven, conflict));
+  }
+  assert(band.every(v => v.role === VISITOR_ROLE.REFUGEE && v.race === RACE.HUMAN && v.refugeeFrom === flight.description)
+    && new Set(band.map(v => v.groupId)).size === 1, 'a band of human refugees arrives together');
+
+  const center = findFortressCenter(haven);
+  for (const v of band) Object.assign(v, center);
+  await quiet(() => processVisitors(haven));
+  const leader = band.find(v => v.groupLeader);
+  assert(leader.petition?.kind === PETITION_KIND.REFUGEE && band.every(v => v.state === VISITOR_STATE.PETITIONING),
+    'their leader asks for shelter, the rest wait beside them');
+  assert(band.filter(v => v.petition).length === 1, 'one petition for the band');
+
+  const before = haven.dwarves.length;
+  await quiet(() => answer(haven, leader, 'Yes, we accept. Stay.'));
+  const members = band.map(v => haven.dwarves.find(d => d.id === v.id));
+  assert(haven.dwarves.length === before + band.length && members.every(Boolean), 'accepted, the whole band joins');
+  assert(members.every(a => members.every(b => a === b || a.relationships[b.id]?.affinity === 40)),
+    'the band stay close to one another');
+  assert(liveEvents(haven, HISTORICAL_EVENT.VISITOR_SETTLED)[0]?.count === band.length,
+    'the settling goes into the history');
+
+  const full = await fortress(20);
+  full.history.events.push(flight);
+  while (getPopulationRoom(full) > 0) full.dwarves.push({ ...full.dwarves[0], id: -full.dwarves.length, hp: 25 });
+  const turned = Object.assign(createVisitor(0, 0, RACE.HUMAN, VISITOR_ROLE.REFUGEE, {}), findFortressCenter(full));
+  turned.groupLeader = true;
+  full.visitors.push(turned);
+  const decision = await quiet(() => decideVisitor(turned, full));
+  assert(!turned.petition && decision.state === VISITOR_STATE.LEAVING, 'a full fortress turns refugees away unasked');
+  nextDay(full);
+  full.visitors = [];
+  await quiet(() => { for (let i = 0; i < 30; i++) { tickSettlers(full); full.tick += TICKS_PER_DAY; } });
+  assert(full.visitors.length === 0, 'and no more come while it is full');
+}
+
+// ============================================================
+console.log('\n(e) joining');
+// ============================================================
+{
+  const state = await fortress(40);
+  const friend = state.dwarves[1];
+  const guard = visitorBeside(state, RACE.HUMAN, VISITOR_ROLE.CARAVAN_GUARD, { disposition: 60, hp: 9 });
+  guard.generatedName = 'Aldric Vane';
+  guard.generatedBio = 'A sellsword tired of the road.';
+  guard.memory.interactedWith.add(friend.id);
+  const gear = getEquipped(guard, EQUIP_SLOT.WEAPON) || getEquipped(guard, EQUIP_SLOT.BODY);
+  guard.petition = { kind: PETITION_KIND.GUEST, status: 'open', openedTick: state.tick, lastOutcome: null };
+  joined.length = 0;
+  await quiet(() => answer(state, guard, 'Yes, you may stay.'));
+  const member = state.dwarves.find(d => d.id === guard.id);
+
+  assert(member && member.type === 'dwarf' && !state.visitors.includes(guard), 'the guest becomes a colony member');
+  assert(member.race === RACE.HUMAN && member.formerRole === VISITOR_ROLE.CARAVAN_GUARD, 'keeping its race and calling');
+  assert(member.generatedName === 'Aldric Vane' && member.generatedBio.startsWith('A sellsword tired of the road.'),
+    'its name and bio');
+  assert(member.generatedBio.endsWith(describeLineage(member)) && /human guard who asked to stay/.test(member.generatedBio),
+    'with how it came in its bio');
+  assert(member.hp === 9 && (!gear || Object.values(member.equipment).includes(gear)), 'and its wounds and gear');
+  assert(member.memory.significantEvents.some(e => /joined the fortress/.test(e.content)), 'it remembers joining');
+  assert(member.relationships[friend.id]?.affinity === 20 && friend.relationships[member.id]?.affinity === 20,
+    'and the dwarves it dealt with know it too');
+  assert(joined.length === 1 && joined[0].kind === PETITION_KIND.GUEST, 'VISITOR_JOINED fires');
+
+  const goblin = war.dwarves.find(d => d.id === prisoner.id);
+  assert(goblin.memory.significantEvents.some(e => e.content.includes('taken prisoner by')),
+    'a former prisoner remembers its capture');
+  assert(goblin.relationships[captor.id]?.affinity === -10 && captor.relationships[goblin.id]?.affinity === -10,
+    'and bears its captor an old grudge');
+  const refugee = haven.dwarves.find(d => d.joinedAs?.kind === PETITION_KIND.REFUGEE);
+  assert(refugee.memory.significantEvents.some(e => e.content.includes('Iron Peak')), 'a refugee remembers what it fled');
+
+  const stats = getDwarfStats(member);
+  assert(stats.race === RACE.HUMAN, 'the stat panel shows its race');
+  const prompt = buildEntitySystemPrompt(member, 'dwarf', { dwarves: state.dwarves });
+  assert(prompt.includes('a human living among the dwarves'), 'and it chats as itself');
+
+  member.hunger = 10;
+  await quiet(() => { for (let i = 0; i < 40; i++) tick(state); });
+  const still = state.dwarves.find(d => d.id === member.id);
+  assert(still && !Object.values(VISITOR_STATE).includes(still.state) || still?.state === 'fighting',
+    'the dwarf AI runs it from then on');
+  assert(still.drives && typeof still.decisionInterval === 'number', 'with drives and a mind like any dwarf');
+}
+
+// ============================================================
+console.log('\n(f) input log');
+// ============================================================
+{
+  const live = await fortress(40);
+  const guest = visitorBeside(live, RACE.ELF, VISITOR_ROLE.MISSIONARY);
+  guest.petition = { kind: PETITION_KIND.GUEST, status: 'open', openedTick: live.tick, lastOutcome: null };
+  startRecording(WORLD.seed);
+  await quiet(() => answerPetition(live, guest.id, 'Yes, stay with us.'));
+  const recording = getRecording();
+  stopInputLog();
+  assert(recording.inputs.some(i => i.kind === INPUT_KIND.SETTLER && i.payload.visitorId === guest.id),
+    'the answer goes through the input log');
+  assert(live.dwarves.some(d => d.id === guest.id), 'and is applied live');
+
+  const replay = await fortress(40);
+  const again = visitorBeside(replay, RACE.ELF, VISITOR_ROLE.MISSIONARY);
+  again.id = guest.id;
+  again.petition = { kind: PETITION_KIND.GUEST, status: 'open', openedTick: replay.tick, lastOutcome: null };
+  startReplay(recording);
+  assert(!answerPetition(replay, again.id, 'No.'), 'replaying, live answers are dropped');
+  await quiet(() => applyReplayInputs(replay));
+  stopInputLog();
+  assert(replay.dwarves.some(d => d.id === guest.id && d.race === RACE.ELF), 'the logged answer replays');
+}
+
+// ============================================================
+console.log('\n(g) save/load');
+// ============================================================
+{
+  const state = war;
+  const held = visitorBeside(state, RACE.GOBLIN, VISITOR_ROLE.RAIDER, { hp: 2 });
+  await quiet(() => captureVisitor(held, captor, state));
+  const text = stringifySave(createSaveSnapshot(state));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(text)));
+  const back = restored.visitors.find(v => v.id === held.id);
+  assert(back?.state === VISITOR_STATE.PRISONER && back.petition?.status === 'open', 'prisoners and their petitions are restored');
+  assert(getPrisoners(restored).length === getPrisoners(state).length, 'every prisoner');
+  const goblin = restored.dwarves.find(d => d.id === prisoner.id);
+  assert(goblin?.race === RACE.GOBLIN && goblin.joinedAs?.kind === PETITION_KIND.PRISONER, 'joined members keep their race');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
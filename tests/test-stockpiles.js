@@ -0,0 +1,286 @@
+// Stockpile test — zones, category filters, hauling and workshop supply
+// Run with: node tests/test-stockpiles.js
+//
+// Proves:
+//  (a) goods fall into categories; zones are created, filtered and removed
+//      by order, and a zone with no floor is refused
+//  (b) built Stockpile / Food Storage structures become zones
+//  (c) haulers carry loose stone and caught fish to zones that accept them
+//      and leave goods the filters refuse
+//  (d) workshops only draw on goods within reach, stockpiled piles first
+//  (e) a fallen hauler drops what it carried
+//  (f) orders go through the input log and replay to the same world
+//  (g) zones and carried goods survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  STOCKPILE_CATEGORY, getItemCategory, getStockpiles, getStockpileAt, getStorageTiles, isStored,
+  applyStockpileOrder, issueStockpileOrder, syncStructureStockpiles, findHaulJob, pickUp, getGoodsNear,
+} = await import('../src/sim/stockpiles.js');
+const { STRUCTURE_TYPE, importConstructionState } = await import('../src/sim/construction.js');
+const { canCraftRecipe, WORKSHOP_REACH } = await import('../src/sim/crafting.js');
+const { applyLaborOrder } = await import('../src/sim/labor.js');
+const { cleanupDeadEntities } = await import('../src/sim/combat.js');
+const { isPassable } = await import('../src/sim/movement.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Passable tiles nearest a point, nearest first */
+function floorNear(state, from, count) {
+  const tiles = [];
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (isPassable(state, x, y)) tiles.push({ x, y, dist: Math.abs(x - from.x) + Math.abs(y - from.y) });
+    }
+  }
+  return tiles.sort((a, b) => a.dist - b.dist).slice(0, count);
+}
+
+/** A solid tile (no floor) */
+function rockTile(state) {
+  for (let y = 0; y < state.map.height; y++) {
+    for (let x = 0; x < state.map.width; x++) {
+      if (!isPassable(state, x, y)) return { x, y };
+    }
+  }
+  return null;
+}
+
+const drop = (state, type, amount, at) => {
+  if (!state.resources) state.resources = [];
+  const item = { id: nextId(), type, amount, x: at.x, y: at.y };
+  state.resources.push(item);
+  return item;
+};
+
+// ============================================================
+// (a) categories and zones
+// ============================================================
+console.log('\n(a) categories and zones');
+
+assert(getItemCategory({ type: 'stone' }) === STOCKPILE_CATEGORY.STONE
+  && getItemCategory({ type: 'hide' }) === STOCKPILE_CATEGORY.ANIMAL
+  && getItemCategory({ type: 'food', subtype: 'fish' }) === STOCKPILE_CATEGORY.FOOD
+  && getItemCategory({ type: 'furniture' }) === STOCKPILE_CATEGORY.GOODS,
+'stone, hides, fish and crafted goods fall into their categories');
+
+const state = await quiet(() => createHeadlessWorld(WORLD));
+const home = state.dwarves[0];
+const [spot] = floorNear(state, home, 1);
+const zone = applyStockpileOrder(state, { action: 'create', x1: spot.x + 1, y1: spot.y + 1, x2: spot.x - 1, y2: spot.y - 1 });
+assert(zone && zone.x1 === spot.x - 1 && zone.y2 === spot.y + 1 && getStockpileAt(spot.x, spot.y) === zone,
+  'a dragged zone covers its rectangle, corners in any order');
+assert(zone.categories.length === Object.keys(STOCKPILE_CATEGORY).length
+  && getStorageTiles(zone, state).every(t => isPassable(state, t.x, t.y)),
+'a new zone takes every category and stores on floor only');
+assert(state.log.some(entry => /is marked out/.test(entry.message)), 'marking a zone is logged');
+
+applyStockpileOrder(state, { action: 'filter', stockpileId: zone.id, categories: ['stone', 'gold'] });
+assert(zone.categories.length === 1 && zone.categories[0] === 'stone', 'filters drop unknown categories');
+
+const rock = rockTile(state);
+assert(applyStockpileOrder(state, { action: 'create', x1: rock.x, y1: rock.y, x2: rock.x, y2: rock.y }) === null
+  && getStockpiles().length === 1, 'a zone with no floor is refused');
+
+assert(applyStockpileOrder(state, { action: 'remove', stockpileId: zone.id }) && getStockpiles().length === 0,
+  'zones can be removed');
+
+// ============================================================
+// (b) built storage
+// ============================================================
+console.log('\n(b) built storage');
+
+const structState = await quiet(() => createHeadlessWorld(WORLD));
+const [store] = floorNear(structState, structState.dwarves[1], 1);
+importConstructionState({
+  structures: [
+    { id: nextId(), type: STRUCTURE_TYPE.FOOD_STORAGE, name: 'Food Storage', x: store.x, y: store.y, width: 3, height: 3, complete: true },
+  ],
+});
+syncStructureStockpiles(structState);
+syncStructureStockpiles(structState);
+const built = getStockpiles();
+assert(built.length === 1 && built[0].structureId && built[0].categories.join() === STOCKPILE_CATEGORY.FOOD,
+  'a built food storage becomes one food-only zone');
+assert(structState.log.some(entry => /food storage is ready/.test(entry.message)), 'the new zone is announced');
+
+// ============================================================
+// (c) hauling
+// ============================================================
+console.log('\n(c) hauling');
+
+const haulState = await quiet(() => createHeadlessWorld(WORLD));
+const origin = haulState.dwarves[0];
+const zoneTiles = floorNear(haulState, origin, 1);
+const stoneZone = applyStockpileOrder(haulState, {
+  action: 'create', x1: zoneTiles[0].x, y1: zoneTiles[0].y, x2: zoneTiles[0].x + 2, y2: zoneTiles[0].y + 2,
+  categories: [STOCKPILE_CATEGORY.STONE, STOCKPILE_CATEGORY.FOOD],
+});
+const far = floorNear(haulState, origin, 40).slice(-3);
+const stone = drop(haulState, 'stone', 3, far[0]);
+const hide = drop(haulState, 'hide', 1, far[1]);
+// Beside the stone: dwarves steer greedily, and far[2] sits behind a wall
+const fish = { id: nextId(), type: 'food', subtype: 'fish', name: 'fish', amount: 2, x: far[0].x, y: far[0].y };
+haulState.foodSources.push(fish);
+// Keep fresh rubble out of it: only the goods placed here need hauling
+for (const dwarf of haulState.dwarves) {
+  for (const labor of ['dig', 'build']) applyLaborOrder(haulState, { dwarfId: dwarf.id, labor, enabled: false });
+}
+
+const job = findHaulJob(origin, haulState);
+assert(job && job.itemId !== hide.id && getStockpileAt(job.dest.x, job.dest.y) === stoneZone,
+  'a haul job targets an accepted good and a tile in the zone');
+
+let carried = false;
+let fishStored = false;  // Hungry dwarves may eat it from the stockpile later
+await quiet(() => runHeadless(haulState, {
+  ticks: 800,
+  onTick: (s) => {
+    carried = carried || s.dwarves.some(d => d.carrying);
+    fishStored = fishStored || (s.foodSources.includes(fish) && isStored(fish, s));
+  },
+}));
+const storedStone = haulState.resources.filter(r => r.type === 'stone' && isStored(r, haulState))
+  .reduce((sum, r) => sum + r.amount, 0);
+assert(carried, 'dwarves pick goods up and carry them');
+assert(storedStone === stone.amount, `the stone pile reaches the zone (${storedStone}/${stone.amount})`);
+assert(fishStored, 'the caught fish is stockpiled');
+assert(haulState.resources.some(r => r.id === hide.id && r.x === far[1].x && r.y === far[1].y),
+  'the hide stays put: no zone takes it');
+
+// ============================================================
+// (d) workshop supply
+// ============================================================
+console.log('\n(d) workshop supply');
+
+const shopState = await quiet(() => createHeadlessWorld(WORLD));
+const [shopAt] = floorNear(shopState, shopState.dwarves[0], 1);
+const workshop = {
+  id: nextId(), type: STRUCTURE_TYPE.WORKSHOP_MASON, name: 'Mason Workshop',
+  x: shopAt.x, y: shopAt.y, width: 3, height: 3, complete: true,
+};
+importConstructionState({ structures: [workshop] });
+const outOfReach = floorNear(shopState, { x: shopAt.x + 1, y: shopAt.y + 1 }, 2000)
+  .find(t => t.dist > WORKSHOP_REACH);
+const distant = drop(shopState, 'stone', 5, outOfReach);
+assert(!canCraftRecipe('stone_block', shopState), 'stone out of reach does not supply the workshop');
+
+const nearby = floorNear(shopState, { x: shopAt.x + 1, y: shopAt.y + 1 }, 6);
+const loose = drop(shopState, 'stone', 1, nearby[0]);
+applyStockpileOrder(shopState, {
+  action: 'create', x1: nearby[5].x, y1: nearby[5].y, x2: nearby[5].x, y2: nearby[5].y, categories: ['stone'],
+});
+const piled = drop(shopState, 'stone', 1, nearby[5]);
+assert(canCraftRecipe('stone_block', shopState), 'stone within reach does');
+const goods = getGoodsNear(workshop, WORKSHOP_REACH, shopState);
+assert(goods[0] === piled && goods.includes(loose) && !goods.includes(distant),
+  'stockpiled goods come first, then loose ones nearby');
+
+// ============================================================
+// (e) fallen haulers
+// ============================================================
+console.log('\n(e) fallen haulers');
+
+const fallState = await quiet(() => createHeadlessWorld(WORLD));
+const hauler = fallState.dwarves[2];
+const sack = drop(fallState, 'bone', 2, hauler);
+pickUp(hauler, { kind: 'resource', itemId: sack.id }, fallState);
+assert(hauler.carrying && !fallState.resources.includes(sack), 'a picked-up good leaves the ground');
+hauler.hp = 0;
+cleanupDeadEntities(fallState);
+assert(fallState.resources.some(r => r.id === sack.id && r.x === hauler.x && r.y === hauler.y),
+  'a fallen hauler drops it where it fell');
+
+// ============================================================
+// (f) input log
+// ============================================================
+console.log('\n(f) recorded and replayed');
+
+const ORDER_TICK = 5;
+const snapshotOf = (world) => JSON.stringify([
+  getStockpiles().map(s => [s.id, s.x1, s.y1, s.x2, s.y2, s.categories]),
+  (world.resources || []).map(r => [r.id, r.x, r.y, r.amount]),
+  world.dwarves.map(d => [d.id, d.x, d.y, d.carrying?.item.id ?? null]),
+]);
+const play = async (startLog, onTick) => {
+  const world = await quiet(() => createHeadlessWorld({ ...WORLD, seed: 11 }));
+  drop(world, 'stone', 2, floorNear(world, world.dwarves[0], 30).at(-1));
+  startLog();
+  await quiet(() => runHeadless(world, { ticks: 200, onTick }));
+  return world;
+};
+const orderFor = (s) => {
+  const [at] = floorNear(s, s.dwarves[1], 1);
+  return { action: 'create', x1: at.x, y1: at.y, x2: at.x + 1, y2: at.y + 1 };
+};
+
+const live = await play(() => startRecording(11), (s) => {
+  if (s.tick === ORDER_TICK) issueStockpileOrder(s, orderFor(s));
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.STOCKPILE);
+assert(logged.length === 1 && logged[0].tick === ORDER_TICK, 'the order is logged against its tick');
+const liveSnapshot = snapshotOf(live);
+
+const replayed = await play(() => startReplay(recording), (s) => {
+  if (s.tick === 50) issueStockpileOrder(s, { action: 'remove', stockpileId: getStockpiles()[0]?.id });
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the order; live ones are dropped');
+stopInputLog();
+
+// ============================================================
+// (g) saves
+// ============================================================
+console.log('\n(g) save/load');
+
+const saveState = await quiet(() => createHeadlessWorld(WORLD));
+const [saveAt] = floorNear(saveState, saveState.dwarves[0], 1);
+const savedZone = applyStockpileOrder(saveState, {
+  action: 'create', x1: saveAt.x, y1: saveAt.y, x2: saveAt.x, y2: saveAt.y, categories: ['animal'],
+});
+const porter = saveState.dwarves[3];
+const bundle = drop(saveState, 'hide', 1, porter);
+pickUp(porter, { kind: 'resource', itemId: bundle.id }, saveState);
+
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(saveState))));
+const restoredZone = getStockpiles().find(s => s.id === savedZone.id);
+assert(restoredZone && restoredZone.categories.join() === 'animal', 'zones restored with their filters');
+const restoredPorter = restoredState.dwarves.find(d => d.id === porter.id);
+assert(restoredPorter?.carrying?.item.id === bundle.id, 'carried goods restored with the dwarf');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
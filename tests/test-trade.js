@@ -0,0 +1,251 @@
+// Trade test — merchant caravans and goods-for-goods deals
+// Run with: node tests/test-trade.js
+//
+// Proves:
+//  (a) merchants arrive with a stocked caravan, priced by race and history
+//  (b) crafted goods are worth more at higher quality
+//  (c) a merchant refuses an offer short of the price; an accepted deal moves
+//      the goods both ways and TRADE_COMPLETED carries them
+//  (d) haggling wins discounts or costs patience; out of patience, the
+//      merchant packs up
+//  (e) merchants open shop at the market with TRADE_STARTED
+//  (f) deals go through the input log and replay to the same world
+//  (g) caravans survive save/load
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, runHeadless } = await import('../src/headless.js');
+const {
+  TRADE_GOODS, outfitCaravan, getTradingMerchants, getTradeGoods, getItemValue, getLotPrice,
+  getOfferPrice, evaluateDeal, applyTradeOrder, proposeTrade,
+} = await import('../src/sim/trade.js');
+const { forceSpawnVisitor } = await import('../src/sim/visitorSpawner.js');
+const { createVisitor, VISITOR_STATE } = await import('../src/sim/visitors.js');
+const { RACE, VISITOR_ROLE, getRelationKey } = await import('../src/sim/races.js');
+const { QUALITY, importCraftingState, getCraftedItems } = await import('../src/sim/crafting.js');
+const { nextId } = await import('../src/sim/entities.js');
+const { on, EVENTS } = await import('../src/events/eventBus.js');
+const { startRecording, startReplay, stopInputLog, getRecording, INPUT_KIND } = await import('../src/sim/inputLog.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const WORLD = { seed: 3, mode: 'cave', width: 50, height: 24, dwarves: 4, food: 10 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/**
+ * A world with a human caravan open for business beside the dwarves and
+ * some crafted goods on hand
+ */
+async function marketWorld({ seed = WORLD.seed, goods = [] } = {}) {
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, seed }));
+  const group = forceSpawnVisitor(state, RACE.HUMAN, { x: state.dwarves[0].x, y: state.dwarves[0].y, edge: 'west' });
+  const merchant = group.find(v => v.role === VISITOR_ROLE.MERCHANT);
+  merchant.state = VISITOR_STATE.TRADING;
+  merchant.shopOpened = true;
+
+  const items = goods.map(([type, amount, quality]) => ({
+    id: nextId(), type, amount, material: 'stone', quality, x: merchant.x, y: merchant.y,
+  }));
+  importCraftingState({ craftedItems: items, craftingJobs: [] });
+  state.resources = [...items];
+  return { state, merchant, items };
+}
+
+const relationTo = (race, value) => ({ raceRelations: { [getRelationKey('dwarf', race)]: value } });
+
+// ============================================================
+// (a) caravans
+// ============================================================
+console.log('\n(a) caravans');
+
+const { state, merchant, items } = await marketWorld({
+  goods: [['furniture', 1, QUALITY.MASTERWORK], ['trinket', 2, QUALITY.NORMAL]],
+});
+assert(merchant.inventory.length >= 4 && merchant.inventory.length <= 6, `the merchant brings ${merchant.inventory.length} lots`);
+assert(merchant.inventory.every(lot => TRADE_GOODS[lot.type] && lot.amount > 0 && lot.value > 0),
+  'every lot is a known good with an amount and a value');
+assert(merchant.patience === 3 && merchant.discount === 0, 'with full patience and no discount');
+assert(state.visitors.filter(v => v.role !== VISITOR_ROLE.MERCHANT).every(v => v.inventory.length === 0),
+  'guards carry nothing for sale');
+
+const friend = [createVisitor(0, 0, RACE.HUMAN, VISITOR_ROLE.MERCHANT)];
+const enemy = [createVisitor(0, 0, RACE.HUMAN, VISITOR_ROLE.MERCHANT)];
+outfitCaravan(friend, relationTo(RACE.HUMAN, 100));
+outfitCaravan(enemy, relationTo(RACE.HUMAN, -100));
+assert(friend[0].priceFactor === 0.75 && enemy[0].priceFactor === 1.25, 'old friends sell cheaper than old enemies');
+const elf = [createVisitor(0, 0, RACE.ELF, VISITOR_ROLE.MERCHANT)];
+outfitCaravan(elf, null);
+assert(elf[0].priceFactor > 1 && elf[0].inventory.every(lot => ['cloth', 'rope', 'fruit', 'hide'].includes(lot.type)),
+  'elves bring their own goods and charge more');
+
+// ============================================================
+// (b) value
+// ============================================================
+console.log('\n(b) value');
+
+const [masterwork, trinkets] = items;
+const plain = { ...masterwork, quality: QUALITY.NORMAL };
+assert(getItemValue(masterwork) === 5 * getItemValue(plain), 'masterwork is worth five times a plain piece');
+assert(getTradeGoods(state).length === 2, 'crafted goods on the map are offered');
+assert(getOfferPrice(merchant, masterwork) > getOfferPrice(merchant, plain), 'and merchants pay for quality');
+
+// ============================================================
+// (c) deals
+// ============================================================
+console.log('\n(c) deals');
+
+const broker = state.dwarves[1];
+broker.skills.push({ name: 'social', level: 1, experience: 0, proficiency: 0.5 });
+const priciest = [...merchant.inventory].sort((a, b) => getLotPrice(merchant, b) - getLotPrice(merchant, a))[0];
+const quote = evaluateDeal(merchant, { buy: [priciest.id] }, state);
+assert(quote.cost === getLotPrice(merchant, priciest) && quote.offered === 0 && !quote.acceptable, 'a deal is priced both ways');
+
+const completed = [];
+const off = on(EVENTS.TRADE_COMPLETED, (data) => completed.push(data));
+
+const refused = applyTradeOrder(state, { action: 'deal', merchantId: merchant.id, buy: [priciest.id], sell: [] });
+assert(refused === false && merchant.patience === 2 && merchant.inventory.includes(priciest) && completed.length === 0,
+  'an offer of nothing is refused and costs patience');
+assert(state.log.some(entry => /refuses/.test(entry.message)), 'the refusal is logged');
+
+// A lot the masterwork covers
+const affordable = merchant.inventory.find(lot => getLotPrice(merchant, lot) <= getOfferPrice(merchant, masterwork));
+const xpBefore = broker.skills.find(s => s.name === 'social').experience;
+const exchange = applyTradeOrder(state, { action: 'deal', merchantId: merchant.id, buy: [affordable.id], sell: [masterwork.id] });
+assert(exchange && exchange.bought[0] === affordable && exchange.sold[0] === masterwork, 'a fair deal is accepted');
+assert(completed.length === 1 && completed[0].merchant === merchant && completed[0].bought[0].type === affordable.type
+  && completed[0].sold[0] === masterwork && completed[0].broker === broker,
+'TRADE_COMPLETED carries the goods and the broker');
+off();
+
+const landed = affordable.kind === 'food'
+  ? state.foodSources.find(f => f.subtype === 'provisions' && f.amount === affordable.amount)
+  : state.resources.find(r => r.type === affordable.type && r.amount === affordable.amount);
+assert(landed && landed.x === merchant.x && landed.y === merchant.y, 'bought goods are set down at the merchant');
+assert(!state.resources.includes(masterwork) && !getTradeGoods(state).includes(masterwork)
+  && !merchant.inventory.includes(affordable), 'sold goods leave the fortress; bought lots leave the caravan');
+assert(merchant.inventory.some(lot => lot.name === 'masterwork stone furniture' && lot.value === getItemValue(masterwork)),
+  'the caravan carries the sold piece');
+assert(broker.skills.find(s => s.name === 'social').experience > xpBefore, 'the broker learns from the deal');
+
+// ============================================================
+// (d) haggling
+// ============================================================
+console.log('\n(d) haggling');
+
+const lot = merchant.inventory[0];
+const fullPrice = getLotPrice(merchant, lot);
+merchant.disposition = 100;
+assert(applyTradeOrder(state, { action: 'haggle', merchantId: merchant.id }) === true && merchant.discount === 0.1,
+  'a friendly merchant and a skilled broker win a discount');
+assert(getLotPrice(merchant, lot) < fullPrice, 'which lowers the price');
+
+merchant.disposition = -100;
+broker.skills.find(s => s.name === 'social').level = 0;
+const patience = merchant.patience;
+assert(applyTradeOrder(state, { action: 'haggle', merchantId: merchant.id }) === false && merchant.patience === patience - 1,
+  'a failed haggle costs patience');
+while (merchant.patience > 0) applyTradeOrder(state, { action: 'haggle', merchantId: merchant.id });
+assert(!getTradingMerchants(state).includes(merchant) && merchant.satisfaction >= merchant.satisfactionThreshold,
+  'out of patience, the merchant packs up');
+assert(applyTradeOrder(state, { action: 'deal', merchantId: merchant.id, buy: [lot.id], sell: [trinkets.id] }) === false,
+  'and takes no more deals');
+
+// ============================================================
+// (e) opening shop
+// ============================================================
+console.log('\n(e) opening shop');
+
+const shopState = await quiet(() => createHeadlessWorld(WORLD));
+const started = [];
+const offStarted = on(EVENTS.TRADE_STARTED, (data) => started.push(data));
+const arrivals = forceSpawnVisitor(shopState, RACE.HUMAN);
+const arriving = arrivals.find(v => v.role === VISITOR_ROLE.MERCHANT);
+await quiet(() => runHeadless(shopState, { ticks: 400 }));
+offStarted();
+const opened = started.filter(data => data.merchant === arriving);
+assert(opened.length === 1 && opened[0].goods === arriving.inventory,
+  'TRADE_STARTED fires once, with the goods on offer');
+assert(shopState.log.some(entry => /set up shop/.test(entry.message)), 'opening shop is logged');
+
+// ============================================================
+// (f) input log
+// ============================================================
+console.log('\n(f) recorded and replayed');
+
+const DEAL_TICK = 5;
+const snapshotOf = (world) => JSON.stringify([
+  (world.resources || []).map(r => [r.type, r.x, r.y, r.amount]),
+  (world.foodSources || []).map(f => [f.subtype, f.x, f.y, f.amount]),
+  world.visitors.map(v => [v.id, v.inventory.map(l => [l.type, l.amount])]),
+]);
+const play = async (startLog, onTick) => {
+  const world = await marketWorld({ seed: 11, goods: [['figurine', 2, QUALITY.SUPERIOR]] });
+  startLog();
+  await quiet(() => runHeadless(world.state, { ticks: 100, onTick: (s) => onTick(s, world) }));
+  return world.state;
+};
+const dealFor = (world) => ({
+  action: 'deal', merchantId: world.merchant.id, buy: [world.merchant.inventory[0].id], sell: [world.items[0].id],
+});
+
+const live = await play(() => startRecording(11), (s, world) => {
+  if (s.tick === DEAL_TICK) proposeTrade(s, dealFor(world));
+});
+const recording = getRecording();
+const logged = recording.inputs.filter(e => e.kind === INPUT_KIND.TRADE);
+assert(logged.length === 1 && logged[0].tick === DEAL_TICK, 'the deal is logged against its tick');
+assert(!live.resources.some(r => r.type === 'figurine'), 'and struck');
+const liveSnapshot = snapshotOf(live);
+
+const replayed = await play(() => startReplay(recording), (s, world) => {
+  if (s.tick === 50) proposeTrade(s, { action: 'haggle', merchantId: world.merchant.id });
+});
+assert(snapshotOf(replayed) === liveSnapshot, 'replay reproduces the deal; live ones are dropped');
+stopInputLog();
+
+// ============================================================
+// (g) saves
+// ============================================================
+console.log('\n(g) save/load');
+
+const saved = await marketWorld({ goods: [['trinket', 3, QUALITY.FINE]] });
+saved.merchant.discount = 0.2;
+const restoredState = createWorldState();
+restoreSaveSnapshot(restoredState, parseSave(stringifySave(createSaveSnapshot(saved.state))));
+const restored = restoredState.visitors.find(v => v.id === saved.merchant.id);
+assert(restored && restored.inventory.length === saved.merchant.inventory.length
+  && restored.priceFactor === saved.merchant.priceFactor && restored.discount === 0.2,
+'the caravan keeps its goods and prices');
+const restoredGoods = getTradeGoods(restoredState);
+assert(restoredGoods.length === 1 && restoredGoods[0] === getCraftedItems()[0] && restoredGoods[0].quality === QUALITY.FINE,
+  'and the fortress keeps its goods to offer');
+
+// ============================================================
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
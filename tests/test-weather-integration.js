@@ -7,6 +7,7 @@
 
 import { WeatherSimulator } from '../src/sim/weather.js';
 import { createWorldState } from '../src/state/store.js';
+import { createMap } from '../src/map/map.js';
 import { applyWeatherMood } from '../src/sim/weatherCognition.js';
 import { composeWeatherTile } from '../src/ui/weatherRenderer.js';
 
@@ -27,7 +28,7 @@ const HEIGHT = 30;
 
 function makeState() {
   const state = createWorldState(WIDTH, HEIGHT);
-  state.map.tiles = Array.from({ length: WIDTH * HEIGHT }, () => ({ type: 'grass' }));
+  state.map = createMap(WIDTH, HEIGHT, 1, () => ({ type: 'grass' }));
   return state;
 }
 
@@ -0,0 +1,240 @@
+// World map test — regions, settlements, embark sites and what they change
+// Run with: node tests/test-world-map.js
+//
+// Proves:
+//  (a) a seed always draws the same world map, and drawing it leaves the
+//      simulation stream where it was
+//  (b) the world map has biome bands, rivers and settlements of every
+//      people, spread apart
+//  (c) an embark site reads its region's climate and the settlements in
+//      reach, nearest first; nobody embarks on a settlement or off the map
+//  (d) the embark region shapes the local map: its stretch of land, its
+//      height and wetness, its rivers and its temperature
+//  (e) the colony shares the world map's history, logs where it settled,
+//      and sees more visitors from the peoples settled near it
+//  (f) the embark region survives save/load, and the headless runner takes
+//      --embark
+
+// --- Fake LLM endpoint (imports pull in llmClient) ---
+process.env.VITE_VLLM_URL = 'http://127.0.0.1:9/v1/chat/completions'; // never reached
+process.env.VITE_VLLM_MODEL = 'fake-model';
+globalThis.fetch = async () => ({
+  ok: true,
+  json: async () => ({ choices: [{ message: { content: 'canned' } }] }),
+  text: async () => '',
+});
+
+const { createHeadlessWorld, parseArgs } = await import('../src/headless.js');
+const {
+  WORLD_MAP_CONFIG, REGION_BIOME, generateWorldMap, getRegion, getSettlementAt,
+  resolveEmbarkSite, suggestEmbarkSite, getNeighborSpawnModifier,
+} = await import('../src/map/worldMap.js');
+const { generateMapForMode } = await import('../src/sim/worldGen.js');
+const { addBiomeToMap, generateBiomeMap, getLevel } = await import('../src/map/map.js');
+const { calculateRaceWeights } = await import('../src/sim/visitorSpawner.js');
+const { RACE } = await import('../src/sim/races.js');
+const { seedRandom, random } = await import('../src/sim/rng.js');
+const { createWorldState } = await import('../src/state/store.js');
+const { createSaveSnapshot, restoreSaveSnapshot, stringifySave, parseSave } = await import('../src/state/saveGame.js');
+
+let passed = 0;
+let failed = 0;
+function assert(cond, label) {
+  if (cond) {
+    passed++;
+    console.log(`  PASS  ${label}`);
+  } else {
+    failed++;
+    console.error(`  FAIL  ${label}`);
+  }
+}
+
+const SEED = 42;
+const WORLD = { seed: SEED, mode: 'biome', width: 60, height: 30, dwarves: 4, food: 10, depth: 1 };
+
+// Generation and ticks are chatty; keep the test output readable
+const log = console.log;
+const quiet = async (fn) => {
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+/** Every region with its position */
+function regionsOf(worldMap) {
+  return worldMap.regions.map((region, i) => ({ ...region, x: i % worldMap.width, y: Math.floor(i / worldMap.width) }));
+}
+
+/** A 60x30 biome surface on a freshly seeded stream (rivers roll it) */
+function generate(embark = null) {
+  seedRandom(SEED);
+  return generateMapForMode('biome', 60, 30, SEED, { depth: 1, embark });
+}
+
+/** Mean of a map's elevation layer */
+function meanElevation(map) {
+  return map.elevation.reduce((sum, value) => sum + value, 0) / map.elevation.length;
+}
+
+const worldMap = generateWorldMap(SEED);
+
+console.log('\n(a) one world map per seed');
+
+{
+  const again = generateWorldMap(SEED);
+  assert(JSON.stringify(again.regions) === JSON.stringify(worldMap.regions)
+    && JSON.stringify(again.settlements) === JSON.stringify(worldMap.settlements),
+    'the same seed draws the same world map');
+  assert(JSON.stringify(generateWorldMap(SEED + 1).regions) !== JSON.stringify(worldMap.regions),
+    'another seed draws another');
+
+  seedRandom(7);
+  random();
+  const expected = random();
+  seedRandom(7);
+  random();
+  generateWorldMap(SEED);
+  assert(random() === expected, 'drawing it leaves the simulation stream where it was');
+}
+
+console.log('\n(b) regions and settlements');
+
+{
+  assert(worldMap.width === WORLD_MAP_CONFIG.WIDTH && worldMap.regions.length === WORLD_MAP_CONFIG.WIDTH * WORLD_MAP_CONFIG.HEIGHT,
+    `the world is ${worldMap.width}x${worldMap.height} regions`);
+  const biomes = new Set(worldMap.regions.map(region => region.biome));
+  assert([REGION_BIOME.MOUNTAIN, REGION_BIOME.FOREST, REGION_BIOME.PLAINS, REGION_BIOME.TUNDRA].every(biome => biomes.has(biome)),
+    `it has mountains, forest, plains and tundra (${[...biomes].join(', ')})`);
+  const rows = [0, worldMap.height - 1].map(y => regionsOf(worldMap).filter(region => region.y === y));
+  assert(rows.every(row => row.filter(region => region.biome === REGION_BIOME.TUNDRA).length > row.length / 2),
+    'the far north and south are mostly frozen');
+  assert(worldMap.regions.some(region => region.river), 'rivers run through it');
+
+  const races = new Set(worldMap.settlements.map(site => site.race));
+  assert(['dwarf', ...Object.values(RACE)].every(race => races.has(race)), 'every people has settlements on it');
+  const crowded = worldMap.settlements.some((site, i) => worldMap.settlements.slice(i + 1)
+    .some(other => Math.hypot(site.x - other.x, site.y - other.y) < WORLD_MAP_CONFIG.SITE_SPACING));
+  assert(!crowded, 'no two settlements crowd each other');
+  assert(new Set(worldMap.settlements.map(site => site.name)).size === worldMap.settlements.length,
+    `each has its own name (${worldMap.settlements[0].name}, ...)`);
+  const elves = worldMap.settlements.filter(site => site.race === RACE.ELF);
+  assert(elves.filter(site => getRegion(worldMap, site.x, site.y).biome === REGION_BIOME.FOREST).length > elves.length / 2,
+    'elves live in the forest');
+}
+
+console.log('\n(c) embark sites');
+
+{
+  const settlement = worldMap.settlements[0];
+  assert(resolveEmbarkSite(worldMap, settlement.x, settlement.y) === null, 'no embarking on a settlement');
+  assert(resolveEmbarkSite(worldMap, -1, 0) === null && resolveEmbarkSite(worldMap, 0, worldMap.height) === null,
+    'nor off the map');
+
+  const suggested = suggestEmbarkSite(worldMap);
+  const site = resolveEmbarkSite(worldMap, suggested.x, suggested.y);
+  const region = getRegion(worldMap, suggested.x, suggested.y);
+  assert(site && site.biome !== REGION_BIOME.TUNDRA, `the suggested site is open, unfrozen land (${site.biome} at ${site.x},${site.y})`);
+  assert(site.climate.avgElevation === region.elevation && site.climate.avgTemperature === region.temperature,
+    'a site reads its climate from its region');
+  assert(site.neighbors.length > 0
+    && site.neighbors.every(n => n.distance <= WORLD_MAP_CONFIG.NEIGHBOR_RADIUS && getSettlementAt(worldMap, n.x, n.y))
+    && site.neighbors.every((n, i) => i === 0 || n.distance >= site.neighbors[i - 1].distance),
+    `and lists the settlements in reach, nearest first (${site.neighbors.map(n => `${n.name} ${n.distance} ${n.direction}`).join(', ')})`);
+  const east = site.neighbors.find(n => n.direction === 'east');
+  assert(!east || (east.x > site.x && east.y === site.y), 'with the way to each');
+  assert(JSON.parse(JSON.stringify(site)).neighbors.length === site.neighbors.length, 'a site is plain data');
+}
+
+console.log('\n(d) the local map');
+
+{
+  const open = regionsOf(worldMap).filter(region => resolveEmbarkSite(worldMap, region.x, region.y));
+  const byHeight = [...open].sort((a, b) => a.elevation - b.elevation);
+  const low = resolveEmbarkSite(worldMap, byHeight[0].x, byHeight[0].y);
+  const high = resolveEmbarkSite(worldMap, byHeight[byHeight.length - 1].x, byHeight[byHeight.length - 1].y);
+
+  const plain = generate();
+  const lowMap = generate(low);
+  const highMap = generate(high);
+  assert(meanElevation(highMap) > meanElevation(lowMap) + 0.1,
+    `highland embarks on higher ground (${meanElevation(highMap).toFixed(2)} vs ${meanElevation(lowMap).toFixed(2)})`);
+  assert(getLevel(lowMap).some((tile, i) => tile.type !== getLevel(plain)[i].type)
+    && getLevel(highMap).some((tile, i) => tile.type !== getLevel(lowMap)[i].type),
+    'each region has its own stretch of land');
+  seedRandom(SEED);
+  const before = generateBiomeMap(60, 30, { mapSeed: SEED, elevationScale: 0.02, moistureScale: 0.025, numRivers: 4 });
+  assert(getLevel(before).every((tile, i) => tile.type === getLevel(plain)[i].type),
+    'without an embark region, the map is as it always was');
+
+  const cold = open.reduce((best, region) => (region.temperature < best.temperature ? region : best));
+  const coldSite = resolveEmbarkSite(worldMap, cold.x, cold.y);
+  const coldMap = generate(coldSite);
+  await quiet(() => addBiomeToMap(coldMap, { embark: coldSite }));
+  assert(coldMap.biome.climate.avgTemperature === coldSite.climate.avgTemperature,
+    `the region's temperature is the map's (${coldMap.biome.climate.avgTemperature.toFixed(2)}, ${coldMap.biome.name})`);
+
+  const river = open.find(region => region.river);
+  const countRivers = (map) => getLevel(map).filter(tile => tile.type === 'river' || tile.type === 'water_deep').length;
+  const riverSite = resolveEmbarkSite(worldMap, river.x, river.y);
+  const riverMap = generate(riverSite);
+  const dryMap = generate({ ...riverSite, river: false });
+  assert(countRivers(riverMap) > countRivers(dryMap),
+    `a river region carries more rivers (${countRivers(riverMap)} water tiles vs the same land dry, ${countRivers(dryMap)})`);
+}
+
+console.log('\n(e) the colony');
+
+{
+  const suggested = suggestEmbarkSite(worldMap);
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, embark: suggested }));
+  assert(state.embark && state.embark.x === suggested.x && state.embark.y === suggested.y, 'the world keeps its embark region');
+  assert(JSON.stringify(state.history.raceRelations) === JSON.stringify(worldMap.history.raceRelations)
+    && state.history.events.length === worldMap.history.events.length,
+    'and the history its world map was drawn from');
+  assert(state.log.some(entry => entry.message.startsWith('The colony embarked on') && entry.message.includes(state.embark.neighbors[0].name)),
+    'the log says where the colony settled and who lives near');
+
+  const plain = await quiet(() => createHeadlessWorld(WORLD));
+  assert(plain.embark === null, 'a world built without one has none');
+
+  const goblinHold = state.embark.neighbors.find(n => n.race !== 'dwarf') || worldMap.settlements.find(n => n.race === RACE.GOBLIN);
+  const near = { ...state.embark, neighbors: [{ ...goblinHold, race: RACE.GOBLIN, distance: 1 }] };
+  const far = { ...state.embark, neighbors: [] };
+  assert(getNeighborSpawnModifier(near, RACE.GOBLIN) > 1 && getNeighborSpawnModifier(far, RACE.GOBLIN) < 1
+    && getNeighborSpawnModifier(null, RACE.GOBLIN) === 1,
+    'a people settled near counts for more, one far off for less, and no embark region changes nothing');
+  const weightsNear = calculateRaceWeights(state.history, near);
+  const weightsFar = calculateRaceWeights(state.history, far);
+  assert(weightsNear[RACE.GOBLIN] > weightsFar[RACE.GOBLIN] && weightsNear[RACE.HUMAN] === weightsFar[RACE.HUMAN],
+    'goblins next door come more often than goblins nowhere near');
+  const share = (weights, race) => weights[race] / Object.values(weights).reduce((sum, w) => sum + w, 0);
+  assert(share(weightsNear, RACE.GOBLIN) > share(calculateRaceWeights(state.history), RACE.GOBLIN),
+    'and make up more of the visitors than without a world map');
+}
+
+console.log('\n(f) save/load and headless');
+
+{
+  const suggested = suggestEmbarkSite(worldMap);
+  const state = await quiet(() => createHeadlessWorld({ ...WORLD, embark: suggested }));
+  const restored = createWorldState(1, 1);
+  await quiet(() => restoreSaveSnapshot(restored, parseSave(stringifySave(createSaveSnapshot(state)))));
+  assert(JSON.stringify(restored.embark) === JSON.stringify(state.embark), 'the embark region survives save/load');
+
+  assert(parseArgs(['--embark', '12,5']).embark?.x === 12 && parseArgs(['--embark', '12,5']).embark?.y === 5,
+    '--embark x,y picks a region');
+  assert(parseArgs(['--embark']).embark === true, 'bare --embark the suggested one');
+  const auto = await quiet(() => createHeadlessWorld({ ...WORLD, embark: true }));
+  assert(auto.embark.x === suggested.x && auto.embark.y === suggested.y, 'which is the world map\'s suggestion');
+
+  const [settled] = worldMap.settlements;
+  let error = null;
+  try {
+    await quiet(() => createHeadlessWorld({ ...WORLD, embark: { x: settled.x, y: settled.y } }));
+  } catch (e) {
+    error = e;
+  }
+  assert(error && /Cannot embark/.test(error.message), 'a settlement is refused');
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);